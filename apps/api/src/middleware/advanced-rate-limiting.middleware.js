@@ -6,6 +6,21 @@
 const rateLimit = require('express-rate-limit');
 const slowDown = require('express-slow-down');
 const { RateLimitError } = require('../types/error.types');
+const { authorizeApiKey } = require('../../../../libs/shared/src/api-keys');
+const { TIERS, getUserTier } = require('../../../../libs/shared/src/tiers');
+
+// Routes API keys may call (paths relative to /api), and the scopes that
+// allow them; keys are refused everywhere else, key management included
+const API_KEY_ROUTES = [
+    { methods: ['GET'], path: /^\/(news|trending|breaking|stats|search|articles?)(\/|$)/, scopes: ['articles:read'] },
+    { methods: ['GET'], path: /^\/analytics(\/|$)/, scopes: ['analytics:read'] },
+    { methods: ['GET'], path: /^\/scheduler\/destinations\/[^/]+\/(heatmap|suggestions)$/, scopes: ['analytics:read'] },
+    { methods: ['GET'], path: /^\/scheduler\/posts$/, scopes: ['schedule:read', 'posts:write'] },
+    { methods: ['POST'], path: /^\/scheduler\/posts\/(bulk\/)?preview$/, scopes: ['schedule:read'] },
+    { methods: ['GET'], path: /^\/scheduler\/schedules\/[^/]+\/preview$/, scopes: ['schedule:read'] },
+    { methods: ['POST'], path: /^\/scheduler\/posts$/, scopes: ['posts:write'] },
+    { methods: ['DELETE'], path: /^\/scheduler\/posts\/[^/]+$/, scopes: ['posts:write'] }
+];
 
 class AdvancedRateLimitingMiddleware {
     constructor(cacheService = null) {
@@ -94,7 +109,7 @@ class AdvancedRateLimitingMiddleware {
         config.keyGenerator = (req) => {
             const ip = req.ip || req.connection.remoteAddress;
             const userAgent = req.get('User-Agent') || 'unknown';
-            const userId = req.user?.id || req.body?.telegram_id || null;
+            const userId = req.user?.id || req.apiKey?.userId || req.body?.telegram_id || null;
             
             // Use user ID if available, otherwise IP
             const baseKey = userId ? `user:${userId}` : `ip:${ip}`;
@@ -252,9 +267,16 @@ class AdvancedRateLimitingMiddleware {
     
     /**
      * API key authentication middleware
+     *
+     * Requests with an `X-API-Key` header (or `api_key` query parameter) are
+     * checked against the keys users create in the bot, limited to the routes
+     * in API_KEY_ROUTES, and counted against the daily quota of the key
+     * owner's tier. Requests without a key continue with standard rate limits.
+     *
+     * @param {Function} getDb - resolves the MongoDB database
      */
-    apiKeyAuth() {
-        return (req, res, next) => {
+    apiKeyAuth(getDb) {
+        return async (req, res, next) => {
             const apiKey = req.get('X-API-Key') || req.query.api_key;
             
             if (!apiKey) {
@@ -262,116 +284,62 @@ class AdvancedRateLimitingMiddleware {
                 return next();
             }
             
-            // Validate API key
-            const validApiKeys = this.getValidApiKeys();
-            const keyInfo = validApiKeys.get(apiKey);
-            
-            if (!keyInfo) {
-                return res.status(401).json({
-                    error: 'Invalid API key',
-                    code: 'INVALID_API_KEY'
+            const route = API_KEY_ROUTES.find(({ methods, path }) => methods.includes(req.method) && path.test(req.path));
+            if (!route) {
+                return res.status(403).json({
+                    error: 'API keys cannot be used for this endpoint',
+                    code: 'API_KEY_NOT_ALLOWED'
                 });
             }
             
-            // Check if API key is active
-            if (!keyInfo.active) {
-                return res.status(401).json({
-                    error: 'API key is disabled',
-                    code: 'API_KEY_DISABLED'
-                });
-            }
-            
-            // Check rate limits for this API key
-            if (keyInfo.rateLimit) {
-                const usage = this.getApiKeyUsage(apiKey);
-                if (usage >= keyInfo.rateLimit) {
-                    return res.status(429).json({
-                        error: 'API key rate limit exceeded',
-                        code: 'API_KEY_RATE_LIMIT',
-                        resetTime: this.getApiKeyResetTime(apiKey)
+            try {
+                const db = await getDb();
+                const tiers = { tiers: TIERS, getUserTier: (userId) => getUserTier(db, userId) };
+                
+                const result = await authorizeApiKey(db, tiers, apiKey, { scopes: route.scopes });
+                if (result.usage) {
+                    this.setQuotaHeaders(res, result.usage);
+                }
+                
+                if (!result.allowed) {
+                    return res.status(result.status).json({
+                        error: result.error,
+                        code: result.code,
+                        ...(result.usage && { resetTime: result.usage.reset_at.toISOString() })
                     });
                 }
                 
-                this.recordApiKeyUsage(apiKey);
+                // Add API key info to request; routes see the key's owner as the user
+                const user = await db.collection('users').findOne({ telegramId: result.apiKey.user_id });
+                req.apiKey = {
+                    id: String(result.apiKey._id),
+                    userId: result.apiKey.user_id,
+                    tier: result.tier,
+                    scopes: result.apiKey.scopes,
+                    usage: result.usage
+                };
+                req.user = user || { telegramId: result.apiKey.user_id };
+                
+                next();
+            } catch (error) {
+                console.error('API key authentication error:', error);
+                res.status(503).json({
+                    error: 'API key authentication unavailable',
+                    code: 'API_KEY_UNAVAILABLE'
+                });
             }
-            
-            // Add API key info to request
-            req.apiKey = keyInfo;
-            req.user = { id: keyInfo.userId, tier: keyInfo.tier };
-            
-            next();
         };
     }
     
     /**
-     * Get valid API keys (in production, this would query a database)
+     * Daily quota headers for API key requests
      */
-    getValidApiKeys() {
-        // This would typically come from a database
-        const validKeys = new Map();
-        
-        // Example API keys (in production, these would be hashed)
-        validKeys.set(process.env.ADMIN_API_KEY || 'admin-key-123', {
-            userId: 'admin',
-            tier: 'admin',
-            active: true,
-            rateLimit: 1000, // requests per hour
-            permissions: ['admin', 'read', 'write']
-        });
-        
-        validKeys.set(process.env.PREMIUM_API_KEY || 'premium-key-456', {
-            userId: 'premium-user',
-            tier: 'premium',
-            active: true,
-            rateLimit: 500, // requests per hour
-            permissions: ['read', 'write']
-        });
-        
-        return validKeys;
-    }
-    
-    /**
-     * Get API key usage (simplified - would use Redis in production)
-     */
-    getApiKeyUsage(apiKey) {
-        if (!this.apiKeyUsage) {
-            this.apiKeyUsage = new Map();
-        }
-        
-        const now = new Date();
-        const hourKey = `${apiKey}:${now.getHours()}:${now.getDate()}`;
-        
-        return this.apiKeyUsage.get(hourKey) || 0;
-    }
-    
-    /**
-     * Record API key usage
-     */
-    recordApiKeyUsage(apiKey) {
-        if (!this.apiKeyUsage) {
-            this.apiKeyUsage = new Map();
+    setQuotaHeaders(res, usage) {
+        res.set('X-Quota-Limit', usage.limit === -1 ? 'unlimited' : String(usage.limit));
+        if (usage.remaining !== null) {
+            res.set('X-Quota-Remaining', String(usage.remaining));
         }
-        
-        const now = new Date();
-        const hourKey = `${apiKey}:${now.getHours()}:${now.getDate()}`;
-        const currentUsage = this.apiKeyUsage.get(hourKey) || 0;
-        
-        this.apiKeyUsage.set(hourKey, currentUsage + 1);
-        
-        // Clean up old usage data
-        setTimeout(() => {
-            this.apiKeyUsage.delete(hourKey);
-        }, 2 * 60 * 60 * 1000); // Keep for 2 hours
-    }
-    
-    /**
-     * Get API key reset time
-     */
-    getApiKeyResetTime(apiKey) {
-        const now = new Date();
-        const nextHour = new Date(now);
-        nextHour.setHours(now.getHours() + 1, 0, 0, 0);
-        return nextHour.toISOString();
+        res.set('X-Quota-Reset', usage.reset_at.toISOString());
     }
     
     /**
@@ -382,7 +350,6 @@ class AdvancedRateLimitingMiddleware {
             suspiciousIPs: Array.from(this.suspiciousIPs),
             userClassifications: Object.fromEntries(this.userClassifications),
             violationCounts: this.violationCounts ? Object.fromEntries(this.violationCounts) : {},
-            apiKeyUsage: this.apiKeyUsage ? Object.fromEntries(this.apiKeyUsage) : {},
             totalSuspiciousIPs: this.suspiciousIPs.size
         };
     }
@@ -394,8 +361,7 @@ class AdvancedRateLimitingMiddleware {
         return {
             healthy: true,
             suspiciousIPCount: this.suspiciousIPs.size,
-            activeViolations: this.violationCounts ? this.violationCounts.size : 0,
-            apiKeyUsageActive: this.apiKeyUsage ? this.apiKeyUsage.size : 0
+            activeViolations: this.violationCounts ? this.violationCounts.size : 0
         };
     }
 }
@@ -6,6 +6,12 @@ const JWT_SECRET = process.env.JWT_SECRET;
 
 // Verify JWT token
 const authenticate = async (req, res, next) => {
+  // Already authenticated by an API key (see AdvancedRateLimitingMiddleware.apiKeyAuth)
+  if (req.apiKey) {
+    req.userId = req.user._id;
+    return next();
+  }
+
   try {
     const token = req.headers.authorization?.replace('Bearer ', '');
     
@@ -61,6 +67,11 @@ const requireAdmin = async (req, res, next) => {
 
 // Optional authentication (doesn't fail if no token)
 const optionalAuth = async (req, res, next) => {
+  if (req.apiKey) {
+    req.userId = req.user._id;
+    return next();
+  }
+
   try {
     const token = req.headers.authorization?.replace('Bearer ', '');
     
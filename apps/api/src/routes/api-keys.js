@@ -0,0 +1,90 @@
+/**
+ * API Key Proxy Routes
+ * Forwards API key management to the bot, which runs the ApiKeyService, on
+ * behalf of the signed-in user. Requests made with an API key never reach
+ * these routes (see AdvancedRateLimitingMiddleware.apiKeyAuth).
+ */
+
+const express = require('express');
+const axios = require('axios');
+const { authenticate } = require('../middleware/auth.middleware');
+
+const router = express.Router();
+
+const BOT_SERVICE_URL = process.env.BOT_SERVICE_URL || `http://localhost:${process.env.BOT_PORT || 3002}`;
+
+// Helper: Forward request to the bot's API keys API as the signed-in user
+async function proxyToApiKeys(req, res, path, method = 'GET') {
+    if (!req.user?.telegramId) {
+        return res.status(403).json({
+            success: false,
+            error: 'Sign in with Telegram to manage API keys'
+        });
+    }
+
+    try {
+        const response = await axios({
+            method,
+            url: `${BOT_SERVICE_URL}/api/keys${path}`,
+            params: req.query,
+            data: method === 'GET' || method === 'DELETE' ? undefined : req.body,
+            headers: {
+                'X-Internal-Token': process.env.INTERNAL_SERVICE_TOKEN || '',
+                'X-User-Id': String(req.user.telegramId)
+            },
+            timeout: 15000
+        });
+        res.status(response.status).json(response.data);
+    } catch (error) {
+        console.error(`API keys proxy error (${method} ${path}):`, error.message);
+
+        if (error.response) {
+            res.status(error.response.status).json(error.response.data);
+        } else {
+            res.status(503).json({
+                success: false,
+                error: 'API keys unavailable',
+                message: 'The bot service is not responding'
+            });
+        }
+    }
+}
+
+const keyPath = (req, suffix = '') => `/keys/${encodeURIComponent(req.params.keyId)}${suffix}`;
+
+// GET /api/keys/scopes - Scopes keys can be given
+router.get('/keys/scopes', authenticate, async (req, res) => {
+    await proxyToApiKeys(req, res, '/scopes');
+});
+
+// GET /api/keys - The user's active keys
+router.get('/keys', authenticate, async (req, res) => {
+    await proxyToApiKeys(req, res, '/keys');
+});
+
+// POST /api/keys - Create a key ({ name, scopes }); the response holds the key
+router.post('/keys', authenticate, async (req, res) => {
+    await proxyToApiKeys(req, res, '/keys', 'POST');
+});
+
+// GET /api/keys/usage - Today's calls against the daily quota
+router.get('/keys/usage', authenticate, async (req, res) => {
+    await proxyToApiKeys(req, res, '/usage');
+});
+
+// PATCH /api/keys/:keyId - Change a key's name or scopes
+router.patch('/keys/:keyId', authenticate, async (req, res) => {
+    await proxyToApiKeys(req, res, keyPath(req), 'PATCH');
+});
+
+// POST /api/keys/:keyId/rotate - Replace a key; the response holds the new key
+router.post('/keys/:keyId/rotate', authenticate, async (req, res) => {
+    await proxyToApiKeys(req, res, keyPath(req, '/rotate'), 'POST');
+});
+
+// DELETE /api/keys/:keyId - Revoke a key
+router.delete('/keys/:keyId', authenticate, async (req, res) => {
+    await proxyToApiKeys(req, res, keyPath(req), 'DELETE');
+});
+
+module.exports = router;
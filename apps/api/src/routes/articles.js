@@ -1,6 +1,7 @@
 const express = require('express');
 const { ObjectId } = require('mongodb');
 const { getDb } = require('../server');
+const SearchIndex = require('../../../../libs/shared/src/search-index');
 
 const router = express.Router();
 
@@ -17,22 +18,49 @@ function toSummary(article) {
   };
 }
 
-// GET /api/search
+function parseDate(value) {
+  if (!value) return null;
+  const date = new Date(String(value));
+  return isNaN(date) ? undefined : date;
+}
+
+// GET /api/search?q=&category=&source=&date=day|week|month|year&from=&to=&sort=relevance|date|date_asc&limit=&offset=
+// Highlights are HTML with the matching words in <mark>
 router.get('/search', async (req, res) => {
   try {
     const q = String(req.query.q || '').trim();
     const limit = Math.max(1, Math.min(50, parseInt(req.query.limit || '10')));
+    const offset = Math.max(0, parseInt(req.query.offset || '0') || 0);
     if (q.length < 2) return res.status(400).json({ error: 'Search query must be at least 2 characters' });
 
-    const db = await getDb();
-    const results = await db
-      .collection('articles')
-      .find({ $or: [{ title: { $regex: q, $options: 'i' } }, { content: { $regex: q, $options: 'i' } }] })
-      .sort({ publishedAt: -1 })
-      .limit(limit)
-      .toArray();
+    let from = parseDate(req.query.from);
+    const to = parseDate(req.query.to);
+    if (from === undefined || to === undefined) return res.status(400).json({ error: 'from and to must be dates' });
+    if (req.query.date) {
+      const period = SearchIndex.DATE_FACETS[req.query.date];
+      if (!period) return res.status(400).json({ error: `date must be one of ${Object.keys(SearchIndex.DATE_FACETS).join(', ')}` });
+      from = new Date(Date.now() - period);
+    }
 
-    res.json({ success: true, query: q, results: results.map(toSummary), total: results.length });
+    const db = await getDb();
+    const search = await new SearchIndex(db).search(q, {
+      category: req.query.category ? String(req.query.category) : null,
+      source: req.query.source ? String(req.query.source) : null,
+      from,
+      to,
+      sort: ['date', 'date_asc'].includes(req.query.sort) ? req.query.sort : 'relevance',
+      limit,
+      offset
+    });
+
+    res.json({
+      success: true,
+      query: q,
+      results: search.results.map(({ article, score, highlights }) => ({ ...toSummary(article), score, highlights })),
+      total: search.total,
+      capped: search.capped,
+      facets: search.facets
+    });
   } catch (e) {
     console.error('search error', e);
     res.status(500).json({ error: 'Search temporarily unavailable' });
@@ -15,6 +15,9 @@ const categoryMap = {
   analysis: ['analysis', 'opinion', 'editorial', 'insight', 'perspective', 'review']
 };
 
+// Primary articles only, one per story; unclustered articles have no story
+const ONE_PER_STORY = { 'story.primary': { $ne: false } };
+
 function categorizeArticle(article) {
   const content = `${article.title ?? ''} ${article.content ?? ''}`.toLowerCase();
   for (const [category, keywords] of Object.entries(categoryMap)) {
@@ -59,9 +62,9 @@ router.get('/news', async (req, res) => {
       { 'source_metadata.is_original_source': true }
     ];
 
-    let query = { $or: baseOr };
+    let query = { $or: baseOr, ...ONE_PER_STORY };
     if (search) {
-      query = { $and: [{ $or: baseOr }, { $or: [{ title: { $regex: search, $options: 'i' } }, { content: { $regex: search, $options: 'i' } }] }] };
+      query = { $and: [{ $or: baseOr }, ONE_PER_STORY, { $or: [{ title: { $regex: search, $options: 'i' } }, { content: { $regex: search, $options: 'i' } }] }] };
     }
 
     const articles = await db
@@ -86,7 +89,8 @@ router.get('/news', async (req, res) => {
       reactions: a.reactions ?? {},
       isPremium: categorizeArticle(a) === 'analysis',
       messageId: a.zone_news_data?.message_id,
-      channelUrl: a.zone_news_data?.message_id ? `https://t.me/ZoneNewsAdl/${a.zone_news_data.message_id}` : null
+      channelUrl: a.zone_news_data?.message_id ? `https://t.me/ZoneNewsAdl/${a.zone_news_data.message_id}` : null,
+      alsoReportedBy: (a.also_reported_by ?? []).map((r) => ({ source: r.source, url: r.url ?? null, publishedAt: r.published_date }))
     }));
 
     let filtered = processed;
@@ -115,7 +119,7 @@ router.get('/trending', async (req, res) => {
     const db = await getDb();
     const trending = await db
       .collection('news_articles')
-      .find({ $or: [{ 'zone_news_data.channel': '@ZoneNewsAdl' }, { source: { $regex: 'Zone News', $options: 'i' } }] })
+      .find({ $or: [{ 'zone_news_data.channel': '@ZoneNewsAdl' }, { source: { $regex: 'Zone News', $options: 'i' } }], ...ONE_PER_STORY })
       .sort({ views: -1, 'zone_news_data.views': -1 })
       .limit(10)
       .toArray();
@@ -137,7 +141,8 @@ router.get('/breaking', async (req, res) => {
       .find({
         $and: [
           { $or: [{ 'zone_news_data.channel': '@ZoneNewsAdl' }, { source: { $regex: 'Zone News', $options: 'i' } }] },
-          { published_date: { $gte: since } }
+          { published_date: { $gte: since } },
+          ONE_PER_STORY
         ]
       })
       .sort({ published_date: -1 })
@@ -162,7 +167,8 @@ router.get('/news/breaking', async (req, res) => {
       .find({
         $and: [
           { $or: [{ 'zone_news_data.channel': '@ZoneNewsAdl' }, { source: { $regex: 'Zone News', $options: 'i' } }] },
-          { published_date: { $gte: since } }
+          { published_date: { $gte: since } },
+          ONE_PER_STORY
         ]
       })
       .sort({ published_date: -1 })
@@ -0,0 +1,85 @@
+/**
+ * Scheduler Proxy Routes
+ * Forwards scheduler requests to the bot, which runs the SchedulerService
+ */
+
+const express = require('express');
+const axios = require('axios');
+const { authenticate } = require('../middleware/auth.middleware');
+
+const router = express.Router();
+
+const BOT_SERVICE_URL = process.env.BOT_SERVICE_URL || `http://localhost:${process.env.BOT_PORT || 3002}`;
+
+// Helper: Forward request to the bot's scheduler API, as the signed-in
+// user where there is one with a Telegram account
+async function proxyToScheduler(req, res, path, method = 'GET') {
+    try {
+        const response = await axios({
+            method,
+            url: `${BOT_SERVICE_URL}/api/scheduler${path}`,
+            params: req.query,
+            data: method === 'GET' || method === 'DELETE' ? undefined : req.body,
+            headers: {
+                'X-Internal-Token': process.env.INTERNAL_SERVICE_TOKEN || '',
+                ...(req.user?.telegramId ? { 'X-User-Id': String(req.user.telegramId) } : {})
+            },
+            timeout: 15000
+        });
+        res.status(response.status).json(response.data);
+    } catch (error) {
+        console.error(`Scheduler proxy error (${method} ${path}):`, error.message);
+
+        if (error.response) {
+            res.status(error.response.status).json(error.response.data);
+        } else {
+            res.status(503).json({
+                success: false,
+                error: 'Scheduler unavailable',
+                message: 'The bot service is not responding'
+            });
+        }
+    }
+}
+
+// GET /api/scheduler/destinations/:destination/heatmap - Engagement by hour of week
+router.get('/scheduler/destinations/:destination/heatmap', authenticate, async (req, res) => {
+    await proxyToScheduler(req, res, `/destinations/${encodeURIComponent(req.params.destination)}/heatmap`);
+});
+
+// GET /api/scheduler/destinations/:destination/suggestions - Suggested send times
+router.get('/scheduler/destinations/:destination/suggestions', authenticate, async (req, res) => {
+    await proxyToScheduler(req, res, `/destinations/${encodeURIComponent(req.params.destination)}/suggestions`);
+});
+
+// POST /api/scheduler/posts/preview - Dry run of a scheduled post
+router.post('/scheduler/posts/preview', authenticate, async (req, res) => {
+    await proxyToScheduler(req, res, '/posts/preview', 'POST');
+});
+
+// POST /api/scheduler/posts/bulk/preview - Dry run of a bulk schedule
+router.post('/scheduler/posts/bulk/preview', authenticate, async (req, res) => {
+    await proxyToScheduler(req, res, '/posts/bulk/preview', 'POST');
+});
+
+// GET /api/scheduler/schedules/:jobId/preview - Dry run of a recurring schedule's next run
+router.get('/scheduler/schedules/:jobId/preview', authenticate, async (req, res) => {
+    await proxyToScheduler(req, res, `/schedules/${encodeURIComponent(req.params.jobId)}/preview`);
+});
+
+// GET /api/scheduler/posts - The user's scheduled posts
+router.get('/scheduler/posts', authenticate, async (req, res) => {
+    await proxyToScheduler(req, res, '/posts');
+});
+
+// POST /api/scheduler/posts - Schedule a post to destinations the user manages
+router.post('/scheduler/posts', authenticate, async (req, res) => {
+    await proxyToScheduler(req, res, '/posts', 'POST');
+});
+
+// DELETE /api/scheduler/posts/:postId - Cancel a scheduled post
+router.delete('/scheduler/posts/:postId', authenticate, async (req, res) => {
+    await proxyToScheduler(req, res, `/posts/${encodeURIComponent(req.params.postId)}`, 'DELETE');
+});
+
+module.exports = router;
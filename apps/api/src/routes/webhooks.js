@@ -0,0 +1,104 @@
+/**
+ * Webhook Proxy Routes
+ * Forwards webhook endpoint management to the bot, which runs the
+ * WebhookDeliveryService, on behalf of the signed-in user
+ */
+
+const express = require('express');
+const axios = require('axios');
+const { authenticate } = require('../middleware/auth.middleware');
+
+const router = express.Router();
+
+const BOT_SERVICE_URL = process.env.BOT_SERVICE_URL || `http://localhost:${process.env.BOT_PORT || 3002}`;
+
+// Helper: Forward request to the bot's webhooks API as the signed-in user
+async function proxyToWebhooks(req, res, path, method = 'GET') {
+    if (!req.user?.telegramId) {
+        return res.status(403).json({
+            success: false,
+            error: 'Sign in with Telegram to manage webhooks'
+        });
+    }
+
+    try {
+        const response = await axios({
+            method,
+            url: `${BOT_SERVICE_URL}/api/webhooks${path}`,
+            params: req.query,
+            data: method === 'GET' || method === 'DELETE' ? undefined : req.body,
+            headers: {
+                'X-Internal-Token': process.env.INTERNAL_SERVICE_TOKEN || '',
+                'X-User-Id': String(req.user.telegramId)
+            },
+            timeout: 15000
+        });
+        res.status(response.status).json(response.data);
+    } catch (error) {
+        console.error(`Webhooks proxy error (${method} ${path}):`, error.message);
+
+        if (error.response) {
+            res.status(error.response.status).json(error.response.data);
+        } else {
+            res.status(503).json({
+                success: false,
+                error: 'Webhooks unavailable',
+                message: 'The bot service is not responding'
+            });
+        }
+    }
+}
+
+const endpointPath = (req, suffix = '') => `/endpoints/${encodeURIComponent(req.params.endpointId)}${suffix}`;
+
+// GET /api/webhooks/events - Event types endpoints can subscribe to
+router.get('/webhooks/events', authenticate, async (req, res) => {
+    await proxyToWebhooks(req, res, '/events');
+});
+
+// GET /api/webhooks/endpoints - The user's endpoints (or their workspace's)
+router.get('/webhooks/endpoints', authenticate, async (req, res) => {
+    await proxyToWebhooks(req, res, '/endpoints');
+});
+
+// POST /api/webhooks/endpoints - Register an endpoint; the response holds its signing secret
+router.post('/webhooks/endpoints', authenticate, async (req, res) => {
+    await proxyToWebhooks(req, res, '/endpoints', 'POST');
+});
+
+// PATCH /api/webhooks/endpoints/:endpointId - Change URL, events, description or enabled
+router.patch('/webhooks/endpoints/:endpointId', authenticate, async (req, res) => {
+    await proxyToWebhooks(req, res, endpointPath(req), 'PATCH');
+});
+
+// DELETE /api/webhooks/endpoints/:endpointId - Remove an endpoint
+router.delete('/webhooks/endpoints/:endpointId', authenticate, async (req, res) => {
+    await proxyToWebhooks(req, res, endpointPath(req), 'DELETE');
+});
+
+// POST /api/webhooks/endpoints/:endpointId/secret - Rotate the signing secret
+router.post('/webhooks/endpoints/:endpointId/secret', authenticate, async (req, res) => {
+    await proxyToWebhooks(req, res, endpointPath(req, '/secret'), 'POST');
+});
+
+// POST /api/webhooks/endpoints/:endpointId/test - Send a test event
+router.post('/webhooks/endpoints/:endpointId/test', authenticate, async (req, res) => {
+    await proxyToWebhooks(req, res, endpointPath(req, '/test'), 'POST');
+});
+
+// POST /api/webhooks/endpoints/:endpointId/replay - Resend the endpoint's failed deliveries
+router.post('/webhooks/endpoints/:endpointId/replay', authenticate, async (req, res) => {
+    await proxyToWebhooks(req, res, endpointPath(req, '/replay'), 'POST');
+});
+
+// GET /api/webhooks/deliveries - Delivery log (?endpoint=&status=&limit=)
+router.get('/webhooks/deliveries', authenticate, async (req, res) => {
+    await proxyToWebhooks(req, res, '/deliveries');
+});
+
+// POST /api/webhooks/deliveries/:deliveryId/replay - Resend one delivery
+router.post('/webhooks/deliveries/:deliveryId/replay', authenticate, async (req, res) => {
+    await proxyToWebhooks(req, res, `/deliveries/${encodeURIComponent(req.params.deliveryId)}/replay`, 'POST');
+});
+
+module.exports = router;
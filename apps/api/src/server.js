@@ -105,6 +105,8 @@ app.use(express.json());
 // Apply rate limiting (before other middleware)
 app.use(rateLimiters.slowDown);
 app.use('/api/admin', rateLimiters.admin);
+// API keys first, so keyed requests are rate limited per user
+app.use('/api', rateLimiting.apiKeyAuth(getDb));
 app.use('/api', rateLimiters.public);
 
 // Apply performance monitoring middleware
@@ -203,6 +205,39 @@ function categorizeArticle(article) {
     return 'general';
 }
 
+// Helper function for an article's image: the optimized versions from the
+// bot's image pipeline once they exist, otherwise the original URL
+function articleImage(article) {
+    const images = article.images;
+    if (!images?.card) {
+        return { imageUrl: article.image_url || article.imageUrl || null, images: null };
+    }
+    
+    return {
+        imageUrl: images.telegram?.url || images.card_jpeg?.url || images.card.url,
+        images: {
+            card: images.card.url,
+            cardJpeg: images.card_jpeg?.url || null,
+            thumb: images.thumb?.url || null,
+            width: images.card.width,
+            height: images.card.height
+        }
+    };
+}
+
+// Only the primary article of each story (see the article processor's story
+// clustering); articles not clustered yet have no story and are shown
+const ONE_PER_STORY = { 'story.primary': { $ne: false } };
+
+// Helper function for the other sources that reported an article's story
+function alsoReportedBy(article) {
+    return (article.also_reported_by || []).map(report => ({
+        source: report.source,
+        url: report.url || null,
+        publishedAt: report.published_date
+    }));
+}
+
 // Helper function to determine scope
 function determineScope(article) {
     const content = (article.title + ' ' + article.content).toLowerCase();
@@ -262,7 +297,8 @@ app.get('/api/news', rateLimiters.news, CacheMiddleware.createNewsCache(cacheSer
                 { 'zone_news_data.channel': '@ZoneNewsAdl' },
                 { source: { $regex: 'Zone News', $options: 'i' } },
                 { 'source_metadata.is_original_source': true }
-            ]
+            ],
+            ...ONE_PER_STORY
         };
         
         // Add search filter
@@ -308,7 +344,9 @@ app.get('/api/news', rateLimiters.news, CacheMiddleware.createNewsCache(cacheSer
                 messageId: article.zone_news_data?.message_id,
                 channelUrl: article.zone_news_data?.message_id 
                     ? `https://t.me/ZoneNewsAdl/${article.zone_news_data.message_id}`
-                    : null
+                    : null,
+                ...articleImage(article),
+                alsoReportedBy: alsoReportedBy(article)
             };
         });
         
@@ -353,7 +391,8 @@ app.get('/api/trending', rateLimiters.news, CacheMiddleware.createTrendingCache(
                 $or: [
                     { 'zone_news_data.channel': '@ZoneNewsAdl' },
                     { source: { $regex: 'Zone News', $options: 'i' } }
-                ]
+                ],
+                ...ONE_PER_STORY
             })
             .sort({ views: -1, 'zone_news_data.views': -1 })
             .limit(10)
@@ -388,7 +427,8 @@ app.get('/api/breaking', CacheMiddleware.createBreakingCache(cacheService), erro
                     },
                     {
                         published_date: { $gte: twentyFourHoursAgo }
-                    }
+                    },
+                    ONE_PER_STORY
                 ]
             })
             .sort({ published_date: -1 })
@@ -494,6 +534,18 @@ try {
     const botStatusRouter = require('./routes/bot-status.routes');
     app.use('/api', botStatusRouter);
 } catch {}
+try {
+    const schedulerRouter = require('./routes/scheduler');
+    app.use('/api', schedulerRouter);
+} catch {}
+try {
+    const webhooksRouter = require('./routes/webhooks');
+    app.use('/api', webhooksRouter);
+} catch {}
+try {
+    const apiKeysRouter = require('./routes/api-keys');
+    app.use('/api', apiKeysRouter);
+} catch {}
 try {
     const authHealthRouter = require('./routes/auth-health.routes');
     const adminSystemRouter = require('./routes/admin-system.routes');
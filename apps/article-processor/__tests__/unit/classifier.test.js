@@ -0,0 +1,108 @@
+/**
+ * Unit Tests for the category classifier: training, confidence, the
+ * held-out split and evaluation
+ */
+
+const {
+    keywordCategory,
+    tokenize,
+    trainModel,
+    predict,
+    splitHoldout,
+    evaluate
+} = require('../../classifier');
+
+describe('Classifier', () => {
+    const examples = [
+        ['Police arrested a man after a stabbing in Elizabeth, court hears', 'Crime'],
+        ['Man charged over armed robbery at Salisbury service station', 'Crime'],
+        ['Detectives investigate hit and run in Mawson Lakes; driver arrested', 'Crime'],
+        ['Crows beat Power in Showdown thriller at Adelaide Oval', 'Sports'],
+        ['Adelaide United sign striker for the A-League season', 'Sports'],
+        ['Redbacks win Sheffield Shield match against Victoria at Adelaide Oval', 'Sports'],
+        ['State budget delivers surplus, treasurer tells parliament', 'Politics'],
+        ['Premier announces election date as opposition leader attacks budget', 'Politics'],
+        ['Minister defends hospital ramping figures in parliament', 'Politics']
+    ].map(([text, category], index) => ({ id: `article-${index}`, text, category }));
+
+    describe('keywordCategory', () => {
+        it('should prefer categories with two matching keywords, earlier ones first', () => {
+            expect(keywordCategory('Council election: the minister visits the suburb')).toBe('Politics');
+            expect(keywordCategory('Storm warning: the bureau forecast heavy rain')).toBe('Weather');
+            expect(keywordCategory('Nothing to see here')).toBe('General');
+        });
+    });
+
+    describe('tokenize', () => {
+        it('should keep lower-case words without stop words or links', () => {
+            expect(tokenize('The Crows WON at https://afl.com.au/crows, 3 in a row!'))
+                .toEqual(['crows', 'won', 'row']);
+            expect(tokenize('Café reopens in Glenelg')).toEqual(['café', 'reopens', 'glenelg']);
+        });
+    });
+
+    describe('predict', () => {
+        const model = trainModel(examples);
+
+        it('should learn categories from the examples', () => {
+            expect(predict(model, 'Driver charged after police chase').category).toBe('Crime');
+            expect(predict(model, 'Showdown tickets sell out at Adelaide Oval').category).toBe('Sports');
+            expect(predict(model, 'Treasurer hands down the budget').category).toBe('Politics');
+        });
+
+        it('should be less sure of text that fits several categories', () => {
+            const clear = predict(model, 'Police arrested and charged a man after robbery');
+            const mixed = predict(model, 'Minister arrested after Showdown');
+
+            expect(clear.confidence).toBeGreaterThan(0.6);
+            expect(mixed.confidence).toBeLessThan(clear.confidence);
+        });
+
+        it('should give no category for text it has no words for', () => {
+            expect(predict(model, 'Lorem ipsum dolor')).toEqual({ category: null, confidence: 0 });
+        });
+
+        it('should survive being stored as JSON', () => {
+            const stored = JSON.parse(JSON.stringify(model));
+
+            expect(predict(stored, 'Detectives arrested a man')).toEqual(predict(model, 'Detectives arrested a man'));
+            expect(predict(stored, 'The constructor of the prototype').category).toBeNull();
+        });
+    });
+
+    describe('splitHoldout', () => {
+        it('should hold out the same examples each time', () => {
+            const many = Array.from({ length: 1000 }, (_, index) => ({ id: String(index) }));
+            const { train, test } = splitHoldout(many);
+
+            expect(train.length + test.length).toBe(1000);
+            expect(test.length).toBeGreaterThan(150);
+            expect(test.length).toBeLessThan(250);
+            expect(splitHoldout(many).test).toEqual(test);
+            expect(splitHoldout(many.slice(0, 500)).test).toEqual(test.filter(example => Number(example.id) < 500));
+        });
+    });
+
+    describe('evaluate', () => {
+        it('should report precision and recall per category', () => {
+            const model = trainModel(examples);
+            const report = evaluate(model, [
+                { text: 'Man arrested over robbery', category: 'Crime' },
+                { text: 'Police charge driver', category: 'Crime' },
+                { text: 'Crows win the Showdown', category: 'Sports' },
+                { text: 'Parliament passes the budget', category: 'Sports' },
+                { text: 'Lorem ipsum', category: 'Weather' }
+            ], { threshold: 0.5 });
+
+            expect(report.examples).toBe(5);
+            expect(report.accuracy).toBe(3 / 5);
+            expect(report.categories).toEqual({
+                Crime: { support: 2, precision: 1, recall: 1 },
+                Politics: { support: 0, precision: 0, recall: null },
+                Sports: { support: 2, precision: 1, recall: 0.5 },
+                Weather: { support: 1, precision: null, recall: 0 }
+            });
+            expect(report.confident.share).toBeLessThanOrEqual(4 / 5);
+        });
+    });
+});
@@ -0,0 +1,209 @@
+/**
+ * Unit Tests for source connectors: parsing and normalizing fixture files
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { CONNECTORS, getConnector, readItems } = require('../../connectors');
+const { conditionalHeaders, resolveLocalPath } = require('../../connectors/fetching');
+const { CONNECTOR_TYPES } = require('../../../../libs/shared/src/source-connectors');
+
+const FIXTURES = path.join(__dirname, '..', 'fixtures', 'connectors');
+const fixture = name => fs.readFileSync(path.join(FIXTURES, name), 'utf8');
+
+describe('Connectors', () => {
+    const source = { name: 'Test Source', location: 'https://example.com/feed', channel: 'ZoneNewsAdl' };
+
+    const read = (type, fetched) => readItems(getConnector(type), fetched, source);
+
+    it('should have a connector for every source type', () => {
+        expect(Object.keys(CONNECTORS).sort()).toEqual(Object.keys(CONNECTOR_TYPES).sort());
+        for (const connector of Object.values(CONNECTORS)) {
+            expect(typeof connector.fetch).toBe('function');
+            expect(typeof connector.parse).toBe('function');
+            expect(typeof connector.normalize).toBe('function');
+        }
+        expect(() => getConnector('ftp')).toThrow('Unknown connector type');
+    });
+
+    describe('RSS 2.0', () => {
+        it('should read items with encoded content, authors and categories', () => {
+            const { items, skipped } = read('rss', { body: fixture('rss.xml') });
+
+            expect(items).toHaveLength(2);
+            expect(skipped).toBe(1);
+            expect(items[0]).toEqual({
+                id: 'adl-1001',
+                url: 'https://adelaidedaily.example.com/news/tram-extension?utm_source=rss',
+                title: 'Tram line extension approved & funded',
+                content: 'Adelaide council has approved the tram line extension along King William Street.\n\n' +
+                    'Construction starts next month. Services are expected late next year.',
+                author: 'Sam Lee',
+                image_url: 'https://adelaidedaily.example.com/images/tram.jpg',
+                published_date: new Date('2026-03-09T21:30:00Z'),
+                updated_date: null,
+                categories: ['Transport', 'Local']
+            });
+        });
+
+        it('should fall back to the link for ids and to enclosures for images', () => {
+            const [, storm] = read('rss', { body: fixture('rss.xml') }).items;
+
+            expect(storm.id).toBe('https://adelaidedaily.example.com/news/storm-warning');
+            expect(storm.content).toBe('Heavy rain and flash flooding are forecast this weekend.');
+            expect(storm.image_url).toBe('https://cdn.example.com/storm.jpg');
+        });
+
+        it('should refuse documents that are not RSS', () => {
+            expect(() => read('rss', { body: fixture('atom.xml') })).toThrow('Not an RSS feed');
+        });
+    });
+
+    describe('Atom', () => {
+        it('should read html, xhtml and text constructs', () => {
+            const [budget, resignation] = read('atom', { body: fixture('atom.xml') }).items;
+
+            expect(budget.title).toBe('Budget passes the upper house');
+            expect(budget.url).toBe('https://sa-politics.example.org/2026/03/budget-passes');
+            expect(budget.content).toBe('The state budget passed the Legislative Council late last night.\n\nThe treasurer thanked the crossbench.');
+            expect(budget.author).toBe('SA Politics Desk');
+            expect(budget.image_url).toBe('https://sa-politics.example.org/budget.png');
+            expect(budget.published_date).toEqual(new Date('2026-03-09T22:30:00Z'));
+            expect(budget.updated_date).toEqual(new Date('2026-03-10T11:15:00Z'));
+            expect(budget.categories).toEqual(['Parliament']);
+
+            expect(resignation.content).toBe('A minister has resigned <effective immediately>.');
+            expect(resignation.author).toBe('Alex Chen');
+            expect(resignation.published_date).toEqual(new Date('2026-03-09T22:00:00Z'));
+        });
+    });
+
+    describe('JSON Feed', () => {
+        it('should read items with html or text content', () => {
+            const { items, skipped } = read('jsonfeed', { body: fixture('feed.json') });
+
+            expect(skipped).toBe(1);
+            expect(items[0]).toMatchObject({
+                id: '2026-opening-night',
+                title: 'Fringe opening night draws record crowds',
+                content: 'Record crowds filled Rundle Mall for the Fringe opening parade.\n\nOrganisers counted more than 80,000 people.',
+                author: 'Jo Park',
+                image_url: 'https://fringeguide.example.net/img/parade.jpg',
+                categories: ['Festival', 'Arts']
+            });
+            expect(items[1]).toMatchObject({
+                id: '42',
+                url: 'https://elsewhere.example.com/review',
+                title: null,
+                author: 'Fringe Guide'
+            });
+        });
+
+        it('should refuse JSON that is not a feed', () => {
+            expect(() => read('jsonfeed', { body: '{"items": []}' })).toThrow('Not a JSON Feed');
+        });
+    });
+
+    describe('sitemap.xml', () => {
+        const sitemap = CONNECTORS.sitemap;
+
+        it('should list pages with Google News details, and child sitemaps', () => {
+            const { urls } = sitemap.parseSitemap(fixture('sitemap.xml'));
+
+            expect(urls.map(url => url.loc)).toEqual([
+                'https://adelaidedaily.example.com/news/tram-extension',
+                'https://adelaidedaily.example.com/about',
+                'https://adelaidedaily.example.com/news/older'
+            ]);
+            expect(urls[0]).toMatchObject({ news_title: 'Tram line extension approved', keywords: ['Transport', 'Council'] });
+            expect(sitemap.parseSitemap(fixture('sitemap-index.xml')).sitemaps).toHaveLength(2);
+        });
+
+        it('should only read pages changed since the last poll, newest first', () => {
+            const { urls } = sitemap.parseSitemap(fixture('sitemap.xml'));
+
+            expect(sitemap.changedSince(urls, new Date('2026-03-05T00:00:00Z'), 20).map(url => url.loc))
+                .toEqual(['https://adelaidedaily.example.com/news/tram-extension']);
+            expect(sitemap.changedSince(urls, null, 20)).toHaveLength(3);
+            expect(sitemap.changedSince(urls, null, 1)[0].loc).toBe('https://adelaidedaily.example.com/news/tram-extension');
+        });
+
+        it('should make articles from the pages it fetched', () => {
+            const { urls } = sitemap.parseSitemap(fixture('sitemap.xml'));
+            const pages = { [urls[0].loc]: fixture('html/tram-extension.html') };
+            const [item] = read('sitemap', { urls, pages }).items;
+
+            expect(item).toMatchObject({
+                id: 'https://adelaidedaily.example.com/news/tram-extension',
+                title: 'Tram line extension approved',
+                author: 'Sam Lee',
+                published_date: new Date('2026-03-09T21:30:00Z'),
+                categories: ['Transport', 'Trams', 'Council']
+            });
+            expect(item.content).toBe('Adelaide council has approved the tram line extension along King William Street.\n\n' +
+                'Construction starts next month, and services are expected late next year.');
+        });
+    });
+
+    describe('HTML folder', () => {
+        const previousRoot = process.env.CONNECTOR_FILES_ROOT;
+
+        beforeAll(() => {
+            process.env.CONNECTOR_FILES_ROOT = FIXTURES;
+        });
+
+        afterAll(() => {
+            process.env.CONNECTOR_FILES_ROOT = previousRoot;
+        });
+
+        it('should read every page on the first poll and none once unchanged', async () => {
+            const connector = getConnector('html');
+            const fetched = await connector.fetch({ location: 'html' }, {});
+            const { items } = readItems(connector, fetched, source);
+
+            expect(items.map(item => item.id)).toEqual(['2026/notice.html', 'tram-extension.html']);
+            expect(items[0]).toMatchObject({
+                url: null,
+                title: 'Road closure on Sunday',
+                content: 'Grote Street will be closed between 6am and noon for the fun run.'
+            });
+            expect(items[1].url).toBe('https://adelaidedaily.example.com/news/tram-extension');
+
+            expect(await connector.fetch({ location: 'html' }, { last_modified: fetched.lastModified }))
+                .toEqual({ notModified: true, lastModified: fetched.lastModified });
+        });
+
+        it('should not read outside the sources folder', () => {
+            expect(resolveLocalPath('html/2026')).toBe(path.join(FIXTURES, 'html', '2026'));
+            expect(() => resolveLocalPath('../unit')).toThrow('outside the sources folder');
+        });
+    });
+
+    describe('Telegram export', () => {
+        it('should read channel messages with their links and reactions', () => {
+            const { items, skipped } = read('telegram', { body: fixture('telegram-result.json') });
+
+            expect(skipped).toBe(1);
+            expect(items).toHaveLength(1);
+            expect(items[0]).toMatchObject({
+                id: '512',
+                url: 'https://t.me/ZoneNewsAdl/512',
+                published_date: new Date('2026-03-09T22:00:00Z'),
+                updated_date: new Date('2026-03-09T22:15:00Z'),
+                links: ['https://adelaidedaily.example.com/news/tram-extension'],
+                telegram: { message_id: 512, channel: '@ZoneNewsAdl', reactions: { '👍': 12, '😢': 3 }, edited: true, media: true }
+            });
+            expect(items[0].content).toContain('King William Street. Construction starts next month. Read more at the Daily');
+        });
+    });
+
+    describe('conditional requests', () => {
+        it('should send back the ETag and Last-Modified of the last fetch', () => {
+            expect(conditionalHeaders({ etag: '"abc"', last_modified: 'Tue, 10 Mar 2026 08:00:00 GMT' })).toEqual({
+                'If-None-Match': '"abc"',
+                'If-Modified-Since': 'Tue, 10 Mar 2026 08:00:00 GMT'
+            });
+            expect(conditionalHeaders({})).toEqual({});
+        });
+    });
+});
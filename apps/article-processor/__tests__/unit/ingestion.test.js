@@ -0,0 +1,69 @@
+/**
+ * Unit Tests for checkpointed ingestion and backfill options
+ */
+
+const { ObjectId } = require('mongodb');
+const {
+    contentHash,
+    changedFields,
+    pendingQuery,
+    editedQuery,
+    parseBackfillArgs
+} = require('../../ingestion');
+
+describe('Ingestion', () => {
+    const now = new Date('2026-03-10T12:00:00Z');
+
+    describe('checkpoint queries', () => {
+        it('should read everything until a source has a checkpoint', () => {
+            const lastId = new ObjectId();
+
+            expect(pendingQuery(null)).toEqual({});
+            expect(pendingQuery(lastId)).toEqual({ _id: { $gt: lastId } });
+            expect(editedQuery(null, 48, now)).toBeNull();
+        });
+
+        it('should only look back so far for edits', () => {
+            const lastId = new ObjectId();
+            const query = editedQuery(lastId, 48, now);
+
+            expect(query._id).toEqual({ $lte: lastId });
+            expect(query.edited).toEqual({ $nin: [null, false] });
+            expect(query.date.$gte).toEqual(new Date('2026-03-08T12:00:00Z'));
+        });
+    });
+
+    describe('versions', () => {
+        it('should hash text so only real edits count', () => {
+            expect(contentHash('Tram line opens')).toBe(contentHash('Tram line opens'));
+            expect(contentHash('Tram line opens')).not.toBe(contentHash('Tram line opens today'));
+            expect(contentHash(undefined)).toBe(contentHash(''));
+        });
+
+        it('should list the extracted fields that changed', () => {
+            const previous = { title: 'Tram', content: 'Opens', category: 'Local News', tags: ['adelaide'], views: 10 };
+
+            expect(changedFields(previous, { ...previous, views: 500 })).toEqual([]);
+            expect(changedFields(previous, { ...previous, category: 'Technology', tags: ['adelaide', 'breaking'] }))
+                .toEqual(['category', 'tags']);
+            expect(changedFields({}, { image_url: null })).toEqual([]);
+        });
+    });
+
+    describe('parseBackfillArgs', () => {
+        it('should read a date range, source and force', () => {
+            expect(parseBackfillArgs(['--from', '2026-01-01', '--to', '2026-02-01', '--source', 'tbc_posts', '--force'], now))
+                .toEqual({ from: new Date('2026-01-01T00:00:00Z'), to: new Date('2026-02-01T00:00:00Z'), source: 'tbc_posts', force: true });
+            expect(parseBackfillArgs(['--from', '2026-03-01'], now))
+                .toEqual({ from: new Date('2026-03-01T00:00:00Z'), to: now, source: null, force: false });
+        });
+
+        it('should refuse missing, malformed and backwards ranges', () => {
+            expect(() => parseBackfillArgs([], now)).toThrow('--from is required');
+            expect(() => parseBackfillArgs(['--from', '01/03/2026'], now)).toThrow('--from must be a date');
+            expect(() => parseBackfillArgs(['--from', '2026-03-01', '--to', '2026-02-01'], now)).toThrow('--from must be before --to');
+            expect(() => parseBackfillArgs(['--from', '2026-03-01', '--source', 'news_articles'], now)).toThrow('Unknown source');
+            expect(() => parseBackfillArgs(['--from', '2026-03-01', '--dry-run'], now)).toThrow('Unknown option');
+        });
+    });
+});
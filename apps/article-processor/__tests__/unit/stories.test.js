@@ -0,0 +1,103 @@
+/**
+ * Unit Tests for story clustering: canonical URLs, MinHash and primaries
+ */
+
+const {
+    canonicalUrl,
+    shingles,
+    minhash,
+    similarity,
+    signatureBands,
+    matchingStories,
+    choosePrimary,
+    alsoReportedBy
+} = require('../../stories');
+
+describe('Stories', () => {
+    const story = 'Adelaide council has approved the tram line extension along King William Street, ' +
+        'with construction starting next month and services expected late next year, the transport minister said.';
+
+    describe('canonicalUrl', () => {
+        it('should give the same URL for the same page', () => {
+            const canonical = 'https://adelaidenow.com.au/news/tram';
+
+            expect(canonicalUrl('http://www.adelaidenow.com.au/news/tram/?utm_source=telegram#comments')).toBe(canonical);
+            expect(canonicalUrl('https://m.adelaidenow.com.au/news/tram/amp?fbclid=abc')).toBe(canonical);
+            expect(canonicalUrl('https://example.com/story?page=2&id=7&utm_medium=x')).toBe('https://example.com/story?id=7&page=2');
+        });
+
+        it('should ignore Telegram links and things that are not web pages', () => {
+            expect(canonicalUrl('https://t.me/ZoneNewsAdl/123')).toBeNull();
+            expect(canonicalUrl('mailto:news@example.com')).toBeNull();
+            expect(canonicalUrl('not a url')).toBeNull();
+            expect(canonicalUrl(null)).toBeNull();
+        });
+    });
+
+    describe('MinHash', () => {
+        it('should shingle words regardless of case, punctuation and links', () => {
+            expect(shingles('Tram line, OPENS! https://example.com today')).toEqual(['tram line opens', 'line opens today']);
+            expect(shingles('Breaking')).toEqual(['breaking']);
+            expect(shingles('  ...  ')).toEqual([]);
+        });
+
+        it('should rate reposts of a story alike and other stories apart', () => {
+            const original = minhash(story);
+            const repost = minhash(`🚋 BREAKING: ${story} More to come.`);
+            const other = minhash('Heavy rain and storms are forecast across South Australia this weekend, with flash flooding ' +
+                'warnings for the Adelaide Hills from the Bureau of Meteorology.');
+
+            expect(original).toHaveLength(128);
+            expect(similarity(original, minhash(story))).toBe(1);
+            expect(similarity(original, repost)).toBeGreaterThan(0.7);
+            expect(similarity(original, other)).toBeLessThan(0.1);
+            expect(minhash('')).toBeNull();
+        });
+
+        it('should band signatures so alike ones share a band', () => {
+            const bands = signatureBands(minhash(story));
+
+            expect(bands).toHaveLength(32);
+            expect(bands[0]).toMatch(/^0:/);
+            expect(signatureBands(minhash(`${story} More to come.`)).some(band => bands.includes(band))).toBe(true);
+            expect(signatureBands(null)).toEqual([]);
+        });
+    });
+
+    describe('matchingStories', () => {
+        it('should match by canonical URL or similar text, closest first', () => {
+            const signature = minhash(story);
+            const candidates = [
+                { story: { id: 'text', minhash: minhash(`${story} More to come.`) } },
+                { story: { id: 'url', minhash: minhash('Something else entirely happened in the city today'), canonical_url: 'https://example.com/tram' } },
+                { story: { id: 'other', minhash: minhash('Storms and flash flooding forecast for the Adelaide Hills this weekend') } }
+            ];
+
+            const matches = matchingStories({ signature, canonicalUrl: 'https://example.com/tram' }, candidates);
+            expect(matches.map(match => match.storyId)).toEqual(['url', 'text']);
+            expect(matches[0].score).toBe(1);
+            expect(matchingStories({ signature, canonicalUrl: null }, candidates.slice(1))).toEqual([]);
+        });
+    });
+
+    describe('primary article', () => {
+        const articles = [
+            { _id: 'url', title: 'Tram approved', siteName: 'The Advertiser', sourceUrl: 'https://adelaidenow.com.au/news/tram', publishedDate: new Date('2026-03-10T08:00:00Z') },
+            { _id: 'tbc', author: 'The Bloke Chain', telegram_data: { channel: '@TheBlokeChain' }, url: 'https://t.me/TheBlokeChain/10', published_date: new Date('2026-03-10T09:00:00Z') },
+            { _id: 'own', author: 'Zone News Adelaide', telegram_data: { channel: '@ZoneNewsAdl' }, url: 'https://t.me/ZoneNewsAdl/1', published_date: new Date('2026-03-10T10:00:00Z') }
+        ];
+
+        it('should lead with our own post, then other channel posts', () => {
+            expect(choosePrimary(articles)._id).toBe('own');
+            expect(choosePrimary(articles.slice(0, 2))._id).toBe('tbc');
+            expect(choosePrimary([articles[0]])._id).toBe('url');
+        });
+
+        it('should list the other reports, earliest first', () => {
+            expect(alsoReportedBy(articles[2], articles)).toEqual([
+                { article_id: 'url', source: 'The Advertiser', channel: null, url: 'https://adelaidenow.com.au/news/tram', published_date: new Date('2026-03-10T08:00:00Z') },
+                { article_id: 'tbc', source: 'The Bloke Chain', channel: '@TheBlokeChain', url: 'https://t.me/TheBlokeChain/10', published_date: new Date('2026-03-10T09:00:00Z') }
+            ]);
+        });
+    });
+});
@@ -0,0 +1,116 @@
+/**
+ * Category Trainer
+ * Trains the category classifier (see classifier.js) on the articles
+ * editors recategorized and keeps the models in `classifier_models`:
+ *   { version, model, examples, evaluation, trained_at }
+ *
+ * Before the stored model is trained on every corrected article, a model
+ * trained without the held-out fifth is scored on it; that is the
+ * `evaluation` the bot's /classifier command shows.
+ */
+
+const {
+    MODEL_VERSION,
+    trainModel,
+    splitHoldout,
+    evaluate
+} = require('./classifier');
+
+// Fewer corrections than this, or only one category, and keywords carry on
+const MIN_EXAMPLES = 30;
+const MAX_EXAMPLES = 50000;
+const KEEP_MODELS = 5;
+
+class CategoryTrainer {
+    constructor(db, { minConfidence = 0 } = {}) {
+        this.db = db;
+        this.minConfidence = minConfidence;
+    }
+
+    async ensureIndexes() {
+        await this.db.collection('news_articles').createIndex(
+            { 'metadata.category_source': 1, 'metadata.category_corrected_at': 1 }
+        );
+        await this.db.collection('classifier_models').createIndex({ trained_at: -1 });
+    }
+
+    /**
+     * The newest model this processor can use, or null
+     */
+    async loadModel() {
+        return this.db.collection('classifier_models').findOne(
+            { version: MODEL_VERSION },
+            { sort: { trained_at: -1 } }
+        );
+    }
+
+    /**
+     * Whether editors corrected any article since `current` was trained
+     */
+    async hasNewCorrections(current) {
+        const query = { 'metadata.category_source': 'editor' };
+        if (current) {
+            query['metadata.category_corrected_at'] = { $gt: current.trained_at };
+        }
+        return (await this.db.collection('news_articles').countDocuments(query, { limit: 1 })) > 0;
+    }
+
+    /**
+     * Corrected articles as { id, text, category }, newest corrections first
+     */
+    async examples() {
+        const articles = await this.db.collection('news_articles')
+            .find({ 'metadata.category_source': 'editor' }, { projection: { title: 1, content: 1, category: 1 } })
+            .sort({ 'metadata.category_corrected_at': -1 })
+            .limit(MAX_EXAMPLES)
+            .toArray();
+
+        return articles.map(article => ({
+            id: String(article._id),
+            text: `${article.title || ''}\n${article.content || ''}`,
+            category: article.category
+        }));
+    }
+
+    /**
+     * Train, evaluate and store a new model
+     * @returns {{ trained: boolean, model?: Object, reason?: string }} model is the stored document
+     */
+    async train() {
+        const examples = await this.examples();
+        const categories = new Set(examples.map(example => example.category));
+        if (examples.length < MIN_EXAMPLES || categories.size < 2) {
+            return {
+                trained: false,
+                reason: `Needs ${MIN_EXAMPLES} corrected articles in at least 2 categories (has ${examples.length} in ${categories.size})`
+            };
+        }
+
+        const { train, test } = splitHoldout(examples);
+        const evaluation = test.length > 0 && train.length > 0
+            ? evaluate(trainModel(train), test, { threshold: this.minConfidence })
+            : null;
+
+        const document = {
+            version: MODEL_VERSION,
+            model: trainModel(examples),
+            examples: examples.length,
+            evaluation,
+            trained_at: new Date()
+        };
+        await this.db.collection('classifier_models').insertOne(document);
+
+        const old = await this.db.collection('classifier_models')
+            .find({}, { projection: { _id: 1 } })
+            .sort({ trained_at: -1 })
+            .skip(KEEP_MODELS)
+            .toArray();
+        if (old.length > 0) {
+            await this.db.collection('classifier_models').deleteMany({ _id: { $in: old.map(model => model._id) } });
+        }
+
+        return { trained: true, model: document };
+    }
+}
+
+module.exports = CategoryTrainer;
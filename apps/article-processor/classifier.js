@@ -0,0 +1,254 @@
+/**
+ * Category classifier for the Article Processor
+ * Naive Bayes over TF-IDF weighted words, trained on editors' corrections
+ *
+ * Each article's words are weighted by log(1 + count) × IDF and scaled to
+ * unit length, so long posts don't outvote short ones; each category keeps
+ * the sum of its articles' weights. The model is plain JSON and is stored
+ * in `classifier_models` as trained.
+ *
+ * Articles the model isn't sure about (confidence below the processor's
+ * threshold) and everything before there is a model fall back to keyword
+ * matching, keywordCategory.
+ */
+
+const crypto = require('crypto');
+
+const MODEL_VERSION = 1;
+
+// Additive smoothing for words a category never had
+const SMOOTHING = 0.1;
+
+// The most common words are kept when there are more than this
+const MAX_VOCABULARY = 20000;
+
+// Share of the examples held out to evaluate a model
+const HOLDOUT_FRACTION = 0.2;
+
+const STOP_WORDS = new Set((
+    'a an and are as at be been but by for from had has have he her his i if in into is it its ' +
+    'me my no not of on or our she so than that the their them then there these they this to ' +
+    'up us was we were what when which who will with would you your'
+).split(' '));
+
+// The fallback: two matches for a category beat one, earlier categories win ties
+const KEYWORD_CATEGORIES = {
+    'Technology': ['robot', 'ai', 'tech', 'software', 'cyber', 'digital', 'computer', 'blockchain', 'crypto'],
+    'Sports': ['football', 'cricket', 'rugby', 'soccer', 'sport', 'game', 'match', 'team', 'afl', 'adelaide united'],
+    'Business': ['business', 'economy', 'market', 'trade', 'finance', 'company', 'stock', 'investment'],
+    'Politics': ['election', 'government', 'parliament', 'minister', 'policy', 'political', 'labor', 'liberal'],
+    'Entertainment': ['movie', 'music', 'concert', 'festival', 'art', 'theatre', 'celebrity', 'fringe'],
+    'Health': ['health', 'medical', 'hospital', 'doctor', 'disease', 'treatment', 'covid', 'vaccine'],
+    'Education': ['school', 'university', 'education', 'student', 'teacher', 'learning', 'adelaide uni'],
+    'Local News': ['adelaide', 'local', 'community', 'council', 'suburb', 'sa', 'south australia'],
+    'Crime': ['police', 'crime', 'court', 'arrest', 'charged', 'incident', 'investigation'],
+    'Weather': ['weather', 'temperature', 'rain', 'storm', 'forecast', 'bureau', 'climate']
+};
+
+/**
+ * Category by keyword matching, 'General' when nothing matches
+ */
+function keywordCategory(text) {
+    const lowerText = String(text || '').toLowerCase();
+
+    for (const [category, keywords] of Object.entries(KEYWORD_CATEGORIES)) {
+        const matchCount = keywords.filter(keyword => lowerText.includes(keyword)).length;
+        if (matchCount >= 2) {
+            return category;
+        }
+    }
+
+    // Single keyword match
+    for (const [category, keywords] of Object.entries(KEYWORD_CATEGORIES)) {
+        if (keywords.some(keyword => lowerText.includes(keyword))) {
+            return category;
+        }
+    }
+
+    return 'General';
+}
+
+/**
+ * Lower-case words of two or more letters or digits, without stop words
+ * and links
+ */
+function tokenize(text) {
+    return String(text || '')
+        .toLowerCase()
+        .replace(/https?:\/\/\S+/g, ' ')
+        .split(/[^\p{L}\p{N}]+/u)
+        .filter(word => word.length >= 2 && !STOP_WORDS.has(word));
+}
+
+/**
+ * A text's word weights under the model's IDF, scaled to unit length.
+ * Words the model doesn't know are left out.
+ * @returns {Map<string, number>}
+ */
+function features(idf, text) {
+    const counts = new Map();
+    for (const word of tokenize(text)) {
+        if (Object.hasOwn(idf, word)) {
+            counts.set(word, (counts.get(word) || 0) + 1);
+        }
+    }
+
+    const weights = new Map();
+    let length = 0;
+    for (const [word, count] of counts) {
+        const weight = Math.log(1 + count) * idf[word];
+        weights.set(word, weight);
+        length += weight * weight;
+    }
+    length = Math.sqrt(length);
+    for (const [word, weight] of weights) {
+        weights.set(word, weight / length);
+    }
+    return weights;
+}
+
+/**
+ * Train a model on labelled examples
+ * @param {Array<{ text: string, category: string }>} examples
+ */
+function trainModel(examples) {
+    const documentFrequency = new Map();
+    for (const { text } of examples) {
+        for (const word of new Set(tokenize(text))) {
+            documentFrequency.set(word, (documentFrequency.get(word) || 0) + 1);
+        }
+    }
+
+    const idf = {};
+    const vocabulary = [...documentFrequency.entries()]
+        .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+        .slice(0, MAX_VOCABULARY);
+    for (const [word, frequency] of vocabulary) {
+        idf[word] = Math.log((examples.length + 1) / (frequency + 1)) + 1;
+    }
+
+    const categories = {};
+    for (const { text, category } of examples) {
+        const totals = categories[category] || (categories[category] = { documents: 0, total: 0, weights: {} });
+        totals.documents++;
+        for (const [word, weight] of features(idf, text)) {
+            totals.weights[word] = (totals.weights[word] || 0) + weight;
+            totals.total += weight;
+        }
+    }
+
+    return {
+        version: MODEL_VERSION,
+        documents: examples.length,
+        vocabulary_size: vocabulary.length,
+        idf,
+        categories
+    };
+}
+
+/**
+ * The model's category for a text and how sure it is: the category's
+ * share of the probability over all categories. Text with no word the
+ * model knows gives { category: null, confidence: 0 }.
+ */
+function predict(model, text) {
+    const weights = features(model.idf, text);
+    const names = Object.keys(model.categories);
+    if (weights.size === 0 || names.length === 0) {
+        return { category: null, confidence: 0 };
+    }
+
+    const scores = names.map(name => {
+        const { documents, total, weights: wordWeights } = model.categories[name];
+        const denominator = total + SMOOTHING * model.vocabulary_size;
+        let score = Math.log((documents + 1) / (model.documents + names.length));
+        for (const [word, weight] of weights) {
+            const categoryWeight = Object.hasOwn(wordWeights, word) ? wordWeights[word] : 0;
+            score += weight * Math.log((categoryWeight + SMOOTHING) / denominator);
+        }
+        return score;
+    });
+
+    const best = scores.indexOf(Math.max(...scores));
+    const sum = scores.reduce((total, score) => total + Math.exp(score - scores[best]), 0);
+
+    return { category: names[best], confidence: 1 / sum };
+}
+
+/**
+ * Split examples into training and held-out sets. Which set an example is
+ * in depends only on its `id`, so the held-out set stays put as
+ * corrections are added.
+ * @returns {{ train: Array, test: Array }}
+ */
+function splitHoldout(examples, fraction = HOLDOUT_FRACTION) {
+    const train = [];
+    const test = [];
+    for (const example of examples) {
+        const bucket = crypto.createHash('sha1').update(String(example.id)).digest().readUInt32BE(0) / 2 ** 32;
+        (bucket < fraction ? test : train).push(example);
+    }
+    return { train, test };
+}
+
+/**
+ * How well a model does on labelled examples it wasn't trained on: overall
+ * accuracy, per-category precision and recall (null when undefined), and
+ * how many answers clear `threshold` and how many of those are right
+ */
+function evaluate(model, examples, { threshold = 0 } = {}) {
+    const categories = {};
+    const counts = name => categories[name] || (categories[name] = { support: 0, predicted: 0, correct: 0 });
+    let correct = 0;
+    let confident = 0;
+    let confidentCorrect = 0;
+
+    for (const { text, category } of examples) {
+        const prediction = predict(model, text);
+        const right = prediction.category === category;
+
+        counts(category).support++;
+        if (prediction.category) {
+            counts(prediction.category).predicted++;
+        }
+        if (right) {
+            counts(category).correct++;
+            correct++;
+        }
+        if (prediction.category && prediction.confidence >= threshold) {
+            confident++;
+            confidentCorrect += right ? 1 : 0;
+        }
+    }
+
+    const report = {
+        examples: examples.length,
+        accuracy: examples.length > 0 ? correct / examples.length : null,
+        threshold,
+        confident: {
+            share: examples.length > 0 ? confident / examples.length : null,
+            accuracy: confident > 0 ? confidentCorrect / confident : null
+        },
+        categories: {}
+    };
+    for (const name of Object.keys(categories).sort()) {
+        const { support, predicted, correct: right } = categories[name];
+        report.categories[name] = {
+            support,
+            precision: predicted > 0 ? right / predicted : null,
+            recall: support > 0 ? right / support : null
+        };
+    }
+    return report;
+}
+
+module.exports = {
+    MODEL_VERSION,
+    KEYWORD_CATEGORIES,
+    keywordCategory,
+    tokenize,
+    trainModel,
+    predict,
+    splitHoldout,
+    evaluate
+};
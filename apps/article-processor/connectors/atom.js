@@ -0,0 +1,82 @@
+/**
+ * Atom connector
+ */
+
+const { fetchDocument } = require('./fetching');
+const { loadXml, children, childText, htmlToText, firstImage, parseDate, absoluteUrl } = require('./markup');
+
+// Atom text constructs are plain text unless typed html or xhtml
+function textConstruct($, element) {
+    if (!element) {
+        return null;
+    }
+    const type = $(element).attr('type');
+    if (type === 'xhtml') {
+        return $(element).html()?.trim() || null;
+    }
+    const text = $(element).text().trim();
+    if (!text) {
+        return null;
+    }
+    return type === 'html' ? text : text.replace(/&/g, '&amp;').replace(/</g, '&lt;');
+}
+
+module.exports = {
+    type: 'atom',
+
+    async fetch(source, state) {
+        return fetchDocument(source.location, state);
+    },
+
+    parse({ body }) {
+        const $ = loadXml(body);
+        const feed = $('feed').first();
+        if (feed.length === 0) {
+            throw new Error('Not an Atom feed: no <feed>');
+        }
+        const feedAuthor = children($, feed, 'author').map(author => childText($, author, 'name'))[0] || null;
+
+        return children($, feed, 'entry').map(entry => {
+            const links = children($, entry, 'link');
+            const alternate = links.find(link => ['alternate', undefined].includes($(link).attr('rel')));
+            const enclosure = links.find(link => $(link).attr('rel') === 'enclosure' && /^image\//i.test($(link).attr('type') || ''));
+
+            return {
+                id: childText($, entry, 'id'),
+                link: $(alternate).attr('href') || null,
+                title: textConstruct($, children($, entry, 'title')[0]),
+                summary: textConstruct($, children($, entry, 'summary')[0]),
+                content: textConstruct($, children($, entry, 'content')[0]),
+                author: children($, entry, 'author').map(author => childText($, author, 'name'))[0] || feedAuthor,
+                published: childText($, entry, 'published'),
+                updated: childText($, entry, 'updated'),
+                categories: children($, entry, 'category')
+                    .map(category => $(category).attr('label') || $(category).attr('term'))
+                    .filter(Boolean),
+                image: $(enclosure).attr('href') || $(children($, entry, 'media:thumbnail', 'media:content')[0]).attr('url') || null,
+                base: feed.attr('xml:base') || null
+            };
+        });
+    },
+
+    normalize(entry) {
+        const html = entry.content || entry.summary || '';
+        const url = absoluteUrl(entry.link, entry.base);
+        const id = entry.id || url;
+        if (!id || !(entry.title || html)) {
+            return null;
+        }
+
+        return {
+            id,
+            url,
+            title: entry.title ? htmlToText(entry.title) : null,
+            content: htmlToText(html),
+            author: entry.author,
+            image_url: absoluteUrl(entry.image || firstImage(html), url),
+            published_date: parseDate(entry.published || entry.updated),
+            updated_date: parseDate(entry.updated),
+            categories: entry.categories
+        };
+    }
+};
@@ -0,0 +1,157 @@
+/**
+ * Fetching for the connectors: conditional HTTP requests and reading files
+ * under CONNECTOR_FILES_ROOT
+ *
+ * A source's `state` holds the `etag` and `last_modified` of what was read
+ * last. HTTP sources send them back as If-None-Match / If-Modified-Since;
+ * file sources compare modification times. Either way an unchanged source
+ * gives { notModified: true } and nothing is parsed.
+ */
+
+const fs = require('fs/promises');
+const path = require('path');
+
+const FETCH_TIMEOUT_MS = parseInt(process.env.CONNECTOR_FETCH_TIMEOUT_MS) || 15000;
+const MAX_DOCUMENT_BYTES = 5 * 1024 * 1024;
+const USER_AGENT = 'Mozilla/5.0 (compatible; ZoneNewsBot/2.0; +https://thezonenews.com)';
+
+function filesRoot() {
+    return path.resolve(process.env.CONNECTOR_FILES_ROOT || path.join(__dirname, '..', 'sources'));
+}
+
+/**
+ * Request headers that let the server answer 304 Not Modified
+ */
+function conditionalHeaders(state = {}) {
+    const headers = {};
+    if (state.etag) {
+        headers['If-None-Match'] = state.etag;
+    }
+    if (state.last_modified) {
+        headers['If-Modified-Since'] = state.last_modified;
+    }
+    return headers;
+}
+
+/**
+ * GET a document. With `state`, an unchanged document gives notModified.
+ * @returns {{ notModified, body, etag, lastModified, url }}
+ */
+async function fetchDocument(url, state = null) {
+    let response;
+    try {
+        response = await fetch(url, {
+            headers: {
+                'User-Agent': USER_AGENT,
+                Accept: 'application/rss+xml, application/atom+xml, application/feed+json, application/json, application/xml, text/xml, text/html;q=0.9, */*;q=0.8',
+                ...conditionalHeaders(state || {})
+            },
+            redirect: 'follow',
+            signal: AbortSignal.timeout(FETCH_TIMEOUT_MS)
+        });
+    } catch (error) {
+        // fetch only says "fetch failed"; the reason is in `cause`
+        throw new Error(`Could not fetch ${url}: ${error.cause?.message || error.message}`);
+    }
+
+    if (response.status === 304) {
+        return { notModified: true, etag: state?.etag || null, lastModified: state?.last_modified || null };
+    }
+    if (!response.ok) {
+        throw new Error(`HTTP ${response.status} from ${url}`);
+    }
+    if (parseInt(response.headers.get('content-length')) > MAX_DOCUMENT_BYTES) {
+        throw new Error(`${url} is larger than ${MAX_DOCUMENT_BYTES} bytes`);
+    }
+
+    const body = await response.text();
+    if (Buffer.byteLength(body) > MAX_DOCUMENT_BYTES) {
+        throw new Error(`${url} is larger than ${MAX_DOCUMENT_BYTES} bytes`);
+    }
+
+    return {
+        notModified: false,
+        body,
+        etag: response.headers.get('etag'),
+        lastModified: response.headers.get('last-modified'),
+        url: response.url || url
+    };
+}
+
+/**
+ * Absolute path for a source's location, refusing anything outside the
+ * files root
+ */
+function resolveLocalPath(location) {
+    const root = filesRoot();
+    const resolved = path.resolve(root, location);
+    if (resolved !== root && !resolved.startsWith(root + path.sep)) {
+        throw new Error(`"${location}" is outside the sources folder`);
+    }
+    return resolved;
+}
+
+/**
+ * Read a file source, skipping it when it hasn't changed since `state`
+ * @returns {{ notModified, body, lastModified }}
+ */
+async function readFile(location, state = null) {
+    const file = resolveLocalPath(location);
+    const stat = await fs.stat(file);
+    const lastModified = stat.mtime.toISOString();
+    if (state?.last_modified === lastModified) {
+        return { notModified: true, lastModified };
+    }
+    if (stat.size > MAX_DOCUMENT_BYTES * 10) {
+        throw new Error(`${location} is larger than ${MAX_DOCUMENT_BYTES * 10} bytes`);
+    }
+
+    return { notModified: false, body: await fs.readFile(file, 'utf8'), lastModified };
+}
+
+/**
+ * Read the files in a folder (and its subfolders) with one of `extensions`
+ * changed since `state`. The newest modification time becomes the folder's
+ * last_modified.
+ * @returns {{ notModified, files: Array<{ path, body, modified }>, lastModified }}
+ */
+async function readDirectory(location, state = null, extensions = ['.html', '.htm']) {
+    const dir = resolveLocalPath(location);
+    const since = state?.last_modified ? new Date(state.last_modified) : null;
+    const entries = await fs.readdir(dir, { recursive: true, withFileTypes: true });
+
+    const files = [];
+    let newest = since;
+    for (const entry of entries) {
+        if (!entry.isFile() || !extensions.includes(path.extname(entry.name).toLowerCase())) {
+            continue;
+        }
+        const file = path.join(entry.parentPath || entry.path || dir, entry.name);
+        const { mtime } = await fs.stat(file);
+        if (since && mtime <= since) {
+            continue;
+        }
+        files.push({
+            path: path.relative(dir, file).split(path.sep).join('/'),
+            body: await fs.readFile(file, 'utf8'),
+            modified: mtime
+        });
+        if (!newest || mtime > newest) {
+            newest = mtime;
+        }
+    }
+
+    if (files.length === 0) {
+        return { notModified: true, lastModified: state?.last_modified || null };
+    }
+    files.sort((a, b) => a.path.localeCompare(b.path));
+    return { notModified: false, files, lastModified: newest.toISOString() };
+}
+
+module.exports = {
+    conditionalHeaders,
+    fetchDocument,
+    resolveLocalPath,
+    readFile,
+    readDirectory
+};
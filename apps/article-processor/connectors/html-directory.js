@@ -0,0 +1,39 @@
+/**
+ * HTML folder connector
+ * Reads the .html files under a folder of CONNECTOR_FILES_ROOT that changed
+ * since the last poll. A file is one article, identified by its path.
+ */
+
+const { readDirectory } = require('./fetching');
+const { extractPage } = require('./html-page');
+
+module.exports = {
+    type: 'html',
+
+    async fetch(source, state) {
+        return readDirectory(source.location, state);
+    },
+
+    parse({ files }) {
+        return files.map(file => ({ path: file.path, html: file.body, modified: file.modified }));
+    },
+
+    normalize(entry) {
+        const page = extractPage(entry.html);
+        if (!page.title || !page.content) {
+            return null;
+        }
+
+        return {
+            id: entry.path,
+            url: page.url,
+            title: page.title,
+            content: page.content,
+            author: page.author || page.site_name,
+            image_url: page.image_url,
+            published_date: page.published_date || entry.modified,
+            updated_date: entry.modified,
+            categories: page.categories
+        };
+    }
+};
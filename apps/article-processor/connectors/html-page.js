@@ -0,0 +1,61 @@
+/**
+ * Reads an article out of a web page, for the sitemap and HTML folder
+ * connectors: Open Graph and article meta tags first, then the page itself
+ */
+
+const cheerio = require('cheerio');
+const { htmlToText, parseDate, absoluteUrl } = require('./markup');
+
+// Where the story text usually is, most specific first
+const CONTENT_SELECTORS = ['article', '[itemprop="articleBody"]', '.article-content', '.post-content', '.entry-content', 'main', 'body'];
+
+/**
+ * @param {string} html
+ * @param {string|null} pageUrl - where the page came from, for relative links
+ * @returns {{ url, title, content, author, image_url, published_date, site_name, categories }}
+ */
+function extractPage(html, pageUrl = null) {
+    const $ = cheerio.load(html);
+    const meta = name => $(`meta[property="${name}"], meta[name="${name}"]`).first().attr('content')?.trim() || null;
+
+    const url = absoluteUrl($('link[rel="canonical"]').attr('href') || meta('og:url'), pageUrl) || pageUrl;
+
+    const title = meta('og:title') || meta('twitter:title') || $('h1').first().text().trim() || $('title').text().trim() || null;
+
+    // The headline is the title, not part of the text
+    $('script, style, noscript, nav, header, footer, aside, form, h1').remove();
+    let content = '';
+    for (const selector of CONTENT_SELECTORS) {
+        const container = $(selector).first();
+        if (container.length === 0) {
+            continue;
+        }
+        const paragraphs = container.find('p').toArray().map(p => $.html(p)).join('');
+        content = htmlToText(paragraphs || container.html());
+        if (content) {
+            break;
+        }
+    }
+    if (!content) {
+        content = meta('og:description') || meta('description') || '';
+    }
+
+    const categories = [
+        meta('article:section'),
+        ...$('meta[property="article:tag"]').toArray().map(tag => $(tag).attr('content')),
+        ...(meta('keywords') || '').split(',')
+    ].map(category => category?.trim()).filter(Boolean);
+
+    return {
+        url,
+        title,
+        content,
+        author: meta('author') || meta('article:author') || $('[rel="author"]').first().text().trim() || null,
+        image_url: absoluteUrl(meta('og:image') || meta('twitter:image'), url),
+        published_date: parseDate(meta('article:published_time') || $('time[datetime]').first().attr('datetime')),
+        site_name: meta('og:site_name'),
+        categories: [...new Set(categories)]
+    };
+}
+
+module.exports = { extractPage };
@@ -0,0 +1,70 @@
+/**
+ * Source Connectors
+ * Sources registered in `source_connectors` (see
+ * libs/shared/src/source-connectors.js) are read by the connector for their
+ * type, in three steps:
+ *
+ *   fetch(source, state)     - the raw document(s); { notModified: true } when
+ *                              ETag, Last-Modified or file times say nothing changed
+ *   parse(fetched, source)   - the entries as the source has them
+ *   normalize(entry, source) - an item, or null to skip the entry
+ *
+ * parse and normalize do no I/O, so they can be tested against fixture files.
+ * Items have the same fields whatever the source:
+ *
+ *   { id, url, title, content, author, image_url, published_date,
+ *     updated_date, categories, links?, telegram? }
+ *
+ * `content` is plain text, `id` is unique within the source and `telegram`
+ * ({ message_id, channel, reactions, edited, media }) is set for posts from
+ * a Telegram export. The processor turns items into news_articles.
+ */
+
+const { CONNECTOR_TYPES } = require('../../../libs/shared/src/source-connectors');
+
+const CONNECTORS = {
+    rss: require('./rss'),
+    atom: require('./atom'),
+    jsonfeed: require('./json-feed'),
+    sitemap: require('./sitemap'),
+    telegram: require('./telegram-export'),
+    html: require('./html-directory')
+};
+
+function getConnector(type) {
+    if (!CONNECTOR_TYPES[type] || !CONNECTORS[type]) {
+        throw new Error(`Unknown connector type "${type}"`);
+    }
+    return CONNECTORS[type];
+}
+
+/**
+ * Parse and normalize what a connector fetched. Entries that can't be
+ * normalized are counted rather than failing the whole source.
+ * @returns {{ items, skipped, errors }}
+ */
+function readItems(connector, fetched, source) {
+    const result = { items: [], skipped: 0, errors: 0 };
+
+    for (const entry of connector.parse(fetched, source)) {
+        try {
+            const item = connector.normalize(entry, source);
+            if (item) {
+                result.items.push(item);
+            } else {
+                result.skipped++;
+            }
+        } catch (error) {
+            console.error(`❌ Error reading an entry of ${source.location}:`, error.message);
+            result.errors++;
+        }
+    }
+
+    return result;
+}
+
+module.exports = {
+    CONNECTORS,
+    getConnector,
+    readItems
+};
@@ -0,0 +1,52 @@
+/**
+ * JSON Feed connector (https://jsonfeed.org, versions 1 and 1.1)
+ */
+
+const { fetchDocument } = require('./fetching');
+const { htmlToText, firstImage, parseDate, absoluteUrl } = require('./markup');
+
+module.exports = {
+    type: 'jsonfeed',
+
+    async fetch(source, state) {
+        return fetchDocument(source.location, state);
+    },
+
+    parse({ body }) {
+        const feed = JSON.parse(body);
+        if (!String(feed.version || '').startsWith('https://jsonfeed.org/version/') || !Array.isArray(feed.items)) {
+            throw new Error('Not a JSON Feed: no version or items');
+        }
+
+        // Version 1 has a single `author`, 1.1 an `authors` list
+        const feedAuthor = feed.authors?.[0]?.name || feed.author?.name || null;
+        return feed.items.map(item => ({
+            ...item,
+            author_name: item.authors?.[0]?.name || item.author?.name || feedAuthor,
+            home_page_url: feed.home_page_url || null
+        }));
+    },
+
+    normalize(entry) {
+        const url = absoluteUrl(entry.url || entry.external_url, entry.home_page_url);
+        const id = entry.id != null ? String(entry.id) : url;
+        const content = entry.content_html
+            ? htmlToText(entry.content_html)
+            : (entry.content_text || htmlToText(entry.summary)).trim();
+        if (!id || !(entry.title || content)) {
+            return null;
+        }
+
+        return {
+            id,
+            url,
+            title: entry.title ? String(entry.title).trim() : null,
+            content,
+            author: entry.author_name,
+            image_url: absoluteUrl(entry.image || entry.banner_image || firstImage(entry.content_html), url),
+            published_date: parseDate(entry.date_published || entry.date_modified),
+            updated_date: parseDate(entry.date_modified),
+            categories: Array.isArray(entry.tags) ? entry.tags.map(String) : []
+        };
+    }
+};
@@ -0,0 +1,96 @@
+/**
+ * Markup helpers shared by the connectors: reading XML elements, turning
+ * HTML into the plain text articles store, and lenient dates
+ */
+
+const cheerio = require('cheerio');
+
+const BLOCK_ELEMENTS = 'p, div, section, article, li, h1, h2, h3, h4, h5, h6, blockquote, pre, figure, figcaption, tr';
+
+function loadXml(xml) {
+    return cheerio.load(xml, { xml: true });
+}
+
+/**
+ * The child elements of `element` with one of `names`, compared without
+ * case. Namespaced names are given with their prefix ("dc:creator").
+ */
+function children($, element, ...names) {
+    return $(element).children().filter((i, child) => names.includes(child.tagName.toLowerCase())).toArray();
+}
+
+/**
+ * Trimmed text of the first child with one of `names`, or null
+ */
+function childText($, element, ...names) {
+    const [child] = children($, element, ...names);
+    const text = child ? $(child).text().trim() : '';
+    return text || null;
+}
+
+/**
+ * Plain text from HTML, one paragraph per block element
+ */
+function htmlToText(html) {
+    if (!html) {
+        return '';
+    }
+    const $ = cheerio.load(`<body>${html}</body>`);
+    $('script, style, noscript, iframe').remove();
+    $('br').replaceWith('\n');
+    $(BLOCK_ELEMENTS).each((i, element) => {
+        $(element).prepend('\n\n').append('\n\n');
+    });
+
+    return $('body').text()
+        .split(/\n{2,}/)
+        .map(paragraph => paragraph.replace(/\s+/g, ' ').trim())
+        .filter(Boolean)
+        .join('\n\n');
+}
+
+/**
+ * The first image in some HTML, or null
+ */
+function firstImage(html) {
+    if (!html) {
+        return null;
+    }
+    return cheerio.load(html)('img[src]').first().attr('src') || null;
+}
+
+/**
+ * A date from RFC 822 (RSS), RFC 3339 (Atom, JSON Feed) or anything else
+ * Date understands; null when there isn't one
+ */
+function parseDate(value) {
+    if (!value) {
+        return null;
+    }
+    const date = new Date(typeof value === 'number' ? value * 1000 : String(value).trim());
+    return isNaN(date) ? null : date;
+}
+
+/**
+ * An absolute URL for `url` as found on `base`, or null
+ */
+function absoluteUrl(url, base) {
+    if (!url) {
+        return null;
+    }
+    try {
+        return new URL(String(url).trim(), base || undefined).href;
+    } catch {
+        return null;
+    }
+}
+
+module.exports = {
+    loadXml,
+    children,
+    childText,
+    htmlToText,
+    firstImage,
+    parseDate,
+    absoluteUrl
+};
@@ -0,0 +1,63 @@
+/**
+ * RSS 2.0 connector
+ */
+
+const { fetchDocument } = require('./fetching');
+const { loadXml, children, childText, htmlToText, firstImage, parseDate, absoluteUrl } = require('./markup');
+
+const IMAGE_TYPES = /^image\//i;
+
+module.exports = {
+    type: 'rss',
+
+    async fetch(source, state) {
+        return fetchDocument(source.location, state);
+    },
+
+    parse({ body }) {
+        const $ = loadXml(body);
+        const channel = $('channel').first();
+        if (channel.length === 0) {
+            throw new Error('Not an RSS feed: no <channel>');
+        }
+
+        return $('item').toArray().map(item => {
+            const enclosure = children($, item, 'enclosure').find(el => IMAGE_TYPES.test($(el).attr('type') || ''));
+            const media = children($, item, 'media:content', 'media:thumbnail')[0];
+
+            return {
+                guid: childText($, item, 'guid'),
+                link: childText($, item, 'link'),
+                title: childText($, item, 'title'),
+                description: childText($, item, 'description'),
+                content: childText($, item, 'content:encoded'),
+                author: childText($, item, 'dc:creator', 'author'),
+                published: childText($, item, 'pubdate', 'dc:date'),
+                categories: children($, item, 'category').map(category => $(category).text().trim()).filter(Boolean),
+                image: $(enclosure || media).attr('url') || null,
+                feed_link: childText($, channel, 'link')
+            };
+        });
+    },
+
+    normalize(entry) {
+        const html = entry.content || entry.description || '';
+        const url = absoluteUrl(entry.link, entry.feed_link);
+        const id = entry.guid || url || (entry.title && `${entry.title}|${entry.published || ''}`);
+        if (!id || !(entry.title || html)) {
+            return null;
+        }
+
+        return {
+            id,
+            url,
+            title: entry.title ? htmlToText(entry.title) : null,
+            content: htmlToText(html),
+            author: entry.author,
+            image_url: absoluteUrl(entry.image || firstImage(html), url),
+            published_date: parseDate(entry.published),
+            updated_date: null,
+            categories: entry.categories
+        };
+    }
+};
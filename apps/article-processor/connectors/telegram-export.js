@@ -0,0 +1,84 @@
+/**
+ * Telegram channel export connector
+ * Reads the result.json Telegram Desktop writes when exporting a channel
+ * ("Export chat history" as JSON), from a URL or a file. Set the source's
+ * `channel` (@username) to link articles to their posts and match them
+ * with posts the bot already collected.
+ */
+
+const { fetchDocument, readFile } = require('./fetching');
+const { isUrl } = require('../../../libs/shared/src/source-connectors');
+const { parseDate } = require('./markup');
+
+// Posts shorter than this are skipped, as they are from the channel collections
+const MIN_TEXT_LENGTH = 50;
+
+/**
+ * A message's text, which the export gives either as a string or as a list
+ * of strings and entities ({ type, text, href })
+ * @returns {{ text, links }}
+ */
+function messageText(text) {
+    if (typeof text === 'string') {
+        return { text, links: [] };
+    }
+    const parts = Array.isArray(text) ? text : [];
+    return {
+        text: parts.map(part => (typeof part === 'string' ? part : part.text || '')).join(''),
+        links: parts.filter(part => part?.type === 'text_link' && part.href).map(part => part.href)
+    };
+}
+
+module.exports = {
+    type: 'telegram',
+    messageText,
+
+    async fetch(source, state) {
+        return isUrl(source.location) ? fetchDocument(source.location, state) : readFile(source.location, state);
+    },
+
+    parse({ body }) {
+        const dump = JSON.parse(body);
+        if (!Array.isArray(dump.messages)) {
+            throw new Error('Not a Telegram export: no messages');
+        }
+        return dump.messages
+            .filter(message => message.type === 'message')
+            .map(message => ({ ...message, chat_id: dump.id ?? null, chat_name: dump.name || null }));
+    },
+
+    normalize(message, source) {
+        const { text, links } = messageText(message.text);
+        if (text.trim().length < MIN_TEXT_LENGTH) {
+            return null;
+        }
+
+        const channel = source.channel ? `@${source.channel.replace(/^@/, '')}` : null;
+        const reactions = {};
+        for (const reaction of message.reactions || []) {
+            if (reaction.emoji) {
+                reactions[reaction.emoji] = reaction.count || 0;
+            }
+        }
+
+        return {
+            id: String(message.id),
+            url: channel ? `https://t.me/${channel.slice(1)}/${message.id}` : null,
+            title: null,
+            content: text,
+            author: null,
+            image_url: null,
+            published_date: parseDate(Number(message.date_unixtime) || null) || parseDate(message.date),
+            updated_date: parseDate(Number(message.edited_unixtime) || null) || parseDate(message.edited),
+            categories: [],
+            links,
+            telegram: {
+                message_id: message.id,
+                channel,
+                reactions,
+                edited: Boolean(message.edited),
+                media: Boolean(message.photo || message.media_type)
+            }
+        };
+    }
+};
@@ -9,8 +9,12 @@ module.exports = {
     env: {
       NODE_ENV: 'production',
       MONGODB_URI: 'mongodb://localhost:27017/zone_news_production',
-      MODE: 'continuous',
-      PROCESS_INTERVAL: '*/5 * * * *' // Every 5 minutes
+      MODE: 'continuous', // or 'stream' to process posts as they arrive
+      PROCESS_INTERVAL: '*/5 * * * *', // Every 5 minutes
+      EDIT_LOOKBACK_HOURS: 48, // How far back to look for edited posts
+      CONNECTOR_FILES_ROOT: '/root/zone-news-sources', // Telegram exports and HTML folders registered with /sources
+      CLASSIFIER_MIN_CONFIDENCE: 0.6, // Below this the category comes from keywords
+      CLASSIFIER_RETRAIN_MINUTES: 60 // How often to retrain on editors' category corrections
     },
     error_file: '/root/logs/article-processor-error.log',
     out_file: '/root/logs/article-processor-out.log',
@@ -4,22 +4,73 @@
  * Article Processor Service
  * Transforms raw telegram posts into formatted news articles
  * Part of Zone News Monorepo
+ *
+ * Runs once, every PROCESS_INTERVAL (MODE=continuous) or as posts arrive
+ * (MODE=stream), picking up from each source's checkpoint, polls the
+ * feeds, sitemaps and exports workspaces registered (see connectors/), then
+ * groups new articles into stories (see story-clusterer.js) and indexes
+ * new and changed articles for search (libs/shared/src/search-index.js).
+ * Categories come from a classifier trained on editors' corrections when
+ * it is sure enough, otherwise from keywords (see classifier.js).
+ * `node index.js backfill --from YYYY-MM-DD` reprocesses a date range;
+ * `node index.js train` retrains the classifier now;
+ * `node index.js reindex` rebuilds the search index.
  */
 
 const { MongoClient } = require('mongodb');
 const cron = require('node-cron');
+const {
+    SOURCES,
+    EXTRACTION_VERSION,
+    EXTRACTED_FIELDS,
+    contentHash,
+    changedFields,
+    pendingQuery,
+    editedQuery,
+    parseBackfillArgs
+} = require('./ingestion');
+const { canonicalUrl } = require('./stories');
+const StoryClusterer = require('./story-clusterer');
+const CategoryTrainer = require('./category-trainer');
+const { keywordCategory, predict } = require('./classifier');
+const { getConnector, readItems } = require('./connectors');
+const { mapCategory, nextPollAt } = require('../../libs/shared/src/source-connectors');
+const SearchIndex = require('../../libs/shared/src/search-index');
 require('dotenv').config();
 
 const MONGODB_URI = process.env.MONGODB_URI || 'mongodb://localhost:27017/zone_news_production';
 const PROCESS_INTERVAL = process.env.PROCESS_INTERVAL || '*/5 * * * *'; // Every 5 minutes
+const BATCH_SIZE = parseInt(process.env.INGEST_BATCH_SIZE) || 200;
+const EDIT_LOOKBACK_HOURS = parseInt(process.env.EDIT_LOOKBACK_HOURS) || 48;
+const TAIL_INTERVAL_MS = parseInt(process.env.TAIL_INTERVAL_MS) || 10000; // Stream mode without a replica set
+const CONNECTOR_CHECK_MS = parseInt(process.env.CONNECTOR_CHECK_MS) || 60000; // Stream mode: how often to look for due sources
+const CLASSIFIER_MIN_CONFIDENCE = parseFloat(process.env.CLASSIFIER_MIN_CONFIDENCE) || 0.6; // Below this, keywords decide
+const CLASSIFIER_CHECK_MS = (parseInt(process.env.CLASSIFIER_RETRAIN_MINUTES) || 60) * 60 * 1000; // How often to retrain on new corrections
+
+// Change streams need a replica set; these codes mean the server can't give one
+const CHANGE_STREAMS_UNSUPPORTED = [40573, 40324];
+// The stored resume token has fallen off the oplog
+const CHANGE_STREAM_HISTORY_LOST = 286;
 
 class ArticleProcessorService {
     constructor() {
         this.client = null;
         this.db = null;
         this.isProcessing = false;
+        this.streams = [];
+        this.tailTimers = new Map();
+        this.storyTimer = null;
+        this.connectorTimer = null;
+        this.classifierTimer = null;
+        this.classifier = null;
+        this.classifierCheckedAt = 0;
+        this.isClustering = false;
+        this.isIndexing = false;
+        this.isPolling = false;
+        this.stopped = false;
         this.stats = {
             processed: 0,
+            reprocessed: 0,
             skipped: 0,
             errors: 0,
             lastRun: null
@@ -34,14 +85,28 @@ class ArticleProcessorService {
             console.log('✅ Article Processor Service initialized');
             console.log(`📊 Connected to database: ${this.db.databaseName}`);
             
+            await this.db.collection('ingestion_checkpoints').createIndex({ source: 1 }, { unique: true });
+            await this.db.collection('news_articles').createIndex({ 'telegram_data.message_id': 1, 'telegram_data.channel': 1 });
+            await this.db.collection('news_article_versions').createIndex({ article_id: 1, replaced_at: -1 });
+            await this.db.collection('news_articles').createIndex({ 'connector_data.source_id': 1, 'connector_data.item_id': 1 }, { sparse: true });
+            await this.db.collection('source_connectors').createIndex({ enabled: 1, next_poll_at: 1 });
+            
+            this.stories = new StoryClusterer(this.db);
+            await this.stories.ensureIndexes();
+            
+            this.searchIndex = new SearchIndex(this.db);
+            await this.searchIndex.ensureIndexes();
+            
+            this.categoryTrainer = new CategoryTrainer(this.db, { minConfidence: CLASSIFIER_MIN_CONFIDENCE });
+            await this.categoryTrainer.ensureIndexes();
+            this.classifier = await this.categoryTrainer.loadModel();
+            console.log(this.classifier
+                ? `🏷 Category classifier trained ${this.classifier.trained_at.toISOString()} on ${this.classifier.examples} corrections`
+                : '🏷 No category classifier yet; categorising by keywords');
+            
             // Check current status
             await this.checkStatus();
             
-            // Start continuous processing
-            if (process.env.MODE === 'continuous') {
-                this.startContinuousProcessing();
-            }
-            
             return true;
         } catch (error) {
             console.error('❌ Initialization failed:', error);
@@ -54,6 +119,7 @@ class ArticleProcessorService {
             'telegram_zone_news',
             'tbc_posts',
             'raw_channel_posts',
+            'source_connectors',
             'news_articles'
         ];
 
@@ -100,42 +166,30 @@ class ArticleProcessorService {
         return content;
     }
 
-    determineCategory(text, channel) {
+    /**
+     * An article's category and where it came from: the channel, the
+     * classifier when it is at least CLASSIFIER_MIN_CONFIDENCE sure, or
+     * keywords
+     * @returns {{ category, confidence, source: 'channel'|'model'|'keywords' }}
+     */
+    classifyCategory(text, channel) {
         // Topic 9 for TBC channel
         if (channel === '@TheBlokeChain' || channel === '@TBC') {
-            return 'Technology'; // Topic 9 = Tech/Crypto
-        }
-
-        const categoryKeywords = {
-            'Technology': ['robot', 'ai', 'tech', 'software', 'cyber', 'digital', 'computer', 'blockchain', 'crypto'],
-            'Sports': ['football', 'cricket', 'rugby', 'soccer', 'sport', 'game', 'match', 'team', 'afl', 'adelaide united'],
-            'Business': ['business', 'economy', 'market', 'trade', 'finance', 'company', 'stock', 'investment'],
-            'Politics': ['election', 'government', 'parliament', 'minister', 'policy', 'political', 'labor', 'liberal'],
-            'Entertainment': ['movie', 'music', 'concert', 'festival', 'art', 'theatre', 'celebrity', 'fringe'],
-            'Health': ['health', 'medical', 'hospital', 'doctor', 'disease', 'treatment', 'covid', 'vaccine'],
-            'Education': ['school', 'university', 'education', 'student', 'teacher', 'learning', 'adelaide uni'],
-            'Local News': ['adelaide', 'local', 'community', 'council', 'suburb', 'sa', 'south australia'],
-            'Crime': ['police', 'crime', 'court', 'arrest', 'charged', 'incident', 'investigation'],
-            'Weather': ['weather', 'temperature', 'rain', 'storm', 'forecast', 'bureau', 'climate']
-        };
-
-        const lowerText = text.toLowerCase();
-        
-        for (const [category, keywords] of Object.entries(categoryKeywords)) {
-            const matchCount = keywords.filter(keyword => lowerText.includes(keyword)).length;
-            if (matchCount >= 2) {
-                return category;
-            }
+            return { category: 'Technology', confidence: null, source: 'channel' }; // Topic 9 = Tech/Crypto
         }
-        
-        // Single keyword match
-        for (const [category, keywords] of Object.entries(categoryKeywords)) {
-            if (keywords.some(keyword => lowerText.includes(keyword))) {
-                return category;
+
+        if (this.classifier) {
+            const prediction = predict(this.classifier.model, text);
+            if (prediction.category && prediction.confidence >= CLASSIFIER_MIN_CONFIDENCE) {
+                return { ...prediction, source: 'model' };
             }
         }
         
-        return 'General';
+        return { category: keywordCategory(text), confidence: null, source: 'keywords' };
+    }
+
+    determineCategory(text, channel) {
+        return this.classifyCategory(text, channel).category;
     }
 
     extractTags(text) {
@@ -194,31 +248,105 @@ class ArticleProcessorService {
         return null;
     }
 
-    async checkDuplicate(messageId, channel) {
-        const existing = await this.db.collection('news_articles').findOne({
+    /**
+     * The page a post links to, for matching it with other reports of the
+     * same story. Links to other Telegram posts don't count.
+     */
+    extractSourceUrl(text) {
+        const urls = (text || '').match(/https?:\/\/[^\s<>"')\]]+/g) || [];
+        const url = urls.map(u => u.replace(/[.,;:!?]+$/, '')).find(u => canonicalUrl(u));
+        
+        return url || null;
+    }
+
+    async findArticle(messageId, channel) {
+        return this.db.collection('news_articles').findOne({
             'telegram_data.message_id': messageId,
             'telegram_data.channel': channel
         });
+    }
+
+    /**
+     * Whether a post's text changed since its article was made. Articles
+     * from before content hashes were kept are compared by extracted text.
+     */
+    isEdited(article, text) {
+        const hash = article.telegram_data?.content_hash;
+        if (hash) {
+            return hash !== contentHash(text);
+        }
+        return article.content !== this.extractContent(text) || article.title !== this.extractTitle(text);
+    }
+
+    buildArticle(telegramPost, source) {
+        const { 
+            text, 
+            message_id, 
+            date, 
+            views, 
+            forwards, 
+            replies,
+            channel, 
+            media,
+            reactions,
+            edited,
+            posted_to_tbc,
+            tbc_message_id
+        } = telegramPost;
+        const category = this.classifyCategory(text, channel);
         
-        return existing !== null;
+        // Transform to news_articles format
+        const article = {
+            title: this.extractTitle(text),
+            content: this.extractContent(text),
+            author: this.getAuthorName(channel),
+            source: 'Zone News',
+            category: category.category,
+            location: 'Adelaide, SA',
+            views: views || 0,
+            likes: this.calculateLikes(reactions),
+            shares: forwards || 0,
+            comments: replies || 0,
+            published_date: date || new Date(),
+            url: `https://t.me/${channel.replace('@', '')}/${message_id}`,
+            image_url: this.extractImageUrl(text, media),
+            source_url: this.extractSourceUrl(text),
+            is_trending: views > 100 || forwards > 10,
+            engagement_score: 0,
+            tags: this.extractTags(text),
+            telegram_data: {
+                message_id,
+                channel,
+                reactions: reactions || {},
+                forwards: forwards || 0,
+                edited: edited || false,
+                content_hash: contentHash(text),
+                source_collection: source
+            },
+            cross_posting: {
+                posted_to_tbc: posted_to_tbc || false,
+                tbc_message_id: tbc_message_id || null
+            },
+            metadata: {
+                processed_at: new Date(),
+                processor_version: EXTRACTION_VERSION,
+                auto_categorized: true,
+                category_source: category.source,
+                category_confidence: category.confidence
+            },
+            status: 'published'
+        };
+        
+        // Calculate engagement score
+        const totalEngagement = (views || 0) + (forwards || 0) * 2 + (replies || 0) * 1.5;
+        article.engagement_score = Math.min(totalEngagement / 1000, 1);
+        
+        return article;
     }
 
     async processArticle(telegramPost, source = 'telegram_zone_news') {
         try {
-            const { 
-                text, 
-                message_id, 
-                date, 
-                views, 
-                forwards, 
-                replies,
-                channel, 
-                media,
-                reactions,
-                edited,
-                posted_to_tbc,
-                tbc_message_id
-            } = telegramPost;
+            const { text, message_id, channel, edited } = telegramPost;
             
             // Skip if no text content
             if (!text || text.trim().length < 50) {
@@ -226,55 +354,23 @@ class ArticleProcessorService {
                 return null;
             }
             
-            // Check for duplicates
-            if (await this.checkDuplicate(message_id, channel)) {
-                this.stats.skipped++;
-                return null;
+            // Already processed: only an edit to the text makes it worth redoing
+            const existing = await this.findArticle(message_id, channel);
+            if (existing) {
+                if (!edited || !this.isEdited(existing, text)) {
+                    this.stats.skipped++;
+                    return null;
+                }
+                const { article } = await this.reprocessArticle(existing, telegramPost, source, 'edited');
+                console.log(`✏️ Reprocessed edit: ${article.title.substring(0, 50)}...`);
+                return article;
             }
             
-            // Transform to news_articles format
-            const article = {
-                title: this.extractTitle(text),
-                content: this.extractContent(text),
-                author: this.getAuthorName(channel),
-                source: 'Zone News',
-                category: this.determineCategory(text, channel),
-                location: 'Adelaide, SA',
-                views: views || 0,
-                likes: this.calculateLikes(reactions),
-                shares: forwards || 0,
-                comments: replies || 0,
-                published_date: date || new Date(),
-                url: `https://t.me/${channel.replace('@', '')}/${message_id}`,
-                image_url: this.extractImageUrl(text, media),
-                is_trending: views > 100 || forwards > 10,
-                engagement_score: 0,
-                tags: this.extractTags(text),
-                telegram_data: {
-                    message_id,
-                    channel,
-                    reactions: reactions || {},
-                    forwards: forwards || 0,
-                    edited: edited || false,
-                    source_collection: source
-                },
-                cross_posting: {
-                    posted_to_tbc: posted_to_tbc || false,
-                    tbc_message_id: tbc_message_id || null
-                },
-                metadata: {
-                    processed_at: new Date(),
-                    processor_version: '2.0.0',
-                    auto_categorized: true
-                },
-                status: 'published'
-            };
-            
-            // Calculate engagement score
-            const totalEngagement = (views || 0) + (forwards || 0) * 2 + (replies || 0) * 1.5;
-            article.engagement_score = Math.min(totalEngagement / 1000, 1);
+            const article = this.buildArticle(telegramPost, source);
             
-            // Insert into news_articles
+            // Insert into news_articles; ingested_at is what workflow
+            // triggers pick new articles up by
+            article.ingested_at = new Date();
             await this.db.collection('news_articles').insertOne(article);
             this.stats.processed++;
             
@@ -288,6 +384,194 @@ class ArticleProcessorService {
         }
     }
 
+    /**
+     * Re-extract an existing article from its post, keeping what the
+     * article looked like before in news_article_versions. The article keeps
+     * its _id, status and anything added after processing (images, AI
+     * summaries); only the extracted fields and engagement are replaced.
+     * @param {string} reason - 'edited' or 'backfill'
+     * @returns {{ article, changed }} the new article and which extracted fields changed
+     */
+    async reprocessArticle(existing, telegramPost, source, reason) {
+        const article = this.buildArticle(telegramPost, source);
+        const changed = await this.replaceArticle(existing, article, reason, {
+            views: article.views,
+            likes: article.likes,
+            shares: article.shares,
+            comments: article.comments,
+            is_trending: article.is_trending,
+            engagement_score: article.engagement_score,
+            'telegram_data.reactions': article.telegram_data.reactions,
+            'telegram_data.forwards': article.telegram_data.forwards,
+            'telegram_data.edited': article.telegram_data.edited,
+            'telegram_data.content_hash': article.telegram_data.content_hash
+        });
+        
+        return { article, changed };
+    }
+
+    /**
+     * Replace an existing article's extracted fields with those of a newly
+     * built one, plus `update`, keeping the old fields in
+     * news_article_versions when any changed. A category an editor chose
+     * is kept.
+     * @returns {string[]} the extracted fields that changed
+     */
+    async replaceArticle(existing, article, reason, update = {}) {
+        const corrected = existing.metadata?.category_source === 'editor';
+        if (corrected) {
+            article = { ...article, category: existing.category };
+        }
+        const changed = changedFields(existing, article);
+        const now = new Date();
+        
+        if (changed.length > 0) {
+            const previous = {};
+            for (const field of EXTRACTED_FIELDS) {
+                previous[field] = existing[field] ?? null;
+            }
+            await this.db.collection('news_article_versions').insertOne({
+                article_id: existing._id,
+                message_id: article.telegram_data?.message_id ?? null,
+                channel: article.telegram_data?.channel ?? null,
+                connector_source_id: article.connector_data?.source_id ?? null,
+                processor_version: existing.metadata?.processor_version || null,
+                processed_at: existing.metadata?.processed_at || null,
+                article: previous,
+                changed_fields: changed,
+                reason,
+                replaced_at: now
+            });
+        }
+        
+        const set = {
+            ...update,
+            'metadata.processor_version': EXTRACTION_VERSION,
+            'metadata.reprocessed_at': now,
+            'metadata.reprocess_reason': reason
+        };
+        if (!corrected) {
+            set['metadata.category_source'] = article.metadata.category_source;
+            set['metadata.category_confidence'] = article.metadata.category_confidence;
+        }
+        for (const field of EXTRACTED_FIELDS) {
+            set[field] = article[field];
+        }
+        await this.db.collection('news_articles').updateOne(
+            { _id: existing._id },
+            { $set: set, $unset: { search_indexed_at: '' } }
+        );
+        this.stats.reprocessed++;
+        
+        return changed;
+    }
+
+    /**
+     * Turn a connector item into a news_articles document. Categories come
+     * from the source's category map, then its default category, then the
+     * same classifier and keywords channel posts get.
+     */
+    buildConnectorArticle(item, source) {
+        const text = item.title ? `${item.title}\n${item.content}` : item.content;
+        const telegram = item.telegram || null;
+        const mapped = mapCategory(source.category_map, item.categories) || source.default_category || null;
+        const category = mapped
+            ? { category: mapped, confidence: null, source: 'source' }
+            : this.classifyCategory(text, telegram?.channel || '');
+        const tags = (item.categories || [])
+            .map(category => category.toLowerCase().replace(/[^\p{L}\p{N}]+/gu, ''))
+            .filter(Boolean);
+        
+        const article = {
+            title: item.title || this.extractTitle(item.content),
+            content: this.extractContent(item.content),
+            author: item.author || (telegram?.channel ? this.getAuthorName(telegram.channel) : source.name),
+            source: source.name,
+            category: category.category,
+            location: 'Adelaide, SA',
+            views: 0,
+            likes: this.calculateLikes(telegram?.reactions),
+            shares: 0,
+            comments: 0,
+            published_date: item.published_date || new Date(),
+            url: item.url,
+            image_url: item.image_url || this.extractImageUrl(text, telegram?.media),
+            source_url: canonicalUrl(item.url) ? item.url : this.extractSourceUrl([item.content, ...(item.links || [])].join('\n')),
+            is_trending: false,
+            engagement_score: 0,
+            tags: [...new Set([...tags, ...this.extractTags(text)])].slice(0, 10),
+            workspace_id: source.workspace_id || null,
+            connector_data: {
+                source_id: source._id,
+                type: source.type,
+                item_id: item.id,
+                content_hash: contentHash(text),
+                updated_date: item.updated_date || null
+            },
+            metadata: {
+                processed_at: new Date(),
+                processor_version: EXTRACTION_VERSION,
+                auto_categorized: !mapped,
+                category_source: category.source,
+                category_confidence: category.confidence
+            },
+            status: 'published'
+        };
+        
+        if (telegram?.channel) {
+            article.telegram_data = {
+                message_id: telegram.message_id,
+                channel: telegram.channel,
+                reactions: telegram.reactions || {},
+                forwards: 0,
+                edited: telegram.edited || false,
+                content_hash: contentHash(item.content),
+                source_collection: 'source_connectors'
+            };
+        }
+        
+        return article;
+    }
+
+    /**
+     * Save one connector item: a new article, or the source's earlier
+     * article for it updated when its text changed. Posts from a Telegram
+     * export that were already processed from a channel collection are left
+     * alone.
+     * @returns {'created'|'updated'|'skipped'}
+     */
+    async saveConnectorItem(item, source) {
+        const articles = this.db.collection('news_articles');
+        const article = this.buildConnectorArticle(item, source);
+        
+        const existing = await articles.findOne({
+            'connector_data.source_id': source._id,
+            'connector_data.item_id': item.id
+        });
+        if (!existing && item.telegram?.channel) {
+            if (await this.findArticle(item.telegram.message_id, item.telegram.channel)) {
+                return 'skipped';
+            }
+        }
+        
+        if (!existing) {
+            article.ingested_at = new Date();
+            await articles.insertOne(article);
+            this.stats.processed++;
+            return 'created';
+        }
+        
+        if (existing.connector_data.content_hash === article.connector_data.content_hash) {
+            return 'skipped';
+        }
+        await this.replaceArticle(existing, article, 'updated', {
+            'connector_data.content_hash': article.connector_data.content_hash,
+            'connector_data.updated_date': article.connector_data.updated_date,
+            ...(article.telegram_data ? { telegram_data: article.telegram_data } : {})
+        });
+        return 'updated';
+    }
+
     getAuthorName(channel) {
         const channelAuthors = {
             '@ZoneNewsAdl': 'Zone News Adelaide',
@@ -318,35 +602,290 @@ class ArticleProcessorService {
     async processAllSources() {
         console.log('\n🔄 Processing articles from all sources...');
         
-        const sources = [
-            { collection: 'telegram_zone_news', name: 'Zone News Channel' },
-            { collection: 'tbc_posts', name: 'TBC Channel' },
-            { collection: 'raw_channel_posts', name: 'Raw Channel Posts' }
-        ];
+        await this.refreshClassifier();
         
-        for (const source of sources) {
+        for (const source of SOURCES) {
             console.log(`\n📁 Processing ${source.name}...`);
             
-            const cursor = this.db.collection(source.collection).find({});
-            const total = await this.db.collection(source.collection).countDocuments();
+            const count = await this.processSource(source);
+            if (count === 0) {
+                console.log('   No new or edited posts');
+            }
+        }
+        
+        await this.pollConnectors();
+        await this.clusterStories();
+        await this.indexArticles();
+        
+        this.stats.lastRun = new Date();
+        await this.saveStats();
+    }
+
+    /**
+     * Retrain the classifier when editors corrected articles since the
+     * current model, at most every CLASSIFIER_RETRAIN_MINUTES. A model
+     * another processor trained meanwhile is picked up.
+     */
+    async refreshClassifier() {
+        if (Date.now() - this.classifierCheckedAt < CLASSIFIER_CHECK_MS) {
+            return;
+        }
+        this.classifierCheckedAt = Date.now();
+        
+        try {
+            this.classifier = await this.categoryTrainer.loadModel() || this.classifier;
+            if (await this.categoryTrainer.hasNewCorrections(this.classifier)) {
+                await this.trainClassifier();
+            }
+        } catch (error) {
+            console.error('❌ Refreshing the category classifier failed:', error);
+        }
+    }
+
+    /**
+     * Train a new classifier and use it from now on
+     * @returns {{ trained, model?, reason? }} see CategoryTrainer.train
+     */
+    async trainClassifier() {
+        const result = await this.categoryTrainer.train();
+        if (result.trained) {
+            this.classifier = result.model;
+            const accuracy = result.model.evaluation?.accuracy;
+            console.log(`🏷 Category classifier retrained on ${result.model.examples} corrections` +
+                (accuracy != null ? `, ${Math.round(accuracy * 100)}% right on held-out articles` : ''));
+        } else {
+            console.log(`🏷 Category classifier not trained: ${result.reason}`);
+        }
+        return result;
+    }
+
+    /**
+     * Poll the registered sources whose next_poll_at has come. Each source
+     * is claimed by moving its next_poll_at first, so two processors never
+     * poll it at once.
+     */
+    async pollConnectors() {
+        if (this.isPolling) {
+            return;
+        }
+        
+        this.isPolling = true;
+        try {
+            const sources = this.db.collection('source_connectors');
+            const now = new Date();
+            const due = await sources
+                .find({ enabled: true, next_poll_at: { $lte: now } })
+                .sort({ next_poll_at: 1 })
+                .toArray();
             
-            console.log(`   Found ${total} posts to process`);
+            for (const source of due) {
+                const claimed = await sources.updateOne(
+                    { _id: source._id, next_poll_at: source.next_poll_at },
+                    { $set: { next_poll_at: nextPollAt(source.interval_minutes, source.consecutive_failures || 0, now) } }
+                );
+                if (claimed.modifiedCount === 1) {
+                    await this.pollSource(source);
+                }
+            }
+        } catch (error) {
+            console.error('❌ Polling sources failed:', error);
+        } finally {
+            this.isPolling = false;
+        }
+    }
+
+    /**
+     * Fetch, parse and save one registered source. Failures are recorded on
+     * the source, which then backs off.
+     * @returns {{ status, created, updated, skipped, errors }}
+     */
+    async pollSource(source) {
+        const sources = this.db.collection('source_connectors');
+        const result = { status: 'ok', created: 0, updated: 0, skipped: 0, errors: 0 };
+        const label = `${source.type} source "${source.name}"`;
+        
+        try {
+            const connector = getConnector(source.type);
+            const fetched = await connector.fetch(source, { ...source.state, polled_at: source.last_polled_at || null });
             
-            let count = 0;
-            while (await cursor.hasNext()) {
-                const post = await cursor.next();
-                count++;
+            if (fetched.notModified) {
+                result.status = 'not_modified';
+            } else {
+                const { items, skipped, errors } = readItems(connector, fetched, source);
+                result.skipped += skipped;
+                result.errors += errors;
                 
-                if (count % 25 === 0) {
-                    console.log(`   Progress: ${count}/${total} (${Math.round(count/total*100)}%)`);
+                for (const item of items) {
+                    try {
+                        result[await this.saveConnectorItem(item, source)]++;
+                    } catch (error) {
+                        console.error(`❌ Error saving item ${item.id} from ${label}:`, error.message);
+                        result.errors++;
+                        this.stats.errors++;
+                    }
                 }
-                
+                if (result.created > 0 || result.updated > 0) {
+                    console.log(`📰 ${label}: ${result.created} new, ${result.updated} updated`);
+                }
+            }
+            
+            await sources.updateOne({ _id: source._id }, {
+                $set: {
+                    state: {
+                        etag: fetched.etag || null,
+                        last_modified: fetched.lastModified || null
+                    },
+                    last_polled_at: new Date(),
+                    last_status: result.status,
+                    last_error: null,
+                    consecutive_failures: 0,
+                    next_poll_at: nextPollAt(source.interval_minutes)
+                },
+                $inc: { item_count: result.created }
+            });
+        } catch (error) {
+            console.error(`❌ Polling ${label} failed:`, error.message);
+            const failures = (source.consecutive_failures || 0) + 1;
+            result.status = 'error';
+            await sources.updateOne({ _id: source._id }, {
+                $set: {
+                    last_polled_at: new Date(),
+                    last_status: 'error',
+                    last_error: error.message,
+                    consecutive_failures: failures,
+                    next_poll_at: nextPollAt(source.interval_minutes, failures)
+                }
+            });
+        }
+        
+        return result;
+    }
+
+    /**
+     * Group new articles, including the bot's URL submissions, into stories
+     */
+    async clusterStories() {
+        if (this.isClustering) {
+            return;
+        }
+        
+        this.isClustering = true;
+        try {
+            const { clustered, joined, errors } = await this.stories.clusterPending();
+            if (clustered > 0 || errors > 0) {
+                console.log(`\n🧩 Clustered ${clustered} articles, ${joined} joined an existing story${errors ? `, ${errors} failed` : ''}`);
+            }
+        } catch (error) {
+            console.error('❌ Story clustering failed:', error);
+        } finally {
+            this.isClustering = false;
+        }
+    }
+
+    /**
+     * Bring the search index up to date with new and changed articles. Runs
+     * after clustering, which decides which articles are searchable.
+     */
+    async indexArticles() {
+        if (this.isIndexing) {
+            return;
+        }
+        
+        this.isIndexing = true;
+        try {
+            const { indexed, errors } = await this.searchIndex.indexPending();
+            if (indexed > 0 || errors > 0) {
+                console.log(`\n🔎 Indexed ${indexed} articles for search${errors ? `, ${errors} failed` : ''}`);
+            }
+        } catch (error) {
+            console.error('❌ Search indexing failed:', error);
+        } finally {
+            this.isIndexing = false;
+        }
+    }
+
+    /**
+     * Rebuild the search index from every article
+     * @returns {number} how many articles were indexed
+     */
+    async reindex() {
+        await this.searchIndex.clear();
+        
+        let total = 0;
+        for (;;) {
+            const { indexed } = await this.searchIndex.indexPending();
+            total += indexed;
+            // Articles that failed stay pending; stop once nothing else is
+            if (indexed === 0) {
+                return total;
+            }
+            console.log(`   ${total} indexed`);
+        }
+    }
+
+    /**
+     * Process a source's posts past its checkpoint, moving the checkpoint
+     * after each batch, then its recently edited posts
+     * @returns {number} how many posts were read
+     */
+    async processSource(source) {
+        const collection = this.db.collection(source.collection);
+        const checkpoint = await this.getCheckpoint(source.collection);
+        let lastId = checkpoint?.last_id || null;
+        let count = 0;
+        
+        const total = await collection.countDocuments(pendingQuery(lastId));
+        if (total > 0) {
+            console.log(`   Found ${total} new posts in ${source.collection}`);
+        }
+        
+        while (count < total) {
+            const batch = await collection.find(pendingQuery(lastId)).sort({ _id: 1 }).limit(BATCH_SIZE).toArray();
+            if (batch.length === 0) {
+                break;
+            }
+            
+            for (const post of batch) {
                 await this.processArticle(post, source.collection);
             }
+            count += batch.length;
+            lastId = batch[batch.length - 1]._id;
+            await this.saveCheckpoint(source.collection, { lastId });
+            
+            console.log(`   Progress: ${Math.min(count, total)}/${total} (${Math.round(Math.min(count, total)/total*100)}%)`);
+        }
+        
+        const edited = editedQuery(checkpoint?.last_id, EDIT_LOOKBACK_HOURS);
+        if (edited) {
+            const cursor = collection.find(edited);
+            while (await cursor.hasNext()) {
+                await this.processArticle(await cursor.next(), source.collection);
+                count++;
+            }
         }
         
-        this.stats.lastRun = new Date();
-        await this.saveStats();
+        return count;
+    }
+
+    async getCheckpoint(collection) {
+        return this.db.collection('ingestion_checkpoints').findOne({ source: collection });
+    }
+
+    async saveCheckpoint(collection, { lastId = null, resumeToken = null } = {}) {
+        const update = { $set: { updated_at: new Date() } };
+        // Never move back: change stream inserts can arrive out of _id order
+        if (lastId) {
+            update.$max = { last_id: lastId };
+        }
+        if (resumeToken) {
+            update.$set.resume_token = resumeToken;
+        }
+        
+        await this.db.collection('ingestion_checkpoints').updateOne(
+            { source: collection },
+            update,
+            { upsert: true }
+        );
     }
 
     async saveStats() {
@@ -384,19 +923,232 @@ class ArticleProcessorService {
         });
     }
 
+    /**
+     * Process posts as they arrive instead of every PROCESS_INTERVAL. Each
+     * source is followed with a change stream that resumes from its stored
+     * token; without a replica set the source is polled instead.
+     */
+    startStreaming() {
+        console.log('\n📡 Starting stream processing');
+        
+        for (const source of SOURCES) {
+            this.watchSource(source);
+        }
+        
+        // Stories and the search index are brought up to date in batches
+        // here rather than per change, which also covers articles the bot
+        // saves without a source stream
+        this.storyTimer = setInterval(async () => {
+            await this.clusterStories();
+            await this.indexArticles();
+        }, TAIL_INTERVAL_MS);
+        this.connectorTimer = setInterval(() => this.pollConnectors(), CONNECTOR_CHECK_MS);
+        this.classifierTimer = setInterval(() => this.refreshClassifier(), CLASSIFIER_CHECK_MS);
+    }
+
+    async watchSource(source) {
+        let stream = null;
+        
+        try {
+            const checkpoint = await this.getCheckpoint(source.collection);
+            const options = { fullDocument: 'updateLookup' };
+            if (checkpoint?.resume_token) {
+                options.resumeAfter = checkpoint.resume_token;
+            }
+            
+            // New posts, and updates that touch the text; view and reaction
+            // counts change far too often to reprocess on
+            stream = this.db.collection(source.collection).watch([
+                {
+                    $match: {
+                        $or: [
+                            { operationType: { $in: ['insert', 'replace'] } },
+                            { 'updateDescription.updatedFields.text': { $exists: true } },
+                            { 'updateDescription.updatedFields.edited': { $exists: true } }
+                        ]
+                    }
+                }
+            ], options);
+            this.streams.push(stream);
+            
+            // The first read opens the stream, so catching up after it
+            // leaves no gap for posts to slip through
+            let caughtUp = false;
+            while (!this.stopped) {
+                const change = await stream.tryNext();
+                if (!caughtUp) {
+                    await this.processSource(source);
+                    caughtUp = true;
+                    console.log(`   📡 Following ${source.collection}`);
+                }
+                if (change) {
+                    await this.processChange(source, change);
+                } else if (stream.closed) {
+                    break;
+                }
+            }
+        } catch (error) {
+            if (this.stopped) {
+                return;
+            }
+            if (CHANGE_STREAMS_UNSUPPORTED.includes(error.code)) {
+                console.log(`⚠️ Change streams need a replica set, polling ${source.collection} every ${TAIL_INTERVAL_MS}ms instead`);
+                this.tailSource(source);
+                return;
+            }
+            console.error(`❌ Change stream for ${source.collection} failed:`, error.message);
+            
+            if (error.code === CHANGE_STREAM_HISTORY_LOST) {
+                // Too far behind to resume; the checkpoint catches up instead
+                try {
+                    await this.db.collection('ingestion_checkpoints').updateOne(
+                        { source: source.collection },
+                        { $unset: { resume_token: '' } }
+                    );
+                } catch (unsetError) {
+                    console.error(`❌ Could not clear the resume token for ${source.collection}:`, unsetError.message);
+                }
+            }
+            
+            this.tailTimers.set(source.collection, setTimeout(() => {
+                this.watchSource(source).catch(retryError => {
+                    console.error(`❌ Change stream for ${source.collection} failed:`, retryError.message);
+                });
+            }, TAIL_INTERVAL_MS));
+        } finally {
+            if (stream) {
+                this.streams = this.streams.filter(s => s !== stream);
+                await stream.close().catch(() => {});
+            }
+        }
+    }
+
+    async processChange(source, change) {
+        const post = change.fullDocument;
+        // Null when the post was deleted before the update could be looked up
+        if (post) {
+            await this.processArticle(post, source.collection);
+        }
+        
+        await this.saveCheckpoint(source.collection, {
+            lastId: change.operationType === 'insert' ? change.documentKey._id : null,
+            resumeToken: change._id
+        });
+    }
+
+    tailSource(source) {
+        const poll = async () => {
+            try {
+                await this.processSource(source);
+            } catch (error) {
+                console.error(`❌ Polling ${source.collection} failed:`, error.message);
+            }
+            
+            if (!this.stopped) {
+                this.tailTimers.set(source.collection, setTimeout(poll, TAIL_INTERVAL_MS));
+            }
+        };
+        
+        poll();
+    }
+
+    /**
+     * Reprocess posts published in [from, to) with the current
+     * EXTRACTION_VERSION. Articles already on it are left alone unless
+     * `force` is set or the post was edited; the versions they replace are
+     * kept in news_article_versions for comparison.
+     * @returns {{ scanned, created, reprocessed, unchanged, skipped, errors, fields }}
+     *   where `fields` counts how often each extracted field changed
+     */
+    async backfill({ from, to, source = null, force = false }) {
+        const summary = { scanned: 0, created: 0, reprocessed: 0, unchanged: 0, skipped: 0, errors: 0, fields: {} };
+        const range = `${from.toISOString().slice(0, 10)} to ${to.toISOString().slice(0, 10)}`;
+        
+        for (const { collection, name } of SOURCES.filter(s => !source || s.collection === source)) {
+            console.log(`\n📁 Backfilling ${name} from ${range} (version ${EXTRACTION_VERSION})...`);
+            
+            const cursor = this.db.collection(collection)
+                .find({ date: { $gte: from, $lt: to } })
+                .sort({ _id: 1 });
+            
+            while (await cursor.hasNext()) {
+                const post = await cursor.next();
+                summary.scanned++;
+                
+                if (summary.scanned % 100 === 0) {
+                    console.log(`   Progress: ${summary.scanned} posts, ${summary.reprocessed} changed`);
+                }
+                
+                if (!post.text || post.text.trim().length < 50) {
+                    summary.skipped++;
+                    continue;
+                }
+                
+                try {
+                    const existing = await this.findArticle(post.message_id, post.channel);
+                    if (!existing) {
+                        const article = await this.processArticle(post, collection);
+                        summary[article ? 'created' : 'errors']++;
+                        continue;
+                    }
+                    
+                    const current = existing.metadata?.processor_version === EXTRACTION_VERSION;
+                    if (current && !force && !this.isEdited(existing, post.text)) {
+                        summary.unchanged++;
+                        continue;
+                    }
+                    
+                    const { changed } = await this.reprocessArticle(existing, post, collection, 'backfill');
+                    if (changed.length > 0) {
+                        summary.reprocessed++;
+                        for (const field of changed) {
+                            summary.fields[field] = (summary.fields[field] || 0) + 1;
+                        }
+                    } else {
+                        summary.unchanged++;
+                    }
+                } catch (error) {
+                    console.error(`❌ Error backfilling article ${post.message_id}:`, error.message);
+                    summary.errors++;
+                }
+            }
+        }
+        
+        await this.saveStats();
+        return summary;
+    }
+
     async getStatistics() {
         const stats = {
             news_articles: await this.db.collection('news_articles').countDocuments(),
             telegram_zone_news: await this.db.collection('telegram_zone_news').countDocuments(),
             tbc_posts: await this.db.collection('tbc_posts').countDocuments(),
             raw_channel_posts: await this.db.collection('raw_channel_posts').countDocuments(),
-            processor_stats: this.stats
+            stories: await this.db.collection('stories').countDocuments(),
+            search_index: await this.db.collection('search_index').countDocuments(),
+            source_connectors: await this.db.collection('source_connectors').countDocuments({ enabled: true }),
+            classifier: this.classifier
+                ? { trained_at: this.classifier.trained_at, examples: this.classifier.examples }
+                : null,
+            processor_stats: this.stats,
+            checkpoints: await this.db.collection('ingestion_checkpoints')
+                .find({}, { projection: { _id: 0, resume_token: 0 } })
+                .toArray()
         };
         
         return stats;
     }
 
     async cleanup() {
+        this.stopped = true;
+        for (const timer of this.tailTimers.values()) {
+            clearTimeout(timer);
+        }
+        clearInterval(this.storyTimer);
+        clearInterval(this.connectorTimer);
+        clearInterval(this.classifierTimer);
+        await Promise.all(this.streams.map(stream => stream.close().catch(() => {})));
+        
         if (this.client) {
             await this.client.close();
             console.log('👋 Service shutdown complete');
@@ -406,6 +1158,17 @@ class ArticleProcessorService {
 
 async function main() {
     const processor = new ArticleProcessorService();
+    const [command, ...args] = process.argv.slice(2);
+    
+    if (command === 'backfill') {
+        return backfill(processor, args);
+    }
+    if (command === 'train') {
+        return train(processor);
+    }
+    if (command === 'reindex') {
+        return reindex(processor);
+    }
     
     try {
         await processor.initialize();
@@ -419,8 +1182,14 @@ async function main() {
         console.log(JSON.stringify(stats, null, 2));
         
         // If in daemon mode, keep running
-        if (process.env.MODE === 'continuous') {
-            console.log('\n🚀 Service running in continuous mode');
+        if (process.env.MODE === 'continuous' || process.env.MODE === 'stream') {
+            if (process.env.MODE === 'stream') {
+                processor.startStreaming();
+            } else {
+                processor.startContinuousProcessing();
+            }
+            
+            console.log(`\n🚀 Service running in ${process.env.MODE} mode`);
             console.log('Press Ctrl+C to stop');
             
             // Keep process alive
@@ -439,6 +1208,58 @@ async function main() {
     }
 }
 
+async function backfill(processor, args) {
+    let options;
+    try {
+        options = parseBackfillArgs(args);
+    } catch (error) {
+        console.error(`❌ ${error.message}`);
+        process.exit(1);
+    }
+    
+    try {
+        await processor.initialize();
+        const summary = await processor.backfill(options);
+        console.log('\n📊 Backfill Summary:');
+        console.log(JSON.stringify(summary, null, 2));
+        await processor.cleanup();
+    } catch (error) {
+        console.error('Fatal error:', error);
+        await processor.cleanup();
+        process.exit(1);
+    }
+}
+
+async function train(processor) {
+    try {
+        await processor.initialize();
+        const result = await processor.trainClassifier();
+        if (result.trained) {
+            console.log('\n📊 Held-out Evaluation:');
+            console.log(JSON.stringify(result.model.evaluation, null, 2));
+        }
+        await processor.cleanup();
+        process.exit(result.trained ? 0 : 1);
+    } catch (error) {
+        console.error('Fatal error:', error);
+        await processor.cleanup();
+        process.exit(1);
+    }
+}
+
+async function reindex(processor) {
+    try {
+        await processor.initialize();
+        const indexed = await processor.reindex();
+        console.log(`\n🔎 Search index rebuilt from ${indexed} articles`);
+        await processor.cleanup();
+    } catch (error) {
+        console.error('Fatal error:', error);
+        await processor.cleanup();
+        process.exit(1);
+    }
+}
+
 // Run if called directly
 if (require.main === module) {
     main();
@@ -0,0 +1,122 @@
+/**
+ * Ingestion helpers for the Article Processor
+ * Source collections, checkpoints, edit detection and backfill options
+ *
+ * Each source collection has a checkpoint in `ingestion_checkpoints`: the
+ * last `_id` processed and, in stream mode, the change stream resume token.
+ * Runs only read posts past the checkpoint, plus recently edited posts.
+ */
+
+const crypto = require('crypto');
+
+const SOURCES = [
+    { collection: 'telegram_zone_news', name: 'Zone News Channel' },
+    { collection: 'tbc_posts', name: 'TBC Channel' },
+    { collection: 'raw_channel_posts', name: 'Raw Channel Posts' }
+];
+
+// Bump whenever a change to the service's extract* methods changes what an
+// article looks like, then backfill to bring older articles up to date
+const EXTRACTION_VERSION = '2.1.0';
+
+// Article fields extraction produces, compared between versions
+const EXTRACTED_FIELDS = ['title', 'content', 'author', 'category', 'tags', 'image_url', 'source_url', 'url'];
+
+const BACKFILL_USAGE = 'Usage: node index.js backfill --from YYYY-MM-DD [--to YYYY-MM-DD] [--source <collection>] [--force]';
+
+/**
+ * Hash of a post's text, kept on the article to tell a real edit from a
+ * change in views or reactions
+ */
+function contentHash(text) {
+    return crypto.createHash('sha256').update(String(text || '')).digest('hex');
+}
+
+/**
+ * Which extracted fields differ between two versions of an article
+ */
+function changedFields(previous, next) {
+    return EXTRACTED_FIELDS.filter(field =>
+        JSON.stringify(previous?.[field] ?? null) !== JSON.stringify(next?.[field] ?? null));
+}
+
+/**
+ * Query for the posts after `lastId`, the checkpoint; all of them when the
+ * source has no checkpoint yet
+ */
+function pendingQuery(lastId) {
+    return lastId ? { _id: { $gt: lastId } } : {};
+}
+
+/**
+ * Query for edited posts at or before the checkpoint that may need
+ * reprocessing. Only posts from the last `lookbackHours` are checked;
+ * stream mode sees every edit as it happens.
+ */
+function editedQuery(lastId, lookbackHours, now = new Date()) {
+    if (!lastId) {
+        return null;
+    }
+    return {
+        _id: { $lte: lastId },
+        edited: { $nin: [null, false] },
+        date: { $gte: new Date(now.getTime() - lookbackHours * 60 * 60 * 1000) }
+    };
+}
+
+function parseDate(value, flag) {
+    const date = /^\d{4}-\d{2}-\d{2}$/.test(value || '') ? new Date(`${value}T00:00:00Z`) : null;
+    if (!date || isNaN(date)) {
+        throw new Error(`${flag} must be a date like 2025-01-31\n${BACKFILL_USAGE}`);
+    }
+    return date;
+}
+
+/**
+ * Read `backfill` command arguments. `--to` is exclusive and defaults to
+ * now; `--force` reprocesses articles already on the current version.
+ */
+function parseBackfillArgs(args, now = new Date()) {
+    const options = { from: null, to: now, source: null, force: false };
+
+    for (let i = 0; i < args.length; i++) {
+        switch (args[i]) {
+            case '--from':
+                options.from = parseDate(args[++i], '--from');
+                break;
+            case '--to':
+                options.to = parseDate(args[++i], '--to');
+                break;
+            case '--source':
+                options.source = args[++i];
+                if (!SOURCES.some(source => source.collection === options.source)) {
+                    throw new Error(`Unknown source "${options.source}", expected one of: ${SOURCES.map(source => source.collection).join(', ')}`);
+                }
+                break;
+            case '--force':
+                options.force = true;
+                break;
+            default:
+                throw new Error(`Unknown option "${args[i]}"\n${BACKFILL_USAGE}`);
+        }
+    }
+
+    if (!options.from) {
+        throw new Error(`--from is required\n${BACKFILL_USAGE}`);
+    }
+    if (options.from >= options.to) {
+        throw new Error('--from must be before --to');
+    }
+    return options;
+}
+
+module.exports = {
+    SOURCES,
+    EXTRACTION_VERSION,
+    EXTRACTED_FIELDS,
+    contentHash,
+    changedFields,
+    pendingQuery,
+    editedQuery,
+    parseBackfillArgs
+};
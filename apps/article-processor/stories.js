@@ -0,0 +1,242 @@
+/**
+ * Story helpers for the Article Processor
+ * Canonical URLs, MinHash signatures and primary article choice
+ *
+ * Articles about the same story are found two ways: they link the same page
+ * once tracking parameters are stripped, or their text is near-identical.
+ * Text is compared by MinHash over word shingles, and only articles sharing
+ * a band of their signature are compared at all, so finding candidates is
+ * one indexed query.
+ */
+
+const crypto = require('crypto');
+
+const SHINGLE_SIZE = 3;
+const SIGNATURE_SIZE = 128;
+const BAND_SIZE = 4;
+
+// Estimated Jaccard similarity above which two articles are one story
+const SIMILARITY_THRESHOLD = 0.5;
+
+// Only articles published this close together can be one story
+const STORY_WINDOW_MS = 3 * 24 * 60 * 60 * 1000;
+
+// A story's own post leads it when there is one
+const PREFERRED_CHANNELS = ['@ZoneNewsAdl', '@ZoneNews'];
+
+const TRACKING_PARAMS = /^(utm_\w+|fbclid|gclid|mc_cid|mc_eid|igshid|ref|ref_src|s|share|cmpid|ocid)$/i;
+
+/**
+ * A URL as it identifies a page: https, no "www.", no fragment, no tracking
+ * parameters, remaining parameters sorted. Telegram links identify a post,
+ * not a story, so they give null.
+ */
+function canonicalUrl(url) {
+    let parsed;
+    try {
+        parsed = new URL(String(url || '').trim());
+    } catch {
+        return null;
+    }
+    if (!['http:', 'https:'].includes(parsed.protocol)) {
+        return null;
+    }
+
+    const host = parsed.hostname.toLowerCase().replace(/^(www|m|amp)\./, '');
+    if (host === 't.me' || host === 'telegram.me') {
+        return null;
+    }
+
+    const params = [...parsed.searchParams.entries()]
+        .filter(([key]) => !TRACKING_PARAMS.test(key))
+        .sort(([a], [b]) => a.localeCompare(b));
+    const query = params.length > 0 ? `?${new URLSearchParams(params)}` : '';
+    const path = parsed.pathname.replace(/\/amp\/?$/, '/').replace(/\/+$/, '') || '/';
+
+    return `https://${host}${path}${query}`;
+}
+
+/**
+ * Overlapping runs of SHINGLE_SIZE words, ignoring case, punctuation and
+ * links
+ */
+function shingles(text) {
+    const words = String(text || '')
+        .toLowerCase()
+        .replace(/https?:\/\/\S+/g, ' ')
+        .split(/[^\p{L}\p{N}]+/u)
+        .filter(Boolean);
+    if (words.length < SHINGLE_SIZE) {
+        return words.length > 0 ? [words.join(' ')] : [];
+    }
+
+    const result = new Set();
+    for (let i = 0; i <= words.length - SHINGLE_SIZE; i++) {
+        result.add(words.slice(i, i + SHINGLE_SIZE).join(' '));
+    }
+    return [...result];
+}
+
+// Murmur3's finalizer: spreads the bits of a 32-bit integer
+function mix(hash) {
+    hash ^= hash >>> 16;
+    hash = Math.imul(hash, 0x85ebca6b);
+    hash ^= hash >>> 13;
+    hash = Math.imul(hash, 0xc2b2ae35);
+    hash ^= hash >>> 16;
+    return hash >>> 0;
+}
+
+// One seed per signature position. Stored signatures are only comparable
+// while these and the shingle size stay the same.
+const SEEDS = Array.from({ length: SIGNATURE_SIZE }, (_, i) => mix(i + 0x9e3779b9));
+
+/**
+ * MinHash signature of a text, or null when it has no words
+ * @returns {number[]|null}
+ */
+function minhash(text) {
+    const hashes = shingles(text).map(shingle =>
+        crypto.createHash('md5').update(shingle).digest().readUInt32LE(0));
+    if (hashes.length === 0) {
+        return null;
+    }
+
+    return SEEDS.map(seed => {
+        let min = 0xffffffff;
+        for (const hash of hashes) {
+            const value = mix(hash ^ seed);
+            if (value < min) {
+                min = value;
+            }
+        }
+        return min;
+    });
+}
+
+/**
+ * Estimated Jaccard similarity of the texts two signatures came from
+ */
+function similarity(a, b) {
+    if (!a || !b || a.length !== b.length) {
+        return 0;
+    }
+    let same = 0;
+    for (let i = 0; i < a.length; i++) {
+        if (a[i] === b[i]) {
+            same++;
+        }
+    }
+    return same / a.length;
+}
+
+/**
+ * Index keys for a signature, one per band of BAND_SIZE values. Articles
+ * about 50% alike share at least one band about 9 times in 10.
+ */
+function signatureBands(signature) {
+    if (!signature) {
+        return [];
+    }
+    const bands = [];
+    for (let i = 0; i < signature.length; i += BAND_SIZE) {
+        const band = signature.slice(i, i + BAND_SIZE).map(value => value.toString(36)).join('.');
+        bands.push(`${i / BAND_SIZE}:${band}`);
+    }
+    return bands;
+}
+
+/**
+ * The stories an article belongs in, closest first: those with a canonical
+ * URL match or text similar at or above SIMILARITY_THRESHOLD. More than one
+ * means the article bridges stories that should be merged.
+ * @param {{ signature, canonicalUrl }} article
+ * @param {Array<{ story }>} candidates - articles already in stories
+ * @returns {Array<{ storyId, score }>}
+ */
+function matchingStories(article, candidates) {
+    const scores = new Map();
+    for (const candidate of candidates) {
+        const story = candidate.story;
+        if (!story?.id) {
+            continue;
+        }
+        const score = article.canonicalUrl && story.canonical_url === article.canonicalUrl
+            ? 1
+            : similarity(article.signature, story.minhash);
+        const key = String(story.id);
+        if (score >= SIMILARITY_THRESHOLD && score > (scores.get(key)?.score ?? -1)) {
+            scores.set(key, { storyId: story.id, score });
+        }
+    }
+    return [...scores.values()].sort((a, b) => b.score - a.score);
+}
+
+// Articles come from the article processor (snake_case) and the bot's URL
+// submissions (camelCase)
+function articleDate(article) {
+    return new Date(article.published_date || article.publishedDate || article.created_at || article.createdAt || Date.now());
+}
+
+function articleUrl(article) {
+    return article.source_url || article.sourceUrl || article.url || null;
+}
+
+function sourceLabel(article) {
+    if (article.siteName || article.author) {
+        return article.siteName || article.author;
+    }
+    try {
+        return new URL(articleUrl(article)).hostname.replace(/^www\./, '');
+    } catch {
+        return article.source || 'Unknown';
+    }
+}
+
+/**
+ * The article a story is shown as: our own channel's post, then any
+ * channel post (the feeds list channel posts, not URL submissions), then
+ * the first published, then the longest
+ */
+function choosePrimary(articles) {
+    const preferred = article => {
+        const channel = article.telegram_data?.channel;
+        return PREFERRED_CHANNELS.includes(channel) ? 0 : channel ? 1 : 2;
+    };
+    return [...articles].sort((a, b) =>
+        preferred(a) - preferred(b) ||
+        articleDate(a) - articleDate(b) ||
+        (b.content || '').length - (a.content || '').length
+    )[0];
+}
+
+/**
+ * The "also reported by" list kept on a story's primary article
+ */
+function alsoReportedBy(primary, articles) {
+    return articles
+        .filter(article => String(article._id) !== String(primary._id))
+        .sort((a, b) => articleDate(a) - articleDate(b))
+        .map(article => ({
+            article_id: article._id,
+            source: sourceLabel(article),
+            channel: article.telegram_data?.channel || null,
+            url: articleUrl(article),
+            published_date: articleDate(article)
+        }));
+}
+
+module.exports = {
+    SIMILARITY_THRESHOLD,
+    STORY_WINDOW_MS,
+    canonicalUrl,
+    shingles,
+    minhash,
+    similarity,
+    signatureBands,
+    matchingStories,
+    articleDate,
+    articleUrl,
+    choosePrimary,
+    alsoReportedBy
+};
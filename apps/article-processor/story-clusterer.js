@@ -0,0 +1,217 @@
+/**
+ * Story Clusterer
+ * Groups news_articles about the same story, from any channel or URL
+ * submission, into `stories`. An article that matches two stories merges
+ * them.
+ *
+ * Each clustered article gets a `story` field ({ id, primary, minhash,
+ * bands, canonical_url, date }). Feeds show one entry per story by leaving
+ * out articles with `story.primary: false`; the primary article carries an
+ * `also_reported_by` list of the others. Only primaries are searchable, so
+ * refreshing a story has its articles reindexed.
+ */
+
+const {
+    STORY_WINDOW_MS,
+    canonicalUrl,
+    minhash,
+    signatureBands,
+    matchingStories,
+    articleDate,
+    articleUrl,
+    choosePrimary,
+    alsoReportedBy
+} = require('./stories');
+
+const MAX_CANDIDATES = 50;
+const MAX_PER_RUN = 1000;
+
+class StoryClusterer {
+    constructor(db) {
+        this.db = db;
+    }
+
+    async ensureIndexes() {
+        const articles = this.db.collection('news_articles');
+        await articles.createIndex({ 'story.id': 1 });
+        await articles.createIndex({ 'story.bands': 1, 'story.date': 1 });
+        await articles.createIndex({ 'story.canonical_url': 1 }, { sparse: true });
+    }
+
+    /**
+     * Cluster articles that aren't in a story yet, oldest first. Articles
+     * that fail are left for the next run.
+     * @returns {{ clustered, joined, errors }}
+     */
+    async clusterPending() {
+        const result = { clustered: 0, joined: 0, errors: 0 };
+        const cursor = this.db.collection('news_articles')
+            .find({ 'story.id': { $exists: false } })
+            .sort({ _id: 1 })
+            .limit(MAX_PER_RUN);
+        
+        while (await cursor.hasNext()) {
+            const article = await cursor.next();
+            try {
+                const { joined } = await this.clusterArticle(article);
+                result.clustered++;
+                if (joined) {
+                    result.joined++;
+                }
+            } catch (error) {
+                console.error(`❌ Error clustering article ${article._id}:`, error.message);
+                result.errors++;
+            }
+        }
+        
+        return result;
+    }
+
+    /**
+     * Put one article in the story it matches, or a new story of its own
+     * @returns {{ storyId, joined }}
+     */
+    async clusterArticle(article) {
+        const articles = this.db.collection('news_articles');
+        const signature = minhash(`${article.title || ''}\n${article.content || article.description || ''}`);
+        const bands = signatureBands(signature);
+        const canonical = canonicalUrl(articleUrl(article));
+        const date = articleDate(article);
+        
+        let matches = [];
+        const keys = [];
+        if (bands.length > 0) {
+            keys.push({ 'story.bands': { $in: bands } });
+        }
+        if (canonical) {
+            keys.push({ 'story.canonical_url': canonical });
+        }
+        if (keys.length > 0) {
+            const candidates = await articles
+                .find({
+                    _id: { $ne: article._id },
+                    'story.id': { $exists: true },
+                    'story.date': {
+                        $gte: new Date(date.getTime() - STORY_WINDOW_MS),
+                        $lte: new Date(date.getTime() + STORY_WINDOW_MS)
+                    },
+                    $or: keys
+                }, { projection: { story: 1 } })
+                .limit(MAX_CANDIDATES)
+                .toArray();
+            matches = matchingStories({ signature, canonicalUrl: canonical }, candidates);
+        }
+        
+        const now = new Date();
+        const story = {
+            id: null,
+            primary: matches.length === 0,
+            minhash: signature,
+            bands,
+            canonical_url: canonical,
+            date,
+            clustered_at: now
+        };
+        
+        if (matches.length === 0) {
+            const { insertedId } = await this.db.collection('stories').insertOne({
+                primary_article_id: article._id,
+                article_ids: [article._id],
+                title: article.title || null,
+                canonical_urls: canonical ? [canonical] : [],
+                article_count: 1,
+                first_published: date,
+                created_at: now,
+                updated_at: now
+            });
+            story.id = insertedId;
+            await articles.updateOne({ _id: article._id }, { $set: { story, also_reported_by: [] } });
+            return { storyId: insertedId, joined: false };
+        }
+        
+        story.id = matches[0].storyId;
+        await articles.updateOne({ _id: article._id }, { $set: { story } });
+        
+        const addToSet = { article_ids: article._id };
+        if (canonical) {
+            addToSet.canonical_urls = canonical;
+        }
+        await this.db.collection('stories').updateOne(
+            { _id: story.id },
+            { $addToSet: addToSet, $min: { first_published: date } }
+        );
+        for (const { storyId } of matches.slice(1)) {
+            await this.mergeStory(storyId, story.id);
+        }
+        await this.refreshStory(story.id);
+        
+        return { storyId: story.id, joined: true };
+    }
+
+    /**
+     * Move every article of one story into another and drop the first
+     */
+    async mergeStory(fromId, intoId) {
+        const stories = this.db.collection('stories');
+        const from = await stories.findOne({ _id: fromId });
+        if (!from) {
+            return;
+        }
+        
+        await this.db.collection('news_articles').updateMany(
+            { 'story.id': fromId },
+            { $set: { 'story.id': intoId } }
+        );
+        await stories.updateOne(
+            { _id: intoId },
+            {
+                $addToSet: {
+                    article_ids: { $each: from.article_ids || [] },
+                    canonical_urls: { $each: from.canonical_urls || [] }
+                },
+                $min: { first_published: from.first_published }
+            }
+        );
+        await stories.deleteOne({ _id: fromId });
+    }
+
+    /**
+     * Pick a story's primary article again and rebuild its "also reported
+     * by" list
+     */
+    async refreshStory(storyId) {
+        const articles = this.db.collection('news_articles');
+        const members = await articles.find({ 'story.id': storyId }).toArray();
+        if (members.length === 0) {
+            return null;
+        }
+        
+        const primary = choosePrimary(members);
+        await articles.updateMany(
+            { 'story.id': storyId, _id: { $ne: primary._id } },
+            { $set: { 'story.primary': false }, $unset: { also_reported_by: '', search_indexed_at: '' } }
+        );
+        await articles.updateOne(
+            { _id: primary._id },
+            {
+                $set: { 'story.primary': true, also_reported_by: alsoReportedBy(primary, members) },
+                $unset: { search_indexed_at: '' }
+            }
+        );
+        await this.db.collection('stories').updateOne(
+            { _id: storyId },
+            {
+                $set: {
+                    primary_article_id: primary._id,
+                    title: primary.title || null,
+                    article_count: members.length,
+                    updated_at: new Date()
+                }
+            }
+        );
+        
+        return primary;
+    }
+}
+
+module.exports = StoryClusterer;
@@ -0,0 +1,144 @@
+/**
+ * API Keys Test Suite
+ * Tests for key generation, scopes and daily quotas
+ */
+
+const {
+  API_KEY_SCOPES,
+  generateApiKey,
+  hashApiKey,
+  isApiKeyFormat,
+  parseScopes,
+  usageDay,
+  quotaResetAt,
+  authorizeApiKey
+} = require('../../../../libs/shared/src/api-keys');
+
+describe('API Keys', () => {
+  describe('Keys', () => {
+    it('should generate keys that are only stored hashed', () => {
+      const first = generateApiKey();
+      const second = generateApiKey();
+
+      expect(isApiKeyFormat(first.key)).toBe(true);
+      expect(first.key).not.toBe(second.key);
+      expect(first.key_hash).toBe(hashApiKey(first.key));
+      expect(first.key_hash).toMatch(/^[a-f0-9]{64}$/);
+      expect(first.key.startsWith(first.prefix)).toBe(true);
+      expect(first.prefix).toHaveLength(11);
+    });
+
+    it('should reject strings that are not keys', () => {
+      expect(isApiKeyFormat('admin-key-123')).toBe(false);
+      expect(isApiKeyFormat(`zn_${'a'.repeat(42)}`)).toBe(false);
+      expect(isApiKeyFormat(undefined)).toBe(false);
+    });
+
+    it('should read scope lists', () => {
+      expect(parseScopes('all')).toEqual({ scopes: Object.keys(API_KEY_SCOPES), unknown: [] });
+      expect(parseScopes('articles:read, analytics:read articles:read')).toEqual({
+        scopes: ['articles:read', 'analytics:read'],
+        unknown: []
+      });
+      expect(parseScopes(['posts:write', 'admin'])).toEqual({ scopes: ['posts:write'], unknown: ['admin'] });
+    });
+
+    it('should count quotas by day and reset them at midnight', () => {
+      const now = new Date(2026, 9, 19, 15, 30);
+      expect(usageDay(now)).toBe('2026-10-19');
+      expect(quotaResetAt(now)).toEqual(new Date(2026, 9, 20, 0, 0));
+    });
+  });
+
+  describe('authorizeApiKey', () => {
+    const { key, key_hash } = generateApiKey();
+    const storedKey = { _id: 'key1', user_id: 42, key_hash, scopes: ['articles:read'], revoked_at: null };
+    let collections;
+    let db;
+    let tierManager;
+
+    beforeEach(() => {
+      collections = {
+        api_keys: {
+          findOne: jest.fn(async (query) => (query.key_hash === key_hash ? storedKey : null)),
+          updateOne: jest.fn().mockResolvedValue({ modifiedCount: 1 })
+        },
+        api_usage: {
+          findOneAndUpdate: jest.fn().mockResolvedValue({ value: { count: 7 } }),
+          insertOne: jest.fn().mockResolvedValue({ insertedId: 'usage1' })
+        }
+      };
+      db = { collection: jest.fn((name) => collections[name]) };
+      tierManager = {
+        getUserTier: jest.fn().mockResolvedValue('pro'),
+        tiers: {
+          free: { name: 'Free', limits: { api_calls_per_day: 0 }, features: { api_access: false } },
+          pro: { name: 'Pro', limits: { api_calls_per_day: 1000 }, features: { api_access: true } },
+          enterprise: { name: 'Enterprise', limits: { api_calls_per_day: -1 }, features: { api_access: true } }
+        }
+      };
+    });
+
+    it('should count calls by valid keys against the owner\'s quota', async () => {
+      const result = await authorizeApiKey(db, tierManager, key, { scopes: ['articles:read'] });
+
+      expect(result.allowed).toBe(true);
+      expect(result.apiKey).toBe(storedKey);
+      expect(result.usage).toMatchObject({ used: 7, limit: 1000, remaining: 993 });
+      expect(collections.api_usage.findOneAndUpdate).toHaveBeenCalledWith(
+        expect.objectContaining({ user_id: 42, count: { $lt: 1000 } }),
+        expect.objectContaining({ $inc: { count: 1, 'keys.key1': 1 } }),
+        expect.anything()
+      );
+      expect(collections.api_keys.updateOne).toHaveBeenCalled();
+    });
+
+    it('should start the day\'s count with the first call', async () => {
+      collections.api_usage.findOneAndUpdate.mockResolvedValue({ value: null });
+
+      const result = await authorizeApiKey(db, tierManager, key, { scopes: ['articles:read'] });
+
+      expect(result.allowed).toBe(true);
+      expect(result.usage.used).toBe(1);
+      expect(collections.api_usage.insertOne).toHaveBeenCalledWith(
+        expect.objectContaining({ user_id: 42, count: 1, keys: { key1: 1 } })
+      );
+    });
+
+    it('should refuse calls once the quota is used up', async () => {
+      const duplicate = Object.assign(new Error('E11000 duplicate key'), { code: 11000 });
+      collections.api_usage.findOneAndUpdate.mockResolvedValue({ value: null });
+      collections.api_usage.insertOne.mockRejectedValue(duplicate);
+
+      const result = await authorizeApiKey(db, tierManager, key, { scopes: ['articles:read'] });
+
+      expect(result).toMatchObject({ allowed: false, status: 429, code: 'API_QUOTA_EXCEEDED' });
+      expect(result.usage.remaining).toBe(0);
+      expect(collections.api_keys.updateOne).not.toHaveBeenCalled();
+    });
+
+    it('should refuse unknown keys, missing scopes and tiers without API access without counting', async () => {
+      expect(await authorizeApiKey(db, tierManager, generateApiKey().key, { scopes: ['articles:read'] }))
+        .toMatchObject({ allowed: false, status: 401, code: 'INVALID_API_KEY' });
+      expect(await authorizeApiKey(db, tierManager, key, { scopes: ['posts:write'] }))
+        .toMatchObject({ allowed: false, status: 403, code: 'API_KEY_SCOPE' });
+
+      tierManager.getUserTier.mockResolvedValue('free');
+      expect(await authorizeApiKey(db, tierManager, key, { scopes: ['articles:read'] }))
+        .toMatchObject({ allowed: false, status: 403, code: 'API_ACCESS_REQUIRED' });
+
+      expect(collections.api_usage.findOneAndUpdate).not.toHaveBeenCalled();
+    });
+
+    it('should not limit unlimited tiers', async () => {
+      tierManager.getUserTier.mockResolvedValue('enterprise');
+      collections.api_usage.findOneAndUpdate.mockResolvedValue({ value: { count: 25000 } });
+
+      const result = await authorizeApiKey(db, tierManager, key, { scopes: ['articles:read'] });
+
+      expect(result.allowed).toBe(true);
+      expect(result.usage).toMatchObject({ used: 25000, limit: -1, remaining: null });
+      expect(collections.api_usage.findOneAndUpdate.mock.calls[0][2]).toMatchObject({ upsert: true });
+    });
+  });
+});
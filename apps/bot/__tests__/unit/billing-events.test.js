@@ -0,0 +1,186 @@
+/**
+ * Billing Events Test Suite
+ * Tests for reading Stripe and PayPal webhooks, dunning and reconciliation,
+ * and the subscription lifecycle they drive
+ */
+
+const crypto = require('crypto');
+const {
+  verifyStripeSignature,
+  parseStripeEvent,
+  paypalVerificationRequest,
+  parsePayPalEvent,
+  dunningStage,
+  compareWithProvider
+} = require('../../src/services/billing-events');
+const {
+  LifecycleError,
+  transition,
+  hasAccess,
+  addBillingPeriod,
+  renewalPeriodEnd
+} = require('../../../../libs/shared/src/subscription-lifecycle');
+
+const now = new Date('2026-03-10T12:00:00Z');
+const seconds = date => Math.floor(date.getTime() / 1000);
+const days = n => n * 24 * 60 * 60 * 1000;
+
+describe('Billing Events', () => {
+  describe('verifyStripeSignature', () => {
+    const secret = 'whsec_test';
+    const body = Buffer.from('{"id":"evt_1"}');
+    const sign = (t, payload = body) => crypto.createHmac('sha256', secret).update(`${t}.${payload}`).digest('hex');
+
+    it('should accept a fresh signature over the exact body', () => {
+      const t = seconds(now);
+      expect(verifyStripeSignature(secret, body, `t=${t},v1=${sign(t)}`, { now })).toBe(true);
+      expect(verifyStripeSignature(secret, body, `t=${t},v1=00,v1=${sign(t)}`, { now })).toBe(true);
+    });
+
+    it('should refuse tampered bodies, wrong secrets and replays', () => {
+      const t = seconds(now);
+      expect(verifyStripeSignature(secret, Buffer.from('{"id":"evt_2"}'), `t=${t},v1=${sign(t)}`, { now })).toBe(false);
+      expect(verifyStripeSignature('whsec_other', body, `t=${t},v1=${sign(t)}`, { now })).toBe(false);
+      expect(verifyStripeSignature(secret, body, `t=${t - 600},v1=${sign(t - 600)}`, { now })).toBe(false);
+      expect(verifyStripeSignature(secret, body, undefined, { now })).toBe(false);
+    });
+  });
+
+  describe('parseStripeEvent', () => {
+    it('should read checkouts, subscription changes and invoices', () => {
+      const checkout = parseStripeEvent({
+        id: 'evt_1',
+        type: 'checkout.session.completed',
+        created: seconds(now),
+        data: { object: { mode: 'subscription', subscription: 'sub_1', customer: 'cus_1', client_reference_id: 'intent1' } }
+      });
+      expect(checkout).toMatchObject({ action: 'checkout', subscriptionId: 'sub_1', customerId: 'cus_1', intentId: 'intent1' });
+
+      const periodEnd = new Date('2026-04-10T12:00:00Z');
+      const cancelling = parseStripeEvent({
+        id: 'evt_2',
+        type: 'customer.subscription.updated',
+        data: { object: { id: 'sub_1', status: 'active', cancel_at_period_end: true, current_period_end: seconds(periodEnd), metadata: { tier: 'pro' } } }
+      });
+      expect(cancelling).toMatchObject({ action: 'sync', status: 'canceled', tier: 'pro', periodEnd });
+
+      const failed = parseStripeEvent({
+        id: 'evt_3',
+        type: 'invoice.payment_failed',
+        data: { object: { subscription: 'sub_1', hosted_invoice_url: 'https://pay.stripe.com/i/1', amount_due: 1999 } }
+      });
+      expect(failed).toMatchObject({ action: 'payment_failed', paymentUrl: 'https://pay.stripe.com/i/1', amount: 1999 });
+
+      const free = parseStripeEvent({ id: 'evt_4', type: 'invoice.paid', data: { object: { subscription: 'sub_1', amount_paid: 0 } } });
+      expect(free.action).toBeNull();
+    });
+
+    it('should tell won disputes from lost ones', () => {
+      const closed = status => parseStripeEvent({
+        id: 'evt_5',
+        type: 'charge.dispute.closed',
+        data: { object: { id: 'dp_1', charge: 'ch_1', status } }
+      });
+      expect(closed('lost')).toMatchObject({ action: 'dispute_lost', transactionId: 'ch_1', disputeId: 'dp_1' });
+      expect(closed('won').action).toBe('dispute_won');
+    });
+  });
+
+  describe('PayPal', () => {
+    it('should need every signature header to verify', () => {
+      const headers = {
+        'paypal-auth-algo': 'SHA256withRSA',
+        'paypal-cert-url': 'https://api.paypal.com/cert',
+        'paypal-transmission-id': 'tx1',
+        'paypal-transmission-sig': 'sig',
+        'paypal-transmission-time': '2026-03-10T12:00:00Z'
+      };
+      const request = paypalVerificationRequest(name => headers[name], { id: 'WH-1' }, 'wh_1');
+      expect(request).toMatchObject({ transmission_id: 'tx1', webhook_id: 'wh_1', webhook_event: { id: 'WH-1' } });
+      expect(paypalVerificationRequest(name => (name === 'paypal-transmission-sig' ? undefined : headers[name]), {}, 'wh_1')).toBeNull();
+    });
+
+    it('should read subscription and sale events', () => {
+      const suspended = parsePayPalEvent({
+        id: 'WH-1',
+        event_type: 'BILLING.SUBSCRIPTION.SUSPENDED',
+        resource: { id: 'I-1', status: 'SUSPENDED', custom_id: 'intent1' }
+      });
+      expect(suspended).toMatchObject({ action: 'sync', status: 'grace', subscriptionId: 'I-1', intentId: 'intent1' });
+
+      const sale = parsePayPalEvent({
+        id: 'WH-2',
+        event_type: 'PAYMENT.SALE.COMPLETED',
+        resource: { id: 'SALE-1', billing_agreement_id: 'I-1', amount: { total: '19.99', currency: 'USD' } }
+      });
+      expect(sale).toMatchObject({ action: 'payment_succeeded', subscriptionId: 'I-1', amount: 1999, currency: 'usd' });
+
+      const oneOff = parsePayPalEvent({ id: 'WH-3', event_type: 'PAYMENT.SALE.COMPLETED', resource: { id: 'SALE-2' } });
+      expect(oneOff.action).toBeNull();
+    });
+  });
+
+  describe('dunningStage', () => {
+    it('should send each reminder once, in order', () => {
+      expect(dunningStage({ status: 'past_due', dunning_stage: null }, now)).toBe('payment_failed');
+      expect(dunningStage({ status: 'past_due', dunning_stage: 'payment_failed' }, now)).toBeNull();
+
+      const grace = { status: 'grace', dunning_stage: 'payment_failed', grace_until: new Date(now.getTime() + days(3)) };
+      expect(dunningStage(grace, now)).toBe('grace');
+      expect(dunningStage({ ...grace, dunning_stage: 'grace' }, now)).toBeNull();
+      expect(dunningStage({ ...grace, dunning_stage: 'grace' }, new Date(now.getTime() + days(2.5)))).toBe('final');
+      expect(dunningStage({ status: 'active' }, now)).toBeNull();
+    });
+  });
+
+  describe('compareWithProvider', () => {
+    const periodEnd = new Date(now.getTime() + days(20));
+    const subscription = { status: 'active', tier: 'pro', current_period_end: periodEnd };
+
+    it('should find nothing when both sides agree', () => {
+      expect(compareWithProvider({ status: 'active', tier: 'pro', periodEnd }, subscription, 'pro', now)).toEqual([]);
+      expect(compareWithProvider({ status: 'grace', tier: null, periodEnd }, { ...subscription, status: 'past_due' }, 'pro', now)).toEqual([]);
+    });
+
+    it('should report status, tier and period differences', () => {
+      const kinds = issues => issues.map(issue => issue.kind);
+
+      expect(kinds(compareWithProvider({ status: 'expired', periodEnd }, subscription, 'pro', now))).toEqual(['status', 'tier']);
+      expect(kinds(compareWithProvider({ status: 'active', tier: 'business', periodEnd }, subscription, 'pro', now))).toEqual(['plan', 'tier']);
+      expect(kinds(compareWithProvider({ status: 'active', periodEnd: new Date(now.getTime() + days(50)) }, subscription, 'pro', now))).toEqual(['period_end']);
+      expect(compareWithProvider(null, subscription, 'pro', now)).toEqual([{ kind: 'missing_at_provider', expected: 'free', actual: 'pro' }]);
+    });
+  });
+
+  describe('subscription lifecycle', () => {
+    it('should keep access through grace and cancellation, not after expiry', () => {
+      const periodEnd = new Date(now.getTime() + days(10));
+      const canceled = transition({ status: 'active', period_end: periodEnd }, 'canceled', { now });
+      expect(canceled).toMatchObject({ status: 'canceled', previous_status: 'active', changed: true, access_until: periodEnd });
+
+      const grace = transition({ status: 'past_due', period_end: now }, 'grace', { now });
+      expect(grace.grace_until).toEqual(new Date(now.getTime() + days(3)));
+      expect(hasAccess('grace', grace.access_until, now)).toBe(true);
+
+      const expired = transition({ status: 'grace', period_end: now }, 'expired', { now });
+      expect(hasAccess(expired.status, periodEnd, now)).toBe(false);
+      expect(hasAccess('cancelled', periodEnd, now)).toBe(true);
+    });
+
+    it('should refuse moves the lifecycle does not allow', () => {
+      expect(() => transition({ status: 'expired' }, 'past_due', { now })).toThrow(LifecycleError);
+      expect(() => transition({ status: 'canceled' }, 'grace', { now })).toThrow('from canceled to grace');
+      expect(() => transition(null, 'expired', { now })).toThrow(LifecycleError);
+    });
+
+    it('should renew to the same day of the month, or its last day', () => {
+      expect(addBillingPeriod(new Date('2026-01-31T10:00:00Z'))).toEqual(new Date('2026-02-28T10:00:00Z'));
+      expect(addBillingPeriod(new Date('2028-01-31T10:00:00Z'))).toEqual(new Date('2028-02-29T10:00:00Z'));
+      expect(addBillingPeriod(new Date('2026-03-15T10:00:00Z'), 'yearly')).toEqual(new Date('2027-03-15T10:00:00Z'));
+
+      const currentEnd = new Date('2026-03-20T00:00:00Z');
+      expect(renewalPeriodEnd(currentEnd, 'monthly', now)).toEqual(new Date('2026-04-20T00:00:00Z'));
+      expect(renewalPeriodEnd(new Date('2026-03-01T00:00:00Z'), 'monthly', now)).toEqual(new Date('2026-04-10T12:00:00Z'));
+    });
+  });
+});
@@ -0,0 +1,99 @@
+/**
+ * Bulk Edit System Test Suite
+ * Tests for running bulk jobs without posting to a destination twice
+ */
+
+const BulkEditSystem = require('../../src/services/bulk-edit-system');
+const { createBulkJob } = require('../../src/services/bulk-jobs');
+
+// Just enough of MongoDB for one bulk_operations job
+function createDb(job) {
+  const saves = [];
+  const collection = () => ({
+    findOneAndUpdate: jest.fn(async (filter, update) => {
+      Object.assign(job, update.$set);
+      return { value: JSON.parse(JSON.stringify(job)) };
+    }),
+    updateOne: jest.fn(async (filter, update) => {
+      saves.push(JSON.parse(JSON.stringify(update.$set)));
+      for (const [path, value] of Object.entries(update.$set)) {
+        const [field, index] = path.split('.');
+        if (index === undefined) {
+          job[field] = value;
+        } else {
+          job[field][index] = value;
+        }
+      }
+      return { matchedCount: 1 };
+    }),
+    insertOne: jest.fn(async () => ({}))
+  });
+  return { collection, saves };
+}
+
+describe('BulkEditSystem jobs', () => {
+  let job;
+  let db;
+  let bot;
+  let system;
+
+  const destinationStates = () => job.destinations.map(destination => destination.state);
+
+  beforeEach(() => {
+    job = createBulkJob({
+      id: 'op1',
+      userId: 42,
+      type: 'post',
+      content: { type: 'text', text: 'Hello' },
+      destinations: [{ id: -1001, title: 'News' }, { id: -1002, title: 'Sport' }]
+    });
+    job._id = 'job1';
+    db = createDb(job);
+    bot = { telegram: { sendMessage: jest.fn(async () => ({ message_id: 7 })) } };
+    system = new BulkEditSystem(bot, db, {});
+    system.delay = jest.fn(async () => {});
+  });
+
+  it('should save each destination as sending before posting to it', async () => {
+    bot.telegram.sendMessage.mockImplementation(async (chatId) => {
+      if (chatId !== 42) {
+        const destination = job.destinations.find(d => d.chat_id === chatId);
+        expect(destination.state).toBe('sending');
+      }
+      return { message_id: 7 };
+    });
+
+    await system.runJob('job1');
+
+    expect(destinationStates()).toEqual(['sent', 'sent']);
+    expect(job.status).toBe('completed');
+    expect(db.saves.some(save => save['destinations.0']?.state === 'sending')).toBe(true);
+  });
+
+  it('should not post again to destinations whose send was interrupted', async () => {
+    job.status = 'running';
+    job.lease_expires_at = new Date(Date.now() - 1000);
+    job.started_at = new Date();
+    job.destinations[0].state = 'sending';
+
+    await system.runJob('job1');
+
+    const posted = bot.telegram.sendMessage.mock.calls.map(call => call[0]).filter(chatId => chatId !== 42);
+    expect(posted).toEqual([-1002]);
+    expect(destinationStates()).toEqual(['failed', 'sent']);
+    expect(job.destinations[0].error).toMatch(/interrupted/);
+    expect(job.status).toBe('partial');
+  });
+
+  it('should not post when the job was lost before the claim was saved', async () => {
+    db.collection = () => ({
+      findOneAndUpdate: async () => ({ value: JSON.parse(JSON.stringify({ ...job, status: 'running' })) }),
+      updateOne: async () => ({ matchedCount: 0 })
+    });
+    job.started_at = new Date();
+
+    await system.runJob('job1');
+
+    expect(bot.telegram.sendMessage).not.toHaveBeenCalled();
+  });
+});
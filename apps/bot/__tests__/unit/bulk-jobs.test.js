@@ -0,0 +1,121 @@
+/**
+ * Bulk Jobs Test Suite
+ * Tests for per-destination job state, retries and Telegram rate limits
+ */
+
+const {
+  MAX_ATTEMPTS,
+  createBulkJob,
+  countStates,
+  dueDestinations,
+  nextWakeAt,
+  retryAfterSeconds,
+  afterFailure,
+  afterInterruptedSend,
+  jobOutcome,
+  isOpen
+} = require('../../src/services/bulk-jobs');
+
+const telegramError = (code, description, parameters) => Object.assign(new Error(description), {
+  response: { error_code: code, description, parameters }
+});
+
+describe('Bulk Jobs', () => {
+  const now = new Date('2026-10-19T10:00:00Z');
+
+  it('should start every destination as pending', () => {
+    const job = createBulkJob({
+      id: 'op1',
+      userId: 42,
+      type: 'post',
+      content: { type: 'text', text: 'Hello' },
+      destinations: [{ id: -1001, title: 'News' }, { chat_id: '@zone', name: 'Zone' }]
+    }, now);
+
+    expect(job).toMatchObject({ user_id: 42, operation_id: 'op1', type: 'post', status: 'queued' });
+    expect(job.destinations.map(d => [d.chat_id, d.title, d.state])).toEqual([
+      [-1001, 'News', 'pending'],
+      ['@zone', 'Zone', 'pending']
+    ]);
+    expect(job.counts).toMatchObject({ pending: 2, sent: 0, failed: 0 });
+    expect(isOpen(job)).toBe(true);
+  });
+
+  it('should read retry_after from 429 errors only', () => {
+    expect(retryAfterSeconds(telegramError(429, 'Too Many Requests: retry after 17', { retry_after: 17 }))).toBe(17);
+    expect(retryAfterSeconds(telegramError(429, 'Too Many Requests'))).toBe(5);
+    expect(retryAfterSeconds(telegramError(400, 'Bad Request: chat not found'))).toBeNull();
+    expect(retryAfterSeconds(new Error('socket hang up'))).toBeNull();
+  });
+
+  it('should wait out rate limits without using up attempts', () => {
+    const destination = { chat_id: -1001, state: 'pending', attempts: 2 };
+    const next = afterFailure(destination, telegramError(429, 'Too Many Requests', { retry_after: 30 }), 'send', now);
+
+    expect(next).toMatchObject({ state: 'retrying', attempts: 2 });
+    expect(next.next_attempt_at).toEqual(new Date(now.getTime() + 30000));
+  });
+
+  it('should retry temporary errors with backoff and then fail', () => {
+    let destination = { chat_id: -1001, state: 'pending', attempts: 0 };
+
+    destination = afterFailure(destination, new Error('socket hang up'), 'send', now);
+    expect(destination).toMatchObject({ state: 'retrying', attempts: 1, error: 'socket hang up' });
+    expect(destination.next_attempt_at > now).toBe(true);
+
+    for (let i = 1; i < MAX_ATTEMPTS; i++) {
+      destination = afterFailure(destination, new Error('socket hang up'), 'send', now);
+    }
+    expect(destination).toMatchObject({ state: 'failed', attempts: MAX_ATTEMPTS, next_attempt_at: null });
+  });
+
+  it('should fail at once when the bot cannot post to the chat', () => {
+    const next = afterFailure({ state: 'pending', attempts: 0 }, telegramError(403, 'Forbidden: bot was kicked from the channel chat'), 'send', now);
+    expect(next).toMatchObject({ state: 'failed', attempts: 1 });
+  });
+
+  it('should keep posts that could not be deleted as sent', () => {
+    const next = afterFailure(
+      { state: 'deleting', attempts: 0, message_id: 7 },
+      telegramError(400, 'Bad Request: message can\'t be deleted'),
+      'delete',
+      now
+    );
+    expect(next).toMatchObject({ state: 'sent', message_id: 7, error: 'Could not delete: Bad Request: message can\'t be deleted' });
+  });
+
+  it('should fail interrupted sends instead of sending them again', () => {
+    const destination = { chat_id: -1001, state: 'sending', attempts: 0, error: null };
+    const next = afterInterruptedSend(destination, now);
+
+    expect(next).toMatchObject({ state: 'failed', attempts: 1, next_attempt_at: null });
+    expect(next.error).toMatch(/interrupted/);
+    expect(dueDestinations({ destinations: [destination] }, now)).toEqual([]);
+  });
+
+  it('should pick destinations that are due and say when the rest are', () => {
+    const later = new Date(now.getTime() + 60000);
+    const job = {
+      destinations: [
+        { state: 'sent' },
+        { state: 'pending', next_attempt_at: null },
+        { state: 'retrying', next_attempt_at: later },
+        { state: 'deleting', next_attempt_at: null },
+        { state: 'failed' }
+      ]
+    };
+
+    expect(dueDestinations(job, now)).toEqual([1, 3]);
+    expect(nextWakeAt(job)).toEqual(later);
+  });
+
+  it('should sum up finished jobs', () => {
+    const outcome = (states) => jobOutcome(countStates(states.map(state => ({ state }))));
+
+    expect(outcome(['sent', 'sent'])).toBe('completed');
+    expect(outcome(['sent', 'failed'])).toBe('partial');
+    expect(outcome(['failed', 'failed'])).toBe('failed');
+    expect(outcome(['deleted', 'deleted', 'failed'])).toBe('undone');
+    expect(outcome(['deleted', 'sent'])).toBe('completed');
+  });
+});
@@ -0,0 +1,57 @@
+/**
+ * Engagement Model Test Suite
+ * Tests for hour-of-week engagement scoring and best send times
+ */
+
+const { EngagementModel, buildHeatmap, rankCells, nextOccurrence } = require('../../src/services/engagement-model');
+
+describe('Engagement Model', () => {
+  const timezone = 'Australia/Adelaide';
+
+  // Mondays 18:00 in Adelaide do well, Tuesdays 10:00 do poorly
+  const samples = [];
+  for (let week = 0; week < 6; week++) {
+    samples.push({ posted_at: new Date(Date.UTC(2026, 7, 3 + week * 7, 8, 30)), views: 900 + week, reactions: 12 });
+    samples.push({ posted_at: new Date(Date.UTC(2026, 7, 4 + week * 7, 0, 30)), views: 300 + week, reactions: 2 });
+  }
+
+  const heatmap = buildHeatmap(samples, timezone);
+
+  it('should bucket posts by local hour of week', () => {
+    expect(heatmap.cells).toHaveLength(168);
+    expect(heatmap.has_model).toBe(true);
+    expect(heatmap.cells[1 * 24 + 18].posts).toBe(6);
+    expect(heatmap.cells[2 * 24 + 10].posts).toBe(6);
+  });
+
+  it('should rank well-performing hours first', () => {
+    const [best, worst] = rankCells(heatmap.cells);
+    expect(best).toMatchObject({ weekday: 1, hour: 18 });
+    expect(worst).toMatchObject({ weekday: 2, hour: 10 });
+    expect(best.score.mean).toBeGreaterThan(1);
+    expect(worst.score.mean).toBeLessThan(1);
+  });
+
+  it('should not build a model from too little history', () => {
+    expect(buildHeatmap(samples.slice(0, 4), timezone).has_model).toBe(false);
+  });
+
+  it('should find the next occurrence of an hour of week', () => {
+    // Monday 12:30 in Adelaide
+    const next = nextOccurrence(1, 19, timezone, new Date('2026-10-19T02:00:00Z'));
+    expect(next.toISOString()).toBe('2026-10-19T08:30:00.000Z');
+  });
+
+  it('should pick the best hour the posting policy allows', () => {
+    const model = new EngagementModel(null);
+    const policy = {
+      timezone,
+      quiet_hours: { start: '18:00', end: '07:00' },
+      weekend: { mode: 'allow' },
+      holidays: []
+    };
+
+    const choice = model.bestSendTime(heatmap, policy, new Date('2026-10-19T02:00:00Z'));
+    expect(choice).toMatchObject({ weekday: 2, hour: 10 });
+  });
+});
@@ -0,0 +1,110 @@
+/**
+ * Image Assets Test Suite
+ * Tests for checking article images and hashing them to spot reuse
+ */
+
+const {
+  ImageError,
+  sniffMimeType,
+  checkSource,
+  differenceHash,
+  hammingDistance,
+  hashBands,
+  closestMatch,
+  variantPath,
+  articleImageUrl,
+  articleImages
+} = require('../../src/services/image-assets');
+
+// A 9x8 grayscale gradient, brighter to the left on every row
+const gradient = (offset = 0) => Buffer.from(
+  Array.from({ length: 72 }, (_, i) => 200 - (i % 9) * 20 + offset)
+);
+
+describe('Image Assets', () => {
+  describe('sniffMimeType', () => {
+    it('should go by the first bytes, not the file name or headers', () => {
+      const pad = Buffer.alloc(8);
+      expect(sniffMimeType(Buffer.concat([Buffer.from([0xff, 0xd8, 0xff, 0xe0]), pad]))).toBe('image/jpeg');
+      expect(sniffMimeType(Buffer.concat([Buffer.from('\x89PNG\r\n\x1a\n', 'latin1'), pad]))).toBe('image/png');
+      expect(sniffMimeType(Buffer.from('RIFF\0\0\0\0WEBPVP8 '))).toBe('image/webp');
+      expect(sniffMimeType(Buffer.from('GIF89a......'))).toBe('image/gif');
+      expect(sniffMimeType(Buffer.from('<!DOCTYPE html><html>'))).toBeNull();
+      expect(sniffMimeType(Buffer.from('<svg xmlns="">'))).toBeNull();
+    });
+  });
+
+  describe('checkSource', () => {
+    it('should refuse images that are the wrong type, too small or too narrow', () => {
+      const ok = { mimeType: 'image/jpeg', bytes: 200000, width: 1200, height: 800 };
+      expect(() => checkSource(ok)).not.toThrow();
+      expect(() => checkSource({ ...ok, mimeType: null })).toThrow(ImageError);
+      expect(() => checkSource({ ...ok, width: 120, height: 90 })).toThrow('smaller than 200px');
+      expect(() => checkSource({ ...ok, width: 9000, height: 300 })).toThrow('too long and narrow');
+      expect(() => checkSource({ ...ok, bytes: 20 * 1024 * 1024 })).toThrow('larger than 15MB');
+    });
+  });
+
+  describe('perceptual hashes', () => {
+    it('should give alike images alike hashes', () => {
+      const hash = differenceHash(gradient());
+
+      expect(hash).toBe('ffffffffffffffff');
+      expect(differenceHash(gradient(10))).toBe(hash);
+      expect(hammingDistance(hash, '0000000000000000')).toBe(64);
+      expect(hammingDistance('00000000000000ff', '000000000000000f')).toBe(4);
+      expect(() => differenceHash(Buffer.alloc(10))).toThrow(ImageError);
+    });
+
+    it('should find the closest stored image within reuse distance', () => {
+      const candidates = [
+        { _id: 'far', phash: '00000000000000ff' },
+        { _id: 'near', phash: 'fffffffffffffff0' },
+        { _id: 'same', phash: 'ffffffffffffffff' }
+      ];
+
+      expect(closestMatch('ffffffffffffffff', candidates)).toEqual({ asset: candidates[2], distance: 0 });
+      expect(closestMatch('ffffffffffffff00', candidates).asset._id).toBe('near');
+      expect(closestMatch('0f0f0f0f0f0f0f0f', candidates)).toBeNull();
+    });
+
+    it('should band hashes so near ones share a band', () => {
+      const bands = hashBands('0123456789abcdef');
+
+      expect(bands).toEqual(['0:01', '1:23', '2:45', '3:67', '4:89', '5:ab', '6:cd', '7:ef']);
+      expect(hashBands('0123456789abcdee').filter(band => bands.includes(band))).toHaveLength(7);
+    });
+  });
+
+  describe('articles', () => {
+    it('should read the image URL of both article sources', () => {
+      expect(articleImageUrl({ image_url: 'https://images.unsplash.com/a.jpg' })).toBe('https://images.unsplash.com/a.jpg');
+      expect(articleImageUrl({ imageUrl: 'http://example.com/b.png' })).toBe('http://example.com/b.png');
+      expect(articleImageUrl({ image_url: 'data:image/png;base64,AAAA' })).toBeNull();
+      expect(articleImageUrl({})).toBeNull();
+    });
+
+    it('should link articles to every variant and flag reused images', () => {
+      const sha = 'ab'.repeat(32);
+      const asset = {
+        _id: 'asset1',
+        source_url: 'https://example.com/a.jpg',
+        phash: 'ffffffffffffffff',
+        reuse_of: null,
+        article_count: 1,
+        variants: {
+          telegram: { path: variantPath(sha, 'telegram'), url: `/images/${variantPath(sha, 'telegram')}`, width: 1280, height: 853, file_id: null },
+          card: { path: variantPath(sha, 'card'), url: `/images/${variantPath(sha, 'card')}`, width: 640, height: 360 }
+        }
+      };
+
+      const images = articleImages(asset);
+      expect(images.telegram).toEqual({ url: `/images/ab/${sha}-telegram.jpg`, path: `ab/${sha}-telegram.jpg`, width: 1280, height: 853 });
+      expect(images.card.url).toBe(`/images/ab/${sha}-card.webp`);
+      expect(images.reused).toBe(false);
+
+      expect(articleImages({ ...asset, article_count: 2 }).reused).toBe(true);
+      expect(articleImages({ ...asset, reuse_of: 'asset0' }).reused).toBe(true);
+    });
+  });
+});
@@ -0,0 +1,82 @@
+/**
+ * Internal Auth Test Suite
+ * Tests for the internal service token and X-User-Id checks on the bot's
+ * internal API
+ */
+
+const { requireInternalToken, requireUser } = require('../../src/api/internal-auth');
+
+describe('Internal Auth', () => {
+  const request = (headers) => ({
+    get: (name) => headers[name.toLowerCase()]
+  });
+  const response = () => {
+    const res = { statusCode: null, body: null };
+    res.status = (code) => { res.statusCode = code; return res; };
+    res.json = (body) => { res.body = body; return res; };
+    return res;
+  };
+
+  const originalToken = process.env.INTERNAL_SERVICE_TOKEN;
+  afterEach(() => {
+    if (originalToken === undefined) {
+      delete process.env.INTERNAL_SERVICE_TOKEN;
+    } else {
+      process.env.INTERNAL_SERVICE_TOKEN = originalToken;
+    }
+  });
+
+  describe('requireInternalToken', () => {
+    it('should let the token holder through', () => {
+      process.env.INTERNAL_SERVICE_TOKEN = 's3cret-token';
+      const next = jest.fn();
+
+      requireInternalToken(request({ 'x-internal-token': 's3cret-token' }), response(), next);
+
+      expect(next).toHaveBeenCalled();
+    });
+
+    it('should reject a missing or wrong token', () => {
+      process.env.INTERNAL_SERVICE_TOKEN = 's3cret-token';
+      const next = jest.fn();
+
+      for (const headers of [{}, { 'x-internal-token': 's3cret' }, { 'x-internal-token': 's3cret-token-2' }]) {
+        const res = response();
+        requireInternalToken(request({ ...headers, 'x-user-id': '42' }), res, next);
+        expect(res.statusCode).toBe(401);
+      }
+      expect(next).not.toHaveBeenCalled();
+    });
+
+    it('should reject everything when no token is configured', () => {
+      delete process.env.INTERNAL_SERVICE_TOKEN;
+      const next = jest.fn();
+      const res = response();
+
+      requireInternalToken(request({ 'x-internal-token': '' }), res, next);
+
+      expect(res.statusCode).toBe(503);
+      expect(next).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('requireUser', () => {
+    it('should read the user id', () => {
+      const req = request({ 'x-user-id': '12345' });
+      const next = jest.fn();
+
+      requireUser(req, response(), next);
+
+      expect(req.telegramUserId).toBe(12345);
+      expect(next).toHaveBeenCalled();
+    });
+
+    it('should reject requests without one', () => {
+      const res = response();
+
+      requireUser(request({}), res, jest.fn());
+
+      expect(res.statusCode).toBe(401);
+    });
+  });
+});
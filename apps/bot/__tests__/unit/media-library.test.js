@@ -0,0 +1,91 @@
+/**
+ * Media Library Test Suite
+ * Tests for finding, tagging and grouping library media
+ */
+
+const {
+  findByRef,
+  parseTags,
+  searchFilter,
+  parseAlbum,
+  buildMediaGroup
+} = require('../../src/services/media-library');
+
+const item = (id, type, caption = '') => ({ _id: id, type, file_id: `file-${id}`, caption });
+
+describe('Media Library', () => {
+  const library = [
+    item('65f0c1d2e3f4a5b6c7d8e9f0', 'photo', 'Glenelg at dusk'),
+    item('65f0c1d2e3f4a5b6c7d8e9aa', 'video'),
+    item('65f0c1d2e3f4a5b6c7d8e9bb', 'document'),
+    item('65f0c1d2e3f4a5b6c7d8e9cc', 'voice')
+  ];
+
+  describe('findByRef', () => {
+    it('should find items by id or the last 6 characters of it', () => {
+      expect(findByRef('65f0c1d2e3f4a5b6c7d8e9f0', library)).toBe(library[0]);
+      expect(findByRef('D8E9AA', library)).toBe(library[1]);
+      expect(findByRef('e9aa', library)).toBeNull();
+      expect(findByRef('000000', library)).toBeNull();
+    });
+  });
+
+  describe('parseTags', () => {
+    it('should lowercase tags, drop the # and repeats, and refuse odd ones', () => {
+      expect(parseTags('#Beach summer, beach')).toEqual({ tags: ['beach', 'summer'], errors: [] });
+      expect(parseTags(['night-life', 'a b?']).errors).toEqual(['"a b?" is not a tag (use letters, digits, - and _)']);
+    });
+  });
+
+  describe('searchFilter', () => {
+    it('should match every tag, the type and each word', () => {
+      const { filter, errors } = searchFilter(42, 'dusk #beach type:Photo');
+
+      expect(errors).toEqual([]);
+      expect(filter.user_id).toBe(42);
+      expect(filter.status).toEqual({ $ne: 'deleted' });
+      expect(filter.type).toBe('photo');
+      expect(filter.tags).toEqual({ $all: ['beach'] });
+      expect(filter.$and[0].$or[0].caption.test('Glenelg at Dusk')).toBe(true);
+    });
+
+    it('should refuse empty searches and unknown types', () => {
+      expect(searchFilter(42, '').errors).toEqual(['Search with words, #tags or type:']);
+      expect(searchFilter(42, 'type:gif').errors[0]).toMatch(/^Unknown type "gif"/);
+    });
+  });
+
+  describe('albums', () => {
+    it('should read one item per line with optional captions', () => {
+      const { entries, errors } = parseAlbum(['c7d8e9f0 | Sunset | pier', '', 'd8e9aa', 'd8e9bb |']);
+
+      expect(errors).toEqual([]);
+      expect(entries).toEqual([
+        { ref: 'c7d8e9f0', caption: 'Sunset | pier' },
+        { ref: 'd8e9aa', caption: null },
+        { ref: 'd8e9bb', caption: '' }
+      ]);
+      expect(parseAlbum(['d8e9aa']).errors).toEqual(['An album has 2 to 10 items']);
+    });
+
+    it('should caption each item and keep album kinds apart', () => {
+      const { media, errors } = buildMediaGroup([
+        { item: library[0], caption: null },
+        { item: library[1], caption: 'Waves' },
+        { item: { ...library[0], caption: 'Old' }, caption: '' }
+      ]);
+
+      expect(errors).toEqual([]);
+      expect(media).toEqual([
+        { type: 'photo', media: 'file-65f0c1d2e3f4a5b6c7d8e9f0', caption: 'Glenelg at dusk' },
+        { type: 'video', media: 'file-65f0c1d2e3f4a5b6c7d8e9aa', caption: 'Waves' },
+        { type: 'photo', media: 'file-65f0c1d2e3f4a5b6c7d8e9f0' }
+      ]);
+
+      expect(buildMediaGroup([{ item: library[0] }, { item: library[2] }]).errors)
+        .toEqual(['An album holds only one of: photos and videos, documents']);
+      expect(buildMediaGroup([{ item: library[0] }, { item: library[3] }]).errors)
+        .toEqual(["d8e9cc is a voice, which can't go in an album"]);
+    });
+  });
+});
@@ -0,0 +1,78 @@
+/**
+ * Message Validation Test Suite
+ * Tests for the checks scheduled post previews run before sending
+ */
+
+const {
+  CAPTION_LIMIT,
+  findMarkdownProblems,
+  validateMessage
+} = require('../../src/services/message-validation');
+
+describe('Message Validation', () => {
+  const telegram = (member) => ({
+    getChatMember: jest.fn(async () => {
+      if (member instanceof Error) throw member;
+      return member;
+    })
+  });
+
+  describe('Markdown', () => {
+    it('should accept balanced entities, escapes and links', () => {
+      expect(findMarkdownProblems('📰 *Title*\n\nRates \\_cut\\_ _today_\n🔗 [Read More](https://x.com/a_b)')).toEqual([]);
+    });
+
+    it('should report entities that are never closed', () => {
+      expect(findMarkdownProblems('See https://x.com/a_b')).toEqual(['"_" at character 20 is never closed']);
+    });
+
+    it('should not treat backslashes inside an entity as escapes', () => {
+      expect(findMarkdownProblems('*Rates \\*cut\\* today*')).toHaveLength(1);
+    });
+
+    it('should report "[" that does not start a link', () => {
+      expect(findMarkdownProblems('[Draft] title')).toEqual(['Unescaped "[" at character 1']);
+    });
+  });
+
+  describe('Sending', () => {
+    const channel = { id: -100123, type: 'channel' };
+
+    it('should flag captions over the limit as errors', async () => {
+      const problems = await validateMessage(
+        telegram({ status: 'administrator', can_post_messages: true }), 1, channel,
+        'x'.repeat(CAPTION_LIMIT + 1), { caption: true }
+      );
+      expect(problems.map(problem => [problem.severity, problem.code])).toEqual([['error', 'caption_too_long']]);
+    });
+
+    it('should warn that long messages are truncated', async () => {
+      const problems = await validateMessage(
+        telegram({ status: 'administrator' }), 1, channel, 'x'.repeat(5000)
+      );
+      expect(problems.map(problem => [problem.severity, problem.code])).toEqual([['warning', 'message_too_long']]);
+    });
+
+    it('should report missing channel rights', async () => {
+      const notAdmin = await validateMessage(telegram({ status: 'member' }), 1, channel, 'Hello');
+      expect(notAdmin[0]).toMatchObject({ code: 'permissions', message: 'Bot is not an admin of the channel' });
+
+      const cannotPost = await validateMessage(
+        telegram({ status: 'administrator', can_post_messages: false }), 1, channel, 'Hello'
+      );
+      expect(cannotPost[0].message).toBe('Bot is missing the "Post messages" right');
+    });
+
+    it('should report restricted group members and unreachable chats', async () => {
+      const group = { id: -42, type: 'supergroup' };
+      const restricted = await validateMessage(
+        telegram({ status: 'restricted', can_send_messages: true, can_send_photos: false }), 1, group,
+        'Hello', { caption: true }
+      );
+      expect(restricted.map(problem => problem.message)).toEqual(['Bot is restricted from sending photos']);
+
+      const kicked = await validateMessage(telegram(new Error('chat not found')), 1, group, 'Hello');
+      expect(kicked[0].message).toBe('Bot cannot access the chat: chat not found');
+    });
+  });
+});
@@ -0,0 +1,110 @@
+/**
+ * Posting Windows Test Suite
+ * Tests for per-destination quiet hours, weekend rules and holiday calendars
+ */
+
+const {
+  checkPostingWindow,
+  nextAllowedTime,
+  parseICalHolidays,
+  validatePolicy,
+  getLocalParts
+} = require('../../src/services/posting-windows');
+
+const ICS = [
+  'BEGIN:VCALENDAR',
+  'VERSION:2.0',
+  'BEGIN:VEVENT',
+  'DTSTART;VALUE=DATE:20261225',
+  'DTEND;VALUE=DATE:20261227',
+  'SUMMARY:Christmas\\, Boxing Day',
+  'END:VEVENT',
+  'BEGIN:VEVENT',
+  'DTSTART;VALUE=DATE:20000126',
+  'RRULE:FREQ=YEARLY',
+  'SUMMARY:Australia',
+  '  Day',
+  'END:VEVENT',
+  'BEGIN:VEVENT',
+  'DTSTART;VALUE=DATE:20261111',
+  'STATUS:CANCELLED',
+  'SUMMARY:Cancelled',
+  'END:VEVENT',
+  'END:VCALENDAR'
+].join('\r\n');
+
+describe('Posting Windows', () => {
+  const policy = {
+    timezone: 'Australia/Adelaide',
+    quiet_hours: { start: '22:00', end: '06:00' },
+    weekend: { mode: 'window', days: [0, 6], start: '10:00', end: '18:00' },
+    holidays: parseICalHolidays(ICS),
+    on_blocked: 'defer'
+  };
+
+  const local = (date) => {
+    const parts = getLocalParts(date, policy.timezone);
+    return `${parts.dateKey} ${String(parts.hour).padStart(2, '0')}:${String(parts.minute).padStart(2, '0')}`;
+  };
+
+  describe('iCal import', () => {
+    it('should parse all-day, yearly and multi-day events', () => {
+      expect(policy.holidays).toEqual([
+        { start: '2000-01-26', end: '2000-01-27', summary: 'Australia Day', yearly: true },
+        { start: '2026-12-25', end: '2026-12-27', summary: 'Christmas, Boxing Day', yearly: false }
+      ]);
+    });
+
+    it('should reject files that are not calendars', () => {
+      expect(() => parseICalHolidays('hello')).toThrow('Not an iCalendar file');
+    });
+  });
+
+  describe('Blocked windows', () => {
+    it('should allow posts outside every window', () => {
+      // Monday 12:30 in Adelaide
+      expect(checkPostingWindow(policy, new Date('2026-10-19T02:00:00Z'))).toBeNull();
+    });
+
+    it('should defer quiet-hour posts to the end of quiet hours in local time', () => {
+      const result = nextAllowedTime(policy, new Date('2026-10-19T12:00:00Z'));
+      expect(result.blocks.map(block => block.reason)).toEqual(['quiet_hours']);
+      expect(local(result.time)).toBe('2026-10-20 06:00');
+    });
+
+    it('should hold weekend posts until the weekend window opens', () => {
+      // Saturday 00:00 local, the night DST starts
+      const result = nextAllowedTime(policy, new Date('2026-10-03T14:00:00Z'));
+      expect(local(result.time)).toBe('2026-10-04 10:00');
+    });
+
+    it('should skip multi-day and yearly holidays', () => {
+      const christmas = nextAllowedTime(policy, new Date('2026-12-24T14:00:00Z'));
+      expect(christmas.blocks[0]).toMatchObject({ reason: 'holiday', label: 'Christmas, Boxing Day' });
+      expect(local(christmas.time)).toBe('2026-12-27 10:00');
+
+      const australiaDay = nextAllowedTime(policy, new Date('2027-01-26T02:00:00Z'));
+      expect(local(australiaDay.time)).toBe('2027-01-27 06:00');
+    });
+
+    it('should give up when every day is blocked', () => {
+      const result = nextAllowedTime(
+        { ...policy, weekend: { mode: 'block', days: [0, 1, 2, 3, 4, 5, 6] } },
+        new Date('2026-10-19T02:00:00Z')
+      );
+      expect(result.time).toBeNull();
+    });
+  });
+
+  describe('Validation', () => {
+    it('should report invalid settings', () => {
+      expect(validatePolicy({
+        timezone: 'Mars/Olympus',
+        quiet_hours: { start: '25:00', end: '06:00' },
+        weekend: { mode: 'window', start: '10:00' },
+        on_blocked: 'ignore'
+      })).toHaveLength(4);
+      expect(validatePolicy({ timezone: 'Europe/London', weekend: { mode: 'block', days: [6] } })).toEqual([]);
+    });
+  });
+});
@@ -0,0 +1,91 @@
+/**
+ * Published Posts Test Suite
+ * Tests for selecting published posts and planning bulk edits
+ */
+
+const {
+  parseSelection,
+  parseEdit,
+  needsCurrentText,
+  applyTextEdit,
+  editedKeyboard
+} = require('../../src/services/published-posts');
+
+describe('Published Posts', () => {
+  describe('parseSelection', () => {
+    it('should read article, date, chat and tag filters', () => {
+      const { selection, errors } = parseSelection(
+        'article:0123456789abcdef01234567 from:2026-10-01 to:2026-10-18 in:@zone,-1001234 tag:Sports'
+      );
+
+      expect(errors).toEqual([]);
+      expect(selection.article_id).toBe('0123456789abcdef01234567');
+      expect(selection.from).toEqual(new Date(2026, 9, 1));
+      expect(selection.to).toEqual(new Date(2026, 9, 18, 23, 59, 59, 999));
+      expect(selection.chats).toEqual(['@zone', '-1001234']);
+      expect(selection.tag).toBe('sports');
+    });
+
+    it('should refuse selections that select everything or make no sense', () => {
+      expect(parseSelection('').errors).toEqual(['Choose posts with at least one of article:, from:, to:, in: or tag:']);
+      expect(parseSelection('from:2026-10-18 to:2026-10-01').errors).toEqual(['from: is after to:']);
+      expect(parseSelection('from:2026-02-30 article:42 since:7d').errors).toEqual([
+        '"2026-02-30" is not a date (use YYYY-MM-DD)',
+        '"42" is not an article id',
+        'Unknown filter "since:7d"'
+      ]);
+    });
+  });
+
+  describe('parseEdit', () => {
+    it('should read edits one per line, with text to the end', () => {
+      const { edit, errors } = parseEdit([
+        'replace: Adelaide => Adelaide CBD',
+        'append: Updated 19 Oct',
+        'buttons: Read more - https://example.com/a | Subscribe - https://t.me/zone'
+      ]);
+
+      expect(errors).toEqual([]);
+      expect(edit.replace).toEqual({ find: 'Adelaide', with: 'Adelaide CBD' });
+      expect(edit.append).toBe('Updated 19 Oct');
+      expect(edit.buttons).toEqual([
+        [{ text: 'Read more', url: 'https://example.com/a' }],
+        [{ text: 'Subscribe', url: 'https://t.me/zone' }]
+      ]);
+
+      expect(parseEdit(['text: *Correction*', '', 'The road stays open.']).edit.text)
+        .toBe('*Correction*\n\nThe road stays open.');
+    });
+
+    it('should report edits it cannot read', () => {
+      expect(parseEdit([]).errors).toEqual(['Say what to change with text:, replace:, append: or buttons:']);
+      expect(parseEdit(['replace: no arrow']).errors).toContain('Write replace: as "replace: old text => new text"');
+      expect(parseEdit(['buttons: Click here']).errors).toContain('Write buttons as "Label - https://…", not "Click here"');
+    });
+  });
+
+  describe('applying edits', () => {
+    it('should change the sent text, and only need it for replace and append', () => {
+      const { edit } = parseEdit(['replace: storm => severe storm', 'append: _Updated_']);
+
+      expect(needsCurrentText(edit)).toBe(true);
+      expect(applyTextEdit('A storm is coming. storm!', edit)).toBe('A severe storm is coming. severe storm!\n\n_Updated_');
+      expect(applyTextEdit(undefined, edit)).toBeNull();
+
+      const replaced = parseEdit(['text: New text']).edit;
+      expect(needsCurrentText(replaced)).toBe(false);
+      expect(applyTextEdit(undefined, replaced)).toBe('New text');
+    });
+
+    it('should keep reaction buttons with their counts unless told otherwise', () => {
+      const post = { _id: 'p1', article_id: 'a1', reactions: { like: 3, love: 1, fire: 0 } };
+
+      const kept = editedKeyboard(post, parseEdit(['append: x']).edit);
+      expect(kept.inline_keyboard[0][0]).toEqual({ text: '👍 3', callback_data: 'react:like:a1:p1' });
+
+      expect(editedKeyboard(post, parseEdit(['buttons: none']).edit)).toEqual({ inline_keyboard: [] });
+      expect(editedKeyboard(post, parseEdit(['buttons: Go - https://example.com']).edit))
+        .toEqual({ inline_keyboard: [[{ text: 'Go', url: 'https://example.com' }]] });
+    });
+  });
+});
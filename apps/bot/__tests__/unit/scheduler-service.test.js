@@ -0,0 +1,347 @@
+/**
+ * Scheduler Service Test Suite
+ * Tests for leases, idempotent delivery, cron leadership and the shared
+ * rate limit that let several bot instances run side by side
+ */
+
+// Recurring jobs are not under test; keep cron from starting real timers
+jest.mock('cron', () => ({ CronJob: jest.fn() }), { virtual: true });
+
+const SchedulerService = require('../../src/services/scheduler-service');
+
+// An in-memory MongoDB shared by the instances under test, with the query
+// and update operators the scheduler uses
+function createMemoryDb() {
+  const same = (a, b) => (a instanceof Date && b instanceof Date ? a.getTime() === b.getTime() : (a ?? null) === (b ?? null));
+  const isOperators = (cond) => cond && typeof cond === 'object' && !(cond instanceof Date) &&
+    Object.keys(cond).some(key => key.startsWith('$'));
+
+  const matches = (doc, filter) => Object.entries(filter).every(([key, cond]) => {
+    if (key === '$or') return cond.some(part => matches(doc, part));
+    const value = doc[key];
+    if (!isOperators(cond)) return same(value, cond);
+    return Object.entries(cond).every(([op, arg]) => {
+      switch (op) {
+        case '$lt': return value != null && value < arg;
+        case '$lte': return value != null && value <= arg;
+        case '$gt': return value != null && value > arg;
+        case '$ne': return !same(value, arg);
+        case '$exists': return (value !== undefined) === arg;
+        default: throw new Error(`Unsupported operator ${op}`);
+      }
+    });
+  });
+
+  const apply = (doc, update) => {
+    Object.assign(doc, update.$set);
+    for (const [field, amount] of Object.entries(update.$inc || {})) {
+      doc[field] = (doc[field] || 0) + amount;
+    }
+    for (const field of Object.keys(update.$unset || {})) {
+      delete doc[field];
+    }
+  };
+
+  const duplicateKey = () => Object.assign(new Error('E11000 duplicate key error'), { code: 11000 });
+
+  const collections = {};
+  let nextId = 1;
+  const collection = (name) => {
+    const docs = collections[name] = collections[name] || [];
+
+    const upsert = (filter, update) => {
+      const doc = { ...Object.fromEntries(Object.entries(filter).filter(([key, cond]) => !key.startsWith('$') && !isOperators(cond))) };
+      if (doc._id === undefined) doc._id = nextId++;
+      if (docs.some(existing => same(existing._id, doc._id))) throw duplicateKey();
+      Object.assign(doc, update.$setOnInsert);
+      apply(doc, update);
+      docs.push(doc);
+      return doc;
+    };
+
+    return {
+      docs,
+      insertOne: async (doc) => {
+        if (doc._id !== undefined && docs.some(existing => same(existing._id, doc._id))) throw duplicateKey();
+        const stored = { _id: nextId++, ...doc };
+        docs.push(stored);
+        return { insertedId: stored._id };
+      },
+      insertMany: async (many) => {
+        many.forEach(doc => docs.push({ _id: nextId++, ...doc }));
+        return { insertedCount: many.length };
+      },
+      findOne: async (filter) => docs.find(doc => matches(doc, filter)) || null,
+      find: (filter) => ({ toArray: async () => docs.filter(doc => matches(doc, filter)) }),
+      findOneAndUpdate: async (filter, update, options = {}) => {
+        let candidates = docs.filter(doc => matches(doc, filter));
+        if (options.sort) {
+          candidates = [...candidates].sort((a, b) => {
+            for (const [field, direction] of Object.entries(options.sort)) {
+              if (a[field] < b[field]) return -direction;
+              if (a[field] > b[field]) return direction;
+            }
+            return 0;
+          });
+        }
+        let doc = candidates[0];
+        if (doc) {
+          apply(doc, update);
+        } else if (options.upsert) {
+          doc = upsert(filter, update);
+        }
+        return { value: doc ? { ...doc } : null };
+      },
+      updateOne: async (filter, update, options = {}) => {
+        const doc = docs.find(d => matches(d, filter));
+        if (doc) {
+          apply(doc, update);
+          return { matchedCount: 1, modifiedCount: 1 };
+        }
+        if (options.upsert) {
+          upsert(filter, update);
+          return { matchedCount: 0, modifiedCount: 0, upsertedCount: 1 };
+        }
+        return { matchedCount: 0, modifiedCount: 0 };
+      },
+      deleteOne: async (filter) => {
+        const index = docs.findIndex(doc => matches(doc, filter));
+        if (index >= 0) docs.splice(index, 1);
+        return { deletedCount: index >= 0 ? 1 : 0 };
+      }
+    };
+  };
+
+  return { collection, collections };
+}
+
+describe('SchedulerService', () => {
+  const start = new Date('2026-10-19T10:00:00Z');
+  const later = (ms) => new Date(start.getTime() + ms);
+  let db;
+  let bot;
+
+  const createInstance = (instanceId, options = {}) => new SchedulerService(bot, db, null, {
+    instanceId,
+    leaseMs: 60000,
+    leaderLeaseMs: 30000,
+    ...options
+  });
+
+  beforeEach(() => {
+    jest.useFakeTimers({ now: start });
+    jest.spyOn(SchedulerService.prototype, 'init').mockResolvedValue();
+    db = createMemoryDb();
+    bot = { telegram: { sendMessage: jest.fn().mockResolvedValue({ message_id: 7 }) } };
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+  });
+
+  describe('queue leases', () => {
+    beforeEach(async () => {
+      await db.collection('post_queue').insertOne({
+        _id: 'q1',
+        type: 'digest',
+        destination_id: 'd1',
+        content: 'Morning digest',
+        status: 'queued',
+        priority: 1,
+        queued_at: start
+      });
+    });
+
+    it('should give a queue item to only one of two racing instances', async () => {
+      const a = createInstance('a');
+      const b = createInstance('b');
+
+      const claims = await Promise.all([a.claimQueueItem(), b.claimQueueItem()]);
+
+      expect(claims.filter(Boolean)).toHaveLength(1);
+      expect(db.collections.post_queue[0]).toMatchObject({ status: 'processing', attempts: 1 });
+    });
+
+    it('should let another instance reclaim an item once its lease expires', async () => {
+      const a = createInstance('a');
+      const b = createInstance('b');
+
+      const claimed = await a.claimQueueItem();
+      expect(await b.claimQueueItem()).toBeNull();
+
+      jest.setSystemTime(later(61000));
+      const reclaimed = await b.claimQueueItem();
+
+      expect(reclaimed).toMatchObject({ _id: 'q1', lease_owner: 'b', attempts: 2 });
+      expect(a.isLeaseLost({ lost: false, expiresAt: claimed.lease_expires_at })).toBe(true);
+    });
+
+    it('should not send an item whose lease ran out before the send', async () => {
+      const a = createInstance('a');
+      const item = await a.claimQueueItem();
+      jest.spyOn(a, 'sendQueueItem');
+
+      jest.setSystemTime(later(61000));
+      await createInstance('b').claimQueueItem();
+      await a.processQueueItem(item);
+
+      expect(a.sendQueueItem).not.toHaveBeenCalled();
+      expect(db.collections.post_queue[0]).toMatchObject({ status: 'processing', lease_owner: 'b' });
+      expect(db.collections.post_deliveries[0]).toMatchObject({ status: 'failed', error: 'Lease lost before sending' });
+    });
+
+    it('should send a claimed item once and complete it', async () => {
+      const a = createInstance('a');
+      const item = await a.claimQueueItem();
+      jest.spyOn(a, 'sendQueueItem').mockResolvedValue({ success: true, message_id: 7 });
+
+      await a.processQueueItem(item);
+
+      expect(a.sendQueueItem).toHaveBeenCalledTimes(1);
+      expect(db.collections.post_queue[0]).toMatchObject({ status: 'completed', lease_expires_at: null });
+      expect(db.collections.post_deliveries[0]).toMatchObject({ _id: 'queue:q1', status: 'sent', message_id: 7 });
+    });
+  });
+
+  describe('scheduled post dispatch', () => {
+    it('should queue a due post once when two instances dispatch together', async () => {
+      await db.collection('scheduled_posts').insertOne({
+        _id: 'p1',
+        article_id: 'a1',
+        destinations: ['d1', 'd2'],
+        status: 'pending',
+        scheduled_for: later(-1000)
+      });
+      const a = createInstance('a');
+      const b = createInstance('b');
+      for (const instance of [a, b]) {
+        jest.spyOn(instance, 'queuePost').mockResolvedValue({ queued: true });
+      }
+
+      await Promise.all([a.dispatchDueScheduledPosts(), b.dispatchDueScheduledPosts()]);
+
+      const keys = [...a.queuePost.mock.calls, ...b.queuePost.mock.calls].map(call => call[0].idempotency_key);
+      expect(keys).toEqual(['scheduled:p1:0:d1', 'scheduled:p1:0:d2']);
+      expect(db.collections.scheduled_posts[0]).toMatchObject({ status: 'processing', lease_expires_at: null });
+    });
+  });
+
+  describe('deliverOnce', () => {
+    const send = jest.fn();
+
+    beforeEach(() => {
+      send.mockReset().mockResolvedValue({ success: true, message_id: 9 });
+    });
+
+    it('should skip a key that was already sent', async () => {
+      await db.collection('post_deliveries').insertOne({ _id: 'k1', status: 'sent', message_id: 5 });
+
+      const result = await createInstance('a').deliverOnce('k1', {}, send);
+
+      expect(send).not.toHaveBeenCalled();
+      expect(result).toEqual({ success: true, duplicate: true, message_id: 5 });
+    });
+
+    it('should refuse a key another instance is sending', async () => {
+      await db.collection('post_deliveries').insertOne({ _id: 'k1', status: 'sending', owner: 'b', started_at: later(-1000) });
+
+      const result = await createInstance('a').deliverOnce('k1', {}, send);
+
+      expect(send).not.toHaveBeenCalled();
+      expect(result).toEqual({ success: false, error: 'Delivery already in progress on another instance' });
+    });
+
+    it('should not repeat a send whose owner died mid-flight', async () => {
+      await db.collection('post_deliveries').insertOne({ _id: 'k1', status: 'sending', owner: 'b', started_at: later(-120000) });
+
+      const result = await createInstance('a').deliverOnce('k1', {}, send);
+
+      expect(send).not.toHaveBeenCalled();
+      expect(result).toMatchObject({ success: false, uncertain: true });
+      expect(db.collections.post_deliveries[0].status).toBe('uncertain');
+    });
+
+    it('should take over a key whose last send failed', async () => {
+      await db.collection('post_deliveries').insertOne({ _id: 'k1', status: 'failed', attempts: 1 });
+
+      const result = await createInstance('a').deliverOnce('k1', {}, send);
+
+      expect(send).toHaveBeenCalledTimes(1);
+      expect(result).toEqual({ success: true, message_id: 9 });
+      expect(db.collections.post_deliveries[0]).toMatchObject({ status: 'sent', attempts: 2, owner: 'a' });
+    });
+  });
+
+  describe('cron leadership', () => {
+    it('should keep one leader and hand over when its lease lapses', async () => {
+      const a = createInstance('a');
+      const b = createInstance('b');
+
+      expect(await a.electLeader()).toBe(true);
+      expect(await b.electLeader()).toBe(false);
+
+      jest.setSystemTime(later(20000));
+      expect(await a.electLeader()).toBe(true);
+
+      // a stops renewing
+      jest.setSystemTime(later(51000));
+      expect(await b.electLeader()).toBe(true);
+      expect(await a.electLeader()).toBe(false);
+      expect(db.collections.scheduler_leases[0].owner).toBe('b');
+    });
+
+    it('should hand over at once when the leader releases leadership', async () => {
+      const a = createInstance('a');
+      const b = createInstance('b');
+      await a.electLeader();
+
+      await a.releaseLeadership();
+
+      expect(await b.electLeader()).toBe(true);
+    });
+
+    it('should fire each minute of a job on one instance only', async () => {
+      await db.collection('schedule_jobs').insertOne({ _id: 'j1', enabled: true });
+      const a = createInstance('a');
+      const b = createInstance('b');
+      const fireKey = a.getFireKey();
+
+      const claims = await Promise.all([a.claimCronFire('j1', fireKey), b.claimCronFire('j1', fireKey)]);
+
+      expect(claims.sort()).toEqual([false, true]);
+      expect(await a.claimCronFire('j1', a.getFireKey(later(60000)))).toBe(true);
+    });
+  });
+
+  describe('rate limit', () => {
+    it('should share the per-minute allowance between instances', async () => {
+      const a = createInstance('a', { rateLimit: 2 });
+      const b = createInstance('b', { rateLimit: 2 });
+
+      const window = await a.reserveSendSlot();
+      expect(await b.reserveSendSlot()).toBe(window);
+      expect(await a.reserveSendSlot()).toBeNull();
+
+      await b.releaseSendSlot(window);
+      expect(await a.reserveSendSlot()).toBe(window);
+
+      jest.setSystemTime(later(60000));
+      expect(await b.reserveSendSlot()).not.toBe(window);
+    });
+
+    it('should stop claiming queue items once the allowance is used up', async () => {
+      for (const id of ['q1', 'q2', 'q3']) {
+        await db.collection('post_queue').insertOne({ _id: id, type: 'digest', status: 'queued', priority: 1, queued_at: start });
+      }
+      const a = createInstance('a', { rateLimit: 2 });
+      jest.spyOn(a, 'dispatchDueScheduledPosts').mockResolvedValue();
+      jest.spyOn(a, 'processQueueItem').mockResolvedValue();
+
+      await a.processQueue();
+
+      expect(a.processQueueItem).toHaveBeenCalledTimes(2);
+      expect(db.collections.post_queue.filter(item => item.status === 'queued')).toHaveLength(1);
+    });
+  });
+});
@@ -0,0 +1,169 @@
+/**
+ * Search Text Test Suite
+ * Tests for stemming, query parsing, ranking and highlighting in the
+ * shared search index
+ */
+
+const {
+  stem,
+  tokenize,
+  terms,
+  containsPhrase,
+  editDistance,
+  parseQuery,
+  score,
+  highlight
+} = require('../../../../libs/shared/src/search-text');
+const { buildEntry, isSearchable } = require('../../../../libs/shared/src/search-index');
+
+describe('Search Text', () => {
+  describe('stem', () => {
+    it('should reduce words to Porter stems', () => {
+      expect(stem('caresses')).toBe('caress');
+      expect(stem('ponies')).toBe('poni');
+      expect(stem('hopping')).toBe('hop');
+      expect(stem('relational')).toBe('relat');
+      expect(stem('electrical')).toBe('electr');
+      expect(stem('adjustable')).toBe('adjust');
+      expect(stem('generalizations')).toBe('gener');
+    });
+
+    it('should give inflections of a word the same stem', () => {
+      expect(stem('elections')).toBe(stem('election'));
+      expect(stem('connected')).toBe(stem('connecting'));
+    });
+  });
+
+  describe('tokenize', () => {
+    it('should skip stop words and keep where each word is', () => {
+      expect(tokenize("The Premier's Budget")).toEqual([
+        { stem: 'premier', word: 'premier', start: 4, end: 13 },
+        { stem: 'budget', word: 'budget', start: 14, end: 20 }
+      ]);
+    });
+
+    it('should fold accents and case', () => {
+      expect(terms('Café CAFE')).toEqual(['cafe', 'cafe']);
+    });
+  });
+
+  describe('containsPhrase', () => {
+    it('should match words side by side in order', () => {
+      const stems = terms('The city council approved the tram extension');
+
+      expect(containsPhrase(stems, terms('city council'))).toBe(true);
+      expect(containsPhrase(stems, terms('council city'))).toBe(false);
+      expect(containsPhrase(stems, terms('city tram'))).toBe(false);
+    });
+  });
+
+  describe('editDistance', () => {
+    it('should count edits up to a maximum', () => {
+      expect(editDistance('adelaide', 'adelaid')).toBe(1);
+      expect(editDistance('kitten', 'sitting')).toBe(3);
+      expect(editDistance('kitten', 'sitting', 1)).toBe(2);
+    });
+  });
+
+  describe('parseQuery', () => {
+    it('should read phrases, prefixes, exclusions and filters', () => {
+      const query = parseQuery('"city council" tram* -parking category:Politics source:"ABC News"');
+
+      expect(query.clauses).toEqual([
+        { terms: [], phrase: ['citi', 'council'] },
+        { terms: [{ stem: 'tram', prefix: true }], phrase: null }
+      ]);
+      expect(query.excluded).toEqual(['park']);
+      expect(query.filters).toEqual({ category: 'Politics', source: 'ABC News' });
+    });
+
+    it('should merge terms joined by OR into one clause', () => {
+      const query = parseQuery('crows OR power AND showdown');
+
+      expect(query.clauses).toEqual([
+        { terms: [{ stem: 'crow', prefix: false }, { stem: 'power', prefix: false }], phrase: null },
+        { terms: [{ stem: 'showdown', prefix: false }], phrase: null }
+      ]);
+    });
+
+    it('should treat hyphenated words as phrases', () => {
+      expect(parseQuery('covid-19').clauses).toEqual([{ terms: [], phrase: ['covid', '19'] }]);
+    });
+
+    it('should give no clauses for stop words or regex characters', () => {
+      expect(parseQuery('the of and').clauses).toEqual([]);
+      expect(parseQuery('.* $where').clauses).toEqual([{ terms: [{ stem: 'where', prefix: false }], phrase: null }]);
+    });
+  });
+
+  describe('score', () => {
+    const stats = { documents: 100, title_length: 800, content_length: 20000 };
+    const entry = (title, content) => buildEntry({ _id: 1, title, content, status: 'published' });
+
+    it('should rank a title match above a content match', () => {
+      const matches = [{ stem: 'tram', weight: 1, df: 5 }];
+      const inTitle = score(entry('Tram extension approved', 'The council voted on Tuesday.'), matches, stats);
+      const inContent = score(entry('Council votes on Tuesday', 'The tram extension was approved.'), matches, stats);
+
+      expect(inTitle).toBeGreaterThan(inContent);
+      expect(inContent).toBeGreaterThan(0);
+    });
+
+    it('should weigh rare terms and exact matches more', () => {
+      const article = entry('Tram council', '');
+
+      expect(score(article, [{ stem: 'tram', df: 2 }], stats))
+        .toBeGreaterThan(score(article, [{ stem: 'council', df: 60 }], stats));
+      expect(score(article, [{ stem: 'tram', weight: 1, df: 5 }], stats))
+        .toBeGreaterThan(score(article, [{ stem: 'tram', weight: 0.5, df: 5 }], stats));
+    });
+
+    it('should ignore inherited property names', () => {
+      expect(score(entry('Tram', ''), [{ stem: 'constructor', df: 1 }], stats)).toBe(0);
+    });
+  });
+
+  describe('highlight', () => {
+    it('should mark matching words and escape the rest', () => {
+      expect(highlight('Trams & <b>trains</b> in Adelaide', { stems: ['tram', 'train'] }))
+        .toBe('<mark>Trams</mark> &amp; &lt;b&gt;<mark>trains</mark>&lt;/b&gt; in Adelaide');
+      expect(highlight('Adelaide Oval', { prefixes: ['adel'] }, { open: '<b>', close: '</b>' }))
+        .toBe('<b>Adelaide</b> Oval');
+    });
+
+    it('should cut a snippet around the first match', () => {
+      const text = `${'Lorem ipsum dolor sit amet. '.repeat(10)}The tram line opens next week. ${'More text follows. '.repeat(10)}`;
+      const snippet = highlight(text, { stems: ['tram'] }, { length: 80 });
+
+      expect(snippet.startsWith('…')).toBe(true);
+      expect(snippet.endsWith('…')).toBe(true);
+      expect(snippet).toContain('<mark>tram</mark> line opens');
+    });
+  });
+
+  describe('buildEntry', () => {
+    it('should count terms per field', () => {
+      const built = buildEntry({
+        _id: 'a1',
+        title: 'Tram extension',
+        summary: 'Trams to Norwood',
+        content: 'The tram extension opens.',
+        category: 'Local News',
+        status: 'published'
+      });
+
+      expect(built.title).toEqual({ tram: 1, extens: 1 });
+      expect(built.content).toEqual({ tram: 2, norwood: 1, extens: 1, open: 1 });
+      expect(built.terms.sort()).toEqual(['extens', 'norwood', 'open', 'tram']);
+      expect(built.title_length).toBe(2);
+      expect(built.content_length).toBe(5);
+    });
+
+    it('should only index published story primaries', () => {
+      expect(isSearchable({ status: 'published' })).toBe(true);
+      expect(isSearchable({ status: 'published', story: { primary: true } })).toBe(true);
+      expect(isSearchable({ status: 'published', story: { primary: false } })).toBe(false);
+      expect(isSearchable({ status: 'draft' })).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,126 @@
+/**
+ * Template Bundles Test Suite
+ * Tests for the /exporttemplates file format and how imports merge
+ */
+
+const {
+  BUNDLE_FORMAT,
+  BundleError,
+  createBundle,
+  parseBundle,
+  planImport
+} = require('../../src/services/template-bundles');
+
+describe('Template Bundles', () => {
+  const categories = ['news', 'custom'];
+  const saved = [
+    {
+      name: 'Breaking',
+      category: 'news',
+      parse_mode: 'HTML',
+      content: '<b>{{ title }}</b>{% include "Footer" %}',
+      variables: ['title'],
+      sample_values: { title: 'Storm warning' },
+      usage_count: 12
+    },
+    { name: 'Footer', category: 'custom', content: '\n— Zone News' }
+  ];
+
+  const bundleOf = (templates, version = 1) => JSON.stringify({ format: BUNDLE_FORMAT, version, templates });
+
+  describe('Format', () => {
+    it('should read back what it exports', () => {
+      const bundle = createBundle(saved, { exportedAt: new Date('2026-10-19T00:00:00Z') });
+      expect(bundle).toMatchObject({ format: BUNDLE_FORMAT, version: 1, exported_at: '2026-10-19T00:00:00.000Z' });
+      expect(bundle.templates[0]).not.toHaveProperty('usage_count');
+
+      const { templates, invalid } = parseBundle(JSON.stringify(bundle), { categories });
+      expect(invalid).toEqual([]);
+      expect(templates).toEqual([
+        {
+          name: 'Breaking',
+          category: 'news',
+          parse_mode: 'HTML',
+          content: saved[0].content,
+          variables: ['title'],
+          sample_values: { title: 'Storm warning' },
+          tags: []
+        },
+        {
+          name: 'Footer',
+          category: 'custom',
+          parse_mode: 'Markdown',
+          content: saved[1].content,
+          variables: [],
+          sample_values: {},
+          tags: []
+        }
+      ]);
+    });
+
+    it('should reject files that are not bundles this version can read', () => {
+      expect(() => parseBundle('{not json')).toThrow('File is not valid JSON');
+      expect(() => parseBundle('{"templates": []}')).toThrow(BundleError);
+      expect(() => parseBundle(bundleOf([], 2))).toThrow('Bundle version 2 is newer than this bot supports (1)');
+    });
+
+    it('should report bad entries and keep the rest', () => {
+      const { templates, invalid } = parseBundle(bundleOf([
+        { name: 'Good', category: 'poll', content: 'Hi {{ name }}' },
+        { name: 'Broken', content: '{% if a %}never closed' },
+        { name: 'Good', content: 'again' },
+        { name: 'Mode', content: 'x', parse_mode: 'BBCode' },
+        { name: '', content: 'x' }
+      ]), { categories });
+
+      expect(templates.map(template => [template.name, template.category])).toEqual([['Good', 'custom']]);
+      expect(invalid).toEqual([
+        { index: 1, name: 'Broken', reason: '{% if %} is never closed with {% endif %} (line 1, column 1)' },
+        { index: 2, name: 'Good', reason: 'Name appears more than once in the bundle' },
+        { index: 3, name: 'Mode', reason: 'Unknown parse mode "BBCode"' },
+        { index: 4, name: '', reason: 'Name must be 1-64 characters' }
+      ]);
+    });
+  });
+
+  describe('Merging', () => {
+    const existing = [
+      { name: 'Breaking', content: 'old', parse_mode: 'Markdown' },
+      { name: 'Breaking (2)', content: 'older', parse_mode: 'Markdown' },
+      { name: 'Footer', content: '\n— Zone News', parse_mode: 'Markdown' }
+    ];
+    const { templates } = parseBundle(JSON.stringify(createBundle([
+      ...saved,
+      { name: 'Weekly', content: '{% include "Signature" %}' },
+      { name: 'Daily', content: 'Today' }
+    ])), { categories });
+
+    it('should skip conflicts, identical templates and missing includes by default', () => {
+      const plan = planImport(templates, existing);
+      expect(plan.conflicts).toBe(1);
+      expect(plan.create.map(template => template.name)).toEqual(['Daily']);
+      expect(plan.skip.map(({ template, reason }) => [template.name, reason])).toEqual([
+        ['Breaking', 'A template with this name exists'],
+        ['Footer', 'Already saved'],
+        ['Weekly', 'Includes missing template(s): Signature']
+      ]);
+    });
+
+    it('should rename or replace conflicting templates', () => {
+      const renamed = planImport(templates, existing, 'rename');
+      expect(renamed.create.map(template => [template.name, template.renamed_from])).toEqual([
+        ['Breaking (3)', 'Breaking'],
+        ['Daily', undefined]
+      ]);
+
+      const replaced = planImport(templates, existing, 'replace');
+      expect(replaced.replace).toHaveLength(1);
+      expect(replaced.replace[0].existing).toBe(existing[0]);
+      expect(replaced.replace[0].template.content).toBe(saved[0].content);
+    });
+
+    it('should reject unknown strategies', () => {
+      expect(() => planImport(templates, existing, 'merge')).toThrow('Unknown conflict strategy "merge"');
+    });
+  });
+});
@@ -0,0 +1,114 @@
+/**
+ * Template Engine Test Suite
+ * Tests for the template language used by saved templates, scheduled posts and digests
+ */
+
+const {
+  TemplateSyntaxError,
+  render,
+  findVariables,
+  resolvePartials
+} = require('../../../../libs/shared/src/template-engine');
+
+describe('Template Engine', () => {
+  const articles = [
+    { title: 'Rates_cut', source: 'ABC', published_date: new Date('2026-10-18T23:30:00Z') },
+    { title: 'Footy <finals>', source: null },
+    { title: 'Third' }
+  ];
+
+  describe('Output', () => {
+    it('should escape variables for the parse mode but not template text', () => {
+      const context = { title: 'a_b *c* 1.5 <x> & y' };
+      expect(render('*{{ title }}*', context, { mode: 'Markdown' })).toBe('*a\\_b \\*c\\* 1.5 <x> & y*');
+      expect(render('{{ title }}', context, { mode: 'MarkdownV2' })).toBe('a\\_b \\*c\\* 1\\.5 <x\\> & y');
+      expect(render('<b>{{ title }}</b>', context, { mode: 'HTML' })).toBe('<b>a_b *c* 1.5 &lt;x&gt; &amp; y</b>');
+      expect(render('{{ title | raw }}', context, { mode: 'HTML' })).toBe('a_b *c* 1.5 <x> & y');
+    });
+
+    it('should apply chained filters with arguments', () => {
+      expect(render('{{ title | truncate:9 | upper }}', { title: 'Breaking news today' })).toBe('BREAKING…');
+      expect(render('{{ missing | default:"n/a" }}', {})).toBe('n/a');
+      expect(render('{{ tags | join:" / " }}', { tags: ['a', 'b'] })).toBe('a / b');
+      expect(render('{{ at | date:"ddd D MMM, h:mm A" }}', { at: articles[0].published_date }, { timezone: 'Australia/Adelaide' }))
+        .toBe('Mon 19 Oct, 10:00 AM');
+    });
+
+    it('should report or keep variables without a value', () => {
+      const missing = [];
+      expect(render('Hi {{ name }} {{ user.first }}', {}, { onUndefined: name => missing.push(name) })).toBe('Hi  ');
+      expect(missing).toEqual(['name', 'user.first']);
+      expect(render('Hi {{name}}', {}, { keepUndefined: true })).toBe('Hi {{name}}');
+    });
+  });
+
+  describe('Logic', () => {
+    it('should loop with conditionals without leaving blank lines', () => {
+      const template = [
+        '📰 *Digest*',
+        '{% for article in articles | limit:2 %}',
+        '{{ loop.index }}. {{ article.title }}',
+        '{% if article.source %}',
+        '   Source: {{ article.source }}',
+        '{% endif %}',
+        '{% endfor %}',
+        'Total: {{ articles | length }}'
+      ].join('\n');
+
+      expect(render(template, { articles }, { mode: 'Markdown' })).toBe(
+        '📰 *Digest*\n1. Rates\\_cut\n   Source: ABC\n2. Footy <finals>\nTotal: 3'
+      );
+    });
+
+    it('should support elif, else, comparisons and empty loops', () => {
+      const template = '{% if count > 10 %}many{% elif count == 1 and not muted %}one{% else %}some{% endif %}';
+      expect(render(template, { count: 25 })).toBe('many');
+      expect(render(template, { count: '1' })).toBe('one');
+      expect(render(template, { count: 1, muted: true })).toBe('some');
+      expect(render('{% for a in list %}x{% else %}none{% endfor %}', { list: [] })).toBe('none');
+    });
+
+    it('should render included templates with the same variables', async () => {
+      const sources = { Footer: '— {% include "Sign" %}', Sign: '{{ team }}' };
+      const partials = await resolvePartials('{{ title }} {% include "Footer" %}', async name => sources[name] || null);
+
+      expect(render('{{ title }} {% include "Footer" %}', { title: 'News', team: 'Zone' }, { partials }))
+        .toBe('News — Zone');
+      expect(() => render('{% include "Nope" %}', {}, { partials: {} })).toThrow('Included template "Nope" not found');
+      expect(() => render('{% include "Loop" %}', {}, { partials: { Loop: '{% include "Loop" %}' } }))
+        .toThrow('nested more than');
+    });
+  });
+
+  describe('Syntax errors', () => {
+    const syntaxError = (source) => {
+      try {
+        render(source, {});
+      } catch (error) {
+        return error;
+      }
+      return null;
+    };
+
+    it('should report the line and column of the mistake', () => {
+      const error = syntaxError('Hello\n{% for a in list %}\n{{ a }}\n{% endif %}');
+      expect(error).toBeInstanceOf(TemplateSyntaxError);
+      expect(error.line).toBe(4);
+      expect(error.column).toBe(1);
+      expect(error.reason).toMatch('Expected {% endfor %}');
+    });
+
+    it('should reject unknown filters, unclosed blocks and bad expressions', () => {
+      expect(syntaxError('{{ title | shout }}').reason).toMatch('Unknown filter "shout"');
+      expect(syntaxError('{{ title | truncate }}').reason).toMatch('takes 1 to 2 arguments');
+      expect(syntaxError('x\n  {% if a %}').reason).toBe('{% if %} is never closed with {% endif %}');
+      expect(syntaxError('{{ a b }}').reason).toMatch('Unexpected "b"');
+      expect(syntaxError('{{ title').reason).toMatch('never closed');
+    });
+  });
+
+  it('should list the variables a template reads', () => {
+    expect(findVariables('{{ title }} {% for a in articles %}{{ a.title }}{{ loop.index }}{{ date }}{% endfor %}'))
+      .toEqual(['title', 'articles', 'date']);
+  });
+});
@@ -0,0 +1,74 @@
+/**
+ * Workspace Access Test Suite
+ * Tests for workspace roles, permissions and resource scoping
+ */
+
+const {
+  roleAllows,
+  canAssignRole,
+  scopeFilter,
+  workspaceStamp,
+  canActOn
+} = require('../../src/services/workspace-access');
+
+describe('Workspace Access', () => {
+  const workspace = { _id: 'ws1', owner_id: 1, name: 'Newsroom' };
+  const as = (role) => ({ workspace, role, member: { user_id: 2, role } });
+
+  describe('Roles', () => {
+    it('should grant permissions from the lowest role that has them upwards', () => {
+      expect(roleAllows('viewer', 'workspace:view')).toBe(true);
+      expect(roleAllows('viewer', 'posts:create')).toBe(false);
+      expect(roleAllows('author', 'posts:create')).toBe(true);
+      expect(roleAllows('author', 'posts:manage')).toBe(false);
+      expect(roleAllows('editor', 'bulk:run')).toBe(true);
+      expect(roleAllows('admin', 'members:manage')).toBe(true);
+      expect(roleAllows('admin', 'workspace:delete')).toBe(false);
+      expect(roleAllows('owner', 'workspace:delete')).toBe(true);
+      expect(roleAllows('stranger', 'workspace:view')).toBe(false);
+    });
+
+    it('should reject unknown permissions', () => {
+      expect(() => roleAllows('owner', 'posts:launch')).toThrow('Unknown permission "posts:launch"');
+    });
+
+    it('should only let members assign roles below their own', () => {
+      expect(canAssignRole('owner', 'editor', 'admin')).toBe(true);
+      expect(canAssignRole('owner', null, 'owner')).toBe(false);
+      expect(canAssignRole('owner', 'owner', 'viewer')).toBe(false);
+      expect(canAssignRole('admin', null, 'editor')).toBe(true);
+      expect(canAssignRole('admin', 'viewer', 'admin')).toBe(false);
+      expect(canAssignRole('admin', 'admin', 'viewer')).toBe(false);
+      expect(canAssignRole('editor', 'viewer', 'author')).toBe(false);
+      expect(canAssignRole('owner', 'viewer', 'superuser')).toBe(false);
+    });
+  });
+
+  describe('Scoping', () => {
+    it('should scope queries to the workspace or the personal space', () => {
+      expect(scopeFilter(as('viewer'), 2)).toEqual({ workspace_id: 'ws1' });
+      expect(scopeFilter(null, 2)).toEqual({ user_id: 2, workspace_id: null });
+      expect(scopeFilter(null, 2, 'addedBy')).toEqual({ addedBy: 2, workspace_id: null });
+      expect(workspaceStamp(as('author'))).toEqual({ workspace_id: 'ws1' });
+      expect(workspaceStamp(null)).toEqual({ workspace_id: null });
+    });
+
+    it('should let members change resources according to their role', () => {
+      const own = { workspace_id: 'ws1', scheduled_by: 2 };
+      const others = { workspace_id: 'ws1', scheduled_by: 3 };
+      const options = { ownerField: 'scheduled_by' };
+
+      expect(canActOn(as('author'), 2, own, options)).toBe(true);
+      expect(canActOn(as('author'), 2, others, options)).toBe(false);
+      expect(canActOn(as('editor'), 2, others, options)).toBe(true);
+      expect(canActOn(as('viewer'), 2, own, options)).toBe(false);
+      expect(canActOn(null, 2, own, options)).toBe(false);
+      expect(canActOn({ ...as('owner'), workspace: { _id: 'ws2' } }, 2, others, options)).toBe(false);
+    });
+
+    it('should keep personal resources to their creator', () => {
+      expect(canActOn(null, 2, { user_id: 2 })).toBe(true);
+      expect(canActOn(as('owner'), 2, { user_id: 3, workspace_id: null })).toBe(false);
+    });
+  });
+});
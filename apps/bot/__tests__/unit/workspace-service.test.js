@@ -0,0 +1,122 @@
+/**
+ * Workspace Service Test Suite
+ * Tests for joining workspaces through invites within the owner's seats
+ */
+
+const WorkspaceService = require('../../src/services/workspace-service');
+
+// Just enough of MongoDB for invites, workspaces and members
+function createMemoryDb(data) {
+  const matches = (doc, filter) => Object.entries(filter).every(([key, cond]) => {
+    if (key === '$expr') {
+      const [left, right] = cond.$lt;
+      return doc[left.slice(1)] < doc[right.slice(1)];
+    }
+    const value = doc[key];
+    if (cond === null || typeof cond !== 'object' || cond instanceof Date) return value === cond;
+    return Object.entries(cond).every(([op, arg]) => {
+      switch (op) {
+        case '$lt': return value < arg;
+        case '$gt': return value > arg;
+        case '$gte': return value >= arg;
+        case '$exists': return (value !== undefined) === arg;
+        default: throw new Error(`Unsupported operator ${op}`);
+      }
+    });
+  });
+
+  const apply = (doc, update) => {
+    Object.assign(doc, update.$set);
+    for (const [field, amount] of Object.entries(update.$inc || {})) {
+      doc[field] = (doc[field] || 0) + amount;
+    }
+  };
+
+  const collections = {};
+  const collection = (name) => {
+    const docs = collections[name] = collections[name] || data[name] || [];
+    return {
+      findOne: async (filter) => docs.find(doc => matches(doc, filter)) || null,
+      countDocuments: async (filter) => docs.filter(doc => matches(doc, filter)).length,
+      findOneAndUpdate: async (filter, update) => {
+        const doc = docs.find(d => matches(d, filter));
+        if (doc) apply(doc, update);
+        return { value: doc ? { ...doc } : null };
+      },
+      updateOne: async (filter, update, options = {}) => {
+        const doc = docs.find(d => matches(d, filter));
+        if (doc) {
+          apply(doc, update);
+          return { matchedCount: 1, upsertedCount: 0 };
+        }
+        if (options.upsert) {
+          docs.push({ ...filter, ...update.$setOnInsert, ...update.$set });
+          return { matchedCount: 0, upsertedCount: 1 };
+        }
+        return { matchedCount: 0, upsertedCount: 0 };
+      }
+    };
+  };
+
+  return { collection, collections };
+}
+
+describe('WorkspaceService', () => {
+  const workspace = { _id: 'ws1', name: 'Newsroom', owner_id: 1, seats_used: 2 };
+  let db;
+  let service;
+
+  const invite = (token) => ({
+    _id: `inv-${token}`,
+    token,
+    workspace_id: 'ws1',
+    role: 'editor',
+    created_by: 1,
+    expires_at: new Date(Date.now() + 60000),
+    max_uses: 5,
+    uses: 0
+  });
+
+  const createService = (overrides = {}) => {
+    db = createMemoryDb({
+      workspaces: [{ ...workspace, ...overrides }],
+      workspace_invites: [invite('t1'), invite('t2')],
+      team_members: [{ workspace_id: 'ws1', user_id: 1, role: 'owner' }, { workspace_id: 'ws1', user_id: 2, role: 'viewer' }]
+    });
+    const tierManager = { checkLimit: jest.fn().mockResolvedValue({ allowed: true, current: 2, limit: 3 }) };
+    service = new WorkspaceService({}, db, tierManager);
+  };
+
+  beforeEach(() => createService());
+
+  describe('acceptInvite', () => {
+    it('should give the last free seat to only one of two concurrent joins', async () => {
+      const results = await Promise.all([
+        service.acceptInvite('t1', { id: 10 }),
+        service.acceptInvite('t2', { id: 11 })
+      ]);
+
+      expect(results.map(result => result.success).sort()).toEqual([false, true]);
+      expect(results.find(result => !result.success).error).toMatch('has no free seats');
+      expect(db.collections.team_members).toHaveLength(3);
+      expect(db.collections.workspaces[0].seats_used).toBe(3);
+    });
+
+    it('should give the seat back when adding the member fails', async () => {
+      jest.spyOn(service, 'addMember').mockRejectedValue(new Error('write conflict'));
+
+      const result = await service.acceptInvite('t1', { id: 10 });
+
+      expect(result).toEqual({ success: false, error: 'write conflict' });
+      expect(db.collections.workspaces[0].seats_used).toBe(2);
+    });
+
+    it('should count the seats of a workspace created before seats were counted', async () => {
+      createService({ seats_used: undefined });
+
+      expect((await service.acceptInvite('t1', { id: 10 })).success).toBe(true);
+      expect((await service.acceptInvite('t2', { id: 11 })).success).toBe(false);
+      expect(db.collections.workspaces[0].seats_used).toBe(3);
+    });
+  });
+});
@@ -11,6 +11,10 @@ require('dotenv').config();
 const express = require('express');
 const BotInitialization = require('./src/services/bot-initialization');
 const healthRouter = require('./src/api/health-fixed');
+const { createSchedulerRouter } = require('./src/api/scheduler');
+const { createWebhooksRouter } = require('./src/api/webhooks');
+const { createApiKeysRouter } = require('./src/api/api-keys');
+const { createPaymentsRouter } = require('./src/api/payments');
 const config = require('./src/config/environment');
 
 // Create bot initialization instance
@@ -18,6 +22,9 @@ const botInit = new BotInitialization();
 
 const app = express();
 
+// Stripe and PayPal webhooks, signed over the raw body: before express.json()
+app.use('/api/payments', createPaymentsRouter(() => botInit.services.billing));
+
 // Middleware
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
@@ -26,6 +33,22 @@ app.use(express.urlencoded({ extended: true }));
 app.use('/health', healthRouter);
 app.use('/api/health', healthRouter);
 
+// Scheduler endpoints, proxied by the API gateway
+app.use('/api/scheduler', createSchedulerRouter(() => botInit.services.scheduler));
+
+// Customer webhook endpoints and delivery logs, proxied by the API gateway
+app.use('/api/webhooks', createWebhooksRouter(() => botInit.services.webhooks));
+
+// Public API keys and their usage, proxied by the API gateway
+app.use('/api/keys', createApiKeysRouter(() => botInit.services.apiKeys));
+
+// Optimized article images from ImagePipeline. IMAGE_PUBLIC_URL may be the
+// full public address; files never change, since their names hold a hash.
+app.use(new URL(config.images.publicUrl, 'http://localhost').pathname, express.static(config.images.assetDir, {
+    maxAge: '30d',
+    immutable: true
+}));
+
 // Basic status endpoint
 app.get('/', (req, res) => {
     try {
@@ -0,0 +1,79 @@
+/**
+ * API Keys API - ApiKeyService endpoints for the API gateway, which
+ * authenticates the user and passes their Telegram id in `X-User-Id`
+ * (see internal-auth.js)
+ */
+
+const express = require('express');
+const { requireInternalToken, requireUser } = require('./internal-auth');
+
+/**
+ * @param {Function} getApiKeys - returns the ApiKeyService, or undefined
+ *   while the bot is still starting
+ */
+function createApiKeysRouter(getApiKeys) {
+    const router = express.Router();
+
+    const respond = (res, result, successStatus = 200) => {
+        if (result.success) {
+            return res.status(successStatus).json(result);
+        }
+        const status = result.error === 'API key not found' ? 404
+            : result.upgradeRequired ? 402
+            : 400;
+        res.status(status).json(result);
+    };
+
+    router.use(requireInternalToken);
+
+    router.use((req, res, next) => {
+        req.apiKeys = getApiKeys();
+        if (!req.apiKeys) {
+            return res.status(503).json({
+                success: false,
+                error: 'API keys not available'
+            });
+        }
+        next();
+    });
+
+    // Scopes keys can be given
+    router.get('/scopes', (req, res) => {
+        res.json({ success: true, scopes: req.apiKeys.listScopes() });
+    });
+
+    router.use(requireUser);
+
+    router.get('/keys', async (req, res) => {
+        respond(res, await req.apiKeys.listKeys(req.telegramUserId));
+    });
+
+    // { name, scopes } - the response holds the key
+    router.post('/keys', async (req, res) => {
+        const { name, scopes } = req.body || {};
+        respond(res, await req.apiKeys.createKey(req.telegramUserId, { name, scopes }), 201);
+    });
+
+    // { name, scopes }
+    router.patch('/keys/:keyId', async (req, res) => {
+        const { name, scopes } = req.body || {};
+        respond(res, await req.apiKeys.updateKey(req.telegramUserId, req.params.keyId, { name, scopes }));
+    });
+
+    router.post('/keys/:keyId/rotate', async (req, res) => {
+        respond(res, await req.apiKeys.rotateKey(req.telegramUserId, req.params.keyId));
+    });
+
+    router.delete('/keys/:keyId', async (req, res) => {
+        respond(res, await req.apiKeys.revokeKey(req.telegramUserId, req.params.keyId));
+    });
+
+    // Today's calls against the daily quota, in total and by key
+    router.get('/usage', async (req, res) => {
+        respond(res, await req.apiKeys.getUsage(req.telegramUserId));
+    });
+
+    return router;
+}
+
+module.exports = { createApiKeysRouter };
@@ -0,0 +1,52 @@
+/**
+ * Internal API Auth - the bot's internal routers only answer the services
+ * that hold INTERNAL_SERVICE_TOKEN (the API gateway), sent in
+ * `X-Internal-Token`. Only those callers are trusted to say which user they
+ * act for in `X-User-Id`.
+ */
+
+const crypto = require('crypto');
+
+// Equal-length digests, so comparing them takes the same time whatever the
+// token's length
+function digest(value) {
+    return crypto.createHash('sha256').update(String(value)).digest();
+}
+
+/**
+ * Express middleware rejecting requests without the internal service token.
+ * Without INTERNAL_SERVICE_TOKEN set, every request is rejected.
+ */
+function requireInternalToken(req, res, next) {
+    const expected = process.env.INTERNAL_SERVICE_TOKEN;
+    if (!expected) {
+        return res.status(503).json({
+            success: false,
+            error: 'Internal API is not configured'
+        });
+    }
+
+    const given = req.get('x-internal-token');
+    if (!given || !crypto.timingSafeEqual(digest(given), digest(expected))) {
+        return res.status(401).json({
+            success: false,
+            error: 'Invalid internal service token'
+        });
+    }
+
+    next();
+}
+
+/**
+ * Express middleware reading the user the gateway acts for from `X-User-Id`
+ * into `req.telegramUserId`. Only mount it behind requireInternalToken.
+ */
+function requireUser(req, res, next) {
+    req.telegramUserId = parseInt(req.get('x-user-id'));
+    if (!Number.isInteger(req.telegramUserId)) {
+        return res.status(401).json({ success: false, error: 'X-User-Id header is required' });
+    }
+    next();
+}
+
+module.exports = { requireInternalToken, requireUser };
@@ -0,0 +1,65 @@
+/**
+ * Payments API - Stripe and PayPal webhooks for BillingService
+ *
+ * Signatures are checked against the body exactly as it was sent, so this
+ * router reads it raw and must be mounted before express.json().
+ */
+
+const express = require('express');
+
+const UNAVAILABLE_ERRORS = ['Stripe webhooks are not configured', 'PayPal webhooks are not configured'];
+
+/**
+ * @param {Function} getBilling - returns the running BillingService, or
+ *   undefined while the bot is still starting
+ */
+function createPaymentsRouter(getBilling) {
+    const router = express.Router();
+
+    // Providers retry anything but a 2xx, so only failures worth retrying
+    // (not yet started, processing failed) answer 5xx
+    const respond = (res, result) => {
+        if (result.success) {
+            return res.status(200).json({ received: true, duplicate: Boolean(result.duplicate) });
+        }
+        const status = UNAVAILABLE_ERRORS.includes(result.error) ? 503
+            : result.retry ? 500
+            : 400;
+        res.status(status).json({ received: false, error: result.error });
+    };
+
+    router.use(express.raw({ type: '*/*', limit: '1mb' }));
+
+    router.use((req, res, next) => {
+        req.billing = getBilling();
+        if (!req.billing) {
+            return res.status(503).json({ received: false, error: 'Billing not available' });
+        }
+        if (!Buffer.isBuffer(req.body)) {
+            return res.status(400).json({ received: false, error: 'Request body is required' });
+        }
+        next();
+    });
+
+    router.post('/stripe/webhook', async (req, res) => {
+        try {
+            respond(res, await req.billing.handleStripeWebhook(req.body, req.get('stripe-signature')));
+        } catch (error) {
+            console.error('Stripe webhook error:', error);
+            res.status(500).json({ received: false, error: 'Webhook processing failed' });
+        }
+    });
+
+    router.post('/paypal/webhook', async (req, res) => {
+        try {
+            respond(res, await req.billing.handlePayPalWebhook(req.body, name => req.get(name)));
+        } catch (error) {
+            console.error('PayPal webhook error:', error);
+            res.status(500).json({ received: false, error: 'Webhook processing failed' });
+        }
+    });
+
+    return router;
+}
+
+module.exports = { createPaymentsRouter };
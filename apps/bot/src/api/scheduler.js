@@ -0,0 +1,183 @@
+/**
+ * Scheduler API - SchedulerService heatmaps, suggestions, dry runs and
+ * scheduled posts for the API gateway, each acting as the user it passes in
+ * `X-User-Id` (see internal-auth.js)
+ */
+
+const express = require('express');
+const { requireInternalToken, requireUser } = require('./internal-auth');
+
+/**
+ * Answers 403 unless the user manages every destination in `references`
+ * @returns {Promise<boolean>} whether the request may go on
+ */
+async function checkDestinations(req, res, references, action) {
+    for (const reference of references) {
+        const destination = await req.scheduler.findDestination(reference);
+        if (!destination || !await req.scheduler.canManageDestination(destination, req.telegramUserId)) {
+            res.status(403).json({
+                success: false,
+                error: `You cannot ${action} destination ${reference}`
+            });
+            return false;
+        }
+    }
+    return true;
+}
+
+/**
+ * @param {Function} getScheduler - returns the running SchedulerService, or
+ *   undefined while the bot is still starting
+ */
+function createSchedulerRouter(getScheduler) {
+    const router = express.Router();
+
+    router.use(requireInternalToken);
+
+    router.use((req, res, next) => {
+        req.scheduler = getScheduler();
+        if (!req.scheduler) {
+            return res.status(503).json({
+                success: false,
+                error: 'Scheduler not available'
+            });
+        }
+        next();
+    });
+
+    // Engagement heatmap for a destination (document id, chat id or @username)
+    // the user manages
+    router.get('/destinations/:destination/heatmap', requireUser, async (req, res) => {
+        if (!await checkDestinations(req, res, [req.params.destination], 'view')) return;
+
+        const result = await req.scheduler.getEngagementHeatmap(req.params.destination, {
+            refresh: req.query.refresh === 'true'
+        });
+
+        if (!result.success) {
+            return res.status(result.error === 'Destination not found' ? 404 : 500).json(result);
+        }
+
+        res.json(result);
+    });
+
+    // Suggested send times, from engagement history where there is enough
+    router.get('/destinations/:destination/suggestions', requireUser, async (req, res) => {
+        if (!await checkDestinations(req, res, [req.params.destination], 'view')) return;
+
+        const result = await req.scheduler.suggestOptimalTimes([req.params.destination], req.query.timezone || null);
+        res.status(result.success ? 200 : 500).json(result);
+    });
+
+    // Dry run of schedulePost: { article_id, destinations, scheduled_for, options }
+    router.post('/posts/preview', requireUser, async (req, res) => {
+        const { article_id: articleId, destinations, scheduled_for: scheduledFor, options = {} } = req.body || {};
+
+        if (!articleId || !Array.isArray(destinations) || !scheduledFor) {
+            return res.status(400).json({
+                success: false,
+                error: 'article_id, destinations and scheduled_for are required'
+            });
+        }
+
+        if (!await checkDestinations(req, res, destinations, 'post to')) return;
+
+        const result = await req.scheduler.schedulePost(articleId, destinations, scheduledFor, req.telegramUserId, {
+            ...options,
+            dryRun: true
+        });
+
+        if (!result.success) {
+            return res.status(result.error === 'Article not found' ? 404 : 500).json(result);
+        }
+
+        res.json(result);
+    });
+
+    // Dry run of bulkSchedulePosts: { posts: [{ article_id, destinations, scheduled_for, options }] }
+    router.post('/posts/bulk/preview', requireUser, async (req, res) => {
+        const posts = req.body?.posts;
+
+        if (!Array.isArray(posts) || posts.length === 0) {
+            return res.status(400).json({ success: false, error: 'posts must be a non-empty array' });
+        }
+
+        for (const post of posts) {
+            if (!Array.isArray(post?.destinations)) {
+                return res.status(400).json({ success: false, error: 'Each post needs a destinations array' });
+            }
+            if (!await checkDestinations(req, res, post.destinations, 'post to')) return;
+        }
+
+        const result = await req.scheduler.bulkSchedulePosts(posts, req.telegramUserId, { dryRun: true });
+        res.status(result.success ? 200 : 500).json(result);
+    });
+
+    // Dry run of a recurring schedule's next run, for users who may change it
+    router.get('/schedules/:jobId/preview', requireUser, async (req, res) => {
+        const result = await req.scheduler.previewRecurringSchedule(req.params.jobId, req.telegramUserId);
+
+        if (!result.success) {
+            const status = result.error === 'Schedule not found' ? 404
+                : result.error === 'Insufficient permissions' ? 403
+                : 500;
+            return res.status(status).json(result);
+        }
+
+        res.json(result);
+    });
+
+    // ?status=pending&limit=20&offset=0
+    router.get('/posts', requireUser, async (req, res) => {
+        const result = await req.scheduler.getScheduledPosts(req.telegramUserId, {
+            status: req.query.status || null,
+            limit: Math.min(parseInt(req.query.limit) || 20, 100),
+            offset: parseInt(req.query.offset) || 0
+        });
+        res.status(result.success ? 200 : 500).json(result);
+    });
+
+    // { article_id, destinations, scheduled_for, options } - destinations
+    // must be ones the user manages
+    router.post('/posts', requireUser, async (req, res) => {
+        const { article_id: articleId, destinations, scheduled_for: scheduledFor, options = {} } = req.body || {};
+
+        if (!articleId || !Array.isArray(destinations) || destinations.length === 0 || !scheduledFor) {
+            return res.status(400).json({
+                success: false,
+                error: 'article_id, destinations and scheduled_for are required'
+            });
+        }
+
+        if (!await checkDestinations(req, res, destinations, 'post to')) return;
+
+        const result = await req.scheduler.schedulePost(articleId, destinations, scheduledFor, req.telegramUserId, {
+            timezone: options.timezone,
+            priority: options.priority,
+            templateId: options.template_id
+        });
+
+        if (!result.success) {
+            return res.status(result.error === 'Article not found' ? 404 : 400).json(result);
+        }
+
+        res.status(201).json(result);
+    });
+
+    router.delete('/posts/:postId', requireUser, async (req, res) => {
+        if (!/^[a-f0-9]{24}$/i.test(req.params.postId)) {
+            return res.status(404).json({ success: false, error: 'Scheduled post not found' });
+        }
+
+        const result = await req.scheduler.cancelScheduledPost(req.params.postId, req.telegramUserId);
+        const status = result.success ? 200
+            : result.error === 'Scheduled post not found' ? 404
+            : result.error.startsWith('You can only') ? 403
+            : 400;
+        res.status(status).json(result);
+    });
+
+    return router;
+}
+
+module.exports = { createSchedulerRouter };
@@ -0,0 +1,100 @@
+/**
+ * Webhooks API - WebhookDeliveryService endpoints and delivery logs for the
+ * API gateway, which authenticates the user and passes their Telegram id
+ * in `X-User-Id` (see internal-auth.js)
+ */
+
+const express = require('express');
+const { requireInternalToken, requireUser } = require('./internal-auth');
+
+const NOT_FOUND_ERRORS = ['Webhook endpoint not found', 'Delivery not found'];
+
+/**
+ * @param {Function} getWebhooks - returns the running WebhookDeliveryService,
+ *   or undefined while the bot is still starting
+ */
+function createWebhooksRouter(getWebhooks) {
+    const router = express.Router();
+
+    const respond = (res, result, successStatus = 200) => {
+        if (result.success) {
+            return res.status(successStatus).json(result);
+        }
+        const status = NOT_FOUND_ERRORS.includes(result.error) ? 404
+            : result.upgradeRequired ? 402
+            : 400;
+        res.status(status).json(result);
+    };
+
+    router.use(requireInternalToken);
+
+    router.use((req, res, next) => {
+        req.webhooks = getWebhooks();
+        if (!req.webhooks) {
+            return res.status(503).json({
+                success: false,
+                error: 'Webhooks not available'
+            });
+        }
+        next();
+    });
+
+    // Event types endpoints can subscribe to
+    router.get('/events', (req, res) => {
+        res.json({ success: true, events: req.webhooks.listEvents() });
+    });
+
+    router.use(requireUser);
+
+    router.get('/endpoints', async (req, res) => {
+        respond(res, await req.webhooks.listEndpoints(req.telegramUserId));
+    });
+
+    // { url, events, description } - the response holds the signing secret
+    router.post('/endpoints', async (req, res) => {
+        const { url, events, description } = req.body || {};
+        respond(res, await req.webhooks.createEndpoint(req.telegramUserId, { url, events, description }), 201);
+    });
+
+    // { url, events, description, enabled }
+    router.patch('/endpoints/:endpointId', async (req, res) => {
+        const { url, events, description, enabled } = req.body || {};
+        respond(res, await req.webhooks.updateEndpoint(req.telegramUserId, req.params.endpointId, {
+            url, events, description, enabled
+        }));
+    });
+
+    router.delete('/endpoints/:endpointId', async (req, res) => {
+        respond(res, await req.webhooks.deleteEndpoint(req.telegramUserId, req.params.endpointId));
+    });
+
+    router.post('/endpoints/:endpointId/secret', async (req, res) => {
+        respond(res, await req.webhooks.rotateSecret(req.telegramUserId, req.params.endpointId));
+    });
+
+    router.post('/endpoints/:endpointId/test', async (req, res) => {
+        respond(res, await req.webhooks.sendTest(req.telegramUserId, req.params.endpointId), 202);
+    });
+
+    // Resend every failed delivery of the endpoint
+    router.post('/endpoints/:endpointId/replay', async (req, res) => {
+        respond(res, await req.webhooks.replayFailed(req.telegramUserId, req.params.endpointId), 202);
+    });
+
+    // ?endpoint=<id>&status=failed&limit=20
+    router.get('/deliveries', async (req, res) => {
+        respond(res, await req.webhooks.getDeliveries(req.telegramUserId, {
+            endpoint: req.query.endpoint ?? null,
+            status: req.query.status || null,
+            limit: req.query.limit
+        }));
+    });
+
+    router.post('/deliveries/:deliveryId/replay', async (req, res) => {
+        respond(res, await req.webhooks.replayDelivery(req.telegramUserId, req.params.deliveryId), 202);
+    });
+
+    return router;
+}
+
+module.exports = { createWebhooksRouter };
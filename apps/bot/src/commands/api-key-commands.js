@@ -0,0 +1,194 @@
+/**
+ * API Key Commands - Bot command handlers for ApiKeyService
+ */
+
+const { API_KEY_SCOPES } = require('../../../../libs/shared/src/api-keys');
+
+const USAGE =
+    '🔑 *API keys*\n\n' +
+    '`/apikeys` - list keys and today\'s usage\n' +
+    '`/apikeys create <name> [scopes]` - new key (`articles:read` by default)\n' +
+    '`/apikeys scopes <n> <scopes>` - change what a key can do\n' +
+    '`/apikeys rotate <n>` - replace a key\n' +
+    '`/apikeys revoke <n>`\n' +
+    '`/apikeys scopes` - list scopes\n\n' +
+    '`<n>` is the key\'s number in the list. Send keys in the `X-API-Key` header.';
+
+class ApiKeyCommands {
+    constructor(bot, apiKeys, db) {
+        this.bot = bot;
+        this.apiKeys = apiKeys;
+        this.db = db;
+
+        this.registerCommands();
+    }
+
+    /**
+     * Register API key commands
+     */
+    registerCommands() {
+        this.bot.command('apikeys', (ctx) => this.handleApiKeysCommand(ctx));
+    }
+
+    // ==================== Helpers ====================
+
+    escape(text) {
+        return String(text ?? '').replace(/([_*`[])/g, '\\$1');
+    }
+
+    formatTime(date) {
+        return new Date(date).toLocaleString('en-AU', {
+            day: 'numeric',
+            month: 'short',
+            hour: '2-digit',
+            minute: '2-digit'
+        });
+    }
+
+    formatKey(apiKey, index) {
+        let line = `${index + 1}. ${this.escape(apiKey.name)} \`${apiKey.prefix}…\`\n`;
+        line += `   Scopes: ${apiKey.scopes.map(scope => `\`${scope}\``).join(', ')}\n`;
+        line += `   Today: ${apiKey.calls_today} call(s)`;
+        line += apiKey.last_used_at ? `, last used ${this.formatTime(apiKey.last_used_at)}\n` : ', never used\n';
+        return line;
+    }
+
+    /**
+     * Keys are only shown in private chats
+     */
+    async replyWithKey(ctx, heading, apiKey, key) {
+        await ctx.reply(
+            `${heading}\n\n` +
+            `${this.escape(apiKey.name)} - ${apiKey.scopes.map(scope => `\`${scope}\``).join(', ')}\n\n` +
+            `🔑 API key (shown once):\n\`${key}\`\n\n` +
+            'Send it in the `X-API-Key` header. Calls count against your daily quota, see /usage.',
+            { parse_mode: 'Markdown' }
+        );
+    }
+
+    // ==================== Commands ====================
+
+    /**
+     * Handle /apikeys command and its subcommands
+     */
+    async handleApiKeysCommand(ctx) {
+        try {
+            const [, action, ...args] = ctx.message.text.trim().split(/\s+/);
+            const userId = ctx.from.id;
+
+            switch ((action || 'list').toLowerCase()) {
+                case 'list':
+                    return await this.listKeys(ctx, userId);
+                case 'create':
+                    return await this.createKey(ctx, userId, args);
+                case 'scopes':
+                    return args.length === 0
+                        ? await this.listScopes(ctx)
+                        : await this.changeScopes(ctx, userId, args);
+                case 'rotate':
+                    return await this.rotateKey(ctx, userId, args[0]);
+                case 'revoke':
+                    return await this.revokeKey(ctx, userId, args[0]);
+                default:
+                    return ctx.reply(USAGE, { parse_mode: 'Markdown' });
+            }
+        } catch (error) {
+            console.error('API keys command error:', error);
+            ctx.reply('❌ Error managing API keys. Please try again.');
+        }
+    }
+
+    async listKeys(ctx, userId) {
+        const usage = await this.apiKeys.getUsage(userId);
+        if (!usage.success) {
+            return ctx.reply(`❌ ${usage.error}`);
+        }
+
+        let message = '🔑 *API keys*\n\n';
+        if (usage.keys.length === 0) {
+            message += 'No keys yet. Create one with `/apikeys create <name>`.\n\n';
+        } else {
+            usage.keys.forEach((apiKey, index) => {
+                message += this.formatKey(apiKey, index) + '\n';
+            });
+        }
+        message += usage.limit === -1
+            ? `📊 Today: ${usage.used} call(s) (Unlimited)\n\n`
+            : `📊 Today: ${usage.used}/${usage.limit} calls, resets ${this.formatTime(usage.reset_at)}\n\n`;
+        message += 'Use `/apikeys help` for all options.';
+
+        await ctx.reply(message, { parse_mode: 'Markdown' });
+    }
+
+    async listScopes(ctx) {
+        let message = '🔐 *API key scopes*\n\n';
+        for (const [scope, description] of Object.entries(API_KEY_SCOPES)) {
+            message += `\`${scope}\` - ${description}\n`;
+        }
+        message += '\nUse `all` for every scope.';
+
+        await ctx.reply(message, { parse_mode: 'Markdown' });
+    }
+
+    async createKey(ctx, userId, [name, ...scopes]) {
+        if (!name) {
+            return ctx.reply('Usage: `/apikeys create <name> [scopes]`', { parse_mode: 'Markdown' });
+        }
+        if (ctx.chat.type !== 'private') {
+            return ctx.reply('🔒 Create API keys in a private chat with the bot, so the key stays private.');
+        }
+
+        const result = await this.apiKeys.createKey(userId, {
+            name,
+            scopes: scopes.length > 0 ? scopes : undefined
+        });
+        if (!result.success) {
+            return ctx.reply(`❌ ${result.error}${result.upgradeRequired ? '\n\nUse /upgrade to see plans.' : ''}`);
+        }
+
+        await this.replyWithKey(ctx, '✅ *API key created*', result.apiKey, result.key);
+    }
+
+    async changeScopes(ctx, userId, [reference, ...scopes]) {
+        const result = await this.apiKeys.updateKey(userId, reference, { scopes });
+        if (!result.success) {
+            return ctx.reply(`❌ ${result.error}`);
+        }
+
+        await ctx.reply(
+            `✅ Key ${reference} now has ${result.apiKey.scopes.map(scope => `\`${scope}\``).join(', ')}`,
+            { parse_mode: 'Markdown' }
+        );
+    }
+
+    async rotateKey(ctx, userId, reference) {
+        if (!reference) {
+            return ctx.reply('Usage: `/apikeys rotate <n>`', { parse_mode: 'Markdown' });
+        }
+        if (ctx.chat.type !== 'private') {
+            return ctx.reply('🔒 Rotate API keys in a private chat with the bot.');
+        }
+
+        const result = await this.apiKeys.rotateKey(userId, reference);
+        if (!result.success) {
+            return ctx.reply(`❌ ${result.error}`);
+        }
+
+        await this.replyWithKey(ctx, '🔄 *API key rotated* - the old key no longer works', result.apiKey, result.key);
+    }
+
+    async revokeKey(ctx, userId, reference) {
+        if (!reference) {
+            return ctx.reply('Usage: `/apikeys revoke <n>`', { parse_mode: 'Markdown' });
+        }
+
+        const result = await this.apiKeys.revokeKey(userId, reference);
+        if (!result.success) {
+            return ctx.reply(`❌ ${result.error}`);
+        }
+
+        await ctx.reply(`🗑 Revoked ${this.escape(result.apiKey.name)} \`${result.apiKey.prefix}…\``, { parse_mode: 'Markdown' });
+    }
+}
+
+module.exports = ApiKeyCommands;
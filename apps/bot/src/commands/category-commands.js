@@ -0,0 +1,134 @@
+/**
+ * Category Commands - Bot command handlers for ArticleCategoryService
+ */
+
+const config = require('../config/environment');
+const { CATEGORIES } = require('../../../../libs/shared/src/article-categories');
+
+const USAGE =
+    '🏷 *Recategorize an article*\n\n' +
+    '`/recategorize <article id or t.me link> <category>`\n\n' +
+    `Categories: ${CATEGORIES.join(', ')}\n\n` +
+    'Corrections train the category classifier; see /classifier.';
+
+class CategoryCommands {
+    constructor(bot, categories, db) {
+        this.bot = bot;
+        this.categories = categories;
+        this.db = db;
+
+        this.registerCommands();
+    }
+
+    /**
+     * Register category commands
+     */
+    registerCommands() {
+        this.bot.command('recategorize', (ctx) => this.handleRecategorizeCommand(ctx));
+        this.bot.command('classifier', (ctx) => this.handleClassifierCommand(ctx));
+    }
+
+    // ==================== Helpers ====================
+
+    isAdmin(ctx) {
+        return config.bot.adminIds.includes(ctx.from.id);
+    }
+
+    percent(value) {
+        return value == null ? '  -' : `${Math.round(value * 100)}%`.padStart(4);
+    }
+
+    formatTime(date) {
+        return new Date(date).toLocaleString('en-AU', {
+            day: 'numeric',
+            month: 'short',
+            hour: '2-digit',
+            minute: '2-digit'
+        });
+    }
+
+    // ==================== Commands ====================
+
+    /**
+     * Handle /recategorize <article> <category>
+     */
+    async handleRecategorizeCommand(ctx) {
+        try {
+            if (!this.isAdmin(ctx)) {
+                return ctx.reply('🔒 Admin access required');
+            }
+
+            const [, reference, ...words] = ctx.message.text.trim().split(/\s+/);
+            if (!reference || words.length === 0) {
+                return ctx.reply(USAGE, { parse_mode: 'Markdown' });
+            }
+
+            const result = await this.categories.recategorize(ctx.from.id, reference, words.join(' '));
+            if (!result.success) {
+                return ctx.reply(`❌ ${result.error}`);
+            }
+
+            await ctx.reply(
+                `🏷 "${result.article.title}" moved from ${result.from || 'no category'} to ${result.article.category}.\n\n` +
+                'The classifier learns from it at its next retraining.'
+            );
+        } catch (error) {
+            console.error('Recategorize command error:', error);
+            ctx.reply('❌ Error recategorizing the article. Please try again.');
+        }
+    }
+
+    /**
+     * Handle /classifier - how the category classifier does on articles it
+     * wasn't trained on
+     */
+    async handleClassifierCommand(ctx) {
+        try {
+            if (!this.isAdmin(ctx)) {
+                return ctx.reply('🔒 Admin access required');
+            }
+
+            const { model, corrections, pending } = await this.categories.getReport();
+            if (!model) {
+                return ctx.reply(
+                    '🏷 *Category classifier*\n\n' +
+                    `Not trained yet; ${corrections} corrected article(s) so far. ` +
+                    'It trains once there are enough in at least two categories. Until then categories come from keywords.\n\n' +
+                    'Correct articles with `/recategorize`.',
+                    { parse_mode: 'Markdown' }
+                );
+            }
+
+            let message = '🏷 *Category classifier*\n\n';
+            message += `Trained ${this.formatTime(model.trained_at)} on ${model.examples} corrected article(s)`;
+            message += pending > 0 ? `; ${pending} newer correction(s) at the next retraining.\n\n` : '.\n\n';
+
+            const evaluation = model.evaluation;
+            if (!evaluation) {
+                message += 'Too few articles to hold any out for evaluation.';
+                return ctx.reply(message, { parse_mode: 'Markdown' });
+            }
+
+            message += `*Held-out articles:* ${evaluation.examples}, ${this.percent(evaluation.accuracy).trim()} right\n`;
+            if (evaluation.confident.share != null) {
+                message += `Sure enough for ${this.percent(evaluation.confident.share).trim()} of them ` +
+                    `(confidence ≥ ${this.percent(evaluation.threshold).trim()}), ` +
+                    `${this.percent(evaluation.confident.accuracy).trim()} right; the rest fall back to keywords\n`;
+            }
+
+            const rows = Object.entries(evaluation.categories).map(([name, { support, precision, recall }]) =>
+                `${name.padEnd(14)} ${this.percent(precision)}  ${this.percent(recall)}  ${String(support).padStart(4)}`);
+            message += '\n```\n' +
+                `${'Category'.padEnd(14)} Prec  Rec     n\n` +
+                rows.join('\n') +
+                '\n```';
+
+            await ctx.reply(message, { parse_mode: 'Markdown' });
+        } catch (error) {
+            console.error('Classifier command error:', error);
+            ctx.reply('❌ Error loading the classifier report. Please try again.');
+        }
+    }
+}
+
+module.exports = CategoryCommands;
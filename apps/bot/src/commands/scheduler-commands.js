@@ -0,0 +1,495 @@
+/**
+ * Scheduler Commands - Bot command handlers for SchedulerService
+ */
+
+const axios = require('axios');
+const { WEEKDAYS, zonedTimeToUtc } = require('../services/posting-windows');
+
+const SEVERITY_ICONS = {
+    error: '❌',
+    warning: '⚠️'
+};
+
+const REASON_ICONS = {
+    quiet_hours: '🌙',
+    weekend: '🛋️',
+    holiday: '🎄'
+};
+
+class SchedulerCommands {
+    constructor(bot, scheduler, db) {
+        this.bot = bot;
+        this.scheduler = scheduler;
+        this.db = db;
+
+        this.registerCommands();
+    }
+
+    /**
+     * Register scheduler commands
+     */
+    registerCommands() {
+        this.bot.command('schedules', (ctx) => this.handleSchedulesCommand(ctx));
+        this.bot.command('postingwindow', (ctx) => this.handlePostingWindowCommand(ctx));
+        this.bot.command('postingheatmap', (ctx) => this.handlePostingHeatmapCommand(ctx));
+        this.bot.command('previewpost', (ctx) => this.handlePreviewPostCommand(ctx));
+    }
+
+    // ==================== Helpers ====================
+
+    escape(text) {
+        return String(text ?? '').replace(/([_*`[])/g, '\\$1');
+    }
+
+    formatTime(date, timeZone) {
+        return new Date(date).toLocaleString('en-AU', {
+            timeZone,
+            weekday: 'short',
+            day: 'numeric',
+            month: 'short',
+            hour: '2-digit',
+            minute: '2-digit'
+        });
+    }
+
+    async destinationName(destinationId) {
+        const destination = await this.scheduler.findDestination(destinationId);
+        return destination?.title || destination?.name || String(destinationId);
+    }
+
+    formatPolicy(policy) {
+        const weekend = policy.weekend || {};
+        const days = (weekend.days || [0, 6]).map(day => WEEKDAYS[day]).join(', ');
+
+        let weekendRule = 'posts allowed';
+        if (weekend.mode === 'block') {
+            weekendRule = `no posts on ${days}`;
+        } else if (weekend.mode === 'window') {
+            weekendRule = `${weekend.start}-${weekend.end} on ${days}`;
+        }
+
+        const calendar = policy.holiday_calendar;
+        const holidays = calendar
+            ? `${this.escape(calendar.name)} (${calendar.events.length} days)`
+            : `default (${policy.holidays.length} days)`;
+
+        return `🌏 Timezone: ${this.escape(policy.timezone)}\n` +
+            `🌙 Quiet hours: ${policy.quiet_hours ? `${policy.quiet_hours.start}-${policy.quiet_hours.end}` : 'off'}\n` +
+            `🛋️ Weekends: ${weekendRule}\n` +
+            `🎄 Holidays: ${holidays}\n` +
+            `⏸ Blocked posts: ${policy.on_blocked === 'drop' ? 'dropped' : 'deferred'}`;
+    }
+
+    /**
+     * Render an hour-of-week heatmap as monospace rows, Monday first
+     */
+    renderHeatmap(heatmap) {
+        const shade = (cell) => {
+            if (cell.posts === 0) return '·';
+            if (cell.score.mean < 0.8) return '░';
+            if (cell.score.mean < 1) return '▒';
+            if (cell.score.mean < 1.2) return '▓';
+            return '█';
+        };
+
+        const rows = [1, 2, 3, 4, 5, 6, 0].map(weekday => {
+            const cells = heatmap.cells.filter(cell => cell.weekday === weekday);
+            return `${WEEKDAYS[weekday]} ${cells.map(shade).join('')}`;
+        });
+
+        return ['    0     6     12    18', ...rows].join('\n');
+    }
+
+    /**
+     * Parse a preview time: `auto`, `YYYY-MM-DDTHH:MM` in the scheduler's
+     * timezone or any full ISO timestamp
+     */
+    parseSendTime(value) {
+        if (!value) {
+            return new Date(Date.now() + 60 * 1000);
+        }
+        if (value === 'auto') {
+            return 'auto';
+        }
+
+        const local = /^(\d{4})-(\d{2})-(\d{2})[T ](\d{1,2}):(\d{2})$/.exec(value);
+        if (local) {
+            const [year, month, day, hour, minute] = local.slice(1).map(Number);
+            return zonedTimeToUtc({ year, month, day, hour, minute }, this.scheduler.options.timezone);
+        }
+
+        return new Date(value);
+    }
+
+    formatProblems(problems) {
+        return problems
+            .map(problem => `${SEVERITY_ICONS[problem.severity]} ${this.escape(problem.message)}\n`)
+            .join('');
+    }
+
+    /**
+     * Describe a reaction keyboard as text, so the preview cannot record
+     * reactions against the real post
+     */
+    describeKeyboard(keyboard) {
+        if (!keyboard?.inline_keyboard) {
+            return '';
+        }
+
+        return keyboard.inline_keyboard
+            .map(row => row.map(button => `[${button.text}]`).join(' '))
+            .join('\n');
+    }
+
+    /**
+     * Send a rendered message as the destination would receive it. Markdown
+     * that would not parse is shown as plain text.
+     */
+    async sendRenderedPreview(ctx, rendered, problems) {
+        const broken = problems.some(problem => problem.code === 'markdown' || problem.code === 'caption_too_long');
+        const keyboard = this.describeKeyboard(rendered.reply_markup);
+        const extra = broken ? {} : { parse_mode: rendered.parse_mode || 'Markdown', disable_web_page_preview: false };
+
+        try {
+            if (rendered.type === 'photo' && !broken) {
+                await ctx.replyWithPhoto(rendered.photo, { caption: rendered.text, ...extra });
+            } else {
+                await ctx.reply(rendered.text.substring(0, 4096), extra);
+            }
+        } catch (error) {
+            await ctx.reply(`❌ Telegram rejected the message: ${error.description || error.message}`);
+        }
+
+        if (keyboard) {
+            await ctx.reply(`Buttons:\n${keyboard}`);
+        }
+    }
+
+    // ==================== Commands ====================
+
+    /**
+     * Handle /schedules command - List scheduled posts and their deferrals
+     */
+    async handleSchedulesCommand(ctx) {
+        try {
+            const result = await this.scheduler.getScheduledPosts(ctx.from.id, { limit: 10 });
+
+            if (!result.success) {
+                return ctx.reply(`❌ ${result.error}`);
+            }
+
+            if (result.posts.length === 0) {
+                return ctx.reply('📅 No scheduled posts.');
+            }
+
+            let message = `📅 *Scheduled Posts (${result.total})*\n\n`;
+
+            for (const post of result.posts) {
+                message += `📰 ${this.escape(post.title?.substring(0, 40) || 'Untitled')}\n`;
+                message += `⏰ ${this.formatTime(post.scheduled_for, post.timezone || this.scheduler.options.timezone)}`;
+                message += ` → ${post.destinations?.length || 0} destination(s)\n`;
+
+                for (const deferral of post.deferrals || []) {
+                    const name = this.escape(await this.destinationName(deferral.destination_id));
+                    const icon = REASON_ICONS[deferral.reason] || '⏸';
+
+                    if (deferral.action === 'drop') {
+                        message += `   ${icon} ${name}: skipped (${this.escape(deferral.label)})\n`;
+                    } else {
+                        message += `   ${icon} ${name}: deferred to ${this.formatTime(deferral.until, deferral.timezone)} (${this.escape(deferral.label)})\n`;
+                    }
+                }
+
+                message += '\n';
+            }
+
+            if (result.has_more) {
+                message += `_…and ${result.total - result.posts.length} more_`;
+            }
+
+            await ctx.reply(message, { parse_mode: 'Markdown' });
+        } catch (error) {
+            console.error('Schedules command error:', error);
+            ctx.reply('❌ Error fetching scheduled posts. Please try again.');
+        }
+    }
+
+    /**
+     * Handle /postingheatmap command - Show when a destination's audience
+     * engages most
+     */
+    async handlePostingHeatmapCommand(ctx) {
+        try {
+            const destinationRef = ctx.message.text.split(/\s+/)[1];
+            if (!destinationRef) {
+                return ctx.reply('Usage: `/postingheatmap <channel>`', { parse_mode: 'Markdown' });
+            }
+
+            const result = await this.scheduler.getEngagementHeatmap(destinationRef);
+            if (!result.success) {
+                return ctx.reply(`❌ ${result.error}`);
+            }
+
+            const { heatmap, best } = result;
+            let message = `📊 *Engagement - ${this.escape(result.destination.title || destinationRef)}*\n`;
+            message += `${heatmap.posts} post(s), hours in ${this.escape(heatmap.timezone)}\n\n`;
+            message += '```\n' + this.renderHeatmap(heatmap) + '\n```\n';
+            message += '░ below average  ▒ average  ▓ above  █ best  · no posts\n\n';
+
+            if (!heatmap.has_model) {
+                message += '_Not enough history yet - auto scheduling uses default times._';
+            } else {
+                message += '*Best hours* (engagement vs average, 95% range):\n';
+                for (const cell of best.slice(0, 3)) {
+                    message += `• ${WEEKDAYS[cell.weekday]} ${String(cell.hour).padStart(2, '0')}:00 - ` +
+                        `${Math.round(cell.score.mean * 100)}% (${Math.round(cell.score.low * 100)}-${Math.round(cell.score.high * 100)}%), ` +
+                        `${cell.posts} post(s)\n`;
+                }
+            }
+
+            await ctx.reply(message, { parse_mode: 'Markdown' });
+        } catch (error) {
+            console.error('Posting heatmap command error:', error);
+            ctx.reply('❌ Error building engagement heatmap. Please try again.');
+        }
+    }
+
+    /**
+     * Handle /previewpost command - Dry run of a scheduled post or of a
+     * recurring schedule's next run
+     */
+    async handlePreviewPostCommand(ctx) {
+        try {
+            const args = ctx.message.text.split(/\s+/).slice(1);
+
+            if (args.length < 2) {
+                return ctx.reply(
+                    '👁 *Preview a Post*\n\n' +
+                    'Usage: `/previewpost <article_id> <channel>[,<channel>] [time|auto] [template=<id>] [photo=<url>]`\n' +
+                    'or `/previewpost job <schedule_id>`\n\n' +
+                    'Times are `YYYY-MM-DDTHH:MM` in the scheduler timezone. Nothing is sent to the channels.',
+                    { parse_mode: 'Markdown' }
+                );
+            }
+
+            if (args[0] === 'job') {
+                return await this.previewRecurringSchedule(ctx, args[1]);
+            }
+
+            const [articleId, destinationList, ...rest] = args;
+            const options = {};
+            let time = null;
+
+            for (const arg of rest) {
+                if (arg.startsWith('template=')) {
+                    options.templateId = arg.slice('template='.length);
+                } else if (arg.startsWith('photo=')) {
+                    options.media = arg.slice('photo='.length);
+                } else {
+                    time = arg;
+                }
+            }
+
+            const result = await this.scheduler.schedulePost(
+                articleId,
+                destinationList.split(','),
+                this.parseSendTime(time),
+                ctx.from.id,
+                { ...options, dryRun: true }
+            );
+
+            if (!result.success) {
+                return ctx.reply(`❌ ${result.error}`);
+            }
+
+            let summary = `👁 *Preview - ${this.escape(result.article.title?.substring(0, 60) || 'Untitled')}*\n\n`;
+            summary += this.formatProblems(result.problems);
+
+            // Destinations that would receive the same message share one preview
+            const groups = new Map();
+            for (const preview of result.destinations) {
+                const key = preview.rendered ? JSON.stringify([preview.rendered.type, preview.rendered.photo, preview.rendered.text]) : null;
+                if (key && !groups.has(key)) {
+                    groups.set(key, preview);
+                }
+
+                summary += `📢 *${this.escape(preview.name || preview.destination_id)}*`;
+                if (preview.send_at) {
+                    summary += ` - ${this.formatTime(preview.send_at, preview.timezone)}`;
+                }
+                summary += '\n';
+                summary += preview.problems.length > 0 ? this.formatProblems(preview.problems) : '✅ Ready to send\n';
+                summary += '\n';
+            }
+
+            summary += result.valid ? '✅ All destinations can be posted to.' : '❌ Fix the errors above before scheduling.';
+            await ctx.reply(summary, { parse_mode: 'Markdown' });
+
+            for (const preview of groups.values()) {
+                await this.sendRenderedPreview(ctx, preview.rendered, preview.problems);
+            }
+        } catch (error) {
+            console.error('Preview post command error:', error);
+            ctx.reply('❌ Error previewing post. Please try again.');
+        }
+    }
+
+    async previewRecurringSchedule(ctx, jobId) {
+        const result = await this.scheduler.previewRecurringSchedule(jobId, ctx.from.id);
+        if (!result.success) {
+            return ctx.reply(`❌ ${result.error}`);
+        }
+
+        let summary = `👁 *Preview - ${this.escape(result.schedule.name || result.schedule.type)}*\n`;
+        summary += `Next run: ${this.formatTime(result.next_run, this.scheduler.options.timezone)}, ${result.articles.length} article(s)\n\n`;
+        summary += this.formatProblems(result.problems);
+
+        for (const preview of result.destinations) {
+            summary += `📢 *${this.escape(preview.name || preview.destination_id)}*\n`;
+            summary += preview.problems.length > 0 ? this.formatProblems(preview.problems) : '✅ Ready to send\n';
+            summary += '\n';
+        }
+
+        await ctx.reply(summary, { parse_mode: 'Markdown' });
+
+        // Messages are the same for every destination apart from send-time
+        // template dates, so show the first destination's
+        const first = result.destinations.find(preview => preview.messages?.length > 0);
+        for (const message of first?.messages || []) {
+            if (message.rendered) {
+                await this.sendRenderedPreview(ctx, message.rendered, message.problems);
+            }
+        }
+    }
+
+    /**
+     * Handle /postingwindow command - View or change a destination's
+     * timezone, quiet hours, weekend rule and holiday calendar
+     */
+    async handlePostingWindowCommand(ctx) {
+        try {
+            const [destinationRef, setting, ...rest] = ctx.message.text.split(/\s+/).slice(1);
+            const value = rest.join(' ');
+
+            if (!destinationRef) {
+                return ctx.reply(
+                    '🕐 *Posting Windows*\n\n' +
+                    'Usage: `/postingwindow <channel> [setting] [value]`\n\n' +
+                    'Settings:\n' +
+                    '• `tz Australia/Perth` - Timezone\n' +
+                    '• `quiet 22:00-06:00` or `quiet off` - Quiet hours\n' +
+                    '• `weekend allow|block|10:00-18:00 [0,6]` - Weekend rule\n' +
+                    '• `blocked defer|drop` - What happens to blocked posts\n' +
+                    '• `holidays <ical url>` or `holidays clear` - Holiday calendar\n\n' +
+                    'To upload a calendar, reply to an .ics file with\n' +
+                    '`/postingwindow <channel> holidays`',
+                    { parse_mode: 'Markdown' }
+                );
+            }
+
+            const userId = ctx.from.id;
+            let result;
+
+            switch ((setting || '').toLowerCase()) {
+                case '':
+                    return await this.showPostingWindow(ctx, destinationRef);
+
+                case 'tz':
+                case 'timezone':
+                    result = await this.scheduler.updateDestinationPolicy(destinationRef, { timezone: value }, userId);
+                    break;
+
+                case 'quiet': {
+                    const [start, end] = value.split('-');
+                    const quietHours = value === 'off' ? null : { start, end };
+                    result = await this.scheduler.updateDestinationPolicy(destinationRef, { quiet_hours: quietHours }, userId);
+                    break;
+                }
+
+                case 'weekend': {
+                    const [rule, days] = rest;
+                    const weekend = { mode: rule };
+                    if (/^\d{1,2}:\d{2}-\d{1,2}:\d{2}$/.test(rule || '')) {
+                        [weekend.start, weekend.end] = rule.split('-');
+                        weekend.mode = 'window';
+                    }
+                    if (days) {
+                        weekend.days = days.split(',').map(Number);
+                    }
+                    result = await this.scheduler.updateDestinationPolicy(destinationRef, { weekend }, userId);
+                    break;
+                }
+
+                case 'blocked':
+                    result = await this.scheduler.updateDestinationPolicy(destinationRef, { on_blocked: value }, userId);
+                    break;
+
+                case 'holidays':
+                    result = await this.importHolidays(ctx, destinationRef, value);
+                    if (result.success && result.events !== undefined) {
+                        return ctx.reply(`✅ Imported ${result.events} holiday(s).`);
+                    }
+                    break;
+
+                default:
+                    return ctx.reply('❌ Unknown setting. Send /postingwindow for usage.');
+            }
+
+            if (!result.success) {
+                return ctx.reply(`❌ ${result.error}`);
+            }
+
+            await this.showPostingWindow(ctx, destinationRef);
+        } catch (error) {
+            console.error('Posting window command error:', error);
+            ctx.reply('❌ Error updating posting window. Please try again.');
+        }
+    }
+
+    async showPostingWindow(ctx, destinationRef) {
+        const destination = await this.scheduler.findDestination(destinationRef);
+        if (!destination) {
+            return ctx.reply('❌ Destination not found');
+        }
+
+        const policy = await this.scheduler.getDestinationPolicy(destination._id.toString());
+        policy.holiday_calendar = destination.posting_policy?.holiday_calendar;
+
+        await ctx.reply(
+            `🕐 *Posting Window - ${this.escape(destination.title || destination.name || destinationRef)}*\n\n` +
+            this.formatPolicy(policy),
+            { parse_mode: 'Markdown' }
+        );
+    }
+
+    /**
+     * Import a holiday calendar from a URL or a replied-to .ics document
+     */
+    async importHolidays(ctx, destinationRef, value) {
+        const userId = ctx.from.id;
+
+        if (value === 'clear') {
+            return await this.scheduler.clearHolidayCalendar(destinationRef, userId);
+        }
+
+        if (value) {
+            return await this.scheduler.importHolidayCalendar(destinationRef, { url: value }, userId);
+        }
+
+        const document = ctx.message.reply_to_message?.document;
+        if (!document) {
+            return { success: false, error: 'Give a calendar URL or reply to an .ics file' };
+        }
+
+        const link = await ctx.telegram.getFileLink(document.file_id);
+        const response = await axios.get(link.toString(), { timeout: 15000, responseType: 'text' });
+
+        return await this.scheduler.importHolidayCalendar(
+            destinationRef,
+            { ics: response.data, name: document.file_name },
+            userId
+        );
+    }
+}
+
+module.exports = SchedulerCommands;
@@ -0,0 +1,255 @@
+/**
+ * Source Commands - Bot command handlers for NewsSourceService
+ */
+
+const { CONNECTOR_TYPES } = require('../../../../libs/shared/src/source-connectors');
+
+const STATUS_ICONS = {
+    ok: '✅',
+    not_modified: '✅',
+    error: '❌'
+};
+
+const USAGE =
+    '📰 *News sources*\n\n' +
+    '`/sources` - list sources\n' +
+    '`/sources add <type> <url or path> [minutes] [@channel]` - add a source\n' +
+    '`/sources types` - list source types\n' +
+    '`/sources interval <n> <minutes>` - change how often it is checked\n' +
+    '`/sources rename <n> <name>`\n' +
+    '`/sources categories <n> <theirs>=<ours>; ...` - map its categories to ours (`clear` to reset)\n' +
+    '`/sources default <n> <category>` - category for unmapped articles (`none` to guess)\n' +
+    '`/sources pause <n>` / `/sources resume <n>`\n' +
+    '`/sources poll <n>` - check it now\n' +
+    '`/sources remove <n>`\n\n' +
+    '`<n>` is the source\'s number in the list.';
+
+class SourceCommands {
+    constructor(bot, sources, db) {
+        this.bot = bot;
+        this.sources = sources;
+        this.db = db;
+
+        this.registerCommands();
+    }
+
+    /**
+     * Register source commands
+     */
+    registerCommands() {
+        this.bot.command('sources', (ctx) => this.handleSourcesCommand(ctx));
+    }
+
+    // ==================== Helpers ====================
+
+    escape(text) {
+        return String(text ?? '').replace(/([_*`[])/g, '\\$1');
+    }
+
+    formatTime(date) {
+        return new Date(date).toLocaleString('en-AU', {
+            day: 'numeric',
+            month: 'short',
+            hour: '2-digit',
+            minute: '2-digit'
+        });
+    }
+
+    formatSource(source, index) {
+        let line = `${index + 1}. ${source.enabled ? '🟢' : '⏸'} *${this.escape(source.name)}*\n`;
+        line += `   ${this.escape(this.sources.describe(source))}\n`;
+        line += `   Every ${source.interval_minutes} min`;
+        if (source.channel) {
+            line += `, posts of ${this.escape(source.channel)}`;
+        }
+        line += `, ${source.item_count || 0} article(s) so far\n`;
+
+        const mappings = Object.entries(source.category_map || {});
+        if (mappings.length > 0) {
+            line += `   Categories: ${mappings.map(([theirs, ours]) => `${this.escape(theirs)} → ${this.escape(ours)}`).join(', ')}\n`;
+        }
+        if (source.default_category) {
+            line += `   Otherwise: ${this.escape(source.default_category)}\n`;
+        }
+        if (source.last_polled_at) {
+            line += `   ${STATUS_ICONS[source.last_status] || '•'} Checked ${this.formatTime(source.last_polled_at)}`;
+            if (source.last_status === 'error') {
+                line += `: ${this.escape(source.last_error)}`;
+            }
+            line += '\n';
+        } else {
+            line += '   ⏳ Not checked yet\n';
+        }
+        return line;
+    }
+
+    /**
+     * Arguments after the subcommand and source number, with their spaces
+     */
+    restOf(ctx, skip) {
+        return ctx.message.text.trim().split(/\s+/).slice(skip).join(' ');
+    }
+
+    // ==================== Commands ====================
+
+    /**
+     * Handle /sources command and its subcommands
+     */
+    async handleSourcesCommand(ctx) {
+        try {
+            const [, action, ...args] = ctx.message.text.trim().split(/\s+/);
+            const userId = ctx.from.id;
+
+            switch ((action || 'list').toLowerCase()) {
+                case 'list':
+                    return await this.listSources(ctx, userId);
+                case 'types':
+                    return await this.listTypes(ctx);
+                case 'add':
+                    return await this.addSource(ctx, userId, args);
+                case 'interval':
+                    return await this.changeSource(ctx, userId, args[0], { interval: parseInt(args[1]) },
+                        source => `⏱ *${this.escape(source.name)}* is now checked every ${source.interval_minutes} minutes.`);
+                case 'rename':
+                    return await this.changeSource(ctx, userId, args[0], { name: this.restOf(ctx, 3) },
+                        source => `✏️ Renamed to *${this.escape(source.name)}*.`);
+                case 'categories': {
+                    const pairs = this.restOf(ctx, 3);
+                    return await this.changeSource(ctx, userId, args[0], { categories: pairs.toLowerCase() === 'clear' ? '' : pairs },
+                        source => `🏷 *${this.escape(source.name)}* category map updated (${Object.keys(source.category_map).length} mapping(s)).`);
+                }
+                case 'default': {
+                    const category = this.restOf(ctx, 3);
+                    return await this.changeSource(ctx, userId, args[0], { defaultCategory: category.toLowerCase() === 'none' ? '' : category },
+                        source => source.default_category
+                            ? `🏷 Unmapped articles from *${this.escape(source.name)}* go in ${this.escape(source.default_category)}.`
+                            : `🏷 Unmapped articles from *${this.escape(source.name)}* are categorised by their text.`);
+                }
+                case 'pause':
+                case 'resume': {
+                    const enabled = action.toLowerCase() === 'resume';
+                    return await this.changeSource(ctx, userId, args[0], { enabled },
+                        source => enabled
+                            ? `▶️ *${this.escape(source.name)}* resumed; it will be checked within a couple of minutes.`
+                            : `⏸ *${this.escape(source.name)}* paused.`);
+                }
+                case 'poll':
+                    return await this.pollSource(ctx, userId, args[0]);
+                case 'remove':
+                    return await this.removeSource(ctx, userId, args[0]);
+                default:
+                    return ctx.reply(USAGE, { parse_mode: 'Markdown' });
+            }
+        } catch (error) {
+            console.error('Sources command error:', error);
+            ctx.reply('❌ Error managing news sources. Please try again.');
+        }
+    }
+
+    async listSources(ctx, userId) {
+        const result = await this.sources.listSources(userId);
+        if (!result.success) {
+            return ctx.reply(`❌ ${result.error}`);
+        }
+
+        if (result.sources.length === 0) {
+            return ctx.reply(
+                '📰 *News sources*\n\nNo sources yet. Add a feed with `/sources add rss <url>`.\n\n' +
+                'Use `/sources help` for all options.',
+                { parse_mode: 'Markdown' }
+            );
+        }
+
+        let message = '📰 *News sources*\n\n';
+        result.sources.forEach((source, index) => {
+            message += this.formatSource(source, index) + '\n';
+        });
+        message += 'Use `/sources help` for all options.';
+
+        await ctx.reply(message, { parse_mode: 'Markdown' });
+    }
+
+    async listTypes(ctx) {
+        let message = '📚 *Source types*\n\n';
+        for (const [type, { label, location }] of Object.entries(CONNECTOR_TYPES)) {
+            const from = location === 'url' ? 'URL' : location === 'path' ? 'path' : 'URL or path';
+            message += `\`${type}\` - ${label} (${from})\n`;
+        }
+        message += '\nPaths are relative to the article processor\'s sources folder.';
+
+        await ctx.reply(message, { parse_mode: 'Markdown' });
+    }
+
+    async addSource(ctx, userId, [type, location, ...options]) {
+        if (!type || !location) {
+            return ctx.reply('Usage: `/sources add <type> <url or path> [minutes] [@channel]`', { parse_mode: 'Markdown' });
+        }
+
+        const minutes = options.find(option => /^\d+$/.test(option));
+        const channel = options.find(option => option.startsWith('@'));
+        const result = await this.sources.createSource(userId, {
+            type: type.toLowerCase(),
+            location,
+            interval: minutes ? parseInt(minutes) : undefined,
+            channel
+        });
+        if (!result.success) {
+            return ctx.reply(`❌ ${result.error}${result.upgradeRequired ? '\n\nUse /upgrade to see plans.' : ''}`);
+        }
+
+        await ctx.reply(
+            `✅ *${this.escape(result.source.name)}* added\n\n` +
+            `${this.escape(this.sources.describe(result.source))}, checked every ${result.source.interval_minutes} minutes. ` +
+            'Its articles appear after the first check, within a couple of minutes.\n\n' +
+            'Map its categories to ours with `/sources categories <n> <theirs>=<ours>`.',
+            { parse_mode: 'Markdown' }
+        );
+    }
+
+    /**
+     * Apply one change to a source and confirm it with `describeChange`
+     */
+    async changeSource(ctx, userId, reference, changes, describeChange) {
+        if (!reference) {
+            return ctx.reply(USAGE, { parse_mode: 'Markdown' });
+        }
+
+        const result = await this.sources.updateSource(userId, reference, changes);
+        if (!result.success) {
+            return ctx.reply(`❌ ${result.error}`);
+        }
+
+        await ctx.reply(describeChange(result.source), { parse_mode: 'Markdown' });
+    }
+
+    async pollSource(ctx, userId, reference) {
+        if (!reference) {
+            return ctx.reply('Usage: `/sources poll <n>`', { parse_mode: 'Markdown' });
+        }
+
+        const result = await this.sources.pollNow(userId, reference);
+        if (!result.success) {
+            return ctx.reply(`❌ ${result.error}`);
+        }
+
+        await ctx.reply(`🔄 *${this.escape(result.source.name)}* will be checked within a couple of minutes.`, { parse_mode: 'Markdown' });
+    }
+
+    async removeSource(ctx, userId, reference) {
+        if (!reference) {
+            return ctx.reply('Usage: `/sources remove <n>`', { parse_mode: 'Markdown' });
+        }
+
+        const result = await this.sources.deleteSource(userId, reference);
+        if (!result.success) {
+            return ctx.reply(`❌ ${result.error}`);
+        }
+
+        await ctx.reply(
+            `🗑 Removed *${this.escape(result.source.name)}*. Articles it already brought in stay.`,
+            { parse_mode: 'Markdown' }
+        );
+    }
+}
+
+module.exports = SourceCommands;
@@ -0,0 +1,309 @@
+/**
+ * Webhook Commands - Bot command handlers for WebhookDeliveryService
+ */
+
+const { WEBHOOK_EVENTS } = require('../services/outbound-webhooks');
+
+const STATUS_ICONS = {
+    pending: '⏳',
+    delivering: '📤',
+    delivered: '✅',
+    failed: '❌'
+};
+
+const USAGE =
+    '🔗 *Webhooks*\n\n' +
+    '`/webhooks` - list endpoints\n' +
+    '`/webhooks add <url> [events]` - add an endpoint (all events by default)\n' +
+    '`/webhooks events <n> <events>` - change what an endpoint receives\n' +
+    '`/webhooks pause <n>` / `/webhooks resume <n>`\n' +
+    '`/webhooks remove <n>`\n' +
+    '`/webhooks secret <n>` - new signing secret\n' +
+    '`/webhooks test <n>` - send a test event\n' +
+    '`/webhooks log <n>` - recent deliveries\n' +
+    '`/webhooks replay <n>` - resend failed deliveries\n' +
+    '`/webhooks replay <delivery id>` - resend one delivery\n' +
+    '`/webhooks events` - list events\n\n' +
+    '`<n>` is the endpoint\'s number in the list.';
+
+class WebhookCommands {
+    constructor(bot, webhooks, db) {
+        this.bot = bot;
+        this.webhooks = webhooks;
+        this.db = db;
+
+        this.registerCommands();
+    }
+
+    /**
+     * Register webhook commands
+     */
+    registerCommands() {
+        this.bot.command('webhooks', (ctx) => this.handleWebhooksCommand(ctx));
+    }
+
+    // ==================== Helpers ====================
+
+    escape(text) {
+        return String(text ?? '').replace(/([_*`[])/g, '\\$1');
+    }
+
+    formatTime(date) {
+        return new Date(date).toLocaleString('en-AU', {
+            day: 'numeric',
+            month: 'short',
+            hour: '2-digit',
+            minute: '2-digit',
+            second: '2-digit'
+        });
+    }
+
+    formatEndpoint(endpoint, index) {
+        let line = `${index + 1}. ${endpoint.enabled ? '🟢' : '⏸'} \`${endpoint.url}\`\n`;
+        if (endpoint.description) {
+            line += `   ${this.escape(endpoint.description)}\n`;
+        }
+        line += `   Events: ${endpoint.events.map(event => `\`${event}\``).join(', ')}\n`;
+        if (endpoint.last_delivery_at) {
+            line += `   Last delivery: ${this.formatTime(endpoint.last_delivery_at)}` +
+                (endpoint.last_status ? ` (HTTP ${endpoint.last_status})` : ` (${this.escape(endpoint.last_error || 'no response')})`) + '\n';
+        }
+        if (endpoint.consecutive_failures > 0) {
+            line += `   ⚠️ ${endpoint.consecutive_failures} delivery(ies) failed in a row\n`;
+        }
+        return line;
+    }
+
+    /**
+     * Secrets are only shown in private chats
+     */
+    async replyWithSecret(ctx, heading, endpoint, secret) {
+        await ctx.reply(
+            `${heading}\n\n` +
+            `\`${endpoint.url}\`\n\n` +
+            `🔑 Signing secret (shown once):\n\`${secret}\`\n\n` +
+            'Each request carries `X-Zone-Timestamp` and `X-Zone-Signature: sha256=<hex>`, ' +
+            'the HMAC-SHA256 of `<timestamp>.<body>` with this secret.',
+            { parse_mode: 'Markdown' }
+        );
+    }
+
+    // ==================== Commands ====================
+
+    /**
+     * Handle /webhooks command and its subcommands
+     */
+    async handleWebhooksCommand(ctx) {
+        try {
+            const [, action, ...args] = ctx.message.text.trim().split(/\s+/);
+            const userId = ctx.from.id;
+
+            switch ((action || 'list').toLowerCase()) {
+                case 'list':
+                    return await this.listEndpoints(ctx, userId);
+                case 'add':
+                    return await this.addEndpoint(ctx, userId, args);
+                case 'events':
+                    return args.length === 0
+                        ? await this.listEvents(ctx)
+                        : await this.changeEvents(ctx, userId, args);
+                case 'pause':
+                case 'resume':
+                    return await this.setEnabled(ctx, userId, args[0], action.toLowerCase() === 'resume');
+                case 'remove':
+                    return await this.removeEndpoint(ctx, userId, args[0]);
+                case 'secret':
+                    return await this.rotateSecret(ctx, userId, args[0]);
+                case 'test':
+                    return await this.sendTest(ctx, userId, args[0]);
+                case 'log':
+                    return await this.showLog(ctx, userId, args[0]);
+                case 'replay':
+                    return await this.replay(ctx, userId, args[0]);
+                default:
+                    return ctx.reply(USAGE, { parse_mode: 'Markdown' });
+            }
+        } catch (error) {
+            console.error('Webhooks command error:', error);
+            ctx.reply('❌ Error managing webhooks. Please try again.');
+        }
+    }
+
+    async listEndpoints(ctx, userId) {
+        const result = await this.webhooks.listEndpoints(userId);
+        if (!result.success) {
+            return ctx.reply(`❌ ${result.error}`);
+        }
+
+        if (result.endpoints.length === 0) {
+            return ctx.reply(
+                '🔗 *Webhooks*\n\nNo endpoints yet. Add one with `/webhooks add <https url>`.\n\n' +
+                'Use `/webhooks help` for all options.',
+                { parse_mode: 'Markdown' }
+            );
+        }
+
+        let message = '🔗 *Webhooks*\n\n';
+        result.endpoints.forEach((endpoint, index) => {
+            message += this.formatEndpoint(endpoint, index) + '\n';
+        });
+        message += 'Use `/webhooks help` for all options.';
+
+        await ctx.reply(message, { parse_mode: 'Markdown' });
+    }
+
+    async listEvents(ctx) {
+        let message = '📣 *Webhook events*\n\n';
+        for (const [type, description] of Object.entries(WEBHOOK_EVENTS)) {
+            message += `\`${type}\` - ${description}\n`;
+        }
+        message += '\nUse `all` to receive every event.';
+
+        await ctx.reply(message, { parse_mode: 'Markdown' });
+    }
+
+    async addEndpoint(ctx, userId, [url, ...events]) {
+        if (!url) {
+            return ctx.reply('Usage: `/webhooks add <https url> [events]`', { parse_mode: 'Markdown' });
+        }
+        if (ctx.chat.type !== 'private') {
+            return ctx.reply('🔒 Add webhooks in a private chat with the bot, so the signing secret stays private.');
+        }
+
+        const result = await this.webhooks.createEndpoint(userId, {
+            url,
+            events: events.length > 0 ? events : 'all'
+        });
+        if (!result.success) {
+            return ctx.reply(`❌ ${result.error}${result.upgradeRequired ? '\n\nUse /upgrade to see plans.' : ''}`);
+        }
+
+        await this.replyWithSecret(ctx, '✅ *Webhook added*', result.endpoint, result.secret);
+    }
+
+    async changeEvents(ctx, userId, [reference, ...events]) {
+        const result = await this.webhooks.updateEndpoint(userId, reference, { events });
+        if (!result.success) {
+            return ctx.reply(`❌ ${result.error}`);
+        }
+
+        await ctx.reply(
+            `✅ Endpoint ${reference} now receives ${result.endpoint.events.map(event => `\`${event}\``).join(', ')}`,
+            { parse_mode: 'Markdown' }
+        );
+    }
+
+    async setEnabled(ctx, userId, reference, enabled) {
+        if (!reference) {
+            return ctx.reply(`Usage: \`/webhooks ${enabled ? 'resume' : 'pause'} <n>\``, { parse_mode: 'Markdown' });
+        }
+
+        const result = await this.webhooks.updateEndpoint(userId, reference, { enabled });
+        if (!result.success) {
+            return ctx.reply(`❌ ${result.error}`);
+        }
+
+        await ctx.reply(enabled
+            ? `▶️ Endpoint ${reference} resumed.`
+            : `⏸ Endpoint ${reference} paused. Events raised while paused are not sent.`);
+    }
+
+    async removeEndpoint(ctx, userId, reference) {
+        if (!reference) {
+            return ctx.reply('Usage: `/webhooks remove <n>`', { parse_mode: 'Markdown' });
+        }
+
+        const result = await this.webhooks.deleteEndpoint(userId, reference);
+        if (!result.success) {
+            return ctx.reply(`❌ ${result.error}`);
+        }
+
+        await ctx.reply(`🗑 Removed \`${result.endpoint.url}\``, { parse_mode: 'Markdown' });
+    }
+
+    async rotateSecret(ctx, userId, reference) {
+        if (!reference) {
+            return ctx.reply('Usage: `/webhooks secret <n>`', { parse_mode: 'Markdown' });
+        }
+        if (ctx.chat.type !== 'private') {
+            return ctx.reply('🔒 Rotate secrets in a private chat with the bot.');
+        }
+
+        const result = await this.webhooks.rotateSecret(userId, reference);
+        if (!result.success) {
+            return ctx.reply(`❌ ${result.error}`);
+        }
+
+        await this.replyWithSecret(ctx, '🔄 *Secret rotated* - the old secret no longer works', result.endpoint, result.secret);
+    }
+
+    async sendTest(ctx, userId, reference) {
+        if (!reference) {
+            return ctx.reply('Usage: `/webhooks test <n>`', { parse_mode: 'Markdown' });
+        }
+
+        const result = await this.webhooks.sendTest(userId, reference);
+        if (!result.success) {
+            return ctx.reply(`❌ ${result.error}`);
+        }
+
+        await ctx.reply(
+            `📤 Test event queued. Check \`/webhooks log ${reference}\` in a few seconds.`,
+            { parse_mode: 'Markdown' }
+        );
+    }
+
+    async showLog(ctx, userId, reference) {
+        const result = await this.webhooks.getDeliveries(userId, { endpoint: reference ?? null, limit: 10 });
+        if (!result.success) {
+            return ctx.reply(`❌ ${result.error}`);
+        }
+
+        if (result.deliveries.length === 0) {
+            return ctx.reply('📭 No deliveries yet.');
+        }
+
+        let message = '📜 *Recent deliveries*\n\n';
+        for (const delivery of result.deliveries) {
+            const last = delivery.attempt_log?.[delivery.attempt_log.length - 1];
+            message += `${STATUS_ICONS[delivery.status] || '•'} \`${delivery.type}\` ${this.formatTime(delivery.created_at)}`;
+            message += ` - ${delivery.attempts} attempt(s)`;
+            if (last) {
+                message += last.status_code ? `, HTTP ${last.status_code}` : `, ${this.escape(last.error)}`;
+            }
+            if (delivery.status === 'pending' && delivery.attempts > 0) {
+                message += `, retry ${this.formatTime(delivery.next_attempt_at)}`;
+            }
+            message += `\n   \`${delivery._id}\`${delivery.replay_of ? ' (replay)' : ''}\n`;
+        }
+        message += '\nResend one with `/webhooks replay <delivery id>`.';
+
+        await ctx.reply(message, { parse_mode: 'Markdown' });
+    }
+
+    async replay(ctx, userId, reference) {
+        if (!reference) {
+            return ctx.reply('Usage: `/webhooks replay <n>` or `/webhooks replay <delivery id>`', { parse_mode: 'Markdown' });
+        }
+
+        // Endpoint numbers are short; delivery ids are 24 hex characters
+        if (/^\d+$/.test(reference)) {
+            const result = await this.webhooks.replayFailed(userId, reference);
+            if (!result.success) {
+                return ctx.reply(`❌ ${result.error}`);
+            }
+            return ctx.reply(result.replayed > 0
+                ? `🔁 Resending ${result.replayed} failed delivery(ies).`
+                : '✅ No failed deliveries to resend.');
+        }
+
+        const result = await this.webhooks.replayDelivery(userId, reference);
+        if (!result.success) {
+            return ctx.reply(`❌ ${result.error}`);
+        }
+
+        await ctx.reply('🔁 Delivery queued again.');
+    }
+}
+
+module.exports = WebhookCommands;
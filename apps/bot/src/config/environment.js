@@ -3,6 +3,8 @@
  * Centralizes all environment variables and provides validation
  */
 
+const path = require('path');
+
 const config = {
   // Core Bot Configuration
   bot: {
@@ -44,6 +46,12 @@ const config = {
     enabled: process.env.SCHEDULING_ENABLED !== 'false'
   },
 
+  // Optimized article images, written by ImagePipeline and served at publicUrl
+  images: {
+    assetDir: process.env.IMAGE_ASSET_DIR || path.join(__dirname, '../../storage/images'),
+    publicUrl: (process.env.IMAGE_PUBLIC_URL || '/images').replace(/\/$/, '')
+  },
+
   // Security Configuration
   security: {
     sessionSecret: process.env.SESSION_SECRET,
@@ -0,0 +1,228 @@
+/**
+ * API Key Service - users' keys for the public REST API: create, rotate,
+ * revoke, and today's usage against their tier's quota
+ *
+ * Keys belong to the user who created them, wherever they are working, and
+ * calls count against that user's own tier (see api-keys).
+ */
+
+const { ObjectId } = require('mongodb');
+const {
+    API_KEY_SCOPES,
+    DEFAULT_SCOPES,
+    MAX_KEYS_PER_USER,
+    generateApiKey,
+    parseScopes,
+    getDailyApiUsage,
+    quotaResetAt
+} = require('../../../../libs/shared/src/api-keys');
+
+const MAX_NAME_LENGTH = 50;
+
+class ApiKeyService {
+    constructor(db, tierManager) {
+        this.db = db;
+        this.tierManager = tierManager;
+    }
+
+    /**
+     * Indexes for key lookups by hash and the per-day usage counters
+     */
+    async ensureIndexes() {
+        try {
+            await this.db.collection('api_keys').createIndex({ key_hash: 1 }, { unique: true });
+            await this.db.collection('api_keys').createIndex({ user_id: 1, revoked_at: 1 });
+            await this.db.collection('api_usage').createIndex({ user_id: 1, day: 1 }, { unique: true });
+        } catch (error) {
+            console.warn('API key index creation warning:', error.message);
+        }
+    }
+
+    /**
+     * An active key of the user, by id or by its number in listKeys
+     */
+    async resolveKey(userId, reference) {
+        const value = String(reference ?? '').trim();
+        
+        if (/^[a-f0-9]{24}$/i.test(value)) {
+            return await this.db.collection('api_keys').findOne({ _id: new ObjectId(value), user_id: userId, revoked_at: null });
+        }
+        if (/^\d+$/.test(value)) {
+            const keys = await this.activeKeys(userId);
+            return keys[parseInt(value) - 1] || null;
+        }
+        return null;
+    }
+
+    async activeKeys(userId) {
+        return await this.db.collection('api_keys')
+            .find({ user_id: userId, revoked_at: null })
+            .sort({ created_at: 1 })
+            .toArray();
+    }
+
+    async listKeys(userId) {
+        const keys = await this.activeKeys(userId);
+        return { success: true, keys: keys.map(key => this.publicKey(key)) };
+    }
+
+    /**
+     * Create a key. The key itself is only returned here and by rotateKey.
+     */
+    async createKey(userId, { name = '', scopes } = {}) {
+        try {
+            if (!await this.tierManager.hasFeature(userId, 'api_access')) {
+                return { success: false, error: 'API access requires Pro tier or higher', upgradeRequired: 'pro' };
+            }
+            
+            const parsed = parseScopes(scopes ?? DEFAULT_SCOPES);
+            if (parsed.unknown.length > 0) {
+                return { success: false, error: `Unknown scope(s): ${parsed.unknown.join(', ')}` };
+            }
+            if (parsed.scopes.length === 0) {
+                return { success: false, error: 'Choose at least one scope' };
+            }
+            
+            const count = await this.db.collection('api_keys').countDocuments({ user_id: userId, revoked_at: null });
+            if (count >= MAX_KEYS_PER_USER) {
+                return { success: false, error: `You can have up to ${MAX_KEYS_PER_USER} active API keys; revoke one first` };
+            }
+            
+            const { key, key_hash, prefix } = generateApiKey();
+            const apiKey = {
+                user_id: userId,
+                name: String(name || '').trim().slice(0, MAX_NAME_LENGTH) || `Key ${count + 1}`,
+                key_hash,
+                prefix,
+                scopes: parsed.scopes,
+                total_calls: 0,
+                last_used_at: null,
+                revoked_at: null,
+                created_at: new Date()
+            };
+            const result = await this.db.collection('api_keys').insertOne(apiKey);
+            apiKey._id = result.insertedId;
+            
+            return { success: true, apiKey: this.publicKey(apiKey), key };
+        
+        } catch (error) {
+            console.error('Error creating API key:', error);
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * Change a key's name or scopes
+     */
+    async updateKey(userId, reference, { name, scopes } = {}) {
+        const apiKey = await this.resolveKey(userId, reference);
+        if (!apiKey) {
+            return { success: false, error: 'API key not found' };
+        }
+        
+        const changes = {};
+        if (name !== undefined) {
+            changes.name = String(name || '').trim().slice(0, MAX_NAME_LENGTH) || apiKey.name;
+        }
+        if (scopes !== undefined) {
+            const parsed = parseScopes(scopes);
+            if (parsed.unknown.length > 0) {
+                return { success: false, error: `Unknown scope(s): ${parsed.unknown.join(', ')}` };
+            }
+            if (parsed.scopes.length === 0) {
+                return { success: false, error: 'Choose at least one scope' };
+            }
+            changes.scopes = parsed.scopes;
+        }
+        
+        await this.db.collection('api_keys').updateOne(
+            { _id: apiKey._id },
+            { $set: { ...changes, updated_at: new Date() } }
+        );
+        
+        return { success: true, apiKey: this.publicKey({ ...apiKey, ...changes }) };
+    }
+
+    /**
+     * Replace a key with a new one with the same name and scopes; the old key
+     * stops working at once
+     */
+    async rotateKey(userId, reference) {
+        const apiKey = await this.resolveKey(userId, reference);
+        if (!apiKey) {
+            return { success: false, error: 'API key not found' };
+        }
+        
+        const { key, key_hash, prefix } = generateApiKey();
+        const now = new Date();
+        await this.db.collection('api_keys').updateOne(
+            { _id: apiKey._id },
+            { $set: { key_hash, prefix, rotated_at: now, updated_at: now } }
+        );
+        
+        return { success: true, apiKey: this.publicKey({ ...apiKey, prefix, rotated_at: now }), key };
+    }
+
+    /**
+     * Revoke a key. Revoked keys are kept so past usage still adds up.
+     */
+    async revokeKey(userId, reference) {
+        const apiKey = await this.resolveKey(userId, reference);
+        if (!apiKey) {
+            return { success: false, error: 'API key not found' };
+        }
+        
+        await this.db.collection('api_keys').updateOne(
+            { _id: apiKey._id },
+            { $set: { revoked_at: new Date() } }
+        );
+        
+        return { success: true, apiKey: this.publicKey(apiKey) };
+    }
+
+    /**
+     * Today's calls against the user's quota, in total and by key
+     */
+    async getUsage(userId) {
+        try {
+            const tierName = await this.tierManager.getUserTier(userId);
+            const tierConfig = this.tierManager.tiers[tierName];
+            const now = new Date();
+            const usage = await getDailyApiUsage(this.db, userId, now);
+            const keys = await this.activeKeys(userId);
+            const limit = tierConfig.limits.api_calls_per_day;
+            
+            return {
+                success: true,
+                tier: tierConfig.name,
+                api_access: tierConfig.features.api_access,
+                used: usage.count,
+                limit,
+                remaining: limit === -1 ? null : Math.max(limit - usage.count, 0),
+                reset_at: quotaResetAt(now),
+                keys: keys.map(key => ({
+                    ...this.publicKey(key),
+                    calls_today: usage.keys[String(key._id)] || 0
+                }))
+            };
+        
+        } catch (error) {
+            console.error('Error getting API usage:', error);
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * A key without its hash
+     */
+    publicKey(apiKey) {
+        const { key_hash, ...rest } = apiKey;
+        return rest;
+    }
+
+    listScopes() {
+        return Object.entries(API_KEY_SCOPES).map(([scope, description]) => ({ scope, description }));
+    }
+}
+
+module.exports = ApiKeyService;
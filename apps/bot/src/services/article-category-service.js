@@ -0,0 +1,121 @@
+/**
+ * Article Category Service - editors' category corrections
+ *
+ * A correction sets the article's category for good (the article processor
+ * keeps it when it reprocesses the article) and becomes a training example
+ * for the processor's category classifier, which retrains on new
+ * corrections (see apps/article-processor/category-trainer.js).
+ */
+
+const { ObjectId } = require('mongodb');
+const { CATEGORIES, findCategory } = require('../../../../libs/shared/src/article-categories');
+
+const TELEGRAM_LINK = /^https?:\/\/(?:t\.me|telegram\.me)\/([a-z]\w{3,31})\/(\d+)\/?$/i;
+
+class ArticleCategoryService {
+    constructor(db) {
+        this.db = db;
+    }
+
+    async ensureIndexes() {
+        try {
+            await this.db.collection('category_corrections').createIndex({ article_id: 1, corrected_at: -1 });
+        } catch (error) {
+            console.warn('Category correction index creation warning:', error.message);
+        }
+    }
+
+    /**
+     * An article by id or by the link of its Telegram post
+     */
+    async findArticle(reference) {
+        const value = String(reference ?? '').trim();
+        
+        if (/^[a-f0-9]{24}$/i.test(value)) {
+            return await this.db.collection('news_articles').findOne({ _id: new ObjectId(value) });
+        }
+        const link = value.match(TELEGRAM_LINK);
+        if (link) {
+            return await this.db.collection('news_articles').findOne({
+                'telegram_data.channel': `@${link[1]}`,
+                'telegram_data.message_id': parseInt(link[2])
+            });
+        }
+        return null;
+    }
+
+    /**
+     * File an article under `category` and record the correction
+     */
+    async recategorize(userId, reference, category) {
+        try {
+            const to = findCategory(category);
+            if (!to) {
+                return { success: false, error: `Unknown category "${category}", expected one of: ${CATEGORIES.join(', ')}` };
+            }
+            
+            const article = await this.findArticle(reference);
+            if (!article) {
+                return { success: false, error: 'Article not found. Give its id or the link to its Telegram post.' };
+            }
+            if (article.category === to && article.metadata?.category_source === 'editor') {
+                return { success: false, error: `The article is already in ${to}` };
+            }
+            
+            const now = new Date();
+            await this.db.collection('news_articles').updateOne(
+                { _id: article._id },
+                {
+                    $set: {
+                        category: to,
+                        'metadata.auto_categorized': false,
+                        'metadata.category_source': 'editor',
+                        'metadata.category_confidence': null,
+                        'metadata.category_corrected_at': now,
+                        'metadata.category_corrected_by': userId
+                    },
+                    // The search index files it under the new category
+                    $unset: { search_indexed_at: '' }
+                }
+            );
+            await this.db.collection('category_corrections').insertOne({
+                article_id: article._id,
+                from: article.category || null,
+                from_source: article.metadata?.category_source || null,
+                to,
+                user_id: userId,
+                corrected_at: now
+            });
+            
+            return { success: true, article: { ...article, category: to }, from: article.category || null };
+        
+        } catch (error) {
+            console.error('Error recategorizing article:', error);
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * The current classifier's evaluation and how many corrections it
+     * hasn't learned from yet
+     * @returns {{ success, model: Object|null, corrections: number, pending: number }}
+     */
+    async getReport() {
+        const model = await this.db.collection('classifier_models').findOne(
+            {},
+            { sort: { trained_at: -1 }, projection: { model: 0 } }
+        );
+        const corrected = { 'metadata.category_source': 'editor' };
+        const corrections = await this.db.collection('news_articles').countDocuments(corrected);
+        const pending = model
+            ? await this.db.collection('news_articles').countDocuments({
+                ...corrected,
+                'metadata.category_corrected_at': { $gt: model.trained_at }
+            })
+            : corrections;
+        
+        return { success: true, model, corrections, pending };
+    }
+}
+
+module.exports = ArticleCategoryService;
@@ -498,9 +498,10 @@ class ArticleCreator {
                     updated_at: new Date()
                 };
 
+                // Unsetting search_indexed_at has the processor reindex it
                 await this.db.collection('news_articles').updateOne(
                     { _id: new ObjectId(session.articleId) },
-                    { $set: updateData }
+                    { $set: updateData, $unset: { search_indexed_at: '' } }
                 );
 
                 this.userSessions.delete(userId);
@@ -527,7 +528,8 @@ class ArticleCreator {
                     source_metadata: { 
                         is_original_source: true,
                         user_generated: true
-                    }
+                    },
+                    ingested_at: new Date()
                 };
 
                 await this.db.collection('news_articles').insertOne(article);
@@ -576,7 +578,8 @@ class ArticleCreator {
                 source_metadata: { 
                     is_original_source: true,
                     user_generated: true
-                }
+                },
+                ingested_at: new Date()
             };
 
             await this.db.collection('news_articles').insertOne(article);
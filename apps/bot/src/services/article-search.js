@@ -1,13 +1,22 @@
 /**
  * ArticleSearch Service - Handle article search and discovery
+ *
+ * Text queries go through the shared search index (see
+ * libs/shared/src/search-index.js), the same one the API's /api/search uses.
  */
 
 const { ObjectId } = require('mongodb');
 const { Markup } = require('telegraf');
+const SearchIndex = require('../../../../libs/shared/src/search-index');
+const { escapeHtml } = require('../../../../libs/shared/src/search-text');
+
+// Text queries in the advanced search rank this many matches
+const ADVANCED_SEARCH_LIMIT = 50;
 
 class ArticleSearch {
     constructor(db) {
         this.db = db;
+        this.searchIndex = new SearchIndex(db);
         this.userSearchSessions = new Map();
     }
 
@@ -22,22 +31,12 @@ class ArticleSearch {
                 return ctx.reply('🔍 Please provide a search term with at least 2 characters.');
             }
 
-            // Create text search query
-            const searchResults = await this.db.collection('news_articles')
-                .find({
-                    status: 'published',
-                    $or: [
-                        { title: { $regex: query, $options: 'i' } },
-                        { content: { $regex: query, $options: 'i' } },
-                        { summary: { $regex: query, $options: 'i' } },
-                        { category: { $regex: query, $options: 'i' } }
-                    ]
-                })
-                .sort({ published_date: -1 })
-                .limit(10)
-                .toArray();
+            const search = await this.searchIndex.search(query, {
+                limit: 10,
+                highlight: { open: '<u>', close: '</u>', length: 120 }
+            });
 
-            await this.displaySearchResults(ctx, searchResults, query, 'simple');
+            await this.displayRankedResults(ctx, search, query);
         } catch (error) {
             console.error('Simple search error:', error);
             ctx.reply('❌ Error performing search. Please try again.');
@@ -402,13 +401,17 @@ class ArticleSearch {
             // Status filter - only published articles
             query.status = 'published';
 
-            // Text query
+            // Text query: the best index matches, narrowed by the other filters
+            let ranked = null;
             if (filters.query) {
-                query.$or = [
-                    { title: { $regex: filters.query, $options: 'i' } },
-                    { content: { $regex: filters.query, $options: 'i' } },
-                    { summary: { $regex: filters.query, $options: 'i' } }
-                ];
+                const search = await this.searchIndex.search(filters.query, {
+                    category: filters.category && filters.category !== 'All Categories' ? filters.category : null,
+                    from: filters.dateFrom,
+                    to: filters.dateTo,
+                    limit: ADVANCED_SEARCH_LIMIT
+                });
+                ranked = search.results.map(result => result.article._id);
+                query._id = { $in: ranked };
             }
 
             // Category filter
@@ -458,12 +461,19 @@ class ArticleSearch {
                     break;
             }
 
-            const results = await this.db.collection('news_articles')
+            let results = await this.db.collection('news_articles')
                 .find(query)
                 .sort(sort)
-                .limit(20)
+                .limit(ranked ? ADVANCED_SEARCH_LIMIT : 20)
                 .toArray();
 
+            // Without a chosen order, text matches keep their relevance order
+            if (ranked && filters.sortBy === 'date') {
+                const order = new Map(ranked.map((id, index) => [String(id), index]));
+                results = results.sort((a, b) => order.get(String(a._id)) - order.get(String(b._id)));
+            }
+            results = results.slice(0, 20);
+
             this.userSearchSessions.delete(userId);
             await this.displaySearchResults(ctx, results, filters.query || 'Advanced Search', 'advanced', filters);
         } catch (error) {
@@ -472,6 +482,54 @@ class ArticleSearch {
         }
     }
 
+    /**
+     * Display search index results, best first, with the matching words
+     * underlined
+     */
+    async displayRankedResults(ctx, search, query) {
+        if (search.results.length === 0) {
+            return this.displaySearchResults(ctx, [], query, 'simple');
+        }
+
+        let message = `🔍 <b>${search.total}${search.capped ? '+' : ''} result${search.total === 1 ? '' : 's'}</b> for "${escapeHtml(query)}"\n`;
+        const categories = search.facets.category.slice(0, 4).map(({ value, count }) => `${escapeHtml(value)} ${count}`);
+        if (categories.length > 1) {
+            message += `🏷️ ${categories.join(' · ')}\n`;
+        }
+        message += '\n';
+
+        const keyboard = [];
+        search.results.forEach(({ article, highlights }, index) => {
+            message += `${index + 1}. <b>${highlights.title || escapeHtml(article.title)}</b>\n`;
+            message += `   🏷️ ${escapeHtml(article.category || 'General')} | 📅 ${new Date(article.published_date).toLocaleDateString()}\n`;
+            if (highlights.snippet) {
+                message += `   📝 ${highlights.snippet}\n`;
+            }
+            message += '\n';
+
+            keyboard.push([
+                Markup.button.callback(
+                    `📖 Read "${article.title.substring(0, 25)}${article.title.length > 25 ? '...' : ''}"`,
+                    `view_article:${article._id}`
+                )
+            ]);
+        });
+
+        keyboard.push([
+            Markup.button.callback('🔍 New Search', 'new_search'),
+            Markup.button.callback('🔧 Advanced Search', 'advanced_search')
+        ]);
+
+        keyboard.push([
+            Markup.button.callback('❌ Close', 'close_search')
+        ]);
+
+        await ctx.reply(message, {
+            parse_mode: 'HTML',
+            ...Markup.inlineKeyboard(keyboard)
+        });
+    }
+
     /**
      * Display search results
      */
@@ -0,0 +1,349 @@
+/**
+ * Billing Events - Stripe and PayPal webhooks in subscription lifecycle
+ * terms, dunning stages and reconciliation checks
+ *
+ * Both providers' events are turned into one shape:
+ *
+ *   { provider, id, type, created, action, subscriptionId, customerId,
+ *     intentId, status, tier, periodEnd, amount, currency, transactionId,
+ *     disputeId, paymentUrl }
+ *
+ * where `action` is what BillingService does with it: checkout, sync,
+ * payment_succeeded, payment_failed, dispute_opened, dispute_won,
+ * dispute_lost, or null for events it ignores. `intentId` is the
+ * `payment_intents` document PaymentSystem made for the checkout, passed to
+ * the provider as the client reference (Stripe) or custom id (PayPal).
+ */
+
+const crypto = require('crypto');
+const { ENTITLED_STATES, normalizeStatus } = require('../../../../libs/shared/src/subscription-lifecycle');
+
+const STRIPE_SIGNATURE_TOLERANCE_SECONDS = 5 * 60;
+
+// Provider subscription statuses as lifecycle states. Stripe's "canceled"
+// has already ended; PayPal's "CANCELLED" runs to the end of the period.
+const STRIPE_STATUSES = {
+    trialing: 'trialing',
+    active: 'active',
+    incomplete: 'past_due',
+    past_due: 'past_due',
+    unpaid: 'grace',
+    incomplete_expired: 'expired',
+    canceled: 'expired',
+    paused: 'expired'
+};
+
+const PAYPAL_STATUSES = {
+    ACTIVE: 'active',
+    SUSPENDED: 'grace',
+    CANCELLED: 'canceled',
+    EXPIRED: 'expired'
+};
+
+const PAYPAL_SIGNATURE_HEADERS = {
+    auth_algo: 'paypal-auth-algo',
+    cert_url: 'paypal-cert-url',
+    transmission_id: 'paypal-transmission-id',
+    transmission_sig: 'paypal-transmission-sig',
+    transmission_time: 'paypal-transmission-time'
+};
+
+// Reminders sent while a subscription is unpaid, in order
+const DUNNING_STAGES = ['payment_failed', 'grace', 'final'];
+const FINAL_REMINDER_MS = 24 * 60 * 60 * 1000;
+
+// Period ends further apart than this are a mismatch
+const PERIOD_END_TOLERANCE_MS = 24 * 60 * 60 * 1000;
+
+const fromSeconds = seconds => (seconds ? new Date(seconds * 1000) : null);
+const fromIso = value => (value ? new Date(value) : null);
+
+/**
+ * Check a `Stripe-Signature` header (`t=<seconds>,v1=<hex>[,v1=…]`) against
+ * the raw request body, rejecting old timestamps so a captured request
+ * cannot be replayed
+ */
+function verifyStripeSignature(secret, rawBody, header, { now = new Date(), tolerance = STRIPE_SIGNATURE_TOLERANCE_SECONDS } = {}) {
+    const parts = String(header || '').split(',').map(part => part.trim().split('='));
+    const timestamp = Number(parts.find(([key]) => key === 't')?.[1]);
+    const signatures = parts.filter(([key]) => key === 'v1').map(([, value]) => value || '');
+    if (!Number.isFinite(timestamp) || signatures.length === 0 ||
+        Math.abs(now.getTime() / 1000 - timestamp) > tolerance) {
+        return false;
+    }
+
+    const expected = Buffer.from(crypto.createHmac('sha256', secret)
+        .update(`${timestamp}.`)
+        .update(rawBody)
+        .digest('hex'));
+    return signatures.some(signature => {
+        const actual = Buffer.from(signature);
+        return actual.length === expected.length && crypto.timingSafeEqual(expected, actual);
+    });
+}
+
+/**
+ * A Stripe subscription object's lifecycle state
+ */
+function stripeSubscriptionState(subscription) {
+    const cancelling = subscription.cancel_at_period_end && ['active', 'trialing'].includes(subscription.status);
+    return {
+        status: cancelling ? 'canceled' : (STRIPE_STATUSES[subscription.status] || null),
+        tier: subscription.metadata?.tier || null,
+        // Newer API versions keep the period on the subscription's items
+        periodEnd: fromSeconds(subscription.current_period_end ?? subscription.items?.data?.[0]?.current_period_end)
+    };
+}
+
+function parseStripeEvent(event) {
+    const object = event.data?.object || {};
+    const parsed = {
+        provider: 'stripe',
+        id: event.id,
+        type: event.type,
+        created: fromSeconds(event.created) || new Date(),
+        action: null,
+        subscriptionId: null,
+        customerId: object.customer || null,
+        intentId: object.metadata?.payment_intent_id || null,
+        status: null,
+        tier: null,
+        periodEnd: null,
+        amount: null,
+        currency: object.currency || null,
+        transactionId: null,
+        disputeId: null,
+        paymentUrl: null
+    };
+
+    switch (event.type) {
+        case 'checkout.session.completed':
+            if (object.mode === 'subscription') {
+                parsed.action = 'checkout';
+                parsed.subscriptionId = object.subscription;
+                parsed.intentId = object.client_reference_id || parsed.intentId;
+                parsed.amount = object.amount_total ?? null;
+            }
+            break;
+
+        case 'customer.subscription.created':
+        case 'customer.subscription.updated':
+        case 'customer.subscription.deleted':
+            Object.assign(parsed, stripeSubscriptionState(object), {
+                action: 'sync',
+                subscriptionId: object.id
+            });
+            break;
+
+        case 'invoice.paid':
+        case 'invoice.payment_failed': {
+            parsed.subscriptionId = object.subscription || object.parent?.subscription_details?.subscription || null;
+            if (!parsed.subscriptionId) {
+                break;
+            }
+            if (event.type === 'invoice.payment_failed') {
+                parsed.action = 'payment_failed';
+                parsed.paymentUrl = object.hosted_invoice_url || null;
+                parsed.amount = object.amount_due ?? null;
+            } else if (object.amount_paid > 0) {
+                // Free invoices (trials, full discounts) don't renew anything
+                parsed.action = 'payment_succeeded';
+                parsed.amount = object.amount_paid;
+                parsed.transactionId = object.charge || object.payment_intent || object.id;
+                parsed.periodEnd = fromSeconds(object.lines?.data?.[0]?.period?.end);
+            }
+            break;
+        }
+
+        case 'charge.dispute.created':
+        case 'charge.dispute.closed':
+            parsed.transactionId = object.charge;
+            parsed.disputeId = object.id;
+            parsed.amount = object.amount ?? null;
+            if (event.type === 'charge.dispute.created') {
+                parsed.action = 'dispute_opened';
+            } else {
+                parsed.action = object.status === 'lost' ? 'dispute_lost' : 'dispute_won';
+            }
+            break;
+    }
+
+    return parsed;
+}
+
+/**
+ * The body PayPal's verify-webhook-signature API needs, or null when the
+ * request is missing any of PayPal's signature headers
+ * @param {Function} getHeader - reads a request header by lower-case name
+ */
+function paypalVerificationRequest(getHeader, event, webhookId) {
+    const request = {};
+    for (const [field, header] of Object.entries(PAYPAL_SIGNATURE_HEADERS)) {
+        request[field] = getHeader(header);
+        if (!request[field]) {
+            return null;
+        }
+    }
+    return { ...request, webhook_id: webhookId, webhook_event: event };
+}
+
+/**
+ * A PayPal subscription resource's lifecycle state. Approval pending and
+ * approved subscriptions haven't started, so they have no state yet.
+ */
+function paypalSubscriptionState(resource) {
+    return {
+        status: PAYPAL_STATUSES[resource.status] || null,
+        tier: null,
+        periodEnd: fromIso(resource.billing_info?.next_billing_time)
+    };
+}
+
+function parsePayPalEvent(event) {
+    const resource = event.resource || {};
+    const parsed = {
+        provider: 'paypal',
+        id: event.id,
+        type: event.event_type,
+        created: fromIso(event.create_time) || new Date(),
+        action: null,
+        subscriptionId: null,
+        customerId: null,
+        intentId: null,
+        status: null,
+        tier: null,
+        periodEnd: null,
+        amount: null,
+        currency: null,
+        transactionId: null,
+        disputeId: null,
+        paymentUrl: null
+    };
+
+    switch (event.event_type) {
+        case 'BILLING.SUBSCRIPTION.ACTIVATED':
+        case 'BILLING.SUBSCRIPTION.RE-ACTIVATED':
+        case 'BILLING.SUBSCRIPTION.UPDATED':
+        case 'BILLING.SUBSCRIPTION.SUSPENDED':
+        case 'BILLING.SUBSCRIPTION.CANCELLED':
+        case 'BILLING.SUBSCRIPTION.EXPIRED':
+            Object.assign(parsed, paypalSubscriptionState(resource), {
+                action: 'sync',
+                subscriptionId: resource.id,
+                customerId: resource.subscriber?.payer_id || null,
+                intentId: resource.custom_id || null
+            });
+            break;
+
+        case 'BILLING.SUBSCRIPTION.PAYMENT.FAILED':
+            parsed.action = 'payment_failed';
+            parsed.subscriptionId = resource.id;
+            parsed.intentId = resource.custom_id || null;
+            break;
+
+        case 'PAYMENT.SALE.COMPLETED':
+            // Only sales that belong to a subscription renew one
+            if (resource.billing_agreement_id) {
+                parsed.action = 'payment_succeeded';
+                parsed.subscriptionId = resource.billing_agreement_id;
+                parsed.transactionId = resource.id;
+                parsed.amount = Math.round(parseFloat(resource.amount?.total || 0) * 100);
+                parsed.currency = resource.amount?.currency?.toLowerCase() || null;
+            }
+            break;
+
+        case 'CUSTOMER.DISPUTE.CREATED':
+        case 'CUSTOMER.DISPUTE.RESOLVED':
+            parsed.transactionId = resource.disputed_transactions?.[0]?.seller_transaction_id || null;
+            parsed.disputeId = resource.dispute_id;
+            if (event.event_type === 'CUSTOMER.DISPUTE.CREATED') {
+                parsed.action = 'dispute_opened';
+            } else {
+                parsed.action = resource.dispute_outcome?.outcome_code === 'RESOLVED_BUYER_FAVOUR'
+                    ? 'dispute_lost'
+                    : 'dispute_won';
+            }
+            break;
+    }
+
+    return parsed;
+}
+
+/**
+ * The dunning reminder a subscription is due, or null. Each stage is sent
+ * once: when a charge fails, when the grace period starts, and a day
+ * before it ends.
+ */
+function dunningStage(subscription, now = new Date()) {
+    const status = normalizeStatus(subscription.status);
+    const sent = DUNNING_STAGES.indexOf(subscription.dunning_stage);
+
+    let due = -1;
+    if (status === 'past_due') {
+        due = 0;
+    } else if (status === 'grace') {
+        const endsSoon = subscription.grace_until &&
+            new Date(subscription.grace_until).getTime() - now.getTime() <= FINAL_REMINDER_MS;
+        due = endsSoon ? 2 : 1;
+    }
+    return due > sent ? DUNNING_STAGES[due] : null;
+}
+
+/**
+ * What disagrees between the provider's view of a subscription and the
+ * bot's. `remote` is the provider's state ({ status, tier, periodEnd }), or
+ * null when the provider has no such subscription; `localTier` is what
+ * TierManager.getUserTier grants the user.
+ * @returns {Array<{ kind, expected, actual }>}
+ */
+function compareWithProvider(remote, subscription, localTier, now = new Date()) {
+    const issues = [];
+    const localStatus = normalizeStatus(subscription.status);
+
+    if (!remote) {
+        if (localTier === subscription.tier && ENTITLED_STATES.includes(localStatus)) {
+            issues.push({ kind: 'missing_at_provider', expected: 'free', actual: localTier });
+        }
+        return issues;
+    }
+
+    // Unpaid is unpaid, whether the provider is retrying or has given up
+    const unpaid = status => (status === 'past_due' || status === 'grace' ? 'unpaid' : status);
+    if (remote.status && unpaid(remote.status) !== unpaid(localStatus)) {
+        issues.push({ kind: 'status', expected: remote.status, actual: localStatus });
+    }
+
+    const tier = remote.tier || subscription.tier;
+    if (remote.tier && remote.tier !== subscription.tier) {
+        issues.push({ kind: 'plan', expected: remote.tier, actual: subscription.tier });
+    }
+
+    const entitled = ENTITLED_STATES.includes(remote.status) &&
+        !(remote.status === 'canceled' && remote.periodEnd && remote.periodEnd <= now);
+    const expectedTier = entitled ? tier : 'free';
+    if (localTier !== expectedTier) {
+        issues.push({ kind: 'tier', expected: expectedTier, actual: localTier });
+    }
+
+    const localEnd = subscription.current_period_end || subscription.expires_at;
+    if (remote.periodEnd && localEnd &&
+        Math.abs(remote.periodEnd.getTime() - new Date(localEnd).getTime()) > PERIOD_END_TOLERANCE_MS) {
+        issues.push({ kind: 'period_end', expected: remote.periodEnd, actual: new Date(localEnd) });
+    }
+
+    return issues;
+}
+
+module.exports = {
+    STRIPE_STATUSES,
+    PAYPAL_STATUSES,
+    DUNNING_STAGES,
+    verifyStripeSignature,
+    stripeSubscriptionState,
+    parseStripeEvent,
+    paypalVerificationRequest,
+    paypalSubscriptionState,
+    parsePayPalEvent,
+    dunningStage,
+    compareWithProvider
+};
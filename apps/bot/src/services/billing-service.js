@@ -0,0 +1,775 @@
+/**
+ * Billing Service - keeps Stripe and PayPal subscriptions in step with the
+ * `subscriptions` TierManager reads
+ *
+ * Provider webhooks are verified, stored once per event id in
+ * `payment_webhook_events` (providers resend events, and a failed one is
+ * processed again when it comes back) and applied through the subscription
+ * lifecycle. A background tick moves lapsed subscriptions into grace and on
+ * to expired, and sends dunning reminders in Telegram. Every night each
+ * provider subscription is fetched and compared with what
+ * TierManager.getUserTier grants; mismatches are flagged in
+ * `billing_mismatches` for an admin to look at, never fixed automatically.
+ */
+
+const os = require('os');
+const axios = require('axios');
+const cron = require('node-cron');
+const { ObjectId } = require('mongodb');
+const config = require('../config/environment');
+const { publishWorkflowEvent } = require('./workflow-events');
+const {
+    LifecycleError,
+    transition,
+    renewalPeriodEnd
+} = require('../../../../libs/shared/src/subscription-lifecycle');
+const {
+    verifyStripeSignature,
+    stripeSubscriptionState,
+    parseStripeEvent,
+    paypalVerificationRequest,
+    paypalSubscriptionState,
+    parsePayPalEvent,
+    dunningStage,
+    compareWithProvider
+} = require('./billing-events');
+
+const PROVIDERS = ['stripe', 'paypal'];
+
+// An event still marked received after this was dropped mid-way
+const STALE_EVENT_MS = 5 * 60 * 1000;
+
+// Expired subscriptions are still reconciled for a while, in case the
+// provider kept charging
+const RECONCILE_EXPIRED_DAYS = 35;
+
+const LIFECYCLE_BATCH = 100;
+
+class BillingService {
+    constructor(bot, db, tierManager, options = {}) {
+        this.bot = bot;
+        this.db = db;
+        this.tierManager = tierManager;
+        
+        this.options = {
+            stripeSecretKey: process.env.STRIPE_SECRET_KEY,
+            stripeWebhookSecret: process.env.STRIPE_WEBHOOK_SECRET,
+            paypalClientId: process.env.PAYPAL_CLIENT_ID,
+            paypalClientSecret: process.env.PAYPAL_CLIENT_SECRET,
+            paypalWebhookId: process.env.PAYPAL_WEBHOOK_ID,
+            paypalApiBase: process.env.PAYPAL_API_BASE || 'https://api-m.paypal.com',
+            lifecycleInterval: 15 * 60 * 1000,
+            reconcileSchedule: process.env.BILLING_RECONCILE_CRON || '30 3 * * *',
+            timezone: config.bot.timezone,
+            adminIds: config.bot.adminIds,
+            timeout: 15000,
+            ...options
+        };
+        
+        this.instanceId = `${os.hostname()}:${process.pid}`;
+        this.timer = null;
+        this.reconcileJob = null;
+        this.advancing = false;
+        this.paypalToken = null;
+    }
+
+    /**
+     * Create indexes, start the lifecycle tick and schedule reconciliation
+     */
+    async start() {
+        try {
+            await this.db.collection('payment_webhook_events').createIndex({ provider: 1, event_id: 1 }, { unique: true });
+            await this.db.collection('subscriptions').createIndex({ provider: 1, provider_subscription_id: 1 });
+            await this.db.collection('subscriptions').createIndex({ status: 1, current_period_end: 1 });
+            await this.db.collection('billing_mismatches').createIndex({ resolved: 1, detected_at: -1 });
+        } catch (error) {
+            console.warn('Billing index creation warning:', error.message);
+        }
+        
+        this.timer = setInterval(() => this.advanceLifecycle(), this.options.lifecycleInterval);
+        this.timer.unref?.();
+        this.reconcileJob = cron.schedule(this.options.reconcileSchedule, () => this.runNightlyReconciliation(), {
+            timezone: this.options.timezone
+        });
+        console.log('✅ Billing service started');
+    }
+
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+        this.reconcileJob?.stop();
+        this.reconcileJob = null;
+    }
+
+    // ==================== Webhooks ====================
+
+    /**
+     * @param {Buffer} rawBody - the request body exactly as Stripe sent it
+     * @param {string} signature - the Stripe-Signature header
+     */
+    async handleStripeWebhook(rawBody, signature) {
+        if (!this.options.stripeWebhookSecret) {
+            return { success: false, error: 'Stripe webhooks are not configured' };
+        }
+        if (!verifyStripeSignature(this.options.stripeWebhookSecret, rawBody, signature)) {
+            return { success: false, error: 'Invalid signature' };
+        }
+        
+        let event;
+        try {
+            event = JSON.parse(rawBody.toString('utf8'));
+        } catch (error) {
+            return { success: false, error: 'Invalid JSON' };
+        }
+        return await this.processEvent(parseStripeEvent(event), event);
+    }
+
+    /**
+     * @param {Buffer} rawBody - the request body
+     * @param {Function} getHeader - reads a request header by name
+     */
+    async handlePayPalWebhook(rawBody, getHeader) {
+        const { paypalClientId, paypalClientSecret, paypalWebhookId } = this.options;
+        if (!paypalClientId || !paypalClientSecret || !paypalWebhookId) {
+            return { success: false, error: 'PayPal webhooks are not configured' };
+        }
+        
+        let event;
+        try {
+            event = JSON.parse(rawBody.toString('utf8'));
+        } catch (error) {
+            return { success: false, error: 'Invalid JSON' };
+        }
+        
+        const verification = paypalVerificationRequest(getHeader, event, paypalWebhookId);
+        if (!verification || !(await this.verifyPayPalSignature(verification))) {
+            return { success: false, error: 'Invalid signature' };
+        }
+        return await this.processEvent(parsePayPalEvent(event), event);
+    }
+
+    /**
+     * PayPal signs with a certificate chain; its API checks the signature
+     */
+    async verifyPayPalSignature(verification) {
+        try {
+            const response = await axios.post(
+                `${this.options.paypalApiBase}/v1/notifications/verify-webhook-signature`,
+                verification,
+                { headers: await this.paypalHeaders(), timeout: this.options.timeout }
+            );
+            return response.data?.verification_status === 'SUCCESS';
+        } catch (error) {
+            console.error('Error verifying PayPal webhook:', error.message);
+            return false;
+        }
+    }
+
+    /**
+     * Apply a parsed event once, however many times the provider sends it
+     */
+    async processEvent(event, payload) {
+        const events = this.db.collection('payment_webhook_events');
+        const key = { provider: event.provider, event_id: event.id };
+        const now = new Date();
+        
+        try {
+            await events.insertOne({ ...key, type: event.type, status: 'received', attempts: 1, payload, received_at: now });
+        } catch (error) {
+            if (error.code !== 11000) {
+                throw error;
+            }
+            const existing = await events.findOne(key);
+            if (existing.status === 'processed' || existing.status === 'ignored') {
+                return { success: true, duplicate: true };
+            }
+            if (existing.status === 'received' && now - existing.received_at < STALE_EVENT_MS) {
+                return { success: false, error: 'Event is already being processed', retry: true };
+            }
+            await events.updateOne(key, { $set: { status: 'received', received_at: now }, $inc: { attempts: 1 } });
+        }
+        
+        try {
+            const outcome = await this.applyEvent(event);
+            await events.updateOne(key, {
+                $set: {
+                    status: outcome.ignored ? 'ignored' : 'processed',
+                    note: outcome.note || null,
+                    processed_at: new Date()
+                }
+            });
+            return { success: true, ignored: Boolean(outcome.ignored) };
+            
+        } catch (error) {
+            console.error(`Error processing ${event.provider} event ${event.id}:`, error);
+            await events.updateOne(key, { $set: { status: 'failed', error: error.message } });
+            return { success: false, error: 'Event processing failed', retry: true };
+        }
+    }
+
+    async applyEvent(event) {
+        switch (event.action) {
+            case 'checkout':
+            case 'sync':
+                return await this.syncSubscription(event);
+            case 'payment_succeeded':
+                return await this.recordPayment(event);
+            case 'payment_failed':
+                return await this.recordFailedPayment(event);
+            case 'dispute_opened':
+            case 'dispute_won':
+            case 'dispute_lost':
+                return await this.recordDispute(event);
+            default:
+                return { ignored: true, note: `Not handled: ${event.type}` };
+        }
+    }
+
+    /**
+     * A checkout or a provider status change. Providers don't promise to
+     * send events in order, so one older than the last applied is skipped.
+     */
+    async syncSubscription(event) {
+        const subscription = await this.subscriptionFor(event);
+        if (!subscription) {
+            return { ignored: true, note: 'Unknown subscription' };
+        }
+        if (subscription.provider_event_at && event.created < subscription.provider_event_at) {
+            return { ignored: true, note: 'Older than the last applied event' };
+        }
+        
+        // A checkout doesn't say what state the subscription is in, and may
+        // arrive after the subscription's own events were skipped as unknown
+        let state = event;
+        if (event.action === 'checkout') {
+            state = await this.fetchProviderSubscription(subscription);
+        }
+        if (!state?.status) {
+            return { ignored: true, note: 'No status change' };
+        }
+        
+        return await this.moveTo(subscription, state.status, {
+            periodEnd: state.periodEnd,
+            event,
+            set: state.tier ? { tier: state.tier } : {}
+        });
+    }
+
+    async recordPayment(event) {
+        const subscription = await this.subscriptionFor(event);
+        if (!subscription) {
+            return { ignored: true, note: 'Unknown subscription' };
+        }
+        
+        await this.logPayment(subscription, event, 'completed');
+        const periodEnd = event.periodEnd ||
+            renewalPeriodEnd(subscription.current_period_end || subscription.expires_at, subscription.billing_cycle);
+        return await this.moveTo(subscription, 'active', {
+            periodEnd,
+            event,
+            set: { payment_url: null, next_payment_attempt: null }
+        });
+    }
+
+    async recordFailedPayment(event) {
+        const subscription = await this.subscriptionFor(event);
+        if (!subscription) {
+            return { ignored: true, note: 'Unknown subscription' };
+        }
+        
+        await this.logPayment(subscription, event, 'failed');
+        const outcome = await this.moveTo(subscription, 'past_due', {
+            event,
+            set: { payment_url: event.paymentUrl || subscription.payment_url || null }
+        });
+        await this.sendDunningReminder(subscription._id);
+        return outcome;
+    }
+
+    /**
+     * Features stay on while a dispute is open; a lost dispute takes the
+     * money back, so the subscription ends
+     */
+    async recordDispute(event) {
+        const payment = event.transactionId && await this.db.collection('payment_logs').findOne({
+            method: event.provider,
+            transaction_id: event.transactionId
+        });
+        const subscription = payment && await this.db.collection('subscriptions').findOne({ _id: payment.subscription_id });
+        if (!subscription) {
+            await this.notifyAdmins(`⚠️ ${event.provider} dispute ${event.disputeId} (${event.action}) for an unknown payment ${event.transactionId || ''}`);
+            return { ignored: true, note: 'Unknown payment' };
+        }
+        
+        const disputeStatus = { dispute_opened: 'open', dispute_won: 'won', dispute_lost: 'lost' }[event.action];
+        await this.db.collection('subscriptions').updateOne(
+            { _id: subscription._id },
+            {
+                $set: {
+                    dispute: {
+                        id: event.disputeId,
+                        transaction_id: event.transactionId,
+                        status: disputeStatus,
+                        amount: event.amount,
+                        updated_at: new Date()
+                    }
+                }
+            }
+        );
+        await this.db.collection('payment_logs').updateOne(
+            { _id: payment._id },
+            { $set: { dispute_id: event.disputeId, dispute_status: disputeStatus } }
+        );
+        await this.notifyAdmins(
+            `⚠️ ${event.provider} dispute ${disputeStatus} for user ${subscription.user_id} ` +
+            `(${subscription.tier}, payment ${event.transactionId})`
+        );
+        
+        if (event.action === 'dispute_lost') {
+            return await this.moveTo(subscription, 'expired', { event });
+        }
+        return { note: `Dispute ${disputeStatus}` };
+    }
+
+    /**
+     * The stored subscription an event is about. The first event for a
+     * checkout creates it from the payment intent PaymentSystem stored.
+     */
+    async subscriptionFor(event) {
+        const subscriptions = this.db.collection('subscriptions');
+        if (event.subscriptionId) {
+            const existing = await subscriptions.findOne({
+                provider: event.provider,
+                provider_subscription_id: event.subscriptionId
+            });
+            if (existing) {
+                return existing;
+            }
+        }
+        if (!event.subscriptionId || !event.intentId || !ObjectId.isValid(event.intentId)) {
+            return null;
+        }
+        
+        const intent = await this.db.collection('payment_intents').findOne({
+            _id: new ObjectId(event.intentId),
+            method: event.provider
+        });
+        if (!intent) {
+            return null;
+        }
+        
+        const now = new Date();
+        const result = await subscriptions.findOneAndUpdate(
+            { provider: event.provider, provider_subscription_id: event.subscriptionId },
+            {
+                $setOnInsert: {
+                    user_id: intent.user_id,
+                    tier: intent.tier,
+                    billing_cycle: intent.billing,
+                    amount: intent.amount,
+                    currency: intent.currency,
+                    payment_method: event.provider,
+                    provider: event.provider,
+                    provider_subscription_id: event.subscriptionId,
+                    provider_customer_id: event.customerId,
+                    payment_intent_id: intent._id,
+                    started_at: now,
+                    auto_renew: true,
+                    created_at: now
+                }
+            },
+            { upsert: true, returnDocument: 'after', includeResultMetadata: true }
+        );
+        
+        await this.db.collection('payment_intents').updateOne(
+            { _id: intent._id },
+            { $set: { status: 'completed', provider_subscription_id: event.subscriptionId, completed_at: now } }
+        );
+        return result.value;
+    }
+
+    async logPayment(subscription, event, status) {
+        await this.db.collection('payment_logs').insertOne({
+            user_id: subscription.user_id,
+            subscription_id: subscription._id,
+            amount: event.amount,
+            currency: event.currency || subscription.currency,
+            method: event.provider,
+            transaction_id: event.transactionId,
+            event_id: event.id,
+            status,
+            created_at: new Date()
+        });
+    }
+
+    // ==================== Lifecycle ====================
+
+    /**
+     * Move a subscription to another lifecycle state. The update only
+     * applies if nobody moved it meanwhile; moves the lifecycle doesn't allow
+     * are recorded as ignored rather than failing the event.
+     */
+    async moveTo(subscription, status, { periodEnd = null, event = null, set = {} } = {}) {
+        const now = new Date();
+        let next;
+        try {
+            next = transition({
+                status: subscription.status,
+                period_end: subscription.current_period_end || subscription.expires_at,
+                grace_until: subscription.grace_until
+            }, status, { periodEnd, now });
+        } catch (error) {
+            if (error instanceof LifecycleError) {
+                return { ignored: true, note: error.message };
+            }
+            throw error;
+        }
+        
+        const update = {
+            ...set,
+            status: next.status,
+            current_period_end: next.period_end,
+            grace_until: next.grace_until,
+            expires_at: next.access_until,
+            updated_at: now
+        };
+        if (next.changed) {
+            update.status_changed_at = now;
+        }
+        if (next.status === 'active' || next.status === 'trialing') {
+            update.dunning_stage = null;
+        }
+        if (event && (!subscription.provider_event_at || event.created > subscription.provider_event_at)) {
+            update.provider_event_at = event.created;
+        }
+        
+        const result = await this.db.collection('subscriptions').updateOne(
+            { _id: subscription._id, status: subscription.status ?? null },
+            { $set: update }
+        );
+        if (result.modifiedCount === 0) {
+            return { ignored: true, note: 'Subscription changed meanwhile' };
+        }
+        
+        if (next.changed) {
+            const updated = { ...subscription, ...update };
+            await publishWorkflowEvent(this.db, 'subscription.changed', {
+                user_id: subscription.user_id,
+                change: next.previous_status ? next.status : 'activated',
+                tier: updated.tier,
+                status: next.status,
+                previous_status: next.previous_status,
+                expires_at: next.access_until
+            });
+            await this.notifyStatusChange(updated, next.previous_status);
+        }
+        return { note: `${next.previous_status || 'new'} → ${next.status}` };
+    }
+
+    /**
+     * Move subscriptions whose time ran out and send due reminders.
+     * Auto-renewing subscriptions that weren't renewed get a grace period
+     * (the renewal may still come in); others expire.
+     */
+    async advanceLifecycle(now = new Date()) {
+        if (this.advancing) {
+            return;
+        }
+        this.advancing = true;
+        
+        try {
+            const subscriptions = this.db.collection('subscriptions');
+            const lapsed = await subscriptions.find({
+                status: { $in: ['trialing', 'active', 'past_due'] },
+                $or: [
+                    { current_period_end: { $lte: now } },
+                    { current_period_end: { $exists: false }, expires_at: { $lte: now } }
+                ]
+            }).limit(LIFECYCLE_BATCH).toArray();
+            for (const subscription of lapsed) {
+                const renews = subscription.auto_renew && PROVIDERS.includes(subscription.provider);
+                await this.moveTo(subscription, renews ? 'grace' : 'expired');
+            }
+            
+            const ended = await subscriptions.find({
+                $or: [
+                    { status: 'grace', grace_until: { $lte: now } },
+                    { status: { $in: ['canceled', 'cancelled'] }, expires_at: { $lte: now } }
+                ]
+            }).limit(LIFECYCLE_BATCH).toArray();
+            for (const subscription of ended) {
+                await this.moveTo(subscription, 'expired');
+            }
+            
+            const unpaid = await subscriptions.find({ status: { $in: ['past_due', 'grace'] } })
+                .limit(LIFECYCLE_BATCH)
+                .toArray();
+            for (const subscription of unpaid) {
+                await this.sendDunningReminder(subscription._id, now);
+            }
+        } catch (error) {
+            console.error('Error advancing subscription lifecycle:', error);
+        } finally {
+            this.advancing = false;
+        }
+    }
+
+    // ==================== Telegram ====================
+
+    /**
+     * Send the reminder a subscription is due, once: the stage is claimed
+     * before sending so another replica doesn't send it too
+     */
+    async sendDunningReminder(subscriptionId, now = new Date()) {
+        const subscription = await this.db.collection('subscriptions').findOne({ _id: subscriptionId });
+        const stage = subscription && dunningStage(subscription, now);
+        if (!stage) {
+            return false;
+        }
+        
+        const claimed = await this.db.collection('subscriptions').updateOne(
+            { _id: subscription._id, dunning_stage: subscription.dunning_stage ?? null },
+            { $set: { dunning_stage: stage, dunning_sent_at: now } }
+        );
+        if (claimed.modifiedCount === 0) {
+            return false;
+        }
+        
+        const plan = this.tierName(subscription.tier);
+        const messages = {
+            payment_failed:
+                `⚠️ *Payment failed*\n\n` +
+                `We couldn't renew your ${plan} subscription. We'll try the charge again; ` +
+                `please check your payment details so your features stay on.`,
+            grace:
+                `⏳ *Your ${plan} subscription is unpaid*\n\n` +
+                `Your features stay on until ${this.formatDate(subscription.grace_until)}. ` +
+                `Update your payment details to keep them.`,
+            final:
+                `🚨 *Last reminder*\n\n` +
+                `Your ${plan} features end on ${this.formatDate(subscription.grace_until)} ` +
+                `unless the payment goes through.`
+        };
+        
+        const keyboard = subscription.payment_url
+            ? [[{ text: '💳 Update payment', url: subscription.payment_url }]]
+            : [[{ text: '💳 Subscription', callback_data: 'subscription:view' }]];
+        await this.sendToUser(subscription.user_id, messages[stage], { inline_keyboard: keyboard });
+        return true;
+    }
+
+    async notifyStatusChange(subscription, previousStatus) {
+        const plan = this.tierName(subscription.tier);
+        let message = null;
+        
+        if (subscription.status === 'active' && ['past_due', 'grace'].includes(previousStatus)) {
+            message = `✅ *Payment received*\n\nYour ${plan} subscription is active again. Thank you!`;
+        } else if (subscription.status === 'canceled') {
+            message = `ℹ️ Your ${plan} subscription won't renew. Your features stay on until ${this.formatDate(subscription.expires_at)}.`;
+        } else if (subscription.status === 'expired' && previousStatus) {
+            message = `🔒 Your ${plan} subscription has ended. Use /subscribe to pick a plan again.`;
+        }
+        
+        if (message) {
+            await this.sendToUser(subscription.user_id, message);
+        }
+    }
+
+    async sendToUser(userId, message, replyMarkup) {
+        if (!this.bot) {
+            return;
+        }
+        try {
+            await this.bot.telegram.sendMessage(userId, message, {
+                parse_mode: 'Markdown',
+                ...(replyMarkup && { reply_markup: replyMarkup })
+            });
+        } catch (error) {
+            console.error(`Error sending billing message to ${userId}:`, error.message);
+        }
+    }
+
+    async notifyAdmins(message) {
+        if (!this.bot) {
+            return;
+        }
+        for (const adminId of this.options.adminIds) {
+            try {
+                await this.bot.telegram.sendMessage(adminId, message);
+            } catch (error) {
+                console.error(`Error notifying admin ${adminId}:`, error.message);
+            }
+        }
+    }
+
+    // ==================== Reconciliation ====================
+
+    /**
+     * The nightly run. Each day is run once across replicas.
+     */
+    async runNightlyReconciliation(now = new Date()) {
+        const runId = now.toISOString().slice(0, 10);
+        try {
+            await this.db.collection('billing_reconciliations').insertOne({
+                _id: runId,
+                status: 'running',
+                instance: this.instanceId,
+                started_at: now
+            });
+        } catch (error) {
+            if (error.code === 11000) {
+                return { success: false, error: 'Already reconciled today' };
+            }
+            console.error('Error starting billing reconciliation:', error);
+            return { success: false, error: error.message };
+        }
+        
+        try {
+            const summary = await this.reconcile(runId, now);
+            await this.db.collection('billing_reconciliations').updateOne(
+                { _id: runId },
+                { $set: { status: 'completed', ...summary, finished_at: new Date() } }
+            );
+            if (summary.mismatches > 0 || summary.errors > 0) {
+                await this.notifyAdmins(
+                    `🧾 Billing reconciliation ${runId}: ${summary.checked} checked, ` +
+                    `${summary.mismatches} mismatched, ${summary.errors} couldn't be fetched`
+                );
+            }
+            return { success: true, runId, ...summary };
+            
+        } catch (error) {
+            console.error('Error reconciling billing:', error);
+            await this.db.collection('billing_reconciliations').updateOne(
+                { _id: runId },
+                { $set: { status: 'failed', error: error.message, finished_at: new Date() } }
+            );
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * Compare every provider subscription with what the bot grants
+     */
+    async reconcile(runId, now = new Date()) {
+        const summary = { checked: 0, mismatches: 0, errors: 0 };
+        const subscriptions = await this.db.collection('subscriptions').find({
+            provider: { $in: PROVIDERS },
+            provider_subscription_id: { $ne: null },
+            $or: [
+                { status: { $ne: 'expired' } },
+                { status_changed_at: { $gte: new Date(now.getTime() - RECONCILE_EXPIRED_DAYS * 24 * 60 * 60 * 1000) } }
+            ]
+        }).toArray();
+        
+        for (const subscription of subscriptions) {
+            let remote;
+            try {
+                remote = await this.fetchProviderSubscription(subscription);
+            } catch (error) {
+                summary.errors++;
+                console.error(`Error fetching ${subscription.provider} subscription ${subscription.provider_subscription_id}:`, error.message);
+                continue;
+            }
+            summary.checked++;
+            
+            const localTier = await this.tierManager.getUserTier(subscription.user_id);
+            const issues = compareWithProvider(remote, subscription, localTier, now);
+            if (issues.length === 0) {
+                if (subscription.reconciliation) {
+                    await this.db.collection('subscriptions').updateOne({ _id: subscription._id }, { $unset: { reconciliation: '' } });
+                }
+                continue;
+            }
+            
+            summary.mismatches++;
+            await this.db.collection('billing_mismatches').insertOne({
+                run_id: runId,
+                subscription_id: subscription._id,
+                user_id: subscription.user_id,
+                provider: subscription.provider,
+                provider_subscription_id: subscription.provider_subscription_id,
+                provider_status: remote?.status || null,
+                local_status: subscription.status,
+                local_tier: localTier,
+                issues,
+                resolved: false,
+                detected_at: new Date()
+            });
+            await this.db.collection('subscriptions').updateOne(
+                { _id: subscription._id },
+                { $set: { reconciliation: { run_id: runId, kinds: issues.map(issue => issue.kind), flagged_at: new Date() } } }
+            );
+        }
+        return summary;
+    }
+
+    /**
+     * The provider's state of a subscription, or null if it has none
+     */
+    async fetchProviderSubscription(subscription) {
+        const id = encodeURIComponent(subscription.provider_subscription_id);
+        try {
+            if (subscription.provider === 'stripe') {
+                if (!this.options.stripeSecretKey) {
+                    throw new Error('Stripe is not configured');
+                }
+                const response = await axios.get(`https://api.stripe.com/v1/subscriptions/${id}`, {
+                    auth: { username: this.options.stripeSecretKey, password: '' },
+                    timeout: this.options.timeout
+                });
+                return stripeSubscriptionState(response.data);
+            }
+            
+            const response = await axios.get(`${this.options.paypalApiBase}/v1/billing/subscriptions/${id}`, {
+                headers: await this.paypalHeaders(),
+                timeout: this.options.timeout
+            });
+            return paypalSubscriptionState(response.data);
+            
+        } catch (error) {
+            if (error.response?.status === 404) {
+                return null;
+            }
+            throw error;
+        }
+    }
+
+    async paypalHeaders() {
+        const { paypalClientId, paypalClientSecret, paypalApiBase } = this.options;
+        if (!paypalClientId || !paypalClientSecret) {
+            throw new Error('PayPal is not configured');
+        }
+        
+        if (!this.paypalToken || this.paypalToken.expiresAt <= Date.now()) {
+            const response = await axios.post(`${paypalApiBase}/v1/oauth2/token`, 'grant_type=client_credentials', {
+                auth: { username: paypalClientId, password: paypalClientSecret },
+                headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+                timeout: this.options.timeout
+            });
+            this.paypalToken = {
+                value: response.data.access_token,
+                // Renew a minute early
+                expiresAt: Date.now() + (response.data.expires_in - 60) * 1000
+            };
+        }
+        return { Authorization: `Bearer ${this.paypalToken.value}` };
+    }
+
+    // ==================== Helpers ====================
+
+    tierName(tier) {
+        return this.tierManager?.tiers?.[tier]?.name || tier;
+    }
+
+    formatDate(date) {
+        return new Date(date).toLocaleDateString('en-AU', {
+            day: 'numeric',
+            month: 'short',
+            year: 'numeric',
+            timeZone: this.options.timezone
+        });
+    }
+}
+
+module.exports = BillingService;
@@ -23,6 +23,7 @@ try {
 const EmojiReactionHandler = require('./emoji-reaction-handler');
 const DatabaseIndexingService = require('./database-indexing.service');
 const ArticleCurationService = require('./article-curation.service');
+const WorkflowApprovalService = require('./workflow-approval.service');
 const URLArticleHandler = require('../handlers/url-article-handler');
 
 class BotInitialization {
@@ -236,6 +237,121 @@ class BotInitialization {
                 console.log('⚠️ Article Curation Service initialization failed:', e.message);
             }
 
+            // Workflow Approval Service - approve/reject buttons sent by workflow-service approval steps
+            try {
+                this.services.workflowApprovals = new WorkflowApprovalService(this.bot, this.services.db.getDatabase());
+                this.services.workflowApprovals.initialize();
+            } catch (e) {
+                console.log('⚠️ Workflow Approval Service initialization failed:', e.message);
+            }
+
+            // Scheduler Service - durable post queue, recurring schedules and per-destination posting windows
+            try {
+                const SchedulerService = require('./scheduler-service');
+                const SchedulerCommands = require('../commands/scheduler-commands');
+                const PostManager = require('./post-manager');
+                const db = this.services.db.getDatabase();
+                this.services.scheduler = new SchedulerService(this.bot, db, new PostManager(this.bot, db));
+                this.services.schedulerCommands = new SchedulerCommands(this.bot, this.services.scheduler, db);
+            } catch (e) {
+                console.log('⚠️ Scheduler Service initialization failed:', e.message);
+            }
+
+            // Webhook Delivery Service - signed deliveries of post, reaction and subscriber events to customer endpoints
+            try {
+                const WebhookDeliveryService = require('./webhook-delivery-service');
+                const WebhookCommands = require('../commands/webhook-commands');
+                const TierManager = require('./tier-manager');
+                const db = this.services.db.getDatabase();
+                this.services.webhooks = new WebhookDeliveryService(db, new TierManager(db));
+                await this.services.webhooks.start();
+                this.services.webhookCommands = new WebhookCommands(this.bot, this.services.webhooks, db);
+            } catch (e) {
+                console.log('⚠️ Webhook Delivery Service initialization failed:', e.message);
+            }
+
+            // News Source Service - feeds, sitemaps and exports the article processor polls for each space
+            try {
+                const NewsSourceService = require('./news-source-service');
+                const SourceCommands = require('../commands/source-commands');
+                const TierManager = require('./tier-manager');
+                const db = this.services.db.getDatabase();
+                this.services.newsSources = new NewsSourceService(db, new TierManager(db));
+                await this.services.newsSources.ensureIndexes();
+                this.services.sourceCommands = new SourceCommands(this.bot, this.services.newsSources, db);
+            } catch (e) {
+                console.log('⚠️ News Source Service initialization failed:', e.message);
+            }
+
+            // Article Category Service - editors' category corrections, which train the article processor's classifier
+            try {
+                const ArticleCategoryService = require('./article-category-service');
+                const CategoryCommands = require('../commands/category-commands');
+                const db = this.services.db.getDatabase();
+                this.services.articleCategories = new ArticleCategoryService(db);
+                await this.services.articleCategories.ensureIndexes();
+                this.services.categoryCommands = new CategoryCommands(this.bot, this.services.articleCategories, db);
+            } catch (e) {
+                console.log('⚠️ Article Category Service initialization failed:', e.message);
+            }
+
+            // API Key Service - users' keys for the public REST API and their daily quotas
+            try {
+                const ApiKeyService = require('./api-key-service');
+                const ApiKeyCommands = require('../commands/api-key-commands');
+                const TierManager = require('./tier-manager');
+                const db = this.services.db.getDatabase();
+                this.services.apiKeys = new ApiKeyService(db, new TierManager(db));
+                await this.services.apiKeys.ensureIndexes();
+                this.services.apiKeyCommands = new ApiKeyCommands(this.bot, this.services.apiKeys, db);
+            } catch (e) {
+                console.log('⚠️ API Key Service initialization failed:', e.message);
+            }
+
+            // Bulk Edit System - bulk operations as resumable jobs with per-destination results
+            try {
+                const BulkEditSystem = require('./bulk-edit-system');
+                const TierManager = require('./tier-manager');
+                const db = this.services.db.getDatabase();
+                this.services.bulkEdit = new BulkEditSystem(this.bot, db, new TierManager(db));
+                this.services.bulkEdit.register();
+                await this.services.bulkEdit.start();
+            } catch (e) {
+                console.log('⚠️ Bulk Edit System initialization failed:', e.message);
+            }
+
+            // Media Handler - media library with deduplicated storage, tags and albums
+            try {
+                const MediaHandler = require('./media-handler');
+                const TierManager = require('./tier-manager');
+                const db = this.services.db.getDatabase();
+                this.services.mediaHandler = new MediaHandler(this.bot, db, new TierManager(db));
+                this.services.mediaHandler.register();
+                await this.services.mediaHandler.start();
+            } catch (e) {
+                console.log('⚠️ Media Handler initialization failed:', e.message);
+            }
+
+            // Image Pipeline - optimized article images for posts and the mini app
+            try {
+                const ImagePipeline = require('./image-pipeline');
+                this.services.imagePipeline = new ImagePipeline(this.services.db.getDatabase());
+                await this.services.imagePipeline.start();
+            } catch (e) {
+                console.log('⚠️ Image Pipeline initialization failed:', e.message);
+            }
+
+            // Billing Service - Stripe and PayPal webhooks, dunning reminders and nightly reconciliation
+            try {
+                const BillingService = require('./billing-service');
+                const TierManager = require('./tier-manager');
+                const db = this.services.db.getDatabase();
+                this.services.billing = new BillingService(this.bot, db, new TierManager(db));
+                await this.services.billing.start();
+            } catch (e) {
+                console.log('⚠️ Billing Service initialization failed:', e.message);
+            }
+
             // URL Article Handler - for quick article submission via link
             try {
                 this.services.urlArticleHandler = new URLArticleHandler(this.bot, this.services.db.getDatabase(), this.services);
@@ -522,6 +638,22 @@ class BotInitialization {
             if (this.services.scheduling) {
                 await this.services.scheduling.shutdown();
             }
+
+            if (this.services.scheduler) {
+                await this.services.scheduler.stop();
+            }
+
+            if (this.services.webhooks) {
+                this.services.webhooks.stop();
+            }
+
+            if (this.services.imagePipeline) {
+                this.services.imagePipeline.stop();
+            }
+
+            if (this.services.billing) {
+                this.services.billing.stop();
+            }
             
             if (this.bot) {
                 this.bot.stop();
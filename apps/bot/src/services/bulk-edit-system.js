@@ -3,7 +3,80 @@
  * Production-ready implementation for Zone News Bot
  */
 
+const crypto = require('crypto');
+const os = require('os');
 const { ObjectId } = require('mongodb');
+const { scopeFilter, membershipFor } = require('./workspace-access');
+const {
+    OPEN_STATES,
+    ACTIVE_STATUSES,
+    createBulkJob,
+    countStates,
+    dueDestinations,
+    nextWakeAt,
+    retryAfterSeconds,
+    afterFailure,
+    afterInterruptedSend,
+    jobOutcome,
+    isOpen
+} = require('./bulk-jobs');
+const {
+    parseSelection,
+    parseEdit,
+    needsCurrentText,
+    applyTextEdit,
+    editedKeyboard
+} = require('./published-posts');
+
+const JOB_STATUS_ICONS = {
+    queued: '⏳',
+    running: '🚀',
+    completed: '✅',
+    partial: '⚠️',
+    failed: '❌',
+    undone: '↩️'
+};
+
+const DESTINATION_STATE_ICONS = {
+    pending: '⏳',
+    retrying: '🔁',
+    sending: '📤',
+    sent: '✅',
+    failed: '❌',
+    deleting: '🗑️',
+    deleted: '🗑️'
+};
+
+// Destinations listed by showBulkStatus, to stay under Telegram's message size
+const MAX_LISTED_DESTINATIONS = 30;
+const MAX_PREVIEW_POSTS = 10;
+
+// How long a previewed operation waits to be applied
+const DRAFT_TTL_MS = 30 * 60 * 1000;
+
+const SELECTION_HELP =
+    '*Filters* (combine any):\n' +
+    '`article:<id>` - posts of one article\n' +
+    '`from:2026-10-01` `to:2026-10-18` - posted in a date range\n' +
+    '`in:@channel,-1001234` - only these channels or groups\n' +
+    '`tag:sports` - articles with this tag or category\n';
+
+const BULK_EDIT_USAGE =
+    '✏️ *Bulk Edit Published Posts*\n\n' +
+    '`/bulkedit published <filters>`\n' +
+    'followed by what to change, one per line:\n' +
+    '`text: <new text>` - replace the whole text or caption\n' +
+    '`replace: old => new` - change part of the text\n' +
+    '`append: <text>` - add a line at the end\n' +
+    '`buttons: none`, `buttons: reactions` or `buttons: Label - https://…`\n\n' +
+    SELECTION_HELP + '\n' +
+    'You\'ll see the affected messages before anything changes.';
+
+const BULK_DELETE_USAGE =
+    '🗑️ *Bulk Delete Published Posts*\n\n' +
+    '`/bulkdelete <filters>`\n\n' +
+    SELECTION_HELP + '\n' +
+    'You\'ll see the affected messages before anything is deleted.';
 
 class BulkEditSystem {
     constructor(bot, db, tierManager) {
@@ -87,13 +160,20 @@ class BulkEditSystem {
             }
         };
         
-        // Active bulk operations tracking
+        // Prepared bulk operations waiting to be executed; executed ones are
+        // jobs in bulk_operations (see bulk-jobs)
         this.activeBulkOperations = new Map();
         
+        // Jobs this instance is running, by id
+        this.runningJobs = new Set();
+        
+        // Identifies this instance in job leases
+        this.instanceId = `${os.hostname()}:${process.pid}:${crypto.randomBytes(3).toString('hex')}`;
+        
         // Batch processing settings
         this.batchSize = 5; // Process 5 operations at a time
         this.delayBetweenBatches = 1000; // 1 second delay
-        this.maxRetries = 3;
+        this.leaseMs = 120000; // 2 minutes - how long a running job stays ours without progress
     }
 
     /**
@@ -107,16 +187,10 @@ class BulkEditSystem {
         this.bot.command('bulkschedule', this.handleBulkSchedule.bind(this));
         this.bot.command('bulkedit', this.handleBulkEdit.bind(this));
         this.bot.command('bulkdelete', this.handleBulkDelete.bind(this));
-        this.bot.command('bulkcancel', this.handleBulkCancel.bind(this));
-        this.bot.command('bulkreschedule', this.handleBulkReschedule.bind(this));
         this.bot.command('bulkstatus', this.handleBulkStatus.bind(this));
-        this.bot.command('bulkhistory', this.handleBulkHistory.bind(this));
         
         // Callback handlers
         this.bot.action(/^bulk:/, this.handleBulkCallback.bind(this));
-        this.bot.action(/^destinations:/, this.handleDestinationsCallback.bind(this));
-        this.bot.action(/^operation:/, this.handleOperationCallback.bind(this));
-        this.bot.action(/^batch:/, this.handleBatchCallback.bind(this));
         
         console.log('✅ BulkEditSystem registered');
     }
@@ -127,9 +201,11 @@ class BulkEditSystem {
     async handleBulkPost(ctx) {
         try {
             const userId = ctx.from.id;
+            const membership = await membershipFor(ctx, this.db);
+            const tierUserId = membership ? membership.workspace.owner_id : userId;
             
             // Check if user has bulk posting feature
-            const hasFeature = await this.tierManager.hasFeature(userId, 'bulk_posting');
+            const hasFeature = await this.tierManager.hasFeature(tierUserId, 'bulk_posting');
             if (!hasFeature) {
                 await ctx.reply(
                     '📤 *Bulk Posting* requires Basic tier or higher.\n\n' +
@@ -151,11 +227,11 @@ class BulkEditSystem {
                 return;
             }
             
-            const userTier = await this.tierManager.getUserTier(userId);
+            const userTier = await this.tierManager.getUserTier(tierUserId);
             const limits = this.bulkLimits[userTier];
             
             // Get user's destinations
-            const destinations = await this.getUserDestinations(userId);
+            const destinations = await this.getUserDestinations(userId, membership);
             
             if (destinations.length === 0) {
                 await ctx.reply(
@@ -217,9 +293,16 @@ class BulkEditSystem {
     async handleBulkEdit(ctx) {
         try {
             const userId = ctx.from.id;
+            const input = this.commandInput(ctx);
+            if (/^published\b/i.test(input)) {
+                await this.handlePublishedCommand(ctx, 'edit', input.replace(/^published[ \t]*/i, ''));
+                return;
+            }
+            
+            const membership = await membershipFor(ctx, this.db);
             
             // Check if user has bulk edit feature
-            const hasFeature = await this.tierManager.hasFeature(userId, 'bulk_posting');
+            const hasFeature = await this.tierManager.hasFeature(membership ? membership.workspace.owner_id : userId, 'bulk_posting');
             if (!hasFeature) {
                 await ctx.reply(
                     '✏️ *Bulk Editing* requires Pro tier.\n\n' +
@@ -243,7 +326,7 @@ class BulkEditSystem {
             
             // Get user's scheduled posts
             const scheduledPosts = await this.db.collection('scheduled_posts').find({
-                user_id: userId,
+                ...scopeFilter(membership, userId),
                 status: { $in: ['scheduled', 'recurring'] }
             }).sort({ scheduled_at: 1 }).toArray();
             
@@ -251,7 +334,8 @@ class BulkEditSystem {
                 await ctx.reply(
                     '📅 *No Scheduled Posts*\n\n' +
                     'You don\'t have any scheduled posts to edit.\n\n' +
-                    'Use /schedule to create scheduled posts first.',
+                    'Use /schedule to create scheduled posts first, or ' +
+                    '`/bulkedit published` to edit posts that are already out.',
                     {
                         parse_mode: 'Markdown',
                         reply_markup: {
@@ -268,6 +352,7 @@ class BulkEditSystem {
             await ctx.reply(
                 `✏️ *Bulk Edit Scheduled Posts*\n\n` +
                 `📊 Found ${scheduledPosts.length} scheduled posts\n\n` +
+                'To edit posts that are already out, use `/bulkedit published`.\n\n' +
                 '*Choose bulk edit operation:*',
                 {
                     parse_mode: 'Markdown',
@@ -301,15 +386,241 @@ class BulkEditSystem {
         }
     }
 
+    /**
+     * Handle /bulkdelete command: delete published posts across channels
+     */
+    async handleBulkDelete(ctx) {
+        try {
+            await this.handlePublishedCommand(ctx, 'delete', this.commandInput(ctx));
+        } catch (error) {
+            console.error('Error in bulk delete command:', error);
+            await ctx.reply('❌ Error accessing bulk delete system.');
+        }
+    }
+
+    /**
+     * `/bulkedit published …` and `/bulkdelete …`: find the published posts
+     * the filters select and preview the operation before it runs
+     */
+    async handlePublishedCommand(ctx, type, input) {
+        const userId = ctx.from.id;
+        const membership = await membershipFor(ctx, this.db);
+        const tierUserId = membership ? membership.workspace.owner_id : userId;
+        const userTier = await this.tierManager.getUserTier(tierUserId);
+        const limits = this.bulkLimits[userTier] || this.bulkLimits.free;
+        const name = type === 'edit' ? 'Bulk Editing' : 'Bulk Deleting';
+        
+        if (!limits[type === 'edit' ? 'bulk_edit' : 'bulk_delete']) {
+            await ctx.reply(
+                `${type === 'edit' ? '✏️' : '🗑️'} *${name}* of published posts requires Pro tier.\n\n` +
+                '🚀 Upgrade to Pro ($19.99/mo) to change or remove posts in all your channels at once.',
+                {
+                    parse_mode: 'Markdown',
+                    reply_markup: {
+                        inline_keyboard: [
+                            [{ text: '💎 Upgrade to Pro', callback_data: 'subscribe:pro:monthly' }],
+                            [{ text: '❌ Close', callback_data: 'cancel' }]
+                        ]
+                    }
+                }
+            );
+            return;
+        }
+        
+        const [filterLine, ...editLines] = input.split('\n');
+        if (!filterLine.trim()) {
+            await ctx.reply(type === 'edit' ? BULK_EDIT_USAGE : BULK_DELETE_USAGE, { parse_mode: 'Markdown' });
+            return;
+        }
+        
+        const { selection, errors } = parseSelection(filterLine);
+        let edit = null;
+        if (type === 'edit') {
+            const parsed = parseEdit(editLines);
+            edit = parsed.edit;
+            errors.push(...parsed.errors);
+        }
+        if (errors.length > 0) {
+            await ctx.reply(`❌ ${errors.map(error => this.escape(error)).join('\n❌ ')}`, { parse_mode: 'Markdown' });
+            return;
+        }
+        
+        const found = await this.findPublishedPosts(userId, membership, selection);
+        if (!found.success) {
+            await ctx.reply(`❌ ${this.escape(found.error)}`, { parse_mode: 'Markdown' });
+            return;
+        }
+        
+        let posts = found.posts;
+        let skipped = 0;
+        if (edit && needsCurrentText(edit)) {
+            // Posts sent before their text was stored can only get a new text
+            const withText = posts.filter(post => typeof post.text === 'string');
+            skipped = posts.length - withText.length;
+            posts = withText;
+        }
+        
+        if (posts.length === 0) {
+            await ctx.reply(
+                '📭 No published posts match those filters' +
+                (skipped > 0 ? ` (${skipped} older post(s) can only be edited with text:)` : '') + '.'
+            );
+            return;
+        }
+        
+        if (limits.max_operations !== -1 && posts.length > limits.max_operations) {
+            await ctx.reply(
+                `❌ That selects ${posts.length} messages; your tier allows ${limits.max_operations} per bulk operation. ` +
+                'Narrow it down with from:, to:, in: or tag:.'
+            );
+            return;
+        }
+        
+        const operation = {
+            id: crypto.randomBytes(6).toString('hex'),
+            userId,
+            type,
+            edit,
+            selection,
+            destinations: posts.map(post => ({
+                chat_id: post.destination_chat_id,
+                title: found.titles.get(String(post.destination_chat_id)) || String(post.destination_chat_id),
+                message_id: post.message_id,
+                post_id: post._id
+            })),
+            created_at: new Date()
+        };
+        this.activeBulkOperations.set(operation.id, operation);
+        setTimeout(() => this.activeBulkOperations.delete(operation.id), DRAFT_TTL_MS).unref?.();
+        
+        await ctx.reply(this.formatPublishedPreview(operation, posts, found.articles, skipped), {
+            parse_mode: 'Markdown',
+            reply_markup: {
+                inline_keyboard: [
+                    [{ text: type === 'edit' ? '✅ Apply Edit' : '🗑️ Delete Posts', callback_data: `bulk:execute:${operation.id}` }],
+                    [{ text: '❌ Cancel', callback_data: `bulk:discard:${operation.id}` }]
+                ]
+            }
+        });
+    }
+
+    /**
+     * Published posts in the chats the user (or their workspace) manages that
+     * match a selection, newest first
+     */
+    async findPublishedPosts(userId, membership, selection) {
+        const destinations = await this.getUserDestinations(userId, membership);
+        let chats = destinations;
+        
+        if (selection.chats.length > 0) {
+            chats = [];
+            for (const reference of selection.chats) {
+                const wanted = reference.replace(/^@/, '').toLowerCase();
+                const destination = destinations.find(d => String(d.id) === reference ||
+                    (d.username && d.username.toLowerCase() === wanted));
+                if (!destination) {
+                    return { success: false, error: `${reference} is not one of your channels or groups` };
+                }
+                chats.push(destination);
+            }
+        }
+        
+        const query = {
+            destination_chat_id: { $in: chats.map(d => d.id) },
+            deleted_at: null
+        };
+        if (selection.article_id) {
+            query.article_id = new ObjectId(selection.article_id);
+        }
+        if (selection.from || selection.to) {
+            query.posted_at = {
+                ...(selection.from && { $gte: selection.from }),
+                ...(selection.to && { $lte: selection.to })
+            };
+        }
+        if (selection.tag) {
+            const tagPattern = new RegExp(`^${selection.tag.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}$`, 'i');
+            const tagged = await this.db.collection('news_articles')
+                .find({ $or: [{ tags: tagPattern }, { category: tagPattern }] }, { projection: { _id: 1 } })
+                .toArray();
+            query.article_id = selection.article_id
+                ? { $in: tagged.map(a => a._id).filter(id => String(id) === selection.article_id) }
+                : { $in: tagged.map(a => a._id) };
+        }
+        
+        const posts = await this.db.collection('posted_articles')
+            .find(query)
+            .sort({ posted_at: -1 })
+            .toArray();
+        
+        const articleIds = [...new Set(posts.map(post => String(post.article_id)))]
+            .filter(id => /^[a-f0-9]{24}$/i.test(id));
+        const articles = articleIds.length > 0
+            ? await this.db.collection('news_articles')
+                .find({ _id: { $in: articleIds.map(id => new ObjectId(id)) } }, { projection: { title: 1 } })
+                .toArray()
+            : [];
+        
+        return {
+            success: true,
+            posts,
+            titles: new Map(destinations.map(d => [String(d.id), d.title])),
+            articles: new Map(articles.map(article => [String(article._id), article.title]))
+        };
+    }
+
+    /**
+     * What a published-post operation will touch, with the first post's text
+     * before and after an edit
+     */
+    formatPublishedPreview(operation, posts, articles, skipped) {
+        const chats = new Set(posts.map(post => String(post.destination_chat_id)));
+        let message = operation.type === 'edit' ? '✏️ *Bulk Edit Preview*\n\n' : '🗑️ *Bulk Delete Preview*\n\n';
+        message += `📊 ${posts.length} message(s) in ${chats.size} chat(s)\n`;
+        if (skipped > 0) {
+            message += `⚠️ ${skipped} older post(s) skipped: their text wasn't stored, so only text: can change them\n`;
+        }
+        message += '\n';
+        
+        operation.destinations.slice(0, MAX_PREVIEW_POSTS).forEach((destination, index) => {
+            const post = posts[index];
+            const title = articles.get(String(post.article_id)) || 'Post';
+            message += `• ${this.escape(destination.title)}: ${this.escape(title.slice(0, 60))} (${this.formatDate(post.posted_at)})\n`;
+        });
+        if (posts.length > MAX_PREVIEW_POSTS) {
+            message += `…and ${posts.length - MAX_PREVIEW_POSTS} more\n`;
+        }
+        
+        if (operation.type === 'edit') {
+            const edit = operation.edit;
+            const sample = posts.find(post => typeof post.text === 'string');
+            if (edit.text !== null || edit.replace || edit.append) {
+                const after = applyTextEdit(sample?.text, edit);
+                if (sample) {
+                    message += `\n*Before:*\n${this.escape(sample.text.slice(0, 300))}\n`;
+                }
+                message += `\n*After:*\n${this.escape(String(after ?? '').slice(0, 300))}\n`;
+            }
+            message += `\n*Buttons:* ${Array.isArray(edit.buttons)
+                ? edit.buttons.map(([button]) => this.escape(button.text)).join(', ')
+                : { keep: 'reaction buttons kept', reactions: 'reaction buttons', none: 'removed' }[edit.buttons]}\n`;
+        } else {
+            message += '\n⚠️ Deleted posts cannot be restored. Telegram only lets bots delete group messages for 48 hours.\n';
+        }
+        
+        return message;
+    }
+
     /**
      * Handle /bulkschedule command
      */
     async handleBulkSchedule(ctx) {
         try {
-            const userId = ctx.from.id;
+            const membership = await membershipFor(ctx, this.db);
+            const tierUserId = membership ? membership.workspace.owner_id : ctx.from.id;
             
             // Check scheduling limits
-            const limitCheck = await this.tierManager.checkLimit(userId, 'scheduled_posts', 5); // Check for 5 posts
+            const limitCheck = await this.tierManager.checkLimit(tierUserId, 'scheduled_posts', 5); // Check for 5 posts
             if (!limitCheck.allowed) {
                 await ctx.reply(limitCheck.message, { parse_mode: 'Markdown' });
                 return;
@@ -356,7 +667,7 @@ class BulkEditSystem {
             const operation = data[1];
             const subAction = data[2];
             
-            await ctx.answerCallbackQuery();
+            await ctx.answerCbQuery();
             
             switch (operation) {
                 case 'post':
@@ -383,13 +694,21 @@ class BulkEditSystem {
                 case 'status':
                     await this.showBulkStatus(ctx, subAction);
                     break;
+                case 'discard':
+                    this.activeBulkOperations.delete(subAction);
+                    await ctx.editMessageText('❌ Bulk operation cancelled.');
+                    break;
+                case 'retry':
+                case 'undo':
+                    await this.handleJobAction(ctx, operation, subAction);
+                    break;
                 default:
                     await ctx.reply('❌ Unknown bulk operation.');
             }
             
         } catch (error) {
             console.error('Error handling bulk callback:', error);
-            await ctx.answerCallbackQuery('❌ Error processing bulk operation');
+            await ctx.answerCbQuery('❌ Error processing bulk operation');
         }
     }
 
@@ -452,7 +771,7 @@ class BulkEditSystem {
     }
 
     /**
-     * Execute bulk operation
+     * Execute bulk operation: store it as a job and run it in the background
      */
     async executeBulkOperation(ctx, operationId) {
         try {
@@ -469,29 +788,28 @@ class BulkEditSystem {
                 return;
             }
             
-            // Update operation status
-            operation.status = 'executing';
-            operation.started_at = new Date();
+            const job = createBulkJob(operation);
+            const result = await this.db.collection('bulk_operations').insertOne(job);
+            this.activeBulkOperations.delete(operationId);
             
             await ctx.editMessageText(
                 `🚀 *Executing Bulk Operation*\n\n` +
                 `📋 Type: ${operation.type}\n` +
                 `📍 Destinations: ${operation.destinations.length}\n` +
                 `📊 Status: Executing...\n\n` +
-                `This may take a few moments.`,
+                `This may take a few moments. Progress is saved, so the operation carries on if the bot restarts.`,
                 {
                     parse_mode: 'Markdown',
                     reply_markup: {
                         inline_keyboard: [
-                            [{ text: '📊 Check Status', callback_data: `bulk:status:${operationId}` }],
-                            [{ text: '🛑 Cancel', callback_data: `bulk:cancel:${operationId}` }]
+                            [{ text: '📊 Check Status', callback_data: `bulk:status:${result.insertedId}` }]
                         ]
                     }
                 }
             );
             
             // Execute the operation in background
-            this.processBulkOperation(operation, ctx).catch(console.error);
+            this.runJob(result.insertedId).catch(console.error);
             
         } catch (error) {
             console.error('Error executing bulk operation:', error);
@@ -500,154 +818,366 @@ class BulkEditSystem {
     }
 
     /**
-     * Process bulk operation in batches
+     * Pick up jobs that were queued or running when the bot stopped
      */
-    async processBulkOperation(operation, ctx) {
+    async start() {
         try {
-            const results = {
-                successful: 0,
-                failed: 0,
-                errors: []
-            };
+            await this.db.collection('bulk_operations').createIndex({ user_id: 1, created_at: -1 });
+            await this.db.collection('bulk_operations').createIndex({ status: 1, lease_expires_at: 1 });
+        } catch (error) {
+            console.warn('Bulk operation index creation warning:', error.message);
+        }
+        
+        const jobs = await this.db.collection('bulk_operations')
+            .find({ status: { $in: ACTIVE_STATUSES } }, { projection: { _id: 1 } })
+            .toArray();
+        
+        for (const job of jobs) {
+            this.runJob(job._id).catch(console.error);
+        }
+        
+        if (jobs.length > 0) {
+            console.log(`🔁 Resuming ${jobs.length} bulk operation(s)`);
+        }
+    }
+
+    /**
+     * Take a job over for this instance. Jobs whose lease has lapsed (their
+     * runner crashed or the bot restarted) can be taken over again.
+     */
+    async claimJob(jobId) {
+        const now = new Date();
+        
+        const result = await this.db.collection('bulk_operations').findOneAndUpdate(
+            {
+                _id: jobId,
+                $or: [
+                    { status: 'queued' },
+                    { status: 'running', lease_owner: this.instanceId },
+                    { status: 'running', lease_expires_at: { $lt: now } }
+                ]
+            },
+            {
+                $set: {
+                    status: 'running',
+                    lease_owner: this.instanceId,
+                    lease_expires_at: new Date(now.getTime() + this.leaseMs),
+                    updated_at: now
+                }
+            },
+            { returnDocument: 'after', includeResultMetadata: true }
+        );
+        
+        return result.value;
+    }
+
+    /**
+     * Work through a job's open destinations in batches until each one is
+     * sent, failed or deleted. A 429 from Telegram pauses the whole job for
+     * its `retry_after`, since the limit applies to the bot, not one chat.
+     * Each batch is saved as `sending` before Telegram is called, so sends
+     * cut off by a crash are not repeated when the job is resumed.
+     */
+    async runJob(jobId) {
+        const key = String(jobId);
+        if (this.runningJobs.has(key)) {
+            return;
+        }
+        this.runningJobs.add(key);
+        
+        try {
+            const job = await this.claimJob(jobId);
+            if (!job) {
+                return;
+            }
+            if (!job.started_at) {
+                job.started_at = new Date();
+                await this.saveJob(job, { started_at: job.started_at });
+            }
             
-            // Process destinations in batches
-            const batches = this.createBatches(operation.destinations, this.batchSize);
+            const interrupted = job.destinations
+                .map((destination, index) => (destination.state === 'sending' ? index : null))
+                .filter(index => index !== null);
+            if (interrupted.length > 0) {
+                for (const index of interrupted) {
+                    job.destinations[index] = afterInterruptedSend(job.destinations[index]);
+                }
+                console.warn(`⚠️  ${interrupted.length} send(s) of bulk operation ${key} were interrupted`);
+                if (!await this.saveJob(job, {}, 0, interrupted)) {
+                    return;
+                }
+            }
             
-            for (let i = 0; i < batches.length; i++) {
-                const batch = batches[i];
-                
-                // Process batch
-                const batchResults = await this.processBatch(batch, operation);
+            let lastNotified = 0;
+            
+            while (isOpen(job)) {
+                const due = dueDestinations(job);
                 
-                // Update results
-                results.successful += batchResults.successful;
-                results.failed += batchResults.failed;
-                results.errors.push(...batchResults.errors);
+                if (due.length === 0) {
+                    // Everything left is waiting for a retry
+                    const wait = Math.max(nextWakeAt(job) - Date.now(), 0);
+                    if (!await this.saveJob(job, {}, wait)) {
+                        return;
+                    }
+                    await this.delay(wait);
+                    continue;
+                }
                 
-                // Update progress
-                const progress = Math.round(((i + 1) / batches.length) * 100);
-                operation.progress = progress;
+                const batch = due.slice(0, this.batchSize);
                 
-                // Notify user of progress (every 25% or on last batch)
-                if (progress % 25 === 0 || i === batches.length - 1) {
-                    try {
-                        await this.bot.telegram.sendMessage(
-                            operation.userId,
-                            `📊 *Bulk Operation Progress*\n\n` +
-                            `📋 Type: ${operation.type}\n` +
-                            `📈 Progress: ${progress}%\n` +
-                            `✅ Successful: ${results.successful}\n` +
-                            `❌ Failed: ${results.failed}`,
-                            { parse_mode: 'Markdown' }
-                        );
-                    } catch (notifyError) {
-                        console.error('Could not notify user of progress:', notifyError);
+                const claimedAt = new Date();
+                for (const index of batch) {
+                    if (job.destinations[index].state !== 'deleting') {
+                        job.destinations[index] = { ...job.destinations[index], state: 'sending', updated_at: claimedAt };
                     }
                 }
+                if (!await this.saveJob(job, {}, 0, batch)) {
+                    console.warn(`⚠️  Lost bulk operation ${key} to another instance`);
+                    return;
+                }
+                
+                const attempts = await Promise.all(batch.map(index => this.attemptDestination(job, index)));
+                
+                batch.forEach((index, i) => {
+                    job.destinations[index] = attempts[i].destination;
+                });
+                
+                const retryAfter = Math.max(0, ...attempts.map(attempt => (attempt.retryAfter || 0) * 1000));
+                const pause = Math.max(retryAfter, this.delayBetweenBatches);
+                
+                if (!await this.saveJob(job, {}, pause, batch)) {
+                    console.warn(`⚠️  Lost bulk operation ${key} to another instance`);
+                    return;
+                }
                 
-                // Delay between batches
-                if (i < batches.length - 1) {
-                    await this.delay(this.delayBetweenBatches);
+                // Notify user of progress (every 25%)
+                const done = job.destinations.length - job.destinations.filter(d => OPEN_STATES.includes(d.state)).length;
+                const progress = Math.floor((done / job.destinations.length) * 4) * 25;
+                if (progress > lastNotified && progress < 100) {
+                    lastNotified = progress;
+                    await this.notifyUser(job.user_id,
+                        `📊 *Bulk Operation Progress*\n\n` +
+                        `📋 Type: ${job.type}\n` +
+                        `📈 Progress: ${progress}%\n` +
+                        `✅ Sent: ${job.counts.sent}\n` +
+                        `❌ Failed: ${job.counts.failed}`
+                    );
+                }
+                
+                if (isOpen(job)) {
+                    await this.delay(pause);
                 }
             }
             
-            // Complete operation
-            operation.status = 'completed';
-            operation.completed_at = new Date();
-            operation.results = results;
-            
-            // Log bulk operation
-            await this.logBulkOperation(operation);
-            
-            // Send completion notification
-            try {
-                await this.bot.telegram.sendMessage(
-                    operation.userId,
-                    `✅ *Bulk Operation Complete!*\n\n` +
-                    `📋 Type: ${operation.type}\n` +
-                    `📍 Destinations: ${operation.destinations.length}\n` +
-                    `✅ Successful: ${results.successful}\n` +
-                    `❌ Failed: ${results.failed}\n` +
-                    `⏱️ Duration: ${this.formatDuration(operation.completed_at - operation.started_at)}\n\n` +
-                    (results.errors.length > 0 ? `*Errors:*\n${results.errors.slice(0, 3).join('\n')}` : ''),
-                    { parse_mode: 'Markdown' }
-                );
-            } catch (notifyError) {
-                console.error('Could not notify user of completion:', notifyError);
-            }
-            
-            // Clean up operation after 1 hour
-            setTimeout(() => {
-                this.activeBulkOperations.delete(operation.id);
-            }, 60 * 60 * 1000);
+            await this.finishJob(job);
             
         } catch (error) {
+            // Left as running: once the lease runs out the next start picks it up again
             console.error('Error processing bulk operation:', error);
-            
-            operation.status = 'failed';
-            operation.failed_at = new Date();
-            operation.error = error.message;
-            
-            // Notify user of failure
+        } finally {
+            this.runningJobs.delete(key);
+        }
+    }
+
+    /**
+     * One attempt at one destination
+     * @returns {Promise<{ destination: Object, retryAfter: number|null }>} the
+     *   destination's new entry, and Telegram's retry_after if rate limited
+     */
+    async attemptDestination(job, index) {
+        const destination = job.destinations[index];
+        const now = new Date();
+        
+        if (destination.state === 'deleting') {
             try {
-                await this.bot.telegram.sendMessage(
-                    operation.userId,
-                    `❌ *Bulk Operation Failed*\n\n` +
-                    `📋 Type: ${operation.type}\n` +
-                    `💥 Error: ${error.message}\n\n` +
-                    `Please try again or contact support if the issue persists.`,
-                    { parse_mode: 'Markdown' }
-                );
-            } catch (notifyError) {
-                console.error('Could not notify user of failure:', notifyError);
+                await this.bot.telegram.deleteMessage(destination.chat_id, destination.message_id);
+                return {
+                    destination: { ...destination, state: 'deleted', error: null, next_attempt_at: null, updated_at: now },
+                    retryAfter: null
+                };
+            } catch (error) {
+                console.error(`Error deleting bulk post in ${destination.chat_id}:`, error.message);
+                return { destination: afterFailure(destination, error, 'delete', now), retryAfter: retryAfterSeconds(error) };
             }
         }
+        
+        try {
+            const sent = await this.processDestination({ ...destination, id: destination.chat_id }, job);
+            return {
+                destination: {
+                    ...destination,
+                    state: 'sent',
+                    attempts: destination.attempts + 1,
+                    message_id: sent?.message_id ?? destination.message_id,
+                    error: null,
+                    next_attempt_at: null,
+                    updated_at: now
+                },
+                retryAfter: null
+            };
+        } catch (error) {
+            return { destination: afterFailure(destination, error, 'send', now), retryAfter: retryAfterSeconds(error) };
+        }
     }
 
     /**
-     * Process a batch of destinations
+     * Store a job's progress and keep its lease for `holdMs` more
+     * @param {number[]} [indexes] - destinations that changed, all if omitted
+     * @returns {Promise<boolean>} false if another instance owns the job
      */
-    async processBatch(destinations, operation) {
-        const results = {
-            successful: 0,
-            failed: 0,
-            errors: []
-        };
+    async saveJob(job, fields = {}, holdMs = 0, indexes = null) {
+        const now = new Date();
+        job.counts = countStates(job.destinations);
+        
+        const changed = {};
+        for (const index of indexes || job.destinations.map((_, i) => i)) {
+            changed[`destinations.${index}`] = job.destinations[index];
+        }
+        
+        const result = await this.db.collection('bulk_operations').updateOne(
+            { _id: job._id, lease_owner: this.instanceId },
+            {
+                $set: {
+                    ...changed,
+                    ...fields,
+                    counts: job.counts,
+                    lease_expires_at: new Date(now.getTime() + holdMs + this.leaseMs),
+                    updated_at: now
+                }
+            }
+        );
+        
+        return result.matchedCount > 0;
+    }
+
+    /**
+     * Close a job whose destinations are all done and tell the user
+     */
+    async finishJob(job) {
+        const completedAt = new Date();
+        const status = jobOutcome(job.counts);
+        
+        await this.saveJob(job, {
+            status,
+            lease_owner: null,
+            completed_at: completedAt,
+            duration_ms: completedAt - new Date(job.started_at)
+        });
+        await this.logBulkOperation({ ...job, status, completed_at: completedAt });
         
-        const promises = destinations.map(destination => 
-            this.processDestination(destination, operation)
-                .then(() => {
-                    results.successful++;
-                })
-                .catch(error => {
-                    results.failed++;
-                    results.errors.push(`${destination.title}: ${error.message}`);
-                })
+        const errors = job.destinations
+            .filter(destination => destination.state === 'failed')
+            .slice(0, 3)
+            .map(destination => `• ${this.escape(destination.title)}: ${this.escape(destination.error)}`);
+        
+        const title = status === 'undone' ? '↩️ *Bulk Post Undone*' :
+            status === 'completed' ? '✅ *Bulk Operation Complete!*' :
+            status === 'partial' ? '⚠️ *Bulk Operation Finished With Errors*' : '❌ *Bulk Operation Failed*';
+        
+        await this.notifyUser(job.user_id,
+            `${title}\n\n` +
+            `📋 Type: ${job.type}\n` +
+            `📍 Destinations: ${job.destinations.length}\n` +
+            `✅ ${this.stateLabel(job, 'sent')}: ${job.counts.sent}\n` +
+            (job.counts.deleted > 0 ? `🗑️ Deleted: ${job.counts.deleted}\n` : '') +
+            `❌ Failed: ${job.counts.failed}\n` +
+            `⏱️ Duration: ${this.formatDuration(completedAt - new Date(job.started_at))}\n\n` +
+            (errors.length > 0 ? `*Errors:*\n${errors.join('\n')}\n\n` : '') +
+            (job.type === 'post' ? 'Use /bulkstatus to retry failures or undo the post.' : 'Use /bulkstatus to retry failures.')
         );
+    }
+
+    /**
+     * Send the failed destinations of a finished job again
+     */
+    async retryFailed(jobId, userId) {
+        const job = await this.db.collection('bulk_operations').findOne({ _id: jobId, user_id: userId });
+        if (!job) {
+            return { success: false, error: 'Bulk operation not found' };
+        }
+        if (ACTIVE_STATUSES.includes(job.status)) {
+            return { success: false, error: 'This operation is still running' };
+        }
+        
+        const now = new Date();
+        const destinations = job.destinations.map(destination => (destination.state === 'failed'
+            ? { ...destination, state: 'pending', attempts: 0, error: null, next_attempt_at: null, updated_at: now }
+            : destination));
+        const count = job.counts.failed || 0;
+        if (count === 0) {
+            return { success: false, error: 'No failed destinations to retry' };
+        }
+        
+        await this.requeueJob(job, destinations);
+        return { success: true, count };
+    }
+
+    /**
+     * Delete the messages a bulk post sent
+     */
+    async undoJob(jobId, userId) {
+        const job = await this.db.collection('bulk_operations').findOne({ _id: jobId, user_id: userId });
+        if (!job) {
+            return { success: false, error: 'Bulk operation not found' };
+        }
+        if (job.type !== 'post') {
+            return { success: false, error: 'Only bulk posts can be undone' };
+        }
+        if (ACTIVE_STATUSES.includes(job.status)) {
+            return { success: false, error: 'This operation is still running' };
+        }
+        
+        const now = new Date();
+        const destinations = job.destinations.map(destination => (destination.state === 'sent' && destination.message_id
+            ? { ...destination, state: 'deleting', attempts: 0, error: null, next_attempt_at: null, updated_at: now }
+            : destination));
+        const count = destinations.filter(destination => destination.state === 'deleting').length;
+        if (count === 0) {
+            return { success: false, error: 'Nothing to undo' };
+        }
+        
+        await this.requeueJob(job, destinations);
+        return { success: true, count };
+    }
+
+    /**
+     * Queue a finished job again with the given destinations and run it
+     */
+    async requeueJob(job, destinations) {
+        const now = new Date();
         
-        await Promise.allSettled(promises);
+        await this.db.collection('bulk_operations').updateOne(
+            { _id: job._id, status: { $nin: ACTIVE_STATUSES } },
+            {
+                $set: {
+                    destinations,
+                    counts: countStates(destinations),
+                    status: 'queued',
+                    started_at: now,
+                    completed_at: null,
+                    updated_at: now
+                }
+            }
+        );
         
-        return results;
+        this.runJob(job._id).catch(console.error);
     }
 
     /**
-     * Process single destination
+     * Process single destination of a job; resolves with the message sent
+     * or changed
      */
     async processDestination(destination, operation) {
         try {
             switch (operation.type) {
                 case 'post':
-                    await this.postToDestination(destination, operation.content);
-                    break;
+                    return await this.postToDestination(destination, operation.content);
                 case 'schedule':
-                    await this.scheduleToDestination(destination, operation.content, operation.scheduledAt);
-                    break;
+                    return await this.scheduleToDestination(destination, operation.content, operation.scheduled_at);
                 case 'edit':
-                    await this.editDestinationPost(destination, operation.editData);
-                    break;
+                    return await this.editDestinationPost(destination, operation.edit);
                 case 'delete':
-                    await this.deleteDestinationPost(destination, operation.postId);
-                    break;
+                    return await this.deleteDestinationPost(destination);
                 default:
                     throw new Error(`Unknown operation type: ${operation.type}`);
             }
@@ -663,7 +1193,7 @@ class BulkEditSystem {
     async postToDestination(destination, content) {
         try {
             if (content.type === 'text') {
-                await this.bot.telegram.sendMessage(
+                return await this.bot.telegram.sendMessage(
                     destination.id,
                     content.text,
                     {
@@ -673,7 +1203,7 @@ class BulkEditSystem {
                 );
             } else if (content.type === 'media') {
                 // Handle media posting
-                await this.postMediaToDestination(destination, content);
+                return await this.postMediaToDestination(destination, content);
             }
         } catch (error) {
             console.error(`Error posting to ${destination.id}:`, error);
@@ -682,12 +1212,119 @@ class BulkEditSystem {
     }
 
     /**
-     * Get user's destinations
+     * Apply a bulk edit to one published post
      */
-    async getUserDestinations(userId) {
-        return await this.db.collection('user_destinations')
-            .find({ user_id: userId })
-            .toArray();
+    async editDestinationPost(destination, edit) {
+        const post = await this.db.collection('posted_articles').findOne({ _id: destination.post_id });
+        if (!post) {
+            throw new Error('Post not found');
+        }
+        
+        const text = applyTextEdit(post.text, edit);
+        const replyMarkup = editedKeyboard(post, edit);
+        const changesText = edit.text !== null || Boolean(edit.replace || edit.append);
+        
+        try {
+            if (!changesText) {
+                await this.bot.telegram.editMessageReplyMarkup(destination.chat_id, destination.message_id, undefined, replyMarkup);
+            } else if (text === null) {
+                throw new Error('The text of this post was not stored; use text: to replace it');
+            } else if (post.message_type === 'photo') {
+                await this.bot.telegram.editMessageCaption(destination.chat_id, destination.message_id, undefined, text, {
+                    parse_mode: 'Markdown',
+                    reply_markup: replyMarkup
+                });
+            } else {
+                await this.editTextOrCaption(destination, text, replyMarkup);
+            }
+        } catch (error) {
+            // Posts that already read like the edit count as edited
+            if (!String(error.response?.description || error.message).includes('message is not modified')) {
+                throw error;
+            }
+        }
+        
+        await this.db.collection('posted_articles').updateOne(
+            { _id: post._id },
+            {
+                $set: {
+                    ...(changesText && { text, edited_text: text }),
+                    last_edited: new Date()
+                }
+            }
+        );
+        
+        return { message_id: destination.message_id };
+    }
+
+    /**
+     * Edit a message's text, or its caption for posts sent before the
+     * message type was stored that turn out to be photos
+     */
+    async editTextOrCaption(destination, text, replyMarkup) {
+        try {
+            await this.bot.telegram.editMessageText(destination.chat_id, destination.message_id, undefined, text, {
+                parse_mode: 'Markdown',
+                reply_markup: replyMarkup
+            });
+        } catch (error) {
+            if (!String(error.response?.description || '').includes('no text in the message')) {
+                throw error;
+            }
+            await this.bot.telegram.editMessageCaption(destination.chat_id, destination.message_id, undefined, text, {
+                parse_mode: 'Markdown',
+                reply_markup: replyMarkup
+            });
+        }
+    }
+
+    /**
+     * Delete one published post
+     */
+    async deleteDestinationPost(destination) {
+        try {
+            await this.bot.telegram.deleteMessage(destination.chat_id, destination.message_id);
+        } catch (error) {
+            // Already deleted by hand
+            if (!String(error.response?.description || '').includes('message to delete not found')) {
+                throw error;
+            }
+        }
+        
+        await this.db.collection('posted_articles').updateOne(
+            { _id: destination.post_id },
+            { $set: { deleted_at: new Date() } }
+        );
+        
+        return { message_id: destination.message_id };
+    }
+
+    /**
+     * Get user's destinations, or their workspace's when they are in one
+     */
+    async getUserDestinations(userId, membership = null) {
+        let destinations;
+        if (membership) {
+            destinations = await this.db.collection('destinations')
+                .find({ workspace_id: membership.workspace._id, active: { $ne: false } })
+                .toArray();
+        } else {
+            const links = await this.db.collection('user_destinations')
+                .find(scopeFilter(null, userId, 'userId'))
+                .toArray();
+            const chatIds = links.map(link => link.destinationId);
+            const known = await this.db.collection('destinations')
+                .find({ telegramId: { $in: chatIds } })
+                .toArray();
+            destinations = chatIds.map(chatId => known.find(d => d.telegramId === chatId) || { telegramId: chatId });
+        }
+        
+        return destinations.map(destination => ({
+            id: destination.telegramId ?? destination.id,
+            title: destination.title || destination.name || String(destination.telegramId ?? destination.id),
+            username: destination.username || null,
+            type: destination.type
+        }));
     }
 
     /**
@@ -726,20 +1363,32 @@ class BulkEditSystem {
     }
 
     /**
-     * Log bulk operation
+     * Audit entry for a finished run of a job: who ran what on which
+     * messages, and how each one went. Retries and undos add entries of
+     * their own.
      */
-    async logBulkOperation(operation) {
+    async logBulkOperation(job) {
         try {
-            await this.db.collection('bulk_operations').insertOne({
-                user_id: operation.userId,
-                operation_id: operation.id,
-                type: operation.type,
-                destinations_count: operation.destinations.length,
-                status: operation.status,
-                results: operation.results,
-                started_at: operation.started_at,
-                completed_at: operation.completed_at,
-                duration_ms: operation.completed_at - operation.started_at,
+            await this.db.collection('bulk_operation_log').insertOne({
+                job_id: job._id,
+                user_id: job.user_id,
+                type: job.type,
+                status: job.status,
+                selection: job.selection || null,
+                edit: job.edit || null,
+                counts: job.counts,
+                destinations: job.destinations.map(destination => ({
+                    chat_id: destination.chat_id,
+                    title: destination.title,
+                    post_id: destination.post_id || null,
+                    message_id: destination.message_id,
+                    state: destination.state,
+                    attempts: destination.attempts,
+                    error: destination.error
+                })),
+                started_at: job.started_at,
+                completed_at: job.completed_at,
+                duration_ms: job.completed_at - new Date(job.started_at),
                 created_at: new Date()
             });
         } catch (error) {
@@ -747,6 +1396,42 @@ class BulkEditSystem {
         }
     }
 
+    /**
+     * Message the user who started a bulk operation
+     */
+    async notifyUser(userId, message) {
+        try {
+            await this.bot.telegram.sendMessage(userId, message, { parse_mode: 'Markdown' });
+        } catch (error) {
+            console.error('Could not notify user of bulk operation:', error.message);
+        }
+    }
+
+    escape(text) {
+        return String(text ?? '').replace(/([_*`[])/g, '\\$1');
+    }
+
+    /**
+     * Everything after the command, keeping line breaks
+     */
+    commandInput(ctx) {
+        return (ctx.message?.text || '').replace(/^\/\w+(@\w+)?[ \t]*/, '').trim();
+    }
+
+    /**
+     * How a destination state reads for a job's type: a `sent` edit is an
+     * edited message, a `sent` delete a deleted one
+     */
+    stateLabel(job, state) {
+        if (state === 'sent' && job.type === 'edit') {
+            return 'Edited';
+        }
+        if (state === 'sent' && job.type === 'delete') {
+            return 'Deleted';
+        }
+        return state.charAt(0).toUpperCase() + state.slice(1);
+    }
+
     /**
      * Set user state (placeholder for state management)
      */
@@ -756,25 +1441,26 @@ class BulkEditSystem {
     }
 
     /**
-     * Handle bulk status check
+     * Handle /bulkstatus: the user's recent bulk operations
      */
     async handleBulkStatus(ctx) {
         try {
             const userId = ctx.from.id;
             
-            // Get active operations for user
-            const userOperations = Array.from(this.activeBulkOperations.values())
-                .filter(op => op.userId === userId);
+            const jobs = await this.db.collection('bulk_operations')
+                .find({ user_id: userId, destinations: { $exists: true } })
+                .sort({ created_at: -1 })
+                .limit(5)
+                .toArray();
             
-            if (userOperations.length === 0) {
+            if (jobs.length === 0) {
                 await ctx.reply(
-                    '📊 *No Active Bulk Operations*\n\n' +
-                    'You don\'t have any running bulk operations.',
+                    '📊 *No Bulk Operations*\n\n' +
+                    'You haven\'t run any bulk operations yet.',
                     {
                         parse_mode: 'Markdown',
                         reply_markup: {
                             inline_keyboard: [
-                                [{ text: '📜 View History', callback_data: 'bulk:history' }],
                                 [{ text: '❌ Close', callback_data: 'cancel' }]
                             ]
                         }
@@ -783,21 +1469,23 @@ class BulkEditSystem {
                 return;
             }
             
-            let message = `📊 *Active Bulk Operations* (${userOperations.length})\n\n`;
+            let message = `📊 *Recent Bulk Operations* (${jobs.length})\n\n`;
             
-            userOperations.forEach((op, index) => {
-                message += `${index + 1}. **${op.type}**\n`;
-                message += `   Status: ${op.status}\n`;
-                message += `   Progress: ${op.progress || 0}%\n`;
-                message += `   Destinations: ${op.destinations.length}\n\n`;
+            jobs.forEach((job, index) => {
+                message += `${index + 1}. ${JOB_STATUS_ICONS[job.status] || '•'} *${job.type}* - ${job.status}\n`;
+                message += `   ✅ ${job.counts.sent} ${this.stateLabel(job, 'sent').toLowerCase()}`;
+                message += job.counts.failed > 0 ? `, ❌ ${job.counts.failed} failed` : '';
+                message += job.counts.retrying > 0 ? `, 🔁 ${job.counts.retrying} retrying` : '';
+                message += job.counts.deleted > 0 ? `, 🗑️ ${job.counts.deleted} deleted` : '';
+                message += ` of ${job.destinations.length}\n`;
+                message += `   ${this.formatDate(job.created_at)}\n\n`;
             });
             
             await ctx.reply(message, {
                 parse_mode: 'Markdown',
                 reply_markup: {
                     inline_keyboard: [
-                        [{ text: '🔄 Refresh', callback_data: 'bulk:status:refresh' }],
-                        [{ text: '📜 History', callback_data: 'bulk:history' }],
+                        jobs.map((job, index) => ({ text: `📋 ${index + 1}`, callback_data: `bulk:status:${job._id}` })),
                         [{ text: '❌ Close', callback_data: 'cancel' }]
                     ]
                 }
@@ -809,6 +1497,98 @@ class BulkEditSystem {
         }
     }
 
+    /**
+     * One bulk operation with the result for each destination, and buttons
+     * to retry its failures or undo it
+     */
+    async showBulkStatus(ctx, jobId) {
+        const job = /^[a-f0-9]{24}$/i.test(jobId)
+            ? await this.db.collection('bulk_operations').findOne({ _id: new ObjectId(jobId), user_id: ctx.from.id })
+            : null;
+        
+        if (!job) {
+            await ctx.reply('❌ Bulk operation not found.');
+            return;
+        }
+        
+        let message = `${JOB_STATUS_ICONS[job.status] || '📊'} *Bulk ${job.type}* - ${job.status}\n`;
+        message += `Started ${this.formatDate(job.started_at || job.created_at)}\n\n`;
+        
+        for (const destination of job.destinations.slice(0, MAX_LISTED_DESTINATIONS)) {
+            message += `${DESTINATION_STATE_ICONS[destination.state]} ${this.escape(destination.title)} - ${this.stateLabel(job, destination.state).toLowerCase()}`;
+            if (destination.state === 'retrying' && destination.next_attempt_at) {
+                message += ` at ${this.formatDate(destination.next_attempt_at)}`;
+            }
+            if (destination.error) {
+                message += `\n   ${this.escape(destination.error)}`;
+            }
+            message += '\n';
+        }
+        if (job.destinations.length > MAX_LISTED_DESTINATIONS) {
+            message += `…and ${job.destinations.length - MAX_LISTED_DESTINATIONS} more\n`;
+        }
+        
+        const buttons = [];
+        if (!ACTIVE_STATUSES.includes(job.status)) {
+            const actions = [];
+            if (job.counts.failed > 0) {
+                actions.push({ text: `🔁 Retry ${job.counts.failed} Failed`, callback_data: `bulk:retry:${job._id}` });
+            }
+            if (job.type === 'post' && job.destinations.some(d => d.state === 'sent' && d.message_id)) {
+                actions.push({ text: '↩️ Undo Post', callback_data: `bulk:undo:${job._id}` });
+            }
+            if (actions.length > 0) {
+                buttons.push(actions);
+            }
+        }
+        buttons.push([{ text: '🔄 Refresh', callback_data: `bulk:status:${job._id}` }]);
+        buttons.push([{ text: '❌ Close', callback_data: 'cancel' }]);
+        
+        await ctx.reply(message, {
+            parse_mode: 'Markdown',
+            reply_markup: { inline_keyboard: buttons }
+        });
+    }
+
+    /**
+     * Retry or undo buttons from showBulkStatus
+     */
+    async handleJobAction(ctx, action, jobId) {
+        if (!/^[a-f0-9]{24}$/i.test(jobId)) {
+            await ctx.reply('❌ Bulk operation not found.');
+            return;
+        }
+        
+        const result = action === 'retry'
+            ? await this.retryFailed(new ObjectId(jobId), ctx.from.id)
+            : await this.undoJob(new ObjectId(jobId), ctx.from.id);
+        
+        if (!result.success) {
+            await ctx.reply(`❌ ${result.error}`);
+            return;
+        }
+        
+        await ctx.reply(
+            action === 'retry'
+                ? `🔁 Retrying ${result.count} failed destination(s). You'll get a message when it's done.`
+                : `↩️ Deleting the post from ${result.count} destination(s). You'll get a message when it's done.`,
+            {
+                reply_markup: {
+                    inline_keyboard: [[{ text: '📊 Check Status', callback_data: `bulk:status:${jobId}` }]]
+                }
+            }
+        );
+    }
+
+    formatDate(date) {
+        return new Date(date).toLocaleString('en-AU', {
+            day: 'numeric',
+            month: 'short',
+            hour: '2-digit',
+            minute: '2-digit'
+        });
+    }
+
     /**
      * Show bulk operation preview
      */
@@ -0,0 +1,219 @@
+/**
+ * Bulk Jobs - bulk operations stored as jobs with one entry per destination,
+ * so a run can be resumed after a restart and users can see which
+ * destinations got the post
+ *
+ * Jobs live in `bulk_operations`:
+ *
+ *   { user_id, operation_id, type, content, edit, selection, status,
+ *     destinations: [
+ *       { chat_id, title, state, attempts, message_id, post_id, error, next_attempt_at }
+ *     ], counts: { <state>: n }, lease_owner, lease_expires_at, … }
+ *
+ * A destination starts `pending` and ends `sent` or `failed`; it is
+ * `retrying` while it waits for another attempt, either after a temporary
+ * error or because Telegram asked us to slow down (`retry_after`). It is
+ * `sending` while a runner is calling Telegram for it; that is saved before
+ * the call, so a destination still `sending` when a job is resumed may
+ * already have the post and is failed rather than sent again. Undoing a
+ * bulk post moves `sent` destinations to `deleting` and then `deleted`.
+ * BulkEditSystem runs the jobs.
+ */
+
+const DESTINATION_STATES = ['pending', 'retrying', 'sending', 'sent', 'failed', 'deleting', 'deleted'];
+
+// States that still need work from the runner
+const OPEN_STATES = ['pending', 'retrying', 'deleting'];
+
+// Job statuses while a runner owns, or should pick up, the job
+const ACTIVE_STATUSES = ['queued', 'running'];
+
+const MAX_ATTEMPTS = 3;
+const RETRY_BASE_MS = 5000;
+const DEFAULT_RETRY_AFTER_SECONDS = 5;
+
+/**
+ * A job document for a prepared bulk operation
+ */
+function createBulkJob(operation, now = new Date()) {
+    const destinations = operation.destinations.map(destination => ({
+        chat_id: destination.chat_id ?? destination.id,
+        title: destination.title || destination.name || String(destination.chat_id ?? destination.id),
+        state: 'pending',
+        attempts: 0,
+        // Edits and deletes of published posts start from the message they change
+        message_id: destination.message_id ?? null,
+        post_id: destination.post_id ?? null,
+        error: null,
+        next_attempt_at: null,
+        updated_at: now
+    }));
+
+    return {
+        user_id: operation.userId,
+        operation_id: operation.id,
+        type: operation.type,
+        content: operation.content || null,
+        scheduled_at: operation.scheduledAt || null,
+        edit: operation.edit || null,
+        selection: operation.selection || null,
+        status: 'queued',
+        destinations,
+        counts: countStates(destinations),
+        lease_owner: null,
+        lease_expires_at: null,
+        created_at: now,
+        updated_at: now,
+        started_at: null,
+        completed_at: null
+    };
+}
+
+/**
+ * Number of destinations in each state
+ */
+function countStates(destinations) {
+    const counts = Object.fromEntries(DESTINATION_STATES.map(state => [state, 0]));
+    for (const destination of destinations) {
+        counts[destination.state] = (counts[destination.state] || 0) + 1;
+    }
+    return counts;
+}
+
+/**
+ * Indexes of the destinations the runner should work on at `now`
+ */
+function dueDestinations(job, now = new Date()) {
+    return job.destinations
+        .map((destination, index) => ({ destination, index }))
+        .filter(({ destination }) => OPEN_STATES.includes(destination.state) &&
+            (!destination.next_attempt_at || new Date(destination.next_attempt_at) <= now))
+        .map(({ index }) => index);
+}
+
+/**
+ * When the next destination waiting for a retry is due, or null if none is
+ */
+function nextWakeAt(job) {
+    const times = job.destinations
+        .filter(destination => OPEN_STATES.includes(destination.state) && destination.next_attempt_at)
+        .map(destination => new Date(destination.next_attempt_at).getTime());
+    return times.length > 0 ? new Date(Math.min(...times)) : null;
+}
+
+/**
+ * Seconds Telegram asked us to wait before the next call, when `error` is a
+ * 429 Too Many Requests
+ */
+function retryAfterSeconds(error) {
+    const code = error?.response?.error_code ?? error?.code;
+    if (code !== 429) {
+        return null;
+    }
+    return error.response?.parameters?.retry_after ?? error.parameters?.retry_after ?? DEFAULT_RETRY_AFTER_SECONDS;
+}
+
+/**
+ * Errors that another attempt will not fix: the bot was removed, lacks
+ * rights, or the message or chat is gone
+ */
+function isPermanentError(error) {
+    const code = error?.response?.error_code ?? error?.code;
+    if (code === 400 || code === 403) {
+        return true;
+    }
+    const description = String(error?.response?.description || error?.description || '');
+    return /chat not found|bot was kicked|not enough rights|message to delete not found|message can't be deleted/i.test(description);
+}
+
+/**
+ * A destination after a failed attempt: retried after `retry_after` when
+ * rate limited (without using up an attempt), retried with a growing delay
+ * after other temporary errors, and failed once attempts run out
+ * @param {'send'|'delete'} action - what the attempt was
+ */
+function afterFailure(destination, error, action, now = new Date()) {
+    const message = error?.response?.description || error?.message || String(error);
+    const retryAfter = retryAfterSeconds(error);
+
+    if (retryAfter !== null) {
+        return {
+            ...destination,
+            state: action === 'delete' ? 'deleting' : 'retrying',
+            error: message,
+            next_attempt_at: new Date(now.getTime() + retryAfter * 1000),
+            updated_at: now
+        };
+    }
+
+    const attempts = destination.attempts + 1;
+    if (isPermanentError(error) || attempts >= MAX_ATTEMPTS) {
+        // A post we could not delete is still out there
+        return {
+            ...destination,
+            state: action === 'delete' ? 'sent' : 'failed',
+            attempts,
+            error: action === 'delete' ? `Could not delete: ${message}` : message,
+            next_attempt_at: null,
+            updated_at: now
+        };
+    }
+
+    return {
+        ...destination,
+        state: action === 'delete' ? 'deleting' : 'retrying',
+        attempts,
+        error: message,
+        next_attempt_at: new Date(now.getTime() + RETRY_BASE_MS * 2 ** (attempts - 1)),
+        updated_at: now
+    };
+}
+
+/**
+ * A destination whose send was cut off by a crash or a lost lease. Telegram
+ * may have the message, so it is not sent again unless the user retries it.
+ */
+function afterInterruptedSend(destination, now = new Date()) {
+    return {
+        ...destination,
+        state: 'failed',
+        attempts: destination.attempts + 1,
+        error: 'The send was interrupted - not resending to avoid a duplicate post',
+        next_attempt_at: null,
+        updated_at: now
+    };
+}
+
+/**
+ * Final status of a job none of whose destinations are open
+ */
+function jobOutcome(counts) {
+    if (counts.deleted > 0 && counts.sent === 0) {
+        return 'undone';
+    }
+    if (counts.failed === 0) {
+        return 'completed';
+    }
+    return counts.sent + counts.deleted === 0 ? 'failed' : 'partial';
+}
+
+function isOpen(job) {
+    return job.destinations.some(destination => OPEN_STATES.includes(destination.state));
+}
+
+module.exports = {
+    DESTINATION_STATES,
+    OPEN_STATES,
+    ACTIVE_STATUSES,
+    MAX_ATTEMPTS,
+    createBulkJob,
+    countStates,
+    dueDestinations,
+    nextWakeAt,
+    retryAfterSeconds,
+    isPermanentError,
+    afterFailure,
+    afterInterruptedSend,
+    jobOutcome,
+    isOpen
+};
@@ -4,6 +4,9 @@
  */
 
 const { Markup } = require('telegraf');
+const { publishWorkflowEvent } = require('./workflow-events');
+const { roleAllows, scopeFilter, workspaceStamp, findActiveMembership, membershipFor } = require('./workspace-access');
+const { publishWebhookEvent, destinationOwner } = require('./outbound-webhooks');
 
 class ChannelGroupManager {
     constructor(bot, db, tierManager) {
@@ -20,6 +23,10 @@ class ChannelGroupManager {
         // When bot is added to a channel/group
         this.bot.on('my_chat_member', (ctx) => this.handleMyChatMember(ctx));
         
+        // Other members joining (only sent where the bot is admin and
+        // `chat_member` is in the webhook's allowed updates)
+        this.bot.on('chat_member', (ctx) => this.handleChatMember(ctx));
+        
         // Channel posts
         this.bot.on('channel_post', (ctx) => this.handleChannelPost(ctx));
         
@@ -65,22 +72,70 @@ class ChannelGroupManager {
         }
     }
     
+    /**
+     * Publish `subscriber.new` when someone joins a registered channel or group
+     */
+    async handleChatMember(ctx) {
+        try {
+            const update = ctx.update.chat_member;
+            const wasMember = ['member', 'administrator', 'creator', 'restricted'].includes(update.old_chat_member.status)
+                && update.old_chat_member.is_member !== false;
+            const isMember = ['member', 'administrator', 'creator'].includes(update.new_chat_member.status)
+                || (update.new_chat_member.status === 'restricted' && update.new_chat_member.is_member);
+            
+            if (wasMember || !isMember || update.new_chat_member.user.is_bot) {
+                return;
+            }
+            
+            const destination = await this.db.collection('destinations').findOne({
+                $or: [{ telegramId: update.chat.id }, { id: update.chat.id }],
+                active: { $ne: false }
+            });
+            if (!destination) {
+                return;
+            }
+            
+            const user = update.new_chat_member.user;
+            await publishWebhookEvent(this.db, 'subscriber.new', destinationOwner(destination), {
+                chat_id: update.chat.id,
+                chat_type: update.chat.type,
+                destination_title: destination.title || update.chat.title || null,
+                user: {
+                    id: user.id,
+                    username: user.username || null,
+                    first_name: user.first_name || null
+                },
+                invite_link: update.invite_link?.name || update.invite_link?.invite_link || null,
+                joined_at: new Date(update.date * 1000).toISOString()
+            });
+            
+        } catch (error) {
+            console.error('Error handling chat member update:', error);
+        }
+    }
+    
     /**
      * Handle bot being added to chat
      */
     async handleBotAdded(chat, addedBy) {
         const chatType = chat.type === 'channel' ? 'channel' : 'group';
         
+        // Destinations added by workspace admins belong to the workspace and
+        // count against its owner's plan
+        const membership = await findActiveMembership(this.db, addedBy.id);
+        const workspace = membership && roleAllows(membership.role, 'destinations:manage') ? membership : null;
+        const tierUserId = workspace ? workspace.workspace.owner_id : addedBy.id;
+        
         // Check tier limits if tier manager is available
         if (this.tierManager) {
             const featureToCheck = chatType === 'channel' ? 'add_channel' : 'add_group';
-            const hasAccess = await this.tierManager.hasFeature(addedBy.id, featureToCheck);
+            const hasAccess = await this.tierManager.hasFeature(tierUserId, featureToCheck);
             
             if (!hasAccess) {
                 // Get user's tier and limits
-                const tierName = await this.tierManager.getUserTier(addedBy.id);
+                const tierName = await this.tierManager.getUserTier(tierUserId);
                 const tier = this.tierManager.tiers[tierName];
-                const usage = await this.tierManager.getUserUsage(addedBy.id);
+                const usage = await this.tierManager.getUserUsage(tierUserId);
                 
                 // Send limit reached message
                 const limitType = chatType === 'channel' ? 'channels' : 'groups';
@@ -129,6 +184,7 @@ class ChannelGroupManager {
                     username: chat.username,
                     addedBy: addedBy.id,
                     addedByName: addedBy.first_name,
+                    ...workspaceStamp(workspace),
                     addedAt: new Date(),
                     active: true,
                     permissions: {
@@ -150,17 +206,28 @@ class ChannelGroupManager {
                     destinationId: chat.id,
                     type: chatType,
                     role: 'owner',
+                    ...workspaceStamp(workspace),
                     addedAt: new Date()
                 }
             },
             { upsert: true }
         );
         
+        await publishWorkflowEvent(this.db, 'bot.added_to_channel', {
+            chat_id: chat.id,
+            chat_title: chat.title,
+            chat_username: chat.username,
+            chat_type: chatType,
+            added_by: addedBy.id,
+            permissions: { canPost, canDelete, canEdit }
+        });
+        
         // Notify the user who added the bot
         const message = 
             `✅ *Bot Added Successfully!*\n\n` +
             `📢 ${chatType === 'channel' ? 'Channel' : 'Group'}: ${chat.title}\n` +
-            `👤 Added by: ${addedBy.first_name}\n\n` +
+            `👤 Added by: ${addedBy.first_name}\n` +
+            (workspace ? `👥 Workspace: ${workspace.workspace.name}\n\n` : '\n') +
             `*Permissions:*\n` +
             `• Post messages: ${canPost ? '✅' : '❌'}\n` +
             `• Delete messages: ${canDelete ? '✅' : '❌'}\n` +
@@ -226,9 +293,10 @@ class ChannelGroupManager {
      */
     async listMyChannels(ctx) {
         const userId = ctx.from.id;
+        const scope = scopeFilter(await membershipFor(ctx, this.db), userId, 'addedBy');
         
         const channels = await this.db.collection('destinations').find({
-            addedBy: userId,
+            ...scope,
             type: 'channel',
             active: true
         }).toArray();
@@ -281,9 +349,10 @@ class ChannelGroupManager {
      */
     async listMyGroups(ctx) {
         const userId = ctx.from.id;
+        const scope = scopeFilter(await membershipFor(ctx, this.db), userId, 'addedBy');
         
         const groups = await this.db.collection('destinations').find({
-            addedBy: userId,
+            ...scope,
             type: { $in: ['group', 'supergroup'] },
             active: true
         }).toArray();
@@ -424,7 +493,7 @@ class ChannelGroupManager {
         const result = await this.db.collection('destinations').updateOne(
             {
                 telegramId: parseInt(text),
-                addedBy: userId,
+                ...scopeFilter(await membershipFor(ctx, this.db), userId, 'addedBy'),
                 type: 'channel'
             },
             {
@@ -461,7 +530,7 @@ class ChannelGroupManager {
         const result = await this.db.collection('destinations').updateOne(
             {
                 telegramId: parseInt(text),
-                addedBy: userId,
+                ...scopeFilter(await membershipFor(ctx, this.db), userId, 'addedBy'),
                 type: { $in: ['group', 'supergroup'] }
             },
             {
@@ -304,6 +304,8 @@ class CommandRegistry {
                     'Examples:\\n' +
                     '• `/search breaking news`\\n' +
                     '• `/search technology`\\n' +
+                    '• `/search "city council" -parking`\\n' +
+                    '• `/search adelaide* category:Sports`\\n' +
                     'Or use the Search button in /start!',
                     { parse_mode: 'Markdown' }
                 );
@@ -30,6 +30,7 @@ const BulkEditSystem = require('./bulk-edit-system');
 const MediaHandler = require('./media-handler');
 const ScheduledPosting = require('./scheduled-posting');
 const PaymentSystem = require('./payment-system');
+const WorkspaceService = require('./workspace-service');
 
 // Callback handler modules
 const NewsCallbacks = require('./callbacks/news-callbacks');
@@ -72,6 +73,7 @@ class CommandService {
         this.onboardingFlow = new OnboardingFlow(bot, db, this.tierManager);
         this.templateSystem = new TemplateSystem(bot, db, this.tierManager);
         this.bulkEditSystem = new BulkEditSystem(bot, db, this.tierManager);
+        this.workspaceService = new WorkspaceService(bot, db, this.tierManager);
         
         // Initialize command modules (depend on services)
         this.infoCommands = new InfoCommands(bot, db);
@@ -151,6 +153,10 @@ class CommandService {
      */
     async registerPublicCommands() {
         try {
+            // Register workspace commands first so /start ws_<token> invite links reach them
+            this.workspaceService.register();
+            console.log(' Workspace commands registered');
+            
             // Register info commands
             this.infoCommands.register();
             console.log(' Info commands registered');
@@ -210,8 +210,10 @@ class NewsCommands {
             const userId = ctx.from.id;
             const preferences = await CommandUtils.getUserPreferences(userId, this.db);
 
-            // Calculate trending score based on reactions, views, and recency
+            // Calculate trending score based on reactions, views, and recency,
+            // counting each story once
             const aggregationPipeline = [
+                { $match: { 'story.primary': { $ne: false } } },
                 {
                     $lookup: {
                         from: 'global_reactions',
@@ -315,7 +317,12 @@ class NewsCommands {
                 const engagement = this.formatEngagement(article);
                 
                 message += `${rankEmoji} ${CommandUtils.formatArticle(article, false, { showViews: true })}\n`;
-                message += `🔥 ${engagement}\n\n`;
+                message += `🔥 ${engagement}\n`;
+                if (article.also_reported_by?.length) {
+                    const sources = [...new Set(article.also_reported_by.map(report => report.source))];
+                    message += `📡 Also reported by ${CommandUtils.escapeMarkdown(sources.join(', '))}\n`;
+                }
+                message += '\n';
             });
 
             const keyboard = [
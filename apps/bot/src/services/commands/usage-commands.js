@@ -85,6 +85,23 @@ class UsageCommands {
             }
             message += '\n';
             
+            // API calls, counted by the API gateway for the user's keys
+            if (usage.features.api_access) {
+                const apiLimit = usage.limits.api_calls_per_day;
+                const apiUsed = usage.current.api_calls_today;
+                const apiPercent = apiLimit === -1 ? 0 : Math.round((apiUsed / apiLimit) * 100);
+                
+                message += '*API Calls Today:*\n';
+                if (apiLimit === -1) {
+                    message += `${apiUsed} used (Unlimited)\n`;
+                } else {
+                    message += `${apiUsed} / ${apiLimit} (${apiPercent}%)\n`;
+                    message += this.getProgressBar(apiPercent) + '\n';
+                }
+                message += `${usage.current.api_keys} active key(s), manage with /apikeys\n`;
+                message += '\n';
+            }
+            
             // Other limits
             message += '*Other Limits:*\n';
             message += `• Media size: ${usage.limits.media_size_mb}MB\n`;
@@ -0,0 +1,305 @@
+/**
+ * Engagement Model - when each destination's audience responds best
+ *
+ * Every post a destination received is scored by the views it reached in
+ * its first day (ViewForwardService view history) and its reaction count,
+ * each relative to the destination's average. Scores are averaged per local
+ * hour-of-week with a 95% confidence interval. Hours with few posts are
+ * shrunk towards the destination's overall average, so one lucky post
+ * cannot decide the "auto" send time.
+ */
+
+const { getLocalParts, zonedTimeToUtc, checkPostingWindow } = require('./posting-windows');
+
+const HOURS_PER_WEEK = 7 * 24;
+const VIEW_WINDOW_MS = 24 * 60 * 60 * 1000;
+const MODEL_TTL_MS = 6 * 60 * 60 * 1000;
+const LOOKBACK_DAYS = 90;
+const MIN_POSTS = 10; // Fewer posts than this and there is no model
+const PRIOR_WEIGHT = 3; // Pseudo-posts at the overall average added to every hour
+const VIEW_WEIGHT = 0.7;
+const REACTION_WEIGHT = 0.3;
+const Z_95 = 1.96;
+
+function summarize(values) {
+    const n = values.length;
+    if (n === 0) {
+        return { n: 0, mean: 0, sd: 0 };
+    }
+
+    const mean = values.reduce((sum, value) => sum + value, 0) / n;
+    const variance = n > 1
+        ? values.reduce((sum, value) => sum + (value - mean) ** 2, 0) / (n - 1)
+        : 0;
+
+    return { n, mean, sd: Math.sqrt(variance) };
+}
+
+function round(value, places = 3) {
+    const factor = 10 ** places;
+    return Math.round(value * factor) / factor;
+}
+
+function totalReactions(reactions = {}) {
+    return Object.values(reactions).reduce((sum, count) => sum + (Number(count) || 0), 0);
+}
+
+/**
+ * Score each sample relative to the destination's average views and
+ * reactions. Samples without view data are scored on reactions alone.
+ */
+function scoreSamples(samples) {
+    const withViews = samples.filter(sample => sample.views !== null && sample.views !== undefined);
+    const meanViews = summarize(withViews.map(sample => sample.views)).mean;
+    const meanReactions = summarize(samples.map(sample => sample.reactions)).mean;
+
+    return samples.map(sample => {
+        const parts = [];
+        if (meanViews > 0 && sample.views !== null && sample.views !== undefined) {
+            parts.push([sample.views / meanViews, VIEW_WEIGHT]);
+        }
+        if (meanReactions > 0) {
+            parts.push([sample.reactions / meanReactions, REACTION_WEIGHT]);
+        }
+
+        const weight = parts.reduce((sum, [, w]) => sum + w, 0);
+        return {
+            ...sample,
+            score: weight > 0 ? parts.reduce((sum, [index, w]) => sum + index * w, 0) / weight : 0
+        };
+    });
+}
+
+/**
+ * Average a metric over the samples in a cell, shrunk towards the overall
+ * average, with a 95% interval from the pooled standard deviation
+ */
+function estimate(values, overall) {
+    const cell = summarize(values);
+    const weight = cell.n + PRIOR_WEIGHT;
+    const mean = (cell.mean * cell.n + overall.mean * PRIOR_WEIGHT) / weight;
+    const margin = Z_95 * overall.sd / Math.sqrt(weight);
+
+    return {
+        mean: round(mean),
+        low: round(Math.max(0, mean - margin)),
+        high: round(mean + margin)
+    };
+}
+
+/**
+ * Hour-of-week and hour-of-day engagement from scored samples. Cells are
+ * indexed weekday * 24 + hour, weekday 0 being Sunday, in `timezone`.
+ */
+function buildHeatmap(samples, timezone) {
+    const scored = scoreSamples(samples);
+    const overall = summarize(scored.map(sample => sample.score));
+
+    const weekCells = Array.from({ length: HOURS_PER_WEEK }, () => []);
+    const dayCells = Array.from({ length: 24 }, () => []);
+
+    for (const sample of scored) {
+        const local = getLocalParts(sample.posted_at, timezone);
+        weekCells[local.weekday * 24 + local.hour].push(sample);
+        dayCells[local.hour].push(sample);
+    }
+
+    const describe = (cell) => ({
+        posts: cell.length,
+        views: cell.some(sample => sample.views != null)
+            ? round(summarize(cell.filter(sample => sample.views != null).map(sample => sample.views)).mean, 1)
+            : null,
+        reactions: round(summarize(cell.map(sample => sample.reactions)).mean, 2),
+        score: estimate(cell.map(sample => sample.score), overall)
+    });
+
+    return {
+        timezone,
+        posts: scored.length,
+        has_model: scored.length >= MIN_POSTS,
+        overall: { mean: round(overall.mean), sd: round(overall.sd) },
+        cells: weekCells.map((cell, index) => ({
+            weekday: Math.floor(index / 24),
+            hour: index % 24,
+            ...describe(cell)
+        })),
+        hours: dayCells.map((cell, hour) => ({ hour, ...describe(cell) }))
+    };
+}
+
+/**
+ * Cells with data, best first. Ranked by the lower bound of the interval
+ * so well-evidenced hours beat noisy ones with a similar average.
+ */
+function rankCells(cells) {
+    return cells
+        .filter(cell => cell.posts > 0)
+        .sort((a, b) => b.score.low - a.score.low || b.score.mean - a.score.mean);
+}
+
+/**
+ * The next time after `after` that a weekday/hour occurs in `timezone`
+ */
+function nextOccurrence(weekday, hour, timezone, after) {
+    const today = getLocalParts(after, timezone);
+
+    for (let offset = 0; offset <= 7; offset++) {
+        const at = zonedTimeToUtc({ year: today.year, month: today.month, day: today.day + offset, hour }, timezone);
+        if (at > after && getLocalParts(at, timezone).weekday === weekday) {
+            return at;
+        }
+    }
+
+    return null;
+}
+
+class EngagementModel {
+    constructor(db, options = {}) {
+        this.db = db;
+        this.lookbackDays = options.lookbackDays || LOOKBACK_DAYS;
+        this.ttlMs = options.ttlMs || MODEL_TTL_MS;
+    }
+
+    /**
+     * Posts a destination received, with first-day views and reactions
+     */
+    async loadSamples(destination) {
+        const since = new Date(Date.now() - this.lookbackDays * 24 * 60 * 60 * 1000);
+        const cutoff = new Date(Date.now() - VIEW_WINDOW_MS); // Younger posts are still gaining views
+        const chatId = destination.id ?? destination.telegramId;
+
+        const [posted, mappings] = await Promise.all([
+            this.db.collection('posted_articles')
+                .find({
+                    $or: [{ destination_id: destination._id }, { destination_chat_id: chatId }],
+                    posted_at: { $gte: since, $lte: cutoff }
+                })
+                .project({ message_id: 1, posted_at: 1, reactions: 1 })
+                .toArray(),
+            this.db.collection('forward_mappings')
+                .find({ destination_chat_id: chatId, created_at: { $gte: since, $lte: cutoff } })
+                .project({ destination_message_id: 1, created_at: 1, original_views: 1, last_synced_views: 1 })
+                .toArray()
+        ]);
+
+        const views = await this.loadFirstDayViews(mappings);
+        const samples = new Map();
+
+        for (const mapping of mappings) {
+            samples.set(mapping.destination_message_id, {
+                posted_at: mapping.created_at,
+                views: views.get(mapping._id.toString()) ?? null,
+                reactions: 0
+            });
+        }
+
+        for (const post of posted) {
+            const existing = samples.get(post.message_id);
+            samples.set(post.message_id, {
+                posted_at: post.posted_at,
+                views: existing?.views ?? null,
+                reactions: totalReactions(post.reactions)
+            });
+        }
+
+        return [...samples.values()];
+    }
+
+    /**
+     * Highest view count recorded within a day of each mapping's creation
+     */
+    async loadFirstDayViews(mappings) {
+        const views = new Map();
+        if (mappings.length === 0) {
+            return views;
+        }
+
+        const created = new Map(mappings.map(mapping => [mapping._id.toString(), mapping.created_at]));
+        const history = await this.db.collection('view_count_history')
+            .find({ mapping_id: { $in: mappings.map(mapping => mapping._id) } })
+            .project({ mapping_id: 1, view_count: 1, sync_timestamp: 1 })
+            .toArray();
+
+        for (const record of history) {
+            const key = record.mapping_id.toString();
+            if (record.sync_timestamp - created.get(key) > VIEW_WINDOW_MS) {
+                continue;
+            }
+            views.set(key, Math.max(views.get(key) || 0, record.view_count || 0));
+        }
+
+        return views;
+    }
+
+    /**
+     * The destination's heatmap, rebuilt when the cached one is older than
+     * the TTL or was built for another timezone
+     */
+    async getHeatmap(destination, timezone, { refresh = false } = {}) {
+        const key = destination._id.toString();
+        const cached = await this.db.collection('engagement_models').findOne({ _id: key });
+
+        if (!refresh && cached && cached.timezone === timezone &&
+            Date.now() - cached.computed_at.getTime() < this.ttlMs) {
+            return cached.heatmap;
+        }
+
+        const heatmap = buildHeatmap(await this.loadSamples(destination), timezone);
+        heatmap.computed_at = new Date();
+
+        await this.db.collection('engagement_models').updateOne(
+            { _id: key },
+            { $set: { timezone, heatmap, computed_at: heatmap.computed_at } },
+            { upsert: true }
+        );
+
+        return heatmap;
+    }
+
+    /**
+     * The best-scoring hour-of-week that next occurs within a week of
+     * `after` and is allowed by the destination's posting policy
+     */
+    bestSendTime(heatmap, policy, after = new Date()) {
+        if (!heatmap?.has_model) {
+            return null;
+        }
+
+        for (const cell of rankCells(heatmap.cells)) {
+            const time = nextOccurrence(cell.weekday, cell.hour, heatmap.timezone, after);
+            if (time && !checkPostingWindow(policy, time)) {
+                return { time, weekday: cell.weekday, hour: cell.hour, posts: cell.posts, score: cell.score };
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * The best hour of day across several heatmaps, for daily digests
+     */
+    bestDailyHour(heatmaps) {
+        const usable = heatmaps.filter(heatmap => heatmap?.has_model);
+        if (usable.length === 0) {
+            return null;
+        }
+
+        const hours = Array.from({ length: 24 }, (_, hour) => {
+            const cells = usable.map(heatmap => heatmap.hours[hour]);
+            const posts = cells.reduce((sum, cell) => sum + cell.posts, 0);
+            const low = cells.reduce((sum, cell) => sum + cell.score.low, 0) / cells.length;
+            const mean = cells.reduce((sum, cell) => sum + cell.score.mean, 0) / cells.length;
+            return { hour, posts, score: { mean: round(mean), low: round(low) } };
+        });
+
+        return rankCells(hours)[0] || null;
+    }
+}
+
+module.exports = {
+    EngagementModel,
+    buildHeatmap,
+    rankCells,
+    nextOccurrence,
+    MIN_POSTS
+};
@@ -0,0 +1,210 @@
+/**
+ * Image Assets - checking article images and describing the optimized
+ * versions made from them
+ *
+ * Each source image becomes one `image_assets` document, stored by the
+ * SHA-256 of its bytes, with a file per variant:
+ *
+ *   { source_url, source_urls, sha256, mime_type, width, height, bytes,
+ *     phash, phash_bands, reuse_of, article_count,
+ *     variants: { telegram: { path, url, format, width, height, bytes, file_id }, … } }
+ *
+ * `phash` is a 64-bit difference hash: images that look alike have hashes a
+ * few bits apart, however they were resized or recompressed, which is how a
+ * stock photo used by several articles is spotted. The hash is split into
+ * bands so likely matches can be found by index before comparing bits.
+ * ImagePipeline does the downloading and resizing.
+ */
+
+// Types we accept, by what the file's first bytes say it is
+const ALLOWED_TYPES = {
+    'image/jpeg': 'jpg',
+    'image/png': 'png',
+    'image/webp': 'webp',
+    'image/gif': 'gif'
+};
+
+const MAX_SOURCE_BYTES = 15 * 1024 * 1024;
+const MIN_SOURCE_SIDE = 200;
+
+// Telegram rejects photos whose sides are more than 20 times apart
+const MAX_ASPECT_RATIO = 20;
+
+const IMAGE_VARIANTS = {
+    // Sent with posts: Telegram recompresses anything larger
+    telegram: { width: 1280, height: 1280, fit: 'inside', format: 'jpeg', quality: 82 },
+    // Mini app news cards, with a JPEG for webviews without WebP
+    card: { width: 640, height: 360, fit: 'cover', format: 'webp', quality: 75 },
+    card_jpeg: { width: 640, height: 360, fit: 'cover', format: 'jpeg', quality: 78 },
+    thumb: { width: 160, height: 160, fit: 'cover', format: 'webp', quality: 70 }
+};
+
+const HASH_WIDTH = 9;
+const HASH_HEIGHT = 8;
+const HASH_BANDS = 8;
+
+// Hashes this close are the same picture
+const REUSE_DISTANCE = 6;
+
+class ImageError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'ImageError';
+    }
+}
+
+/**
+ * The image type a file's first bytes show, or null when it isn't one we
+ * accept (whatever the server said it was)
+ */
+function sniffMimeType(buffer) {
+    if (!buffer || buffer.length < 12) {
+        return null;
+    }
+    if (buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) {
+        return 'image/jpeg';
+    }
+    if (buffer.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))) {
+        return 'image/png';
+    }
+    if (buffer.toString('ascii', 0, 4) === 'RIFF' && buffer.toString('ascii', 8, 12) === 'WEBP') {
+        return 'image/webp';
+    }
+    if (/^GIF8[79]a$/.test(buffer.toString('ascii', 0, 6))) {
+        return 'image/gif';
+    }
+    return null;
+}
+
+/**
+ * Throw an ImageError when a downloaded image can't be used
+ */
+function checkSource({ mimeType, bytes, width, height }) {
+    if (!ALLOWED_TYPES[mimeType]) {
+        throw new ImageError('Not a JPEG, PNG, WebP or GIF image');
+    }
+    if (bytes > MAX_SOURCE_BYTES) {
+        throw new ImageError(`Image is larger than ${MAX_SOURCE_BYTES / (1024 * 1024)}MB`);
+    }
+    if (!width || !height || Math.min(width, height) < MIN_SOURCE_SIDE) {
+        throw new ImageError(`Image is smaller than ${MIN_SOURCE_SIDE}px on a side`);
+    }
+    if (Math.max(width, height) / Math.min(width, height) > MAX_ASPECT_RATIO) {
+        throw new ImageError('Image is too long and narrow to post');
+    }
+}
+
+/**
+ * Difference hash of a 9x8 grayscale image (one byte per pixel, row by
+ * row): a bit per pixel for whether it is brighter than its right neighbour
+ * @returns {string} 16 hex characters
+ */
+function differenceHash(pixels) {
+    if (!pixels || pixels.length !== HASH_WIDTH * HASH_HEIGHT) {
+        throw new ImageError(`Hash input must be ${HASH_WIDTH}x${HASH_HEIGHT} grayscale pixels`);
+    }
+
+    let hash = 0n;
+    for (let y = 0; y < HASH_HEIGHT; y++) {
+        for (let x = 0; x < HASH_WIDTH - 1; x++) {
+            const left = pixels[y * HASH_WIDTH + x];
+            const right = pixels[y * HASH_WIDTH + x + 1];
+            hash = (hash << 1n) | (left > right ? 1n : 0n);
+        }
+    }
+    return hash.toString(16).padStart(16, '0');
+}
+
+/**
+ * Bits that differ between two hashes
+ */
+function hammingDistance(a, b) {
+    let diff = BigInt(`0x${a}`) ^ BigInt(`0x${b}`);
+    let distance = 0;
+    while (diff > 0n) {
+        distance += Number(diff & 1n);
+        diff >>= 1n;
+    }
+    return distance;
+}
+
+/**
+ * Index keys for a hash. Hashes within REUSE_DISTANCE bits of each other
+ * share at least one of the 8 bands.
+ */
+function hashBands(hash) {
+    const width = hash.length / HASH_BANDS;
+    return Array.from({ length: HASH_BANDS }, (_, i) => `${i}:${hash.slice(i * width, (i + 1) * width)}`);
+}
+
+/**
+ * The closest of `candidates` that looks like the same picture, or null
+ */
+function closestMatch(hash, candidates) {
+    let best = null;
+    for (const candidate of candidates) {
+        const distance = hammingDistance(hash, candidate.phash);
+        if (distance <= REUSE_DISTANCE && (!best || distance < best.distance)) {
+            best = { asset: candidate, distance };
+        }
+    }
+    return best;
+}
+
+/**
+ * Where a variant's file goes, under the asset directory
+ */
+function variantPath(sha256, name) {
+    const extension = IMAGE_VARIANTS[name].format === 'jpeg' ? 'jpg' : IMAGE_VARIANTS[name].format;
+    return `${sha256.slice(0, 2)}/${sha256}-${name}.${extension}`;
+}
+
+/**
+ * The image URL an article came with: `image_url` from ArticleProcessor,
+ * `imageUrl` from the URL article handler
+ */
+function articleImageUrl(article) {
+    const url = article?.image_url || article?.imageUrl || null;
+    return typeof url === 'string' && /^https?:\/\//i.test(url) ? url : null;
+}
+
+/**
+ * What an article keeps about its processed image. An image is reused when
+ * other articles have it too, or a picture that looks the same.
+ */
+function articleImages(asset) {
+    const variants = Object.fromEntries(Object.entries(asset.variants).map(([name, variant]) => [name, {
+        url: variant.url,
+        path: variant.path,
+        width: variant.width,
+        height: variant.height,
+        ...(variant.file_id && { file_id: variant.file_id })
+    }]));
+
+    return {
+        asset_id: asset._id,
+        source_url: asset.source_url,
+        phash: asset.phash,
+        reused: Boolean(asset.reuse_of) || asset.article_count > 1,
+        ...variants
+    };
+}
+
+module.exports = {
+    ALLOWED_TYPES,
+    MAX_SOURCE_BYTES,
+    IMAGE_VARIANTS,
+    HASH_WIDTH,
+    HASH_HEIGHT,
+    REUSE_DISTANCE,
+    ImageError,
+    sniffMimeType,
+    checkSource,
+    differenceHash,
+    hammingDistance,
+    hashBands,
+    closestMatch,
+    variantPath,
+    articleImageUrl,
+    articleImages
+};
@@ -0,0 +1,321 @@
+/**
+ * Image Pipeline - downloads article images and stores optimized versions
+ * for posts and the mini app
+ *
+ * Articles with an image URL are picked up in the background: the image is
+ * downloaded, checked, re-encoded without its EXIF data into the sizes in
+ * IMAGE_VARIANTS, hashed to spot reused stock photos, and linked to the
+ * article as `images`. See image-assets for the stored documents.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const axios = require('axios');
+const sharp = require('sharp');
+const config = require('../config/environment');
+const {
+    IMAGE_VARIANTS,
+    MAX_SOURCE_BYTES,
+    HASH_WIDTH,
+    HASH_HEIGHT,
+    ImageError,
+    sniffMimeType,
+    checkSource,
+    differenceHash,
+    hashBands,
+    closestMatch,
+    variantPath,
+    articleImageUrl,
+    articleImages
+} = require('./image-assets');
+
+const MAX_ATTEMPTS = 3;
+
+// Articles that came with an image
+const HAS_IMAGE = {
+    $or: [
+        { image_url: { $regex: /^https?:\/\//i } },
+        { imageUrl: { $regex: /^https?:\/\//i } }
+    ]
+};
+
+class ImagePipeline {
+    constructor(db, options = {}) {
+        this.db = db;
+        this.assetDir = options.assetDir || config.images.assetDir;
+        this.publicUrl = options.publicUrl ?? config.images.publicUrl;
+        this.batchSize = options.batchSize || 5;
+        this.intervalMs = options.intervalMs || 60000;
+        this.downloadTimeout = 15000;
+        this.instanceId = `${os.hostname()}:${process.pid}:${crypto.randomBytes(3).toString('hex')}`;
+        this.leaseMs = 120000; // 2 minutes - how long an article stays ours while its image is processed
+        this.timer = null;
+        this.running = false;
+    }
+
+    /**
+     * Create indexes and start processing in the background
+     */
+    async start() {
+        await this.db.collection('image_assets').createIndex({ sha256: 1 }, { unique: true });
+        await this.db.collection('image_assets').createIndex({ source_urls: 1 });
+        await this.db.collection('image_assets').createIndex({ phash_bands: 1 });
+        await this.db.collection('news_articles').createIndex({ image_status: 1, image_lease_expires_at: 1 });
+        
+        this.timer = setInterval(() => this.processPending(), this.intervalMs);
+        this.timer.unref?.();
+        this.processPending();
+    }
+
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+
+    /**
+     * Process a batch of articles whose images are waiting
+     */
+    async processPending() {
+        if (this.running) {
+            return;
+        }
+        this.running = true;
+        
+        try {
+            for (let i = 0; i < this.batchSize; i++) {
+                const article = await this.claimArticle();
+                if (!article) {
+                    break;
+                }
+                await this.processArticle(article);
+            }
+        } catch (error) {
+            console.error('Error processing article images:', error);
+        } finally {
+            this.running = false;
+        }
+    }
+
+    /**
+     * Atomically claim the next article whose image needs processing
+     */
+    async claimArticle() {
+        const now = new Date();
+        const result = await this.db.collection('news_articles').findOneAndUpdate(
+            {
+                ...HAS_IMAGE,
+                $and: [{
+                    $or: [
+                        { image_status: { $exists: false } },
+                        { image_status: 'pending' },
+                        { image_status: 'processing', image_lease_expires_at: { $lt: now } }
+                    ]
+                }]
+            },
+            {
+                $set: {
+                    image_status: 'processing',
+                    image_lease_owner: this.instanceId,
+                    image_lease_expires_at: new Date(now.getTime() + this.leaseMs)
+                }
+            },
+            { returnDocument: 'after', includeResultMetadata: true }
+        );
+        return result.value;
+    }
+
+    /**
+     * Link an article to the optimized versions of its image
+     */
+    async processArticle(article) {
+        const url = articleImageUrl(article);
+        try {
+            const asset = await this.processUrl(url);
+            const linked = await this.db.collection('image_assets').findOneAndUpdate(
+                { _id: asset._id },
+                { $inc: { article_count: 1 } },
+                { returnDocument: 'after', includeResultMetadata: true }
+            );
+            
+            await this.db.collection('news_articles').updateOne(
+                { _id: article._id, image_lease_owner: this.instanceId },
+                {
+                    $set: {
+                        images: articleImages(linked.value || asset),
+                        image_status: 'ready',
+                        image_error: null,
+                        image_processed_at: new Date()
+                    },
+                    $unset: { image_lease_owner: '', image_lease_expires_at: '' }
+                }
+            );
+            return { success: true, asset };
+            
+        } catch (error) {
+            const attempts = (article.image_attempts || 0) + 1;
+            const failed = error instanceof ImageError || attempts >= MAX_ATTEMPTS;
+            if (!(error instanceof ImageError)) {
+                console.error(`Error processing image for article ${article._id}:`, error);
+            }
+            
+            await this.db.collection('news_articles').updateOne(
+                { _id: article._id, image_lease_owner: this.instanceId },
+                {
+                    $set: {
+                        image_status: failed ? 'failed' : 'pending',
+                        image_attempts: attempts,
+                        image_error: error.message
+                    },
+                    $unset: { image_lease_owner: '', image_lease_expires_at: '' }
+                }
+            );
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * The asset for an image URL, downloading and resizing it unless the
+     * same URL or the same bytes were processed before
+     */
+    async processUrl(url) {
+        const known = await this.db.collection('image_assets').findOne({ source_urls: url });
+        if (known) {
+            return known;
+        }
+        
+        const buffer = await this.download(url);
+        const sha256 = crypto.createHash('sha256').update(buffer).digest('hex');
+        
+        const same = await this.db.collection('image_assets').findOneAndUpdate(
+            { sha256 },
+            { $addToSet: { source_urls: url } },
+            { returnDocument: 'after', includeResultMetadata: true }
+        );
+        if (same.value) {
+            return same.value;
+        }
+        
+        const mimeType = sniffMimeType(buffer);
+        const metadata = mimeType
+            ? await sharp(buffer).metadata().catch(() => {
+                throw new ImageError('Image file is damaged');
+            })
+            : {};
+        const upright = metadata.orientation >= 5;
+        const width = upright ? metadata.height : metadata.width;
+        const height = upright ? metadata.width : metadata.height;
+        checkSource({ mimeType, bytes: buffer.length, width, height });
+        
+        const phash = await this.perceptualHash(buffer);
+        const candidates = await this.db.collection('image_assets')
+            .find({ phash_bands: { $in: hashBands(phash) } }, { projection: { phash: 1, reuse_of: 1 } })
+            .toArray();
+        const match = closestMatch(phash, candidates);
+        
+        const asset = {
+            source_url: url,
+            source_urls: [url],
+            sha256,
+            mime_type: mimeType,
+            width,
+            height,
+            bytes: buffer.length,
+            phash,
+            phash_bands: hashBands(phash),
+            // The first copy of a picture seen again, however it was resized
+            reuse_of: match ? (match.asset.reuse_of || match.asset._id) : null,
+            reuse_distance: match ? match.distance : null,
+            article_count: 0,
+            variants: await this.writeVariants(buffer, sha256),
+            created_at: new Date()
+        };
+        
+        try {
+            const result = await this.db.collection('image_assets').insertOne(asset);
+            asset._id = result.insertedId;
+            return asset;
+        } catch (error) {
+            // Another instance stored the same image first
+            if (error.code === 11000) {
+                return await this.db.collection('image_assets').findOne({ sha256 });
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Download an image, refusing anything too large before it is read
+     */
+    async download(url) {
+        try {
+            const response = await axios.get(url, {
+                responseType: 'arraybuffer',
+                timeout: this.downloadTimeout,
+                maxContentLength: MAX_SOURCE_BYTES,
+                maxRedirects: 3,
+                headers: {
+                    'User-Agent': 'Mozilla/5.0 (compatible; ZoneNewsBot/2.0; +https://thezonenews.com)',
+                    Accept: 'image/*'
+                }
+            });
+            return Buffer.from(response.data);
+        } catch (error) {
+            const status = error.response?.status;
+            // Gone or refused: another attempt will get the same answer
+            if (status === 403 || status === 404 || status === 410 || /maxContentLength/.test(error.message)) {
+                throw new ImageError(status ? `Image download failed with HTTP ${status}` : error.message);
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Difference hash of an image, after turning it upright
+     */
+    async perceptualHash(buffer) {
+        const pixels = await sharp(buffer)
+            .rotate()
+            .grayscale()
+            .resize(HASH_WIDTH, HASH_HEIGHT, { fit: 'fill' })
+            .raw()
+            .toBuffer();
+        return differenceHash(pixels);
+    }
+
+    /**
+     * Write each variant to the asset directory (a GIF's first frame).
+     * sharp drops EXIF (camera, GPS) and other metadata from its output
+     * unless asked to keep it.
+     */
+    async writeVariants(buffer, sha256) {
+        const variants = {};
+        for (const [name, spec] of Object.entries(IMAGE_VARIANTS)) {
+            const relativePath = variantPath(sha256, name);
+            const { data, info } = await sharp(buffer)
+                .rotate()
+                .resize({ width: spec.width, height: spec.height, fit: spec.fit, withoutEnlargement: true })
+                .toFormat(spec.format, { quality: spec.quality })
+                .toBuffer({ resolveWithObject: true });
+            
+            const filePath = path.join(this.assetDir, relativePath);
+            await fs.mkdir(path.dirname(filePath), { recursive: true });
+            await fs.writeFile(filePath, data);
+            
+            variants[name] = {
+                path: relativePath,
+                url: `${this.publicUrl}/${relativePath}`,
+                format: spec.format,
+                width: info.width,
+                height: info.height,
+                bytes: info.size,
+                file_id: null
+            };
+        }
+        return variants;
+    }
+
+}
+
+module.exports = ImagePipeline;
@@ -4,6 +4,7 @@
  */
 
 const { ObjectId } = require('mongodb');
+const { publishReactionMilestone } = require('./outbound-webhooks');
 
 class LocalReactionSync {
     constructor(bot, db) {
@@ -281,10 +282,12 @@ class LocalReactionSync {
         });
         
         // Update posted_articles count
-        await this.db.collection('posted_articles').updateOne(
+        const post = await this.db.collection('posted_articles').findOneAndUpdate(
             { _id: new ObjectId(action.postId) },
-            { $inc: { [`reactions.${action.reactionType}`]: 1 } }
+            { $inc: { [`reactions.${action.reactionType}`]: 1 } },
+            { returnDocument: 'after', includeResultMetadata: true }
         );
+        await publishReactionMilestone(this.db, post.value);
         
         // Update global reactions
         await this.db.collection('news_articles').updateOne(
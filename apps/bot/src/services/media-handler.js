@@ -5,6 +5,33 @@
 
 const { ObjectId } = require('mongodb');
 const crypto = require('crypto');
+const { Composer } = require('telegraf');
+const { scopeFilter, membershipFor } = require('./workspace-access');
+const {
+    ALBUM_MAX_ITEMS,
+    MAX_CAPTION_LENGTH,
+    SEND_METHODS,
+    shortRef,
+    findByRef,
+    parseTags,
+    searchFilter,
+    parseAlbum,
+    buildMediaGroup
+} = require('./media-library');
+
+const MAX_LISTED_MEDIA = 20;
+
+const MEDIA_USAGE =
+    '🗂️ *Media Library*\n\n' +
+    'Files you send me are kept once, however often you send them, and can be posted again without uploading.\n\n' +
+    '`/media` - your latest items\n' +
+    '`/media search sunset #beach type:photo`\n' +
+    '`/media tag <item> beach summer` (`untag` removes)\n' +
+    '`/media caption <item> New caption`\n' +
+    '`/media post <item> @channel [caption]`\n' +
+    '`/media album @channel` then one item per line: `<item> | caption`\n' +
+    '`/media delete <item>`\n\n' +
+    'An item is its ID or the last 6 characters of it.';
 
 class MediaHandler {
     constructor(bot, db, tierManager) {
@@ -145,29 +172,22 @@ class MediaHandler {
     register() {
         console.log('🔧 Registering MediaHandler...');
         
-        // Media type handlers
-        this.bot.on('photo', this.handlePhoto.bind(this));
-        this.bot.on('video', this.handleVideo.bind(this));
-        this.bot.on('document', this.handleDocument.bind(this));
-        this.bot.on('audio', this.handleAudio.bind(this));
-        this.bot.on('voice', this.handleVoice.bind(this));
-        this.bot.on('animation', this.handleAnimation.bind(this));
-        this.bot.on('sticker', this.handleSticker.bind(this));
-        this.bot.on('video_note', this.handleVideoNote.bind(this));
+        // Media type handlers, for files sent to the bot directly
+        this.bot.on('photo', Composer.privateChat(this.handlePhoto.bind(this)));
+        this.bot.on('video', Composer.privateChat(this.handleVideo.bind(this)));
+        this.bot.on('document', Composer.privateChat(this.handleDocument.bind(this)));
+        this.bot.on('audio', Composer.privateChat(this.handleAudio.bind(this)));
+        this.bot.on('voice', Composer.privateChat(this.handleVoice.bind(this)));
+        this.bot.on('animation', Composer.privateChat(this.handleAnimation.bind(this)));
         
         // Media management commands
+        this.bot.command('media', this.handleMedia.bind(this));
         this.bot.command('postmedia', this.handlePostMedia.bind(this));
-        this.bot.command('mediaq', this.handleMediaQueue.bind(this));
         this.bot.command('clearmedia', this.handleClearMedia.bind(this));
-        this.bot.command('mediahistory', this.handleMediaHistory.bind(this));
         this.bot.command('mediastats', this.handleMediaStats.bind(this));
-        this.bot.command('compress', this.handleCompress.bind(this));
-        this.bot.command('batchupload', this.handleBatchUpload.bind(this));
         
         // Callback handlers
         this.bot.action(/^media:/, this.handleMediaCallback.bind(this));
-        this.bot.action(/^batch:/, this.handleBatchCallback.bind(this));
-        this.bot.action(/^compress:/, this.handleCompressCallback.bind(this));
         
         console.log('✅ MediaHandler registered');
     }
@@ -183,7 +203,7 @@ class MediaHandler {
             const userId = ctx.from.id;
             
             // Check tier limits
-            const tierCheck = await this.checkMediaLimits(userId, 'photo', largestPhoto.file_size);
+            const tierCheck = await this.checkMediaLimits(userId, 'photo', largestPhoto.file_size, largestPhoto.file_unique_id);
             if (!tierCheck.allowed) {
                 await ctx.reply(tierCheck.message, { parse_mode: 'Markdown' });
                 return;
@@ -220,6 +240,7 @@ class MediaHandler {
                 `📏 Size: ${sizeInfo}\n` +
                 `📐 Resolution: ${resolutionInfo}\n` +
                 (caption ? `💬 Caption: "${this.truncateText(caption, 50)}"\n` : '') +
+                (savedMedia.duplicate ? '♻️ Already in your library, no extra storage used\n' : '') +
                 `🆔 ID: \`${savedMedia.insertedId}\`\n\n` +
                 '*Choose an action:*',
                 {
@@ -263,7 +284,7 @@ class MediaHandler {
             const userId = ctx.from.id;
             
             // Check tier limits
-            const tierCheck = await this.checkMediaLimits(userId, 'video', video.file_size);
+            const tierCheck = await this.checkMediaLimits(userId, 'video', video.file_size, video.file_unique_id);
             if (!tierCheck.allowed) {
                 await ctx.reply(tierCheck.message, { parse_mode: 'Markdown' });
                 return;
@@ -323,6 +344,7 @@ class MediaHandler {
                 `⏱️ Duration: ${durationInfo}\n` +
                 `📐 Resolution: ${resolutionInfo}\n` +
                 (caption ? `💬 Caption: "${this.truncateText(caption, 50)}"\n` : '') +
+                (savedMedia.duplicate ? '♻️ Already in your library, no extra storage used\n' : '') +
                 `🆔 ID: \`${savedMedia.insertedId}\`\n\n` +
                 '*Choose an action:*',
                 {
@@ -366,7 +388,7 @@ class MediaHandler {
             const userId = ctx.from.id;
             
             // Check tier limits
-            const tierCheck = await this.checkMediaLimits(userId, 'document', document.file_size);
+            const tierCheck = await this.checkMediaLimits(userId, 'document', document.file_size, document.file_unique_id);
             if (!tierCheck.allowed) {
                 await ctx.reply(tierCheck.message, { parse_mode: 'Markdown' });
                 return;
@@ -408,6 +430,7 @@ class MediaHandler {
                 `📏 Size: ${sizeInfo}\n` +
                 `🏷️ Type: ${document.mime_type || 'Unknown'}\n` +
                 (caption ? `💬 Caption: "${this.truncateText(caption, 50)}"\n` : '') +
+                (savedMedia.duplicate ? '♻️ Already in your library, no extra storage used\n' : '') +
                 `🆔 ID: \`${savedMedia.insertedId}\`\n\n` +
                 '*Choose an action:*',
                 {
@@ -451,7 +474,7 @@ class MediaHandler {
             const userId = ctx.from.id;
             
             // Check tier limits
-            const tierCheck = await this.checkMediaLimits(userId, 'audio', audio.file_size);
+            const tierCheck = await this.checkMediaLimits(userId, 'audio', audio.file_size, audio.file_unique_id);
             if (!tierCheck.allowed) {
                 await ctx.reply(tierCheck.message, { parse_mode: 'Markdown' });
                 return;
@@ -504,6 +527,7 @@ class MediaHandler {
                 `📏 Size: ${sizeInfo}\n` +
                 `⏱️ Duration: ${durationInfo}\n` +
                 (caption ? `💬 Caption: "${this.truncateText(caption, 50)}"\n` : '') +
+                (savedMedia.duplicate ? '♻️ Already in your library, no extra storage used\n' : '') +
                 `🆔 ID: \`${savedMedia.insertedId}\`\n\n` +
                 '*Choose an action:*',
                 {
@@ -547,7 +571,7 @@ class MediaHandler {
             const userId = ctx.from.id;
             
             // Check tier limits
-            const tierCheck = await this.checkMediaLimits(userId, 'voice', voice.file_size);
+            const tierCheck = await this.checkMediaLimits(userId, 'voice', voice.file_size, voice.file_unique_id);
             if (!tierCheck.allowed) {
                 await ctx.reply(tierCheck.message, { parse_mode: 'Markdown' });
                 return;
@@ -589,6 +613,7 @@ class MediaHandler {
                 `📏 Size: ${sizeInfo}\n` +
                 `⏱️ Duration: ${durationInfo}\n` +
                 (caption ? `💬 Caption: "${this.truncateText(caption, 50)}"\n` : '') +
+                (savedMedia.duplicate ? '♻️ Already in your library, no extra storage used\n' : '') +
                 `🆔 ID: \`${savedMedia.insertedId}\`\n\n` +
                 '*Choose an action:*',
                 {
@@ -632,7 +657,7 @@ class MediaHandler {
             const userId = ctx.from.id;
             
             // Check tier limits
-            const tierCheck = await this.checkMediaLimits(userId, 'animation', animation.file_size);
+            const tierCheck = await this.checkMediaLimits(userId, 'animation', animation.file_size, animation.file_unique_id);
             if (!tierCheck.allowed) {
                 await ctx.reply(tierCheck.message, { parse_mode: 'Markdown' });
                 return;
@@ -670,6 +695,7 @@ class MediaHandler {
                 `⏱️ Duration: ${durationInfo}\n` +
                 `📐 Resolution: ${resolutionInfo}\n` +
                 (caption ? `💬 Caption: "${this.truncateText(caption, 50)}"\n` : '') +
+                (savedMedia.duplicate ? '♻️ Already in your library, no extra storage used\n' : '') +
                 `🆔 ID: \`${savedMedia.insertedId}\`\n\n` +
                 '*Choose an action:*',
                 {
@@ -797,9 +823,10 @@ class MediaHandler {
     }
 
     /**
-     * Check media limits based on user tier
+     * Check media limits based on user tier. A file already in the library
+     * (same file_unique_id) adds nothing to the storage used.
      */
-    async checkMediaLimits(userId, mediaType, fileSize) {
+    async checkMediaLimits(userId, mediaType, fileSize, fileUniqueId = null) {
         try {
             const userTier = await this.tierManager.getUserTier(userId);
             const mediaConfig = this.mediaTypes[mediaType];
@@ -825,7 +852,11 @@ class MediaHandler {
             
             // Check storage quota
             const storageQuota = this.storageQuotas[userTier];
-            if (storageQuota !== -1) {
+            const stored = fileUniqueId && await this.db.collection('user_media').findOne(
+                { user_id: userId, file_unique_id: fileUniqueId, status: { $ne: 'deleted' } },
+                { projection: { _id: 1 } }
+            );
+            if (storageQuota !== -1 && !stored) {
                 const currentUsage = await this.getUserStorageUsage(userId);
                 if (currentUsage + fileSize > storageQuota) {
                     const usageGB = (currentUsage / (1024 * 1024 * 1024)).toFixed(2);
@@ -878,15 +909,16 @@ class MediaHandler {
     }
 
     /**
-     * Store media in database
+     * Store media in database. Sending a file that is already in the library
+     * (or was deleted from it) brings back that item instead of adding one.
+     * @returns {Promise<{ insertedId: ObjectId, duplicate: boolean }>}
      */
     async storeMedia(userId, mediaData) {
+        const now = new Date();
+        const { file_id, file_unique_id, ...details } = mediaData;
         const media = {
-            user_id: userId,
-            ...mediaData,
-            created_at: new Date(),
-            updated_at: new Date(),
-            status: 'stored',
+            ...details,
+            created_at: now,
             posted_count: 0,
             last_posted: null,
             tags: [],
@@ -897,7 +929,34 @@ class MediaHandler {
             }
         };
         
-        return await this.db.collection('user_media').insertOne(media);
+        if (!file_unique_id) {
+            return await this.db.collection('user_media').insertOne({
+                user_id: userId,
+                file_id,
+                ...media,
+                updated_at: now,
+                status: 'stored',
+                upload_count: 1
+            });
+        }
+        
+        // user_id and file_unique_id come from the filter on insert
+        const result = await this.db.collection('user_media').findOneAndUpdate(
+            { user_id: userId, file_unique_id },
+            {
+                // The newest file_id, since Telegram may stop serving old ones
+                $set: { file_id, status: 'stored', updated_at: now },
+                $unset: { deleted_at: '' },
+                $inc: { upload_count: 1 },
+                $setOnInsert: media
+            },
+            { upsert: true, returnDocument: 'after', includeResultMetadata: true }
+        );
+        
+        return {
+            insertedId: result.value._id,
+            duplicate: Boolean(result.lastErrorObject?.updatedExisting)
+        };
     }
 
     /**
@@ -912,12 +971,14 @@ class MediaHandler {
     }
 
     /**
-     * Get user's storage usage
+     * Get user's storage usage, counting each file once (items saved before
+     * uploads were deduplicated may share a file_unique_id)
      */
     async getUserStorageUsage(userId) {
         const result = await this.db.collection('user_media').aggregate([
             { $match: { user_id: userId, status: { $ne: 'deleted' } } },
-            { $group: { _id: null, total: { $sum: '$file_size' } } }
+            { $group: { _id: { $ifNull: ['$file_unique_id', '$_id'] }, size: { $max: '$file_size' } } },
+            { $group: { _id: null, total: { $sum: '$size' } } }
         ]).toArray();
         
         return result.length > 0 ? result[0].total : 0;
@@ -926,13 +987,13 @@ class MediaHandler {
     /**
      * Track media usage for analytics
      */
-    async trackMediaUsage(userId, mediaType, fileSize) {
+    async trackMediaUsage(userId, mediaType, fileSize, action = 'upload') {
         try {
             await this.db.collection('media_usage').insertOne({
                 user_id: userId,
                 type: mediaType,
                 file_size: fileSize,
-                action: 'upload',
+                action,
                 created_at: new Date()
             });
         } catch (error) {
@@ -986,20 +1047,27 @@ class MediaHandler {
             const action = data[1];
             const mediaId = data[2];
             
-            await ctx.answerCallbackQuery();
+            await ctx.answerCbQuery();
             
             switch (action) {
                 case 'post':
                     await this.handleMediaPost(ctx, mediaId);
                     break;
-                case 'schedule':
-                    await this.handleMediaSchedule(ctx, mediaId);
+                case 'send':
+                    await this.handleMediaSend(ctx, mediaId, data[3]);
+                    break;
+                case 'caption':
+                    await this.replyWithItem(ctx, mediaId, item =>
+                        `✏️ Change the caption with \`/media caption ${shortRef(item)} New caption\``);
                     break;
                 case 'delete':
-                    await this.handleMediaDelete(ctx, mediaId);
+                    await this.replyWithItem(ctx, mediaId, async item => {
+                        await this.deleteMediaItem(ctx.from.id, item);
+                        return `🗑️ Removed \`${shortRef(item)}\` from your library.`;
+                    });
                     break;
                 case 'details':
-                    await this.handleMediaDetails(ctx, mediaId);
+                    await this.replyWithItem(ctx, mediaId, item => this.formatMediaDetails(item));
                     break;
                 case 'clear':
                     await this.handleClearMedia(ctx);
@@ -1013,37 +1081,51 @@ class MediaHandler {
             
         } catch (error) {
             console.error('Error handling media callback:', error);
-            await ctx.answerCallbackQuery('❌ Error processing request');
+            await ctx.reply('❌ Error processing request');
         }
     }
 
     /**
-     * Handle media posting
+     * Handle media posting: choose the chat for one item, or see how to post
+     * several as an album
      */
     async handleMediaPost(ctx, mediaId) {
         try {
-            if (mediaId === 'all') {
-                // Post all media
-                const userId = ctx.from.id;
-                const media = await this.getUserMedia(userId);
-                
-                // Implementation would continue with batch posting logic
-                await ctx.reply('🚀 Starting batch post of all media...');
-            } else {
-                // Post single media
-                const media = await this.db.collection('user_media').findOne({
-                    _id: new ObjectId(mediaId)
-                });
-                
-                if (!media) {
-                    await ctx.reply('❌ Media not found.');
-                    return;
-                }
-                
-                // Implementation would continue with single media posting logic
-                await ctx.reply(`📤 Posting ${media.type}...`);
+            if (!ObjectId.isValid(mediaId)) {
+                await ctx.reply(MEDIA_USAGE, { parse_mode: 'Markdown' });
+                return;
+            }
+            
+            const item = await this.findUserMedia(ctx.from.id, mediaId);
+            if (!item) {
+                await ctx.reply('❌ Media not found.');
+                return;
+            }
+            if (!SEND_METHODS[item.type]) {
+                await ctx.reply(`❌ ${item.type} items can't be posted from the library.`);
+                return;
+            }
+            
+            const membership = await membershipFor(ctx, this.db);
+            const destinations = await this.getUserDestinations(ctx.from.id, membership);
+            if (destinations.length === 0) {
+                await ctx.reply('📭 Add a channel or group first, then post your media there.');
+                return;
             }
             
+            await ctx.reply(`📤 Where should \`${shortRef(item)}\` go?`, {
+                parse_mode: 'Markdown',
+                reply_markup: {
+                    inline_keyboard: [
+                        ...destinations.slice(0, 10).map(destination => [{
+                            text: destination.title,
+                            callback_data: `media:send:${item._id}:${destination.id}`
+                        }]),
+                        [{ text: '❌ Close', callback_data: 'cancel' }]
+                    ]
+                }
+            });
+            
         } catch (error) {
             console.error('Error posting media:', error);
             await ctx.reply('❌ Error posting media.');
@@ -1146,6 +1228,433 @@ class MediaHandler {
             await ctx.reply('❌ Error clearing media library.');
         }
     }
+
+    /**
+     * Create the library's indexes
+     */
+    async start() {
+        await this.db.collection('user_media').createIndex({ user_id: 1, file_unique_id: 1 });
+        await this.db.collection('user_media').createIndex({ user_id: 1, tags: 1 });
+    }
+
+    /**
+     * Handle /media command: list, search, tag, caption and post library items
+     */
+    async handleMedia(ctx) {
+        try {
+            const userId = ctx.from.id;
+            const [firstLine, ...lines] = this.commandInput(ctx).split('\n');
+            const [subcommand = 'list', ...args] = firstLine.split(/\s+/).filter(Boolean);
+            
+            switch (subcommand.toLowerCase()) {
+                case 'list':
+                    await this.showMediaList(ctx, { user_id: userId, status: { $ne: 'deleted' } }, '🗂️ *Your Media Library*');
+                    break;
+                case 'search': {
+                    const { filter, errors } = searchFilter(userId, args.join(' '));
+                    if (errors.length > 0) {
+                        await this.replyErrors(ctx, errors);
+                        return;
+                    }
+                    await this.showMediaList(ctx, filter, '🔍 *Search Results*');
+                    break;
+                }
+                case 'tag':
+                case 'untag':
+                    await this.tagMedia(ctx, args[0], args.slice(1), subcommand.toLowerCase() === 'tag');
+                    break;
+                case 'caption':
+                    await this.captionMedia(ctx, args[0], [args.slice(1).join(' '), ...lines].join('\n').trim());
+                    break;
+                case 'post':
+                    await this.postMediaItem(ctx, args[0], args[1], args.slice(2).join(' ') || null);
+                    break;
+                case 'album':
+                    await this.postAlbum(ctx, args[0], lines);
+                    break;
+                case 'delete': {
+                    const item = await this.findByReference(ctx, args[0]);
+                    if (item) {
+                        await this.deleteMediaItem(userId, item);
+                        await ctx.reply(`🗑️ Removed \`${shortRef(item)}\` from your library.`, { parse_mode: 'Markdown' });
+                    }
+                    break;
+                }
+                default:
+                    await ctx.reply(MEDIA_USAGE, { parse_mode: 'Markdown' });
+            }
+            
+        } catch (error) {
+            console.error('Error in media command:', error);
+            await ctx.reply('❌ Error accessing media library.');
+        }
+    }
+
+    /**
+     * List library items, newest first, with their references and tags
+     */
+    async showMediaList(ctx, filter, heading) {
+        const total = await this.db.collection('user_media').countDocuments(filter);
+        if (total === 0) {
+            await ctx.reply(
+                heading.includes('Search')
+                    ? '🔍 Nothing in your library matches that.'
+                    : '📁 *No Media Saved*\n\nSend me photos, videos, documents or audio to start your library.',
+                { parse_mode: 'Markdown' }
+            );
+            return;
+        }
+        
+        const items = await this.db.collection('user_media')
+            .find(filter)
+            .sort({ created_at: -1 })
+            .limit(MAX_LISTED_MEDIA)
+            .toArray();
+        const storageUsed = await this.getUserStorageUsage(ctx.from.id);
+        
+        let message = `${heading} (${total} items, ${this.formatFileSize(storageUsed)} used)\n\n`;
+        items.forEach(item => {
+            const emoji = this.mediaTypes[item.type]?.emoji || '📄';
+            message += `${emoji} \`${shortRef(item)}\` ${item.type}, ${this.formatFileSize(item.file_size || 0)}`;
+            if (item.caption) {
+                message += ` - ${this.escape(this.truncateText(item.caption, 30))}`;
+            }
+            if (item.tags?.length > 0) {
+                message += ` ${this.formatTags(item.tags)}`;
+            }
+            if (item.posted_count > 0) {
+                message += ` (posted ${item.posted_count}×)`;
+            }
+            message += '\n';
+        });
+        if (total > items.length) {
+            message += `\n…and ${total - items.length} more. Narrow it down with \`/media search\`.`;
+        }
+        
+        await ctx.reply(message, { parse_mode: 'Markdown' });
+    }
+
+    /**
+     * Add tags to an item, or remove them
+     */
+    async tagMedia(ctx, ref, words, add) {
+        const { tags, errors } = parseTags(words);
+        if (tags.length === 0 && errors.length === 0) {
+            errors.push(`Write it as /media ${add ? 'tag' : 'untag'} <item> beach summer`);
+        }
+        if (errors.length > 0) {
+            await this.replyErrors(ctx, errors);
+            return;
+        }
+        
+        const item = await this.findByReference(ctx, ref);
+        if (!item) {
+            return;
+        }
+        
+        const result = await this.db.collection('user_media').findOneAndUpdate(
+            { _id: item._id },
+            {
+                ...(add ? { $addToSet: { tags: { $each: tags } } } : { $pull: { tags: { $in: tags } } }),
+                $set: { updated_at: new Date() }
+            },
+            { returnDocument: 'after', includeResultMetadata: true }
+        );
+        const current = result.value?.tags || [];
+        
+        await ctx.reply(
+            `🏷️ \`${shortRef(item)}\` ${current.length > 0 ? `is tagged ${this.formatTags(current)}` : 'has no tags'}`,
+            { parse_mode: 'Markdown' }
+        );
+    }
+
+    /**
+     * Set an item's caption, used whenever it is posted without one
+     */
+    async captionMedia(ctx, ref, caption) {
+        if (caption.length > MAX_CAPTION_LENGTH) {
+            await ctx.reply(`❌ Captions are at most ${MAX_CAPTION_LENGTH} characters.`);
+            return;
+        }
+        
+        const item = await this.findByReference(ctx, ref);
+        if (!item) {
+            return;
+        }
+        
+        await this.db.collection('user_media').updateOne(
+            { _id: item._id },
+            { $set: { caption, updated_at: new Date() } }
+        );
+        await ctx.reply(
+            `✏️ Caption for \`${shortRef(item)}\` ${caption ? 'saved' : 'removed'}.`,
+            { parse_mode: 'Markdown' }
+        );
+    }
+
+    /**
+     * `/media post <item> <chat> [caption]`: send a library item again by
+     * its file_id
+     */
+    async postMediaItem(ctx, ref, chatReference, caption) {
+        if (!ref || !chatReference) {
+            await ctx.reply('❌ Write it as `/media post <item> @channel [caption]`', { parse_mode: 'Markdown' });
+            return;
+        }
+        
+        const item = await this.findByReference(ctx, ref);
+        const destination = item && await this.findDestination(ctx, chatReference);
+        if (!destination) {
+            return;
+        }
+        
+        await this.sendMediaItem(ctx, item, destination, caption);
+    }
+
+    /**
+     * Handle a chat chosen for an item from its upload message
+     */
+    async handleMediaSend(ctx, mediaId, chatId) {
+        const item = ObjectId.isValid(mediaId) && await this.findUserMedia(ctx.from.id, mediaId);
+        if (!item) {
+            await ctx.reply('❌ Media not found.');
+            return;
+        }
+        
+        const destination = await this.findDestination(ctx, chatId);
+        if (destination) {
+            await this.sendMediaItem(ctx, item, destination, null);
+        }
+    }
+
+    /**
+     * Send one item to a destination and count the post
+     */
+    async sendMediaItem(ctx, item, destination, caption) {
+        const method = SEND_METHODS[item.type];
+        if (!method) {
+            await ctx.reply(`❌ ${item.type} items can't be posted from the library.`);
+            return;
+        }
+        
+        const text = caption ?? item.caption ?? '';
+        try {
+            await this.bot.telegram[method](destination.id, item.file_id, text ? { caption: text } : {});
+        } catch (error) {
+            console.error('Error posting library media:', error);
+            await ctx.reply(`❌ Couldn't post to ${this.escape(destination.title)}: ${this.escape(error.response?.description || error.message)}`, { parse_mode: 'Markdown' });
+            return;
+        }
+        
+        await this.recordPosts(ctx.from.id, [item]);
+        await ctx.reply(`✅ Posted \`${shortRef(item)}\` to ${this.escape(destination.title)}.`, { parse_mode: 'Markdown' });
+    }
+
+    /**
+     * `/media album <chat>` with one item per line: send them as one media
+     * group, each with its own caption
+     */
+    async postAlbum(ctx, chatReference, lines) {
+        const userId = ctx.from.id;
+        const userTier = await this.tierManager.getUserTier(userId);
+        const batchLimit = this.batchLimits[userTier];
+        const maxItems = batchLimit === -1 ? ALBUM_MAX_ITEMS : Math.min(batchLimit, ALBUM_MAX_ITEMS);
+        
+        if (maxItems < 2) {
+            await ctx.reply(
+                `📚 *Albums* need a paid plan.\n\n${this.tierManager.getUpgradeMessage(userTier)}`,
+                { parse_mode: 'Markdown' }
+            );
+            return;
+        }
+        
+        const { entries, errors } = parseAlbum(lines);
+        if (!chatReference) {
+            errors.unshift('Write it as /media album @channel, then one item per line');
+        }
+        if (errors.length === 0 && entries.length > maxItems) {
+            errors.push(`Your tier allows albums of up to ${maxItems} items`);
+        }
+        
+        const library = errors.length === 0 ? await this.getUserMedia(userId, 0) : [];
+        const chosen = [];
+        for (const entry of errors.length === 0 ? entries : []) {
+            const item = findByRef(entry.ref, library);
+            if (item) {
+                chosen.push({ item, caption: entry.caption });
+            } else {
+                errors.push(`No item ${entry.ref} in your library`);
+            }
+        }
+        
+        const group = errors.length === 0 ? buildMediaGroup(chosen) : { errors };
+        if (group.errors.length > 0) {
+            await this.replyErrors(ctx, group.errors);
+            return;
+        }
+        
+        const destination = await this.findDestination(ctx, chatReference);
+        if (!destination) {
+            return;
+        }
+        
+        try {
+            await this.bot.telegram.sendMediaGroup(destination.id, group.media);
+        } catch (error) {
+            console.error('Error posting media album:', error);
+            await ctx.reply(`❌ Couldn't post to ${this.escape(destination.title)}: ${this.escape(error.response?.description || error.message)}`, { parse_mode: 'Markdown' });
+            return;
+        }
+        
+        await this.recordPosts(userId, chosen.map(({ item }) => item));
+        await ctx.reply(`✅ Posted an album of ${chosen.length} items to ${this.escape(destination.title)}.`, { parse_mode: 'Markdown' });
+    }
+
+    /**
+     * Count a post of library items
+     */
+    async recordPosts(userId, items) {
+        await this.db.collection('user_media').updateMany(
+            { _id: { $in: items.map(item => item._id) } },
+            { $inc: { posted_count: 1 }, $set: { last_posted: new Date() } }
+        );
+        for (const item of items) {
+            await this.trackMediaUsage(userId, item.type, item.file_size, 'post');
+        }
+    }
+
+    /**
+     * Remove an item from the library; sending the file again restores it
+     */
+    async deleteMediaItem(userId, item) {
+        await this.db.collection('user_media').updateOne(
+            { _id: item._id, user_id: userId },
+            { $set: { status: 'deleted', deleted_at: new Date() } }
+        );
+    }
+
+    /**
+     * An item's details
+     */
+    formatMediaDetails(item) {
+        const emoji = this.mediaTypes[item.type]?.emoji || '📄';
+        return `${emoji} *${item.type}* \`${shortRef(item)}\`\n\n` +
+            `📏 Size: ${this.formatFileSize(item.file_size || 0)}\n` +
+            (item.caption ? `💬 Caption: ${this.escape(this.truncateText(item.caption, 100))}\n` : '') +
+            `🏷️ Tags: ${item.tags?.length > 0 ? this.formatTags(item.tags) : 'none'}\n` +
+            `📥 Sent to me: ${item.upload_count || 1}×\n` +
+            `📤 Posted: ${item.posted_count || 0}×` +
+            (item.last_posted ? `, last on ${new Date(item.last_posted).toLocaleDateString()}` : '');
+    }
+
+    /**
+     * Reply with a message built from one of the user's items
+     */
+    async replyWithItem(ctx, mediaId, build) {
+        const item = ObjectId.isValid(mediaId) && await this.findUserMedia(ctx.from.id, mediaId);
+        if (!item) {
+            await ctx.reply('❌ Media not found.');
+            return;
+        }
+        await ctx.reply(await build(item), { parse_mode: 'Markdown' });
+    }
+
+    /**
+     * One of the user's items by id
+     */
+    async findUserMedia(userId, mediaId) {
+        return await this.db.collection('user_media').findOne({
+            _id: new ObjectId(mediaId),
+            user_id: userId,
+            status: { $ne: 'deleted' }
+        });
+    }
+
+    /**
+     * One of the user's items by reference, replying when there is none
+     */
+    async findByReference(ctx, ref) {
+        const item = ref ? findByRef(ref, await this.getUserMedia(ctx.from.id, 0)) : null;
+        if (!item) {
+            await ctx.reply(
+                ref ? `❌ No item ${this.escape(ref)} in your library. See /media for references.` : MEDIA_USAGE,
+                { parse_mode: 'Markdown' }
+            );
+        }
+        return item;
+    }
+
+    /**
+     * One of the user's channels or groups by @username or chat id,
+     * replying when it isn't theirs
+     */
+    async findDestination(ctx, reference) {
+        const membership = await membershipFor(ctx, this.db);
+        const destinations = await this.getUserDestinations(ctx.from.id, membership);
+        const wanted = String(reference).replace(/^@/, '').toLowerCase();
+        const destination = destinations.find(d => String(d.id) === String(reference) ||
+            (d.username && d.username.toLowerCase() === wanted));
+        
+        if (!destination) {
+            await ctx.reply(`❌ ${this.escape(reference)} is not one of your channels or groups.`, { parse_mode: 'Markdown' });
+        }
+        return destination || null;
+    }
+
+    /**
+     * Get user's destinations, or their workspace's when they are in one
+     */
+    async getUserDestinations(userId, membership = null) {
+        let destinations;
+        if (membership) {
+            destinations = await this.db.collection('destinations')
+                .find({ workspace_id: membership.workspace._id, active: { $ne: false } })
+                .toArray();
+        } else {
+            const links = await this.db.collection('user_destinations')
+                .find(scopeFilter(null, userId, 'userId'))
+                .toArray();
+            const chatIds = links.map(link => link.destinationId);
+            const known = await this.db.collection('destinations')
+                .find({ telegramId: { $in: chatIds } })
+                .toArray();
+            destinations = chatIds.map(chatId => known.find(d => d.telegramId === chatId) || { telegramId: chatId });
+        }
+        
+        return destinations.map(destination => ({
+            id: destination.telegramId ?? destination.id,
+            title: destination.title || destination.name || String(destination.telegramId ?? destination.id),
+            username: destination.username || null
+        }));
+    }
+
+    /**
+     * Reply with a list of problems
+     */
+    async replyErrors(ctx, errors) {
+        await ctx.reply(`❌ ${errors.map(error => this.escape(error)).join('\n❌ ')}`, { parse_mode: 'Markdown' });
+    }
+
+    /**
+     * Tags as #hashtags
+     */
+    formatTags(tags) {
+        return tags.map(tag => this.escape(`#${tag}`)).join(' ');
+    }
+
+    /**
+     * Text after the command
+     */
+    commandInput(ctx) {
+        return (ctx.message?.text || '').replace(/^\/\w+(@\w+)?[ \t]*/, '').trim();
+    }
+
+    /**
+     * Escape user text for legacy Markdown
+     */
+    escape(text) {
+        return String(text ?? '').replace(/([_*`[])/g, '\\$1');
+    }
 }
 
 module.exports = MediaHandler;
\ No newline at end of file
@@ -0,0 +1,212 @@
+/**
+ * Media Library - finding, tagging and grouping the media users keep in
+ * `user_media`
+ *
+ * Telegram gives every file a `file_unique_id` that stays the same however
+ * often it is sent or forwarded, so it works as the content hash: a user has
+ * one library item per file and its bytes count once. Items are posted again
+ * by their `file_id`, without uploading the file again.
+ *
+ * Items are referred to by their id or its last 6 characters. Searches mix
+ * words, #tags and a type:
+ *
+ *   /media search sunset #beach type:photo
+ *
+ * and an album is one item per line, with an optional caption after `|`
+ * (an empty one sends the item without a caption):
+ *
+ *   3f9a1c | Glenelg at dusk
+ *   77b2e0
+ *
+ * MediaHandler runs the commands.
+ */
+
+const ALBUM_MIN_ITEMS = 2;
+const ALBUM_MAX_ITEMS = 10;
+const MAX_CAPTION_LENGTH = 1024;
+const MAX_TAGS = 20;
+const SHORT_REF_LENGTH = 6;
+
+// Bot API method that sends each type by file_id
+const SEND_METHODS = {
+    photo: 'sendPhoto',
+    video: 'sendVideo',
+    document: 'sendDocument',
+    audio: 'sendAudio',
+    voice: 'sendVoice',
+    animation: 'sendAnimation'
+};
+
+// Telegram albums mix photos and videos; documents and audio only go with
+// their own kind
+const ALBUM_KINDS = {
+    photo: 'photos and videos',
+    video: 'photos and videos',
+    document: 'documents',
+    audio: 'audio files'
+};
+
+/**
+ * The short reference shown for an item
+ */
+function shortRef(item) {
+    return String(item._id).slice(-SHORT_REF_LENGTH);
+}
+
+/**
+ * The item a reference points to: its full id or the last 6 characters of it
+ */
+function findByRef(ref, items) {
+    const wanted = String(ref || '').trim().toLowerCase();
+    if (wanted.length < SHORT_REF_LENGTH) {
+        return null;
+    }
+    return items.find(item => String(item._id) === wanted ||
+        (wanted.length === SHORT_REF_LENGTH && shortRef(item) === wanted)) || null;
+}
+
+/**
+ * Tags from words like `#beach Sunset`, lowercased and without the `#`
+ * @returns {{ tags: string[], errors: string[] }}
+ */
+function parseTags(words) {
+    const list = Array.isArray(words) ? words : String(words || '').split(/[\s,]+/);
+    const tags = [];
+    const errors = [];
+
+    for (const word of list.map(w => w.trim()).filter(Boolean)) {
+        const tag = word.replace(/^#/, '').toLowerCase();
+        if (!/^[a-z0-9][a-z0-9_-]{0,31}$/.test(tag)) {
+            errors.push(`"${word}" is not a tag (use letters, digits, - and _)`);
+        } else if (!tags.includes(tag)) {
+            tags.push(tag);
+        }
+    }
+
+    if (tags.length > MAX_TAGS) {
+        errors.push(`Use at most ${MAX_TAGS} tags`);
+    }
+    return { tags, errors };
+}
+
+/**
+ * A `user_media` query for a search: every #tag, the type, and each word in
+ * the caption, file name or tags
+ * @returns {{ filter: Object, errors: string[] }}
+ */
+function searchFilter(userId, input) {
+    const filter = { user_id: userId, status: { $ne: 'deleted' } };
+    const words = [];
+    const tagWords = [];
+    const errors = [];
+
+    for (const token of String(input || '').split(/\s+/).filter(Boolean)) {
+        const type = token.match(/^type:(\w+)$/i);
+        if (type) {
+            const name = type[1].toLowerCase();
+            if (SEND_METHODS[name]) {
+                filter.type = name;
+            } else {
+                errors.push(`Unknown type "${type[1]}" (use ${Object.keys(SEND_METHODS).join(', ')})`);
+            }
+        } else if (token.startsWith('#')) {
+            tagWords.push(token);
+        } else {
+            words.push(token);
+        }
+    }
+
+    const parsed = parseTags(tagWords);
+    errors.push(...parsed.errors);
+    if (parsed.tags.length > 0) {
+        filter.tags = { $all: parsed.tags };
+    }
+    if (words.length > 0) {
+        filter.$and = words.map(word => {
+            const pattern = new RegExp(word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i');
+            return { $or: [{ caption: pattern }, { file_name: pattern }, { tags: pattern }] };
+        });
+    }
+    if (!filter.type && !filter.tags && !filter.$and && errors.length === 0) {
+        errors.push('Search with words, #tags or type:');
+    }
+
+    return { filter, errors };
+}
+
+/**
+ * Album lines: an item reference, then optionally `|` and its caption
+ * @returns {{ entries: Array<{ ref: string, caption: string|null }>, errors: string[] }}
+ */
+function parseAlbum(lines) {
+    const entries = [];
+    const errors = [];
+
+    for (const line of lines.map(l => l.trim()).filter(Boolean)) {
+        const separator = line.indexOf('|');
+        const ref = (separator === -1 ? line : line.slice(0, separator)).trim();
+        const caption = separator === -1 ? null : line.slice(separator + 1).trim();
+
+        if (!ref || /\s/.test(ref)) {
+            errors.push(`Write album lines as "<item> | caption", not "${line}"`);
+            continue;
+        }
+        if (caption && caption.length > MAX_CAPTION_LENGTH) {
+            errors.push(`The caption for ${ref} is longer than ${MAX_CAPTION_LENGTH} characters`);
+        }
+        entries.push({ ref, caption });
+    }
+
+    if (errors.length === 0 && (entries.length < ALBUM_MIN_ITEMS || entries.length > ALBUM_MAX_ITEMS)) {
+        errors.push(`An album has ${ALBUM_MIN_ITEMS} to ${ALBUM_MAX_ITEMS} items`);
+    }
+    return { entries, errors };
+}
+
+/**
+ * The `sendMediaGroup` payload for library items, each with its own
+ * caption: the album line's when it has one, otherwise the item's
+ * @param {Array<{ item: Object, caption: string|null }>} entries
+ * @returns {{ media: Object[], errors: string[] }}
+ */
+function buildMediaGroup(entries) {
+    const errors = [];
+    const kinds = new Set();
+
+    for (const { item } of entries) {
+        if (!ALBUM_KINDS[item.type]) {
+            errors.push(`${shortRef(item)} is a ${item.type}, which can't go in an album`);
+        } else {
+            kinds.add(ALBUM_KINDS[item.type]);
+        }
+    }
+    if (kinds.size > 1) {
+        errors.push(`An album holds only one of: ${[...kinds].join(', ')}`);
+    }
+    if (errors.length > 0) {
+        return { media: [], errors };
+    }
+
+    const media = entries.map(({ item, caption }) => {
+        const text = caption ?? item.caption ?? '';
+        return {
+            type: item.type,
+            media: item.file_id,
+            ...(text && { caption: text.slice(0, MAX_CAPTION_LENGTH) })
+        };
+    });
+    return { media, errors };
+}
+
+module.exports = {
+    ALBUM_MIN_ITEMS,
+    ALBUM_MAX_ITEMS,
+    MAX_CAPTION_LENGTH,
+    SEND_METHODS,
+    shortRef,
+    findByRef,
+    parseTags,
+    searchFilter,
+    parseAlbum,
+    buildMediaGroup
+};
@@ -0,0 +1,138 @@
+/**
+ * Message Validation - checks a rendered Telegram message before it is sent
+ *
+ * Used by scheduled post previews to report what would stop a post going
+ * out as rendered: Telegram's length limits, Markdown that Telegram cannot
+ * parse and missing bot rights in the destination chat.
+ */
+
+const MESSAGE_LIMIT = 4096;
+const CAPTION_LIMIT = 1024;
+
+const ENTITY_MARKERS = ['*', '_', '`'];
+
+/**
+ * Problems Telegram's legacy Markdown parser would reject the text for:
+ * entities left open and "[" that does not start a link. A backslash only
+ * escapes outside an entity, as in Telegram.
+ */
+function findMarkdownProblems(text) {
+    const problems = [];
+    let open = null;
+    let openedAt = -1;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+
+        if (open) {
+            if (char === open) {
+                open = null;
+            }
+            continue;
+        }
+
+        if (char === '\\') {
+            i++;
+        } else if (ENTITY_MARKERS.includes(char)) {
+            open = char;
+            openedAt = i;
+        } else if (char === '[') {
+            const link = /^\[[^\]]*\]\([^)\s]*\)/.exec(text.slice(i));
+            if (link) {
+                i += link[0].length - 1;
+            } else {
+                problems.push(`Unescaped "[" at character ${i + 1}`);
+            }
+        }
+    }
+
+    if (open) {
+        problems.push(`"${open}" at character ${openedAt + 1} is never closed`);
+    }
+
+    return problems;
+}
+
+/**
+ * Length problems for a message or photo caption. Lengths are counted
+ * before Markdown is parsed, so they slightly overstate what Telegram sees.
+ */
+function findLengthProblems(text, { caption = false } = {}) {
+    const limit = caption ? CAPTION_LIMIT : MESSAGE_LIMIT;
+    if (text.length <= limit) {
+        return [];
+    }
+
+    return [caption
+        ? { severity: 'error', code: 'caption_too_long', message: `Caption is ${text.length} characters; photo captions allow ${limit}` }
+        : { severity: 'warning', code: 'message_too_long', message: `Message is ${text.length} characters and will be truncated to ${limit}` }];
+}
+
+/**
+ * Rights the bot is missing to post in a destination chat
+ * @param {Object} telegram - Telegraf telegram client
+ * @param {Object} destination - `destinations` document
+ */
+async function findPermissionProblems(telegram, botId, destination, { media = false } = {}) {
+    let member;
+    try {
+        member = await telegram.getChatMember(destination.id ?? destination.telegramId, botId);
+    } catch (error) {
+        return [`Bot cannot access the chat: ${error.description || error.message}`];
+    }
+
+    const problems = [];
+
+    if (member.status === 'left' || member.status === 'kicked') {
+        problems.push(`Bot is not a member of the chat (${member.status})`);
+    } else if (destination.type === 'channel') {
+        if (member.status !== 'administrator' && member.status !== 'creator') {
+            problems.push('Bot is not an admin of the channel');
+        } else if (member.can_post_messages === false) {
+            problems.push('Bot is missing the "Post messages" right');
+        }
+    } else if (member.status === 'restricted') {
+        if (member.can_send_messages === false) {
+            problems.push('Bot is restricted from sending messages');
+        }
+        if (media && (member.can_send_photos === false || member.can_send_media_messages === false)) {
+            problems.push('Bot is restricted from sending photos');
+        }
+    }
+
+    return problems;
+}
+
+/**
+ * Every problem with sending `text` to `destination`, as
+ * `{ severity: 'error'|'warning', code, message }`. Markup is only checked
+ * for the legacy Markdown parse mode.
+ */
+async function validateMessage(telegram, botId, destination, text, { caption = false, parseMode = 'Markdown' } = {}) {
+    const problems = findLengthProblems(text, { caption });
+
+    if (parseMode === 'Markdown') {
+        for (const message of findMarkdownProblems(text)) {
+            problems.push({ severity: 'error', code: 'markdown', message });
+        }
+    }
+
+    if (destination.active === false) {
+        problems.push({ severity: 'error', code: 'destination_inactive', message: destination.error || 'Destination is inactive' });
+    }
+
+    for (const message of await findPermissionProblems(telegram, botId, destination, { media: caption })) {
+        problems.push({ severity: 'error', code: 'permissions', message });
+    }
+
+    return problems;
+}
+
+module.exports = {
+    MESSAGE_LIMIT,
+    CAPTION_LIMIT,
+    findMarkdownProblems,
+    findLengthProblems,
+    findPermissionProblems,
+    validateMessage
+};
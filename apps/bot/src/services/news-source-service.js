@@ -0,0 +1,265 @@
+/**
+ * News Source Service - feeds, sitemaps and exports a space pulls articles from
+ *
+ * Sources are registered here, per workspace (or personal space), in
+ * `source_connectors`; the article processor polls them on their interval
+ * and writes what it finds to news_articles (see
+ * apps/article-processor/connectors). Admins manage a workspace's sources.
+ */
+
+const { ObjectId } = require('mongodb');
+const {
+    CONNECTOR_TYPES,
+    DEFAULT_INTERVAL_MINUTES,
+    isUrl,
+    validateLocation,
+    validateInterval,
+    parseCategoryMap,
+    defaultSourceName
+} = require('../../../../libs/shared/src/source-connectors');
+const { roleAllows, scopeFilter, workspaceStamp, findActiveMembership } = require('./workspace-access');
+
+const MAX_NAME_LENGTH = 60;
+const CHANNEL_PATTERN = /^@?[a-z]\w{3,31}$/i;
+
+class NewsSourceService {
+    constructor(db, tierManager) {
+        this.db = db;
+        this.tierManager = tierManager;
+    }
+
+    async ensureIndexes() {
+        try {
+            await this.db.collection('source_connectors').createIndex({ workspace_id: 1, user_id: 1 });
+            await this.db.collection('source_connectors').createIndex({ enabled: 1, next_poll_at: 1 });
+        } catch (error) {
+            console.warn('News source index creation warning:', error.message);
+        }
+    }
+
+    /**
+     * The user's membership when they may manage sources where they are
+     * working: any user in their personal space, admins in a workspace
+     */
+    async getAccess(userId, { manage = true } = {}) {
+        const membership = await findActiveMembership(this.db, userId);
+        if (membership && !roleAllows(membership.role, manage ? 'sources:manage' : 'workspace:view')) {
+            return { allowed: false, error: `Your role in "${membership.workspace.name}" cannot manage news sources` };
+        }
+        return { allowed: true, membership, scope: scopeFilter(membership, userId) };
+    }
+
+    /**
+     * A source of the user's space, by id or by its number in listSources
+     */
+    async resolveSource(scope, reference) {
+        const value = String(reference ?? '').trim();
+        
+        if (/^[a-f0-9]{24}$/i.test(value)) {
+            return await this.db.collection('source_connectors').findOne({ ...scope, _id: new ObjectId(value) });
+        }
+        if (/^\d+$/.test(value)) {
+            const sources = await this.db.collection('source_connectors')
+                .find(scope)
+                .sort({ created_at: 1 })
+                .toArray();
+            return sources[parseInt(value) - 1] || null;
+        }
+        return null;
+    }
+
+    async listSources(userId) {
+        const access = await this.getAccess(userId, { manage: false });
+        if (!access.allowed) {
+            return { success: false, error: access.error };
+        }
+        
+        const sources = await this.db.collection('source_connectors')
+            .find(access.scope)
+            .sort({ created_at: 1 })
+            .toArray();
+        
+        return { success: true, sources };
+    }
+
+    /**
+     * Register a source. It is first polled within a minute or two.
+     * @param {Object} options - { type, location, interval, channel, name }
+     */
+    async createSource(userId, { type, location, interval = DEFAULT_INTERVAL_MINUTES, channel = null, name = null } = {}) {
+        try {
+            const access = await this.getAccess(userId);
+            if (!access.allowed) {
+                return { success: false, error: access.error };
+            }
+            
+            const locationError = validateLocation(type, location);
+            if (locationError) {
+                return { success: false, error: locationError };
+            }
+            const intervalError = validateInterval(interval);
+            if (intervalError) {
+                return { success: false, error: intervalError };
+            }
+            if (channel && (type !== 'telegram' || !CHANNEL_PATTERN.test(channel))) {
+                return { success: false, error: 'Only Telegram exports take a channel, given as @username' };
+            }
+            
+            // Sources count against the plan of whoever pays for the space
+            const tierUserId = access.membership ? access.membership.workspace.owner_id : userId;
+            if (!await this.tierManager.hasFeature(tierUserId, 'news_sources')) {
+                return { success: false, error: 'News sources require Pro tier or higher', upgradeRequired: 'pro' };
+            }
+            
+            const tierName = await this.tierManager.getUserTier(tierUserId);
+            const limit = this.tierManager.tiers[tierName].limits.news_sources;
+            const count = await this.db.collection('source_connectors').countDocuments(access.scope);
+            if (limit !== -1 && count >= limit) {
+                return { success: false, error: `News source limit reached (${count}/${limit}) for ${tierName} tier` };
+            }
+            
+            if (await this.db.collection('source_connectors').findOne({ ...access.scope, type, location })) {
+                return { success: false, error: 'That source is already registered' };
+            }
+            
+            const now = new Date();
+            const source = {
+                user_id: userId,
+                ...workspaceStamp(access.membership),
+                type,
+                location,
+                name: String(name || defaultSourceName(location)).slice(0, MAX_NAME_LENGTH),
+                channel: channel ? `@${channel.replace(/^@/, '')}` : null,
+                interval_minutes: interval,
+                category_map: {},
+                default_category: null,
+                enabled: true,
+                state: { etag: null, last_modified: null },
+                next_poll_at: now,
+                last_polled_at: null,
+                last_status: null,
+                last_error: null,
+                consecutive_failures: 0,
+                item_count: 0,
+                created_at: now
+            };
+            const result = await this.db.collection('source_connectors').insertOne(source);
+            source._id = result.insertedId;
+            
+            return { success: true, source };
+        
+        } catch (error) {
+            console.error('Error creating news source:', error);
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * Change a source's interval, name, category map, default category or
+     * whether it is enabled. `categories` is "theirs=ours" pairs, added to
+     * the existing map; an empty string clears it.
+     */
+    async updateSource(userId, reference, { interval, name, categories, defaultCategory, enabled } = {}) {
+        try {
+            const access = await this.getAccess(userId);
+            if (!access.allowed) {
+                return { success: false, error: access.error };
+            }
+            
+            const source = await this.resolveSource(access.scope, reference);
+            if (!source) {
+                return { success: false, error: 'News source not found' };
+            }
+            
+            const changes = {};
+            if (interval !== undefined) {
+                const intervalError = validateInterval(interval);
+                if (intervalError) {
+                    return { success: false, error: intervalError };
+                }
+                changes.interval_minutes = interval;
+            }
+            if (name !== undefined) {
+                changes.name = String(name).trim().slice(0, MAX_NAME_LENGTH) || defaultSourceName(source.location);
+            }
+            if (categories !== undefined) {
+                const parsed = parseCategoryMap(categories);
+                if (parsed.invalid.length > 0) {
+                    return { success: false, error: `Not "theirs=ours": ${parsed.invalid.join('; ')}` };
+                }
+                changes.category_map = categories.trim() ? { ...source.category_map, ...parsed.map } : {};
+            }
+            if (defaultCategory !== undefined) {
+                changes.default_category = String(defaultCategory || '').trim() || null;
+            }
+            if (enabled !== undefined) {
+                changes.enabled = Boolean(enabled);
+                if (enabled) {
+                    changes.next_poll_at = new Date();
+                    changes.consecutive_failures = 0;
+                }
+            }
+            
+            await this.db.collection('source_connectors').updateOne({ _id: source._id }, { $set: changes });
+            
+            return { success: true, source: { ...source, ...changes } };
+        
+        } catch (error) {
+            console.error('Error updating news source:', error);
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * Remove a source. Articles it already brought in stay.
+     */
+    async deleteSource(userId, reference) {
+        const access = await this.getAccess(userId);
+        if (!access.allowed) {
+            return { success: false, error: access.error };
+        }
+        
+        const source = await this.resolveSource(access.scope, reference);
+        if (!source) {
+            return { success: false, error: 'News source not found' };
+        }
+        
+        await this.db.collection('source_connectors').deleteOne({ _id: source._id });
+        return { success: true, source };
+    }
+
+    /**
+     * Poll a source at the processor's next check instead of waiting for
+     * its interval
+     */
+    async pollNow(userId, reference) {
+        const access = await this.getAccess(userId);
+        if (!access.allowed) {
+            return { success: false, error: access.error };
+        }
+        
+        const source = await this.resolveSource(access.scope, reference);
+        if (!source) {
+            return { success: false, error: 'News source not found' };
+        }
+        if (!source.enabled) {
+            return { success: false, error: 'The source is paused; resume it first' };
+        }
+        
+        await this.db.collection('source_connectors').updateOne(
+            { _id: source._id },
+            { $set: { next_poll_at: new Date(), consecutive_failures: 0 } }
+        );
+        return { success: true, source };
+    }
+
+    /**
+     * How a source is shown: type and where it reads from
+     */
+    describe(source) {
+        const type = CONNECTOR_TYPES[source.type]?.label || source.type;
+        return `${type} ${isUrl(source.location) ? 'at' : 'in'} ${source.location}`;
+    }
+}
+
+module.exports = NewsSourceService;
@@ -0,0 +1,334 @@
+/**
+ * Outbound Webhooks - events customers can receive at their own HTTPS
+ * endpoints, and how deliveries are signed and retried
+ *
+ * Services publish events with publishWebhookEvent, which queues one
+ * `webhook_deliveries` document per subscribed endpoint of the owner;
+ * WebhookDeliveryService sends them. An owner is a workspace, or a user
+ * outside of workspaces.
+ *
+ * Each delivery is a POST with a JSON body:
+ *
+ *   { "id": "evt_…", "type": "post.published", "created_at": "…",
+ *     "workspace_id": "…" | null, "data": { … } }
+ *
+ * signed with the endpoint's secret: `X-Zone-Signature: sha256=<hex>` is the
+ * HMAC-SHA256 of `<X-Zone-Timestamp>.<body>` (see verifySignature).
+ */
+
+const crypto = require('crypto');
+const dns = require('dns');
+const net = require('net');
+
+const WEBHOOK_EVENTS = {
+    'post.published': 'A post was sent to a channel or group',
+    'post.failed': 'A post could not be sent after all retries',
+    'scheduled_post.fired': 'A scheduled post came due and was queued',
+    'reaction.milestone': 'A post reached 10, 50, 100, 500, 1000, 5000 or 10000 reactions',
+    'subscriber.new': 'Someone joined a channel or group'
+};
+
+// Sent by "test", never stored on endpoints
+const TEST_EVENT = 'webhook.test';
+
+const REACTION_MILESTONES = [10, 50, 100, 500, 1000, 5000, 10000];
+
+const MAX_ATTEMPTS = 8;
+const RETRY_BASE_MS = 60 * 1000;
+const RETRY_MAX_MS = 6 * 60 * 60 * 1000;
+const SIGNATURE_TOLERANCE_SECONDS = 5 * 60;
+const MAX_URL_LENGTH = 2048;
+
+const SIGNATURE_HEADER = 'X-Zone-Signature';
+const TIMESTAMP_HEADER = 'X-Zone-Timestamp';
+
+function generateSecret() {
+    return `whsec_${crypto.randomBytes(24).toString('base64url')}`;
+}
+
+/**
+ * `sha256=<hex>` signature of a request body sent at `timestamp` (seconds)
+ */
+function signPayload(secret, timestamp, body) {
+    const digest = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+    return `sha256=${digest}`;
+}
+
+/**
+ * Headers for a delivery of `body`
+ */
+function signatureHeaders(secret, body, now = new Date()) {
+    const timestamp = Math.floor(now.getTime() / 1000);
+    return {
+        [TIMESTAMP_HEADER]: String(timestamp),
+        [SIGNATURE_HEADER]: signPayload(secret, timestamp, body)
+    };
+}
+
+/**
+ * What a receiver does with the headers: recompute the signature and reject
+ * old timestamps, so a captured request cannot be replayed later
+ */
+function verifySignature(secret, timestamp, body, signature, { now = new Date(), tolerance = SIGNATURE_TOLERANCE_SECONDS } = {}) {
+    const seconds = Number(timestamp);
+    if (!Number.isFinite(seconds) || Math.abs(now.getTime() / 1000 - seconds) > tolerance) {
+        return false;
+    }
+
+    const expected = Buffer.from(signPayload(secret, seconds, body));
+    const actual = Buffer.from(String(signature || ''));
+    return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+/**
+ * Wait before attempt `attempt + 1`, after `attempt` failed: doubling from a
+ * minute up to six hours, with ±20% jitter so endpoints that come back up
+ * are not hit by every retry at once
+ */
+function retryDelay(attempt, random = Math.random) {
+    const delay = Math.min(RETRY_BASE_MS * 2 ** (attempt - 1), RETRY_MAX_MS);
+    return Math.round(delay * (0.8 + 0.4 * random()));
+}
+
+function isPrivateAddress(host) {
+    if (net.isIPv4(host)) {
+        const [a, b] = host.split('.').map(Number);
+        return a === 10 || a === 127 || a === 0
+            || (a === 169 && b === 254)
+            || (a === 172 && b >= 16 && b <= 31)
+            || (a === 192 && b === 168)
+            || (a === 100 && b >= 64 && b <= 127);
+    }
+    if (net.isIPv6(host)) {
+        const address = host.toLowerCase();
+        if (address.startsWith('::ffff:')) {
+            return isPrivateAddress(address.slice(7)) || !net.isIPv4(address.slice(7));
+        }
+        return address === '::' || address === '::1' || /^f[cd]/.test(address) || /^fe[89ab]/.test(address);
+    }
+    return false;
+}
+
+/**
+ * dns.lookup for sockets to customer endpoints: fails when the hostname
+ * resolves to a private or link-local address, so a public name pointed at
+ * an internal service (or re-pointed after it was saved) is never reached
+ */
+function publicLookup(hostname, options, callback) {
+    if (typeof options === 'function') {
+        callback = options;
+        options = {};
+    }
+
+    dns.lookup(hostname, options, (error, address, family) => {
+        if (error) {
+            return callback(error);
+        }
+
+        const addresses = Array.isArray(address) ? address : [{ address, family }];
+        const blocked = addresses.find(entry => isPrivateAddress(entry.address));
+        if (blocked) {
+            const refused = new Error(`${hostname} resolves to a private address (${blocked.address})`);
+            refused.code = 'EPRIVATEADDRESS';
+            return callback(refused);
+        }
+
+        callback(null, address, family);
+    });
+}
+
+/**
+ * Why `url` cannot be used as an endpoint, or null if it can. Endpoints
+ * must be public HTTPS URLs; hostnames are resolved when sending (see
+ * publicLookup), not here.
+ */
+function validateEndpointUrl(url) {
+    if (typeof url !== 'string' || !url || url.length > MAX_URL_LENGTH) {
+        return `URL must be 1-${MAX_URL_LENGTH} characters`;
+    }
+
+    let parsed;
+    try {
+        parsed = new URL(url);
+    } catch (error) {
+        return 'Not a valid URL';
+    }
+
+    if (parsed.protocol !== 'https:') {
+        return 'Endpoints must use https://';
+    }
+    if (parsed.username || parsed.password) {
+        return 'URLs cannot contain a username or password';
+    }
+
+    const host = parsed.hostname.replace(/^\[|\]$/g, '').toLowerCase();
+    if (host === 'localhost' || host.endsWith('.localhost') || host.endsWith('.local') || host.endsWith('.internal')
+        || isPrivateAddress(host)) {
+        return 'Endpoints must be reachable on the public internet';
+    }
+
+    return null;
+}
+
+/**
+ * Event types from user input; "all" selects every event
+ * @returns {{ events: string[], unknown: string[] }}
+ */
+function parseEventList(input) {
+    const names = (Array.isArray(input) ? input : String(input || '').split(/[\s,]+/))
+        .map(name => String(name).trim())
+        .filter(Boolean);
+
+    if (names.includes('all') || names.includes('*')) {
+        return { events: Object.keys(WEBHOOK_EVENTS), unknown: [] };
+    }
+
+    const events = [...new Set(names.filter(name => WEBHOOK_EVENTS[name]))];
+    const unknown = names.filter(name => !WEBHOOK_EVENTS[name]);
+    return { events, unknown };
+}
+
+/**
+ * The owner of a destination: its workspace, or the user who added it
+ */
+function destinationOwner(destination) {
+    if (!destination) {
+        return null;
+    }
+    return {
+        workspace_id: destination.workspace_id || null,
+        user_id: destination.addedBy ?? destination.added_by ?? null
+    };
+}
+
+/**
+ * Query filter for an owner's endpoints, null when there is no owner
+ */
+function ownerFilter(owner) {
+    if (owner?.workspace_id) {
+        return { workspace_id: owner.workspace_id };
+    }
+    if (owner?.user_id != null) {
+        return { user_id: owner.user_id, workspace_id: null };
+    }
+    return null;
+}
+
+function buildEvent(type, owner, data, now = new Date()) {
+    return {
+        id: `evt_${crypto.randomBytes(12).toString('hex')}`,
+        type,
+        created_at: now.toISOString(),
+        workspace_id: owner?.workspace_id ? String(owner.workspace_id) : null,
+        data
+    };
+}
+
+/**
+ * New `webhook_deliveries` document sending `event` to `endpoint`
+ */
+function newDelivery(endpoint, event, { replayOf = null, now = new Date() } = {}) {
+    return {
+        endpoint_id: endpoint._id,
+        workspace_id: endpoint.workspace_id || null,
+        user_id: endpoint.user_id,
+        event_id: event.id,
+        type: event.type,
+        payload: event,
+        status: 'pending',
+        attempts: 0,
+        attempt_log: [],
+        next_attempt_at: now,
+        replay_of: replayOf,
+        created_at: now
+    };
+}
+
+/**
+ * Queue an event for the owner's endpoints that subscribe to it. Like
+ * publishWorkflowEvent, failures are logged and never thrown, so a webhook
+ * problem cannot break the post or update that raised the event.
+ * @param {{ workspace_id?: ObjectId, user_id?: number }} owner
+ * @returns {Promise<number>} deliveries queued
+ */
+async function publishWebhookEvent(db, type, owner, data = {}) {
+    const filter = ownerFilter(owner);
+    if (!db || !filter) return 0;
+
+    try {
+        const endpoints = await db.collection('webhook_endpoints')
+            .find({ ...filter, enabled: true, events: type })
+            .toArray();
+        if (endpoints.length === 0) {
+            return 0;
+        }
+
+        const event = buildEvent(type, owner, data);
+        await db.collection('webhook_deliveries').insertMany(endpoints.map(endpoint => newDelivery(endpoint, event)));
+        return endpoints.length;
+    } catch (error) {
+        console.error(`Failed to publish webhook event ${type}:`, error);
+        return 0;
+    }
+}
+
+/**
+ * Publish `reaction.milestone` when a posted article's reactions have just
+ * reached a milestone. Each milestone is sent once per post, however often
+ * reactions are removed and added again around it.
+ * @param {Object} post - `posted_articles` document after the reaction was counted
+ */
+async function publishReactionMilestone(db, post) {
+    if (!db || !post) return 0;
+
+    try {
+        const total = Object.values(post.reactions || {}).reduce((sum, count) => sum + (Number(count) || 0), 0);
+        if (!REACTION_MILESTONES.includes(total)) {
+            return 0;
+        }
+
+        const claimed = await db.collection('posted_articles').updateOne(
+            { _id: post._id, reaction_milestones: { $ne: total } },
+            { $addToSet: { reaction_milestones: total } }
+        );
+        if (!claimed.modifiedCount) {
+            return 0;
+        }
+
+        const destination = await db.collection('destinations').findOne({ _id: post.destination_id });
+        return await publishWebhookEvent(db, 'reaction.milestone', destinationOwner(destination), {
+            milestone: total,
+            reactions: post.reactions,
+            article_id: String(post.article_id),
+            chat_id: post.destination_chat_id ?? destination?.telegramId ?? null,
+            message_id: post.message_id,
+            destination_title: destination?.title || destination?.name || null
+        });
+    } catch (error) {
+        console.error('Failed to publish reaction milestone:', error);
+        return 0;
+    }
+}
+
+module.exports = {
+    WEBHOOK_EVENTS,
+    TEST_EVENT,
+    REACTION_MILESTONES,
+    MAX_ATTEMPTS,
+    SIGNATURE_HEADER,
+    TIMESTAMP_HEADER,
+    generateSecret,
+    signPayload,
+    signatureHeaders,
+    verifySignature,
+    retryDelay,
+    validateEndpointUrl,
+    publicLookup,
+    parseEventList,
+    destinationOwner,
+    ownerFilter,
+    buildEvent,
+    newDelivery,
+    publishWebhookEvent,
+    publishReactionMilestone
+};
@@ -5,6 +5,8 @@
 
 const { ObjectId } = require('mongodb');
 const crypto = require('crypto');
+const { publishWorkflowEvent } = require('./workflow-events');
+const { ENTITLED_STATES, renewalPeriodEnd } = require('../../../../libs/shared/src/subscription-lifecycle');
 
 class PaymentSystem {
     constructor(bot, db) {
@@ -412,7 +414,10 @@ class PaymentSystem {
             
             const result = await this.db.collection('payment_intents').insertOne(paymentData);
             
-            // Generate secure payment link
+            // Generate secure payment link. The checkout page passes the intent
+            // id to Stripe as client_reference_id (and subscription metadata
+            // payment_intent_id), which is how BillingService links the
+            // subscription's webhooks back to this user.
             const paymentLink = `${process.env.BASE_URL}/payment/stripe/${result.insertedId}`;
             
             await ctx.editMessageText(
@@ -466,7 +471,8 @@ class PaymentSystem {
             
             const result = await this.db.collection('payment_intents').insertOne(paymentData);
             
-            // Generate PayPal payment link
+            // Generate PayPal payment link. The checkout page creates the PayPal
+            // subscription with the intent id as custom_id (see BillingService).
             const paymentLink = `${process.env.BASE_URL}/payment/paypal/${result.insertedId}`;
             
             await ctx.editMessageText(
@@ -580,7 +586,15 @@ class PaymentSystem {
             const payload = JSON.parse(payment.invoice_payload);
             const userId = ctx.from.id;
             
-            // Create subscription record
+            // Renewing the same plan early adds to the time left on it
+            const currentSub = await this.getCurrentSubscription(userId);
+            const expiresAt = this.calculateExpiryDate(
+                payload.billing,
+                currentSub?.tier === payload.tier ? currentSub.expires_at : null
+            );
+            
+            // Create subscription record. Telegram payments don't renew by
+            // themselves, so the lifecycle expires it at the period end.
             const subscription = {
                 user_id: userId,
                 tier: payload.tier,
@@ -588,16 +602,27 @@ class PaymentSystem {
                 amount: payload.amount,
                 currency: payment.currency,
                 payment_method: 'telegram',
+                provider: 'telegram',
                 telegram_payment_charge_id: payment.telegram_payment_charge_id,
                 provider_payment_charge_id: payment.provider_payment_charge_id,
                 started_at: new Date(),
-                expires_at: this.calculateExpiryDate(payload.billing),
+                current_period_end: expiresAt,
+                expires_at: expiresAt,
                 status: 'active',
-                auto_renew: true
+                status_changed_at: new Date(),
+                auto_renew: false
             };
             
             await this.db.collection('subscriptions').insertOne(subscription);
             
+            await publishWorkflowEvent(this.db, 'subscription.changed', {
+                user_id: userId,
+                change: 'activated',
+                tier: payload.tier,
+                status: 'active',
+                expires_at: subscription.expires_at
+            });
+            
             // Process affiliate commission if applicable
             if (payload.referral_id) {
                 await this.processAffiliateCommission(
@@ -968,21 +993,18 @@ class PaymentSystem {
     async getCurrentSubscription(userId) {
         return await this.db.collection('subscriptions').findOne({
             user_id: userId,
-            status: 'active',
+            status: { $in: ENTITLED_STATES },
             expires_at: { $gt: new Date() }
         });
     }
 
     /**
-     * Calculate expiry date based on billing cycle
+     * Calculate expiry date based on billing cycle, counting from the end of
+     * the current subscription when renewing early. Stripe and PayPal
+     * renewals take their period end from the provider (see BillingService).
      */
-    calculateExpiryDate(billing) {
-        const now = new Date();
-        if (billing === 'yearly') {
-            return new Date(now.setFullYear(now.getFullYear() + 1));
-        } else {
-            return new Date(now.setMonth(now.getMonth() + 1));
-        }
+    calculateExpiryDate(billing, currentExpiry = null) {
+        return renewalPeriodEnd(currentExpiry, billing);
     }
 
     /**
@@ -2,9 +2,19 @@
  * Post Manager - Comprehensive posting system with reactions, scheduling, and analytics
  */
 
+const path = require('path');
 const { ObjectId } = require('mongodb');
 const EventEmitter = require('events');
 const cron = require('node-cron');
+const config = require('../config/environment');
+const { validateMessage, CAPTION_LIMIT } = require('./message-validation');
+const { render } = require('../../../../libs/shared/src/template-engine');
+const { loadSavedTemplate } = require('./saved-templates');
+const { publishReactionMilestone } = require('./outbound-webhooks');
+const { reactionKeyboard } = require('./published-posts');
+
+// Placeholders of post templates written before the template engine
+const LEGACY_PLACEHOLDER = /(^|[^{])\{(title|content|summary|url|date)\}(?!\})/g;
 
 class PostManager extends EventEmitter {
     constructor(bot, db) {
@@ -34,8 +44,10 @@ class PostManager extends EventEmitter {
     
     /**
      * Post article to destination with reactions
+     * @param {Object} [options] - `template_id` (a saved user template) and
+     *   `media` (photo URL or file id) for the post
      */
-    async postArticle(articleId, destinationId, adminId) {
+    async postArticle(articleId, destinationId, adminId, options = {}) {
         try {
             const article = await this.db.collection('news_articles')
                 .findOne({ _id: new ObjectId(articleId) });
@@ -76,11 +88,9 @@ class PostManager extends EventEmitter {
                 }
             }
             
-            // Format message
-            const message = this.formatArticleWithReactions(article);
-            
-            // Create inline keyboard with reactions
-            const keyboard = this.createReactionKeyboard(article);
+            // Format message, caption and reaction keyboard
+            const template = await this.loadTemplate(options.template_id);
+            const rendered = this.renderArticlePost(article, { template, media: options.media });
             
             // Send message with retry logic
             let sentMessage;
@@ -89,15 +99,7 @@ class PostManager extends EventEmitter {
             
             while (retries > 0) {
                 try {
-                    sentMessage = await this.bot.telegram.sendMessage(
-                        destination.id,
-                        message,
-                        {
-                            parse_mode: 'Markdown',
-                            reply_markup: keyboard,
-                            disable_web_page_preview: false
-                        }
-                    );
+                    sentMessage = await this.sendRendered(destination.id, rendered);
                     break; // Success!
                     
                 } catch (error) {
@@ -152,16 +154,10 @@ class PostManager extends EventEmitter {
                     
                     if (error.description?.includes('message is too long')) {
                         // Truncate and retry
-                        const truncatedMessage = message.substring(0, 4000) + '...\n\n[Message truncated]';
-                        sentMessage = await this.bot.telegram.sendMessage(
-                            destination.id,
-                            truncatedMessage,
-                            {
-                                parse_mode: 'Markdown',
-                                reply_markup: keyboard,
-                                disable_web_page_preview: false
-                            }
-                        );
+                        sentMessage = await this.sendRendered(destination.id, {
+                            ...rendered,
+                            text: this.truncateMessage(rendered.text)
+                        });
                         break;
                     }
                     
@@ -185,6 +181,9 @@ class PostManager extends EventEmitter {
                 destination_id: new ObjectId(destinationId),
                 destination_chat_id: destination.id,
                 message_id: sentMessage.message_id,
+                // What was sent, so bulk edits can change it later
+                message_type: rendered.type === 'photo' ? 'photo' : 'text',
+                text: rendered.text,
                 posted_by: adminId,
                 posted_at: new Date(),
                 can_edit_until: new Date(Date.now() + 48 * 60 * 60 * 1000), // 48 hours
@@ -195,6 +194,8 @@ class PostManager extends EventEmitter {
                 }
             });
             
+            await this.rememberImageFileId(article, rendered, sentMessage);
+            
             return {
                 success: true,
                 message_id: sentMessage.message_id,
@@ -248,7 +249,8 @@ class PostManager extends EventEmitter {
                 { 
                     $set: { 
                         last_edited: new Date(),
-                        edited_text: newText
+                        edited_text: newText,
+                        text: newText
                     }
                 }
             );
@@ -392,6 +394,10 @@ class PostManager extends EventEmitter {
             const post = await this.db.collection('posted_articles')
                 .findOne({ _id: new ObjectId(postId) });
             
+            if (!existingReaction) {
+                await publishReactionMilestone(this.db, post);
+            }
+            
             // Update the message keyboard with new counts
             const keyboard = await this.getUpdatedReactionKeyboard(articleId, postId);
             
@@ -451,6 +457,182 @@ class PostManager extends EventEmitter {
         };
     }
     
+    /**
+     * Load a saved user template (see TemplateSystem) with the templates
+     * it includes
+     */
+    async loadTemplate(templateId) {
+        if (!templateId) {
+            return null;
+        }
+        
+        return await loadSavedTemplate(this.db, templateId);
+    }
+    
+    /**
+     * Template variables for an article. Dates are those of the send time,
+     * and are formatted in the destination's timezone.
+     */
+    getArticleVariables(article, { at = new Date(), timezone } = {}) {
+        const sendTime = new Date(at);
+        const url = article.url || 'https://thezonenews.com';
+        
+        return {
+            article,
+            title: article.title,
+            content: article.content,
+            summary: article.summary || article.content?.substring(0, 300),
+            category: article.category || 'General',
+            source: article.source,
+            link: url,
+            url,
+            published: article.published_date ? new Date(article.published_date) : null,
+            date: sendTime,
+            time: sendTime.toLocaleTimeString('en-AU', { timeZone: timezone, hour12: false }),
+            datetime: sendTime.toLocaleString('en-AU', { timeZone: timezone }),
+            day: sendTime.toLocaleDateString('en-AU', { timeZone: timezone, weekday: 'long' }),
+            month: sendTime.toLocaleDateString('en-AU', { timeZone: timezone, month: 'long' }),
+            year: sendTime.toLocaleDateString('en-AU', { timeZone: timezone, year: 'numeric' }),
+            break: '\n',
+            separator: '━━━━━━━━━━━━━━━━━━━━'
+        };
+    }
+    
+    /**
+     * Render a saved template. Variables output without a value are listed
+     * in `unresolved`.
+     */
+    renderTemplate(template, variables, { timezone } = {}) {
+        const unresolved = new Set();
+        const text = render(template.content, variables, {
+            mode: template.parse_mode || 'Markdown',
+            partials: template.partials,
+            timezone,
+            onUndefined: name => unresolved.add(name)
+        });
+        
+        return { text, unresolved: [...unresolved] };
+    }
+    
+    /**
+     * The message an article is posted as: its text (or photo caption),
+     * parse mode, photo and reaction keyboard. Without `media`, articles
+     * whose image has been optimized are sent with it when the text fits
+     * in a caption.
+     */
+    renderArticlePost(article, { template = null, media = null, at, timezone } = {}) {
+        const { text, unresolved } = template
+            ? this.renderTemplate(template, this.getArticleVariables(article, { at, timezone }), { timezone })
+            : { text: this.formatArticleWithReactions(article), unresolved: [] };
+        const photo = media || (text.length <= CAPTION_LIMIT ? this.articlePhoto(article) : null);
+        
+        return {
+            type: photo ? 'photo' : 'text',
+            text,
+            parse_mode: template?.parse_mode || 'Markdown',
+            photo: photo || null,
+            reply_markup: this.createReactionKeyboard(article),
+            unresolved
+        };
+    }
+    
+    /**
+     * The Telegram-sized version of an article's image from ImagePipeline:
+     * its file_id once it has been uploaded, the file until then
+     */
+    articlePhoto(article) {
+        const image = article.images?.telegram;
+        if (!image) {
+            return null;
+        }
+        return image.file_id || { source: path.join(config.images.assetDir, image.path) };
+    }
+    
+    /**
+     * Keep the file_id Telegram gave an article's image on its first upload,
+     * for every article using that image
+     */
+    async rememberImageFileId(article, rendered, sentMessage) {
+        const assetId = article.images?.asset_id;
+        const sizes = sentMessage.photo;
+        if (!assetId || article.images.telegram?.file_id || !rendered.photo?.source || !sizes?.length) {
+            return;
+        }
+        
+        const fileId = sizes[sizes.length - 1].file_id;
+        await this.db.collection('image_assets').updateOne(
+            { _id: assetId },
+            { $set: { 'variants.telegram.file_id': fileId } }
+        );
+        await this.db.collection('news_articles').updateMany(
+            { 'images.asset_id': assetId },
+            { $set: { 'images.telegram.file_id': fileId } }
+        );
+    }
+    
+    /**
+     * Send a message built by renderArticlePost
+     */
+    async sendRendered(chatId, rendered) {
+        if (rendered.type === 'photo') {
+            return await this.bot.telegram.sendPhoto(chatId, rendered.photo, {
+                caption: rendered.text,
+                parse_mode: rendered.parse_mode,
+                reply_markup: rendered.reply_markup
+            });
+        }
+        
+        return await this.bot.telegram.sendMessage(chatId, rendered.text, {
+            parse_mode: rendered.parse_mode,
+            reply_markup: rendered.reply_markup,
+            disable_web_page_preview: false
+        });
+    }
+    
+    truncateMessage(text) {
+        return text.substring(0, 4000) + '...\n\n[Message truncated]';
+    }
+    
+    /**
+     * Render an article for a destination without sending it, with the
+     * problems that would stop it being delivered as rendered
+     */
+    async previewArticlePost(article, destination, options = {}) {
+        const problems = [];
+        
+        let rendered;
+        try {
+            rendered = this.renderArticlePost(article, {
+                template: await this.loadTemplate(options.template_id),
+                media: options.media,
+                at: options.at,
+                timezone: options.timezone
+            });
+        } catch (error) {
+            // A missing template, or one that includes a missing template
+            problems.push({ severity: 'error', code: 'template_error', message: error.message });
+            return { rendered: null, problems };
+        }
+        
+        if (rendered.unresolved.length > 0) {
+            problems.push({
+                severity: 'warning',
+                code: 'unresolved_variables',
+                message: `Template variables with no value: ${rendered.unresolved.join(', ')}`
+            });
+        }
+        
+        problems.push(...await validateMessage(
+            this.bot.telegram,
+            this.bot.botInfo?.id,
+            destination,
+            rendered.text,
+            { caption: rendered.type === 'photo', parseMode: rendered.parse_mode }
+        ));
+        
+        return { rendered, problems };
+    }
+    
     /**
      * Get updated reaction keyboard with current counts
      */
@@ -458,21 +640,7 @@ class PostManager extends EventEmitter {
         const post = await this.db.collection('posted_articles')
             .findOne({ _id: new ObjectId(postId) });
         
-        const reactions = post?.reactions || { like: 0, love: 0, fire: 0 };
-        
-        return {
-            inline_keyboard: [
-                [
-                    { text: `👍 ${reactions.like}`, callback_data: `react:like:${articleId}:${postId}` },
-                    { text: `❤️ ${reactions.love}`, callback_data: `react:love:${articleId}:${postId}` },
-                    { text: `🔥 ${reactions.fire}`, callback_data: `react:fire:${articleId}:${postId}` }
-                ],
-                [
-                    { text: '💬 Comment', callback_data: `comment:${articleId}` },
-                    { text: '🔗 Share', callback_data: `share:${articleId}` }
-                ]
-            ]
-        };
+        return reactionKeyboard({ ...post, article_id: articleId, _id: postId });
     }
     
     /**
@@ -802,12 +970,18 @@ class PostManager extends EventEmitter {
             );
             
             // Merge template with article data
-            const formattedContent = template.content
-                .replace('{title}', articleData.title || '')
-                .replace('{content}', articleData.content || '')
-                .replace('{summary}', articleData.summary || '')
-                .replace('{url}', articleData.url || '')
-                .replace('{date}', new Date(articleData.published_date).toLocaleDateString('en-AU'));
+            const formattedContent = render(
+                template.content.replace(LEGACY_PLACEHOLDER, '$1{{ $2 }}'),
+                {
+                    article: articleData,
+                    title: articleData.title,
+                    content: articleData.content,
+                    summary: articleData.summary,
+                    url: articleData.url,
+                    date: articleData.published_date ? new Date(articleData.published_date) : null
+                },
+                { mode: template.formatting?.parse_mode || 'Markdown' }
+            );
             
             return {
                 content: formattedContent,
@@ -0,0 +1,361 @@
+/**
+ * Posting Windows - per-destination timezone, quiet hours, weekend rules
+ * and holiday calendars
+ *
+ * A posting policy describes when a destination may receive posts:
+ *
+ *   {
+ *     timezone: 'Australia/Adelaide',
+ *     quiet_hours: { start: '22:00', end: '06:00' },     // or null
+ *     weekend: { mode: 'allow' | 'block' | 'window', days: [0, 6], start, end },
+ *     holidays: [{ start: '2025-12-25', end: '2025-12-26', summary, yearly }],
+ *     on_blocked: 'defer' | 'drop'
+ *   }
+ *
+ * Holiday dates are local calendar dates; `end` is exclusive, as in iCal.
+ */
+
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+const WEEKEND_MODES = ['allow', 'block', 'window'];
+const BLOCKED_ACTIONS = ['defer', 'drop'];
+const MAX_DEFER_STEPS = 64;
+
+const formatters = new Map();
+
+function getFormatter(timeZone) {
+    if (!formatters.has(timeZone)) {
+        formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+            timeZone,
+            hourCycle: 'h23',
+            year: 'numeric',
+            month: '2-digit',
+            day: '2-digit',
+            hour: '2-digit',
+            minute: '2-digit',
+            weekday: 'short'
+        }));
+    }
+    return formatters.get(timeZone);
+}
+
+function isValidTimeZone(timeZone) {
+    try {
+        getFormatter(timeZone);
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+/**
+ * Wall-clock fields of `date` in `timeZone`
+ */
+function getLocalParts(date, timeZone) {
+    const parts = {};
+    for (const { type, value } of getFormatter(timeZone).formatToParts(date)) {
+        parts[type] = value;
+    }
+
+    return {
+        year: Number(parts.year),
+        month: Number(parts.month),
+        day: Number(parts.day),
+        hour: Number(parts.hour) % 24,
+        minute: Number(parts.minute),
+        weekday: WEEKDAYS.indexOf(parts.weekday),
+        dateKey: `${parts.year}-${parts.month}-${parts.day}`
+    };
+}
+
+function getOffset(timestamp, timeZone) {
+    const local = getLocalParts(new Date(timestamp), timeZone);
+    const asUtc = Date.UTC(local.year, local.month - 1, local.day, local.hour, local.minute);
+    return asUtc - Math.floor(timestamp / 60000) * 60000;
+}
+
+/**
+ * The instant a wall-clock time occurs in `timeZone`. Day overflow is
+ * normalised, so `day + 1` gives the next calendar day. Times skipped by a
+ * DST change resolve to just after the change.
+ */
+function zonedTimeToUtc({ year, month, day, hour = 0, minute = 0 }, timeZone) {
+    const guess = Date.UTC(year, month - 1, day, hour, minute);
+    const offset = getOffset(guess, timeZone);
+    const corrected = getOffset(guess - offset, timeZone);
+    return new Date(guess - corrected);
+}
+
+/**
+ * Minutes since midnight for 'HH:MM', or null
+ */
+function parseClock(value) {
+    const match = /^(\d{1,2}):(\d{2})$/.exec(String(value ?? '').trim());
+    if (!match) {
+        return null;
+    }
+
+    const hours = Number(match[1]);
+    const minutes = Number(match[2]);
+    if (hours > 23 || minutes > 59) {
+        return null;
+    }
+    return hours * 60 + minutes;
+}
+
+function formatClock(minutes) {
+    return `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+}
+
+function inRange(minutes, start, end) {
+    return start <= end
+        ? minutes >= start && minutes < end
+        : minutes >= start || minutes < end; // Overnight, e.g. 22:00 to 06:00
+}
+
+function isHolidayDate(holidays = [], dateKey) {
+    const monthDay = dateKey.slice(5);
+
+    return holidays.find(holiday => {
+        const end = holiday.end || addDays(holiday.start, 1);
+        if (holiday.yearly) {
+            const [from, to] = [holiday.start.slice(5), end.slice(5)];
+            // A yearly range can wrap the new year, e.g. 12-31 to 01-01
+            return from < to
+                ? monthDay >= from && monthDay < to
+                : monthDay >= from || monthDay < to;
+        }
+        return holiday.start <= dateKey && dateKey < end;
+    }) || null;
+}
+
+/**
+ * Why `date` falls outside the policy's posting window, and when that
+ * block ends. Returns null if posting is allowed.
+ */
+function checkPostingWindow(policy, date = new Date()) {
+    const local = getLocalParts(date, policy.timezone);
+    const minutes = local.hour * 60 + local.minute;
+    const tz = policy.timezone;
+
+    const nextMidnight = () => zonedTimeToUtc({ year: local.year, month: local.month, day: local.day + 1 }, tz);
+    const nextClock = (clock) => zonedTimeToUtc({
+        year: local.year,
+        month: local.month,
+        day: minutes < clock ? local.day : local.day + 1,
+        hour: Math.floor(clock / 60),
+        minute: clock % 60
+    }, tz);
+
+    const holiday = isHolidayDate(policy.holidays, local.dateKey);
+    if (holiday) {
+        return { reason: 'holiday', label: holiday.summary || 'Holiday', until: nextMidnight() };
+    }
+
+    const weekend = policy.weekend || {};
+    if (weekend.mode && weekend.mode !== 'allow' && (weekend.days || [0, 6]).includes(local.weekday)) {
+        if (weekend.mode === 'block') {
+            return { reason: 'weekend', label: 'Weekend', until: nextMidnight() };
+        }
+
+        const start = parseClock(weekend.start);
+        const end = parseClock(weekend.end);
+        if (start !== null && end !== null && !inRange(minutes, start, end)) {
+            return {
+                reason: 'weekend',
+                label: `Weekend hours ${weekend.start}-${weekend.end}`,
+                until: start <= end && minutes < start ? nextClock(start) : nextMidnight()
+            };
+        }
+    }
+
+    const quiet = policy.quiet_hours;
+    if (quiet) {
+        const start = parseClock(quiet.start);
+        const end = parseClock(quiet.end);
+        if (start !== null && end !== null && start !== end && inRange(minutes, start, end)) {
+            return {
+                reason: 'quiet_hours',
+                label: `Quiet hours ${quiet.start}-${quiet.end}`,
+                until: nextClock(end)
+            };
+        }
+    }
+
+    return null;
+}
+
+/**
+ * The first time at or after `date` that the policy allows posting, with
+ * the blocks that were skipped. `time` is null if no allowed time was found
+ * (e.g. every day is blocked).
+ */
+function nextAllowedTime(policy, date = new Date()) {
+    const blocks = [];
+    let candidate = new Date(date);
+
+    for (let i = 0; i < MAX_DEFER_STEPS; i++) {
+        const block = checkPostingWindow(policy, candidate);
+        if (!block) {
+            return { time: candidate, blocks };
+        }
+
+        blocks.push(block);
+        candidate = block.until;
+    }
+
+    return { time: null, blocks };
+}
+
+function unescapeICalText(value) {
+    return value
+        .replace(/\\n/gi, ' ')
+        .replace(/\\([,;\\])/g, '$1')
+        .trim();
+}
+
+function parseICalDate(value) {
+    const match = /^(\d{4})(\d{2})(\d{2})/.exec(value || '');
+    return match ? `${match[1]}-${match[2]}-${match[3]}` : null;
+}
+
+function addDays(dateKey, days) {
+    const [year, month, day] = dateKey.split('-').map(Number);
+    return new Date(Date.UTC(year, month - 1, day + days)).toISOString().slice(0, 10);
+}
+
+/**
+ * Parse the all-day events of an iCalendar (.ics) file into holidays.
+ * Timed events are treated as covering their start date. Yearly recurring
+ * events repeat on the same calendar dates every year.
+ */
+function parseICalHolidays(text) {
+    if (!/BEGIN:VCALENDAR/i.test(text || '')) {
+        throw new Error('Not an iCalendar file');
+    }
+
+    // Continuation lines start with a space or tab
+    const lines = text.replace(/\r?\n[ \t]/g, '').split(/\r?\n/);
+
+    const holidays = [];
+    let event = null;
+
+    for (const line of lines) {
+        if (/^BEGIN:VEVENT$/i.test(line)) {
+            event = {};
+            continue;
+        }
+
+        if (/^END:VEVENT$/i.test(line)) {
+            if (event?.start && event.status !== 'CANCELLED') {
+                holidays.push({
+                    start: event.start,
+                    end: event.end && event.end > event.start ? event.end : addDays(event.start, 1),
+                    summary: event.summary || 'Holiday',
+                    yearly: Boolean(event.yearly)
+                });
+            }
+            event = null;
+            continue;
+        }
+
+        if (!event) {
+            continue;
+        }
+
+        const separator = line.indexOf(':');
+        if (separator === -1) {
+            continue;
+        }
+
+        const name = line.slice(0, separator).split(';')[0].toUpperCase();
+        const value = line.slice(separator + 1);
+
+        switch (name) {
+            case 'DTSTART':
+                event.start = parseICalDate(value);
+                break;
+            case 'DTEND':
+                event.end = parseICalDate(value);
+                break;
+            case 'SUMMARY':
+                event.summary = unescapeICalText(value);
+                break;
+            case 'RRULE':
+                event.yearly = /FREQ=YEARLY/i.test(value);
+                break;
+            case 'STATUS':
+                event.status = value.trim().toUpperCase();
+                break;
+        }
+    }
+
+    if (holidays.length === 0) {
+        throw new Error('The calendar contains no events');
+    }
+
+    return holidays.sort((a, b) => a.start.localeCompare(b.start));
+}
+
+/**
+ * Validate a partial policy update. Returns a list of problems.
+ */
+function validatePolicy(policy = {}) {
+    const errors = [];
+
+    if (policy.timezone !== undefined && !isValidTimeZone(policy.timezone)) {
+        errors.push(`Unknown timezone: ${policy.timezone}`);
+    }
+
+    if (policy.quiet_hours) {
+        if (parseClock(policy.quiet_hours.start) === null || parseClock(policy.quiet_hours.end) === null) {
+            errors.push('Quiet hours must be HH:MM-HH:MM');
+        }
+    }
+
+    if (policy.weekend) {
+        const { mode, days, start, end } = policy.weekend;
+        if (!WEEKEND_MODES.includes(mode)) {
+            errors.push(`Weekend mode must be one of: ${WEEKEND_MODES.join(', ')}`);
+        }
+        if (days !== undefined && (!Array.isArray(days) || days.some(day => !Number.isInteger(day) || day < 0 || day > 6))) {
+            errors.push('Weekend days must be numbers from 0 (Sunday) to 6 (Saturday)');
+        }
+        if (mode === 'window' && (parseClock(start) === null || parseClock(end) === null)) {
+            errors.push('Weekend window must be HH:MM-HH:MM');
+        }
+    }
+
+    if (policy.on_blocked !== undefined && !BLOCKED_ACTIONS.includes(policy.on_blocked)) {
+        errors.push(`Blocked posts must be one of: ${BLOCKED_ACTIONS.join(', ')}`);
+    }
+
+    return errors;
+}
+
+/**
+ * A destination's stored policy over the defaults
+ */
+function resolvePolicy(defaults, stored = {}) {
+    return {
+        ...defaults,
+        ...stored,
+        weekend: { ...defaults.weekend, ...stored.weekend },
+        holidays: stored.holiday_calendar?.events || defaults.holidays || []
+    };
+}
+
+module.exports = {
+    WEEKDAYS,
+    WEEKEND_MODES,
+    BLOCKED_ACTIONS,
+    isValidTimeZone,
+    getLocalParts,
+    zonedTimeToUtc,
+    parseClock,
+    formatClock,
+    checkPostingWindow,
+    nextAllowedTime,
+    parseICalHolidays,
+    validatePolicy,
+    resolvePolicy
+};
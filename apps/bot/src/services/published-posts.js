@@ -0,0 +1,244 @@
+/**
+ * Published Posts - choosing posts that are already out in channels and
+ * groups, and working out what a bulk edit does to each of them
+ *
+ * Posts come from `posted_articles` (one document per message sent, with its
+ * chat and message id). A selection is written as filters:
+ *
+ *   article:<id>  from:2026-10-01  to:2026-10-18  in:@zone,-1001234  tag:sports
+ *
+ * and an edit as one or more lines:
+ *
+ *   text: <new text, to the end of the message>
+ *   replace: <find> => <replacement>
+ *   append: <text added on a new line>
+ *   buttons: none | reactions | Label - https://… | Label 2 - https://…
+ *
+ * BulkEditSystem previews the selection and runs the edit or delete as a
+ * bulk job (see bulk-jobs).
+ */
+
+const FILTER_NAMES = ['article', 'from', 'to', 'in', 'tag'];
+const MAX_BUTTONS = 8;
+
+/**
+ * A selection from command arguments
+ * @returns {{ selection: Object, errors: string[] }}
+ */
+function parseSelection(input) {
+    const selection = { article_id: null, from: null, to: null, chats: [], tag: null };
+    const errors = [];
+
+    for (const token of String(input || '').split(/\s+/).filter(Boolean)) {
+        const match = token.match(/^(\w+):(.+)$/);
+        if (!match || !FILTER_NAMES.includes(match[1].toLowerCase())) {
+            errors.push(`Unknown filter "${token}"`);
+            continue;
+        }
+
+        const [, name, value] = match;
+        switch (name.toLowerCase()) {
+            case 'article':
+                if (/^[a-f0-9]{24}$/i.test(value)) {
+                    selection.article_id = value;
+                } else {
+                    errors.push(`"${value}" is not an article id`);
+                }
+                break;
+            case 'from':
+            case 'to': {
+                const date = parseDay(value, name.toLowerCase() === 'to');
+                if (date) {
+                    selection[name.toLowerCase()] = date;
+                } else {
+                    errors.push(`"${value}" is not a date (use YYYY-MM-DD)`);
+                }
+                break;
+            }
+            case 'in':
+                selection.chats.push(...value.split(',').map(chat => chat.trim()).filter(Boolean));
+                break;
+            case 'tag':
+                selection.tag = value.toLowerCase();
+                break;
+        }
+    }
+
+    if (errors.length === 0 && !selection.article_id && !selection.from && !selection.to &&
+        selection.chats.length === 0 && !selection.tag) {
+        errors.push('Choose posts with at least one of article:, from:, to:, in: or tag:');
+    }
+    if (selection.from && selection.to && selection.from > selection.to) {
+        errors.push('from: is after to:');
+    }
+
+    return { selection, errors };
+}
+
+/**
+ * Start of a local day, or its end for the inclusive `to:` filter
+ */
+function parseDay(value, endOfDay = false) {
+    const match = String(value).match(/^(\d{4})-(\d{2})-(\d{2})$/);
+    if (!match) {
+        return null;
+    }
+    const date = endOfDay
+        ? new Date(+match[1], +match[2] - 1, +match[3], 23, 59, 59, 999)
+        : new Date(+match[1], +match[2] - 1, +match[3]);
+    return date.getMonth() === +match[2] - 1 ? date : null;
+}
+
+/**
+ * An edit from the lines after the command
+ * @returns {{ edit: Object, errors: string[] }}
+ */
+function parseEdit(lines) {
+    const edit = { text: null, replace: null, append: null, buttons: 'keep' };
+    const errors = [];
+
+    for (let i = 0; i < lines.length; i++) {
+        const match = lines[i].match(/^\s*(text|replace|append|buttons)\s*:\s?(.*)$/i);
+        if (!match) {
+            if (lines[i].trim()) {
+                errors.push(`Unknown edit "${lines[i].trim()}"`);
+            }
+            continue;
+        }
+
+        const [, name, value] = match;
+        switch (name.toLowerCase()) {
+            case 'text':
+                // The new text may span lines
+                edit.text = [value, ...lines.slice(i + 1)].join('\n').trim();
+                i = lines.length;
+                break;
+            case 'replace': {
+                const [find, replacement] = value.split('=>');
+                if (!find?.trim() || replacement === undefined) {
+                    errors.push('Write replace: as "replace: old text => new text"');
+                } else {
+                    edit.replace = { find: find.trim(), with: replacement.trim() };
+                }
+                break;
+            }
+            case 'append':
+                edit.append = value.trim();
+                break;
+            case 'buttons':
+                edit.buttons = parseButtons(value, errors);
+                break;
+        }
+    }
+
+    if (edit.text !== null && !edit.text) {
+        errors.push('text: needs the new text');
+    }
+    if (edit.text === null && !edit.replace && !edit.append && edit.buttons === 'keep') {
+        errors.push('Say what to change with text:, replace:, append: or buttons:');
+    }
+
+    return { edit, errors };
+}
+
+function parseButtons(value, errors) {
+    const trimmed = value.trim().toLowerCase();
+    if (trimmed === 'none' || trimmed === 'reactions' || trimmed === 'keep') {
+        return trimmed;
+    }
+
+    const buttons = [];
+    for (const part of value.split('|').map(item => item.trim()).filter(Boolean)) {
+        const match = part.match(/^(.+?)\s+-\s+(https?:\/\/\S+)$/);
+        if (!match) {
+            errors.push(`Write buttons as "Label - https://…", not "${part}"`);
+            continue;
+        }
+        buttons.push({ text: match[1].trim(), url: match[2] });
+    }
+    if (buttons.length > MAX_BUTTONS) {
+        errors.push(`Use at most ${MAX_BUTTONS} buttons`);
+    }
+    return buttons.map(button => [button]);
+}
+
+/**
+ * Whether an edit needs the text that was sent (kept on posts sent since
+ * it started being stored)
+ */
+function needsCurrentText(edit) {
+    return edit.text === null && Boolean(edit.replace || edit.append);
+}
+
+/**
+ * A post's text after the edit: the post's own text if the edit leaves the
+ * text alone, null if it needs a text the post doesn't have
+ */
+function applyTextEdit(text, edit) {
+    if (edit.text !== null) {
+        return edit.text;
+    }
+    if (!needsCurrentText(edit)) {
+        return text ?? null;
+    }
+    if (typeof text !== 'string') {
+        return null;
+    }
+
+    let result = text;
+    if (edit.replace) {
+        result = result.split(edit.replace.find).join(edit.replace.with);
+    }
+    if (edit.append) {
+        result = `${result}\n\n${edit.append}`;
+    }
+    return result;
+}
+
+/**
+ * A posted article's reaction buttons with its current counts
+ */
+function reactionKeyboard(post) {
+    const reactions = post?.reactions || { like: 0, love: 0, fire: 0 };
+    const articleId = post?.article_id;
+    const postId = post?._id;
+
+    return {
+        inline_keyboard: [
+            [
+                { text: `👍 ${reactions.like}`, callback_data: `react:like:${articleId}:${postId}` },
+                { text: `❤️ ${reactions.love}`, callback_data: `react:love:${articleId}:${postId}` },
+                { text: `🔥 ${reactions.fire}`, callback_data: `react:fire:${articleId}:${postId}` }
+            ],
+            [
+                { text: '💬 Comment', callback_data: `comment:${articleId}` },
+                { text: '🔗 Share', callback_data: `share:${articleId}` }
+            ]
+        ]
+    };
+}
+
+/**
+ * The keyboard a post should have after the edit. Editing a message's text
+ * drops its keyboard unless it is sent again, so "keep" rebuilds the post's
+ * reaction buttons.
+ */
+function editedKeyboard(post, edit) {
+    if (edit.buttons === 'none') {
+        return { inline_keyboard: [] };
+    }
+    if (Array.isArray(edit.buttons)) {
+        return { inline_keyboard: edit.buttons };
+    }
+    return post.article_id ? reactionKeyboard(post) : undefined;
+}
+
+module.exports = {
+    parseSelection,
+    parseDay,
+    parseEdit,
+    needsCurrentText,
+    applyTextEdit,
+    reactionKeyboard,
+    editedKeyboard
+};
@@ -0,0 +1,29 @@
+/**
+ * Saved Templates - loads users' templates (see TemplateSystem) with the
+ * templates they include, ready for the template engine
+ */
+
+const { ObjectId } = require('mongodb');
+const { templateScope, loadPartials } = require('../../../../libs/shared/src/saved-templates');
+
+/**
+ * A saved template by id, with `partials` for its includes
+ */
+async function loadSavedTemplate(db, templateId) {
+    const template = ObjectId.isValid(templateId)
+        ? await db.collection('user_templates').findOne({ _id: new ObjectId(templateId) })
+        : null;
+
+    if (!template) {
+        throw new Error('Template not found');
+    }
+
+    template.partials = await loadPartials(db, templateScope(template), template.content);
+    return template;
+}
+
+module.exports = {
+    templateScope,
+    loadPartials,
+    loadSavedTemplate
+};
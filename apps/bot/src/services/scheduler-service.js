@@ -10,6 +10,82 @@
 
 const { CronJob } = require('cron');
 const { ObjectId } = require('mongodb');
+const os = require('os');
+const crypto = require('crypto');
+const axios = require('axios');
+const {
+    checkPostingWindow,
+    nextAllowedTime,
+    parseICalHolidays,
+    validatePolicy,
+    resolvePolicy,
+    formatClock,
+    getLocalParts,
+    zonedTimeToUtc
+} = require('./posting-windows');
+const { EngagementModel, rankCells } = require('./engagement-model');
+const { validateMessage } = require('./message-validation');
+const { render } = require('../../../../libs/shared/src/template-engine');
+const { loadSavedTemplate } = require('./saved-templates');
+const { roleAllows, scopeFilter, workspaceStamp, canActOn, findActiveMembership } = require('./workspace-access');
+const { publishWebhookEvent, destinationOwner } = require('./outbound-webhooks');
+
+const LEADER_LEASE_ID = 'cron-leader';
+const RATE_LIMIT_WINDOW_MS = 60000;
+const WEEKDAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+const AUTO_SCHEDULE_REFRESH_MS = 7 * 24 * 60 * 60 * 1000; // Re-pick "auto" digest hours weekly
+const AUTO_LEAD_TIME_MS = 5 * 60 * 1000;
+
+// Fallback slots for destinations without enough engagement history
+const HEURISTIC_SLOTS = [
+    { time: '12:30', label: 'Lunch Break', description: 'Peak mobile usage time', engagement_score: 92 },
+    { time: '18:00', label: 'Evening Update', description: 'End of workday catch-up', engagement_score: 88 },
+    { time: '08:00', label: 'Morning Digest', description: 'Good for daily news summaries', engagement_score: 85 },
+    { time: '10:00', label: 'Weekend Morning', description: 'Leisurely weekend reading', engagement_score: 75, days: ['Saturday', 'Sunday'] }
+];
+
+// Built-in digest layouts, in the template language (see template-engine).
+// A digest job's `template_id` replaces these with a saved template.
+const DIGEST_FOOTER = `
+🔗 [Read all articles](https://thezonenews.com)
+📊 Total articles: {{ articles | length }}`;
+
+const DIGEST_TEMPLATES = {
+    brief: `📰 *News Digest* - {{ date }}
+
+{% for article in articles | limit:3 %}
+{{ loop.index }}. *{{ article.title }}*
+{% endfor %}
+${DIGEST_FOOTER}`,
+    
+    detailed: `📰 *News Digest* - {{ date }}
+
+{% for article in articles %}
+{{ loop.index }}. *{{ article.title }}*
+   {% if article.summary %}{{ article.summary }}{% else %}{{ article.content | truncate:100,"" }}{% endif %}...
+   📅 {{ article.published_date | date }}
+
+{% endfor %}
+${DIGEST_FOOTER}`,
+    
+    standard: `📰 *News Digest* - {{ date }}
+
+{% for article in articles %}
+{{ loop.index }}. *{{ article.title }}*
+   📅 {{ article.published_date | date }} | 📂 {{ article.category | default:"General" }}
+
+{% endfor %}
+${DIGEST_FOOTER}`
+};
+
+// Australian public holidays, used for destinations without their own calendar
+const DEFAULT_HOLIDAYS = [
+    { start: '2000-01-01', end: '2000-01-02', summary: "New Year's Day", yearly: true },
+    { start: '2000-01-26', end: '2000-01-27', summary: 'Australia Day', yearly: true },
+    { start: '2000-04-25', end: '2000-04-26', summary: 'ANZAC Day', yearly: true },
+    { start: '2000-12-25', end: '2000-12-26', summary: 'Christmas Day', yearly: true },
+    { start: '2000-12-26', end: '2000-12-27', summary: 'Boxing Day', yearly: true }
+];
 
 /**
  * Comprehensive scheduler service with advanced scheduling capabilities
@@ -27,15 +103,27 @@ class SchedulerService {
             retryDelay: 60000, // 1 minute
             batchSize: 5,
             rateLimit: 30, // messages per minute
-            quietHours: { start: 22, end: 6 }, // 10 PM to 6 AM
+            quietHours: { start: 22, end: 6 }, // 10 PM to 6 AM - default for destinations without their own
             enableHolidaySkip: true,
+            onBlocked: 'defer', // What to do with posts that fall into a blocked window: defer or drop
+            leaseMs: 120000, // 2 minutes - how long a claimed item stays ours without a heartbeat
+            leaderLeaseMs: 60000, // 1 minute - cron leadership lapses if not renewed
+            heartbeatInterval: 20000, // 20 seconds
             ...options
         };
         
+        // Identifies this replica in leases and delivery records
+        this.instanceId = this.options.instanceId ||
+            `${os.hostname()}:${process.pid}:${crypto.randomBytes(3).toString('hex')}`;
+        
         // Internal state
         this.jobs = new Map(); // Active cron jobs
-        this.rateLimiter = { count: 0, resetTime: Date.now() + 60000 };
-        this.processingQueue = new Set();
+        this.timers = [];
+        this.isLeader = false;
+        this.rateLimiter = { count: 0, window: null }; // Last seen shared usage, for health reports
+        this.processingQueue = new Set(); // Items this instance is processing
+        this.engagement = new EngagementModel(db);
+        this.lastAutoRefresh = 0;
         this.isHealthy = true;
         this.lastHeartbeat = new Date();
         
@@ -75,19 +163,20 @@ class SchedulerService {
             await this.loadScheduledPosts();
             await this.loadCronJobs();
             
+            // Take part in cron leader election and keep schedules in sync across replicas
+            await this.electLeader();
+            this.startCoordinator();
+            
             // Start health monitor (every minute)
             this.startHealthMonitor();
             
             // Start queue processor
             this.startQueueProcessor();
             
-            // Start rate limiter reset
-            this.startRateLimiterReset();
-            
             // Recovery check for failed posts
             setTimeout(() => this.performRecoveryCheck(), 30000);
             
-            console.log(`✅ Advanced Scheduler Service initialized with timezone: ${this.options.timezone}`);
+            console.log(`✅ Advanced Scheduler Service initialized with timezone: ${this.options.timezone} (instance ${this.instanceId})`);
             console.log(`📋 Available schedule templates: ${Object.keys(this.templates).join(', ')}`);
             
         } catch (error) {
@@ -103,9 +192,23 @@ class SchedulerService {
         const collections = [
             { name: 'scheduled_posts', indexes: [
                 { key: { scheduled_for: 1, status: 1 } },
+                { key: { status: 1, lease_expires_at: 1 } },
                 { key: { scheduled_by: 1 } },
                 { key: { created_at: -1 } }
             ]},
+            { name: 'post_queue', indexes: [
+                { key: { status: 1, scheduled_for: 1 } },
+                { key: { status: 1, lease_expires_at: 1 } },
+                { key: { scheduled_post_id: 1, status: 1 } },
+                { key: { idempotency_key: 1 }, unique: true, partialFilterExpression: { idempotency_key: { $type: 'string' } } }
+            ]},
+            { name: 'scheduler_rate_limits', indexes: [
+                { key: { expires_at: 1 }, expireAfterSeconds: 0 }
+            ]},
+            { name: 'post_deliveries', indexes: [
+                { key: { status: 1, started_at: 1 } },
+                { key: { created_at: 1 }, expireAfterSeconds: 30 * 24 * 60 * 60 }
+            ]},
             { name: 'schedule_jobs', indexes: [
                 { key: { channel_id: 1, enabled: 1 } },
                 { key: { created_by: 1 } },
@@ -167,10 +270,8 @@ class SchedulerService {
                 .toArray();
             
             if (overduePosts.length > 0) {
-                console.log(`⚠️  Found ${overduePosts.length} overdue posts - will attempt recovery`);
-                for (const post of overduePosts) {
-                    await this.schedulePostForRecovery(post);
-                }
+                // The queue processor dispatches every due post, overdue ones included
+                console.log(`⚠️  Found ${overduePosts.length} overdue posts - they will be dispatched on the next queue run`);
             }
             
         } catch (error) {
@@ -221,6 +322,7 @@ class SchedulerService {
             this.jobs.set(jobData._id.toString(), {
                 job,
                 data: jobData,
+                version: this.getJobVersion(jobData),
                 lastRun: null,
                 runCount: 0,
                 errors: []
@@ -240,6 +342,184 @@ class SchedulerService {
         }
     }
     
+    /**
+     * Identifies a job definition, so replicas notice when it was edited
+     */
+    getJobVersion(jobData) {
+        const changedAt = jobData.updated_at || jobData.created_at;
+        return `${changedAt ? new Date(changedAt).getTime() : 0}:${JSON.stringify(jobData.schedule)}`;
+    }
+    
+    /**
+     * Start the coordination heartbeat: renew cron leadership and pick up
+     * schedule changes made on other instances
+     */
+    startCoordinator() {
+        this.timers.push(setInterval(async () => {
+            try {
+                await this.electLeader();
+                if (this.isLeader && Date.now() - this.lastAutoRefresh > 60 * 60 * 1000) {
+                    this.lastAutoRefresh = Date.now();
+                    await this.refreshAutoSchedules();
+                }
+                await this.syncCronJobs();
+            } catch (error) {
+                console.error('❌ Scheduler coordinator error:', error);
+            }
+        }, this.options.heartbeatInterval));
+    }
+    
+    /**
+     * Take or renew the cron leader lease. Only the leader fires recurring
+     * schedules; if it stops renewing, another instance takes over once the
+     * lease lapses.
+     */
+    async electLeader() {
+        const now = new Date();
+        
+        try {
+            await this.db.collection('scheduler_leases').updateOne(
+                {
+                    _id: LEADER_LEASE_ID,
+                    $or: [
+                        { owner: this.instanceId },
+                        { expires_at: { $lt: now } }
+                    ]
+                },
+                {
+                    $set: {
+                        owner: this.instanceId,
+                        expires_at: new Date(now.getTime() + this.options.leaderLeaseMs),
+                        renewed_at: now
+                    }
+                },
+                { upsert: true }
+            );
+            
+            if (!this.isLeader) {
+                console.log(`👑 Scheduler instance ${this.instanceId} is now the cron leader`);
+            }
+            this.isLeader = true;
+            
+        } catch (error) {
+            // A duplicate key means another instance holds a live lease
+            if (error.code !== 11000) {
+                console.error('❌ Leader election failed:', error);
+                await this.logError('electLeader', error);
+            }
+            
+            if (this.isLeader) {
+                console.log(`👋 Scheduler instance ${this.instanceId} lost cron leadership`);
+            }
+            this.isLeader = false;
+        }
+        
+        return this.isLeader;
+    }
+    
+    /**
+     * Give up cron leadership so another instance can take over immediately
+     */
+    async releaseLeadership() {
+        if (!this.isLeader) {
+            return;
+        }
+        
+        this.isLeader = false;
+        await this.db.collection('scheduler_leases').deleteOne({
+            _id: LEADER_LEASE_ID,
+            owner: this.instanceId
+        });
+    }
+    
+    /**
+     * Bring local cron jobs in line with `schedule_jobs`
+     */
+    async syncCronJobs() {
+        if (await this.isPaused()) {
+            return;
+        }
+        
+        const enabledJobs = await this.db.collection('schedule_jobs')
+            .find({ enabled: true })
+            .toArray();
+        
+        const enabledIds = new Set();
+        
+        for (const jobData of enabledJobs) {
+            const jobId = jobData._id.toString();
+            enabledIds.add(jobId);
+            
+            const existing = this.jobs.get(jobId);
+            if (existing && existing.version === this.getJobVersion(jobData)) {
+                continue;
+            }
+            
+            if (existing) {
+                existing.job.stop();
+            }
+            await this.createCronJob(jobData);
+        }
+        
+        for (const [jobId, jobRef] of this.jobs.entries()) {
+            if (!enabledIds.has(jobId)) {
+                jobRef.job.stop();
+                this.jobs.delete(jobId);
+            }
+        }
+    }
+    
+    /**
+     * Whether an admin paused the scheduler, on any instance
+     */
+    async isPaused() {
+        const status = await this.db.collection('scheduler_status').findOne({ _id: 'global' });
+        return Boolean(status?.paused);
+    }
+    
+    /**
+     * The minute a cron tick belongs to. Patterns have minute resolution, so
+     * this identifies one fire of a job across instances.
+     */
+    getFireKey(date = new Date()) {
+        return new Date(Math.floor(date.getTime() / 60000) * 60000).toISOString();
+    }
+    
+    /**
+     * Claim one fire of a job. Returns false if it was already fired.
+     */
+    async claimCronFire(jobId, fireKey) {
+        const result = await this.db.collection('schedule_jobs').updateOne(
+            { _id: jobId, last_fire_key: { $ne: fireKey } },
+            { $set: { last_fire_key: fireKey, last_fired_by: this.instanceId } }
+        );
+        
+        return result.modifiedCount > 0;
+    }
+    
+    /**
+     * Stop timers and cron jobs and hand over leadership
+     */
+    async stop() {
+        for (const timer of this.timers) {
+            clearInterval(timer);
+        }
+        this.timers = [];
+        
+        for (const jobRef of this.jobs.values()) {
+            jobRef.job.stop();
+        }
+        this.jobs.clear();
+        
+        try {
+            await this.releaseLeadership();
+        } catch (error) {
+            console.error('❌ Error releasing scheduler leadership:', error);
+        }
+        
+        console.log(`🛑 Scheduler instance ${this.instanceId} stopped`);
+    }
+    
     /**
      * Generate cron pattern from schedule object
      */
@@ -273,19 +553,26 @@ class SchedulerService {
                 return;
             }
             
-            // Check if we're in quiet hours
-            if (this.isQuietHour() && !jobData.ignore_quiet_hours) {
-                console.log(`🔇 Skipping job ${jobId} - quiet hours`);
-                await this.logInfo('cronJobSkipped', 'Job skipped due to quiet hours', { jobId });
+            // Every replica runs the cron timers; only the leader fires them
+            if (!this.isLeader) {
+                return;
+            }
+            
+            if (await this.isPaused()) {
                 return;
             }
             
-            // Check for holidays if enabled
-            if (this.options.enableHolidaySkip && await this.isHoliday()) {
-                console.log(`🎄 Skipping job ${jobId} - holiday`);
-                await this.logInfo('cronJobSkipped', 'Job skipped due to holiday', { jobId });
+            // A leadership handover can briefly leave two leaders, so each
+            // fire is also claimed on the job document
+            const fireKey = this.getFireKey();
+            if (!await this.claimCronFire(jobData._id, fireKey)) {
+                console.log(`⏭️  Job ${jobId} already fired for ${fireKey} by another instance`);
                 return;
             }
+            jobData = { ...jobData, fire_key: fireKey };
+            
+            // Quiet hours, weekends and holidays are applied per destination
+            // when the posts are queued (see queuePost)
             
             console.log(`🔄 Executing cron job: ${jobData.name || jobId}`);
             
@@ -359,14 +646,17 @@ class SchedulerService {
             return;
         }
         
-        const digest = this.formatDigest(articles, jobData.digest_type || 'standard');
+        const digest = await this.renderDigest(articles, jobData);
         
         for (const destinationId of jobData.destinations || []) {
             await this.queuePost({
                 type: 'digest',
-                content: digest,
+                content: digest.text,
+                parse_mode: digest.parse_mode,
                 destination_id: destinationId,
                 job_id: jobData._id,
+                fire_key: jobData.fire_key,
+                ignore_quiet_hours: jobData.ignore_quiet_hours,
                 priority: jobData.priority || 'normal'
             });
         }
@@ -388,6 +678,8 @@ class SchedulerService {
                     article_id: article._id,
                     destination_id: destinationId,
                     job_id: jobData._id,
+                    fire_key: jobData.fire_key,
+                    ignore_quiet_hours: jobData.ignore_quiet_hours,
                     priority: 'high'
                 });
             }
@@ -416,6 +708,8 @@ class SchedulerService {
                     article_id: article._id,
                     destination_id: destinationId,
                     job_id: jobData._id,
+                    fire_key: jobData.fire_key,
+                    ignore_quiet_hours: jobData.ignore_quiet_hours,
                     priority: 'normal'
                 });
             }
@@ -448,13 +742,92 @@ class SchedulerService {
                 _id: new ObjectId()
             };
             
+            // Hold back or drop posts that fall into the destination's blocked windows
+            const window = await this.applyPostingWindow(postData);
+            if (window.dropped) {
+                console.log(`🚫 Dropped ${postData.type} for ${postData.destination_id} - ${window.deferral.label}`);
+                await this.logInfo('postDropped', 'Post dropped by posting window', {
+                    destinationId: postData.destination_id,
+                    reason: window.deferral.reason
+                });
+                return { queued: false, dropped: true, deferral: window.deferral };
+            }
+            if (window.deferral) {
+                queueItem.scheduled_for = window.deferral.until;
+                queueItem.deferred = window.deferral;
+            }
+            
+            // Items from a cron fire are keyed by job, fire and destination so a
+            // repeated fire cannot queue the same post twice
+            if (!queueItem.idempotency_key && postData.job_id && postData.fire_key) {
+                queueItem.idempotency_key = [
+                    postData.job_id,
+                    postData.fire_key,
+                    postData.destination_id,
+                    postData.article_id || postData.type
+                ].join(':');
+            }
+            
             await this.db.collection('post_queue').insertOne(queueItem);
-            console.log(`📮 Queued post: ${postData.type} for ${postData.destination_id}`);
+            console.log(`📮 Queued post: ${postData.type} for ${postData.destination_id}${window.deferral ? ` (deferred until ${window.deferral.until.toISOString()})` : ''}`);
+            
+            return { queued: true, deferral: window.deferral };
             
         } catch (error) {
+            if (error.code === 11000) {
+                console.log(`⏭️  Post already queued: ${postData.type} for ${postData.destination_id}`);
+                return { queued: true, duplicate: true };
+            }
             console.error('❌ Error queueing post:', error);
             await this.logError('queuePost', error, postData);
+            return { queued: false, error: error.message };
+        }
+    }
+    
+    /**
+     * Check a post's send time against its destination's posting window.
+     * Returns `{ deferral }` describing the block (null if none) and whether
+     * the destination's policy drops blocked posts instead of deferring them.
+     */
+    async applyPostingWindow(postData) {
+        if (!postData.destination_id || postData.ignore_posting_window) {
+            return { deferral: null, dropped: false };
+        }
+        
+        const policy = await this.getDestinationPolicy(postData.destination_id);
+        if (postData.ignore_quiet_hours) {
+            policy.quiet_hours = null;
+        }
+        
+        const deferral = this.getDeferral(policy, postData.scheduled_for ? new Date(postData.scheduled_for) : new Date());
+        
+        return {
+            deferral,
+            dropped: Boolean(deferral) && (deferral.action === 'drop')
+        };
+    }
+    
+    /**
+     * How a post due at `sendAt` is affected by `policy`: null if it can go
+     * out on time, otherwise the blocking window, the action taken and the
+     * time it is deferred to.
+     */
+    getDeferral(policy, sendAt) {
+        const block = checkPostingWindow(policy, sendAt);
+        if (!block) {
+            return null;
         }
+        
+        const next = nextAllowedTime(policy, sendAt);
+        
+        return {
+            reason: block.reason,
+            label: block.label,
+            action: policy.on_blocked === 'drop' || !next.time ? 'drop' : 'defer',
+            from: sendAt,
+            until: next.time,
+            timezone: policy.timezone
+        };
     }
     
     /**
@@ -462,13 +835,13 @@ class SchedulerService {
      */
     startQueueProcessor() {
         // Process queue every 30 seconds
-        setInterval(async () => {
+        this.timers.push(setInterval(async () => {
             try {
                 await this.processQueue();
             } catch (error) {
                 console.error('❌ Queue processor error:', error);
             }
-        }, 30000);
+        }, 30000));
     }
     
     /**
@@ -476,122 +849,462 @@ class SchedulerService {
      */
     async processQueue() {
         try {
-            if (this.processingQueue.size >= this.options.batchSize) {
-                return; // Already processing enough items
+            // Turn due scheduled posts into queue items
+            await this.dispatchDueScheduledPosts();
+            
+            // Claim items one at a time so replicas never pick up the same
+            // item, each with a send slot under the rate limit all replicas share
+            while (this.processingQueue.size < this.options.batchSize) {
+                const slot = await this.reserveSendSlot();
+                if (!slot) {
+                    break;
+                }
+                
+                const item = await this.claimQueueItem();
+                if (!item) {
+                    await this.releaseSendSlot(slot);
+                    break;
+                }
+                
+                const itemId = item._id.toString();
+                this.processingQueue.add(itemId);
+                this.processQueueItem(item).finally(() => {
+                    this.processingQueue.delete(itemId);
+                });
             }
             
-            // Check rate limit
-            if (!this.checkRateLimit()) {
-                return;
+        } catch (error) {
+            console.error('❌ Process queue error:', error);
+            await this.logError('processQueue', error);
+        }
+    }
+    
+    /**
+     * Atomically claim the next due queue item for this instance. Items whose
+     * lease has lapsed (their owner crashed or stalled) are claimable again.
+     */
+    async claimQueueItem() {
+        const now = new Date();
+        
+        const result = await this.db.collection('post_queue').findOneAndUpdate(
+            {
+                $or: [
+                    {
+                        status: 'queued',
+                        $or: [
+                            { scheduled_for: { $exists: false } },
+                            { scheduled_for: { $lte: now } }
+                        ]
+                    },
+                    { status: 'processing', lease_expires_at: { $lt: now } },
+                    // Items claimed before leases existed
+                    {
+                        status: 'processing',
+                        lease_expires_at: { $exists: false },
+                        processing_started: { $lt: new Date(now.getTime() - 10 * 60 * 1000) }
+                    }
+                ]
+            },
+            {
+                $set: {
+                    status: 'processing',
+                    processing_started: now,
+                    lease_owner: this.instanceId,
+                    lease_expires_at: new Date(now.getTime() + this.options.leaseMs)
+                },
+                $inc: { attempts: 1 }
+            },
+            {
+                sort: {
+                    priority: 1, // High priority first
+                    queued_at: 1   // FIFO
+                },
+                returnDocument: 'after',
+                includeResultMetadata: true
             }
+        );
+        
+        return result.value;
+    }
+    
+    /**
+     * Claim due scheduled posts and queue one item per destination. A post
+     * stays leased while it is dispatched, so if this instance dies halfway
+     * another one re-dispatches it; queue idempotency keys drop the items
+     * that were already queued.
+     */
+    async dispatchDueScheduledPosts() {
+        for (let i = 0; i < this.options.batchSize; i++) {
+            const now = new Date();
             
-            const queueItems = await this.db.collection('post_queue')
-                .find({ 
-                    status: 'queued',
+            const result = await this.db.collection('scheduled_posts').findOneAndUpdate(
+                {
                     $or: [
-                        { scheduled_for: { $exists: false } },
-                        { scheduled_for: { $lte: new Date() } }
+                        { status: 'pending', scheduled_for: { $lte: now } },
+                        { status: 'processing', lease_expires_at: { $lt: now } }
                     ]
-                })
-                .sort({ 
-                    priority: 1, // High priority first 
-                    queued_at: 1   // FIFO
-                })
-                .limit(this.options.batchSize - this.processingQueue.size)
-                .toArray();
+                },
+                {
+                    $set: {
+                        status: 'processing',
+                        lease_owner: this.instanceId,
+                        lease_expires_at: new Date(now.getTime() + this.options.leaseMs)
+                    }
+                },
+                { sort: { scheduled_for: 1 }, returnDocument: 'after', includeResultMetadata: true }
+            );
             
-            for (const item of queueItems) {
-                if (this.processingQueue.has(item._id.toString())) {
-                    continue;
+            const post = result.value;
+            if (!post) {
+                return;
+            }
+            
+            const deferrals = [];
+            let queued = 0;
+            let lastError = null;
+            
+            for (const destinationId of post.destinations || []) {
+                const result = await this.queuePost({
+                    type: 'scheduled',
+                    article_id: post.article_id,
+                    destination_id: destinationId,
+                    scheduled_post_id: post._id,
+                    priority: post.priority || 'normal',
+                    template_id: post.template_id || null,
+                    media: post.media || null,
+                    // A recovery run queues fresh items, but sends stay keyed per destination
+                    idempotency_key: `scheduled:${post._id}:${post.retry_count || 0}:${destinationId}`,
+                    delivery_key: `scheduled:${post._id}:${destinationId}`
+                });
+                
+                if (result.queued) {
+                    queued++;
+                }
+                if (result.error) {
+                    lastError = result.error;
+                }
+                if (result.deferral) {
+                    deferrals.push({ destination_id: destinationId, ...result.deferral });
                 }
+            }
+            
+            // With nothing queued no queue item will settle the post, so settle it now
+            let update = {};
+            if (queued === 0) {
+                update = lastError
+                    ? { status: 'failed', failed_at: new Date(), error: lastError }
+                    : { status: 'skipped', skipped_at: new Date() };
+            }
+            
+            await this.db.collection('scheduled_posts').updateOne(
+                { _id: post._id, lease_owner: this.instanceId },
+                {
+                    $set: { ...update, deferrals, dispatched_at: new Date(), lease_expires_at: null },
+                    $unset: { lease_owner: '' }
+                }
+            );
+            
+            await publishWebhookEvent(this.db, 'scheduled_post.fired', {
+                workspace_id: post.workspace_id,
+                user_id: post.scheduled_by
+            }, {
+                scheduled_post_id: String(post._id),
+                article_id: String(post.article_id),
+                title: post.title || null,
+                scheduled_for: post.scheduled_for,
+                destinations: (post.destinations || []).map(String),
+                queued,
+                deferrals,
+                status: update.status || 'processing'
+            });
+        }
+    }
+    
+    /**
+     * Keep a claimed item's lease alive while it is being processed. Sets
+     * `lost` if another instance has taken the item over; see isLeaseLost.
+     */
+    startLeaseHeartbeat(collectionName, id, expiresAt = null) {
+        const lease = {
+            lost: false,
+            timer: null,
+            expiresAt: expiresAt ? new Date(expiresAt) : new Date(Date.now() + this.options.leaseMs)
+        };
+        
+        lease.timer = setInterval(async () => {
+            try {
+                const expires = new Date(Date.now() + this.options.leaseMs);
+                const result = await this.db.collection(collectionName).updateOne(
+                    { _id: id, lease_owner: this.instanceId },
+                    { $set: { lease_expires_at: expires } }
+                );
                 
-                this.processingQueue.add(item._id.toString());
-                this.processQueueItem(item).finally(() => {
-                    this.processingQueue.delete(item._id.toString());
-                });
+                if (result.matchedCount > 0) {
+                    lease.expiresAt = expires;
+                } else {
+                    lease.lost = true;
+                    clearInterval(lease.timer);
+                    console.warn(`⚠️  Lost lease on ${collectionName} ${id}`);
+                }
+            } catch (error) {
+                console.error('❌ Lease heartbeat failed:', error);
+            }
+        }, Math.max(1000, Math.floor(this.options.leaseMs / 3)));
+        
+        return lease;
+    }
+    
+    /**
+     * Whether another instance has, or may have, taken a leased item over:
+     * the heartbeat found it gone, or the lease ran out before a renewal
+     */
+    isLeaseLost(lease) {
+        return lease.lost || Date.now() >= lease.expiresAt.getTime();
+    }
+    
+    /**
+     * Run `send` at most once per idempotency key across all instances.
+     * The key is recorded as `sending` before the send and `sent` after it,
+     * so a retried or re-claimed item never posts to a destination twice.
+     * A send that was interrupted mid-flight (its owner died) cannot be
+     * known to have failed, so it is marked `uncertain` and not repeated.
+     */
+    async deliverOnce(key, meta, send) {
+        const deliveries = this.db.collection('post_deliveries');
+        const now = new Date();
+        
+        try {
+            await deliveries.insertOne({
+                _id: key,
+                ...meta,
+                status: 'sending',
+                owner: this.instanceId,
+                attempts: 1,
+                created_at: now,
+                started_at: now
+            });
+        } catch (error) {
+            if (error.code !== 11000) {
+                throw error;
+            }
+            
+            const existing = await deliveries.findOne({ _id: key });
+            
+            if (existing.status === 'sent') {
+                return { success: true, duplicate: true, message_id: existing.message_id };
+            }
+            
+            if (existing.status !== 'failed') {
+                const interrupted = existing.status === 'uncertain' ||
+                    now - new Date(existing.started_at) > this.options.leaseMs;
+                
+                if (!interrupted) {
+                    return { success: false, error: 'Delivery already in progress on another instance' };
+                }
+                
+                await deliveries.updateOne(
+                    { _id: key, status: 'sending' },
+                    { $set: { status: 'uncertain', marked_uncertain_at: now } }
+                );
+                return {
+                    success: false,
+                    uncertain: true,
+                    error: 'A previous send to this destination was interrupted - not resending to avoid a duplicate post'
+                };
             }
             
+            // The last attempt failed before reaching Telegram; take it over
+            const reclaimed = await deliveries.updateOne(
+                { _id: key, status: 'failed' },
+                {
+                    $set: { status: 'sending', owner: this.instanceId, started_at: now },
+                    $inc: { attempts: 1 }
+                }
+            );
+            
+            if (reclaimed.modifiedCount === 0) {
+                return { success: false, error: 'Delivery already in progress on another instance' };
+            }
+        }
+        
+        let result;
+        try {
+            result = await send();
         } catch (error) {
-            console.error('❌ Process queue error:', error);
-            await this.logError('processQueue', error);
+            result = { success: false, error: error.message };
+        }
+        
+        if (result && result.success === false) {
+            await deliveries.updateOne(
+                { _id: key },
+                { $set: { status: 'failed', error: result.error, failed_at: new Date() } }
+            );
+            return result;
         }
+        
+        await deliveries.updateOne(
+            { _id: key },
+            { $set: { status: 'sent', sent_at: new Date(), message_id: result?.message_id || null } }
+        );
+        return result;
     }
     
     /**
      * Process individual queue item
      */
     async processQueueItem(item) {
+        // The item was claimed by claimQueueItem; keep the lease alive while we work
+        const lease = this.startLeaseHeartbeat('post_queue', item._id, item.lease_expires_at);
+        
         try {
-            // Mark as processing
-            await this.db.collection('post_queue').updateOne(
-                { _id: item._id },
-                { 
-                    $set: { 
-                        status: 'processing',
-                        processing_started: new Date()
-                    },
-                    $inc: { attempts: 1 }
-                }
+            const deliveryKey = item.delivery_key || item.idempotency_key || `queue:${item._id}`;
+            const result = await this.deliverOnce(
+                deliveryKey,
+                {
+                    queue_item_id: item._id,
+                    destination_id: item.destination_id,
+                    type: item.type
+                },
+                // Checked last thing before the send, so an item another
+                // instance has taken over is left to it
+                () => (this.isLeaseLost(lease)
+                    ? { success: false, error: 'Lease lost before sending' }
+                    : this.sendQueueItem(item))
             );
             
-            let result;
-            
-            // Process based on type
-            switch (item.type) {
-                case 'digest':
-                    result = await this.postDigest(item);
-                    break;
-                case 'breaking_news':
-                case 'category':
-                    result = await this.postArticle(item);
-                    break;
-                default:
-                    throw new Error(`Unknown post type: ${item.type}`);
+            if (this.isLeaseLost(lease) && !result.success) {
+                console.warn(`⚠️  Stopped work on queue item ${item._id}: its lease was lost`);
+                return;
             }
             
             if (result.success) {
                 // Mark as completed
                 await this.db.collection('post_queue').updateOne(
-                    { _id: item._id },
+                    { _id: item._id, lease_owner: this.instanceId },
                     { 
                         $set: {
                             status: 'completed',
                             completed_at: new Date(),
-                            result: result
+                            result: result,
+                            lease_expires_at: null
                         }
                     }
                 );
                 
-                // Update rate limiter
-                this.rateLimiter.count++;
+                if (!result.duplicate) {
+                    await this.publishPostEvent('post.published', item, {
+                        message_id: result.message_id ?? null
+                    });
+                }
                 
-                console.log(`✅ Successfully processed queue item: ${item.type}`);
+                console.log(`✅ Successfully processed queue item: ${item.type}${result.duplicate ? ' (already sent)' : ''}`);
                 
             } else {
-                await this.handleQueueItemFailure(item, result.error);
+                await this.handleQueueItemFailure(item, result.error, { final: result.uncertain });
             }
             
         } catch (error) {
             console.error('❌ Process queue item error:', error);
             await this.handleQueueItemFailure(item, error.message);
+        } finally {
+            clearInterval(lease.timer);
+        }
+        
+        if (item.scheduled_post_id) {
+            await this.updateScheduledPostStatus(item.scheduled_post_id);
+        }
+    }
+    
+    /**
+     * Publish a webhook event about a queue item to its destination's owner
+     */
+    async publishPostEvent(type, item, data) {
+        const destination = await this.findDestination(item.destination_id).catch(() => null);
+        
+        await publishWebhookEvent(this.db, type, destinationOwner(destination), {
+            type: item.type,
+            article_id: item.article_id ? String(item.article_id) : null,
+            scheduled_post_id: item.scheduled_post_id ? String(item.scheduled_post_id) : null,
+            job_id: item.job_id ? String(item.job_id) : null,
+            destination_id: String(item.destination_id),
+            chat_id: destination?.telegramId ?? destination?.id ?? null,
+            destination_title: destination?.title || destination?.name || null,
+            ...data
+        });
+    }
+    
+    /**
+     * Send a queue item to its destination
+     */
+    async sendQueueItem(item) {
+        switch (item.type) {
+            case 'digest':
+                return await this.postDigest(item);
+            case 'breaking_news':
+            case 'category':
+            case 'scheduled':
+                return await this.postArticle(item);
+            default:
+                throw new Error(`Unknown post type: ${item.type}`);
+        }
+    }
+    
+    /**
+     * Settle a scheduled post once every destination item has finished
+     */
+    async updateScheduledPostStatus(scheduledPostId) {
+        try {
+            const items = await this.db.collection('post_queue')
+                .find({ scheduled_post_id: scheduledPostId })
+                .project({ status: 1, destination_id: 1, error: 1, queued_at: 1 })
+                .sort({ queued_at: 1 })
+                .toArray();
+            
+            if (items.some(item => item.status === 'queued' || item.status === 'processing')) {
+                return;
+            }
+            
+            // The latest item per destination decides its outcome
+            const latest = new Map(items.map(item => [String(item.destination_id), item]));
+            const failed = [...latest.values()].filter(item => item.status !== 'completed');
+            
+            const update = failed.length === 0
+                ? { status: 'posted', posted_at: new Date() }
+                : {
+                    status: 'failed',
+                    failed_at: new Date(),
+                    error: failed[0].error || 'Delivery failed',
+                    failed_destinations: failed.map(item => item.destination_id)
+                };
+            
+            await this.db.collection('scheduled_posts').updateOne(
+                { _id: scheduledPostId, status: 'processing' },
+                { $set: update }
+            );
+            
+        } catch (error) {
+            console.error('❌ Error updating scheduled post status:', error);
+            await this.logError('updateScheduledPostStatus', error, { scheduledPostId });
         }
     }
     
     /**
      * Handle queue item failure
      */
-    async handleQueueItemFailure(item, errorMessage) {
-        const attempts = (item.attempts || 0) + 1;
+    async handleQueueItemFailure(item, errorMessage, { final = false } = {}) {
+        // `attempts` was already incremented when the item was claimed
+        const attempts = item.attempts || 1;
         
-        if (attempts >= this.options.maxRetries) {
+        if (final || attempts >= this.options.maxRetries) {
             // Max retries reached - mark as failed
             await this.db.collection('post_queue').updateOne(
-                { _id: item._id },
+                { _id: item._id, lease_owner: this.instanceId },
                 { 
                     $set: {
                         status: 'failed',
                         failed_at: new Date(),
-                        error: errorMessage
+                        error: errorMessage,
+                        lease_expires_at: null
                     }
                 }
             );
@@ -601,17 +1314,23 @@ class SchedulerService {
             // Notify admin if configured
             await this.notifyAdminOfFailure(item, errorMessage);
             
+            await this.publishPostEvent('post.failed', item, {
+                error: errorMessage,
+                attempts
+            });
+            
         } else {
             // Schedule retry
             const nextAttempt = new Date(Date.now() + this.options.retryDelay * attempts);
             
             await this.db.collection('post_queue').updateOne(
-                { _id: item._id },
+                { _id: item._id, lease_owner: this.instanceId },
                 { 
                     $set: {
                         status: 'queued',
                         scheduled_for: nextAttempt,
-                        last_error: errorMessage
+                        last_error: errorMessage,
+                        lease_expires_at: null
                     }
                 }
             );
@@ -636,7 +1355,7 @@ class SchedulerService {
                 destination.id,
                 item.content,
                 {
-                    parse_mode: 'Markdown',
+                    parse_mode: item.parse_mode || 'Markdown',
                     disable_web_page_preview: false
                 }
             );
@@ -669,77 +1388,294 @@ class SchedulerService {
         return await this.postManager.postArticle(
             item.article_id,
             item.destination_id,
-            item.job_id
+            item.job_id,
+            { template_id: item.template_id, media: item.media }
         );
     }
     
     /**
-     * Check rate limit
+     * Take one send from the current minute's allowance, which all replicas
+     * share through `scheduler_rate_limits`
+     * @returns {Promise<string|null>} the window the send was counted in, or
+     *   null if the allowance is used up
      */
-    checkRateLimit() {
+    async reserveSendSlot() {
         const now = Date.now();
+        const window = new Date(Math.floor(now / RATE_LIMIT_WINDOW_MS) * RATE_LIMIT_WINDOW_MS).toISOString();
         
-        if (now >= this.rateLimiter.resetTime) {
-            this.rateLimiter.count = 0;
-            this.rateLimiter.resetTime = now + 60000; // Reset every minute
+        try {
+            const result = await this.db.collection('scheduler_rate_limits').findOneAndUpdate(
+                { _id: window, count: { $lt: this.options.rateLimit } },
+                {
+                    $inc: { count: 1 },
+                    $setOnInsert: { expires_at: new Date(now + 2 * RATE_LIMIT_WINDOW_MS) }
+                },
+                { upsert: true, returnDocument: 'after', includeResultMetadata: true }
+            );
+            
+            this.rateLimiter = { count: result.value.count, window };
+            return window;
+            
+        } catch (error) {
+            // The window's document exists but is full, so the upsert collided with it
+            if (error.code === 11000) {
+                this.rateLimiter = { count: this.options.rateLimit, window };
+                return null;
+            }
+            throw error;
         }
-        
-        return this.rateLimiter.count < this.options.rateLimit;
     }
     
     /**
-     * Start rate limiter reset timer
+     * Hand back a send slot that was not used
      */
-    startRateLimiterReset() {
-        setInterval(() => {
-            this.rateLimiter.count = 0;
-            this.rateLimiter.resetTime = Date.now() + 60000;
-        }, 60000);
+    async releaseSendSlot(window) {
+        await this.db.collection('scheduler_rate_limits').updateOne(
+            { _id: window, count: { $gt: 0 } },
+            { $inc: { count: -1 } }
+        );
     }
     
     /**
-     * Check if current time is within quiet hours
+     * The posting policy for destinations that haven't set their own
      */
-    isQuietHour() {
-        const now = new Date();
-        const hour = now.getHours();
+    getDefaultPolicy() {
         const { start, end } = this.options.quietHours;
         
-        if (start < end) {
-            return hour >= start && hour < end;
-        } else {
-            // Overnight quiet hours (e.g., 22:00 to 06:00)
-            return hour >= start || hour < end;
+        return {
+            timezone: this.options.timezone,
+            quiet_hours: { start: formatClock(start * 60), end: formatClock(end * 60) },
+            weekend: { mode: 'allow', days: [0, 6] },
+            holidays: this.options.enableHolidaySkip ? DEFAULT_HOLIDAYS : [],
+            on_blocked: this.options.onBlocked
+        };
+    }
+    
+    /**
+     * Find a destination by document id, chat id or @username
+     */
+    async findDestination(reference) {
+        const value = String(reference).trim();
+        
+        if (/^[a-f0-9]{24}$/i.test(value)) {
+            return await this.db.collection('destinations').findOne({ _id: new ObjectId(value) });
+        }
+        
+        if (/^-?\d+$/.test(value)) {
+            const chatId = parseInt(value);
+            return await this.db.collection('destinations').findOne({
+                $or: [{ telegramId: chatId }, { id: chatId }]
+            });
         }
+        
+        return await this.db.collection('destinations').findOne({ username: value.replace(/^@/, '') });
+    }
+    
+    /**
+     * A destination's posting policy merged over the defaults
+     */
+    async getDestinationPolicy(destinationId) {
+        const destination = await this.findDestination(destinationId);
+        return resolvePolicy(this.getDefaultPolicy(), destination?.posting_policy);
     }
     
     /**
-     * Check if today is a holiday (basic implementation)
+     * Whether a user may change a destination's posting policy
      */
-    async isHoliday() {
-        // This is a placeholder implementation
-        // In production, you would integrate with a holiday API or maintain a holiday database
-        const today = new Date();
-        const month = today.getMonth() + 1;
-        const day = today.getDate();
+    async canManageDestination(destination, userId) {
+        if (await this.isAdmin(userId)) {
+            return true;
+        }
         
-        // Australian public holidays (basic list)
-        const holidays = [
-            { month: 1, day: 1 },   // New Year's Day
-            { month: 1, day: 26 },  // Australia Day
-            { month: 4, day: 25 },  // ANZAC Day
-            { month: 12, day: 25 }, // Christmas Day
-            { month: 12, day: 26 }  // Boxing Day
-        ];
+        if (destination.workspace_id) {
+            const membership = await findActiveMembership(this.db, parseInt(userId));
+            return Boolean(membership)
+                && String(membership.workspace._id) === String(destination.workspace_id)
+                && roleAllows(membership.role, 'destinations:manage');
+        }
+        
+        const link = await this.db.collection('user_destinations').findOne({
+            userId: parseInt(userId),
+            destinationId: destination.telegramId ?? destination.id,
+            role: { $in: ['owner', 'admin'] }
+        });
+        
+        return Boolean(link) || destination.addedBy === parseInt(userId);
+    }
+    
+    /**
+     * Whether a user may change a scheduled post or recurring schedule: bot
+     * admins, its creator, and in a workspace editors and up
+     */
+    async canChangeResource(resource, userId, ownerField) {
+        if (await this.isAdmin(userId)) {
+            return true;
+        }
+        
+        const membership = resource.workspace_id ? await findActiveMembership(this.db, userId) : null;
+        return canActOn(membership, userId, resource, {
+            ownerField,
+            own: ownerField === 'created_by' ? 'posts:manage' : 'posts:create'
+        });
+    }
+    
+    /**
+     * Update a destination's timezone, quiet hours, weekend rule or blocked-post action
+     */
+    async updateDestinationPolicy(destinationRef, updates, userId) {
+        try {
+            const destination = await this.findDestination(destinationRef);
+            if (!destination) {
+                return { success: false, error: 'Destination not found' };
+            }
+            
+            if (!await this.canManageDestination(destination, userId)) {
+                return { success: false, error: 'You do not manage this destination' };
+            }
+            
+            const errors = validatePolicy(updates);
+            if (errors.length > 0) {
+                return { success: false, error: errors.join('; ') };
+            }
+            
+            const $set = { 'posting_policy.updated_at': new Date(), 'posting_policy.updated_by': userId };
+            for (const field of ['timezone', 'quiet_hours', 'weekend', 'on_blocked']) {
+                if (updates[field] !== undefined) {
+                    $set[`posting_policy.${field}`] = updates[field];
+                }
+            }
+            
+            await this.db.collection('destinations').updateOne({ _id: destination._id }, { $set });
+            
+            await this.logInfo('postingPolicyUpdated', 'Destination posting policy updated', {
+                destinationId: destination._id,
+                updates,
+                userId
+            });
+            
+            return {
+                success: true,
+                policy: await this.getDestinationPolicy(destination._id.toString())
+            };
+            
+        } catch (error) {
+            console.error('❌ Error updating posting policy:', error);
+            return { success: false, error: error.message };
+        }
+    }
+    
+    /**
+     * Replace a destination's holiday calendar with the events of an iCal
+     * file, given either as text or as a URL to fetch it from
+     */
+    async importHolidayCalendar(destinationRef, { ics, url, name } = {}, userId) {
+        try {
+            const destination = await this.findDestination(destinationRef);
+            if (!destination) {
+                return { success: false, error: 'Destination not found' };
+            }
+            
+            if (!await this.canManageDestination(destination, userId)) {
+                return { success: false, error: 'You do not manage this destination' };
+            }
+            
+            if (!ics && url) {
+                const response = await axios.get(url, {
+                    timeout: 15000,
+                    maxContentLength: 2 * 1024 * 1024,
+                    responseType: 'text'
+                });
+                ics = response.data;
+            }
+            
+            const events = parseICalHolidays(ics);
+            
+            await this.db.collection('destinations').updateOne(
+                { _id: destination._id },
+                {
+                    $set: {
+                        'posting_policy.holiday_calendar': {
+                            name: name || (url ? new URL(url).hostname : 'Imported calendar'),
+                            source_url: url || null,
+                            imported_at: new Date(),
+                            imported_by: userId,
+                            events
+                        }
+                    }
+                }
+            );
+            
+            await this.logInfo('holidayCalendarImported', 'Holiday calendar imported', {
+                destinationId: destination._id,
+                events: events.length,
+                userId
+            });
+            
+            return { success: true, events: events.length };
+            
+        } catch (error) {
+            console.error('❌ Error importing holiday calendar:', error);
+            return { success: false, error: error.message };
+        }
+    }
+    
+    /**
+     * Remove a destination's holiday calendar, falling back to the defaults
+     */
+    async clearHolidayCalendar(destinationRef, userId) {
+        const destination = await this.findDestination(destinationRef);
+        if (!destination) {
+            return { success: false, error: 'Destination not found' };
+        }
         
-        return holidays.some(h => h.month === month && h.day === day);
+        if (!await this.canManageDestination(destination, userId)) {
+            return { success: false, error: 'You do not manage this destination' };
+        }
+        
+        await this.db.collection('destinations').updateOne(
+            { _id: destination._id },
+            { $unset: { 'posting_policy.holiday_calendar': '' } }
+        );
+        
+        return { success: true };
+    }
+    
+    /**
+     * The deferrals each destination's posting window would apply to a post
+     * sent at `sendAt`
+     */
+    async previewDeferrals(destinationIds, sendAt) {
+        const deferrals = [];
+        
+        for (const destinationId of destinationIds) {
+            const deferral = this.getDeferral(await this.getDestinationPolicy(destinationId), sendAt);
+            if (deferral) {
+                deferrals.push({ destination_id: destinationId, ...deferral });
+            }
+        }
+        
+        return deferrals;
+    }
+    
+    /**
+     * Check if a time is within a policy's quiet hours
+     */
+    isQuietHour(policy = this.getDefaultPolicy(), date = new Date()) {
+        return checkPostingWindow({ ...policy, holidays: [], weekend: null }, date)?.reason === 'quiet_hours';
+    }
+    
+    /**
+     * Check if a date is a holiday in a policy's calendar
+     */
+    async isHoliday(policy = this.getDefaultPolicy(), date = new Date()) {
+        return checkPostingWindow({ ...policy, quiet_hours: null, weekend: null }, date)?.reason === 'holiday';
     }
     
     /**
      * Start health monitor
      */
     startHealthMonitor() {
-        setInterval(async () => {
+        this.timers.push(setInterval(async () => {
             try {
                 await this.performHealthCheck();
                 this.lastHeartbeat = new Date();
@@ -747,7 +1683,7 @@ class SchedulerService {
                 console.error('❌ Health check failed:', error);
                 this.isHealthy = false;
             }
-        }, 60000); // Every minute
+        }, 60000)); // Every minute
     }
     
     /**
@@ -794,23 +1730,8 @@ class SchedulerService {
         try {
             console.log('🔄 Performing recovery check...');
             
-            // Check for stuck processing items
-            const stuckItems = await this.db.collection('post_queue')
-                .find({
-                    status: 'processing',
-                    processing_started: { 
-                        $lt: new Date(Date.now() - 10 * 60 * 1000) // 10 minutes ago
-                    }
-                })
-                .toArray();
-            
-            for (const item of stuckItems) {
-                console.log(`🔄 Recovering stuck queue item: ${item._id}`);
-                await this.db.collection('post_queue').updateOne(
-                    { _id: item._id },
-                    { $set: { status: 'queued' } }
-                );
-            }
+            // Stuck queue items need no sweep: claimQueueItem takes over any
+            // item whose lease has lapsed
             
             // Check for failed scheduled posts that can be retried
             const failedPosts = await this.db.collection('scheduled_posts')
@@ -828,7 +1749,7 @@ class SchedulerService {
                 await this.schedulePostForRecovery(post);
             }
             
-            console.log(`✅ Recovery check completed. Recovered ${stuckItems.length} stuck items and ${failedPosts.length} failed posts`);
+            console.log(`✅ Recovery check completed. Recovered ${failedPosts.length} failed posts`);
             
         } catch (error) {
             console.error('❌ Recovery check failed:', error);
@@ -841,25 +1762,18 @@ class SchedulerService {
      */
     async schedulePostForRecovery(post) {
         try {
-            // Schedule for immediate processing with retry flag
-            await this.db.collection('post_queue').insertOne({
-                type: 'recovery',
-                scheduled_post_id: post._id,
-                article_id: post.article_id,
-                destinations: post.destinations,
-                queued_at: new Date(),
-                priority: 'high',
-                attempts: 0,
-                status: 'queued',
-                recovery_attempt: true
-            });
-            
-            // Update retry count
+            // Hand the post back to the dispatcher. Destinations that were
+            // already delivered are skipped by their delivery keys.
             await this.db.collection('scheduled_posts').updateOne(
-                { _id: post._id },
+                { _id: post._id, status: 'failed' },
                 { 
                     $inc: { retry_count: 1 },
-                    $set: { recovery_scheduled: new Date() }
+                    $set: {
+                        status: 'pending',
+                        scheduled_for: new Date(),
+                        priority: 'high',
+                        recovery_scheduled: new Date()
+                    }
                 }
             );
             
@@ -876,6 +1790,14 @@ class SchedulerService {
      * Schedule a single post
      */
     async schedulePost(articleId, destinations, scheduledFor, userId, options = {}) {
+        if (options.dryRun) {
+            return await this.previewScheduledPost(articleId, destinations, scheduledFor, options);
+        }
+        
+        if (scheduledFor === 'auto') {
+            return await this.scheduleAutoPost(articleId, destinations, userId, options);
+        }
+        
         try {
             const scheduleTime = new Date(scheduledFor);
             const now = new Date();
@@ -911,20 +1833,31 @@ class SchedulerService {
             // Validate destinations
             const validDestinations = [];
             for (const destId of destinations) {
-                const dest = await this.db.collection('destinations')
-                    .findOne({ _id: new ObjectId(destId), active: { $ne: false } });
-                if (dest) {
-                    validDestinations.push(destId);
+                const dest = await this.findDestination(destId);
+                if (dest && dest.active !== false) {
+                    validDestinations.push(dest._id.toString());
                 }
             }
             
             if (validDestinations.length === 0) {
                 return {
                     success: false,
-                    error: 'No valid destinations found'
+                    error: 'No valid destinations found'
+                };
+            }
+            
+            const membership = await findActiveMembership(this.db, userId);
+            if (membership && !roleAllows(membership.role, 'posts:create')) {
+                return {
+                    success: false,
+                    error: 'Your workspace role cannot schedule posts'
                 };
             }
             
+            if (options.templateId && this.postManager) {
+                await this.postManager.loadTemplate(options.templateId);
+            }
+            
             // Create scheduled post
             const scheduledPost = {
                 article_id: articleId,
@@ -932,11 +1865,17 @@ class SchedulerService {
                 destinations: validDestinations,
                 scheduled_for: scheduleTime,
                 scheduled_by: userId,
+                ...workspaceStamp(membership),
                 created_at: now,
                 status: 'pending',
                 timezone: options.timezone || this.options.timezone,
                 priority: options.priority || 'normal',
-                retry_count: 0
+                retry_count: 0,
+                auto_time: options.autoTime || null,
+                template_id: options.templateId || null,
+                media: options.media || null,
+                // Expected deferrals; recomputed when the post is dispatched
+                deferrals: await this.previewDeferrals(validDestinations, scheduleTime)
             };
             
             const result = await this.db.collection('scheduled_posts').insertOne(scheduledPost);
@@ -953,7 +1892,8 @@ class SchedulerService {
                 success: true,
                 scheduled_post_id: result.insertedId,
                 scheduled_for: scheduleTime,
-                destinations_count: validDestinations.length
+                destinations_count: validDestinations.length,
+                deferrals: scheduledPost.deferrals
             };
             
         } catch (error) {
@@ -1008,16 +1948,31 @@ class SchedulerService {
                 };
             }
             
+            const membership = await findActiveMembership(this.db, userId);
+            if (membership && !roleAllows(membership.role, 'posts:manage')) {
+                return {
+                    success: false,
+                    error: 'Your workspace role cannot create recurring schedules'
+                };
+            }
+            
+            if (options.template_id) {
+                await loadSavedTemplate(this.db, options.template_id);
+            }
+            
             // Create job data
             const jobData = {
                 name,
                 type,
-                schedule,
+                schedule: schedule.auto
+                    ? await this.resolveAutoSchedule(schedule, validDestinations, timezone)
+                    : schedule,
                 destinations: validDestinations,
                 category,
                 timezone,
                 enabled,
                 created_by: userId,
+                ...workspaceStamp(membership),
                 created_at: new Date(),
                 run_count: 0,
                 last_run: null,
@@ -1073,9 +2028,8 @@ class SchedulerService {
                 };
             }
             
-            // Check permissions (only creator or admin can modify)
-            const isAdmin = await this.isAdmin(userId);
-            if (job.created_by !== userId && !isAdmin) {
+            // Check permissions (creator, workspace editors or admin)
+            if (!await this.canChangeResource(job, userId, 'created_by')) {
                 return {
                     success: false,
                     error: 'Insufficient permissions'
@@ -1090,6 +2044,17 @@ class SchedulerService {
                 };
             }
             
+            if (updates.schedule?.auto) {
+                updates = {
+                    ...updates,
+                    schedule: await this.resolveAutoSchedule(
+                        updates.schedule,
+                        updates.destinations || job.destinations,
+                        updates.timezone || job.timezone
+                    )
+                };
+            }
+            
             // Stop existing cron job
             const existingJobRef = this.jobs.get(jobId);
             if (existingJobRef) {
@@ -1156,8 +2121,7 @@ class SchedulerService {
             }
             
             // Check permissions
-            const isAdmin = await this.isAdmin(userId);
-            if (job.created_by !== userId && !isAdmin) {
+            if (!await this.canChangeResource(job, userId, 'created_by')) {
                 return {
                     success: false,
                     error: 'Insufficient permissions'
@@ -1213,8 +2177,7 @@ class SchedulerService {
             }
             
             // Check permissions
-            const isAdmin = await this.isAdmin(userId);
-            if (post.scheduled_by !== userId && !isAdmin) {
+            if (!await this.canChangeResource(post, userId, 'scheduled_by')) {
                 return {
                     success: false,
                     error: 'You can only cancel your own scheduled posts'
@@ -1278,16 +2241,18 @@ class SchedulerService {
             // Filter by user unless admin requesting all
             const isAdmin = await this.isAdmin(userId);
             if (!includeAll || !isAdmin) {
-                query.scheduled_by = userId;
+                Object.assign(query, scopeFilter(await findActiveMembership(this.db, userId), userId, 'scheduled_by'));
             }
             
             // Filter by status
             if (status) {
                 query.status = status;
             } else {
-                // Default to pending and future posts
-                query.status = { $in: ['pending', 'processing'] };
-                query.scheduled_for = { $gte: new Date() };
+                // Default to future posts and posts still going out, including deferred ones
+                query.$or = [
+                    { status: 'pending', scheduled_for: { $gte: new Date() } },
+                    { status: 'processing' }
+                ];
             }
             
             const posts = await this.db.collection('scheduled_posts')
@@ -1335,7 +2300,7 @@ class SchedulerService {
             // Filter by user unless admin requesting all
             const isAdmin = await this.isAdmin(userId);
             if (!includeAll || !isAdmin) {
-                query.created_by = userId;
+                Object.assign(query, scopeFilter(await findActiveMembership(this.db, userId), userId, 'created_by'));
             }
             
             // Filter by enabled status
@@ -1485,7 +2450,7 @@ class SchedulerService {
     /**
      * Get scheduler analytics
      */
-    async getSchedulerAnalytics(userId, days = 30) {
+    async getSchedulerAnalytics(userId, days = 30, options = {}) {
         try {
             const startDate = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
             
@@ -1580,7 +2545,10 @@ class SchedulerService {
                     health_status: this.isHealthy ? 'healthy' : 'unhealthy',
                     recent_activity: recentActivity,
                     queue_stats: queueStats,
-                    last_heartbeat: this.lastHeartbeat
+                    last_heartbeat: this.lastHeartbeat,
+                    engagement: options.destinationId
+                        ? (await this.getEngagementHeatmap(options.destinationId)).heatmap || null
+                        : null
                 }
             };
             
@@ -1596,7 +2564,7 @@ class SchedulerService {
     /**
      * Bulk schedule posts
      */
-    async bulkSchedulePosts(posts, userId) {
+    async bulkSchedulePosts(posts, userId, { dryRun = false } = {}) {
         try {
             const results = [];
             const batchSize = 10;
@@ -1609,7 +2577,7 @@ class SchedulerService {
                         post.destinations,
                         post.scheduled_for,
                         userId,
-                        post.options || {}
+                        { ...post.options, dryRun }
                     )
                 );
                 
@@ -1622,6 +2590,18 @@ class SchedulerService {
                 }
             }
             
+            if (dryRun) {
+                const valid = results.filter(r => r.success && r.valid).length;
+                return {
+                    success: true,
+                    dry_run: true,
+                    total: posts.length,
+                    valid,
+                    invalid: results.length - valid,
+                    results
+                };
+            }
+            
             const successful = results.filter(r => r.success).length;
             const failed = results.length - successful;
             
@@ -1649,57 +2629,478 @@ class SchedulerService {
     }
     
     /**
-     * Smart scheduling - suggest optimal times
+     * Dry run of schedulePost: the message each destination would receive
+     * and everything that would stop it going out as shown. Nothing is
+     * scheduled. A post is `valid` when no problem is an error.
      */
-    async suggestOptimalTimes(destinationIds, timezone = null) {
+    async previewScheduledPost(articleId, destinations, scheduledFor, options = {}) {
         try {
-            // This is a simplified implementation
-            // In production, you would analyze engagement patterns, user activity, etc.
+            if (!this.postManager) {
+                return { success: false, error: 'PostManager not available' };
+            }
             
-            const tz = timezone || this.options.timezone;
-            const suggestions = [];
+            const article = ObjectId.isValid(articleId)
+                ? await this.db.collection('news_articles').findOne({ _id: new ObjectId(articleId) })
+                : null;
             
-            // Morning suggestions
-            suggestions.push({
-                time: '08:00',
-                label: 'Morning Digest',
-                description: 'Good for daily news summaries',
-                engagement_score: 85,
-                timezone: tz
-            });
+            if (!article) {
+                return { success: false, error: 'Article not found' };
+            }
             
-            // Lunch suggestions  
-            suggestions.push({
-                time: '12:30',
-                label: 'Lunch Break',
-                description: 'Peak mobile usage time',
-                engagement_score: 92,
-                timezone: tz
-            });
+            const problems = [];
+            const auto = scheduledFor === 'auto';
+            const sendAt = auto ? null : new Date(scheduledFor);
+            
+            if (!auto) {
+                if (isNaN(sendAt.getTime())) {
+                    problems.push({ severity: 'error', code: 'invalid_time', message: 'Schedule time is not a valid date' });
+                } else if (sendAt <= new Date()) {
+                    problems.push({ severity: 'error', code: 'time_in_past', message: 'Schedule time must be in the future' });
+                } else if (sendAt > new Date(Date.now() + 365 * 24 * 60 * 60 * 1000)) {
+                    problems.push({ severity: 'error', code: 'too_far_ahead', message: 'Cannot schedule more than 1 year in advance' });
+                }
+            }
             
-            // Evening suggestions
-            suggestions.push({
-                time: '18:00',
-                label: 'Evening Update',
-                description: 'End of workday catch-up',
-                engagement_score: 88,
-                timezone: tz
-            });
+            if (!destinations || destinations.length === 0) {
+                problems.push({ severity: 'error', code: 'no_destinations', message: 'No destinations given' });
+            }
             
-            // Weekend suggestions
-            suggestions.push({
-                time: '10:00',
-                label: 'Weekend Morning',
-                description: 'Leisurely weekend reading',
-                engagement_score: 75,
-                timezone: tz,
-                days: ['Saturday', 'Sunday']
-            });
+            const previews = [];
+            for (const destinationId of destinations || []) {
+                previews.push(await this.previewArticleForDestination(article, destinationId, sendAt, options));
+            }
+            
+            const allProblems = [...problems, ...previews.flatMap(preview => preview.problems)];
+            
+            return {
+                success: true,
+                dry_run: true,
+                valid: !allProblems.some(problem => problem.severity === 'error'),
+                article: { id: article._id, title: article.title },
+                scheduled_for: auto ? 'auto' : sendAt,
+                problems,
+                destinations: previews
+            };
+            
+        } catch (error) {
+            console.error('❌ Error previewing scheduled post:', error);
+            return { success: false, error: error.message };
+        }
+    }
+    
+    /**
+     * Render an article as one destination would receive it at `sendAt`
+     * (its best time when null), after its posting window is applied
+     */
+    async previewArticleForDestination(article, destinationId, sendAt, options = {}) {
+        const destination = await this.findDestination(destinationId);
+        if (!destination) {
+            return {
+                destination_id: destinationId,
+                name: null,
+                problems: [{ severity: 'error', code: 'destination_not_found', message: 'Destination not found' }]
+            };
+        }
+        
+        const id = destination._id.toString();
+        const policy = await this.getDestinationPolicy(id);
+        const autoTime = sendAt ? null : await this.resolveAutoSendTime(id);
+        const at = sendAt || autoTime?.time || null;
+        const deferral = at && !isNaN(at.getTime()) ? this.getDeferral(policy, at) : null;
+        const deliverAt = deferral ? deferral.until : at;
+        
+        const { rendered, problems } = await this.postManager.previewArticlePost(article, destination, {
+            template_id: options.templateId,
+            media: options.media,
+            at: deliverAt || undefined,
+            timezone: policy.timezone
+        });
+        
+        if (!at) {
+            problems.push({ severity: 'error', code: 'no_send_time', message: 'No allowed posting time found' });
+        }
+        problems.push(...this.describeDeferral(deferral));
+        
+        return {
+            destination_id: destination._id,
+            name: destination.title || destination.name || null,
+            timezone: policy.timezone,
+            send_at: deliverAt,
+            auto_time: autoTime,
+            deferral,
+            rendered,
+            problems
+        };
+    }
+    
+    /**
+     * A posting-window deferral as a preview problem
+     */
+    describeDeferral(deferral) {
+        if (!deferral) {
+            return [];
+        }
+        
+        if (deferral.action === 'drop') {
+            return [{ severity: 'error', code: 'dropped', message: `Would be dropped: ${deferral.label}` }];
+        }
+        
+        return [{
+            severity: 'warning',
+            code: 'deferred',
+            message: `Deferred to ${deferral.until.toISOString()}: ${deferral.label}`
+        }];
+    }
+    
+    /**
+     * Dry run of a recurring schedule's next run, using the articles it
+     * would pick up now. Digests are rendered with renderDigest; other
+     * jobs preview each article they would post. With a userId, only users
+     * who may change the schedule can preview it.
+     */
+    async previewRecurringSchedule(jobId, userId = null) {
+        try {
+            const job = ObjectId.isValid(jobId)
+                ? await this.db.collection('schedule_jobs').findOne({ _id: new ObjectId(jobId) })
+                : null;
+            
+            if (!job) {
+                return { success: false, error: 'Schedule not found' };
+            }
+            
+            if (userId !== null && !await this.canChangeResource(job, userId, 'created_by')) {
+                return { success: false, error: 'Insufficient permissions' };
+            }
+            
+            const jobRef = this.jobs.get(job._id.toString());
+            const nextRun = jobRef?.job ? jobRef.job.nextDate().toDate() : (job.next_run || new Date());
+            const isDigest = job.type === 'digest' || (job.type === 'custom' && !job.custom_handler);
+            
+            let articles;
+            if (job.type === 'breaking_news') {
+                articles = (await this.getBreakingNews(job.keywords || [], job.last_check)).slice(0, 3);
+            } else {
+                articles = await this.getLatestArticles(job.category || null, job.limit || (isDigest ? 5 : 3));
+            }
+            
+            const problems = [];
+            if (articles.length === 0) {
+                problems.push({
+                    severity: 'warning',
+                    code: 'no_articles',
+                    message: isDigest ? 'No articles - the digest would not be sent' : 'No articles to post right now'
+                });
+            }
+            
+            if (!isDigest && !this.postManager) {
+                return { success: false, error: 'PostManager not available' };
+            }
+            
+            let digest = null;
+            if (isDigest) {
+                try {
+                    digest = await this.renderDigest(articles, job);
+                } catch (error) {
+                    problems.push({ severity: 'error', code: 'template_error', message: error.message });
+                }
+            }
+            
+            const previews = [];
+            
+            for (const destinationId of job.destinations || []) {
+                const destination = await this.findDestination(destinationId);
+                if (!destination) {
+                    previews.push({
+                        destination_id: destinationId,
+                        name: null,
+                        problems: [{ severity: 'error', code: 'destination_not_found', message: 'Destination not found' }]
+                    });
+                    continue;
+                }
+                
+                const policy = await this.getDestinationPolicy(destination._id.toString());
+                if (job.ignore_quiet_hours) {
+                    policy.quiet_hours = null;
+                }
+                const deferral = this.getDeferral(policy, nextRun);
+                const preview = {
+                    destination_id: destination._id,
+                    name: destination.title || destination.name || null,
+                    timezone: policy.timezone,
+                    send_at: deferral ? deferral.until : nextRun,
+                    deferral,
+                    messages: []
+                };
+                
+                if (digest) {
+                    preview.messages.push({
+                        rendered: {
+                            type: 'text',
+                            text: digest.text,
+                            parse_mode: digest.parse_mode,
+                            photo: null,
+                            reply_markup: null,
+                            unresolved: []
+                        },
+                        problems: await validateMessage(
+                            this.bot.telegram,
+                            this.bot.botInfo?.id,
+                            destination,
+                            digest.text,
+                            { parseMode: digest.parse_mode }
+                        )
+                    });
+                } else if (!isDigest) {
+                    for (const article of articles) {
+                        preview.messages.push(await this.postManager.previewArticlePost(article, destination, {
+                            at: preview.send_at,
+                            timezone: policy.timezone
+                        }));
+                    }
+                }
+                
+                preview.problems = [
+                    ...this.describeDeferral(deferral),
+                    ...preview.messages.flatMap(message => message.problems)
+                ];
+                previews.push(preview);
+            }
+            
+            const allProblems = [...problems, ...previews.flatMap(preview => preview.problems)];
+            
+            return {
+                success: true,
+                dry_run: true,
+                valid: !allProblems.some(problem => problem.severity === 'error'),
+                schedule: { id: job._id, name: job.name, type: job.type },
+                next_run: nextRun,
+                articles: articles.map(article => ({ id: article._id, title: article.title })),
+                problems,
+                destinations: previews
+            };
+            
+        } catch (error) {
+            console.error('❌ Error previewing recurring schedule:', error);
+            return { success: false, error: error.message };
+        }
+    }
+    
+    /**
+     * A destination's engagement heatmap, in its posting timezone
+     */
+    async getEngagementHeatmap(destinationRef, { refresh = false } = {}) {
+        try {
+            const destination = await this.findDestination(destinationRef);
+            if (!destination) {
+                return { success: false, error: 'Destination not found' };
+            }
+            
+            const policy = await this.getDestinationPolicy(destination._id.toString());
+            const heatmap = await this.engagement.getHeatmap(destination, policy.timezone, { refresh });
+            
+            return {
+                success: true,
+                destination: {
+                    id: destination._id,
+                    title: destination.title || destination.name || null
+                },
+                heatmap,
+                best: rankCells(heatmap.cells).slice(0, 5)
+            };
+            
+        } catch (error) {
+            console.error('❌ Error building engagement heatmap:', error);
+            return { success: false, error: error.message };
+        }
+    }
+    
+    /**
+     * The best time to post to a destination after `after`: the top
+     * engagement hour when there is enough history, otherwise the best
+     * heuristic slot. Both respect the destination's posting window.
+     */
+    async resolveAutoSendTime(destinationId, after = new Date(Date.now() + AUTO_LEAD_TIME_MS)) {
+        const destination = await this.findDestination(destinationId);
+        const policy = await this.getDestinationPolicy(destinationId);
+        
+        if (destination) {
+            const heatmap = await this.engagement.getHeatmap(destination, policy.timezone);
+            const best = this.engagement.bestSendTime(heatmap, policy, after);
+            if (best) {
+                return {
+                    time: best.time,
+                    basis: 'engagement',
+                    weekday: WEEKDAY_NAMES[best.weekday],
+                    hour: best.hour,
+                    posts: best.posts,
+                    score: best.score
+                };
+            }
+        }
+        
+        let fallback = null;
+        for (const slot of HEURISTIC_SLOTS) {
+            const time = this.nextSlotOccurrence(slot, policy, after);
+            if (time && (!fallback || time < fallback.time)) {
+                fallback = { time, basis: 'heuristic', label: slot.label };
+            }
+        }
+        
+        return fallback;
+    }
+    
+    /**
+     * Schedule a post at each destination's best time. Destinations that
+     * share a time share one scheduled post.
+     */
+    async scheduleAutoPost(articleId, destinations, userId, options = {}) {
+        try {
+            const groups = new Map();
+            
+            for (const destinationId of destinations) {
+                const auto = await this.resolveAutoSendTime(destinationId);
+                if (!auto) {
+                    return {
+                        success: false,
+                        error: `No allowed posting time found for destination ${destinationId}`
+                    };
+                }
+                
+                const key = auto.time.toISOString();
+                if (!groups.has(key)) {
+                    groups.set(key, { auto, destinations: [] });
+                }
+                groups.get(key).destinations.push(destinationId);
+            }
+            
+            const scheduled = [];
+            for (const { auto, destinations: group } of groups.values()) {
+                const result = await this.schedulePost(articleId, group, auto.time, userId, {
+                    ...options,
+                    autoTime: auto
+                });
+                if (!result.success) {
+                    return result;
+                }
+                scheduled.push({ ...result, auto_time: auto });
+            }
+            
+            return {
+                success: true,
+                auto: true,
+                scheduled_post_id: scheduled[0]?.scheduled_post_id,
+                scheduled_for: scheduled[0]?.scheduled_for,
+                destinations_count: destinations.length,
+                scheduled_posts: scheduled
+            };
+            
+        } catch (error) {
+            console.error('❌ Error auto-scheduling post:', error);
+            await this.logError('scheduleAutoPost', error, { articleId, destinations });
+            return { success: false, error: error.message };
+        }
+    }
+    
+    /**
+     * Pin an "auto" recurring schedule to the hour its destinations engage
+     * with most, keeping `auto` so it is re-picked as history grows
+     */
+    async resolveAutoSchedule(schedule, destinationIds, timezone) {
+        const heatmaps = [];
+        for (const destinationId of destinationIds || []) {
+            const destination = await this.findDestination(destinationId);
+            if (destination) {
+                heatmaps.push(await this.engagement.getHeatmap(destination, timezone || this.options.timezone));
+            }
+        }
+        
+        const best = this.engagement.bestDailyHour(heatmaps);
+        
+        return {
+            auto: true,
+            ...(schedule.days ? { days: schedule.days } : {}),
+            hour: best ? best.hour : schedule.hour ?? 8,
+            minute: 0,
+            basis: best ? 'engagement' : 'default',
+            score: best?.score || null,
+            resolved_at: new Date()
+        };
+    }
+    
+    /**
+     * Re-pick the hour of "auto" recurring schedules that haven't been
+     * resolved for a week. Bumping `updated_at` makes every instance
+     * recreate the job on its next sync.
+     */
+    async refreshAutoSchedules() {
+        try {
+            const stale = await this.db.collection('schedule_jobs')
+                .find({
+                    enabled: true,
+                    'schedule.auto': true,
+                    'schedule.resolved_at': { $lt: new Date(Date.now() - AUTO_SCHEDULE_REFRESH_MS) }
+                })
+                .toArray();
+            
+            for (const job of stale) {
+                const schedule = await this.resolveAutoSchedule(job.schedule, job.destinations, job.timezone);
+                const changed = schedule.hour !== job.schedule.hour;
+                
+                await this.db.collection('schedule_jobs').updateOne(
+                    { _id: job._id },
+                    { $set: { schedule, ...(changed ? { updated_at: new Date() } : {}) } }
+                );
+                
+                if (changed) {
+                    console.log(`🕐 Auto schedule ${job.name || job._id} moved from ${job.schedule.hour}:00 to ${schedule.hour}:00`);
+                }
+            }
+            
+        } catch (error) {
+            console.error('❌ Error refreshing auto schedules:', error);
+            await this.logError('refreshAutoSchedules', error);
+        }
+    }
+    
+    /**
+     * Smart scheduling - suggest optimal times for each destination, in its
+     * own timezone and outside its blocked windows. Destinations with enough
+     * history get their best engagement hours; others get heuristic slots.
+     */
+    async suggestOptimalTimes(destinationIds, timezone = null) {
+        try {
+            const ids = destinationIds?.length ? destinationIds : [null];
+            const destinations = [];
+            
+            for (const destinationId of ids) {
+                const policy = destinationId
+                    ? await this.getDestinationPolicy(destinationId)
+                    : this.getDefaultPolicy();
+                if (timezone) {
+                    policy.timezone = timezone;
+                }
+                
+                const suggestions = destinationId
+                    ? await this.suggestFromEngagement(destinationId, policy)
+                    : [];
+                
+                if (suggestions.length === 0) {
+                    for (const slot of HEURISTIC_SLOTS) {
+                        const nextAt = this.nextSlotOccurrence(slot, policy);
+                        if (nextAt) {
+                            suggestions.push({ ...slot, timezone: policy.timezone, next_at: nextAt, basis: 'heuristic' });
+                        }
+                    }
+                }
+                
+                destinations.push({ destination_id: destinationId, timezone: policy.timezone, suggestions });
+            }
             
             return {
                 success: true,
-                suggestions,
-                timezone: tz
+                suggestions: destinations[0].suggestions,
+                timezone: destinations[0].timezone,
+                destinations: destinationIds?.length ? destinations : []
             };
             
         } catch (error) {
@@ -1712,6 +3113,75 @@ class SchedulerService {
         }
     }
     
+    /**
+     * The destination's top engagement hours that its policy allows
+     */
+    async suggestFromEngagement(destinationId, policy) {
+        const destination = await this.findDestination(destinationId);
+        if (!destination) {
+            return [];
+        }
+        
+        const heatmap = await this.engagement.getHeatmap(destination, policy.timezone);
+        if (!heatmap.has_model) {
+            return [];
+        }
+        
+        const suggestions = [];
+        for (const cell of rankCells(heatmap.cells)) {
+            const slot = {
+                time: `${String(cell.hour).padStart(2, '0')}:00`,
+                days: [WEEKDAY_NAMES[cell.weekday]]
+            };
+            const nextAt = this.nextSlotOccurrence(slot, policy);
+            if (!nextAt) {
+                continue;
+            }
+            
+            suggestions.push({
+                ...slot,
+                label: `${WEEKDAY_NAMES[cell.weekday]} ${slot.time}`,
+                description: `${cell.posts} past post(s), ${cell.views ?? 'n/a'} avg views, ${cell.reactions} avg reactions`,
+                engagement_score: Math.round(cell.score.mean * 100),
+                confidence_interval: [Math.round(cell.score.low * 100), Math.round(cell.score.high * 100)],
+                timezone: policy.timezone,
+                next_at: nextAt,
+                basis: 'engagement'
+            });
+            
+            if (suggestions.length === 3) {
+                break;
+            }
+        }
+        
+        return suggestions;
+    }
+    
+    /**
+     * The next time within a week that a suggested slot falls on an allowed
+     * day and outside the policy's blocked windows, or null
+     */
+    nextSlotOccurrence(slot, policy, from = new Date()) {
+        const [hour, minute] = slot.time.split(':').map(Number);
+        const today = getLocalParts(from, policy.timezone);
+        
+        for (let offset = 0; offset < 8; offset++) {
+            const at = zonedTimeToUtc({ year: today.year, month: today.month, day: today.day + offset, hour, minute }, policy.timezone);
+            if (at <= from) {
+                continue;
+            }
+            
+            const weekday = WEEKDAY_NAMES[getLocalParts(at, policy.timezone).weekday];
+            const dayAllowed = !slot.days || slot.days.includes(weekday);
+            
+            if (dayAllowed && !checkPostingWindow(policy, at)) {
+                return at;
+            }
+        }
+        
+        return null;
+    }
+    
     /**
      * Pause/Resume scheduler
      */
@@ -1725,10 +3195,11 @@ class SchedulerService {
                 };
             }
             
-            // Stop all active jobs
+            // Stop all active jobs; other instances stop theirs on their next sync
             for (const [jobId, jobRef] of this.jobs.entries()) {
                 jobRef.job.stop();
             }
+            this.jobs.clear();
             
             // Update status
             await this.db.collection('scheduler_status').updateOne(
@@ -1778,6 +3249,7 @@ class SchedulerService {
                 .toArray();
             
             for (const jobData of enabledJobs) {
+                this.jobs.get(jobData._id.toString())?.job.stop();
                 await this.createCronJob(jobData);
             }
             
@@ -1832,6 +3304,12 @@ class SchedulerService {
             return this.validateCronExpression(schedule.interval);
         }
         
+        // "auto" picks the hour from engagement history; days are optional
+        if (schedule.auto === true) {
+            return !schedule.days || (Array.isArray(schedule.days) &&
+                schedule.days.every(day => Number.isInteger(day) && day >= 0 && day <= 6));
+        }
+        
         // Check for hour/minute/days format
         if (typeof schedule.hour === 'number' && typeof schedule.minute === 'number') {
             return schedule.hour >= 0 && schedule.hour <= 23 &&
@@ -1865,7 +3343,9 @@ class SchedulerService {
      */
     async getLatestArticles(category = null, limit = 5) {
         try {
-            const query = {};
+            // One article per story: the article processor marks the others
+            // in a story `story.primary: false`
+            const query = { 'story.primary': { $ne: false } };
             if (category) {
                 query.category = category;
             }
@@ -1914,42 +3394,46 @@ class SchedulerService {
     }
     
     /**
-     * Format digest content
+     * Format digest content with the built-in layout for `digestType`
      */
-    formatDigest(articles, digestType = 'standard') {
+    formatDigest(articles, digestType = 'standard', timezone = this.options.timezone) {
         if (articles.length === 0) {
             return '📰 *News Digest*\n\nNo new articles available at this time.';
         }
         
-        let digest = `📰 *News Digest* - ${new Date().toLocaleDateString('en-AU')}\n\n`;
+        return render(DIGEST_TEMPLATES[digestType] || DIGEST_TEMPLATES.standard, {
+            articles,
+            date: new Date()
+        }, { mode: 'Markdown', timezone });
+    }
+    
+    /**
+     * Render a digest job's message: its saved template if it has one,
+     * otherwise the built-in layout. Returns the text and its parse mode.
+     */
+    async renderDigest(articles, jobData) {
+        const timezone = jobData.timezone || this.options.timezone;
         
-        switch (digestType) {
-            case 'brief':
-                articles.slice(0, 3).forEach((article, index) => {
-                    digest += `${index + 1}. *${this.escapeMarkdown(article.title)}*\n`;
-                });
-                break;
-                
-            case 'detailed':
-                articles.forEach((article, index) => {
-                    digest += `${index + 1}. *${this.escapeMarkdown(article.title)}*\n`;
-                    digest += `   ${this.escapeMarkdown(article.summary || article.content?.substring(0, 100))}...\n`;
-                    digest += `   📅 ${new Date(article.published_date).toLocaleDateString('en-AU')}\n\n`;
-                });
-                break;
-                
-            default: // standard
-                articles.forEach((article, index) => {
-                    digest += `${index + 1}. *${this.escapeMarkdown(article.title)}*\n`;
-                    digest += `   📅 ${new Date(article.published_date).toLocaleDateString('en-AU')} | `;
-                    digest += `📂 ${article.category || 'General'}\n\n`;
-                });
+        if (!jobData.template_id) {
+            return {
+                text: this.formatDigest(articles, jobData.digest_type || 'standard', timezone),
+                parse_mode: 'Markdown'
+            };
         }
         
-        digest += `\n🔗 [Read all articles](https://thezonenews.com)\n`;
-        digest += `📊 Total articles: ${articles.length}`;
+        const template = await loadSavedTemplate(this.db, jobData.template_id);
+        const mode = template.parse_mode || 'Markdown';
         
-        return digest;
+        return {
+            text: render(template.content, {
+                articles,
+                date: new Date(),
+                digest_type: jobData.digest_type || 'standard',
+                category: jobData.category || null,
+                name: jobData.name
+            }, { mode, partials: template.partials, timezone }),
+            parse_mode: mode
+        };
     }
     
     /**
@@ -2076,6 +3560,8 @@ class SchedulerService {
     getHealthStatus() {
         return {
             is_healthy: this.isHealthy,
+            instance_id: this.instanceId,
+            is_leader: this.isLeader,
             active_jobs: this.jobs.size,
             processing_queue_size: this.processingQueue.size,
             rate_limit_usage: `${this.rateLimiter.count}/${this.options.rateLimit}`,
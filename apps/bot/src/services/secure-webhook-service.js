@@ -123,7 +123,9 @@ class SecureWebhookService {
                         'edited_message', 
                         'callback_query',
                         'inline_query',
-                        'chosen_inline_result'
+                        'chosen_inline_result',
+                        'my_chat_member',
+                        'chat_member'
                     ]
                 };
 
@@ -308,7 +310,7 @@ class SecureWebhookService {
                 securityHeaders: 'enabled',
                 allowedUpdates: [
                     'message', 'edited_message', 'callback_query',
-                    'inline_query', 'chosen_inline_result'
+                    'inline_query', 'chosen_inline_result', 'my_chat_member', 'chat_member'
                 ]
             });
         });
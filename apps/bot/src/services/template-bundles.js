@@ -0,0 +1,243 @@
+/**
+ * Template Bundles - the JSON file format /exporttemplates writes and
+ * /importtemplates reads, and how an import merges with saved templates
+ *
+ * A bundle looks like:
+ *
+ *   {
+ *     "format": "zone-news-templates",
+ *     "version": 1,
+ *     "exported_at": "2026-10-19T09:00:00.000Z",
+ *     "templates": [{
+ *       "name": "Breaking", "category": "news", "parse_mode": "Markdown",
+ *       "content": "🚨 *{{ title }}*", "variables": ["title"],
+ *       "sample_values": { "title": "Storm warning" }, "tags": []
+ *     }]
+ *   }
+ */
+
+const { PARSE_MODES, TemplateSyntaxError, parse, findIncludes, findVariables } = require('../../../../libs/shared/src/template-engine');
+
+const BUNDLE_FORMAT = 'zone-news-templates';
+const BUNDLE_VERSION = 1;
+
+const MAX_BUNDLE_TEMPLATES = 100;
+const MAX_NAME_LENGTH = 64;
+const MAX_CONTENT_LENGTH = 4096;
+
+const CONFLICT_STRATEGIES = ['skip', 'rename', 'replace'];
+
+class BundleError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'BundleError';
+    }
+}
+
+/**
+ * Bundle of saved `user_templates` documents
+ */
+function createBundle(templates, { exportedAt = new Date() } = {}) {
+    return {
+        format: BUNDLE_FORMAT,
+        version: BUNDLE_VERSION,
+        exported_at: exportedAt.toISOString(),
+        templates: templates.map(template => ({
+            name: template.name,
+            category: template.category,
+            parse_mode: template.parse_mode || 'Markdown',
+            content: template.content,
+            variables: template.variables || [],
+            sample_values: template.sample_values || {},
+            tags: template.tags || []
+        }))
+    };
+}
+
+/**
+ * Check one bundle entry, returning the template to save
+ * @throws {BundleError} when the entry cannot be imported
+ */
+function normalizeEntry(entry, categories) {
+    if (!entry || typeof entry !== 'object') {
+        throw new BundleError('Not a template object');
+    }
+
+    const name = typeof entry.name === 'string' ? entry.name.trim() : '';
+    if (!name || name.length > MAX_NAME_LENGTH) {
+        throw new BundleError(`Name must be 1-${MAX_NAME_LENGTH} characters`);
+    }
+    if (typeof entry.content !== 'string' || !entry.content.trim()) {
+        throw new BundleError('Content is missing');
+    }
+    if (entry.content.length > MAX_CONTENT_LENGTH) {
+        throw new BundleError(`Content is longer than ${MAX_CONTENT_LENGTH} characters`);
+    }
+
+    const parseMode = entry.parse_mode ?? 'Markdown';
+    if (!PARSE_MODES.includes(parseMode)) {
+        throw new BundleError(`Unknown parse mode "${parseMode}"`);
+    }
+
+    try {
+        parse(entry.content);
+    } catch (error) {
+        if (error instanceof TemplateSyntaxError) {
+            throw new BundleError(`${error.reason} (line ${error.line}, column ${error.column})`);
+        }
+        throw error;
+    }
+
+    const sampleValues = {};
+    if (entry.sample_values && typeof entry.sample_values === 'object' && !Array.isArray(entry.sample_values)) {
+        for (const [key, value] of Object.entries(entry.sample_values)) {
+            if (['string', 'number', 'boolean'].includes(typeof value) || Array.isArray(value)) {
+                sampleValues[key] = value;
+            }
+        }
+    }
+
+    return {
+        name,
+        category: categories.includes(entry.category) ? entry.category : 'custom',
+        parse_mode: parseMode,
+        content: entry.content,
+        // Recomputed rather than trusted, as the editor may have changed the content
+        variables: findVariables(entry.content),
+        sample_values: sampleValues,
+        tags: Array.isArray(entry.tags) ? entry.tags.filter(tag => typeof tag === 'string').slice(0, 10) : []
+    };
+}
+
+/**
+ * Read a bundle file. Entries that cannot be imported are returned in
+ * `invalid` with the reason, so the rest of the bundle can still be used.
+ * @param {string|Object} input - file contents or parsed JSON
+ * @param {Object} options
+ * @param {string[]} options.categories - category keys templates may use; others become "custom"
+ * @throws {BundleError} when the file is not a bundle this version can read
+ */
+function parseBundle(input, { categories = [] } = {}) {
+    let bundle = input;
+    if (typeof input === 'string') {
+        try {
+            bundle = JSON.parse(input);
+        } catch (error) {
+            throw new BundleError('File is not valid JSON');
+        }
+    }
+
+    if (!bundle || bundle.format !== BUNDLE_FORMAT || !Array.isArray(bundle.templates)) {
+        throw new BundleError('File is not a template bundle');
+    }
+    if (!Number.isInteger(bundle.version) || bundle.version < 1) {
+        throw new BundleError('Bundle has no valid version');
+    }
+    if (bundle.version > BUNDLE_VERSION) {
+        throw new BundleError(`Bundle version ${bundle.version} is newer than this bot supports (${BUNDLE_VERSION})`);
+    }
+    if (bundle.templates.length > MAX_BUNDLE_TEMPLATES) {
+        throw new BundleError(`Bundles can hold at most ${MAX_BUNDLE_TEMPLATES} templates`);
+    }
+
+    const templates = [];
+    const invalid = [];
+    const seen = new Set();
+
+    bundle.templates.forEach((entry, index) => {
+        try {
+            const template = normalizeEntry(entry, categories);
+            if (seen.has(template.name)) {
+                throw new BundleError('Name appears more than once in the bundle');
+            }
+            seen.add(template.name);
+            templates.push(template);
+        } catch (error) {
+            if (!(error instanceof BundleError)) {
+                throw error;
+            }
+            invalid.push({ index, name: entry?.name ?? null, reason: error.message });
+        }
+    });
+
+    return { version: bundle.version, templates, invalid };
+}
+
+/**
+ * `name` or the first of "name (2)", "name (3)"... not in `taken`
+ */
+function uniqueName(name, taken) {
+    if (!taken.has(name)) {
+        return name;
+    }
+    for (let n = 2; ; n++) {
+        const candidate = `${name.slice(0, MAX_NAME_LENGTH - String(n).length - 3)} (${n})`;
+        if (!taken.has(candidate)) {
+            return candidate;
+        }
+    }
+}
+
+/**
+ * Work out how an import merges with the user's saved templates. A template
+ * conflicts when the user already has one with the same name; identical
+ * ones are always skipped. Templates whose includes exist neither in the
+ * bundle nor among the user's templates are skipped as well.
+ * @param {Object[]} templates - from parseBundle
+ * @param {Object[]} existing - the user's `user_templates` documents
+ * @param {string} strategy - one of CONFLICT_STRATEGIES
+ * @returns {{ create: Object[], replace: Array<{ existing: Object, template: Object }>, skip: Array<{ template: Object, reason: string }>, conflicts: number }}
+ */
+function planImport(templates, existing, strategy = 'skip') {
+    if (!CONFLICT_STRATEGIES.includes(strategy)) {
+        throw new BundleError(`Unknown conflict strategy "${strategy}"`);
+    }
+
+    const byName = new Map(existing.map(template => [template.name, template]));
+    const taken = new Set(byName.keys());
+    const available = new Set([...taken, ...templates.map(template => template.name)]);
+    const plan = { create: [], replace: [], skip: [], conflicts: 0 };
+
+    for (const template of templates) {
+        const missing = findIncludes(template.content).filter(name => !available.has(name));
+        if (missing.length > 0) {
+            plan.skip.push({ template, reason: `Includes missing template(s): ${missing.join(', ')}` });
+            continue;
+        }
+
+        const current = byName.get(template.name);
+        if (!current) {
+            plan.create.push(template);
+            continue;
+        }
+
+        if (current.content === template.content && (current.parse_mode || 'Markdown') === template.parse_mode) {
+            plan.skip.push({ template, reason: 'Already saved' });
+            continue;
+        }
+
+        plan.conflicts++;
+        if (strategy === 'replace') {
+            plan.replace.push({ existing: current, template });
+        } else if (strategy === 'rename') {
+            const name = uniqueName(template.name, taken);
+            taken.add(name);
+            plan.create.push({ ...template, name, renamed_from: template.name });
+        } else {
+            plan.skip.push({ template, reason: 'A template with this name exists' });
+        }
+    }
+
+    return plan;
+}
+
+module.exports = {
+    BUNDLE_FORMAT,
+    BUNDLE_VERSION,
+    CONFLICT_STRATEGIES,
+    BundleError,
+    createBundle,
+    parseBundle,
+    planImport,
+    uniqueName
+};
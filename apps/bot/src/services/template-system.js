@@ -4,6 +4,30 @@
  */
 
 const { ObjectId } = require('mongodb');
+const axios = require('axios');
+const {
+    PARSE_MODES,
+    TemplateSyntaxError,
+    TemplateError,
+    parse,
+    render,
+    findVariables,
+    escapeText
+} = require('../../../../libs/shared/src/template-engine');
+const { loadPartials, templateScope } = require('./saved-templates');
+const { scopeFilter, workspaceStamp, membershipFor } = require('./workspace-access');
+const {
+    CONFLICT_STRATEGIES,
+    BundleError,
+    createBundle,
+    parseBundle,
+    planImport,
+    uniqueName
+} = require('./template-bundles');
+
+const MAX_BUNDLE_FILE_SIZE = 1024 * 1024;
+const PENDING_IMPORT_TTL = 60 * 60 * 1000;
+const GALLERY_PAGE_SIZE = 5;
 
 class TemplateSystem {
     constructor(bot, db, tierManager) {
@@ -178,10 +202,14 @@ class TemplateSystem {
         this.bot.command('templatecategories', this.handleTemplateCategories.bind(this));
         this.bot.command('sharetemplate', this.handleShareTemplate.bind(this));
         this.bot.command('templatestats', this.handleTemplateStats.bind(this));
-        this.bot.command('importtemplate', this.handleImportTemplate.bind(this));
-        this.bot.command('exporttemplate', this.handleExportTemplate.bind(this));
+        this.bot.command('importtemplates', this.handleImportTemplates.bind(this));
+        this.bot.command('exporttemplates', this.handleExportTemplates.bind(this));
+        this.bot.command('templategallery', this.handleTemplateGallery.bind(this));
         this.bot.command('templatevars', this.handleTemplateVariables.bind(this));
         
+        // Bundle files sent with /importtemplates as the caption
+        this.bot.on('document', this.handleTemplateDocument.bind(this));
+        
         // Callback handlers
         this.bot.action(/^template:/, this.handleTemplateCallback.bind(this));
         this.bot.action(/^category:/, this.handleCategoryCallback.bind(this));
@@ -199,7 +227,7 @@ class TemplateSystem {
             const userId = ctx.from.id;
             
             // Check if user has templates feature
-            const hasFeature = await this.tierManager.hasFeature(userId, 'templates');
+            const hasFeature = await this.tierManager.hasFeature(await this.getTierUserId(ctx), 'templates');
             if (!hasFeature) {
                 await ctx.reply(
                     '📝 *Templates* require Basic tier or higher.\n\n' +
@@ -221,11 +249,11 @@ class TemplateSystem {
                 return;
             }
             
-            const userTier = await this.tierManager.getUserTier(userId);
+            const userTier = await this.getTemplateTier(ctx);
             const tierLimits = this.templateLimits[userTier];
             
             // Get user's templates
-            const templates = await this.getUserTemplates(userId);
+            const templates = await this.getUserTemplates(await this.templateScope(ctx));
             const templateCount = templates.length;
             
             let message = `📝 *Template Manager*\n\n`;
@@ -309,9 +337,13 @@ class TemplateSystem {
             const args = ctx.message.text.split(' ').slice(1);
             
             // Check template limits
-            const limitCheck = await this.tierManager.checkLimit(userId, 'templates');
-            if (!limitCheck.allowed) {
-                await ctx.reply(limitCheck.message, { parse_mode: 'Markdown' });
+            if (await this.remainingTemplateSlots(ctx) <= 0) {
+                const userTier = await this.getTemplateTier(ctx);
+                await ctx.reply(
+                    `📊 Template limit reached (${this.templateLimits[userTier].max_templates}) for ${userTier} tier.\n\n` +
+                    this.tierManager.getUpgradeMessage(userTier),
+                    { parse_mode: 'Markdown' }
+                );
                 return;
             }
             
@@ -319,13 +351,14 @@ class TemplateSystem {
                 await ctx.reply(
                     '📝 *Save Template*\n\n' +
                     '*Usage:*\n' +
-                    '`/savetemplate <name> <content>`\n\n' +
+                    '`/savetemplate <name> [mode=HTML|MarkdownV2] <content>`\n\n' +
                     '*Example:*\n' +
                     '`/savetemplate "Daily News" 📰 Breaking: {{title}} - {{content}}`\n\n' +
                     '*Available variables:*\n' +
                     '• {{date}}, {{time}}, {{datetime}}\n' +
                     '• {{username}}, {{firstname}}\n' +
-                    '• Custom: {{title}}, {{content}}, etc.',
+                    '• Custom: {{title}}, {{content}}, etc.\n\n' +
+                    'Templates can also use `{% if %}`, `{% for %}`, filters and `{% include %}` - see /templatevars.',
                     { parse_mode: 'Markdown' }
                 );
                 return;
@@ -342,14 +375,33 @@ class TemplateSystem {
                 templateContent = args.slice(1).join(' ');
             }
             
+            // Optional parse mode, which decides how variables are escaped
+            let parseMode = 'Markdown';
+            const modeMatch = /^mode=(\S+)\s*/.exec(templateContent);
+            if (modeMatch) {
+                parseMode = PARSE_MODES.find(mode => mode.toLowerCase() === modeMatch[1].toLowerCase());
+                if (!parseMode) {
+                    await ctx.reply(`❌ Unknown mode "${modeMatch[1]}". Use ${PARSE_MODES.join(', ')}.`);
+                    return;
+                }
+                templateContent = templateContent.slice(modeMatch[0].length);
+            }
+            
             if (!templateName || !templateContent) {
                 await ctx.reply('❌ Please provide both template name and content.');
                 return;
             }
             
+            const scope = await this.templateScope(ctx);
+            const templateError = await this.validateTemplate(scope, templateContent);
+            if (templateError) {
+                await ctx.reply(`❌ Template not saved\n\n${templateError}`);
+                return;
+            }
+            
             // Check if template name already exists
             const existingTemplate = await this.db.collection('user_templates').findOne({
-                user_id: userId,
+                ...scope,
                 name: templateName
             });
             
@@ -363,7 +415,7 @@ class TemplateSystem {
             }
             
             // Show category selection
-            await this.showCategorySelection(ctx, templateName, templateContent);
+            await this.showCategorySelection(ctx, templateName, templateContent, parseMode);
             
         } catch (error) {
             console.error('Error saving template:', error);
@@ -389,7 +441,7 @@ class TemplateSystem {
             
             // Find template
             const template = await this.db.collection('user_templates').findOne({
-                user_id: userId,
+                ...await this.templateScope(ctx),
                 name: templateName
             });
             
@@ -403,7 +455,9 @@ class TemplateSystem {
             }
             
             // Process template variables
-            const processedContent = await this.processTemplateVariables(template.content, ctx);
+            const processedContent = await this.processTemplateVariables(template.content, ctx, {}, {
+                parseMode: template.parse_mode
+            });
             
             // Update usage count
             await this.db.collection('user_templates').updateOne(
@@ -445,6 +499,10 @@ class TemplateSystem {
             );
             
         } catch (error) {
+            if (error instanceof TemplateError || error instanceof TemplateSyntaxError) {
+                await ctx.reply(`❌ ${error.message}`);
+                return;
+            }
             console.error('Error loading template:', error);
             await ctx.reply('❌ Error loading template.');
         }
@@ -486,6 +544,19 @@ class TemplateSystem {
                 case 'variables':
                     await this.showTemplateVariables(ctx);
                     break;
+                case 'export':
+                    await this.handleExportTemplates(ctx);
+                    break;
+                case 'import':
+                    if (param) {
+                        await this.applyPendingImport(ctx, param, data[3]);
+                    } else {
+                        await this.showImportHelp(ctx);
+                    }
+                    break;
+                case 'public':
+                    await this.showGallery(ctx, 0, { edit: true });
+                    break;
                 default:
                     await ctx.reply('❌ Unknown template action.');
             }
@@ -499,10 +570,10 @@ class TemplateSystem {
     /**
      * Show category selection for new template
      */
-    async showCategorySelection(ctx, templateName, templateContent) {
+    async showCategorySelection(ctx, templateName, templateContent, parseMode = 'Markdown') {
         try {
             const userId = ctx.from.id;
-            const userTier = await this.tierManager.getUserTier(userId);
+            const userTier = await this.getTemplateTier(ctx);
             const tierLimits = this.templateLimits[userTier];
             
             let message = `📂 *Select Category*\n\n`;
@@ -516,7 +587,7 @@ class TemplateSystem {
                 if (tierLimits.categories.includes(key)) {
                     keyboard.push([{
                         text: `${category.icon} ${category.name}`,
-                        callback_data: `category:save:${key}:${encodeURIComponent(templateName)}:${encodeURIComponent(templateContent)}`
+                        callback_data: `category:save:${key}:${encodeURIComponent(templateName)}:${encodeURIComponent(templateContent)}:${parseMode}`
                     }]);
                 }
             }
@@ -551,7 +622,7 @@ class TemplateSystem {
                     const categoryKey = data[2];
                     const templateName = decodeURIComponent(data[3]);
                     const templateContent = decodeURIComponent(data[4]);
-                    await this.saveTemplateToCategory(ctx, templateName, templateContent, categoryKey);
+                    await this.saveTemplateToCategory(ctx, templateName, templateContent, categoryKey, data[5]);
                     break;
                 case 'browse':
                     await this.browseCategoriesMenu(ctx);
@@ -572,7 +643,7 @@ class TemplateSystem {
     /**
      * Save template to specific category
      */
-    async saveTemplateToCategory(ctx, templateName, templateContent, categoryKey) {
+    async saveTemplateToCategory(ctx, templateName, templateContent, categoryKey, parseMode = 'Markdown') {
         try {
             const userId = ctx.from.id;
             const category = this.categories[categoryKey];
@@ -582,28 +653,13 @@ class TemplateSystem {
                 return;
             }
             
-            // Analyze template content for variables
-            const variables = this.extractVariables(templateContent);
-            
-            // Create template document
-            const template = {
-                user_id: userId,
+            const template = this.buildTemplateDocument(userId, {
                 name: templateName,
                 content: templateContent,
-                category: categoryKey,
-                variables: variables,
-                created_at: new Date(),
-                updated_at: new Date(),
-                usage_count: 0,
-                last_used: null,
-                is_public: false,
-                tags: [],
-                metadata: {
-                    character_count: templateContent.length,
-                    variable_count: variables.length,
-                    estimated_length: this.estimateProcessedLength(templateContent)
-                }
-            };
+                parse_mode: parseMode,
+                category: categoryKey
+            }, await membershipFor(ctx, this.db));
+            const variables = template.variables;
             
             const result = await this.db.collection('user_templates').insertOne(template);
             
@@ -641,13 +697,43 @@ class TemplateSystem {
         }
     }
 
+    /**
+     * New `user_templates` document, shared with the workspace the user is
+     * working in when `membership` is given
+     */
+    buildTemplateDocument(userId, { name, content, parse_mode, category, sample_values = {}, tags = [], cloned_from = null }, membership = null) {
+        const variables = this.extractVariables(content);
+        
+        return {
+            user_id: userId,
+            ...workspaceStamp(membership),
+            name,
+            content,
+            parse_mode: PARSE_MODES.includes(parse_mode) ? parse_mode : 'Markdown',
+            category,
+            variables,
+            sample_values,
+            created_at: new Date(),
+            updated_at: new Date(),
+            usage_count: 0,
+            last_used: null,
+            is_public: false,
+            tags,
+            cloned_from,
+            metadata: {
+                character_count: content.length,
+                variable_count: variables.length,
+                estimated_length: this.estimateProcessedLength(content)
+            }
+        };
+    }
+
     /**
      * Show template list
      */
     async showTemplateList(ctx) {
         try {
-            const userId = ctx.from.id;
-            const templates = await this.getUserTemplates(userId);
+            const templates = await this.getUserTemplates(await this.templateScope(ctx));
             
             if (templates.length === 0) {
                 await ctx.editMessageText(
@@ -705,51 +791,91 @@ class TemplateSystem {
     }
 
     /**
-     * Process template variables
+     * Process template variables. Built-in variables are filled from the
+     * context, custom ones from `customVars`; variables without a value are
+     * left in place for the user to fill in. Includes are looked up among
+     * the templates in `options.partialsScope`, by default the user's own.
      */
-    async processTemplateVariables(content, ctx, customVars = {}) {
-        let processedContent = content;
+    async processTemplateVariables(content, ctx, customVars = {}, options = {}) {
+        const variables = {};
         
-        // Process built-in variables
-        for (const [variable, handler] of Object.entries(this.templateVariables)) {
-            if (processedContent.includes(variable)) {
-                const value = typeof handler === 'function' ? handler(ctx) : handler;
-                processedContent = processedContent.replace(new RegExp(variable.replace(/[{}]/g, '\\$&'), 'g'), value);
+        for (const name of findVariables(content)) {
+            const handler = this.templateVariables[`{{${name}}}`];
+            if (handler) {
+                variables[name] = typeof handler === 'function' ? handler(ctx) : handler;
             }
         }
         
-        // Process custom variables
-        for (const [variable, value] of Object.entries(customVars)) {
-            const pattern = `{{${variable}}}`;
-            processedContent = processedContent.replace(new RegExp(pattern.replace(/[{}]/g, '\\$&'), 'g'), value);
+        return render(content, { ...variables, ...customVars }, {
+            mode: options.parseMode || 'Markdown',
+            partials: await loadPartials(this.db, options.partialsScope ?? await this.templateScope(ctx), content),
+            keepUndefined: true
+        });
+    }
+
+    /**
+     * Check a template before it is saved: its syntax, and that every
+     * template it includes exists. Returns a description of the problem,
+     * or null when the template is valid.
+     */
+    async validateTemplate(scope, content) {
+        try {
+            parse(content);
+            
+            const partials = await loadPartials(this.db, scope, content);
+            const missing = Object.keys(partials).filter(name => partials[name] === null);
+            if (missing.length > 0) {
+                return `Included template(s) not found: ${missing.map(name => `"${name}"`).join(', ')}`;
+            }
+            
+            return null;
+        } catch (error) {
+            if (error instanceof TemplateSyntaxError) {
+                return `${error.reason}\nLine ${error.line}, column ${error.column}`;
+            }
+            if (error instanceof TemplateError) {
+                return error.message;
+            }
+            throw error;
         }
-        
-        return processedContent;
     }
 
     /**
      * Extract variables from template content
      */
     extractVariables(content) {
-        const variables = [];
-        const regex = /\{\{([^}]+)\}\}/g;
-        let match;
-        
-        while ((match = regex.exec(content)) !== null) {
-            const variable = match[1];
-            if (!variables.includes(variable)) {
-                variables.push(variable);
-            }
+        try {
+            return findVariables(content);
+        } catch (error) {
+            // Templates saved before syntax checking may not parse
+            return [];
         }
-        
-        return variables;
     }
 
     /**
-     * Get user's templates
+     * The templates a user works with: their workspace's, or their own
      */
-    async getUserTemplates(userId, category = null) {
-        const query = { user_id: userId };
+    async templateScope(ctx) {
+        return scopeFilter(await membershipFor(ctx, this.db), ctx.from.id, 'user_id');
+    }
+
+    /**
+     * User whose plan applies: the workspace owner inside a workspace
+     */
+    async getTierUserId(ctx) {
+        const membership = await membershipFor(ctx, this.db);
+        return membership ? membership.workspace.owner_id : ctx.from.id;
+    }
+
+    async getTemplateTier(ctx) {
+        return await this.tierManager.getUserTier(await this.getTierUserId(ctx));
+    }
+
+    /**
+     * Get templates matching a scope (see templateScope)
+     */
+    async getUserTemplates(scope, category = null) {
+        const query = { ...scope };
         if (category) {
             query.category = category;
         }
@@ -768,7 +894,7 @@ class TemplateSystem {
             await this.db.collection('template_analytics').insertOne({
                 user_id: userId,
                 template_id: templateId,
-                action: action, // create, load, edit, delete, post, schedule
+                action: action, // create, load, edit, delete, post, schedule, import, share, preview, clone
                 created_at: new Date()
             });
         } catch (error) {
@@ -784,10 +910,11 @@ class TemplateSystem {
             const userId = ctx.from.id;
             
             // Get template statistics
-            const totalTemplates = await this.db.collection('user_templates').countDocuments({ user_id: userId });
+            const scope = await this.templateScope(ctx);
+            const totalTemplates = await this.db.collection('user_templates').countDocuments(scope);
             
             const categoryStats = await this.db.collection('user_templates').aggregate([
-                { $match: { user_id: userId } },
+                { $match: scope },
                 { $group: { _id: '$category', count: { $sum: 1 }, total_usage: { $sum: '$usage_count' } } }
             ]).toArray();
             
@@ -797,7 +924,7 @@ class TemplateSystem {
             ]).toArray();
             
             const mostUsedTemplate = await this.db.collection('user_templates')
-                .findOne({ user_id: userId }, { sort: { usage_count: -1 } });
+                .findOne(scope, { sort: { usage_count: -1 } });
             
             let message = `📊 *Template Statistics*\n\n`;
             message += `📝 Total Templates: ${totalTemplates}\n\n`;
@@ -821,7 +948,11 @@ class TemplateSystem {
                         edit: '✏️',
                         delete: '🗑️',
                         post: '📤',
-                        schedule: '⏰'
+                        schedule: '⏰',
+                        import: '📥',
+                        share: '🌐',
+                        preview: '👁',
+                        clone: '🧬'
                     };
                     const emoji = actionEmojis[stat._id] || '📊';
                     message += `${emoji} ${stat._id}: ${stat.count}\n`;
@@ -857,6 +988,606 @@ class TemplateSystem {
         }
     }
 
+    /**
+     * Templates the user can still save, Infinity when unlimited. In a
+     * workspace the owner's limit covers all of the workspace's templates.
+     */
+    async remainingTemplateSlots(ctx) {
+        const limit = this.templateLimits[await this.getTemplateTier(ctx)].max_templates;
+        if (limit === -1) {
+            return Infinity;
+        }
+        const used = await this.db.collection('user_templates').countDocuments(await this.templateScope(ctx));
+        return Math.max(0, limit - used);
+    }
+
+    /**
+     * Handle /exporttemplates - send the user's templates as a bundle file
+     */
+    async handleExportTemplates(ctx) {
+        try {
+            const userId = ctx.from.id;
+            const userTier = await this.getTemplateTier(ctx);
+            
+            if (!this.templateLimits[userTier].import_export) {
+                await ctx.reply('📤 Template import/export requires Pro tier or higher.');
+                return;
+            }
+            
+            const templates = await this.getUserTemplates(await this.templateScope(ctx));
+            if (templates.length === 0) {
+                await ctx.reply('📋 You have no templates to export yet.');
+                return;
+            }
+            
+            const bundle = createBundle(templates);
+            const fileName = `templates_${new Date().toISOString().slice(0, 10)}.json`;
+            
+            await ctx.replyWithDocument({
+                source: Buffer.from(JSON.stringify(bundle, null, 2)),
+                filename: fileName
+            }, {
+                caption: `📤 ${templates.length} template(s). Send this file back with /importtemplates as the caption to import it.`
+            });
+            
+        } catch (error) {
+            console.error('Error exporting templates:', error);
+            await ctx.reply('❌ Error exporting templates.');
+        }
+    }
+
+    /**
+     * Bundle files with "/importtemplates" as the caption; other documents
+     * are left to the next handler
+     */
+    async handleTemplateDocument(ctx, next) {
+        if (/^\/importtemplates\b/.test(ctx.message.caption || '')) {
+            await this.handleImportTemplates(ctx);
+            return;
+        }
+        return next();
+    }
+
+    /**
+     * Handle /importtemplates [skip|rename|replace], sent as the caption of a
+     * bundle file or as a reply to one. Without a strategy, name conflicts
+     * are shown with a choice of how to resolve them.
+     */
+    async handleImportTemplates(ctx) {
+        try {
+            const userId = ctx.from.id;
+            const userTier = await this.getTemplateTier(ctx);
+            const tierLimits = this.templateLimits[userTier];
+            
+            if (!tierLimits.import_export) {
+                await ctx.reply('📥 Template import/export requires Pro tier or higher.');
+                return;
+            }
+            
+            const document = ctx.message.document || ctx.message.reply_to_message?.document;
+            if (!document) {
+                await this.showImportHelp(ctx);
+                return;
+            }
+            
+            const strategy = (ctx.message.text || ctx.message.caption || '').split(/\s+/)[1]?.toLowerCase();
+            if (strategy && !CONFLICT_STRATEGIES.includes(strategy)) {
+                await ctx.reply(`❌ Unknown option "${strategy}". Use ${CONFLICT_STRATEGIES.join(', ')}.`);
+                return;
+            }
+            
+            if (document.file_size > MAX_BUNDLE_FILE_SIZE) {
+                await ctx.reply('❌ Bundle files can be at most 1 MB.');
+                return;
+            }
+            
+            const link = await ctx.telegram.getFileLink(document.file_id);
+            const response = await axios.get(link.toString(), { timeout: 15000, responseType: 'text' });
+            const { templates, invalid } = parseBundle(response.data, { categories: tierLimits.categories });
+            
+            if (templates.length === 0) {
+                await ctx.reply(`❌ Nothing to import\n\n${this.formatInvalidEntries(invalid)}`);
+                return;
+            }
+            
+            const existing = await this.getUserTemplates(await this.templateScope(ctx));
+            const plan = planImport(templates, existing, 'skip');
+            
+            if (!strategy && plan.conflicts > 0) {
+                const pending = await this.db.collection('template_imports').insertOne({
+                    user_id: userId,
+                    templates,
+                    invalid,
+                    created_at: new Date()
+                });
+                
+                await ctx.reply(
+                    `📥 ${templates.length} template(s) in the bundle, ${plan.conflicts} with the same name as one of yours.\n\n` +
+                    'Skip keeps your templates, Rename imports them as "Name (2)", Replace overwrites yours.',
+                    {
+                        reply_markup: {
+                            inline_keyboard: [
+                                CONFLICT_STRATEGIES.map(option => ({
+                                    text: option.charAt(0).toUpperCase() + option.slice(1),
+                                    callback_data: `template:import:${pending.insertedId}:${option}`
+                                })),
+                                [{ text: '❌ Cancel', callback_data: 'cancel' }]
+                            ]
+                        }
+                    }
+                );
+                return;
+            }
+            
+            const result = await this.importTemplates(ctx, templates, strategy || 'skip');
+            await ctx.reply(this.formatImportResult(result, invalid));
+            
+        } catch (error) {
+            if (error instanceof BundleError) {
+                await ctx.reply(`❌ ${error.message}`);
+                return;
+            }
+            console.error('Error importing templates:', error);
+            await ctx.reply('❌ Error importing templates.');
+        }
+    }
+
+    /**
+     * Finish an import that was waiting for a conflict strategy
+     */
+    async applyPendingImport(ctx, importId, strategy) {
+        const userId = ctx.from.id;
+        const pending = ObjectId.isValid(importId)
+            ? await this.db.collection('template_imports').findOneAndDelete(
+                {
+                    _id: new ObjectId(importId),
+                    user_id: userId,
+                    created_at: { $gte: new Date(Date.now() - PENDING_IMPORT_TTL) }
+                },
+                { includeResultMetadata: true }
+            )
+            : null;
+        const bundle = pending?.value;
+        
+        if (!bundle || !CONFLICT_STRATEGIES.includes(strategy)) {
+            await ctx.editMessageText('❌ This import has expired. Send the file again with /importtemplates.');
+            return;
+        }
+        
+        const result = await this.importTemplates(ctx, bundle.templates, strategy);
+        await ctx.editMessageText(this.formatImportResult(result, bundle.invalid));
+    }
+
+    /**
+     * Save bundle templates for a user. The plan is made against the user's
+     * templates as they are now, and new templates stop at the tier limit.
+     */
+    async importTemplates(ctx, templates, strategy) {
+        const userId = ctx.from.id;
+        const membership = await membershipFor(ctx, this.db);
+        const existing = await this.getUserTemplates(await this.templateScope(ctx));
+        const plan = planImport(templates, existing, strategy);
+        const result = { created: [], replaced: [], skipped: [...plan.skip] };
+        let slots = await this.remainingTemplateSlots(ctx);
+        
+        for (const template of plan.create) {
+            if (slots <= 0) {
+                result.skipped.push({ template, reason: 'Template limit reached' });
+                continue;
+            }
+            
+            const document = this.buildTemplateDocument(userId, template, membership);
+            const inserted = await this.db.collection('user_templates').insertOne(document);
+            await this.trackTemplateUsage(userId, inserted.insertedId, 'import');
+            result.created.push(template);
+            slots--;
+        }
+        
+        for (const { existing: current, template } of plan.replace) {
+            await this.db.collection('user_templates').updateOne(
+                { _id: current._id },
+                {
+                    $set: {
+                        content: template.content,
+                        parse_mode: template.parse_mode,
+                        category: template.category,
+                        variables: template.variables,
+                        sample_values: template.sample_values,
+                        tags: template.tags,
+                        updated_at: new Date(),
+                        'metadata.character_count': template.content.length,
+                        'metadata.variable_count': template.variables.length,
+                        'metadata.estimated_length': this.estimateProcessedLength(template.content)
+                    }
+                }
+            );
+            await this.trackTemplateUsage(userId, current._id, 'import');
+            result.replaced.push(template);
+        }
+        
+        return result;
+    }
+
+    formatInvalidEntries(invalid) {
+        return invalid.slice(0, 10)
+            .map(entry => `• #${entry.index + 1}${entry.name ? ` "${entry.name}"` : ''}: ${entry.reason}`)
+            .join('\n');
+    }
+
+    formatImportResult(result, invalid = []) {
+        let message = `✅ Import finished\n\n`;
+        message += `➕ Created: ${result.created.length}\n`;
+        message += `🔄 Replaced: ${result.replaced.length}\n`;
+        message += `⏭️ Skipped: ${result.skipped.length + invalid.length}\n`;
+        
+        const renamed = result.created.filter(template => template.renamed_from);
+        if (renamed.length > 0) {
+            message += `\nRenamed: ${renamed.map(template => `"${template.renamed_from}" → "${template.name}"`).join(', ')}\n`;
+        }
+        if (result.skipped.length > 0) {
+            message += '\n' + result.skipped.slice(0, 10)
+                .map(({ template, reason }) => `• "${template.name}": ${reason}`)
+                .join('\n') + '\n';
+        }
+        if (invalid.length > 0) {
+            message += '\n' + this.formatInvalidEntries(invalid);
+        }
+        
+        return message.trim();
+    }
+
+    async showImportHelp(ctx) {
+        await ctx.reply(
+            '📥 *Import Templates*\n\n' +
+            'Send a bundle file from /exporttemplates with `/importtemplates` as the caption, ' +
+            'or reply to the file with `/importtemplates`.\n\n' +
+            '*Name conflicts:*\n' +
+            '• `/importtemplates skip` - keep your templates\n' +
+            '• `/importtemplates rename` - import as "Name (2)"\n' +
+            '• `/importtemplates replace` - overwrite yours\n\n' +
+            'Without an option you are asked when there is a conflict.',
+            { parse_mode: 'Markdown' }
+        );
+    }
+
+    /**
+     * Handle /sharetemplate <name> - publish a template to the gallery
+     */
+    async handleShareTemplate(ctx) {
+        try {
+            const userId = ctx.from.id;
+            const userTier = await this.getTemplateTier(ctx);
+            
+            if (!this.templateLimits[userTier].sharing) {
+                await ctx.reply('🌐 Publishing templates requires Pro tier or higher.');
+                return;
+            }
+            
+            const templateName = ctx.message.text.split(' ').slice(1).join(' ').trim();
+            if (!templateName) {
+                await ctx.reply(
+                    '🌐 *Share Template*\n\n' +
+                    '`/sharetemplate <name>` publishes one of your templates to the gallery, ' +
+                    'where others can preview and clone it.\n\n' +
+                    'Browse it with /templategallery.',
+                    { parse_mode: 'Markdown' }
+                );
+                return;
+            }
+            
+            const scope = await this.templateScope(ctx);
+            const template = await this.db.collection('user_templates').findOne({
+                ...scope,
+                name: templateName
+            });
+            
+            if (!template) {
+                await ctx.reply(`❌ Template "${templateName}" not found.`);
+                return;
+            }
+            
+            const templateError = await this.validateTemplate(scope, template.content);
+            if (templateError) {
+                await ctx.reply(`❌ Template not published\n\n${templateError}`);
+                return;
+            }
+            
+            await this.db.collection('user_templates').updateOne(
+                { _id: template._id },
+                {
+                    $set: {
+                        is_public: true,
+                        'gallery.author_name': ctx.from.username ? `@${ctx.from.username}` : ctx.from.first_name,
+                        'gallery.published_at': template.gallery?.published_at || new Date()
+                    }
+                }
+            );
+            await this.trackTemplateUsage(userId, template._id, 'share');
+            
+            await ctx.reply(
+                `🌐 "${template.name}" is ${template.is_public ? 'already' : 'now'} in the template gallery.`,
+                {
+                    reply_markup: {
+                        inline_keyboard: [
+                            [
+                                { text: '👁 Preview', callback_data: `share:preview:${template._id}` },
+                                { text: '🚫 Unpublish', callback_data: `share:unpublish:${template._id}` }
+                            ],
+                            [{ text: '🌐 Gallery', callback_data: 'share:browse:0' }]
+                        ]
+                    }
+                }
+            );
+            
+        } catch (error) {
+            console.error('Error sharing template:', error);
+            await ctx.reply('❌ Error sharing template.');
+        }
+    }
+
+    /**
+     * Handle /templategallery
+     */
+    async handleTemplateGallery(ctx) {
+        try {
+            await this.showGallery(ctx, 0);
+        } catch (error) {
+            console.error('Error showing template gallery:', error);
+            await ctx.reply('❌ Error loading the template gallery.');
+        }
+    }
+
+    /**
+     * Handle gallery callbacks
+     */
+    async handleShareCallback(ctx) {
+        try {
+            const [, action, param] = ctx.callbackQuery.data.split(':');
+            
+            await ctx.answerCallbackQuery();
+            
+            switch (action) {
+                case 'browse':
+                    await this.showGallery(ctx, parseInt(param, 10) || 0, { edit: true });
+                    break;
+                case 'preview':
+                    await this.previewGalleryTemplate(ctx, param);
+                    break;
+                case 'clone':
+                    await this.cloneGalleryTemplate(ctx, param);
+                    break;
+                case 'unpublish':
+                    await this.unpublishTemplate(ctx, param);
+                    break;
+                default:
+                    await ctx.reply('❌ Unknown gallery action.');
+            }
+            
+        } catch (error) {
+            console.error('Error handling share callback:', error);
+            await ctx.answerCallbackQuery('❌ Error processing gallery request');
+        }
+    }
+
+    /**
+     * Published template by id
+     */
+    async findGalleryTemplate(templateId) {
+        if (!ObjectId.isValid(templateId)) {
+            return null;
+        }
+        return await this.db.collection('user_templates').findOne({
+            _id: new ObjectId(templateId),
+            is_public: true
+        });
+    }
+
+    /**
+     * Usage of gallery templates from template analytics, by template id
+     */
+    async getGalleryUsage(templateIds) {
+        const stats = await this.db.collection('template_analytics').aggregate([
+            { $match: { template_id: { $in: templateIds } } },
+            { $group: { _id: { template_id: '$template_id', action: '$action' }, count: { $sum: 1 } } }
+        ]).toArray();
+        
+        const usage = {};
+        for (const stat of stats) {
+            const key = stat._id.template_id.toString();
+            usage[key] = usage[key] || {};
+            usage[key][stat._id.action] = stat.count;
+        }
+        return usage;
+    }
+
+    /**
+     * Page of published templates, most cloned first
+     */
+    async showGallery(ctx, page = 0, { edit = false } = {}) {
+        const query = { is_public: true };
+        const total = await this.db.collection('user_templates').countDocuments(query);
+        const pages = Math.max(1, Math.ceil(total / GALLERY_PAGE_SIZE));
+        page = Math.min(Math.max(page, 0), pages - 1);
+        
+        const templates = await this.db.collection('user_templates')
+            .find(query)
+            .sort({ 'gallery.clone_count': -1, 'gallery.published_at': -1 })
+            .skip(page * GALLERY_PAGE_SIZE)
+            .limit(GALLERY_PAGE_SIZE)
+            .toArray();
+        const usage = await this.getGalleryUsage(templates.map(template => template._id));
+        
+        let message = `🌐 *Template Gallery*\n\n`;
+        const keyboard = [];
+        
+        if (templates.length === 0) {
+            message += 'No templates have been published yet.\n\nShare one of yours with /sharetemplate.';
+        }
+        
+        templates.forEach((template, index) => {
+            const category = this.categories[template.category];
+            const counts = usage[template._id.toString()] || {};
+            const uses = (counts.load || 0) + (counts.post || 0) + (counts.schedule || 0);
+            
+            message += `${page * GALLERY_PAGE_SIZE + index + 1}. ${category?.icon || '📄'} ${escapeText(template.name, 'Markdown')}`;
+            message += ` by ${escapeText(template.gallery?.author_name || 'unknown', 'Markdown')}\n`;
+            message += `   📥 ${counts.clone || 0} clones · 👁 ${counts.preview || 0} previews · 📋 ${uses} uses\n\n`;
+            
+            keyboard.push([{
+                text: `👁 ${template.name}`,
+                callback_data: `share:preview:${template._id}`
+            }]);
+        });
+        
+        const navigation = [];
+        if (page > 0) {
+            navigation.push({ text: '« Prev', callback_data: `share:browse:${page - 1}` });
+        }
+        if (page < pages - 1) {
+            navigation.push({ text: 'Next »', callback_data: `share:browse:${page + 1}` });
+        }
+        if (navigation.length > 0) {
+            keyboard.push(navigation);
+            message += `Page ${page + 1}/${pages}`;
+        }
+        keyboard.push([{ text: '❌ Close', callback_data: 'cancel' }]);
+        
+        const extra = { parse_mode: 'Markdown', reply_markup: { inline_keyboard: keyboard } };
+        if (edit) {
+            await ctx.editMessageText(message.trim(), extra);
+        } else {
+            await ctx.reply(message.trim(), extra);
+        }
+    }
+
+    /**
+     * Render a gallery template with its sample values, as it would post
+     */
+    async previewGalleryTemplate(ctx, templateId) {
+        const template = await this.findGalleryTemplate(templateId);
+        if (!template) {
+            await ctx.reply('❌ This template is no longer in the gallery.');
+            return;
+        }
+        
+        let preview;
+        try {
+            preview = await this.processTemplateVariables(template.content, ctx, template.sample_values || {}, {
+                parseMode: template.parse_mode,
+                partialsScope: templateScope(template)
+            });
+        } catch (error) {
+            if (error instanceof TemplateError || error instanceof TemplateSyntaxError) {
+                await ctx.reply(`❌ Preview failed: ${error.message}`);
+                return;
+            }
+            throw error;
+        }
+        
+        await this.trackTemplateUsage(ctx.from.id, template._id, 'preview');
+        
+        await ctx.reply(preview, {
+            parse_mode: template.parse_mode || 'Markdown',
+            reply_markup: {
+                inline_keyboard: [
+                    [
+                        { text: '📥 Clone', callback_data: `share:clone:${template._id}` },
+                        { text: '🌐 Gallery', callback_data: 'share:browse:0' }
+                    ]
+                ]
+            }
+        });
+    }
+
+    /**
+     * Copy a gallery template, and any of the templates it includes the
+     * user does not have, into the user's templates
+     */
+    async cloneGalleryTemplate(ctx, templateId) {
+        const userId = ctx.from.id;
+        const template = await this.findGalleryTemplate(templateId);
+        if (!template) {
+            await ctx.reply('❌ This template is no longer in the gallery.');
+            return;
+        }
+        
+        const membership = await membershipFor(ctx, this.db);
+        const existing = await this.getUserTemplates(await this.templateScope(ctx));
+        const taken = new Set(existing.map(saved => saved.name));
+        const partials = await loadPartials(this.db, templateScope(template), template.content);
+        const needed = Object.entries(partials).filter(([name, content]) => content !== null && !taken.has(name));
+        
+        const slots = await this.remainingTemplateSlots(ctx);
+        if (slots < needed.length + 1) {
+            await ctx.reply(
+                `📊 Cloning "${template.name}" needs ${needed.length + 1} free template slot(s); you have ${slots}.\n\n` +
+                'Delete a template or upgrade to clone it.'
+            );
+            return;
+        }
+        
+        const name = uniqueName(template.name, taken);
+        const clone = this.buildTemplateDocument(userId, {
+            name,
+            content: template.content,
+            parse_mode: template.parse_mode,
+            category: template.category,
+            sample_values: template.sample_values || {},
+            tags: template.tags || [],
+            cloned_from: template._id
+        }, membership);
+        const inserted = await this.db.collection('user_templates').insertOne(clone);
+        
+        for (const [partialName, content] of needed) {
+            await this.db.collection('user_templates').insertOne(this.buildTemplateDocument(userId, {
+                name: partialName,
+                content,
+                parse_mode: template.parse_mode,
+                category: 'custom',
+                cloned_from: template._id
+            }, membership));
+        }
+        
+        await this.db.collection('user_templates').updateOne(
+            { _id: template._id },
+            { $inc: { 'gallery.clone_count': 1 } }
+        );
+        await this.trackTemplateUsage(userId, template._id, 'clone');
+        await this.trackTemplateUsage(userId, inserted.insertedId, 'create');
+        
+        let message = `✅ Cloned as "${name}".`;
+        if (needed.length > 0) {
+            message += `\n\nAlso added the templates it includes: ${needed.map(([partialName]) => `"${partialName}"`).join(', ')}`;
+        }
+        
+        await ctx.reply(message, {
+            reply_markup: {
+                inline_keyboard: [
+                    [{ text: '📋 My Templates', callback_data: 'template:list' }]
+                ]
+            }
+        });
+    }
+
+    /**
+     * Remove one of the user's templates from the gallery
+     */
+    async unpublishTemplate(ctx, templateId) {
+        const result = ObjectId.isValid(templateId)
+            ? await this.db.collection('user_templates').updateOne(
+                { _id: new ObjectId(templateId), user_id: ctx.from.id },
+                { $set: { is_public: false } }
+            )
+            : null;
+        
+        if (!result?.matchedCount) {
+            await ctx.reply('❌ Template not found.');
+            return;
+        }
+        
+        await ctx.editMessageText('🚫 Template removed from the gallery. Its clone and usage history is kept.');
+    }
+
     /**
      * Show template variables help
      */
@@ -884,6 +1615,11 @@ class TemplateSystem {
         message += `• \`{{content}}\` - Your custom content\n`;
         message += `• \`{{link}}\` - Your custom link\n`;
         message += `• Create any: \`{{your_variable}}\`\n\n`;
+        message += `*Logic:*\n`;
+        message += `• \`{% if source %}…{% else %}…{% endif %}\`\n`;
+        message += `• \`{% for a in articles | limit:5 %}{{ loop.index }}. {{ a.title }}{% endfor %}\`\n`;
+        message += `• \`{% include "Footer" %}\` - another of your templates\n`;
+        message += `• Filters: \`upper\`, \`lower\`, \`truncate:80\`, \`default:"-"\`, \`date:"D MMM YYYY"\`, \`join\`, \`raw\`\n\n`;
         message += `*Example:*\n`;
         message += `📰 Breaking: \`{{title}}\`\n\n\`{{content}}\`\n\n📅 \`{{datetime}}\``;
         
@@ -944,8 +1680,8 @@ class TemplateSystem {
      * Browse categories menu
      */
     async browseCategoriesMenu(ctx) {
-        const userId = ctx.from.id;
-        const userTier = await this.tierManager.getUserTier(userId);
+        const userTier = await this.getTemplateTier(ctx);
+        const scope = await this.templateScope(ctx);
         const tierLimits = this.templateLimits[userTier];
         
         let message = `📂 *Template Categories*\n\n`;
@@ -956,7 +1692,7 @@ class TemplateSystem {
         for (const [key, category] of Object.entries(this.categories)) {
             if (tierLimits.categories.includes(key)) {
                 const templateCount = await this.db.collection('user_templates').countDocuments({
-                    user_id: userId,
+                    ...scope,
                     category: key
                 });
                 
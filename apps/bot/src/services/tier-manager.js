@@ -4,183 +4,23 @@
  */
 
 const { ObjectId } = require('mongodb');
+const {
+    PERMISSIONS,
+    COMMAND_PERMISSIONS,
+    roleAllows,
+    findActiveMembership,
+    countOwnedSeats
+} = require('./workspace-access');
+const { getDailyApiUsage } = require('../../../../libs/shared/src/api-keys');
+const { TIERS, getUserTier } = require('../../../../libs/shared/src/tiers');
 
 class TierManager {
     constructor(db) {
         this.db = db;
         
-        // Define feature access by tier with comprehensive limits
-        this.tiers = {
-            free: {
-                name: 'Free',
-                level: 0,
-                price: 0,
-                commands: [
-                    'start', 'help', 'about', 'news', 'post', 'mydestinations',
-                    'affiliate', 'subscribe', 'usage', 'onboarding'
-                ],
-                limits: {
-                    posts_per_day: 3,
-                    posts_per_month: 50,
-                    scheduled_posts: 0,
-                    media_size_mb: 5,
-                    destinations: 1,
-                    analytics_days: 0,
-                    templates: 0,
-                    bulk_destinations: 0,
-                    api_calls_per_day: 0,
-                    webhook_endpoints: 0,
-                    custom_domains: 0,
-                    team_members: 1,
-                    export_formats: [],
-                    priority_support: false,
-                    white_label: false
-                },
-                features: {
-                    basic_posting: true,
-                    media_posting: false,
-                    scheduled_posting: false,
-                    recurring_posts: false,
-                    bulk_posting: false,
-                    templates: false,
-                    analytics: false,
-                    export: false,
-                    api_access: false,
-                    webhooks: false,
-                    custom_branding: false,
-                    team_collaboration: false,
-                    priority_support: false
-                }
-            },
-            basic: {
-                name: 'Basic',
-                level: 1,
-                price: 999, // $9.99
-                commands: [
-                    'start', 'help', 'about', 'news', 'post', 'postmedia', 'schedule', 
-                    'scheduled', 'mydestinations', 'affiliate', 'subscribe', 'usage',
-                    'earnings', 'withdraw', 'templates', 'savetemplate', 'loadtemplate',
-                    'quickpost', 'onboarding'
-                ],
-                limits: {
-                    posts_per_day: 50,
-                    posts_per_month: 1000,
-                    scheduled_posts: 10,
-                    media_size_mb: 50,
-                    destinations: 5,
-                    analytics_days: 7,
-                    templates: 5,
-                    bulk_destinations: 3,
-                    api_calls_per_day: 100,
-                    webhook_endpoints: 1,
-                    custom_domains: 0,
-                    team_members: 1,
-                    export_formats: ['csv'],
-                    priority_support: false,
-                    white_label: false
-                },
-                features: {
-                    basic_posting: true,
-                    media_posting: true,
-                    scheduled_posting: true,
-                    recurring_posts: false,
-                    bulk_posting: true,
-                    templates: true,
-                    analytics: true,
-                    export: true,
-                    api_access: false,
-                    webhooks: false,
-                    custom_branding: false,
-                    team_collaboration: false,
-                    priority_support: false
-                }
-            },
-            pro: {
-                name: 'Pro',
-                level: 2,
-                price: 1999, // $19.99
-                commands: [
-                    'start', 'help', 'about', 'news', 'post', 'postmedia', 'posttogroup',
-                    'posttochannel', 'schedule', 'scheduled', 'cancelschedule', 'reschedule',
-                    'mydestinations', 'checkbot', 'affiliate', 'subscribe', 'usage',
-                    'earnings', 'withdraw', 'templates', 'savetemplate', 'loadtemplate',
-                    'deletetemplate', 'templatecategories', 'shartemplate', 'quickpost',
-                    'bulkpost', 'bulkedit', 'bulkschedule', 'bulkdelete', 'trending',
-                    'analytics', 'export', 'posttext', 'clearmedia', 'recurring',
-                    'onboarding'
-                ],
-                limits: {
-                    posts_per_day: 500,
-                    posts_per_month: 10000,
-                    scheduled_posts: 100,
-                    media_size_mb: 200,
-                    destinations: 50,
-                    analytics_days: 30,
-                    templates: 20,
-                    bulk_destinations: 25,
-                    api_calls_per_day: 1000,
-                    webhook_endpoints: 5,
-                    custom_domains: 1,
-                    team_members: 3,
-                    export_formats: ['csv', 'json', 'pdf'],
-                    priority_support: true,
-                    white_label: false
-                },
-                features: {
-                    basic_posting: true,
-                    media_posting: true,
-                    scheduled_posting: true,
-                    recurring_posts: true,
-                    bulk_posting: true,
-                    templates: true,
-                    analytics: true,
-                    export: true,
-                    api_access: true,
-                    webhooks: true,
-                    custom_branding: false,
-                    team_collaboration: true,
-                    priority_support: true
-                }
-            },
-            enterprise: {
-                name: 'Enterprise',
-                level: 3,
-                price: 4999, // $49.99
-                commands: ['*'], // All commands
-                limits: {
-                    posts_per_day: -1,      // Unlimited
-                    posts_per_month: -1,    // Unlimited
-                    scheduled_posts: -1,    // Unlimited
-                    media_size_mb: 1000,
-                    destinations: -1,       // Unlimited
-                    analytics_days: 365,
-                    templates: -1,          // Unlimited
-                    bulk_destinations: -1,  // Unlimited
-                    api_calls_per_day: -1,  // Unlimited
-                    webhook_endpoints: -1,  // Unlimited
-                    custom_domains: -1,     // Unlimited
-                    team_members: -1,       // Unlimited
-                    export_formats: ['csv', 'json', 'pdf', 'xml', 'xlsx'],
-                    priority_support: true,
-                    white_label: true
-                },
-                features: {
-                    basic_posting: true,
-                    media_posting: true,
-                    scheduled_posting: true,
-                    recurring_posts: true,
-                    bulk_posting: true,
-                    templates: true,
-                    analytics: true,
-                    export: true,
-                    api_access: true,
-                    webhooks: true,
-                    custom_branding: true,
-                    team_collaboration: true,
-                    priority_support: true
-                }
-            }
-        };
+        // Feature access by tier with comprehensive limits (shared with the
+        // API gateway's API key quotas)
+        this.tiers = TIERS;
         
         // Premium command restrictions with detailed messages
         this.premiumCommands = {
@@ -254,11 +94,21 @@ class TierManager {
                 feature: 'api_access',
                 message: '🔌 *API Access* requires Pro tier.\n\n🚀 Upgrade to Pro ($19.99/mo) to:\n• Full API access\n• 1000 calls/day\n• Webhook integrations\n• Custom applications'
             },
+            'apikeys': {
+                minTier: 'pro',
+                feature: 'api_access',
+                message: '🔑 *API Keys* require Pro tier.\n\n🚀 Upgrade to Pro ($19.99/mo) to:\n• Create keys for the REST API\n• 1000 calls/day\n• Read articles and analytics\n• Schedule posts from your own apps'
+            },
             'webhooks': {
                 minTier: 'pro',
                 feature: 'webhooks',
                 message: '🔗 *Webhooks* require Pro tier.\n\n🚀 Upgrade to Pro ($19.99/mo) to:\n• 5 webhook endpoints\n• Real-time notifications\n• Integration automation\n• Event triggers'
             },
+            'sources': {
+                minTier: 'pro',
+                feature: 'news_sources',
+                message: '📰 *News Sources* require Pro tier.\n\n🚀 Upgrade to Pro ($19.99/mo) to:\n• Pull in 10 RSS, Atom or JSON feeds\n• Import sitemaps and Telegram exports\n• Map their categories to yours\n• Stories merged with your own posts'
+            },
             'team': {
                 minTier: 'pro',
                 feature: 'team_collaboration',
@@ -353,17 +203,12 @@ class TierManager {
     }
 
     /**
-     * Get user's subscription tier
+     * Get user's subscription tier. Trialing, unpaid and canceled
+     * subscriptions keep their tier until their access ends (`expires_at`).
      */
     async getUserTier(userId) {
         try {
-            const subscription = await this.db.collection('subscriptions').findOne({
-                user_id: userId,
-                status: 'active',
-                expires_at: { $gt: new Date() }
-            });
-            
-            return subscription ? subscription.tier : 'free';
+            return await getUserTier(this.db, userId);
         } catch (error) {
             console.error('Error getting user tier:', error);
             return 'free';
@@ -430,14 +275,36 @@ class TierManager {
                     }
                     break;
                 
-                case 'api_calls_per_day':
-                    return await this.checkDailyLimit(userId, 'api_usage', limit);
+                case 'api_calls_per_day': {
+                    // Counted per day by the API gateway (see api-keys)
+                    const { count } = await getDailyApiUsage(this.db, userId);
+                    if (count >= limit) {
+                        return {
+                            allowed: false,
+                            message: `🔌 Daily API quota reached (${count}/${limit}).\n\n${this.getUpgradeMessage(userTier)}`,
+                            current: count,
+                            limit: limit
+                        };
+                    }
+                    return { allowed: true, current: count, limit: limit };
+                }
                 
                 case 'webhook_endpoints':
                     return await this.checkActiveLimit(userId, 'webhook_endpoints', {}, limit);
                 
-                case 'team_members':
-                    return await this.checkActiveLimit(userId, 'team_members', {}, limit);
+                case 'team_members': {
+                    // Seats in the workspace the user owns, including their own
+                    const seats = await countOwnedSeats(this.db, userId);
+                    if (seats + value > limit) {
+                        return {
+                            allowed: false,
+                            message: `👥 Team seat limit reached (${seats}/${limit}) for ${tierConfig.name} tier.\n\n${this.getUpgradeMessage(userTier)}`,
+                            current: seats,
+                            limit: limit
+                        };
+                    }
+                    return { allowed: true, current: seats, limit: limit };
+                }
                 
                 default:
                     console.warn(`Unknown limit type: ${limitType}`);
@@ -583,16 +450,15 @@ class TierManager {
                     templates: await this.db.collection('user_templates').countDocuments({
                         user_id: userId
                     }),
-                    api_calls_today: await this.db.collection('api_usage').countDocuments({
+                    api_calls_today: (await getDailyApiUsage(this.db, userId)).count,
+                    api_keys: await this.db.collection('api_keys').countDocuments({
                         user_id: userId,
-                        created_at: { $gte: today }
+                        revoked_at: null
                     }),
                     webhook_endpoints: await this.db.collection('webhook_endpoints').countDocuments({
                         user_id: userId
                     }),
-                    team_members: await this.db.collection('team_members').countDocuments({
-                        user_id: userId
-                    })
+                    team_members: await countOwnedSeats(this.db, userId)
                 }
             };
             
@@ -652,7 +518,8 @@ class TierManager {
             // API usage (if applicable)
             if (usage.features.api_access) {
                 message += `🔌 *API Usage*\n`;
-                message += `${getUsageEmoji(usage.current.api_calls_today, usage.limits.api_calls_per_day)} Today: ${formatLimit(usage.current.api_calls_today, usage.limits.api_calls_per_day)}\n\n`;
+                message += `${getUsageEmoji(usage.current.api_calls_today, usage.limits.api_calls_per_day)} Today: ${formatLimit(usage.current.api_calls_today, usage.limits.api_calls_per_day)}\n`;
+                message += `🔑 Active keys: ${usage.current.api_keys} (/apikeys)\n\n`;
             }
             
             await ctx.reply(message, {
@@ -758,14 +625,30 @@ class TierManager {
                 const command = ctx.message.text.split(' ')[0].substring(1).split('@')[0];
                 const userId = ctx.from.id;
                 
-                // Skip tier checking for tier management commands
-                const exemptCommands = ['usage', 'tiers', 'upgrade', 'subscribe', 'start', 'help'];
+                // Skip tier checking for tier management commands, and for
+                // switching or leaving workspaces whatever the user's own tier
+                const exemptCommands = ['usage', 'tiers', 'upgrade', 'subscribe', 'start', 'help', 'workspace', 'leaveworkspace'];
                 if (exemptCommands.includes(command)) {
                     return next();
                 }
                 
+                // In a workspace, members work under the owner's plan within their role
+                const membership = await findActiveMembership(this.db, userId);
+                ctx.state.workspace = membership;
+                const tierUserId = membership ? membership.workspace.owner_id : userId;
+                
+                const permission = COMMAND_PERMISSIONS[command];
+                if (membership && permission && !roleAllows(membership.role, permission)) {
+                    await ctx.reply(
+                        `🔒 Your role in "${membership.workspace.name}" is ${membership.role}; ` +
+                        `/${command} needs ${PERMISSIONS[permission]} or higher.\n\n` +
+                        'Ask a workspace admin for a different role, or use /workspace to switch to your personal space.'
+                    );
+                    return;
+                }
+                
                 // Check command access
-                const access = await this.canUseCommand(userId, command);
+                const access = await this.canUseCommand(tierUserId, command);
                 
                 if (!access.allowed) {
                     await ctx.reply(
@@ -787,7 +670,7 @@ class TierManager {
                 // Check rate limits for posting commands
                 const postingCommands = ['post', 'quickpost', 'postmedia', 'schedule'];
                 if (postingCommands.includes(command)) {
-                    const limitCheck = await this.checkLimit(userId, 'posts_per_day');
+                    const limitCheck = await this.checkLimit(tierUserId, 'posts_per_day');
                     if (!limitCheck.allowed) {
                         await ctx.reply(
                             limitCheck.message,
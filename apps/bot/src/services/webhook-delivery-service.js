@@ -0,0 +1,561 @@
+/**
+ * Webhook Delivery Service - customers' webhook endpoints and the worker
+ * that sends queued deliveries to them
+ *
+ * Events are queued by publishWebhookEvent (see outbound-webhooks). Each
+ * delivery is claimed with a lease, so several bot replicas can run the
+ * worker side by side, and retried with exponential backoff until it
+ * succeeds or runs out of attempts. Failed deliveries can be replayed.
+ */
+
+const axios = require('axios');
+const https = require('https');
+const { ObjectId } = require('mongodb');
+const {
+    WEBHOOK_EVENTS,
+    TEST_EVENT,
+    MAX_ATTEMPTS,
+    generateSecret,
+    signatureHeaders,
+    retryDelay,
+    validateEndpointUrl,
+    publicLookup,
+    parseEventList,
+    buildEvent,
+    newDelivery
+} = require('./outbound-webhooks');
+const { roleAllows, scopeFilter, workspaceStamp, findActiveMembership } = require('./workspace-access');
+
+const MAX_DESCRIPTION_LENGTH = 100;
+const MAX_ATTEMPT_LOG = 10;
+const MAX_RESPONSE_EXCERPT = 500;
+const MAX_REPLAY_BATCH = 100;
+
+// Endpoints are only checked by name when saved; this agent checks the
+// addresses each delivery actually connects to
+const endpointAgent = new https.Agent({ keepAlive: true, lookup: publicLookup });
+
+class WebhookDeliveryService {
+    constructor(db, tierManager, options = {}) {
+        this.db = db;
+        this.tierManager = tierManager;
+        
+        this.options = {
+            pollInterval: 5000,
+            batchSize: 10,
+            timeout: 10000,
+            leaseMs: 60000, // A claimed delivery goes back to the pool if not settled by then
+            maxAttempts: MAX_ATTEMPTS,
+            ...options
+        };
+        
+        this.timer = null;
+        this.processing = false;
+    }
+
+    /**
+     * Create indexes and start sending queued deliveries
+     */
+    async start() {
+        try {
+            await this.db.collection('webhook_endpoints').createIndex({ workspace_id: 1, user_id: 1 });
+            await this.db.collection('webhook_endpoints').createIndex({ workspace_id: 1, enabled: 1, events: 1 });
+            await this.db.collection('webhook_deliveries').createIndex({ status: 1, next_attempt_at: 1 });
+            await this.db.collection('webhook_deliveries').createIndex({ endpoint_id: 1, created_at: -1 });
+        } catch (error) {
+            console.warn('Webhook index creation warning:', error.message);
+        }
+        
+        this.timer = setInterval(() => this.processDueDeliveries(), this.options.pollInterval);
+        console.log('✅ Webhook delivery worker started');
+    }
+
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+
+    // ==================== Delivery ====================
+
+    /**
+     * Send deliveries whose next attempt is due
+     */
+    async processDueDeliveries() {
+        if (this.processing) {
+            return;
+        }
+        this.processing = true;
+        
+        try {
+            for (let i = 0; i < this.options.batchSize; i++) {
+                const delivery = await this.claimDelivery();
+                if (!delivery) {
+                    break;
+                }
+                await this.deliver(delivery);
+            }
+        } catch (error) {
+            console.error('Error processing webhook deliveries:', error);
+        } finally {
+            this.processing = false;
+        }
+    }
+
+    async claimDelivery(now = new Date()) {
+        const result = await this.db.collection('webhook_deliveries').findOneAndUpdate(
+            {
+                $or: [
+                    { status: 'pending', next_attempt_at: { $lte: now } },
+                    { status: 'delivering', lease_expires_at: { $lt: now } }
+                ]
+            },
+            {
+                $set: { status: 'delivering', lease_expires_at: new Date(now.getTime() + this.options.leaseMs) },
+                $inc: { attempts: 1 }
+            },
+            { sort: { next_attempt_at: 1 }, returnDocument: 'after', includeResultMetadata: true }
+        );
+        
+        return result.value;
+    }
+
+    /**
+     * One attempt at a claimed delivery
+     */
+    async deliver(delivery) {
+        const endpoint = await this.db.collection('webhook_endpoints').findOne({ _id: delivery.endpoint_id });
+        if (!endpoint) {
+            return await this.settle(delivery, { error: 'Endpoint was removed' }, { final: true });
+        }
+        if (!endpoint.enabled && delivery.type !== TEST_EVENT) {
+            return await this.settle(delivery, { error: 'Endpoint is paused' }, { final: true });
+        }
+        
+        const attempt = await this.send(endpoint, delivery);
+        const final = attempt.ok || delivery.attempts >= this.options.maxAttempts;
+        await this.settle(delivery, attempt, { final });
+        
+        // Failure streaks count deliveries that gave up, not single attempts
+        const stats = { $set: { last_delivery_at: attempt.at, last_status: attempt.status_code ?? null } };
+        if (attempt.ok) {
+            stats.$set.consecutive_failures = 0;
+        } else {
+            stats.$set.last_error = attempt.error;
+            if (final) {
+                stats.$inc = { consecutive_failures: 1 };
+            }
+        }
+        await this.db.collection('webhook_endpoints').updateOne({ _id: endpoint._id }, stats);
+    }
+
+    /**
+     * POST a delivery's payload, returning the attempt record
+     */
+    async send(endpoint, delivery) {
+        const body = JSON.stringify(delivery.payload);
+        const started = new Date();
+        const attempt = { attempt: delivery.attempts, at: started };
+        
+        try {
+            const response = await axios.post(endpoint.url, body, {
+                headers: {
+                    'Content-Type': 'application/json',
+                    'User-Agent': 'ZoneNews-Webhooks/1.0',
+                    'X-Zone-Event': delivery.type,
+                    'X-Zone-Delivery': String(delivery._id),
+                    ...signatureHeaders(endpoint.secret, body, started)
+                },
+                timeout: this.options.timeout,
+                httpsAgent: endpointAgent,
+                proxy: false,
+                maxRedirects: 0,
+                responseType: 'text',
+                transformResponse: [data => data],
+                validateStatus: () => true
+            });
+            
+            attempt.status_code = response.status;
+            attempt.ok = response.status >= 200 && response.status < 300;
+            attempt.response = String(response.data ?? '').slice(0, MAX_RESPONSE_EXCERPT);
+            if (!attempt.ok) {
+                attempt.error = `HTTP ${response.status}`;
+            }
+        } catch (error) {
+            attempt.ok = false;
+            attempt.error = error.code === 'ECONNABORTED' ? `Timed out after ${this.options.timeout}ms` : error.message;
+        }
+        
+        attempt.duration_ms = Date.now() - started.getTime();
+        return attempt;
+    }
+
+    /**
+     * Record an attempt and either finish the delivery or schedule a retry
+     */
+    async settle(delivery, attempt, { final }) {
+        const now = new Date();
+        const log = { ...attempt, at: attempt.at || now };
+        
+        let update;
+        if (attempt.ok) {
+            update = { status: 'delivered', delivered_at: now };
+        } else if (final) {
+            update = { status: 'failed', failed_at: now, last_error: attempt.error };
+        } else {
+            update = {
+                status: 'pending',
+                last_error: attempt.error,
+                next_attempt_at: new Date(now.getTime() + retryDelay(delivery.attempts))
+            };
+        }
+        
+        await this.db.collection('webhook_deliveries').updateOne(
+            { _id: delivery._id, status: 'delivering' },
+            {
+                $set: { ...update, lease_expires_at: null },
+                $push: { attempt_log: { $each: [log], $slice: -MAX_ATTEMPT_LOG } }
+            }
+        );
+    }
+
+    // ==================== Endpoints ====================
+
+    /**
+     * The user's membership when they may manage webhooks where they are
+     * working: any user in their personal space, admins in a workspace
+     */
+    async getAccess(userId, { manage = true } = {}) {
+        const membership = await findActiveMembership(this.db, userId);
+        if (membership && !roleAllows(membership.role, manage ? 'webhooks:manage' : 'workspace:view')) {
+            return { allowed: false, error: `Your role in "${membership.workspace.name}" cannot manage webhooks` };
+        }
+        return { allowed: true, membership, scope: scopeFilter(membership, userId) };
+    }
+
+    /**
+     * An endpoint of the user's space, by id or by its number in listEndpoints
+     */
+    async resolveEndpoint(scope, reference) {
+        const value = String(reference ?? '').trim();
+        
+        if (/^[a-f0-9]{24}$/i.test(value)) {
+            return await this.db.collection('webhook_endpoints').findOne({ ...scope, _id: new ObjectId(value) });
+        }
+        if (/^\d+$/.test(value)) {
+            const endpoints = await this.db.collection('webhook_endpoints')
+                .find(scope)
+                .sort({ created_at: 1 })
+                .toArray();
+            return endpoints[parseInt(value) - 1] || null;
+        }
+        return null;
+    }
+
+    async listEndpoints(userId) {
+        const access = await this.getAccess(userId, { manage: false });
+        if (!access.allowed) {
+            return { success: false, error: access.error };
+        }
+        
+        const endpoints = await this.db.collection('webhook_endpoints')
+            .find(access.scope)
+            .sort({ created_at: 1 })
+            .toArray();
+        
+        return { success: true, endpoints: endpoints.map(endpoint => this.publicEndpoint(endpoint)) };
+    }
+
+    /**
+     * Register an endpoint. The secret is only returned here and by rotateSecret.
+     */
+    async createEndpoint(userId, { url, events, description = '' } = {}) {
+        try {
+            const access = await this.getAccess(userId);
+            if (!access.allowed) {
+                return { success: false, error: access.error };
+            }
+            
+            const urlError = validateEndpointUrl(url);
+            if (urlError) {
+                return { success: false, error: urlError };
+            }
+            
+            const parsed = parseEventList(events ?? 'all');
+            if (parsed.unknown.length > 0) {
+                return { success: false, error: `Unknown event(s): ${parsed.unknown.join(', ')}` };
+            }
+            if (parsed.events.length === 0) {
+                return { success: false, error: 'Choose at least one event' };
+            }
+            
+            // Endpoints count against the plan of whoever pays for the space
+            const tierUserId = access.membership ? access.membership.workspace.owner_id : userId;
+            if (!await this.tierManager.hasFeature(tierUserId, 'webhooks')) {
+                return { success: false, error: 'Webhooks require Pro tier or higher', upgradeRequired: 'pro' };
+            }
+            
+            const tierName = await this.tierManager.getUserTier(tierUserId);
+            const limit = this.tierManager.tiers[tierName].limits.webhook_endpoints;
+            const count = await this.db.collection('webhook_endpoints').countDocuments(access.scope);
+            if (limit !== -1 && count >= limit) {
+                return { success: false, error: `Webhook endpoint limit reached (${count}/${limit}) for ${tierName} tier` };
+            }
+            
+            const secret = generateSecret();
+            const endpoint = {
+                user_id: userId,
+                ...workspaceStamp(access.membership),
+                url,
+                description: String(description || '').slice(0, MAX_DESCRIPTION_LENGTH),
+                events: parsed.events,
+                secret,
+                enabled: true,
+                consecutive_failures: 0,
+                created_at: new Date()
+            };
+            const result = await this.db.collection('webhook_endpoints').insertOne(endpoint);
+            endpoint._id = result.insertedId;
+            
+            return { success: true, endpoint: this.publicEndpoint(endpoint), secret };
+        
+        } catch (error) {
+            console.error('Error creating webhook endpoint:', error);
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * Change an endpoint's URL, events, description or whether it is enabled
+     */
+    async updateEndpoint(userId, reference, updates = {}) {
+        try {
+            const access = await this.getAccess(userId);
+            if (!access.allowed) {
+                return { success: false, error: access.error };
+            }
+            
+            const endpoint = await this.resolveEndpoint(access.scope, reference);
+            if (!endpoint) {
+                return { success: false, error: 'Webhook endpoint not found' };
+            }
+            
+            const changes = {};
+            if (updates.url !== undefined) {
+                const urlError = validateEndpointUrl(updates.url);
+                if (urlError) {
+                    return { success: false, error: urlError };
+                }
+                changes.url = updates.url;
+            }
+            if (updates.events !== undefined) {
+                const parsed = parseEventList(updates.events);
+                if (parsed.unknown.length > 0) {
+                    return { success: false, error: `Unknown event(s): ${parsed.unknown.join(', ')}` };
+                }
+                if (parsed.events.length === 0) {
+                    return { success: false, error: 'Choose at least one event' };
+                }
+                changes.events = parsed.events;
+            }
+            if (updates.description !== undefined) {
+                changes.description = String(updates.description || '').slice(0, MAX_DESCRIPTION_LENGTH);
+            }
+            if (updates.enabled !== undefined) {
+                changes.enabled = Boolean(updates.enabled);
+                if (changes.enabled) {
+                    changes.consecutive_failures = 0;
+                }
+            }
+            
+            await this.db.collection('webhook_endpoints').updateOne(
+                { _id: endpoint._id },
+                { $set: { ...changes, updated_at: new Date() } }
+            );
+            
+            return { success: true, endpoint: this.publicEndpoint({ ...endpoint, ...changes }) };
+        
+        } catch (error) {
+            console.error('Error updating webhook endpoint:', error);
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * Remove an endpoint. Its queued deliveries fail on their next attempt.
+     */
+    async deleteEndpoint(userId, reference) {
+        const access = await this.getAccess(userId);
+        if (!access.allowed) {
+            return { success: false, error: access.error };
+        }
+        
+        const endpoint = await this.resolveEndpoint(access.scope, reference);
+        if (!endpoint) {
+            return { success: false, error: 'Webhook endpoint not found' };
+        }
+        
+        await this.db.collection('webhook_endpoints').deleteOne({ _id: endpoint._id });
+        return { success: true, endpoint: this.publicEndpoint(endpoint) };
+    }
+
+    /**
+     * Replace an endpoint's signing secret; the old one stops working at once
+     */
+    async rotateSecret(userId, reference) {
+        const access = await this.getAccess(userId);
+        if (!access.allowed) {
+            return { success: false, error: access.error };
+        }
+        
+        const endpoint = await this.resolveEndpoint(access.scope, reference);
+        if (!endpoint) {
+            return { success: false, error: 'Webhook endpoint not found' };
+        }
+        
+        const secret = generateSecret();
+        await this.db.collection('webhook_endpoints').updateOne(
+            { _id: endpoint._id },
+            { $set: { secret, secret_rotated_at: new Date() } }
+        );
+        
+        return { success: true, endpoint: this.publicEndpoint(endpoint), secret };
+    }
+
+    /**
+     * Queue a `webhook.test` event for an endpoint, paused or not
+     */
+    async sendTest(userId, reference) {
+        const access = await this.getAccess(userId);
+        if (!access.allowed) {
+            return { success: false, error: access.error };
+        }
+        
+        const endpoint = await this.resolveEndpoint(access.scope, reference);
+        if (!endpoint) {
+            return { success: false, error: 'Webhook endpoint not found' };
+        }
+        
+        const event = buildEvent(TEST_EVENT, endpoint, { message: 'Test event from Zone News', endpoint_id: String(endpoint._id) });
+        const delivery = newDelivery(endpoint, event);
+        const result = await this.db.collection('webhook_deliveries').insertOne(delivery);
+        
+        return { success: true, delivery_id: result.insertedId, event_id: event.id };
+    }
+
+    // ==================== Delivery log ====================
+
+    /**
+     * Recent deliveries of the user's space, newest first
+     * @param {Object} options - `endpoint` (id or number), `status`, `limit`
+     */
+    async getDeliveries(userId, { endpoint: reference = null, status = null, limit = 20 } = {}) {
+        const access = await this.getAccess(userId, { manage: false });
+        if (!access.allowed) {
+            return { success: false, error: access.error };
+        }
+        
+        const query = { ...access.scope };
+        if (reference !== null && reference !== undefined) {
+            const endpoint = await this.resolveEndpoint(access.scope, reference);
+            if (!endpoint) {
+                return { success: false, error: 'Webhook endpoint not found' };
+            }
+            query.endpoint_id = endpoint._id;
+        }
+        if (status) {
+            query.status = status;
+        }
+        
+        const deliveries = await this.db.collection('webhook_deliveries')
+            .find(query)
+            .project({ payload: 0 })
+            .sort({ created_at: -1 })
+            .limit(Math.min(Math.max(parseInt(limit) || 20, 1), 100))
+            .toArray();
+        
+        return { success: true, deliveries };
+    }
+
+    /**
+     * Send a finished delivery again as a new delivery with the same event,
+     * so receivers can recognise it by the event id
+     */
+    async replayDelivery(userId, deliveryId) {
+        const access = await this.getAccess(userId);
+        if (!access.allowed) {
+            return { success: false, error: access.error };
+        }
+        
+        const delivery = ObjectId.isValid(deliveryId)
+            ? await this.db.collection('webhook_deliveries').findOne({ ...access.scope, _id: new ObjectId(String(deliveryId)) })
+            : null;
+        if (!delivery) {
+            return { success: false, error: 'Delivery not found' };
+        }
+        if (!['failed', 'delivered'].includes(delivery.status)) {
+            return { success: false, error: `Delivery is still ${delivery.status}` };
+        }
+        
+        const endpoint = await this.db.collection('webhook_endpoints').findOne({ _id: delivery.endpoint_id });
+        if (!endpoint) {
+            return { success: false, error: 'Its endpoint was removed' };
+        }
+        
+        const replay = newDelivery(endpoint, delivery.payload, { replayOf: delivery._id });
+        const result = await this.db.collection('webhook_deliveries').insertOne(replay);
+        await this.db.collection('webhook_deliveries').updateOne(
+            { _id: delivery._id },
+            { $set: { replayed_at: new Date() } }
+        );
+        
+        return { success: true, delivery_id: result.insertedId };
+    }
+
+    /**
+     * Replay every failed delivery of an endpoint that has not been replayed yet
+     */
+    async replayFailed(userId, reference) {
+        const access = await this.getAccess(userId);
+        if (!access.allowed) {
+            return { success: false, error: access.error };
+        }
+        
+        const endpoint = await this.resolveEndpoint(access.scope, reference);
+        if (!endpoint) {
+            return { success: false, error: 'Webhook endpoint not found' };
+        }
+        
+        const failed = await this.db.collection('webhook_deliveries')
+            .find({ endpoint_id: endpoint._id, status: 'failed', replayed_at: null })
+            .sort({ created_at: 1 })
+            .limit(MAX_REPLAY_BATCH)
+            .toArray();
+        if (failed.length === 0) {
+            return { success: true, replayed: 0 };
+        }
+        
+        await this.db.collection('webhook_deliveries').insertMany(
+            failed.map(delivery => newDelivery(endpoint, delivery.payload, { replayOf: delivery._id }))
+        );
+        await this.db.collection('webhook_deliveries').updateMany(
+            { _id: { $in: failed.map(delivery => delivery._id) } },
+            { $set: { replayed_at: new Date() } }
+        );
+        
+        return { success: true, replayed: failed.length };
+    }
+
+    /**
+     * An endpoint without its secret
+     */
+    publicEndpoint(endpoint) {
+        const { secret, ...rest } = endpoint;
+        return rest;
+    }
+
+    listEvents() {
+        return Object.entries(WEBHOOK_EVENTS).map(([type, description]) => ({ type, description }));
+    }
+}
+
+module.exports = WebhookDeliveryService;
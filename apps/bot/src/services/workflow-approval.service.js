@@ -0,0 +1,196 @@
+/**
+ * Workflow Approval Service
+ *
+ * Handles the approve/reject/edit buttons that workflow-service approval
+ * steps send to admins. Decisions are written to `workflow_approvals`; the
+ * workflow-service picks them up and resumes the paused execution.
+ */
+
+const { ObjectId } = require('mongodb');
+
+const EDIT_TIMEOUT_MS = 10 * 60 * 1000;
+
+class WorkflowApprovalService {
+    constructor(bot, db) {
+        this.bot = bot;
+        this.db = db;
+        this.pendingEdits = new Map(); // userId -> { approvalId, chatId, messageId, expiresAt }
+    }
+
+    /**
+     * Register handlers
+     */
+    initialize() {
+        this.bot.action(/^wfa_(approve|reject)_([a-f0-9]{24})$/, async (ctx) => {
+            await this.handleDecision(ctx);
+        });
+
+        this.bot.action(/^wfa_edit_([a-f0-9]{24})$/, async (ctx) => {
+            await this.handleEdit(ctx);
+        });
+
+        // Edited content arrives as the approver's next private message
+        this.bot.on('text', async (ctx, next) => {
+            const pending = this.pendingEdits.get(ctx.from?.id);
+            if (!pending || ctx.chat?.type !== 'private') {
+                return next();
+            }
+
+            if (pending.expiresAt < Date.now()) {
+                this.pendingEdits.delete(ctx.from.id);
+                return next();
+            }
+
+            const text = ctx.message.text;
+            if (text === '/cancel') {
+                this.pendingEdits.delete(ctx.from.id);
+                await ctx.reply('✏️ Edit cancelled. The approval is still waiting for a decision.');
+                return;
+            }
+            if (text.startsWith('/')) {
+                return next();
+            }
+
+            await this.handleEditedText(ctx, pending, text);
+        });
+
+        console.log('✅ Workflow Approval Service initialized');
+    }
+
+    async getApproval(approvalId) {
+        return await this.db.collection('workflow_approvals').findOne({ _id: new ObjectId(approvalId) });
+    }
+
+    /**
+     * Only listed approvers can decide in Telegram; approvals without any
+     * can only be decided through the workflow-service API
+     */
+    canDecide(approval, userId) {
+        return Array.isArray(approval.approvers) && approval.approvers.includes(userId);
+    }
+
+    /**
+     * Record a decision. Returns false if someone else decided first or the
+     * approval timed out.
+     */
+    async recordDecision(approvalId, userId, decision, editedContent = null) {
+        const result = await this.db.collection('workflow_approvals').updateOne(
+            { _id: new ObjectId(approvalId), status: 'pending' },
+            {
+                $set: {
+                    status: decision === 'approve' ? 'approved' : 'rejected',
+                    decided_by: userId,
+                    decided_via: 'telegram',
+                    decided_at: new Date(),
+                    comment: null,
+                    edited_content: editedContent
+                }
+            }
+        );
+        return result.modifiedCount > 0;
+    }
+
+    /**
+     * Handle approve/reject buttons
+     */
+    async handleDecision(ctx) {
+        const [, decision, approvalId] = ctx.match;
+
+        try {
+            const approval = await this.getApproval(approvalId);
+
+            if (!approval) {
+                await ctx.answerCbQuery('❌ Approval not found');
+                return;
+            }
+
+            if (!this.canDecide(approval, ctx.from.id)) {
+                await ctx.answerCbQuery('❌ You are not an approver for this workflow');
+                return;
+            }
+
+            const recorded = await this.recordDecision(approvalId, ctx.from.id, decision);
+            if (!recorded) {
+                await ctx.answerCbQuery(`ℹ️ Already ${approval.status}`);
+                await ctx.editMessageReplyMarkup({ inline_keyboard: [] }).catch(() => {});
+                return;
+            }
+
+            await ctx.answerCbQuery(decision === 'approve' ? '✅ Approved' : '❌ Rejected');
+            await ctx.editMessageReplyMarkup({ inline_keyboard: [] }).catch(() => {});
+            await ctx.reply(decision === 'approve'
+                ? '✅ Approved - the workflow will continue shortly.'
+                : '❌ Rejected - the workflow has been notified.');
+        } catch (error) {
+            console.error('Error recording workflow approval:', error);
+            await ctx.answerCbQuery('❌ Could not record your decision').catch(() => {});
+        }
+    }
+
+    /**
+     * Handle edit button
+     */
+    async handleEdit(ctx) {
+        const approvalId = ctx.match[1];
+
+        try {
+            const approval = await this.getApproval(approvalId);
+
+            if (!approval || approval.status !== 'pending') {
+                await ctx.answerCbQuery(approval ? `ℹ️ Already ${approval.status}` : '❌ Approval not found');
+                return;
+            }
+
+            if (!this.canDecide(approval, ctx.from.id)) {
+                await ctx.answerCbQuery('❌ You are not an approver for this workflow');
+                return;
+            }
+
+            if (!approval.allow_edit) {
+                await ctx.answerCbQuery('❌ Edits are not allowed for this approval');
+                return;
+            }
+
+            this.pendingEdits.set(ctx.from.id, {
+                approvalId,
+                chatId: ctx.callbackQuery.message.chat.id,
+                messageId: ctx.callbackQuery.message.message_id,
+                expiresAt: Date.now() + EDIT_TIMEOUT_MS
+            });
+
+            await ctx.answerCbQuery('✏️ Edit mode activated');
+            await ctx.reply(
+                '✏️ *Edit Mode*\n\n' +
+                'Send me the edited version of the content. It will be approved as sent, ' +
+                'using the same formatting syntax as the original.\n\n' +
+                'Send /cancel to keep the original.',
+                { parse_mode: 'Markdown' }
+            );
+        } catch (error) {
+            console.error('Error starting workflow approval edit:', error);
+            await ctx.answerCbQuery('❌ Could not start editing').catch(() => {});
+        }
+    }
+
+    async handleEditedText(ctx, pending, text) {
+        this.pendingEdits.delete(ctx.from.id);
+
+        try {
+            const recorded = await this.recordDecision(pending.approvalId, ctx.from.id, 'approve', text);
+            if (!recorded) {
+                await ctx.reply('ℹ️ This approval was already decided or has timed out - your edit was not applied.');
+                return;
+            }
+
+            await ctx.telegram.editMessageReplyMarkup(pending.chatId, pending.messageId, undefined, {
+                inline_keyboard: []
+            }).catch(() => {});
+            await ctx.reply('✅ Edited and approved - the workflow will continue with your version.');
+        } catch (error) {
+            console.error('Error saving workflow approval edit:', error);
+            await ctx.reply('❌ Could not save your edit. Please try again.');
+        }
+    }
+}
+
+module.exports = WorkflowApprovalService;
@@ -0,0 +1,24 @@
+/**
+ * Workflow Events - publishes bot events to the workflow-service event outbox
+ * The workflow-service polls `workflow_events` and starts matching workflows
+ */
+
+async function publishWorkflowEvent(db, type, data = {}) {
+    if (!db) return null;
+
+    try {
+        const result = await db.collection('workflow_events').insertOne({
+            type,
+            data,
+            source: 'bot',
+            status: 'pending',
+            created_at: new Date()
+        });
+        return result.insertedId;
+    } catch (error) {
+        console.error(`Failed to publish workflow event ${type}:`, error);
+        return null;
+    }
+}
+
+module.exports = { publishWorkflowEvent };
@@ -0,0 +1,197 @@
+/**
+ * Workspace Access - roles, permissions and scoping for team workspaces
+ *
+ * A user works either in their personal space or in the workspace they
+ * last switched to (`users.active_workspace_id`). Destinations, templates,
+ * schedules and bulk operations created in a workspace carry its
+ * `workspace_id` and are shared by its members; what each member may do
+ * with them depends on their role.
+ */
+
+const { ObjectId } = require('mongodb');
+
+// Lowest to highest
+const ROLES = ['viewer', 'author', 'editor', 'admin', 'owner'];
+
+// Permission -> lowest role that has it
+const PERMISSIONS = {
+    'workspace:view': 'viewer',
+    'posts:create': 'author',
+    'templates:use': 'author',
+    'posts:manage': 'editor',
+    'templates:manage': 'editor',
+    'bulk:run': 'editor',
+    'destinations:manage': 'admin',
+    'members:manage': 'admin',
+    'webhooks:manage': 'admin',
+    'sources:manage': 'admin',
+    'workspace:delete': 'owner'
+};
+
+// Permission a command needs when run inside a workspace
+const COMMAND_PERMISSIONS = {
+    post: 'posts:create',
+    quickpost: 'posts:create',
+    postmedia: 'posts:create',
+    posttext: 'posts:create',
+    posttogroup: 'posts:create',
+    posttochannel: 'posts:create',
+    schedule: 'posts:create',
+    previewpost: 'posts:create',
+    cancelschedule: 'posts:create',
+    reschedule: 'posts:create',
+    recurring: 'posts:manage',
+    schedules: 'posts:manage',
+    templates: 'workspace:view',
+    loadtemplate: 'templates:use',
+    exporttemplates: 'templates:use',
+    savetemplate: 'templates:manage',
+    deletetemplate: 'templates:manage',
+    importtemplates: 'templates:manage',
+    sharetemplate: 'templates:manage',
+    bulkpost: 'bulk:run',
+    bulkedit: 'bulk:run',
+    bulkschedule: 'bulk:run',
+    bulkdelete: 'bulk:run',
+    bulkcancel: 'bulk:run',
+    bulkreschedule: 'bulk:run',
+    addchannel: 'destinations:manage',
+    addgroup: 'destinations:manage',
+    removechannel: 'destinations:manage',
+    removegroup: 'destinations:manage',
+    postingwindow: 'destinations:manage',
+    invite: 'members:manage',
+    setrole: 'members:manage',
+    removemember: 'members:manage',
+    members: 'workspace:view',
+    webhooks: 'webhooks:manage',
+    sources: 'sources:manage'
+};
+
+function roleRank(role) {
+    return ROLES.indexOf(role);
+}
+
+/**
+ * Whether `role` has `permission`
+ */
+function roleAllows(role, permission) {
+    const required = PERMISSIONS[permission];
+    if (!required) {
+        throw new Error(`Unknown permission "${permission}"`);
+    }
+    return roleRank(role) >= roleRank(required);
+}
+
+/**
+ * Whether a member with `actorRole` may give `newRole` to a member who
+ * currently has `currentRole` (null for someone joining). Only the owner
+ * hands out or takes away admin; nobody can be made owner.
+ */
+function canAssignRole(actorRole, currentRole, newRole) {
+    if (!roleAllows(actorRole, 'members:manage') || !ROLES.includes(newRole) || newRole === 'owner') {
+        return false;
+    }
+    if (actorRole === 'owner') {
+        return currentRole !== 'owner';
+    }
+    return roleRank(newRole) < roleRank(actorRole)
+        && (currentRole === null || roleRank(currentRole) < roleRank(actorRole));
+}
+
+/**
+ * Query filter for the resources a user sees: the active workspace's, or
+ * their personal ones when they are not in a workspace
+ * @param {Object|null} membership - from findActiveMembership
+ * @param {string} ownerField - field holding the creator's user id
+ */
+function scopeFilter(membership, userId, ownerField = 'user_id') {
+    if (membership) {
+        return { workspace_id: membership.workspace._id };
+    }
+    return { [ownerField]: userId, workspace_id: null };
+}
+
+/**
+ * Fields to set on a resource created by a user
+ */
+function workspaceStamp(membership) {
+    return { workspace_id: membership ? membership.workspace._id : null };
+}
+
+/**
+ * Whether a user may change a resource. Personal resources belong to their
+ * creator; in a workspace, members change their own with `own` and anyone's
+ * with `any`.
+ */
+function canActOn(membership, userId, resource, { ownerField = 'user_id', own = 'posts:create', any = 'posts:manage' } = {}) {
+    if (!resource.workspace_id) {
+        return resource[ownerField] === userId;
+    }
+    if (!membership || String(resource.workspace_id) !== String(membership.workspace._id)) {
+        return false;
+    }
+    return roleAllows(membership.role, resource[ownerField] === userId ? own : any);
+}
+
+/**
+ * The workspace a user is working in and their role there, or null for
+ * their personal space (also when they have since left or been removed)
+ * @returns {Promise<{ workspace: Object, role: string, member: Object }|null>}
+ */
+async function findActiveMembership(db, userId) {
+    const user = await db.collection('users').findOne(
+        { user_id: userId },
+        { projection: { active_workspace_id: 1 } }
+    );
+    if (!user?.active_workspace_id) {
+        return null;
+    }
+
+    const workspaceId = new ObjectId(String(user.active_workspace_id));
+    const [workspace, member] = await Promise.all([
+        db.collection('workspaces').findOne({ _id: workspaceId }),
+        db.collection('team_members').findOne({ workspace_id: workspaceId, user_id: userId })
+    ]);
+
+    return workspace && member ? { workspace, role: member.role, member } : null;
+}
+
+/**
+ * The active membership for an update, looked up once and kept on
+ * `ctx.state` (TierManager's middleware fills it for commands)
+ */
+async function membershipFor(ctx, db) {
+    if (ctx.state && ctx.state.workspace !== undefined) {
+        return ctx.state.workspace;
+    }
+    const membership = await findActiveMembership(db, ctx.from.id);
+    if (ctx.state) {
+        ctx.state.workspace = membership;
+    }
+    return membership;
+}
+
+/**
+ * Seats taken in the workspace a user owns, counting the owner
+ */
+async function countOwnedSeats(db, ownerId) {
+    const workspace = await db.collection('workspaces').findOne({ owner_id: ownerId }, { projection: { _id: 1 } });
+    return workspace
+        ? await db.collection('team_members').countDocuments({ workspace_id: workspace._id })
+        : 1;
+}
+
+module.exports = {
+    ROLES,
+    PERMISSIONS,
+    COMMAND_PERMISSIONS,
+    roleAllows,
+    canAssignRole,
+    scopeFilter,
+    workspaceStamp,
+    canActOn,
+    findActiveMembership,
+    membershipFor,
+    countOwnedSeats
+};
@@ -0,0 +1,725 @@
+/**
+ * Workspace Service - team workspaces for shared channels
+ *
+ * An owner creates a workspace and invites members through deep links
+ * (t.me/<bot>?start=ws_<token>) with a role. Members work under the
+ * owner's plan; seats are limited by the owner's `team_members` tier
+ * limit and counted in the workspace's `seats_used`. See
+ * workspace-access.js for what each role may do.
+ */
+
+const crypto = require('crypto');
+const { ObjectId } = require('mongodb');
+const {
+    ROLES,
+    roleAllows,
+    canAssignRole,
+    findActiveMembership
+} = require('./workspace-access');
+
+const INVITE_PREFIX = 'ws_';
+const INVITE_TTL_HOURS = 72;
+const MAX_INVITE_USES = 50;
+const MAX_NAME_LENGTH = 48;
+
+class WorkspaceService {
+    constructor(bot, db, tierManager) {
+        this.bot = bot;
+        this.db = db;
+        this.tierManager = tierManager;
+        
+        this.roleIcons = {
+            owner: '👑',
+            admin: '🛡️',
+            editor: '✏️',
+            author: '📝',
+            viewer: '👁'
+        };
+    }
+
+    /**
+     * Register workspace commands and handlers
+     */
+    register() {
+        console.log('🔧 Registering WorkspaceService...');
+        
+        // Invite links open the bot with /start ws_<token>
+        this.bot.command('start', this.handleStart.bind(this));
+        
+        this.bot.command('workspace', this.handleWorkspace.bind(this));
+        this.bot.command('invite', this.handleInvite.bind(this));
+        this.bot.command('members', this.handleMembers.bind(this));
+        this.bot.command('setrole', this.handleSetRole.bind(this));
+        this.bot.command('removemember', this.handleRemoveMember.bind(this));
+        this.bot.command('leaveworkspace', this.handleLeave.bind(this));
+        
+        this.bot.action(/^workspace:/, this.handleWorkspaceCallback.bind(this));
+        
+        console.log('✅ WorkspaceService registered');
+    }
+
+    /**
+     * Create a workspace owned by `owner` and switch them into it
+     * @param {Object} owner - Telegram user
+     */
+    async createWorkspace(owner, name) {
+        try {
+            name = (name || '').trim();
+            if (!name || name.length > MAX_NAME_LENGTH) {
+                return { success: false, error: `Workspace name must be 1-${MAX_NAME_LENGTH} characters` };
+            }
+            
+            if (!await this.tierManager.hasFeature(owner.id, 'team_collaboration')) {
+                return { success: false, error: 'Team workspaces require Pro tier or higher' };
+            }
+            
+            const existing = await this.db.collection('workspaces').findOne({ owner_id: owner.id });
+            if (existing) {
+                return { success: false, error: `You already own the workspace "${existing.name}"` };
+            }
+            
+            const workspace = {
+                name,
+                owner_id: owner.id,
+                seats_used: 1,
+                created_at: new Date()
+            };
+            const result = await this.db.collection('workspaces').insertOne(workspace);
+            workspace._id = result.insertedId;
+            
+            await this.addMember(workspace, owner, 'owner', owner.id);
+            await this.setActiveWorkspace(owner.id, workspace._id);
+            
+            return { success: true, workspace };
+        
+        } catch (error) {
+            console.error('Error creating workspace:', error);
+            return { success: false, error: error.message };
+        }
+    }
+
+    async addMember(workspace, user, role, invitedBy) {
+        return await this.db.collection('team_members').updateOne(
+            { workspace_id: workspace._id, user_id: user.id },
+            {
+                $setOnInsert: {
+                    workspace_id: workspace._id,
+                    user_id: user.id,
+                    role,
+                    username: user.username || null,
+                    first_name: user.first_name || null,
+                    invited_by: invitedBy,
+                    joined_at: new Date()
+                }
+            },
+            { upsert: true }
+        );
+    }
+
+    /**
+     * Take a seat in the workspace, failing when all `limit` seats are used.
+     * Workspaces created before seats were counted get their count first.
+     */
+    async reserveSeat(workspace, limit) {
+        const workspaces = this.db.collection('workspaces');
+        
+        if (workspace.seats_used === undefined) {
+            const members = await this.db.collection('team_members').countDocuments({ workspace_id: workspace._id });
+            await workspaces.updateOne(
+                { _id: workspace._id, seats_used: { $exists: false } },
+                { $set: { seats_used: members } }
+            );
+        }
+        
+        const reserved = await workspaces.findOneAndUpdate(
+            { _id: workspace._id, ...(limit !== undefined && { seats_used: { $lt: limit } }) },
+            { $inc: { seats_used: 1 } },
+            { returnDocument: 'after', includeResultMetadata: true }
+        );
+        return Boolean(reserved.value);
+    }
+
+    async releaseSeat(workspaceId) {
+        await this.db.collection('workspaces').updateOne(
+            { _id: workspaceId, seats_used: { $gt: 0 } },
+            { $inc: { seats_used: -1 } }
+        );
+    }
+
+    async setActiveWorkspace(userId, workspaceId) {
+        await this.db.collection('users').updateOne(
+            { user_id: userId },
+            workspaceId
+                ? { $set: { active_workspace_id: workspaceId } }
+                : { $unset: { active_workspace_id: '' } },
+            { upsert: Boolean(workspaceId) }
+        );
+    }
+
+    /**
+     * Create an invite link for the actor's active workspace
+     */
+    async createInvite(actorId, role, { maxUses = 1, ttlHours = INVITE_TTL_HOURS } = {}) {
+        try {
+            const membership = await findActiveMembership(this.db, actorId);
+            if (!membership) {
+                return { success: false, error: 'Switch to a workspace first with /workspace' };
+            }
+            if (!ROLES.includes(role)) {
+                return { success: false, error: `Role must be one of: ${ROLES.filter(r => r !== 'owner').join(', ')}` };
+            }
+            if (!canAssignRole(membership.role, null, role)) {
+                return { success: false, error: `As ${membership.role} you cannot invite ${role}s` };
+            }
+            if (!Number.isInteger(maxUses) || maxUses < 1 || maxUses > MAX_INVITE_USES) {
+                return { success: false, error: `Invites can be used 1-${MAX_INVITE_USES} times` };
+            }
+            
+            const invite = {
+                token: crypto.randomBytes(12).toString('base64url'),
+                workspace_id: membership.workspace._id,
+                role,
+                created_by: actorId,
+                created_at: new Date(),
+                expires_at: new Date(Date.now() + ttlHours * 60 * 60 * 1000),
+                max_uses: maxUses,
+                uses: 0
+            };
+            await this.db.collection('workspace_invites').insertOne(invite);
+            
+            const botUsername = this.bot.botInfo?.username || process.env.BOT_USERNAME || 'ZoneNewsBot';
+            
+            return {
+                success: true,
+                invite,
+                workspace: membership.workspace,
+                link: `https://t.me/${botUsername}?start=${INVITE_PREFIX}${invite.token}`
+            };
+        
+        } catch (error) {
+            console.error('Error creating workspace invite:', error);
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * Join a workspace through an invite token. A seat is reserved against
+     * the owner's tier before the invite is used up, and given back if the
+     * join does not go through.
+     * @param {Object} user - Telegram user
+     */
+    async acceptInvite(token, user) {
+        try {
+            const now = new Date();
+            const invite = await this.db.collection('workspace_invites').findOne({ token });
+            if (!invite || invite.expires_at < now || invite.uses >= invite.max_uses) {
+                return { success: false, error: 'This invite link is invalid or has expired' };
+            }
+            
+            const workspace = await this.db.collection('workspaces').findOne({ _id: invite.workspace_id });
+            if (!workspace) {
+                return { success: false, error: 'This workspace no longer exists' };
+            }
+            
+            const member = await this.db.collection('team_members').findOne({
+                workspace_id: workspace._id,
+                user_id: user.id
+            });
+            if (member) {
+                await this.setActiveWorkspace(user.id, workspace._id);
+                return { success: true, workspace, role: member.role, alreadyMember: true };
+            }
+            
+            const seats = await this.tierManager.checkLimit(workspace.owner_id, 'team_members');
+            const noSeats = { success: false, error: `"${workspace.name}" has no free seats (${seats.current}/${seats.limit}). Ask the owner to upgrade.` };
+            if (!seats.allowed) {
+                return noSeats;
+            }
+            
+            // Concurrent joins each reserve a seat atomically, so together
+            // they cannot go over the limit the check above saw
+            if (!await this.reserveSeat(workspace, seats.unlimited ? undefined : seats.limit)) {
+                return noSeats;
+            }
+            
+            let joined = false;
+            try {
+                // Claim a use atomically so concurrent joins cannot overrun max_uses
+                const claimed = await this.db.collection('workspace_invites').findOneAndUpdate(
+                    {
+                        _id: invite._id,
+                        expires_at: { $gte: now },
+                        $expr: { $lt: ['$uses', '$max_uses'] }
+                    },
+                    { $inc: { uses: 1 } },
+                    { includeResultMetadata: true }
+                );
+                if (!claimed.value) {
+                    return { success: false, error: 'This invite link is invalid or has expired' };
+                }
+                
+                // A second tap on the link may have added the member already
+                const added = await this.addMember(workspace, user, invite.role, invite.created_by);
+                joined = added.upsertedCount > 0;
+            } finally {
+                if (!joined) {
+                    await this.releaseSeat(workspace._id);
+                }
+            }
+            
+            await this.setActiveWorkspace(user.id, workspace._id);
+            
+            return { success: true, workspace, role: invite.role };
+        
+        } catch (error) {
+            console.error('Error accepting workspace invite:', error);
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * Workspaces a user belongs to, with their role in each
+     */
+    async getMemberships(userId) {
+        const members = await this.db.collection('team_members').find({ user_id: userId }).toArray();
+        if (members.length === 0) {
+            return [];
+        }
+        
+        const workspaces = await this.db.collection('workspaces')
+            .find({ _id: { $in: members.map(member => member.workspace_id) } })
+            .toArray();
+        
+        return workspaces.map(workspace => ({
+            workspace,
+            role: members.find(member => String(member.workspace_id) === String(workspace._id)).role
+        }));
+    }
+
+    async getMembers(workspaceId) {
+        const members = await this.db.collection('team_members')
+            .find({ workspace_id: workspaceId })
+            .toArray();
+        
+        return members.sort((a, b) => ROLES.indexOf(b.role) - ROLES.indexOf(a.role));
+    }
+
+    /**
+     * Switch a user to one of their workspaces, or to their personal space
+     * when `workspaceId` is null
+     */
+    async switchWorkspace(userId, workspaceId) {
+        if (!workspaceId) {
+            await this.setActiveWorkspace(userId, null);
+            return { success: true, workspace: null };
+        }
+        
+        if (!ObjectId.isValid(workspaceId)) {
+            return { success: false, error: 'Workspace not found' };
+        }
+        
+        const id = new ObjectId(String(workspaceId));
+        const [workspace, member] = await Promise.all([
+            this.db.collection('workspaces').findOne({ _id: id }),
+            this.db.collection('team_members').findOne({ workspace_id: id, user_id: userId })
+        ]);
+        if (!workspace || !member) {
+            return { success: false, error: 'You are not a member of this workspace' };
+        }
+        
+        await this.setActiveWorkspace(userId, id);
+        return { success: true, workspace, role: member.role };
+    }
+
+    /**
+     * Find a member of a workspace by user id or @username
+     */
+    async findMember(workspaceId, reference) {
+        const value = String(reference || '').trim();
+        const query = /^\d+$/.test(value)
+            ? { user_id: parseInt(value) }
+            : { username: value.replace(/^@/, '') };
+        
+        return await this.db.collection('team_members').findOne({ workspace_id: workspaceId, ...query });
+    }
+
+    /**
+     * Change a member's role in the actor's active workspace
+     */
+    async setMemberRole(actorId, reference, role) {
+        const membership = await findActiveMembership(this.db, actorId);
+        if (!membership) {
+            return { success: false, error: 'Switch to a workspace first with /workspace' };
+        }
+        
+        const target = await this.findMember(membership.workspace._id, reference);
+        if (!target) {
+            return { success: false, error: `${reference} is not a member of this workspace` };
+        }
+        if (!canAssignRole(membership.role, target.role, role)) {
+            return { success: false, error: `As ${membership.role} you cannot change the ${target.role} role to ${role}` };
+        }
+        
+        await this.db.collection('team_members').updateOne(
+            { _id: target._id },
+            { $set: { role, role_changed_by: actorId, role_changed_at: new Date() } }
+        );
+        
+        return { success: true, member: { ...target, role } };
+    }
+
+    /**
+     * Remove a member from the actor's active workspace
+     */
+    async removeMember(actorId, reference) {
+        const membership = await findActiveMembership(this.db, actorId);
+        if (!membership) {
+            return { success: false, error: 'Switch to a workspace first with /workspace' };
+        }
+        
+        const target = await this.findMember(membership.workspace._id, reference);
+        if (!target) {
+            return { success: false, error: `${reference} is not a member of this workspace` };
+        }
+        if (target.user_id === actorId) {
+            return { success: false, error: 'Use /leaveworkspace to leave' };
+        }
+        // Removing needs the same standing as changing someone's role
+        if (!canAssignRole(membership.role, target.role, 'viewer')) {
+            return { success: false, error: `As ${membership.role} you cannot remove members with the ${target.role} role` };
+        }
+        
+        const removed = await this.db.collection('team_members').deleteOne({ _id: target._id });
+        if (removed.deletedCount > 0) {
+            await this.releaseSeat(membership.workspace._id);
+        }
+        
+        return { success: true, member: target, workspace: membership.workspace };
+    }
+
+    /**
+     * Leave the user's active workspace. Owners cannot leave their own.
+     */
+    async leaveWorkspace(userId) {
+        const membership = await findActiveMembership(this.db, userId);
+        if (!membership) {
+            return { success: false, error: 'You are not in a workspace' };
+        }
+        if (membership.role === 'owner') {
+            return { success: false, error: 'Owners cannot leave their own workspace' };
+        }
+        
+        const removed = await this.db.collection('team_members').deleteOne({ _id: membership.member._id });
+        if (removed.deletedCount > 0) {
+            await this.releaseSeat(membership.workspace._id);
+        }
+        await this.setActiveWorkspace(userId, null);
+        
+        return { success: true, workspace: membership.workspace };
+    }
+
+    /**
+     * /start ws_<token> joins a workspace; other /start payloads go on to
+     * the regular start command
+     */
+    async handleStart(ctx, next) {
+        const payload = ctx.startPayload || '';
+        if (!payload.startsWith(INVITE_PREFIX)) {
+            return next();
+        }
+        
+        try {
+            const result = await this.acceptInvite(payload.slice(INVITE_PREFIX.length), ctx.from);
+            if (!result.success) {
+                await ctx.reply(`❌ ${result.error}`);
+                return;
+            }
+            
+            await ctx.reply(
+                `${result.alreadyMember ? '👥 You are already a member of' : '🎉 You joined'} "${result.workspace.name}" ` +
+                `as ${this.roleIcons[result.role]} ${result.role}.\n\n` +
+                'Your channels, templates and schedules now come from this workspace. ' +
+                'Use /workspace to switch back to your personal space.'
+            );
+        
+        } catch (error) {
+            console.error('Error joining workspace:', error);
+            await ctx.reply('❌ Error joining workspace.');
+        }
+    }
+
+    /**
+     * Handle /workspace [create <name>]
+     */
+    async handleWorkspace(ctx) {
+        try {
+            const userId = ctx.from.id;
+            const [subcommand, ...rest] = ctx.message.text.split(' ').slice(1);
+            
+            if (subcommand === 'create') {
+                const result = await this.createWorkspace(ctx.from, rest.join(' '));
+                if (!result.success) {
+                    await ctx.reply(`❌ ${result.error}`);
+                    return;
+                }
+                
+                await ctx.reply(
+                    `✅ Workspace "${result.workspace.name}" created and active.\n\n` +
+                    'Invite your team with `/invite <role>`: admin, editor, author or viewer.',
+                    { parse_mode: 'Markdown' }
+                );
+                return;
+            }
+            
+            await this.showWorkspaceMenu(ctx);
+        
+        } catch (error) {
+            console.error('Error in workspace command:', error);
+            await ctx.reply('❌ Error accessing workspaces.');
+        }
+    }
+
+    /**
+     * Current workspace with buttons to switch between the user's workspaces
+     */
+    async showWorkspaceMenu(ctx, { edit = false } = {}) {
+        const userId = ctx.from.id;
+        const [active, memberships] = await Promise.all([
+            findActiveMembership(this.db, userId),
+            this.getMemberships(userId)
+        ]);
+        
+        let message = '👥 *Workspaces*\n\n';
+        if (active) {
+            const [members, seats] = await Promise.all([
+                this.db.collection('team_members').countDocuments({ workspace_id: active.workspace._id }),
+                this.tierManager.checkLimit(active.workspace.owner_id, 'team_members', 0)
+            ]);
+            message += `Active: ${active.workspace.name}\n`;
+            message += `Your role: ${this.roleIcons[active.role]} ${active.role}\n`;
+            message += `Seats: ${members}/${seats.unlimited ? '∞' : seats.limit}\n\n`;
+        } else {
+            message += 'Active: 🙋 Personal space\n\n';
+        }
+        
+        if (memberships.length === 0) {
+            message += 'You are not in any workspace. Create one with `/workspace create <name>` ' +
+                'or join one through an invite link.';
+        }
+        
+        const keyboard = [];
+        for (const { workspace, role } of memberships) {
+            const isActive = active && String(active.workspace._id) === String(workspace._id);
+            keyboard.push([{
+                text: `${isActive ? '✅ ' : ''}${this.roleIcons[role]} ${workspace.name}`,
+                callback_data: `workspace:switch:${workspace._id}`
+            }]);
+        }
+        if (memberships.length > 0) {
+            keyboard.push([{ text: `${active ? '' : '✅ '}🙋 Personal space`, callback_data: 'workspace:switch:personal' }]);
+        }
+        if (active) {
+            keyboard.push([{ text: '👥 Members', callback_data: 'workspace:members' }]);
+        }
+        keyboard.push([{ text: '❌ Close', callback_data: 'cancel' }]);
+        
+        const extra = { parse_mode: 'Markdown', reply_markup: { inline_keyboard: keyboard } };
+        if (edit) {
+            await ctx.editMessageText(message, extra);
+        } else {
+            await ctx.reply(message, extra);
+        }
+    }
+
+    /**
+     * Handle /invite <role> [uses]
+     */
+    async handleInvite(ctx) {
+        try {
+            const [role, uses] = ctx.message.text.split(' ').slice(1);
+            if (!role) {
+                await ctx.reply(
+                    '✉️ *Invite to Workspace*\n\n' +
+                    '`/invite <role> [uses]`\n\n' +
+                    '*Roles:*\n' +
+                    '• admin - manage members and channels\n' +
+                    '• editor - edit anyone\'s posts, templates and bulk operations\n' +
+                    '• author - create and schedule their own posts\n' +
+                    '• viewer - see channels, schedules and templates\n\n' +
+                    `Links expire after ${INVITE_TTL_HOURS} hours.`,
+                    { parse_mode: 'Markdown' }
+                );
+                return;
+            }
+            
+            const result = await this.createInvite(ctx.from.id, role.toLowerCase(), {
+                maxUses: uses ? parseInt(uses) : 1
+            });
+            if (!result.success) {
+                await ctx.reply(`❌ ${result.error}`);
+                return;
+            }
+            
+            await ctx.reply(
+                `✉️ Invite to "${result.workspace.name}" as ${this.roleIcons[result.invite.role]} ${result.invite.role}\n\n` +
+                `${result.link}\n\n` +
+                `Usable ${result.invite.max_uses} time(s), until ${result.invite.expires_at.toLocaleString('en-AU')}.`
+            );
+        
+        } catch (error) {
+            console.error('Error creating invite:', error);
+            await ctx.reply('❌ Error creating invite.');
+        }
+    }
+
+    /**
+     * Handle /members
+     */
+    async handleMembers(ctx) {
+        try {
+            const membership = await findActiveMembership(this.db, ctx.from.id);
+            if (!membership) {
+                await ctx.reply('👥 You are working in your personal space. Use /workspace to switch.');
+                return;
+            }
+            
+            await ctx.reply(await this.formatMembers(membership));
+        
+        } catch (error) {
+            console.error('Error listing members:', error);
+            await ctx.reply('❌ Error listing members.');
+        }
+    }
+
+    async formatMembers(membership) {
+        const members = await this.getMembers(membership.workspace._id);
+        
+        let message = `👥 ${membership.workspace.name} (${members.length} members)\n\n`;
+        for (const member of members) {
+            const name = member.username ? `@${member.username}` : (member.first_name || member.user_id);
+            message += `${this.roleIcons[member.role]} ${name} - ${member.role}\n`;
+        }
+        
+        if (roleAllows(membership.role, 'members:manage')) {
+            message += '\nChange roles with /setrole <@user> <role>, remove with /removemember <@user>.';
+        }
+        
+        return message;
+    }
+
+    /**
+     * Handle /setrole <@user|id> <role>
+     */
+    async handleSetRole(ctx) {
+        try {
+            const [reference, role] = ctx.message.text.split(' ').slice(1);
+            if (!reference || !role) {
+                await ctx.reply('Usage: /setrole <@user|user id> <admin|editor|author|viewer>');
+                return;
+            }
+            
+            const result = await this.setMemberRole(ctx.from.id, reference, role.toLowerCase());
+            if (!result.success) {
+                await ctx.reply(`❌ ${result.error}`);
+                return;
+            }
+            
+            await ctx.reply(`✅ ${reference} is now ${this.roleIcons[result.member.role]} ${result.member.role}.`);
+        
+        } catch (error) {
+            console.error('Error setting member role:', error);
+            await ctx.reply('❌ Error changing role.');
+        }
+    }
+
+    /**
+     * Handle /removemember <@user|id>
+     */
+    async handleRemoveMember(ctx) {
+        try {
+            const reference = ctx.message.text.split(' ')[1];
+            if (!reference) {
+                await ctx.reply('Usage: /removemember <@user|user id>');
+                return;
+            }
+            
+            const result = await this.removeMember(ctx.from.id, reference);
+            if (!result.success) {
+                await ctx.reply(`❌ ${result.error}`);
+                return;
+            }
+            
+            await ctx.reply(`✅ ${reference} was removed from "${result.workspace.name}".`);
+            
+            try {
+                await this.bot.telegram.sendMessage(
+                    result.member.user_id,
+                    `ℹ️ You were removed from the workspace "${result.workspace.name}".`
+                );
+            } catch (error) {
+                console.error('Could not notify removed member:', error);
+            }
+        
+        } catch (error) {
+            console.error('Error removing member:', error);
+            await ctx.reply('❌ Error removing member.');
+        }
+    }
+
+    /**
+     * Handle /leaveworkspace
+     */
+    async handleLeave(ctx) {
+        try {
+            const result = await this.leaveWorkspace(ctx.from.id);
+            if (!result.success) {
+                await ctx.reply(`❌ ${result.error}`);
+                return;
+            }
+            
+            await ctx.reply(`👋 You left "${result.workspace.name}" and are back in your personal space.`);
+        
+        } catch (error) {
+            console.error('Error leaving workspace:', error);
+            await ctx.reply('❌ Error leaving workspace.');
+        }
+    }
+
+    /**
+     * Handle workspace callbacks
+     */
+    async handleWorkspaceCallback(ctx) {
+        try {
+            const [, action, param] = ctx.callbackQuery.data.split(':');
+            
+            await ctx.answerCallbackQuery();
+            
+            switch (action) {
+                case 'switch': {
+                    const result = await this.switchWorkspace(ctx.from.id, param === 'personal' ? null : param);
+                    if (!result.success) {
+                        await ctx.reply(`❌ ${result.error}`);
+                        return;
+                    }
+                    await this.showWorkspaceMenu(ctx, { edit: true });
+                    break;
+                }
+                case 'members': {
+                    const membership = await findActiveMembership(this.db, ctx.from.id);
+                    if (membership) {
+                        await ctx.reply(await this.formatMembers(membership));
+                    }
+                    break;
+                }
+                default:
+                    await ctx.reply('❌ Unknown workspace action.');
+            }
+        
+        } catch (error) {
+            console.error('Error handling workspace callback:', error);
+            await ctx.answerCallbackQuery('❌ Error processing workspace request');
+        }
+    }
+}
+
+module.exports = WorkspaceService;
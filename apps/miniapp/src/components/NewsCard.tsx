@@ -38,12 +38,32 @@ const NewsCard: React.FC<NewsCardProps> = ({ article, onClick, isLocked }) => {
         <span className="text-xs text-gray-500">{timeAgo(article.publishedAt)}</span>
       </div>
       
+      {article.images && (
+        <picture>
+          <source srcSet={article.images.card} type="image/webp" />
+          <img
+            src={article.images.cardJpeg || article.images.card}
+            alt=""
+            width={article.images.width}
+            height={article.images.height}
+            loading="lazy"
+            className="w-full aspect-video object-cover rounded-lg mb-3"
+          />
+        </picture>
+      )}
+      
       <h3 className="font-semibold text-gray-900 mb-2 line-clamp-2">{article.title}</h3>
       
       {article.summary && (
         <p className="text-sm text-gray-600 mb-3 line-clamp-2">{article.summary}</p>
       )}
       
+      {article.alsoReportedBy && article.alsoReportedBy.length > 0 && (
+        <p className="text-xs text-gray-500 mb-3 line-clamp-1">
+          Also reported by {[...new Set(article.alsoReportedBy.map(report => report.source))].join(', ')}
+        </p>
+      )}
+      
       <div className="flex items-center justify-between">
         <div className="flex items-center space-x-4 text-xs text-gray-500">
           <span className="flex items-center space-x-1">
@@ -7,6 +7,13 @@ const express = require('express');
 const { MongoClient, ObjectId } = require('mongodb');
 const cors = require('cors');
 const { Telegraf } = require('telegraf');
+const {
+    ENTITLED_STATES,
+    LifecycleError,
+    normalizeStatus,
+    transition,
+    hasAccess
+} = require('../../../libs/shared/src/subscription-lifecycle');
 require('dotenv').config();
 
 const app = express();
@@ -92,21 +99,37 @@ const asyncHandler = (fn) => (req, res, next) => {
     Promise.resolve(fn(req, res, next)).catch(next);
 };
 
-// Helper: Check if subscription is expired
+// Record a subscription change in the workflow-service event outbox
+async function publishSubscriptionChanged(userId, change, details = {}) {
+    try {
+        await db.collection('workflow_events').insertOne({
+            type: 'subscription.changed',
+            data: { user_id: userId, change, ...details },
+            source: 'subscription-service',
+            status: 'pending',
+            created_at: new Date()
+        });
+    } catch (error) {
+        console.error('Failed to publish subscription event:', error);
+    }
+}
+
+// Helper: Check if subscription is expired. Canceled subscriptions keep
+// their features until the end date (see the shared subscription lifecycle)
 function isSubscriptionExpired(subscription) {
     if (!subscription) return true;
-    if (subscription.status === 'cancelled' || subscription.status === 'expired') return true;
-    if (subscription.plan === 'basic') return false; // Basic never expires
-    if (subscription.endDate && new Date(subscription.endDate) < new Date()) return true;
-    return false;
+    if (subscription.plan === 'basic') return normalizeStatus(subscription.status) === 'expired'; // Basic never expires
+    return !hasAccess(subscription.status, subscription.endDate);
 }
 
-// Helper: Calculate end date
-function calculateEndDate(plan) {
+// Helper: Calculate end date, counting from the current end date when the
+// same plan is renewed early
+function calculateEndDate(plan, currentEndDate = null) {
     const planConfig = SUBSCRIPTION_PLANS[plan];
     if (!planConfig || planConfig.duration === 0) return null;
 
-    const endDate = new Date();
+    const now = new Date();
+    const endDate = currentEndDate && new Date(currentEndDate) > now ? new Date(currentEndDate) : now;
     endDate.setDate(endDate.getDate() + planConfig.duration);
     return endDate;
 }
@@ -348,14 +371,17 @@ app.post('/api/subscriptions/webhook', asyncHandler(async (req, res) => {
     }
 
     // Create or update subscription
-    const startDate = new Date();
-    const endDate = calculateEndDate(plan);
+    const existing = await db.collection('subscriptions').findOne({ userId });
+    const renewing = existing?.plan === plan && !isSubscriptionExpired(existing);
+    const startDate = renewing ? existing.startDate : new Date();
+    const endDate = calculateEndDate(plan, renewing ? existing.endDate : null);
+    const { status } = transition({ status: existing?.status }, 'active', { periodEnd: endDate });
 
     const subscriptionUpdate = {
         userId,
         username: payment.from?.username || null,
         plan,
-        status: 'active',
+        status,
         stars: planConfig.stars,
         startDate,
         endDate,
@@ -383,6 +409,7 @@ app.post('/api/subscriptions/webhook', asyncHandler(async (req, res) => {
     );
 
     console.log(`✅ Subscription activated for user ${userId} - ${plan} plan`);
+    await publishSubscriptionChanged(userId, 'activated', { plan, status: 'active', end_date: endDate });
 
     res.json({
         success: true,
@@ -416,10 +443,19 @@ app.post('/api/subscriptions/cancel', asyncHandler(async (req, res) => {
         });
     }
 
-    if (subscription.status === 'cancelled') {
+    let next;
+    try {
+        next = transition({ status: subscription.status, period_end: subscription.endDate }, 'canceled');
+    } catch (error) {
+        if (!(error instanceof LifecycleError)) throw error;
+        next = null;
+    }
+    if (!next || !next.changed) {
         return res.status(400).json({
             success: false,
-            error: 'Subscription already cancelled'
+            error: normalizeStatus(subscription.status) === 'canceled'
+                ? 'Subscription already cancelled'
+                : 'Subscription has already ended'
         });
     }
 
@@ -428,13 +464,15 @@ app.post('/api/subscriptions/cancel', asyncHandler(async (req, res) => {
         { userId },
         {
             $set: {
-                status: 'cancelled',
+                status: next.status,
                 autoRenew: false,
                 updatedAt: new Date()
             }
         }
     );
 
+    await publishSubscriptionChanged(userId, 'cancelled', { plan: subscription.plan, status: next.status });
+
     res.json({
         success: true,
         message: 'Subscription cancelled. Access will continue until end date.',
@@ -488,13 +526,13 @@ app.post('/api/subscriptions/refund', asyncHandler(async (req, res) => {
         });
     }
 
-    // Update payment status
+    // Update payment status. A refund ends access straight away.
     await db.collection('subscriptions').updateOne(
         { userId, 'payments.transactionId': transactionId },
         {
             $set: {
                 'payments.$.status': 'refunded',
-                status: 'cancelled',
+                status: 'expired',
                 plan: 'basic',
                 features: SUBSCRIPTION_PLANS.basic.features,
                 updatedAt: new Date()
@@ -503,6 +541,7 @@ app.post('/api/subscriptions/refund', asyncHandler(async (req, res) => {
     );
 
     console.log(`💰 Refund processed for user ${userId} - transaction ${transactionId}`);
+    await publishSubscriptionChanged(userId, 'refunded', { plan: 'basic', status: 'expired', transaction_id: transactionId });
 
     res.json({
         success: true,
@@ -570,8 +609,9 @@ async function checkExpiredSubscriptions() {
     try {
         const now = new Date();
 
+        // Canceled subscriptions run until their end date too
         const expiredSubscriptions = await db.collection('subscriptions').find({
-            status: 'active',
+            status: { $in: [...ENTITLED_STATES, 'cancelled'] },
             plan: { $ne: 'basic' },
             endDate: { $lte: now }
         }).toArray();
@@ -590,6 +630,7 @@ async function checkExpiredSubscriptions() {
             );
 
             console.log(`⏰ Subscription expired for user ${subscription.userId}`);
+            await publishSubscriptionChanged(subscription.userId, 'expired', { plan: 'basic', status: 'expired', previous_plan: subscription.plan });
         }
 
         if (expiredSubscriptions.length > 0) {
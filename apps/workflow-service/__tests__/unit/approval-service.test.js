@@ -0,0 +1,98 @@
+/**
+ * Unit Tests for workflow approval decisions and resumption
+ */
+
+jest.mock('../../src/utils/logger', () => ({
+    logger: { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }
+}));
+
+const { ApprovalService } = require('../../src/services/ApprovalService');
+
+// Just enough of a MongoDB collection for the approval queries
+function createCollection(docs) {
+    const matches = (doc, filter) => Object.entries(filter).every(([key, condition]) => {
+        if (condition && typeof condition === 'object' && !(condition instanceof Date)) {
+            if (condition.$in) return condition.$in.includes(doc[key]);
+            if (condition.$lte) return doc[key] <= condition.$lte;
+        }
+        return doc[key] === condition || (condition === null && doc[key] === undefined);
+    });
+
+    return {
+        docs,
+        findOne: async (filter) => docs.find(doc => matches(doc, filter)) || null,
+        find: (filter) => ({
+            sort: () => ({
+                limit: (n) => ({ toArray: async () => docs.filter(doc => matches(doc, filter)).slice(0, n) })
+            })
+        }),
+        updateOne: async (filter, update) => {
+            const doc = docs.find(d => matches(d, filter));
+            if (doc) Object.assign(doc, update.$set);
+            return { modifiedCount: doc ? 1 : 0 };
+        }
+    };
+}
+
+describe('ApprovalService', () => {
+    let approvals;
+    let engine;
+    let service;
+
+    beforeEach(() => {
+        approvals = createCollection([
+            { _id: 'a1', execution_id: 'e1', status: 'pending', on_timeout: 'approve', expires_at: new Date(Date.now() - 1000), resumed_at: null },
+            { _id: 'a2', execution_id: 'e2', status: 'pending', on_timeout: 'reject', expires_at: new Date(Date.now() + 60000), resumed_at: null }
+        ]);
+        engine = { resumeApproval: jest.fn().mockResolvedValue(true), telegram: null };
+        service = new ApprovalService({ collection: () => approvals }, engine);
+    });
+
+    test('should record a decision once and resume the execution', async () => {
+        const approval = await service.decide('a2', { decision: 'approve', decidedBy: 42, editedContent: 'Edited text' });
+
+        expect(approval.status).toBe('approved');
+        expect(approval.decided_by).toBe(42);
+        expect(approval.edited_content).toBe('Edited text');
+        expect(engine.resumeApproval).toHaveBeenCalledTimes(1);
+
+        expect(await service.decide('a2', { decision: 'reject', decidedBy: 7 })).toBeNull();
+        expect(engine.resumeApproval).toHaveBeenCalledTimes(1);
+    });
+
+    test('should drop edits on rejection', async () => {
+        const approval = await service.decide('a2', { decision: 'reject', decidedBy: 42, editedContent: 'ignored' });
+        expect(approval.edited_content).toBeNull();
+    });
+
+    test('should apply the timeout action to overdue approvals', async () => {
+        await service.expireOverdue();
+
+        expect(approvals.docs[0]).toMatchObject({ status: 'approved', decided_via: 'timeout', decided_by: 'system' });
+        expect(approvals.docs[1].status).toBe('pending');
+    });
+
+    test('should resume approvals decided outside the service, such as by the bot', async () => {
+        Object.assign(approvals.docs[1], { status: 'rejected', decided_by: 99, decided_via: 'telegram' });
+
+        await service.resumeDecided();
+        await service.resumeDecided();
+
+        expect(engine.resumeApproval).toHaveBeenCalledTimes(1);
+        expect(engine.resumeApproval.mock.calls[0][0]._id).toBe('a2');
+    });
+
+    test('should release the claim when resuming fails', async () => {
+        engine.resumeApproval.mockRejectedValueOnce(new Error('queue unavailable'));
+
+        await service.decide('a2', { decision: 'approve', decidedBy: 42 });
+        expect(approvals.docs[1]).toMatchObject({ resumed_at: null, resume_error: 'queue unavailable' });
+
+        await service.resumeDecided();
+        expect(engine.resumeApproval).toHaveBeenCalledTimes(2);
+    });
+
+    test('should reject unknown decisions', async () => {
+        await expect(service.decide('a2', { decision: 'maybe' })).rejects.toThrow('Decision must be one of');
+    });
+});
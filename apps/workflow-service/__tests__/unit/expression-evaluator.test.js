@@ -0,0 +1,126 @@
+/**
+ * Unit Tests for the workflow condition expression language
+ */
+
+const {
+    ExpressionError,
+    parseExpression,
+    validateExpression,
+    evaluateExpression
+} = require('../../src/services/ExpressionEvaluator');
+
+describe('ExpressionEvaluator', () => {
+    const scope = {
+        article: {
+            title: 'BREAKING: Adelaide tram extension approved',
+            category: 'Local',
+            views: 1520,
+            tags: ['transport', 'council'],
+            published_at: new Date(Date.now() - 2 * 60 * 60 * 1000)
+        },
+        input: { channels: ['@ZoneNewsAdl', '@TBCNews'] },
+        articles: [{ title: 'first' }],
+        empty: null
+    };
+
+    describe('Evaluation', () => {
+        test('should compare values from ${path} placeholders and bare paths', () => {
+            expect(evaluateExpression('${article.views} > 1000', scope)).toBe(true);
+            expect(evaluateExpression('article.category == "Local"', scope)).toBe(true);
+            expect(evaluateExpression("article.category != 'Local'", scope)).toBe(false);
+        });
+
+        test('should support boolean logic with symbols and keywords', () => {
+            expect(evaluateExpression('article.views > 1000 && article.category == "Local"', scope)).toBe(true);
+            expect(evaluateExpression('article.views < 10 or not (article.category == "Sport")', scope)).toBe(true);
+            expect(evaluateExpression('!exists(empty)', scope)).toBe(true);
+        });
+
+        test('should support in, not in and contains', () => {
+            expect(evaluateExpression('article.category in ["Local", "Politics"]', scope)).toBe(true);
+            expect(evaluateExpression('"sport" not in article.tags', scope)).toBe(true);
+            expect(evaluateExpression('article.tags contains "council"', scope)).toBe(true);
+            expect(evaluateExpression('"@TBCNews" in input.channels', scope)).toBe(true);
+        });
+
+        test('should support string and regex matching', () => {
+            expect(evaluateExpression('article.title matches /^breaking/i', scope)).toBe(true);
+            expect(evaluateExpression('article.title matches "tram"', scope)).toBe(true);
+            expect(evaluateExpression('lower(article.title) startsWith "breaking"', scope)).toBe(true);
+            expect(evaluateExpression('article.title endsWith "rejected"', scope)).toBe(false);
+        });
+
+        test('should support date arithmetic', () => {
+            expect(evaluateExpression('article.published_at > now() - hours(6)', scope)).toBe(true);
+            expect(evaluateExpression('hoursSince(article.published_at) < 3', scope)).toBe(true);
+            expect(evaluateExpression('date("2024-01-02") - date("2024-01-01") == days(1)', scope)).toBe(true);
+        });
+
+        test('should be null-safe for missing paths', () => {
+            expect(evaluateExpression('missing.deeply.nested == null', scope)).toBe(true);
+            expect(evaluateExpression('empty.value > 5', scope)).toBe(false);
+            expect(evaluateExpression('${articles[0].title} == "first"', scope)).toBe(true);
+            expect(evaluateExpression('len(articles) > 0 ? "some" : "none"', scope)).toBe('some');
+        });
+
+        test('should keep arithmetic division distinct from regex literals', () => {
+            expect(evaluateExpression('article.views / 2 >= 760', scope)).toBe(true);
+        });
+    });
+
+    describe('Sandboxing', () => {
+        test('should not expose prototype properties', () => {
+            expect(() => evaluateExpression('article.constructor', scope)).toThrow(ExpressionError);
+            expect(() => evaluateExpression('${article.__proto__}', scope)).toThrow(ExpressionError);
+            expect(evaluateExpression('article.toString', scope)).toBeUndefined();
+        });
+
+        test('should reject calls to functions outside the whitelist', () => {
+            expect(() => parseExpression('require("fs")')).toThrow("Unknown function 'require'");
+            expect(() => parseExpression('process.exit(1)')).toThrow(ExpressionError);
+        });
+
+        test('should not evaluate JavaScript syntax', () => {
+            expect(() => parseExpression('(() => 1)()')).toThrow(ExpressionError);
+            expect(() => parseExpression('a = 1')).toThrow(ExpressionError);
+        });
+    });
+
+    describe('Validation', () => {
+        test('should report parse errors with a position', () => {
+            const result = validateExpression('article.views > ');
+            expect(result.valid).toBe(false);
+            expect(result.error).toBe('Unexpected end of expression at position 16');
+            expect(result.position).toBe(16);
+        });
+
+        test('should report unterminated strings and bad regexes', () => {
+            expect(validateExpression('title == "open').error).toMatch(/Unterminated string literal/);
+            expect(validateExpression('title matches /(/').error).toMatch(/Invalid regular expression/);
+        });
+
+        test('should reject regexes that backtrack catastrophically', () => {
+            for (const pattern of ['/^(a+)+$/', '/(\\w+\\s?)*$/', '/((ab)*c)+/', '/(a|a)*/', '/(x|X)+/i', '/(\\d|1){2,}/']) {
+                expect(validateExpression(`title matches ${pattern}`).error).toMatch(/repeats a group/);
+            }
+            expect(() => evaluateExpression('article.title matches pattern', { ...scope, pattern: '(.*a){10}' }))
+                .toThrow(ExpressionError);
+        });
+
+        test('should accept repeated groups that match one way', () => {
+            for (const pattern of ['/^(breaking|urgent)+:/i', '/(ab)+c?/', '/^\\w+(-\\w+)?$/', '/[(]a+[)]+/', '/(?:https?:)?\\/\\//']) {
+                expect(validateExpression(`title matches ${pattern}`)).toEqual({ valid: true });
+            }
+        });
+
+        test('should finish quickly on input that used to backtrack', () => {
+            const started = Date.now();
+            expect(evaluateExpression('title matches "^(a|b)+$"', { title: `${'a'.repeat(40)}!` })).toBe(false);
+            expect(Date.now() - started).toBeLessThan(1000);
+        });
+
+        test('should accept valid expressions', () => {
+            expect(validateExpression('${status} == "active"')).toEqual({ valid: true });
+        });
+    });
+});
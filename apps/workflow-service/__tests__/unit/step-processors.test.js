@@ -0,0 +1,464 @@
+/**
+ * Unit Tests for the workflow step processors
+ */
+
+jest.mock('../../src/utils/logger', () => ({
+    logger: { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn(), performanceMetric: jest.fn() }
+}));
+
+const WorkflowEngine = require('../../src/services/WorkflowEngine');
+const { WebhookClient } = require('../../src/services/WebhookClient');
+
+// Just enough of MongoDB for the step processors; `find` calls are recorded
+function createDb(data = {}) {
+    const matches = (doc, filter) => Object.entries(filter).every(([key, value]) =>
+        doc[key] === value || (value === null && doc[key] === undefined));
+
+    const collections = {};
+    const collection = (name) => {
+        if (!collections[name]) {
+            const docs = data[name] || [];
+            collections[name] = {
+                docs,
+                finds: [],
+                find: jest.fn((filter, options) => {
+                    collections[name].finds.push({ filter, options });
+                    const cursor = {
+                        sort: () => cursor,
+                        limit: () => cursor,
+                        toArray: async () => docs
+                    };
+                    return cursor;
+                }),
+                findOne: jest.fn(async (filter) => docs.find(doc => matches(doc, filter)) || null),
+                insertOne: jest.fn(async (doc) => {
+                    if (doc._id !== undefined && docs.some(existing => existing._id === doc._id)) {
+                        throw Object.assign(new Error('E11000 duplicate key error'), { code: 11000 });
+                    }
+                    docs.push(doc);
+                    return { insertedId: { toString: () => `id${docs.length}` } };
+                }),
+                updateOne: jest.fn(async (filter, update) => {
+                    const doc = filter && docs.find(existing => matches(existing, filter));
+                    if (doc && update.$set) {
+                        Object.assign(doc, update.$set);
+                        return { matchedCount: 1, modifiedCount: 1 };
+                    }
+                    return { upsertedCount: 1, modifiedCount: 0 };
+                }),
+                updateMany: jest.fn(async () => ({ modifiedCount: 2 })),
+                findOneAndUpdate: jest.fn(async () => ({ _id: 'sub1' }))
+            };
+        }
+        return collections[name];
+    };
+    return { collection };
+}
+
+describe('Workflow step processors', () => {
+    let db;
+    let engine;
+    let telegram;
+    const execution = { _id: 'e1', workflow_id: 'w1', input: { channel: '@ZoneNewsAdl' } };
+    const queue = () => ({ process: jest.fn() });
+
+    const createEngine = (data) => {
+        db = createDb(data);
+        telegram = { sendMessage: jest.fn(async () => ({ message_id: 7 })) };
+        engine = new WorkflowEngine(db, { content: queue(), user: queue(), payment: queue(), analytics: queue() }, {
+            telegramClient: telegram,
+            versionStore: {}
+        });
+    };
+
+    const run = (type, config, context = {}) => engine.runStep({ type, config }, 0, context, execution);
+
+    beforeEach(() => {
+        jest.spyOn(WorkflowEngine.prototype, 'startHealthMonitoring').mockImplementation(() => {});
+        createEngine();
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    describe('resolveConfig', () => {
+        test('should keep the type of whole placeholders and interpolate the rest', () => {
+            const config = engine.resolveConfig({
+                config: { ids: '${ids}', text: 'Hi ${user.name}, from ${input.channel}', missing: 'x${nope}y' }
+            }, { ids: [1, 2], user: { name: 'Sam' } }, execution);
+
+            expect(config).toEqual({ ids: [1, 2], text: 'Hi Sam, from @ZoneNewsAdl', missing: 'xy' });
+        });
+    });
+
+    describe('fetch_news', () => {
+        test('should filter articles and map them into the context', async () => {
+            createEngine({
+                articles: [{ _id: 'a1', title: 'Tram', content: 'Tram extension approved', category: 'Local' }]
+            });
+
+            const result = await run('fetch_news', { category: ['Local'], since: '2d', unposted: true, limit: 500 });
+            const { filter } = db.collection('articles').finds[0];
+
+            expect(filter.category).toEqual({ $in: ['Local'] });
+            expect(filter.posted_to_channel).toEqual({ $ne: true });
+            expect(filter.publishedAt.$gte).toBeInstanceOf(Date);
+            expect(result.context.articles[0]).toMatchObject({ id: 'a1', title: 'Tram', summary: 'Tram extension approved' });
+            expect(result.context.article_count).toBe(1);
+        });
+
+        test('should fail when required articles are missing', async () => {
+            await expect(run('fetch_news', { required: true })).rejects.toThrow('No articles matched');
+        });
+    });
+
+    describe('format_content', () => {
+        const articles = [
+            { title: 'Crows_win', category: 'Sports', url: 'https://example.com/1' },
+            { title: 'Council meets', category: 'Local', url: 'https://example.com/2' }
+        ];
+
+        test('should render conditions, filters and escaping with the shared template engine', async () => {
+            const result = await run('format_content', {
+                template: '{% if category == "Sports" %}⚽ {% endif %}{{ title | upper }} {{ link }}{{ missing }}'
+            }, { articles });
+
+            expect(result.context.formatted_messages).toEqual([
+                '⚽ CROWS\\_WIN https://example.com/1{{ missing }}',
+                'COUNCIL MEETS https://example.com/2{{ missing }}'
+            ]);
+            expect(result.context.parse_mode).toBe('Markdown');
+        });
+
+        test('should loop over the context and fill in built-in variables', async () => {
+            const result = await run('format_content', {
+                template: '{{ year }}\n{% for article in articles %}{{ loop.index }}. {{ article.title }}\n{% endfor %}',
+                parse_mode: 'HTML',
+                items: []
+            }, { articles: [{ title: 'A & B' }, { title: 'C' }] });
+
+            expect(result.context.formatted_content).toBe(`${new Date().getFullYear()}\n1. A &amp; B\n2. C\n`);
+        });
+
+        test('should render saved templates with the templates they include', async () => {
+            createEngine({
+                user_templates: [
+                    { _id: 't1', name: 'Post', user_id: 1, workspace_id: null, content: '{{ title }}{% include "Footer" %}' },
+                    { _id: 't2', name: 'Footer', user_id: 1, workspace_id: null, content: ' - Zone News' }
+                ]
+            });
+
+            const result = await run('format_content', { template_name: 'Post', user_id: '1', items: [{ title: 'Tram' }] });
+
+            expect(result.context.formatted_content).toBe('Tram - Zone News');
+        });
+
+        test('should fail for missing templates and report bad syntax when saved', async () => {
+            await expect(run('format_content', { template_name: 'Nope' })).rejects.toThrow('Template not found');
+
+            const { errors } = await engine.validateWorkflow({
+                steps: [{ type: 'format_content', config: { template: '{% if title %}no end' } }]
+            });
+            expect(errors[0]).toMatch(/^Step 1 template is invalid/);
+        });
+    });
+
+    describe('post_to_channel', () => {
+        test('should send every message to every channel', async () => {
+            const result = await run('post_to_channel', { channels: ['@a', '@b'] }, {
+                formatted_messages: ['one', 'two'],
+                parse_mode: 'HTML'
+            });
+
+            expect(telegram.sendMessage).toHaveBeenCalledTimes(4);
+            expect(telegram.sendMessage).toHaveBeenCalledWith('@a', 'one', { parse_mode: 'HTML', disable_web_page_preview: false });
+            expect(result.context.posted_messages).toHaveLength(4);
+        });
+
+        test('should not resend messages a failed attempt already posted', async () => {
+            telegram.sendMessage
+                .mockResolvedValueOnce({ message_id: 1 })
+                .mockRejectedValueOnce(new Error('Too Many Requests'));
+            const context = { formatted_messages: ['one', 'two'] };
+
+            await expect(run('post_to_channel', { channel_id: '@a' }, context)).rejects.toThrow('Too Many Requests');
+            const result = await run('post_to_channel', { channel_id: '@a' }, context);
+
+            expect(telegram.sendMessage).toHaveBeenCalledTimes(3);
+            expect(telegram.sendMessage.mock.calls.map(call => call[1])).toEqual(['one', 'two', 'two']);
+            expect(result.context.posted_messages).toEqual([
+                { chat_id: '@a', message_id: 1, duplicate: true },
+                { chat_id: '@a', message_id: 7 }
+            ]);
+            expect(db.collection('channel_posts').docs.map(doc => [doc._id, doc.status])).toEqual([
+                ['e1:0:@a:0', 'sent'],
+                ['e1:0:@a:1', 'sent']
+            ]);
+        });
+
+        test('should skip a message an interrupted attempt may have posted', async () => {
+            createEngine({ channel_posts: [{ _id: 'e1:0:@a:0', status: 'sending' }] });
+
+            const result = await run('post_to_channel', { channel_id: '@a', text: 'hi' });
+
+            expect(telegram.sendMessage).not.toHaveBeenCalled();
+            expect(result.context.posted_messages).toEqual([]);
+        });
+
+        test('should need something to post and a Telegram client', async () => {
+            await expect(run('post_to_channel', { channel_id: '@a' })).rejects.toThrow('Nothing to post');
+
+            engine.telegram = null;
+            await expect(run('post_to_channel', { channel_id: '@a', text: 'hi' })).rejects.toThrow('Telegram client is not configured');
+        });
+    });
+
+    describe('send_notification', () => {
+        test('should report recipients that could not be reached', async () => {
+            telegram.sendMessage.mockRejectedValueOnce(new Error('blocked'));
+
+            const result = await run('send_notification', { user_ids: [1, 2], message: 'Hello' });
+
+            expect(result.context).toEqual({
+                notifications_sent: 1,
+                notifications_failed: [{ chat_id: 1, error: 'blocked' }]
+            });
+        });
+
+        test('should fail when no recipient was reached', async () => {
+            telegram.sendMessage.mockRejectedValue(new Error('blocked'));
+
+            await expect(run('send_notification', { chat_id: 1, message: 'Hello' })).rejects.toThrow('failed for all recipients');
+        });
+    });
+
+    describe('user steps', () => {
+        test('should create users once', async () => {
+            const result = await run('create_user', { user_id: '42', username: 'sam' });
+
+            expect(db.collection('users').updateOne.mock.calls[0][0]).toEqual({ user_id: 42 });
+            expect(result.context).toEqual({ user_id: 42, user_created: true });
+            await expect(run('create_user', { user_id: 'abc' })).rejects.toThrow('numeric user_id');
+        });
+
+        test('should welcome users by name', async () => {
+            createEngine({ users: [{ user_id: 42, first_name: 'Sam' }] });
+
+            await run('send_welcome', { message: 'Hi {{ firstname }}!' }, { user_id: 42 });
+
+            expect(telegram.sendMessage).toHaveBeenCalledWith(42, 'Hi Sam!', { parse_mode: undefined });
+        });
+
+        test('should set the subscription tier and expiry', async () => {
+            const result = await run('update_subscription', { user_id: 42, tier: 'pro', duration_days: 7 });
+
+            expect(result.context.subscription_tier).toBe('pro');
+            expect(result.context.subscription_expires_at.getTime()).toBeGreaterThan(Date.now() + 6 * 86400000);
+        });
+
+        test('should only set known subscription statuses', async () => {
+            await expect(run('update_subscription_status', { status: 'gone', user_id: 42 })).rejects.toThrow('requires status');
+
+            const result = await run('update_subscription_status', { status: 'suspended', user_id: '42' });
+            expect(db.collection('subscriptions').updateMany.mock.calls[0][0]).toEqual({ user_id: 42, status: 'active' });
+            expect(result.context.subscriptions_updated).toBe(2);
+        });
+    });
+
+    describe('track_event and process_payment', () => {
+        test('should record analytics events for the execution', async () => {
+            await run('track_event', { event: 'digest_sent', data: { count: 3 } });
+
+            expect(db.collection('analytics').docs[0]).toMatchObject({
+                event: 'digest_sent',
+                data: { count: 3, workflow_execution_id: 'e1' }
+            });
+        });
+
+        test('should only accept completed payments', async () => {
+            createEngine({
+                payment_logs: [
+                    { transaction_id: 't1', status: 'completed', user_id: 42, amount: 999, currency: 'AUD', method: 'stripe' },
+                    { transaction_id: 't2', status: 'pending' }
+                ]
+            });
+
+            expect((await run('process_payment', { transaction_id: 't1' })).context.payment.amount).toBe(999);
+            await expect(run('process_payment', { transaction_id: 't2' })).rejects.toThrow('is pending');
+            await expect(run('process_payment', { transaction_id: 't3' })).rejects.toThrow('not found');
+        });
+    });
+
+    describe('generate_report', () => {
+        test('should query allowed fields only, with a time limit', async () => {
+            createEngine({ subscriptions: [{ _id: 's1', tier: 'pro', status: 'active' }] });
+
+            const result = await run('generate_report', {
+                collection: 'subscriptions',
+                query: { status: { $in: ['active', 'grace'] }, $or: [{ tier: 'pro' }, { expires_at: { $gt: new Date() } }] },
+                sort: { expires_at: -1 },
+                fields: ['tier', 'status'],
+                format: 'csv'
+            });
+
+            const { options } = db.collection('subscriptions').finds[0];
+            expect(options).toEqual({ projection: { tier: 1, status: 1 }, maxTimeMS: 10000 });
+            expect(db.collection('workflow_reports').docs[0].content).toBe('tier,status\r\npro,active');
+            expect(result.context.report.row_count).toBe(1);
+        });
+
+        test('should only return reportable fields by default', async () => {
+            await run('generate_report', { collection: 'payment_logs' });
+
+            const { projection } = db.collection('payment_logs').finds[0].options;
+            expect(Object.keys(projection)).toContain('amount');
+            expect(Object.keys(projection)).not.toContain('card_token');
+        });
+
+        test.each([
+            [{ $where: 'sleep(10000) || true' }, 'query operator not allowed in reports: $where'],
+            [{ $expr: { $function: { body: 'return 1', args: [], lang: 'js' } } }, 'query operator not allowed in reports: $expr'],
+            [{ status: { $regex: '(a+)+$' } }, 'query operator not allowed in reports: $regex'],
+            [{ status: { nested: 1 } }, 'query for status must be a value or an object of operators'],
+            [{ password_hash: 'x' }, 'field not allowed in reports on subscriptions: password_hash'],
+            [{ $and: [{ $or: [{ $and: [{ $or: [] }] }] }] }, '$or must be a list of queries, nested at most 3 deep']
+        ])('should reject query %j', async (query, message) => {
+            await expect(run('generate_report', { collection: 'subscriptions', query })).rejects.toThrow(message);
+            expect(db.collection('subscriptions').find).not.toHaveBeenCalled();
+        });
+
+        test('should reject unknown collections, sorts and fields', async () => {
+            await expect(run('generate_report', { collection: 'users' })).rejects.toThrow('collection not allowed');
+            await expect(run('generate_report', { collection: 'analytics', sort: { secret: 1 } })).rejects.toThrow('field not allowed');
+            await expect(run('generate_report', { collection: 'analytics', fields: ['data.count', 'ip'] })).rejects.toThrow('analytics: ip');
+        });
+
+        test('should report bad queries when the workflow is saved', async () => {
+            const { valid, errors } = await engine.validateWorkflow({
+                steps: [
+                    { type: 'generate_report', config: { collection: 'articles', query: { $where: '1' } } },
+                    { type: 'generate_report', config: { collection: '${input.collection}', query: '${input.query}' } }
+                ]
+            });
+
+            expect(valid).toBe(false);
+            expect(errors).toEqual(['Step 1 query operator not allowed in reports: $where']);
+        });
+
+        test('should report on rows from the context', async () => {
+            await run('generate_report', { source: 'rows', format: 'json', fields: ['a'] }, { rows: [{ a: 1, b: 2 }] });
+
+            expect(JSON.parse(db.collection('workflow_reports').docs[0].content)).toEqual([{ a: 1 }]);
+        });
+    });
+
+    describe('webhook', () => {
+        test('should wait no longer than the step timeout for Retry-After', async () => {
+            const http = {
+                request: jest.fn()
+                    .mockRejectedValueOnce(Object.assign(new Error('busy'), { response: { status: 429, headers: { 'retry-after': '3600' } } }))
+                    .mockResolvedValueOnce({ status: 200, data: { ok: true } })
+            };
+            engine.webhookClient = new WebhookClient({ http });
+
+            const started = Date.now();
+            const result = await run('webhook', { url: 'https://example.com/hook', timeout: 50, payload: { a: 1 } });
+
+            expect(Date.now() - started).toBeLessThan(1000);
+            expect(http.request).toHaveBeenCalledTimes(2);
+            expect(result.context.webhook_response).toMatchObject({ status: 200, data: { ok: true } });
+        });
+
+        test('should read Retry-After as seconds or a date, capped', () => {
+            const client = new WebhookClient({ timeout: 5000, baseDelay: 100 });
+            const retryAfter = (value) => ({ response: { headers: { 'retry-after': value } } });
+
+            expect(client.getRetryDelay(1, retryAfter('2'))).toBe(2000);
+            expect(client.getRetryDelay(1, retryAfter('86400'))).toBe(5000);
+            expect(client.getRetryDelay(1, retryAfter(new Date(Date.now() + 60000).toUTCString()))).toBe(5000);
+            expect(client.getRetryDelay(1, retryAfter(new Date(Date.now() - 60000).toUTCString()))).toBe(0);
+            expect(client.getRetryDelay(3, retryAfter('soon'))).toBe(400);
+            expect(client.getRetryDelay(10, {}, 1000)).toBe(1000);
+        });
+
+        test('should fail after the last retry', async () => {
+            const http = { request: jest.fn().mockRejectedValue(Object.assign(new Error('gone'), { response: { status: 404 } })) };
+            engine.webhookClient = new WebhookClient({ http });
+
+            await expect(run('webhook', { url: 'https://example.com/hook' })).rejects.toThrow('gone');
+            expect(http.request).toHaveBeenCalledTimes(1);
+        });
+    });
+
+    describe('approval', () => {
+        const approval = (content) => ({
+            _id: 'a1',
+            title: 'Approval needed: Daily digest',
+            content,
+            parse_mode: 'Markdown',
+            approvers: [42],
+            allow_edit: true,
+            on_timeout: 'reject',
+            expires_at: new Date('2026-10-20T00:00:00Z')
+        });
+
+        test('should need at least one approver', async () => {
+            await expect(run('approval', { content: 'Post this?' })).rejects.toThrow('at least one approver');
+
+            const { errors } = await engine.validateWorkflow({
+                steps: [
+                    { type: 'approval', config: { approvers: [] } },
+                    { type: 'approval', config: { approvers: '${input.approvers}' } },
+                    { type: 'approval', config: { approvers: [42] } }
+                ]
+            });
+            expect(errors).toEqual(['Step 1 approvers must list at least one Telegram user id']);
+        });
+
+        test('should send short content as it is formatted', async () => {
+            await engine.sendApprovalPrompts(approval('*Tram* extension approved'));
+
+            const [chatId, text, options] = telegram.sendMessage.mock.calls[0];
+            expect(chatId).toBe(42);
+            expect(text).toContain('\n\n*Tram* extension approved\n\n');
+            expect(options.parse_mode).toBe('Markdown');
+        });
+
+        test('should escape shortened previews so no entity is cut in half', async () => {
+            const content = `*${'_bold_ '.repeat(1000)}*`;
+
+            await engine.sendApprovalPrompts(approval(content));
+
+            const text = telegram.sendMessage.mock.calls[0][1];
+            const preview = text.split('\n\n')[1];
+            expect(preview.startsWith('\\*\\_bold\\_ ')).toBe(true);
+            expect(preview.endsWith('…')).toBe(true);
+            expect(preview.length).toBeLessThanOrEqual(3501);
+            expect(preview.replace(/\\[*_]/g, '')).not.toMatch(/[*_]/);
+            expect(text.length).toBeLessThan(4096);
+        });
+    });
+
+    describe('delay and condition', () => {
+        test('should wait for the configured delay', async () => {
+            expect(await run('delay', { delay: 5 })).toEqual({ context: { delayed: true } });
+        });
+
+        test('should stop listening for a branch abort once the delay is over', async () => {
+            const controller = new AbortController();
+            jest.spyOn(controller.signal, 'removeEventListener');
+
+            await engine.branchScope.run({ branch: 'b', signal: controller.signal }, () => run('delay', { delay: 5 }));
+
+            expect(controller.signal.removeEventListener).toHaveBeenCalledWith('abort', expect.any(Function));
+        });
+
+        test('should jump to the step the condition selects', async () => {
+            expect(await run('condition', { condition: 'views > 100', onTrue: 3, onFalse: 1 }, { views: 150 }))
+                .toEqual({ skipToStep: 3 });
+            expect(await run('condition', { condition: 'views > 100' }, { views: 5 }))
+                .toEqual({ context: { condition_evaluated: true, condition_result: false } });
+        });
+    });
+});
@@ -0,0 +1,414 @@
+/**
+ * Unit Tests for workflow cron and event triggers
+ */
+
+jest.mock('../../src/utils/logger', () => ({
+    logger: { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn(), performanceMetric: jest.fn() }
+}));
+
+const { TriggerService, validateTriggers } = require('../../src/services/TriggerService');
+
+// An in-memory MongoDB with the query operators the trigger service uses
+function createMemoryDb(data = {}) {
+    const same = (a, b) => (a instanceof Date && b instanceof Date ? a.getTime() === b.getTime() : (a ?? null) === (b ?? null));
+    const isOperators = (cond) => cond && typeof cond === 'object' && !(cond instanceof Date) &&
+        Object.keys(cond).some(key => key.startsWith('$'));
+
+    const matches = (doc, filter) => Object.entries(filter).every(([key, cond]) => {
+        if (key === '$and') return cond.every(part => matches(doc, part));
+        if (key === '$or') return cond.some(part => matches(doc, part));
+        const value = doc[key];
+        if (!isOperators(cond)) return same(value, cond);
+        return Object.entries(cond).every(([op, arg]) => {
+            switch (op) {
+                case '$gt': return value != null && value > arg;
+                case '$lt': return value != null && value < arg;
+                case '$lte': return value != null && value <= arg;
+                case '$in': return arg.includes(value);
+                case '$exists': return (value !== undefined) === arg;
+                case '$elemMatch': return Array.isArray(value) && value.some(item => matches(item, arg));
+                default: throw new Error(`Unsupported operator ${op}`);
+            }
+        });
+    });
+
+    const apply = (doc, update) => {
+        Object.assign(doc, update.$set);
+        for (const [field, amount] of Object.entries(update.$inc || {})) {
+            doc[field] = (doc[field] || 0) + amount;
+        }
+        for (const [field, value] of Object.entries(update.$addToSet || {})) {
+            doc[field] = [...new Set([...(doc[field] || []), value])];
+        }
+    };
+
+    const collections = {};
+    let nextId = 1000;
+    const collection = (name) => {
+        const docs = collections[name] = collections[name] || data[name] || [];
+        return {
+            createIndex: async () => {},
+            insertOne: async (doc) => {
+                const stored = { _id: nextId++, ...doc };
+                docs.push(stored);
+                return { insertedId: stored._id };
+            },
+            findOne: async (filter) => docs.find(doc => matches(doc, filter)) || null,
+            find: (filter) => {
+                let results = docs.filter(doc => matches(doc, filter));
+                const cursor = {
+                    sort: (order) => {
+                        results = [...results].sort((a, b) => {
+                            for (const [field, direction] of Object.entries(order)) {
+                                if (a[field] < b[field]) return -direction;
+                                if (a[field] > b[field]) return direction;
+                            }
+                            return 0;
+                        });
+                        return cursor;
+                    },
+                    limit: (n) => {
+                        results = results.slice(0, n);
+                        return cursor;
+                    },
+                    toArray: async () => results
+                };
+                return cursor;
+            },
+            findOneAndUpdate: async (filter, update) => {
+                const doc = docs.find(d => matches(d, filter));
+                if (doc) apply(doc, update);
+                return doc ? { ...doc } : null;
+            },
+            updateOne: async (filter, update, options = {}) => {
+                let doc = docs.find(d => matches(d, filter));
+                if (!doc && options.upsert) {
+                    doc = { _id: nextId++, ...filter, ...update.$setOnInsert };
+                    docs.push(doc);
+                }
+                if (doc) apply(doc, update);
+                return { matchedCount: doc ? 1 : 0, modifiedCount: doc ? 1 : 0 };
+            }
+        };
+    };
+    return { collection, collections };
+}
+
+describe('TriggerService', () => {
+    describe('validateTriggers', () => {
+        test('should accept valid cron and event triggers', () => {
+            expect(validateTriggers([
+                { type: 'cron', expression: '0 7 * * *', timezone: 'Australia/Adelaide', misfire: 'run_once' },
+                { type: 'event', event: 'article.created', condition: 'event.category == "Local"' }
+            ])).toEqual([]);
+        });
+
+        test('should report invalid cron expressions, timezones and misfire policies', () => {
+            const errors = validateTriggers([
+                { type: 'cron', expression: '61 * * * *', timezone: 'Mars/Olympus', misfire: 'later' }
+            ]);
+            expect(errors).toEqual(expect.arrayContaining([
+                'Trigger 1 has unknown timezone: Mars/Olympus',
+                expect.stringMatching(/^Trigger 1 has invalid cron expression "61 \* \* \* \*"/),
+                'Trigger 1 misfire must be one of: skip, run_once, catch_up'
+            ]));
+        });
+
+        test('should report unknown event types and invalid conditions', () => {
+            const errors = validateTriggers([
+                { type: 'event', event: 'article.deleted' },
+                { type: 'event', event: 'subscription.changed', condition: 'event.status ==' }
+            ]);
+            expect(errors[0]).toMatch(/^Trigger 1 event must be one of/);
+            expect(errors[1]).toMatch(/^Trigger 2 condition is invalid/);
+        });
+    });
+
+    describe('Schedules', () => {
+        const service = new TriggerService(null, null);
+        const state = { expression: '0 7 * * *', timezone: 'Australia/Adelaide' };
+
+        test('should compute the next occurrence in the trigger timezone', () => {
+            const next = service.nextOccurrence(state, new Date('2024-06-01T00:00:00Z'));
+            // 07:00 ACST (UTC+9:30) on 2 June
+            expect(next.toISOString()).toBe('2024-06-01T21:30:00.000Z');
+        });
+
+        test('should list missed occurrences for catch-up', () => {
+            const missed = service.missedOccurrences(
+                state,
+                new Date('2024-06-01T21:30:00Z'),
+                new Date('2024-06-04T22:00:00Z')
+            );
+            expect(missed.map(date => date.toISOString())).toEqual([
+                '2024-06-01T21:30:00.000Z',
+                '2024-06-02T21:30:00.000Z',
+                '2024-06-03T21:30:00.000Z',
+                '2024-06-04T21:30:00.000Z'
+            ]);
+        });
+    });
+
+    describe('Event matching', () => {
+        const service = new TriggerService(null, null);
+        const event = { type: 'article.created', data: { category: 'Local', title: 'Tram extension' } };
+
+        test('should filter by category shorthand and condition', () => {
+            expect(service.eventMatches({ category: ['Local', 'Politics'] }, event)).toBe(true);
+            expect(service.eventMatches({ category: 'Sport' }, event)).toBe(false);
+            expect(service.eventMatches({ condition: 'event.title contains "Tram"' }, event)).toBe(true);
+        });
+
+        test('should treat failing conditions as non-matching', () => {
+            expect(service.eventMatches({ condition: 'event.title matches 5' }, event)).toBe(false);
+        });
+    });
+
+    describe('Cron firing', () => {
+        const due = new Date('2024-06-01T21:30:00Z');
+        let state;
+        let engine;
+        let service;
+
+        // Just enough of MongoDB for one trigger of one workflow
+        const createDb = () => ({
+            collection: (name) => ({
+                findOne: async () => ({ _id: 'w1', enabled: true }),
+                findOneAndUpdate: async (filter, update) => {
+                    const now = filter.$or[1].locked_until.$lt;
+                    if (name !== 'workflow_trigger_state' || state.next_fire_at > filter.next_fire_at.$lte ||
+                        (state.locked_until && state.locked_until >= now)) {
+                        return null;
+                    }
+                    Object.assign(state, update.$set);
+                    return { ...state };
+                },
+                updateOne: async (filter, update) => {
+                    if (name === 'workflow_trigger_state') {
+                        Object.assign(state, update.$set);
+                        for (const [field, amount] of Object.entries(update.$inc || {})) {
+                            state[field] = (state[field] || 0) + amount;
+                        }
+                    }
+                    return { modifiedCount: 1 };
+                }
+            })
+        });
+
+        const fireAt = async (time) => {
+            jest.setSystemTime(new Date(time));
+            await service.processDueCronTriggers();
+        };
+
+        beforeEach(() => {
+            jest.useFakeTimers({ now: due });
+            state = {
+                _id: 's1',
+                workflow_id: 'w1',
+                trigger_key: 'cron_0',
+                type: 'cron',
+                expression: '0 7 * * *',
+                timezone: 'Australia/Adelaide',
+                misfire: 'skip',
+                input: {},
+                next_fire_at: due,
+                locked_until: null
+            };
+            engine = { executeWorkflow: jest.fn(async () => ({ _id: 'e1' })) };
+            service = new TriggerService(createDb(), engine);
+        });
+
+        afterEach(() => {
+            jest.useRealTimers();
+        });
+
+        test('should move to the next occurrence once the workflow has started', async () => {
+            await fireAt(due);
+
+            expect(engine.executeWorkflow).toHaveBeenCalledTimes(1);
+            expect(state.next_fire_at.toISOString()).toBe('2024-06-02T21:30:00.000Z');
+            expect(state).toMatchObject({ fire_count: 1, fire_attempts: 0, last_error: null, locked_by: null });
+        });
+
+        test('should keep an occurrence that failed to start and retry it after a backoff', async () => {
+            engine.executeWorkflow.mockRejectedValueOnce(new Error('queue unavailable'));
+
+            await fireAt(due);
+            expect(state).toMatchObject({ next_fire_at: due, fire_attempts: 1, last_error: 'queue unavailable' });
+            expect(state.locked_until.getTime()).toBe(due.getTime() + 30000);
+
+            // Held back until the retry is due, then fired despite the skip grace period
+            await fireAt(due.getTime() + 10000);
+            expect(engine.executeWorkflow).toHaveBeenCalledTimes(1);
+
+            await fireAt(due.getTime() + 5 * 60000);
+            expect(engine.executeWorkflow).toHaveBeenCalledTimes(2);
+            expect(engine.executeWorkflow.mock.calls[1][1].trigger.scheduled_for).toEqual(due);
+            expect(state.next_fire_at.toISOString()).toBe('2024-06-02T21:30:00.000Z');
+            expect(state).toMatchObject({ fire_count: 1, fire_attempts: 0, last_error: null });
+        });
+
+        test('should give up on an occurrence after the last attempt', async () => {
+            engine.executeWorkflow.mockRejectedValue(new Error('queue unavailable'));
+            state.fire_attempts = 4;
+
+            await fireAt(due);
+
+            expect(state.next_fire_at.toISOString()).toBe('2024-06-02T21:30:00.000Z');
+            expect(state).toMatchObject({ fire_attempts: 0, last_error: 'queue unavailable', locked_until: null });
+        });
+
+        test('should resume catch-up from the first occurrence that did not start', async () => {
+            state.misfire = 'catch_up';
+            engine.executeWorkflow
+                .mockResolvedValueOnce({ _id: 'e1' })
+                .mockRejectedValueOnce(new Error('queue unavailable'));
+
+            await fireAt('2024-06-03T22:00:00Z');
+
+            expect(engine.executeWorkflow).toHaveBeenCalledTimes(2);
+            expect(state.next_fire_at.toISOString()).toBe('2024-06-02T21:30:00.000Z');
+            expect(state.fire_count).toBe(1);
+
+            await fireAt('2024-06-03T22:05:00Z');
+
+            const fired = engine.executeWorkflow.mock.calls.map(call => call[1].trigger.scheduled_for.toISOString());
+            expect(fired).toEqual([
+                '2024-06-01T21:30:00.000Z',
+                '2024-06-02T21:30:00.000Z',
+                '2024-06-02T21:30:00.000Z',
+                '2024-06-03T21:30:00.000Z'
+            ]);
+            expect(state.next_fire_at.toISOString()).toBe('2024-06-04T21:30:00.000Z');
+            expect(state.fire_count).toBe(3);
+        });
+    });
+
+    describe('Article events', () => {
+        const start = new Date('2026-10-19T10:00:00Z');
+        const at = (seconds) => new Date(start.getTime() + seconds * 1000);
+        let db;
+        let service;
+
+        const published = () => db.collections.workflow_events.map(event => [event.source, event.data.article_id]);
+
+        beforeEach(async () => {
+            jest.useFakeTimers({ now: start });
+            db = createMemoryDb({
+                news_articles: [{ _id: 1, title: 'Old news', ingested_at: at(-3600) }]
+            });
+            service = new TriggerService(db, null);
+            await service.initializeArticleCheckpoint();
+        });
+
+        afterEach(() => {
+            jest.useRealTimers();
+        });
+
+        test('should publish articles inserted into news_articles, in insert order', async () => {
+            const articles = db.collection('news_articles');
+            await articles.insertOne({ _id: 30, title: 'Tram', category: 'Local', status: 'published', ingested_at: at(1) });
+            await articles.insertOne({ _id: 20, title: 'Crows', category: 'Sports', ingested_at: at(2) });
+            await articles.insertOne({ _id: 40, title: 'Budget', category: 'Politics', ingested_at: at(2) });
+            await db.collection('articles').insertOne({ _id: 50, title: 'Fetched', createdAt: at(3) });
+
+            jest.setSystemTime(at(60));
+            await service.publishNewArticles();
+
+            expect(published()).toEqual([
+                ['news_articles', '30'],
+                ['news_articles', '20'],
+                ['news_articles', '40'],
+                ['articles', '50']
+            ]);
+            expect(db.collections.workflow_events[0].data).toMatchObject({ title: 'Tram', category: 'Local', status: 'published' });
+
+            jest.setSystemTime(at(120));
+            await service.publishNewArticles();
+            expect(published()).toHaveLength(4);
+        });
+
+        test('should not pass over articles whose ids arrive out of order', async () => {
+            const articles = db.collection('news_articles');
+            await articles.insertOne({ _id: 90, title: 'First', ingested_at: at(10) });
+
+            jest.setSystemTime(at(60));
+            await service.publishNewArticles();
+
+            // A smaller id, inserted later, and one too new to read yet
+            await articles.insertOne({ _id: 5, title: 'Second', ingested_at: at(55) });
+            await articles.insertOne({ _id: 95, title: 'Third', ingested_at: at(70) });
+            jest.setSystemTime(at(90));
+            await service.publishNewArticles();
+
+            expect(published().map(([, id]) => id)).toEqual(['90', '5']);
+
+            jest.setSystemTime(at(120));
+            await service.publishNewArticles();
+            expect(published().map(([, id]) => id)).toEqual(['90', '5', '95']);
+        });
+    });
+
+    describe('Event dispatch', () => {
+        const now = new Date('2026-10-19T10:00:00Z');
+        let db;
+        let engine;
+        let service;
+
+        const event = () => db.collections.workflow_events[0];
+        const startedWorkflows = () => engine.executeWorkflow.mock.calls.map(call => call[0]._id);
+
+        beforeEach(async () => {
+            jest.useFakeTimers({ now });
+            const trigger = { type: 'event', event: 'article.created', category: 'Local' };
+            db = createMemoryDb({
+                workflows: [
+                    { _id: 'w1', enabled: true, triggers: [trigger] },
+                    { _id: 'w2', enabled: true, triggers: [trigger] },
+                    { _id: 'w3', enabled: true, triggers: [{ ...trigger, category: 'Sports' }] }
+                ]
+            });
+            engine = { executeWorkflow: jest.fn(async () => ({ _id: 'e1' })) };
+            service = new TriggerService(db, engine);
+            await service.publishEvent('article.created', { category: 'Local' });
+        });
+
+        afterEach(() => {
+            jest.useRealTimers();
+        });
+
+        test('should start every matching workflow once', async () => {
+            await service.processPendingEvents();
+
+            expect(startedWorkflows()).toEqual(['w1', 'w2']);
+            expect(event()).toMatchObject({ status: 'processed', matched_workflows: ['w1', 'w2'], error: null });
+        });
+
+        test('should retry a failed dispatch after a backoff without starting workflows twice', async () => {
+            engine.executeWorkflow
+                .mockResolvedValueOnce({ _id: 'e1' })
+                .mockRejectedValueOnce(new Error('queue unavailable'));
+
+            await service.processPendingEvents();
+            expect(event()).toMatchObject({ status: 'pending', attempts: 1, error: 'queue unavailable', started: ['w1:event_0'] });
+
+            jest.setSystemTime(new Date(now.getTime() + 10000));
+            await service.processPendingEvents();
+            expect(startedWorkflows()).toEqual(['w1', 'w2']);
+
+            jest.setSystemTime(new Date(now.getTime() + 31000));
+            await service.processPendingEvents();
+            expect(startedWorkflows()).toEqual(['w1', 'w2', 'w2']);
+            expect(event()).toMatchObject({ status: 'processed', matched_workflows: ['w1', 'w2'] });
+        });
+
+        test('should give up on an event after the last attempt', async () => {
+            engine.executeWorkflow.mockRejectedValue(new Error('queue unavailable'));
+            event().attempts = 4;
+
+            await service.processPendingEvents();
+
+            expect(event()).toMatchObject({ status: 'failed', attempts: 5, error: 'queue unavailable', locked_until: null });
+        });
+    });
+});
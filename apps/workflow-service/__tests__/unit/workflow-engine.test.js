@@ -0,0 +1,245 @@
+/**
+ * Unit Tests for parallel branches, joins and branch cancellation, and for
+ * resuming executions after an approval
+ */
+
+jest.mock('../../src/utils/logger', () => ({
+    logger: { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn(), performanceMetric: jest.fn() }
+}));
+
+const WorkflowEngine = require('../../src/services/WorkflowEngine');
+
+// Just enough of MongoDB for executions, branch records and logs
+function createDb(executions) {
+    const collections = { workflow_executions: executions, execution_logs: [] };
+    const collection = (name) => {
+        const docs = collections[name] = collections[name] || [];
+        return {
+            findOne: async (filter) => docs.find(doc => doc._id === filter._id) || null,
+            insertOne: async (doc) => { docs.push(doc); },
+            updateOne: async (filter, update) => {
+                const doc = docs.find(d => d._id === filter._id && (!filter.status || d.status === filter.status));
+                if (!doc) {
+                    return { modifiedCount: 0 };
+                }
+                for (const [path, value] of Object.entries(update.$set || {})) {
+                    const keys = path.split('.');
+                    const parent = keys.slice(0, -1).reduce((obj, key) => (obj[key] = obj[key] || {}), doc);
+                    parent[keys[keys.length - 1]] = value;
+                }
+                return { modifiedCount: 1 };
+            }
+        };
+    };
+    return { collection, collections };
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+describe('WorkflowEngine branches', () => {
+    let db;
+    let engine;
+    let ran;
+
+    const queue = () => ({ process: jest.fn() });
+
+    const run = async (steps, execution = {}) => {
+        db.collections.workflow_executions.push({ _id: 'e1', workflow_version: 1, ...execution });
+        engine.versions = { resolveWorkflow: async () => ({ _id: 'w1', steps }) };
+        return await engine.processExecution({ executionId: 'e1', workflowId: 'w1' });
+    };
+
+    const branch = (name, ...labels) => ({
+        name,
+        steps: labels.map(label => (typeof label === 'number'
+            ? { type: 'delay', config: { delay: label } }
+            : { type: label === 'fail' ? 'fail' : 'mark', config: { label } }))
+    });
+
+    const execution = () => db.collections.workflow_executions.find(doc => doc._id === 'e1');
+
+    beforeEach(() => {
+        jest.spyOn(WorkflowEngine.prototype, 'startHealthMonitoring').mockImplementation(() => {});
+        db = createDb([]);
+        engine = new WorkflowEngine(db, { content: queue(), user: queue(), payment: queue(), analytics: queue() }, {
+            versionStore: {}
+        });
+        ran = [];
+        engine.stepProcessors.set('mark', async (step) => {
+            ran.push(step.config.label);
+            return { context: { [step.config.label]: true } };
+        });
+        engine.stepProcessors.set('fail', async () => {
+            throw new Error('step failed');
+        });
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('should wait for all branches and merge their output', async () => {
+        const result = await run([
+            { id: 'fan', type: 'parallel', config: { branches: [branch('a', 10, 'a'), branch('b', 'b')] } },
+            { type: 'join', config: { merge: true } }
+        ]);
+
+        expect(result.context).toMatchObject({ a: true, b: true });
+        expect(result.context.join_summary).toEqual({ total: 2, required: 2, completed: 2, failed: 0, cancelled: 0 });
+        expect(execution().branches['fan:a'].status).toBe('completed');
+    });
+
+    test('should cancel the other branches once an "any" join is satisfied', async () => {
+        const result = await run([
+            { id: 'fan', type: 'parallel', config: { branches: [branch('fast', 'fast'), branch('slow', 200, 'slow')] } },
+            { type: 'join', config: { require: 'any' } }
+        ]);
+
+        expect(result.context.join_summary).toMatchObject({ completed: 1, cancelled: 1 });
+        expect(result.context.branch_results[1]).toMatchObject({ id: 'fan:slow', status: 'cancelled' });
+
+        await sleep(50);
+        expect(ran).toEqual(['fast']);
+        expect(execution().branches['fan:slow'].status).toBe('cancelled');
+    });
+
+    test('should cancel the rest once N of M branches complete', async () => {
+        const result = await run([
+            {
+                id: 'fan',
+                type: 'parallel',
+                config: { branches: [branch('a', 'a'), branch('b', 10, 'b'), branch('c', 300, 'c')] }
+            },
+            { type: 'join', config: { require: 2 } }
+        ]);
+
+        expect(result.context.join_summary).toMatchObject({ required: 2, completed: 2, cancelled: 1 });
+
+        await sleep(50);
+        expect(ran.sort()).toEqual(['a', 'b']);
+    });
+
+    test('should not start queued branches after the join is satisfied', async () => {
+        await run([
+            {
+                id: 'fan',
+                type: 'parallel',
+                config: { max_concurrency: 1, branches: [branch('a', 'a'), branch('b', 'b'), branch('c', 'c')] }
+            },
+            { type: 'join', config: { require: 'any' } }
+        ]);
+
+        await sleep(20);
+        expect(ran).toEqual(['a']);
+        expect(execution().branches['fan:c'].status).toBe('cancelled');
+    });
+
+    test('should fail the join when too many branches fail and cancel the others', async () => {
+        await expect(run([
+            {
+                id: 'fan',
+                type: 'parallel',
+                config: { branches: [branch('x', 'fail'), branch('y', 'fail'), branch('z', 300, 'z')] }
+            },
+            { type: 'join', config: { require: 2 } }
+        ])).rejects.toThrow('Join requires 2 of 3 branches but only 0 completed (2 failed)');
+
+        await sleep(50);
+        expect(ran).toEqual([]);
+        expect(execution().branches['fan:z'].status).toBe('cancelled');
+        expect(execution().status).toBe('failed');
+    });
+
+    test('should cancel branches still running when the join times out', async () => {
+        await expect(run([
+            { id: 'fan', type: 'parallel', config: { branches: [branch('a', 'a'), branch('slow', 300, 'slow')] } },
+            { type: 'join', config: { timeout_ms: 30 } }
+        ])).rejects.toThrow('timed out');
+
+        await sleep(50);
+        expect(ran).toEqual(['a']);
+        expect(execution().branches['fan:slow'].status).toBe('cancelled');
+    });
+
+    test('should cancel branches nested in a cancelled branch', async () => {
+        await run([
+            {
+                id: 'fan',
+                type: 'parallel',
+                config: {
+                    branches: [
+                        branch('fast', 'fast'),
+                        {
+                            name: 'outer',
+                            steps: [
+                                { id: 'inner', type: 'parallel', config: { branches: [branch('deep', 300, 'deep')] } },
+                                { type: 'join', config: {} }
+                            ]
+                        }
+                    ]
+                }
+            },
+            { type: 'join', config: { require: 'any' } }
+        ]);
+
+        await sleep(50);
+        expect(ran).toEqual(['fast']);
+        expect(execution().branches['fan:outer/inner:deep'].status).toBe('cancelled');
+    });
+
+    test('should re-run only the retried branches and reuse completed ones', async () => {
+        const result = await run([
+            { id: 'fan', type: 'parallel', config: { branches: [branch('a', 'a'), branch('b', 'b')] } },
+            { type: 'join', config: { merge: true } }
+        ], {
+            current_step: 0,
+            branches: { 'fan:a': { status: 'completed', output: { a: 'earlier' } } }
+        });
+
+        expect(ran).toEqual(['b']);
+        expect(result.context).toMatchObject({ a: 'earlier', b: true });
+        expect(result.context.branch_results[0]).toMatchObject({ id: 'fan:a', reused: true });
+    });
+});
+
+describe('WorkflowEngine approval resume', () => {
+    let db;
+    let engine;
+    let queue;
+
+    const approval = { _id: 'a1', execution_id: 'e1', status: 'approved', as: 'review', decided_by: 'u1', decided_via: 'telegram' };
+
+    const execution = () => db.collections.workflow_executions.find(doc => doc._id === 'e1');
+
+    beforeEach(() => {
+        jest.spyOn(WorkflowEngine.prototype, 'startHealthMonitoring').mockImplementation(() => {});
+        db = createDb([{ _id: 'e1', workflow_id: 'w1', workflow_version: 1, status: 'waiting_approval', context: {}, current_step: 1 }]);
+        queue = { process: jest.fn(), add: jest.fn().mockResolvedValue({ id: 'job1' }) };
+        engine = new WorkflowEngine(db, { content: queue, user: queue, payment: queue, analytics: queue }, {
+            versionStore: { resolveWorkflow: async () => ({ _id: 'w1', name: 'content digest', steps: [] }) }
+        });
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('should queue the execution again when the first enqueue failed', async () => {
+        queue.add.mockRejectedValueOnce(new Error('queue unavailable'));
+
+        await expect(engine.resumeApproval(approval)).rejects.toThrow('queue unavailable');
+        expect(execution()).toMatchObject({ status: 'pending', resumed_by: 'a1', waiting_for: null });
+        expect(execution().context.review).toMatchObject({ approved: true, decided_by: 'u1' });
+
+        expect(await engine.resumeApproval(approval)).toBe(true);
+        expect(queue.add).toHaveBeenCalledTimes(2);
+        expect(queue.add.mock.calls[1][1]).toMatchObject({ executionId: 'e1', workflowId: 'w1' });
+    });
+
+    test('should not requeue an execution another approval resumed', async () => {
+        await engine.resumeApproval({ ...approval, _id: 'a0' });
+
+        expect(await engine.resumeApproval(approval)).toBe(false);
+        expect(queue.add).toHaveBeenCalledTimes(1);
+    });
+});
@@ -0,0 +1,109 @@
+/**
+ * Unit Tests for workflow version snapshots and diffs
+ */
+
+const { WorkflowVersionStore, diffDefinitions, pickDefinition } = require('../../src/services/WorkflowVersionStore');
+
+describe('WorkflowVersionStore', () => {
+    const fetchStep = { type: 'fetch_news', config: { category: 'Local', limit: 5 } };
+    const formatStep = { type: 'format_content', config: { template: '*{{title}}*' } };
+    const postStep = { type: 'post_to_channel', config: { channel_id: '@ZoneNewsAdl' } };
+
+    const snapshot = (version, definition) => ({ version, definition });
+
+    describe('diffDefinitions', () => {
+        test('should report an inserted step as a single addition', () => {
+            const diff = diffDefinitions(
+                snapshot(1, { name: 'Morning digest', steps: [fetchStep, postStep] }),
+                snapshot(2, { name: 'Morning digest', steps: [fetchStep, formatStep, postStep] })
+            );
+
+            expect(diff.identical).toBe(false);
+            expect(diff.steps).toEqual([{ op: 'added', to_index: 1, step: formatStep }]);
+            expect(diff.summary).toEqual({ steps_added: 1, steps_removed: 0, steps_modified: 0, steps_unchanged: 2 });
+        });
+
+        test('should report config changes of a step in place as a modification', () => {
+            const edited = { type: 'fetch_news', config: { category: 'Local', limit: 10 } };
+            const diff = diffDefinitions(
+                snapshot(1, { steps: [fetchStep, postStep] }),
+                snapshot(2, { steps: [edited, postStep] })
+            );
+
+            expect(diff.steps).toEqual([{
+                op: 'modified',
+                from_index: 0,
+                to_index: 0,
+                type: 'fetch_news',
+                changes: [{ path: 'config.limit', before: 5, after: 10 }]
+            }]);
+        });
+
+        test('should diff non-step fields such as triggers', () => {
+            const diff = diffDefinitions(
+                snapshot(3, { name: 'Digest', triggers: [{ type: 'cron', expression: '0 7 * * *' }], steps: [postStep] }),
+                snapshot(4, { name: 'Digest', triggers: [{ type: 'cron', expression: '0 8 * * *' }], steps: [postStep] })
+            );
+
+            expect(diff.fields).toEqual([{ path: 'triggers[0].expression', before: '0 7 * * *', after: '0 8 * * *' }]);
+            expect(diff.steps).toEqual([]);
+        });
+
+        test('should treat key order as insignificant', () => {
+            const diff = diffDefinitions(
+                snapshot(1, { steps: [{ type: 'delay', config: { a: 1, b: 2 } }] }),
+                snapshot(2, { steps: [{ config: { b: 2, a: 1 }, type: 'delay' }] })
+            );
+            expect(diff.identical).toBe(true);
+        });
+    });
+
+    describe('resolveWorkflow', () => {
+        const workflowId = 'wf-1';
+        const live = { _id: workflowId, name: 'Digest', enabled: true, version: 3, steps: [fetchStep, formatStep, postStep] };
+        const versions = [
+            { workflow_id: workflowId, version: 2, definition: { name: 'Digest', steps: [fetchStep, postStep] } },
+            { workflow_id: 'wf-deleted', version: 1, definition: { name: 'Old', steps: [fetchStep] } },
+            { workflow_id: 'wf-deleted', version: 2, definition: { name: 'Old', steps: [fetchStep, postStep] } }
+        ];
+
+        const db = {
+            collection: (name) => ({
+                findOne: async (query, options) => name === 'workflows'
+                    ? (query._id === workflowId ? live : null)
+                    : versions
+                        .filter(v => v.workflow_id === query.workflow_id && (query.version === undefined || v.version === query.version))
+                        .sort((a, b) => (options?.sort ? b.version - a.version : 0))[0] || null
+            })
+        };
+        const store = new WorkflowVersionStore(db);
+
+        test('should return the live workflow for its current version', async () => {
+            expect(await store.resolveWorkflow(workflowId, 3)).toBe(live);
+        });
+
+        test('should overlay an older snapshot on the live operational fields', async () => {
+            const workflow = await store.resolveWorkflow(workflowId, 2);
+            expect(workflow.version).toBe(2);
+            expect(workflow.enabled).toBe(true);
+            expect(workflow.steps).toEqual([fetchStep, postStep]);
+        });
+
+        test('should return null for unknown versions', async () => {
+            expect(await store.resolveWorkflow(workflowId, 7)).toBeNull();
+        });
+
+        test('should fall back to the latest snapshot of a deleted workflow', async () => {
+            const workflow = await store.resolveWorkflow('wf-deleted');
+            expect(workflow).toMatchObject({ _id: 'wf-deleted', enabled: false, version: 2, name: 'Old' });
+            expect(workflow.steps).toEqual([fetchStep, postStep]);
+
+            expect(await store.resolveWorkflow('wf-deleted', 1)).toMatchObject({ version: 1, steps: [fetchStep] });
+            expect(await store.resolveWorkflow('wf-never')).toBeNull();
+        });
+    });
+
+    test('pickDefinition should drop operational fields', () => {
+        expect(pickDefinition({ name: 'x', steps: [], enabled: true, execution_count: 4 })).toEqual({ name: 'x', steps: [] });
+    });
+});
@@ -9,8 +9,13 @@ require('dotenv').config();
 
 const workflowRoutes = require('./routes/workflows');
 const executionRoutes = require('./routes/executions');
+const eventRoutes = require('./routes/events');
+const approvalRoutes = require('./routes/approvals');
 const healthRoutes = require('./routes/health');
 const WorkflowEngine = require('./services/WorkflowEngine');
+const { createTelegramClientFromEnv } = require('./services/TelegramClient');
+const { TriggerService } = require('./services/TriggerService');
+const { ApprovalService } = require('./services/ApprovalService');
 const { errorHandler } = require('./middleware/errorHandler');
 const { logger } = require('./utils/logger');
 
@@ -21,6 +26,8 @@ class WorkflowService {
         this.db = null;
         this.server = null;
         this.engine = null;
+        this.triggers = null;
+        this.approvals = null;
         this.queues = {};
     }
 
@@ -65,6 +72,8 @@ class WorkflowService {
         this.app.use((req, res, next) => {
             req.db = this.db;
             req.engine = this.engine;
+            req.triggers = this.triggers;
+            req.approvals = this.approvals;
             req.queues = this.queues;
             next();
         });
@@ -72,6 +81,8 @@ class WorkflowService {
         this.app.use('/health', healthRoutes);
         this.app.use('/api/workflows', workflowRoutes);
         this.app.use('/api/executions', executionRoutes);
+        this.app.use('/api/events', eventRoutes);
+        this.app.use('/api/approvals', approvalRoutes);
 
         this.app.use((req, res) => {
             res.status(404).json({
@@ -84,9 +95,27 @@ class WorkflowService {
     }
 
     async initializeEngine() {
-        this.engine = new WorkflowEngine(this.db, this.queues);
+        const telegramClient = createTelegramClientFromEnv();
+        if (!telegramClient) {
+            logger.warn('TELEGRAM_BOT_TOKEN not set - Telegram workflow steps will fail');
+        }
+        
+        this.engine = new WorkflowEngine(this.db, this.queues, { telegramClient });
         await this.engine.initialize();
         logger.info('Workflow engine initialized');
+        
+        this.triggers = new TriggerService(this.db, this.engine, {
+            pollInterval: parseInt(process.env.WORKFLOW_TRIGGER_POLL_MS) || 15000
+        });
+        await this.triggers.initialize();
+        this.triggers.start();
+        logger.info('Workflow triggers started');
+        
+        this.approvals = new ApprovalService(this.db, this.engine, {
+            pollInterval: parseInt(process.env.WORKFLOW_APPROVAL_POLL_MS) || 10000
+        });
+        this.approvals.start();
+        logger.info('Workflow approvals started');
     }
 
     async start() {
@@ -109,6 +138,13 @@ class WorkflowService {
                 logger.info('  GET /api/executions - List executions');
                 logger.info('  GET /api/executions/:id - Get execution');
                 logger.info('  POST /api/executions/:id/cancel - Cancel execution');
+                logger.info('  GET /api/workflows/:id/triggers - Trigger state');
+                logger.info('  GET /api/workflows/:id/versions - Workflow versions');
+                logger.info('  GET /api/workflows/:id/diff?from=&to= - Diff workflow versions');
+                logger.info('  POST /api/executions/:id/replay - Replay execution against a version');
+                logger.info('  POST /api/events - Publish workflow event');
+                logger.info('  GET /api/approvals - Pending approvals');
+                logger.info('  POST /api/approvals/:id/decision - Approve or reject');
                 logger.info('  GET /health - Health check');
             });
 
@@ -124,6 +160,14 @@ class WorkflowService {
     async shutdown(signal) {
         logger.info(`Received ${signal}, shutting down gracefully...`);
         
+        if (this.triggers) {
+            this.triggers.stop();
+        }
+        
+        if (this.approvals) {
+            this.approvals.stop();
+        }
+        
         if (this.engine) {
             await this.engine.shutdown();
         }
@@ -58,10 +58,11 @@ const workflowCircuitBreaker = new CircuitBreaker(5, 60000);
 const databaseCircuitBreaker = new CircuitBreaker(3, 30000);
 
 class AppError extends Error {
-    constructor(message, statusCode = 500, isOperational = true) {
+    constructor(message, statusCode = 500, isOperational = true, details = null) {
         super(message);
         this.statusCode = statusCode;
         this.isOperational = isOperational;
+        this.details = details;
         this.timestamp = new Date().toISOString();
         
         Error.captureStackTrace(this, this.constructor);
@@ -124,6 +125,7 @@ const sendErrorProd = (err, res) => {
         res.status(err.statusCode).json({
             status: 'error',
             message: err.message,
+            ...(err.details ? { errors: err.details } : {}),
             timestamp: err.timestamp
         });
     } else {
@@ -0,0 +1,114 @@
+/**
+ * Approval Routes - review and decide pending workflow approval steps
+ */
+
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const { protectedHandler, AppError } = require('../middleware/errorHandler');
+const { DECISIONS } = require('../services/ApprovalService');
+const { logger } = require('../utils/logger');
+
+const router = express.Router();
+
+const validateDecision = [
+    body('decision').isIn(DECISIONS).withMessage(`Decision must be one of: ${DECISIONS.join(', ')}`),
+    body('comment').optional().isString(),
+    body('edited_content').optional().isString().notEmpty().withMessage('Edited content must be a non-empty string')
+];
+
+// List approvals
+router.get('/', protectedHandler(async (req, res) => {
+    try {
+        const { ObjectId } = require('mongodb');
+        const { status = 'pending', execution_id, workflow_id, limit = 50 } = req.query;
+        
+        const filter = {};
+        if (status !== 'all') filter.status = status;
+        if (execution_id) filter.execution_id = new ObjectId(execution_id);
+        if (workflow_id) filter.workflow_id = new ObjectId(workflow_id);
+        
+        const approvals = await req.approvals.list(filter, Math.min(parseInt(limit) || 50, 200));
+        
+        res.json({ approvals });
+    } catch (error) {
+        logger.error('Failed to list approvals', { error: error.message });
+        throw new AppError('Failed to retrieve approvals', 500);
+    }
+}));
+
+// Get specific approval
+router.get('/:id', protectedHandler(async (req, res) => {
+    try {
+        const { ObjectId } = require('mongodb');
+        const approval = await req.approvals.get(new ObjectId(req.params.id));
+        
+        if (!approval) {
+            throw new AppError('Approval not found', 404);
+        }
+        
+        res.json({ approval });
+    } catch (error) {
+        if (error instanceof AppError) throw error;
+        
+        logger.error('Failed to get approval', { 
+            approvalId: req.params.id,
+            error: error.message 
+        });
+        throw new AppError('Failed to retrieve approval', 500);
+    }
+}));
+
+// Approve or reject, optionally with edited content
+router.post('/:id/decision', validateDecision, protectedHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        throw new AppError('Validation failed', 400, true, errors.array().map(e => e.msg));
+    }
+    
+    try {
+        const { ObjectId } = require('mongodb');
+        const approvalId = new ObjectId(req.params.id);
+        
+        const existing = await req.approvals.get(approvalId);
+        if (!existing) {
+            throw new AppError('Approval not found', 404);
+        }
+        
+        if (req.body.edited_content && !existing.allow_edit) {
+            throw new AppError('This approval does not allow edits', 400);
+        }
+        
+        const approval = await req.approvals.decide(approvalId, {
+            decision: req.body.decision,
+            decidedBy: req.user?.id || 'api',
+            via: 'api',
+            comment: req.body.comment,
+            editedContent: req.body.edited_content
+        });
+        
+        if (!approval) {
+            throw new AppError(`Approval is already ${existing.status}`, 409);
+        }
+        
+        logger.info('Approval decided via API', {
+            approvalId,
+            executionId: approval.execution_id,
+            status: approval.status
+        });
+        
+        res.json({
+            success: true,
+            approval
+        });
+    } catch (error) {
+        if (error instanceof AppError) throw error;
+        
+        logger.error('Failed to decide approval', { 
+            approvalId: req.params.id,
+            error: error.message 
+        });
+        throw new AppError('Failed to record decision', 500);
+    }
+}));
+
+module.exports = router;
@@ -0,0 +1,41 @@
+/**
+ * Event Routes - publish events that start event-triggered workflows
+ */
+
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const { protectedHandler, AppError } = require('../middleware/errorHandler');
+const { EVENT_TYPES } = require('../services/TriggerService');
+const { logger } = require('../utils/logger');
+
+const router = express.Router();
+
+const validateEvent = [
+    body('type').isIn(EVENT_TYPES).withMessage(`Event type must be one of: ${EVENT_TYPES.join(', ')}`),
+    body('data').optional().isObject().withMessage('Event data must be an object'),
+    body('source').optional().isString()
+];
+
+// Publish event
+router.post('/', validateEvent, protectedHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        throw new AppError('Validation failed', 400, true, errors.array().map(e => e.msg));
+    }
+    
+    try {
+        const eventId = await req.triggers.publishEvent(req.body.type, req.body.data || {}, req.body.source || 'api');
+        
+        logger.info('Workflow event published', { eventId, type: req.body.type });
+        
+        res.status(202).json({
+            success: true,
+            event_id: eventId
+        });
+    } catch (error) {
+        logger.error('Failed to publish event', { type: req.body.type, error: error.message });
+        throw new AppError('Failed to publish event', 500);
+    }
+}));
+
+module.exports = router;
@@ -4,7 +4,7 @@
 
 const express = require('express');
 const { body, validationResult } = require('express-validator');
-const { asyncHandler, protectedHandler, databaseHandler, AppError } = require('../middleware/errorHandler');
+const { asyncHandler, protectedHandler, databaseHandler, AppError, databaseCircuitBreaker } = require('../middleware/errorHandler');
 const { logger } = require('../utils/logger');
 
 const router = express.Router();
@@ -57,8 +57,8 @@ router.get('/', protectedHandler(async (req, res) => {
                     { projection: { name: 1, version: 1 } }
                 );
             });
-            execution.workflow_name = workflow?.name || 'Unknown';
-            execution.workflow_version = workflow?.version || 1;
+            execution.workflow_name = workflow?.name || execution.workflow_name || 'Unknown';
+            execution.workflow_version = execution.workflow_version || workflow?.version || 1;
         }
         
         const total = await databaseCircuitBreaker.execute(async () => {
@@ -98,10 +98,8 @@ router.get('/:id', protectedHandler(async (req, res) => {
             throw new AppError('Execution not found', 404);
         }
         
-        // Get workflow details
-        const workflow = await databaseCircuitBreaker.execute(async () => {
-            return await req.db.collection('workflows').findOne({ _id: execution.workflow_id });
-        });
+        // Get the workflow definition the execution ran against
+        const workflow = await req.engine.versions.resolveWorkflow(execution.workflow_id, execution.workflow_version);
         
         // Get execution logs
         const logs = await databaseCircuitBreaker.execute(async () => {
@@ -149,7 +147,7 @@ router.post('/:id/cancel', protectedHandler(async (req, res) => {
             throw new AppError('Execution not found', 404);
         }
         
-        if (!['pending', 'running'].includes(execution.status)) {
+        if (!['pending', 'running', 'waiting_approval'].includes(execution.status)) {
             throw new AppError('Cannot cancel execution in current state', 400);
         }
         
@@ -229,10 +227,8 @@ router.post('/:id/retry', protectedHandler(async (req, res) => {
             throw new AppError('Can only retry failed or cancelled executions', 400);
         }
         
-        // Get original workflow
-        const workflow = await databaseCircuitBreaker.execute(async () => {
-            return await req.db.collection('workflows').findOne({ _id: execution.workflow_id });
-        });
+        // Retries run the same version as the original execution
+        const workflow = await req.engine.versions.resolveWorkflow(execution.workflow_id, execution.workflow_version);
         
         if (!workflow) {
             throw new AppError('Original workflow not found', 404);
@@ -254,6 +250,37 @@ router.post('/:id/retry', protectedHandler(async (req, res) => {
             retry_count: (execution.retry_count || 0) + 1
         };
         
+        // Per-branch retry: re-run only the selected (default: failed) branches and
+        // resume from their parallel/foreach step, reusing every other completed branch
+        const { branches } = req.body || {};
+        if (branches !== undefined) {
+            const recorded = execution.branches || {};
+            const retryIds = branches === 'failed'
+                ? Object.keys(recorded).filter(id => recorded[id].status !== 'completed')
+                : [].concat(branches);
+            
+            if (retryIds.length === 0) {
+                throw new AppError('No branches to retry', 400);
+            }
+            
+            const unknown = retryIds.filter(id => !recorded[id]);
+            if (unknown.length > 0) {
+                throw new AppError(`Unknown branches: ${unknown.join(', ')}`, 400);
+            }
+            
+            // Nested branches are re-run through the top-level branch that contains them
+            const retryRoots = retryIds.map(id => id.split('/')[0]);
+            
+            newExecutionData.branches = Object.fromEntries(
+                Object.entries(recorded).filter(([id, branch]) =>
+                    branch.status === 'completed' && !retryRoots.some(root => id === root || id.startsWith(`${root}/`))
+                )
+            );
+            newExecutionData.current_step = Math.min(...retryIds.map(id => recorded[id].step_index));
+            newExecutionData.context = execution.context || {};
+            newExecutionData.retried_branches = retryIds;
+        }
+        
         const newExecution = await req.engine.executeWorkflow(workflow, newExecutionData);
         
         logger.performanceMetric('execution_retry_query', Date.now() - startTime);
@@ -270,7 +297,8 @@ router.post('/:id/retry', protectedHandler(async (req, res) => {
                 status: newExecution.status,
                 started_at: newExecution.started_at,
                 retry_of: executionId,
-                retry_count: newExecutionData.retry_count
+                retry_count: newExecutionData.retry_count,
+                retried_branches: newExecutionData.retried_branches
             }
         });
     } catch (error) {
@@ -284,6 +312,84 @@ router.post('/:id/retry', protectedHandler(async (req, res) => {
     }
 }));
 
+// Replay an execution's input against a given workflow version (default: current)
+router.post('/:id/replay', [
+    body('version').optional().isInt({ min: 1 }).withMessage('Version must be a positive integer'),
+    body('priority').optional().isInt({ min: 1, max: 10 })
+], protectedHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        throw new AppError('Validation failed', 400, true, errors.array().map(e => e.msg));
+    }
+    
+    const startTime = Date.now();
+    
+    try {
+        const { ObjectId } = require('mongodb');
+        const executionId = new ObjectId(req.params.id);
+        
+        const execution = await databaseCircuitBreaker.execute(async () => {
+            return await req.db.collection('workflow_executions').findOne({ _id: executionId });
+        });
+        
+        if (!execution) {
+            throw new AppError('Execution not found', 404);
+        }
+        
+        // Replays are explicit debugging runs, so they also work for disabled or deleted workflows
+        const version = req.body.version !== undefined ? parseInt(req.body.version) : undefined;
+        const workflow = await req.engine.versions.resolveWorkflow(execution.workflow_id, version);
+        
+        if (!workflow) {
+            throw new AppError(version ? `Workflow version ${version} not found` : 'Workflow not found', 404);
+        }
+        
+        const replayData = {
+            workflow_id: execution.workflow_id,
+            input: execution.input || {},
+            priority: req.body.priority || execution.priority || 5,
+            started_by: req.user?.id || 'system',
+            started_at: new Date(),
+            status: 'queued',
+            replay_of: executionId,
+            replayed_from_version: execution.workflow_version || null
+        };
+        if (execution.trigger) {
+            replayData.trigger = execution.trigger;
+        }
+        
+        const replay = await req.engine.executeWorkflow(workflow, replayData);
+        
+        logger.performanceMetric('execution_replay_query', Date.now() - startTime);
+        logger.info('Execution replayed', {
+            originalExecutionId: executionId,
+            newExecutionId: replay._id,
+            fromVersion: replayData.replayed_from_version,
+            toVersion: replay.workflow_version
+        });
+        
+        res.status(202).json({
+            success: true,
+            execution: {
+                id: replay._id,
+                status: replay.status,
+                started_at: replay.started_at,
+                replay_of: executionId,
+                workflow_version: replay.workflow_version,
+                replayed_from_version: replayData.replayed_from_version
+            }
+        });
+    } catch (error) {
+        if (error instanceof AppError) throw error;
+        
+        logger.error('Failed to replay execution', { 
+            executionId: req.params.id,
+            error: error.message 
+        });
+        throw new AppError('Failed to replay execution', 500);
+    }
+}));
+
 // Get execution logs
 router.get('/:id/logs', protectedHandler(async (req, res) => {
     const startTime = Date.now();
@@ -292,11 +398,25 @@ router.get('/:id/logs', protectedHandler(async (req, res) => {
         const { ObjectId } = require('mongodb');
         const executionId = new ObjectId(req.params.id);
         
-        const { level, step, limit = 100 } = req.query;
+        const { level, step, branch, limit = 100 } = req.query;
         const filter = { execution_id: executionId };
         
+        const execution = await databaseCircuitBreaker.execute(async () => {
+            return await req.db.collection('workflow_executions').findOne(
+                { _id: executionId },
+                { projection: { branches: 1 } }
+            );
+        });
+        
         if (level) filter.level = level;
         if (step) filter.step = step;
+        if (branch === 'main') {
+            filter.branch = null;
+        } else if (branch) {
+            // A branch id also matches the branches nested inside it
+            const escaped = branch.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+            filter.branch = { $regex: `^${escaped}($|/)` };
+        }
         
         const logs = await databaseCircuitBreaker.execute(async () => {
             return await req.db.collection('execution_logs')
@@ -310,7 +430,8 @@ router.get('/:id/logs', protectedHandler(async (req, res) => {
         
         res.json({
             logs: logs.reverse(), // Reverse to show chronological order
-            total: logs.length
+            total: logs.length,
+            branches: Object.keys(execution?.branches || {})
         });
     } catch (error) {
         logger.error('Failed to get execution logs', { 
@@ -4,8 +4,9 @@
 
 const express = require('express');
 const { body, validationResult } = require('express-validator');
-const { asyncHandler, protectedHandler, databaseHandler, AppError } = require('../middleware/errorHandler');
+const { asyncHandler, protectedHandler, databaseHandler, AppError, databaseCircuitBreaker } = require('../middleware/errorHandler');
 const { logger } = require('../utils/logger');
+const { diffDefinitions } = require('../services/WorkflowVersionStore');
 
 const router = express.Router();
 
@@ -17,7 +18,8 @@ const validateWorkflow = [
     body('steps.*.type').isString().notEmpty().withMessage('Step type is required'),
     body('steps.*.config').isObject().withMessage('Step config must be an object'),
     body('triggers').optional().isArray(),
-    body('enabled').optional().isBoolean()
+    body('enabled').optional().isBoolean(),
+    body('change_note').optional().isString()
 ];
 
 const validateExecution = [
@@ -113,14 +115,15 @@ router.get('/:id', protectedHandler(async (req, res) => {
 router.post('/', validateWorkflow, protectedHandler(async (req, res) => {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
-        throw new AppError('Validation failed', 400, true);
+        throw new AppError('Validation failed', 400, true, errors.array().map(e => e.msg));
     }
     
     const startTime = Date.now();
     
     try {
+        const { change_note, ...definition } = req.body;
         const workflowData = {
-            ...req.body,
+            ...definition,
             created_at: new Date(),
             updated_at: new Date(),
             created_by: req.user?.id || 'system',
@@ -134,7 +137,7 @@ router.post('/', validateWorkflow, protectedHandler(async (req, res) => {
         // Validate workflow steps
         const validationResult = await req.engine.validateWorkflow(workflowData);
         if (!validationResult.valid) {
-            throw new AppError(`Workflow validation failed: ${validationResult.errors.join(', ')}`, 400);
+            throw new AppError(`Workflow validation failed: ${validationResult.errors.join(', ')}`, 400, true, validationResult.errors);
         }
         
         const result = await databaseCircuitBreaker.execute(async () => {
@@ -145,6 +148,13 @@ router.post('/', validateWorkflow, protectedHandler(async (req, res) => {
             return await req.db.collection('workflows').findOne({ _id: result.insertedId });
         });
         
+        await req.engine.versions.createVersion(workflow, {
+            createdBy: workflowData.created_by,
+            changeNote: change_note
+        });
+        
+        await req.triggers?.syncWorkflow(workflow);
+        
         logger.performanceMetric('workflow_create_query', Date.now() - startTime);
         logger.info('Workflow created', {
             workflowId: result.insertedId,
@@ -168,7 +178,7 @@ router.post('/', validateWorkflow, protectedHandler(async (req, res) => {
 router.put('/:id', validateWorkflow, protectedHandler(async (req, res) => {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
-        throw new AppError('Validation failed', 400, true);
+        throw new AppError('Validation failed', 400, true, errors.array().map(e => e.msg));
     }
     
     const startTime = Date.now();
@@ -186,30 +196,47 @@ router.put('/:id', validateWorkflow, protectedHandler(async (req, res) => {
             throw new AppError('Workflow not found', 404);
         }
         
+        // Workflows saved before versioning get their current definition recorded first
+        await req.engine.versions.ensureVersion(existingWorkflow);
+        
+        const currentVersion = existingWorkflow.version || 1;
+        const { change_note, ...definition } = req.body;
         const updateData = {
-            ...req.body,
+            ...definition,
             updated_at: new Date(),
             updated_by: req.user?.id || 'system',
-            version: existingWorkflow.version + 1
+            version: currentVersion + 1
         };
         
         // Validate workflow steps
         const validationResult = await req.engine.validateWorkflow(updateData);
         if (!validationResult.valid) {
-            throw new AppError(`Workflow validation failed: ${validationResult.errors.join(', ')}`, 400);
+            throw new AppError(`Workflow validation failed: ${validationResult.errors.join(', ')}`, 400, true, validationResult.errors);
         }
         
+        // Only apply the update if nobody else saved a new version in the meantime
         const result = await databaseCircuitBreaker.execute(async () => {
             return await req.db.collection('workflows').updateOne(
-                { _id: workflowId },
+                { _id: workflowId, version: existingWorkflow.version },
                 { $set: updateData }
             );
         });
         
+        if (result.matchedCount === 0) {
+            throw new AppError('Workflow was modified by another request, reload and try again', 409);
+        }
+        
         const workflow = await databaseCircuitBreaker.execute(async () => {
             return await req.db.collection('workflows').findOne({ _id: workflowId });
         });
         
+        await req.engine.versions.createVersion(workflow, {
+            createdBy: updateData.updated_by,
+            changeNote: change_note
+        });
+        
+        await req.triggers?.syncWorkflow(workflow);
+        
         logger.performanceMetric('workflow_update_query', Date.now() - startTime);
         logger.info('Workflow updated', {
             workflowId: workflowId,
@@ -243,7 +270,7 @@ router.delete('/:id', protectedHandler(async (req, res) => {
         const activeExecutions = await databaseCircuitBreaker.execute(async () => {
             return await req.db.collection('workflow_executions').countDocuments({
                 workflow_id: workflowId,
-                status: { $in: ['running', 'pending'] }
+                status: { $in: ['running', 'pending', 'waiting_approval'] }
             });
         });
         
@@ -259,6 +286,10 @@ router.delete('/:id', protectedHandler(async (req, res) => {
             throw new AppError('Workflow not found', 404);
         }
         
+        await req.triggers?.removeWorkflow(workflowId);
+        
+        // Versions are kept so past executions remain auditable and replayable
+        
         logger.performanceMetric('workflow_delete_query', Date.now() - startTime);
         logger.info('Workflow deleted', { workflowId: workflowId });
         
@@ -277,11 +308,153 @@ router.delete('/:id', protectedHandler(async (req, res) => {
     }
 }));
 
+// Get trigger state (next/last fire times) for a workflow
+router.get('/:id/triggers', protectedHandler(async (req, res) => {
+    try {
+        const { ObjectId } = require('mongodb');
+        const workflowId = new ObjectId(req.params.id);
+        
+        const workflow = await databaseCircuitBreaker.execute(async () => {
+            return await req.db.collection('workflows').findOne(
+                { _id: workflowId },
+                { projection: { triggers: 1, enabled: 1 } }
+            );
+        });
+        
+        if (!workflow) {
+            throw new AppError('Workflow not found', 404);
+        }
+        
+        const state = req.triggers ? await req.triggers.getTriggerState(workflowId) : [];
+        
+        res.json({
+            enabled: workflow.enabled,
+            triggers: workflow.triggers || [],
+            state
+        });
+    } catch (error) {
+        if (error instanceof AppError) throw error;
+        
+        logger.error('Failed to get workflow triggers', { 
+            workflowId: req.params.id,
+            error: error.message 
+        });
+        throw new AppError('Failed to retrieve workflow triggers', 500);
+    }
+}));
+
+// List the recorded versions of a workflow
+router.get('/:id/versions', protectedHandler(async (req, res) => {
+    try {
+        const { ObjectId } = require('mongodb');
+        const workflowId = new ObjectId(req.params.id);
+        
+        const workflow = await databaseCircuitBreaker.execute(async () => {
+            return await req.db.collection('workflows').findOne(
+                { _id: workflowId },
+                { projection: { version: 1 } }
+            );
+        });
+        
+        const versions = await req.engine.versions.listVersions(workflowId);
+        
+        if (!workflow && versions.length === 0) {
+            throw new AppError('Workflow not found', 404);
+        }
+        
+        res.json({
+            current_version: workflow?.version || null,
+            versions
+        });
+    } catch (error) {
+        if (error instanceof AppError) throw error;
+        
+        logger.error('Failed to list workflow versions', { 
+            workflowId: req.params.id,
+            error: error.message 
+        });
+        throw new AppError('Failed to retrieve workflow versions', 500);
+    }
+}));
+
+// Diff two versions of a workflow (defaults: previous version -> current version)
+router.get('/:id/diff', protectedHandler(async (req, res) => {
+    try {
+        const { ObjectId } = require('mongodb');
+        const workflowId = new ObjectId(req.params.id);
+        
+        let to = req.query.to !== undefined ? parseInt(req.query.to) : null;
+        if (to === null) {
+            const workflow = await databaseCircuitBreaker.execute(async () => {
+                return await req.db.collection('workflows').findOne(
+                    { _id: workflowId },
+                    { projection: { version: 1 } }
+                );
+            });
+            
+            if (!workflow) {
+                throw new AppError('Workflow not found', 404);
+            }
+            to = workflow.version || 1;
+        }
+        const from = req.query.from !== undefined ? parseInt(req.query.from) : to - 1;
+        
+        if (!Number.isInteger(from) || !Number.isInteger(to) || from < 1 || to < 1) {
+            throw new AppError('from and to must be version numbers', 400);
+        }
+        
+        const [fromVersion, toVersion] = await Promise.all([
+            req.engine.versions.getVersion(workflowId, from),
+            req.engine.versions.getVersion(workflowId, to)
+        ]);
+        
+        const missing = [[from, fromVersion], [to, toVersion]].filter(([, version]) => !version);
+        if (missing.length > 0) {
+            throw new AppError(`Workflow version ${missing.map(([number]) => number).join(', ')} not found`, 404);
+        }
+        
+        res.json(diffDefinitions(fromVersion, toVersion));
+    } catch (error) {
+        if (error instanceof AppError) throw error;
+        
+        logger.error('Failed to diff workflow versions', { 
+            workflowId: req.params.id,
+            error: error.message 
+        });
+        throw new AppError('Failed to diff workflow versions', 500);
+    }
+}));
+
+// Get one version of a workflow
+router.get('/:id/versions/:version', protectedHandler(async (req, res) => {
+    try {
+        const { ObjectId } = require('mongodb');
+        const workflowId = new ObjectId(req.params.id);
+        
+        const version = await req.engine.versions.getVersion(workflowId, req.params.version);
+        
+        if (!version) {
+            throw new AppError('Workflow version not found', 404);
+        }
+        
+        res.json({ version });
+    } catch (error) {
+        if (error instanceof AppError) throw error;
+        
+        logger.error('Failed to get workflow version', { 
+            workflowId: req.params.id,
+            version: req.params.version,
+            error: error.message 
+        });
+        throw new AppError('Failed to retrieve workflow version', 500);
+    }
+}));
+
 // Execute workflow
 router.post('/:id/execute', validateExecution, protectedHandler(async (req, res) => {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
-        throw new AppError('Validation failed', 400, true);
+        throw new AppError('Validation failed', 400, true, errors.array().map(e => e.msg));
     }
     
     const startTime = Date.now();
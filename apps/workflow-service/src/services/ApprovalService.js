@@ -0,0 +1,203 @@
+/**
+ * Approval Service - decisions, timeouts and resumption for approval steps
+ *
+ * Approval steps park their execution and record a `workflow_approvals`
+ * document. A decision arrives either through the API (`decide`) or from the
+ * bot, which updates the document directly when an approver taps a button.
+ * The poller applies the default action to overdue approvals and resumes
+ * every decided approval exactly once.
+ */
+
+const { logger } = require('../utils/logger');
+const { databaseCircuitBreaker } = require('../middleware/errorHandler');
+
+const DECISIONS = ['approve', 'reject'];
+const TIMEOUT_ACTIONS = ['approve', 'reject'];
+const REJECT_ACTIONS = ['stop', 'continue', 'fail'];
+const DEFAULT_APPROVAL_TIMEOUT_MS = 24 * 60 * 60 * 1000;
+const DECIDED_STATUSES = ['approved', 'rejected'];
+const BATCH_SIZE = 50;
+
+class ApprovalService {
+    constructor(db, engine, options = {}) {
+        this.db = db;
+        this.engine = engine;
+        this.pollInterval = options.pollInterval || 10000;
+        this.timer = null;
+        this.polling = false;
+    }
+
+    start() {
+        this.timer = setInterval(() => this.poll(), this.pollInterval);
+        this.poll();
+    }
+
+    stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+    }
+
+    async poll() {
+        if (this.polling) {
+            return;
+        }
+        this.polling = true;
+
+        try {
+            await this.expireOverdue();
+            await this.resumeDecided();
+        } catch (error) {
+            logger.error('Approval poll failed', { error: error.message });
+        } finally {
+            this.polling = false;
+        }
+    }
+
+    async list(filter = {}, limit = 50) {
+        return await databaseCircuitBreaker.execute(async () => {
+            return await this.db.collection('workflow_approvals')
+                .find(filter)
+                .sort({ created_at: -1 })
+                .limit(limit)
+                .toArray();
+        });
+    }
+
+    async get(approvalId) {
+        return await databaseCircuitBreaker.execute(async () => {
+            return await this.db.collection('workflow_approvals').findOne({ _id: approvalId });
+        });
+    }
+
+    /**
+     * Record a decision on a pending approval and resume its execution.
+     * Returns null if the approval is unknown or already decided.
+     */
+    async decide(approvalId, { decision, decidedBy, via = 'api', comment, editedContent }) {
+        if (!DECISIONS.includes(decision)) {
+            throw new Error(`Decision must be one of: ${DECISIONS.join(', ')}`);
+        }
+
+        const update = {
+            status: decision === 'approve' ? 'approved' : 'rejected',
+            decided_by: decidedBy || 'system',
+            decided_via: via,
+            decided_at: new Date(),
+            comment: comment || null,
+            edited_content: decision === 'approve' && editedContent ? editedContent : null
+        };
+
+        const result = await databaseCircuitBreaker.execute(async () => {
+            return await this.db.collection('workflow_approvals').updateOne(
+                { _id: approvalId, status: 'pending' },
+                { $set: update }
+            );
+        });
+
+        if (result.modifiedCount === 0) {
+            return null;
+        }
+
+        logger.info('Approval decided', { approvalId, status: update.status, by: update.decided_by, via });
+
+        await this.resume(approvalId);
+        return await this.get(approvalId);
+    }
+
+    async expireOverdue() {
+        const overdue = await this.list({ status: 'pending', expires_at: { $lte: new Date() } }, BATCH_SIZE);
+
+        for (const approval of overdue) {
+            await this.decide(approval._id, {
+                decision: approval.on_timeout || 'reject',
+                decidedBy: 'system',
+                via: 'timeout'
+            });
+        }
+    }
+
+    async resumeDecided() {
+        const decided = await this.list({ status: { $in: DECIDED_STATUSES }, resumed_at: null }, BATCH_SIZE);
+
+        for (const approval of decided) {
+            await this.resume(approval._id);
+        }
+    }
+
+    /**
+     * Resume the execution behind a decided approval. Claiming `resumed_at`
+     * first means concurrent pollers and API calls resume it only once.
+     */
+    async resume(approvalId) {
+        const approvals = this.db.collection('workflow_approvals');
+
+        const claimed = await databaseCircuitBreaker.execute(async () => {
+            return await approvals.updateOne(
+                { _id: approvalId, status: { $in: DECIDED_STATUSES }, resumed_at: null },
+                { $set: { resumed_at: new Date() } }
+            );
+        });
+
+        if (claimed.modifiedCount === 0) {
+            return false;
+        }
+
+        const approval = await this.get(approvalId);
+
+        try {
+            await this.engine.resumeApproval(approval);
+        } catch (error) {
+            logger.error('Failed to resume execution after approval', {
+                approvalId,
+                executionId: approval.execution_id,
+                error: error.message
+            });
+
+            // Release the claim so the next poll tries again
+            await databaseCircuitBreaker.execute(async () => {
+                return await approvals.updateOne(
+                    { _id: approvalId },
+                    { $set: { resumed_at: null, resume_error: error.message } }
+                );
+            });
+            return false;
+        }
+
+        await this.closePrompts(approval);
+        return true;
+    }
+
+    /**
+     * Remove the buttons from every prompt so other approvers can't act on a
+     * decided approval.
+     */
+    async closePrompts(approval) {
+        const telegram = this.engine.telegram;
+        if (!telegram || !approval.prompts?.length) {
+            return;
+        }
+
+        for (const prompt of approval.prompts) {
+            try {
+                await telegram.call('editMessageReplyMarkup', {
+                    chat_id: prompt.chat_id,
+                    message_id: prompt.message_id,
+                    reply_markup: { inline_keyboard: [] }
+                });
+            } catch (error) {
+                // Already edited by the bot, or the message was deleted
+                logger.debug('Could not close approval prompt', { approvalId: approval._id, error: error.message });
+            }
+        }
+    }
+}
+
+module.exports = {
+    ApprovalService,
+    DECISIONS,
+    TIMEOUT_ACTIONS,
+    REJECT_ACTIONS,
+    DEFAULT_APPROVAL_TIMEOUT_MS
+};
@@ -0,0 +1,827 @@
+/**
+ * Expression Evaluator - sandboxed condition language for workflow steps
+ *
+ * Expressions are tokenised and parsed into a small AST which is interpreted
+ * against the execution context. Nothing is ever handed to `eval` or
+ * `Function`, property access is limited to own data properties, and only the
+ * whitelisted functions below can be called.
+ *
+ * Supported syntax:
+ *   literals     42, 1.5, "text", 'text', true, false, null, [1, 2], /regex/i
+ *   paths        ${article.category}, article.category, tags[0]  (null-safe)
+ *   comparison   ==  !=  ===  !==  <  <=  >  >=
+ *   boolean      &&  ||  !  and  or  not
+ *   membership   x in list, x not in list, list contains x
+ *   strings      title matches /breaking/i, url startsWith "https", name endsWith ".pdf"
+ *   arithmetic   +  -  *  /  %   (Date +/- milliseconds, Date - Date)
+ *   conditional  cond ? a : b
+ *   functions    now(), date(x), days(n), hoursSince(d), len(x), lower(s), ...
+ */
+
+const MAX_EXPRESSION_LENGTH = 2000;
+const MAX_DEPTH = 64;
+const MAX_REGEX_LENGTH = 200;
+
+const KEYWORDS = new Set([
+    'true', 'false', 'null', 'and', 'or', 'not', 'in',
+    'contains', 'matches', 'startsWith', 'endsWith'
+]);
+
+const FORBIDDEN_PROPERTIES = new Set(['__proto__', 'prototype', 'constructor']);
+
+const MS = {
+    second: 1000,
+    minute: 60 * 1000,
+    hour: 60 * 60 * 1000,
+    day: 24 * 60 * 60 * 1000
+};
+
+class ExpressionError extends Error {
+    constructor(message, position = null) {
+        super(position === null ? message : `${message} at position ${position}`);
+        this.name = 'ExpressionError';
+        this.position = position;
+    }
+}
+
+function toDate(value) {
+    if (value instanceof Date) {
+        return Number.isNaN(value.getTime()) ? null : value;
+    }
+    if (typeof value === 'string' || typeof value === 'number') {
+        const date = new Date(value);
+        return Number.isNaN(date.getTime()) ? null : date;
+    }
+    return null;
+}
+
+function requireNumber(name, value) {
+    if (typeof value !== 'number' || Number.isNaN(value)) {
+        throw new ExpressionError(`${name}() expects a number`);
+    }
+    return value;
+}
+
+const FUNCTIONS = {
+    now: () => new Date(),
+    date: (value) => toDate(value),
+    seconds: (n) => requireNumber('seconds', n) * MS.second,
+    minutes: (n) => requireNumber('minutes', n) * MS.minute,
+    hours: (n) => requireNumber('hours', n) * MS.hour,
+    days: (n) => requireNumber('days', n) * MS.day,
+    minutesSince: (value) => { const d = toDate(value); return d ? (Date.now() - d.getTime()) / MS.minute : null; },
+    hoursSince: (value) => { const d = toDate(value); return d ? (Date.now() - d.getTime()) / MS.hour : null; },
+    daysSince: (value) => { const d = toDate(value); return d ? (Date.now() - d.getTime()) / MS.day : null; },
+    len: (value) => (typeof value === 'string' || Array.isArray(value) ? value.length : 0),
+    lower: (value) => (typeof value === 'string' ? value.toLowerCase() : value),
+    upper: (value) => (typeof value === 'string' ? value.toUpperCase() : value),
+    trim: (value) => (typeof value === 'string' ? value.trim() : value),
+    exists: (value) => value !== undefined && value !== null,
+    number: (value) => { const n = Number(value); return Number.isNaN(n) ? null : n; },
+    string: (value) => (value === undefined || value === null ? '' : String(value)),
+    abs: (n) => Math.abs(requireNumber('abs', n)),
+    round: (n) => Math.round(requireNumber('round', n)),
+    min: (...values) => Math.min(...values.map(v => requireNumber('min', v))),
+    max: (...values) => Math.max(...values.map(v => requireNumber('max', v)))
+};
+
+// ---------------------------------------------------------------------------
+// Tokeniser
+// ---------------------------------------------------------------------------
+
+const OPERATORS = ['===', '!==', '==', '!=', '<=', '>=', '&&', '||', '?.', '<', '>', '+', '-', '*', '/', '%', '!', '?', ':'];
+const PUNCTUATION = new Set(['(', ')', '[', ']', ',', '.']);
+
+function isIdentifierStart(ch) {
+    return /[A-Za-z_$]/.test(ch);
+}
+
+function isIdentifierPart(ch) {
+    return /[A-Za-z0-9_$]/.test(ch);
+}
+
+/**
+ * A `/` starts a regex literal only where an operand is expected.
+ */
+function expectsOperand(previous) {
+    if (!previous) return true;
+    if (['number', 'string', 'regex', 'path'].includes(previous.type)) return false;
+    if (previous.type === 'identifier') return KEYWORDS.has(previous.value) && !['true', 'false', 'null'].includes(previous.value);
+    if (previous.type === 'punct') return !(previous.value === ')' || previous.value === ']');
+    return true;
+}
+
+function tokenize(source) {
+    const tokens = [];
+    let i = 0;
+
+    while (i < source.length) {
+        const ch = source[i];
+
+        if (/\s/.test(ch)) {
+            i++;
+            continue;
+        }
+
+        const start = i;
+
+        // ${path} placeholders
+        if (ch === '$' && source[i + 1] === '{') {
+            const end = source.indexOf('}', i + 2);
+            if (end === -1) {
+                throw new ExpressionError('Unterminated ${...} placeholder', start);
+            }
+            const path = source.slice(i + 2, end).trim();
+            if (!/^[A-Za-z_$][\w$]*(\.[A-Za-z_$][\w$]*|\[\d+\])*$/.test(path)) {
+                throw new ExpressionError(`Invalid path "${path}"`, start);
+            }
+            tokens.push({ type: 'path', value: path, position: start });
+            i = end + 1;
+            continue;
+        }
+
+        if (/[0-9]/.test(ch) || (ch === '.' && /[0-9]/.test(source[i + 1]))) {
+            const match = source.slice(i).match(/^(\d+\.?\d*|\.\d+)([eE][+-]?\d+)?/);
+            tokens.push({ type: 'number', value: parseFloat(match[0]), position: start });
+            i += match[0].length;
+            continue;
+        }
+
+        if (ch === '"' || ch === "'") {
+            let value = '';
+            i++;
+            while (i < source.length && source[i] !== ch) {
+                if (source[i] === '\\' && i + 1 < source.length) {
+                    const next = source[i + 1];
+                    value += { n: '\n', t: '\t', r: '\r' }[next] ?? next;
+                    i += 2;
+                } else {
+                    value += source[i++];
+                }
+            }
+            if (i >= source.length) {
+                throw new ExpressionError('Unterminated string literal', start);
+            }
+            i++;
+            tokens.push({ type: 'string', value, position: start });
+            continue;
+        }
+
+        if (ch === '/' && expectsOperand(tokens[tokens.length - 1])) {
+            let pattern = '';
+            let inClass = false;
+            i++;
+            while (i < source.length && (source[i] !== '/' || inClass)) {
+                if (source[i] === '\\' && i + 1 < source.length) {
+                    pattern += source[i] + source[i + 1];
+                    i += 2;
+                    continue;
+                }
+                if (source[i] === '[') inClass = true;
+                if (source[i] === ']') inClass = false;
+                pattern += source[i++];
+            }
+            if (i >= source.length) {
+                throw new ExpressionError('Unterminated regular expression', start);
+            }
+            i++;
+            const flags = source.slice(i).match(/^[a-z]*/)[0];
+            i += flags.length;
+            tokens.push({ type: 'regex', value: compileRegex(pattern, flags, start), position: start });
+            continue;
+        }
+
+        if (isIdentifierStart(ch)) {
+            let value = '';
+            while (i < source.length && isIdentifierPart(source[i])) {
+                value += source[i++];
+            }
+            tokens.push({ type: 'identifier', value, position: start });
+            continue;
+        }
+
+        const operator = OPERATORS.find(op => source.startsWith(op, i));
+        // `?.` followed by a digit is a ternary with a decimal, not optional chaining
+        if (operator && !(operator === '?.' && /[0-9]/.test(source[i + 2]))) {
+            tokens.push({ type: 'operator', value: operator, position: start });
+            i += operator.length;
+            continue;
+        }
+
+        if (PUNCTUATION.has(ch)) {
+            tokens.push({ type: 'punct', value: ch, position: start });
+            i++;
+            continue;
+        }
+
+        throw new ExpressionError(`Unexpected character '${ch}'`, start);
+    }
+
+    tokens.push({ type: 'eof', value: null, position: source.length });
+    return tokens;
+}
+
+/**
+ * Whether a pattern repeats something that can itself match in more than one
+ * way - a quantified group holding another quantifier, as in /^(a+)+$/, or
+ * holding alternatives that are not distinct literals, as in /(a|a?)+/.
+ * Backtracking through those takes exponential time on near-misses.
+ */
+function hasNestedRepetition(pattern) {
+    const newFrame = () => ({ quantified: false, alternatives: [''] });
+    const stack = [newFrame()];
+    let i = 0;
+
+    // Reads a quantifier at `i`; true when it repeats (not just `?`)
+    const readQuantifier = () => {
+        let repeats = false;
+        const ch = pattern[i];
+        if (ch === '*' || ch === '+') {
+            repeats = true;
+            i++;
+        } else if (ch === '?') {
+            i++;
+        } else if (ch === '{') {
+            const match = /^\{(\d+)(,(\d*))?\}/.exec(pattern.slice(i));
+            if (!match) return null;
+            repeats = match[2] !== undefined && (match[3] === '' || Number(match[3]) > 1);
+            repeats = repeats || Number(match[1]) > 1;
+            i += match[0].length;
+        } else {
+            return null;
+        }
+        if (pattern[i] === '?') i++;
+        return repeats;
+    };
+
+    const markNotLiteral = (frame) => {
+        frame.alternatives[frame.alternatives.length - 1] = null;
+    };
+
+    while (i < pattern.length) {
+        const frame = stack[stack.length - 1];
+        const ch = pattern[i];
+
+        if (ch === '(') {
+            markNotLiteral(frame);
+            stack.push(newFrame());
+            i++;
+            const prefix = /^\?(:|=|!|<=|<!|<[A-Za-z_$][\w$]*>)/.exec(pattern.slice(i));
+            if (prefix) i += prefix[0].length;
+            continue;
+        }
+
+        if (ch === ')' && stack.length > 1) {
+            const group = stack.pop();
+            const parent = stack[stack.length - 1];
+            i++;
+            const repeats = readQuantifier();
+            if (repeats) {
+                const literals = group.alternatives;
+                const distinct = literals.every(text => text)
+                    && new Set(literals.map(text => text[0].toLowerCase())).size === literals.length;
+                if (group.quantified || (literals.length > 1 && !distinct)) {
+                    return true;
+                }
+            }
+            parent.quantified = parent.quantified || group.quantified || Boolean(repeats);
+            continue;
+        }
+
+        if (ch === '|') {
+            frame.alternatives.push('');
+            i++;
+            continue;
+        }
+
+        // One atom: an escape, a character class or a single character
+        let literal = null;
+        if (ch === '\\') {
+            const next = pattern[i + 1] ?? '';
+            literal = /[\w]/.test(next) ? null : next;
+            i += 2;
+        } else if (ch === '[') {
+            i++;
+            if (pattern[i] === '^') i++;
+            if (pattern[i] === ']') i++;
+            while (i < pattern.length && pattern[i] !== ']') {
+                i += pattern[i] === '\\' ? 2 : 1;
+            }
+            i++;
+        } else {
+            literal = '.^$'.includes(ch) ? null : ch;
+            i++;
+        }
+
+        const current = frame.alternatives[frame.alternatives.length - 1];
+        frame.alternatives[frame.alternatives.length - 1] = current !== null && literal !== null ? current + literal : null;
+
+        const repeats = readQuantifier();
+        if (repeats !== null) {
+            markNotLiteral(frame);
+            frame.quantified = frame.quantified || repeats;
+        }
+    }
+
+    return false;
+}
+
+function compileRegex(pattern, flags, position) {
+    if (pattern.length > MAX_REGEX_LENGTH) {
+        throw new ExpressionError(`Regular expression longer than ${MAX_REGEX_LENGTH} characters`, position);
+    }
+    if (/[gy]/.test(flags)) {
+        throw new ExpressionError(`Unsupported regular expression flag in /${flags}/`, position);
+    }
+    let regex;
+    try {
+        regex = new RegExp(pattern, flags);
+    } catch (error) {
+        throw new ExpressionError(`Invalid regular expression: ${error.message}`, position);
+    }
+    if (hasNestedRepetition(pattern)) {
+        throw new ExpressionError('Regular expression repeats a group that contains a quantifier or overlapping alternatives', position);
+    }
+    return regex;
+}
+
+// ---------------------------------------------------------------------------
+// Parser
+// ---------------------------------------------------------------------------
+
+class Parser {
+    constructor(tokens) {
+        this.tokens = tokens;
+        this.index = 0;
+        this.depth = 0;
+    }
+
+    peek(offset = 0) {
+        return this.tokens[this.index + offset];
+    }
+
+    next() {
+        return this.tokens[this.index++];
+    }
+
+    is(type, value) {
+        const token = this.peek();
+        return token.type === type && (value === undefined || token.value === value);
+    }
+
+    isKeyword(value) {
+        return this.is('identifier', value);
+    }
+
+    expect(type, value) {
+        const token = this.peek();
+        if (!this.is(type, value)) {
+            throw new ExpressionError(`Expected '${value || type}' but found ${describe(token)}`, token.position);
+        }
+        return this.next();
+    }
+
+    parse() {
+        const ast = this.parseExpression();
+        if (!this.is('eof')) {
+            const token = this.peek();
+            throw new ExpressionError(`Unexpected ${describe(token)}`, token.position);
+        }
+        return ast;
+    }
+
+    parseExpression() {
+        if (++this.depth > MAX_DEPTH) {
+            throw new ExpressionError('Expression is nested too deeply', this.peek().position);
+        }
+        const node = this.parseTernary();
+        this.depth--;
+        return node;
+    }
+
+    parseTernary() {
+        const test = this.parseOr();
+        if (this.is('operator', '?')) {
+            this.next();
+            const consequent = this.parseExpression();
+            this.expect('operator', ':');
+            const alternate = this.parseExpression();
+            return { type: 'Conditional', test, consequent, alternate };
+        }
+        return test;
+    }
+
+    parseOr() {
+        let left = this.parseAnd();
+        while (this.is('operator', '||') || this.isKeyword('or')) {
+            this.next();
+            left = { type: 'Logical', operator: '||', left, right: this.parseAnd() };
+        }
+        return left;
+    }
+
+    parseAnd() {
+        let left = this.parseEquality();
+        while (this.is('operator', '&&') || this.isKeyword('and')) {
+            this.next();
+            left = { type: 'Logical', operator: '&&', left, right: this.parseEquality() };
+        }
+        return left;
+    }
+
+    parseEquality() {
+        let left = this.parseRelational();
+        while (['==', '!=', '===', '!=='].some(op => this.is('operator', op))) {
+            const operator = this.next().value.slice(0, 2);
+            left = { type: 'Binary', operator, left, right: this.parseRelational() };
+        }
+        return left;
+    }
+
+    parseRelational() {
+        let left = this.parseAdditive();
+
+        for (;;) {
+            let operator = null;
+            if (['<', '<=', '>', '>='].some(op => this.is('operator', op))) {
+                operator = this.next().value;
+            } else if (['in', 'contains', 'matches', 'startsWith', 'endsWith'].some(kw => this.isKeyword(kw))) {
+                operator = this.next().value;
+            } else if (this.isKeyword('not') && this.peek(1).type === 'identifier' && this.peek(1).value === 'in') {
+                this.next();
+                this.next();
+                operator = 'not in';
+            } else {
+                break;
+            }
+            left = { type: 'Binary', operator, left, right: this.parseAdditive() };
+        }
+
+        return left;
+    }
+
+    parseAdditive() {
+        let left = this.parseMultiplicative();
+        while (this.is('operator', '+') || this.is('operator', '-')) {
+            const operator = this.next().value;
+            left = { type: 'Binary', operator, left, right: this.parseMultiplicative() };
+        }
+        return left;
+    }
+
+    parseMultiplicative() {
+        let left = this.parseUnary();
+        while (['*', '/', '%'].some(op => this.is('operator', op))) {
+            const operator = this.next().value;
+            left = { type: 'Binary', operator, left, right: this.parseUnary() };
+        }
+        return left;
+    }
+
+    parseUnary() {
+        if (this.is('operator', '!') || this.isKeyword('not')) {
+            this.next();
+            return { type: 'Unary', operator: '!', argument: this.parseUnary() };
+        }
+        if (this.is('operator', '-')) {
+            this.next();
+            return { type: 'Unary', operator: '-', argument: this.parseUnary() };
+        }
+        return this.parsePostfix();
+    }
+
+    parsePostfix() {
+        let node = this.parsePrimary();
+
+        for (;;) {
+            if (this.is('punct', '.') || this.is('operator', '?.')) {
+                this.next();
+                const property = this.expect('identifier');
+                node = { type: 'Member', object: node, property: { type: 'Literal', value: property.value } };
+            } else if (this.is('punct', '[')) {
+                this.next();
+                const property = this.parseExpression();
+                this.expect('punct', ']');
+                node = { type: 'Member', object: node, property };
+            } else {
+                return node;
+            }
+        }
+    }
+
+    parsePrimary() {
+        const token = this.peek();
+
+        switch (token.type) {
+            case 'number':
+            case 'string':
+            case 'regex':
+                this.next();
+                return { type: 'Literal', value: token.value };
+
+            case 'path':
+                this.next();
+                return pathToNode(token.value);
+
+            case 'identifier': {
+                this.next();
+                if (token.value === 'true') return { type: 'Literal', value: true };
+                if (token.value === 'false') return { type: 'Literal', value: false };
+                if (token.value === 'null') return { type: 'Literal', value: null };
+                if (KEYWORDS.has(token.value)) {
+                    throw new ExpressionError(`Unexpected keyword '${token.value}'`, token.position);
+                }
+
+                if (this.is('punct', '(')) {
+                    if (!Object.prototype.hasOwnProperty.call(FUNCTIONS, token.value)) {
+                        throw new ExpressionError(`Unknown function '${token.value}'`, token.position);
+                    }
+                    this.next();
+                    const args = [];
+                    if (!this.is('punct', ')')) {
+                        do {
+                            args.push(this.parseExpression());
+                        } while (this.is('punct', ',') && this.next());
+                    }
+                    this.expect('punct', ')');
+                    return { type: 'Call', name: token.value, args };
+                }
+
+                return { type: 'Identifier', name: token.value };
+            }
+
+            case 'punct':
+                if (token.value === '(') {
+                    this.next();
+                    const node = this.parseExpression();
+                    this.expect('punct', ')');
+                    return node;
+                }
+                if (token.value === '[') {
+                    this.next();
+                    const elements = [];
+                    if (!this.is('punct', ']')) {
+                        do {
+                            elements.push(this.parseExpression());
+                        } while (this.is('punct', ',') && this.next());
+                    }
+                    this.expect('punct', ']');
+                    return { type: 'Array', elements };
+                }
+                break;
+
+            default:
+                break;
+        }
+
+        throw new ExpressionError(`Unexpected ${describe(token)}`, token.position);
+    }
+}
+
+function describe(token) {
+    if (token.type === 'eof') return 'end of expression';
+    if (token.type === 'string') return `string "${token.value}"`;
+    if (token.type === 'regex') return 'regular expression';
+    if (token.type === 'path') return `\${${token.value}}`;
+    return `'${token.value}'`;
+}
+
+function pathToNode(path) {
+    const parts = path.match(/[A-Za-z_$][\w$]*|\[\d+\]/g);
+    let node = { type: 'Identifier', name: parts[0] };
+    for (const part of parts.slice(1)) {
+        const value = part.startsWith('[') ? parseInt(part.slice(1, -1), 10) : part;
+        node = { type: 'Member', object: node, property: { type: 'Literal', value } };
+    }
+    return node;
+}
+
+// ---------------------------------------------------------------------------
+// Interpreter
+// ---------------------------------------------------------------------------
+
+function getProperty(object, property) {
+    if (object === undefined || object === null) {
+        return undefined;
+    }
+    if (typeof property !== 'string' && typeof property !== 'number') {
+        return undefined;
+    }
+
+    const key = String(property);
+    if (FORBIDDEN_PROPERTIES.has(key)) {
+        throw new ExpressionError(`Access to '${key}' is not allowed`);
+    }
+
+    if (typeof object === 'string' || Array.isArray(object)) {
+        if (key === 'length') return object.length;
+        return /^\d+$/.test(key) ? object[Number(key)] : undefined;
+    }
+
+    if (typeof object === 'object' && Object.prototype.hasOwnProperty.call(object, key)) {
+        const value = object[key];
+        return typeof value === 'function' ? undefined : value;
+    }
+
+    return undefined;
+}
+
+function normalise(value) {
+    if (value instanceof Date) return value.getTime();
+    if (value && typeof value === 'object' && typeof value.toHexString === 'function') return value.toHexString();
+    return value;
+}
+
+function equals(a, b) {
+    if ((a === undefined || a === null) && (b === undefined || b === null)) {
+        return true;
+    }
+    return normalise(a) === normalise(b);
+}
+
+function compare(operator, a, b) {
+    a = normalise(a);
+    b = normalise(b);
+
+    if (a === undefined || a === null || b === undefined || b === null) {
+        return false;
+    }
+    if (typeof a !== typeof b || (typeof a !== 'number' && typeof a !== 'string')) {
+        return false;
+    }
+
+    switch (operator) {
+        case '<': return a < b;
+        case '<=': return a <= b;
+        case '>': return a > b;
+        case '>=': return a >= b;
+        default: return false;
+    }
+}
+
+function membership(needle, haystack) {
+    if (Array.isArray(haystack)) {
+        return haystack.some(item => equals(item, needle));
+    }
+    if (typeof haystack === 'string') {
+        return needle !== undefined && needle !== null && haystack.includes(String(needle));
+    }
+    if (haystack && typeof haystack === 'object' && (typeof needle === 'string' || typeof needle === 'number')) {
+        return Object.prototype.hasOwnProperty.call(haystack, needle);
+    }
+    return false;
+}
+
+function arithmetic(operator, a, b) {
+    if (operator === '+' && (typeof a === 'string' || typeof b === 'string')) {
+        return `${a ?? ''}${b ?? ''}`;
+    }
+
+    if (a instanceof Date && typeof b === 'number' && (operator === '+' || operator === '-')) {
+        return new Date(operator === '+' ? a.getTime() + b : a.getTime() - b);
+    }
+    if (a instanceof Date && b instanceof Date && operator === '-') {
+        return a.getTime() - b.getTime();
+    }
+
+    if (typeof a !== 'number' || typeof b !== 'number') {
+        return null;
+    }
+
+    switch (operator) {
+        case '+': return a + b;
+        case '-': return a - b;
+        case '*': return a * b;
+        case '/': return b === 0 ? null : a / b;
+        case '%': return b === 0 ? null : a % b;
+        default: return null;
+    }
+}
+
+function evaluateNode(node, scope) {
+    switch (node.type) {
+        case 'Literal':
+            return node.value;
+
+        case 'Identifier':
+            return getProperty(scope, node.name);
+
+        case 'Member':
+            return getProperty(evaluateNode(node.object, scope), evaluateNode(node.property, scope));
+
+        case 'Array':
+            return node.elements.map(element => evaluateNode(element, scope));
+
+        case 'Call':
+            return FUNCTIONS[node.name](...node.args.map(arg => evaluateNode(arg, scope)));
+
+        case 'Conditional':
+            return evaluateNode(node.test, scope)
+                ? evaluateNode(node.consequent, scope)
+                : evaluateNode(node.alternate, scope);
+
+        case 'Unary': {
+            const value = evaluateNode(node.argument, scope);
+            if (node.operator === '!') return !value;
+            return typeof value === 'number' ? -value : null;
+        }
+
+        case 'Logical': {
+            const left = evaluateNode(node.left, scope);
+            if (node.operator === '&&') return left ? evaluateNode(node.right, scope) : left;
+            return left ? left : evaluateNode(node.right, scope);
+        }
+
+        case 'Binary': {
+            const left = evaluateNode(node.left, scope);
+            const right = evaluateNode(node.right, scope);
+
+            switch (node.operator) {
+                case '==': return equals(left, right);
+                case '!=': return !equals(left, right);
+                case '<':
+                case '<=':
+                case '>':
+                case '>=':
+                    return compare(node.operator, left, right);
+                case 'in': return membership(left, right);
+                case 'not in': return !membership(left, right);
+                case 'contains': return membership(right, left);
+                case 'startsWith':
+                    return typeof left === 'string' && typeof right === 'string' && left.startsWith(right);
+                case 'endsWith':
+                    return typeof left === 'string' && typeof right === 'string' && left.endsWith(right);
+                case 'matches': {
+                    if (typeof left !== 'string') return false;
+                    const regex = right instanceof RegExp ? right : compileRegex(String(right ?? ''), '');
+                    return regex.test(left);
+                }
+                default:
+                    return arithmetic(node.operator, left, right);
+            }
+        }
+
+        default:
+            throw new ExpressionError(`Unsupported expression node: ${node.type}`);
+    }
+}
+
+// ---------------------------------------------------------------------------
+// Public API
+// ---------------------------------------------------------------------------
+
+const compiledCache = new Map();
+const CACHE_LIMIT = 500;
+
+/**
+ * Parse an expression into an AST, throwing ExpressionError on bad syntax.
+ */
+function parseExpression(source) {
+    if (typeof source !== 'string' || source.trim() === '') {
+        throw new ExpressionError('Expression must be a non-empty string');
+    }
+    if (source.length > MAX_EXPRESSION_LENGTH) {
+        throw new ExpressionError(`Expression longer than ${MAX_EXPRESSION_LENGTH} characters`);
+    }
+
+    if (compiledCache.has(source)) {
+        return compiledCache.get(source);
+    }
+
+    const ast = new Parser(tokenize(source)).parse();
+
+    if (compiledCache.size >= CACHE_LIMIT) {
+        compiledCache.delete(compiledCache.keys().next().value);
+    }
+    compiledCache.set(source, ast);
+
+    return ast;
+}
+
+/**
+ * Validate an expression without evaluating it.
+ * @returns {{ valid: boolean, error?: string, position?: number }}
+ */
+function validateExpression(source) {
+    try {
+        parseExpression(source);
+        return { valid: true };
+    } catch (error) {
+        if (error instanceof ExpressionError) {
+            return { valid: false, error: error.message, position: error.position };
+        }
+        throw error;
+    }
+}
+
+function evaluateExpression(source, scope = {}) {
+    return evaluateNode(parseExpression(source), scope);
+}
+
+module.exports = {
+    ExpressionError,
+    FUNCTIONS,
+    parseExpression,
+    validateExpression,
+    evaluateExpression
+};
@@ -0,0 +1,79 @@
+/**
+ * Report Builder - serialises workflow data into CSV or JSON reports
+ */
+
+function getValue(obj, path) {
+    return path.split('.').reduce((current, key) => current?.[key], obj);
+}
+
+function formatCsvCell(value) {
+    if (value === undefined || value === null) {
+        return '';
+    }
+
+    let text;
+    if (value instanceof Date) {
+        text = value.toISOString();
+    } else if (typeof value === 'object') {
+        text = typeof value.toHexString === 'function' ? value.toHexString() : JSON.stringify(value);
+    } else {
+        text = String(value);
+    }
+
+    if (/[",\r\n]/.test(text)) {
+        return `"${text.replace(/"/g, '""')}"`;
+    }
+    return text;
+}
+
+/**
+ * Collect column names from the rows when none are configured, preserving
+ * first-seen order.
+ */
+function inferFields(rows) {
+    const fields = [];
+    for (const row of rows) {
+        for (const key of Object.keys(row || {})) {
+            if (!fields.includes(key)) {
+                fields.push(key);
+            }
+        }
+    }
+    return fields;
+}
+
+function toCsv(rows, fields = inferFields(rows)) {
+    const lines = [fields.map(formatCsvCell).join(',')];
+    for (const row of rows) {
+        lines.push(fields.map(field => formatCsvCell(getValue(row, field))).join(','));
+    }
+    return lines.join('\r\n');
+}
+
+function toJson(rows, fields) {
+    const data = fields
+        ? rows.map(row => Object.fromEntries(fields.map(field => [field, getValue(row, field) ?? null])))
+        : rows;
+    return JSON.stringify(data, null, 2);
+}
+
+function buildReport(rows, { format = 'json', fields } = {}) {
+    if (!Array.isArray(rows)) {
+        throw new Error('Report data must be an array');
+    }
+
+    switch (format) {
+        case 'csv':
+            return { content: toCsv(rows, fields), contentType: 'text/csv' };
+        case 'json':
+            return { content: toJson(rows, fields), contentType: 'application/json' };
+        default:
+            throw new Error(`Unsupported report format: ${format}`);
+    }
+}
+
+module.exports = {
+    buildReport,
+    toCsv,
+    toJson
+};
@@ -0,0 +1,79 @@
+/**
+ * Telegram Client Adapter
+ *
+ * The workflow engine only depends on the small interface below, so any
+ * object exposing the same methods (a Telegraf `bot.telegram`, a test double,
+ * a client routed through the bot service) can be plugged in instead.
+ *
+ *   sendMessage(chatId, text, options) -> { message_id, chat: { id } }
+ *   sendPhoto(chatId, photo, options)  -> { message_id, chat: { id } }
+ */
+
+const axios = require('axios');
+
+class TelegramApiError extends Error {
+    constructor(method, description, errorCode, retryAfter = null) {
+        super(`Telegram ${method} failed: ${description}`);
+        this.name = 'TelegramApiError';
+        this.method = method;
+        this.errorCode = errorCode;
+        this.retryAfter = retryAfter;
+    }
+}
+
+class TelegramClient {
+    constructor(token, options = {}) {
+        if (!token) {
+            throw new Error('Telegram bot token is required');
+        }
+
+        this.http = axios.create({
+            baseURL: `${options.apiUrl || 'https://api.telegram.org'}/bot${token}`,
+            timeout: options.timeout || 15000
+        });
+    }
+
+    async call(method, payload) {
+        try {
+            const response = await this.http.post(`/${method}`, payload);
+            return response.data.result;
+        } catch (error) {
+            const data = error.response?.data;
+            if (data && data.ok === false) {
+                throw new TelegramApiError(
+                    method,
+                    data.description,
+                    data.error_code,
+                    data.parameters?.retry_after || null
+                );
+            }
+            throw error;
+        }
+    }
+
+    async sendMessage(chatId, text, options = {}) {
+        return await this.call('sendMessage', { chat_id: chatId, text, ...options });
+    }
+
+    async sendPhoto(chatId, photo, options = {}) {
+        return await this.call('sendPhoto', { chat_id: chatId, photo, ...options });
+    }
+}
+
+/**
+ * Build the default client from the environment, or null when no bot token is
+ * configured. Steps that need Telegram fail explicitly in that case.
+ */
+function createTelegramClientFromEnv(env = process.env) {
+    const token = env.WORKFLOW_TELEGRAM_BOT_TOKEN || env.TELEGRAM_BOT_TOKEN;
+    if (!token) {
+        return null;
+    }
+    return new TelegramClient(token, { apiUrl: env.TELEGRAM_API_URL });
+}
+
+module.exports = {
+    TelegramClient,
+    TelegramApiError,
+    createTelegramClientFromEnv
+};
@@ -0,0 +1,101 @@
+/**
+ * Template Renderer
+ *
+ * Renders templates saved through the bot's TemplateSystem (`user_templates`)
+ * with the bot's template engine (libs/shared), so conditions, loops,
+ * filters, includes and built-in variables work the same in workflows, and
+ * a template previewed in the bot produces the same text when a workflow
+ * posts it.
+ */
+
+const { ObjectId } = require('mongodb');
+const { PARSE_MODES, render, findVariables } = require('../../../../libs/shared/src/template-engine');
+const { templateScope, loadPartials } = require('../../../../libs/shared/src/saved-templates');
+
+// Keep in sync with TemplateSystem.templateVariables in apps/bot
+const BUILT_IN_VARIABLES = {
+    date: () => new Date().toLocaleDateString('en-AU'),
+    time: () => new Date().toLocaleTimeString('en-AU', { hour12: false }),
+    datetime: () => new Date().toLocaleString('en-AU'),
+    day: () => new Date().toLocaleDateString('en-AU', { weekday: 'long' }),
+    month: () => new Date().toLocaleDateString('en-AU', { month: 'long' }),
+    year: () => new Date().getFullYear().toString(),
+    break: () => '\n',
+    separator: () => '━━━━━━━━━━━━━━━━━━━━'
+};
+
+/**
+ * Render a template. Built-in variables fill in names `variables` does not
+ * have; placeholders without a value are left untouched, matching
+ * TemplateSystem.processTemplateVariables.
+ * @param {string} [options.parseMode] - Telegram parse mode to escape for
+ * @param {Object} [options.partials] - Included template sources by name
+ */
+function renderTemplate(content, variables = {}, options = {}) {
+    const source = String(content);
+    const builtIns = {};
+
+    for (const name of findVariables(source)) {
+        if (BUILT_IN_VARIABLES[name]) {
+            builtIns[name] = BUILT_IN_VARIABLES[name]();
+        }
+    }
+
+    return render(source, { ...builtIns, ...variables }, {
+        mode: PARSE_MODES.includes(options.parseMode) ? options.parseMode : null,
+        partials: options.partials || {},
+        keepUndefined: true
+    });
+}
+
+function toUserId(userId) {
+    return Number.isNaN(Number(userId)) ? userId : Number(userId);
+}
+
+/**
+ * Look up a saved template by id, or by name for a given owner, with
+ * `partials` for the templates it includes.
+ */
+async function loadTemplate(db, { template_id, template_name, user_id }) {
+    const collection = db.collection('user_templates');
+    let template = null;
+
+    if (template_id) {
+        let templateId = template_id;
+        if (typeof template_id === 'string' && ObjectId.isValid(template_id)) {
+            templateId = new ObjectId(template_id);
+        }
+        template = await collection.findOne({ _id: templateId });
+    } else if (template_name) {
+        const query = { name: template_name };
+        if (user_id !== undefined) {
+            query.user_id = toUserId(user_id);
+        }
+        template = await collection.findOne(query);
+    }
+
+    if (template) {
+        template.partials = await loadPartials(db, templateScope(template), template.content);
+    }
+    return template;
+}
+
+/**
+ * Included templates for a template written into a workflow step: those of
+ * `workspace_id`, or the personal ones of `user_id`. Without either,
+ * includes are not looked up.
+ */
+async function loadInlinePartials(db, content, { user_id, workspace_id }) {
+    if (!workspace_id && user_id === undefined) {
+        return {};
+    }
+    const scope = templateScope({ workspace_id: workspace_id || null, user_id: toUserId(user_id) });
+    return await loadPartials(db, scope, content);
+}
+
+module.exports = {
+    BUILT_IN_VARIABLES,
+    renderTemplate,
+    loadTemplate,
+    loadInlinePartials
+};
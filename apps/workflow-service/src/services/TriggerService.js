@@ -0,0 +1,736 @@
+/**
+ * Trigger Service - starts stored workflows from cron schedules and events
+ *
+ * Workflows declare triggers in their `triggers` array:
+ *
+ *   { type: 'cron', expression: '0 7 * * *', timezone: 'Australia/Adelaide',
+ *     misfire: 'skip' | 'run_once' | 'catch_up', input: { ... } }
+ *   { type: 'event', event: 'article.created', category: 'Local',
+ *     condition: 'event.source == "TBC"', input: { ... } }
+ *
+ * All state lives in MongoDB so triggers survive restarts and several
+ * workflow-service instances can run side by side:
+ *   - `workflow_trigger_state` holds each cron trigger's next fire time. An
+ *     instance claims a due trigger with a short lease before firing it, so
+ *     two instances never fire the same occurrence concurrently. The fire
+ *     time only moves on once the workflow has been started; an occurrence
+ *     that failed to start is retried with backoff, up to a limit.
+ *   - `workflow_events` is an outbox other services insert into (directly or
+ *     via POST /api/events). Events are claimed the same way and marked
+ *     processed once matching workflows have been queued. A failed dispatch
+ *     is retried with backoff like a cron fire, without starting the
+ *     workflows it already started again.
+ *   - New `news_articles` (and `articles`) documents are turned into
+ *     `article.created` events, read in order of the time their writers
+ *     stamp on insert and `_id`, from a stored checkpoint per collection.
+ */
+
+const crypto = require('crypto');
+const os = require('os');
+const cronParser = require('cron-parser');
+const { logger } = require('../utils/logger');
+const { databaseCircuitBreaker } = require('../middleware/errorHandler');
+const { evaluateExpression, validateExpression } = require('./ExpressionEvaluator');
+
+const EVENT_TYPES = ['article.created', 'subscription.changed', 'bot.added_to_channel'];
+const MISFIRE_POLICIES = ['skip', 'run_once', 'catch_up'];
+
+const DEFAULT_TIMEZONE = 'Australia/Adelaide';
+const MAX_CATCH_UP_RUNS = 50;
+const LEASE_MS = 60000;
+// Attempts at a cron fire or an event dispatch before it is given up on
+const MAX_FIRE_ATTEMPTS = 5;
+const FIRE_RETRY_BASE_MS = 30000;
+
+// Collections whose new documents become article.created events, and the
+// field their writers stamp on insert
+const ARTICLE_SOURCES = [
+    { collection: 'news_articles', insertedAt: 'ingested_at' },
+    { collection: 'articles', insertedAt: 'createdAt' }
+];
+// New articles are read this long after they are stamped, so one stamped
+// earlier but written later (or by a host whose clock is behind) is not
+// passed over
+const ARTICLE_SETTLE_MS = 30000;
+const ARTICLE_BATCH_SIZE = 200;
+
+function isValidTimezone(timezone) {
+    try {
+        new Intl.DateTimeFormat('en-AU', { timeZone: timezone });
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+function triggerKey(trigger, index) {
+    return trigger.id || `${trigger.type}_${index}`;
+}
+
+function definitionHash(trigger) {
+    return crypto.createHash('sha1')
+        .update(JSON.stringify([trigger.expression, trigger.timezone || DEFAULT_TIMEZONE]))
+        .digest('hex');
+}
+
+/**
+ * Validate a workflow's triggers array, returning human-readable errors.
+ */
+function validateTriggers(triggers) {
+    const errors = [];
+    if (triggers === undefined) {
+        return errors;
+    }
+    if (!Array.isArray(triggers)) {
+        return ['triggers must be an array'];
+    }
+
+    const keys = new Set();
+    triggers.forEach((entry, i) => {
+        const trigger = entry || {};
+        const label = `Trigger ${i + 1}`;
+        const key = triggerKey(trigger, i);
+
+        if (keys.has(key)) {
+            errors.push(`${label} id "${key}" is used more than once`);
+        }
+        keys.add(key);
+
+        if (trigger.input !== undefined && (typeof trigger.input !== 'object' || Array.isArray(trigger.input))) {
+            errors.push(`${label} input must be an object`);
+        }
+
+        if (trigger.type === 'cron') {
+            if (trigger.timezone !== undefined && !isValidTimezone(trigger.timezone)) {
+                errors.push(`${label} has unknown timezone: ${trigger.timezone}`);
+            }
+            if (typeof trigger.expression !== 'string' || trigger.expression.trim() === '') {
+                errors.push(`${label} requires a cron expression`);
+            } else {
+                try {
+                    cronParser.parseExpression(trigger.expression, {
+                        tz: isValidTimezone(trigger.timezone) ? trigger.timezone : DEFAULT_TIMEZONE
+                    });
+                } catch (error) {
+                    errors.push(`${label} has invalid cron expression "${trigger.expression}": ${error.message}`);
+                }
+            }
+            if (trigger.misfire !== undefined && !MISFIRE_POLICIES.includes(trigger.misfire)) {
+                errors.push(`${label} misfire must be one of: ${MISFIRE_POLICIES.join(', ')}`);
+            }
+        } else if (trigger.type === 'event') {
+            if (!EVENT_TYPES.includes(trigger.event)) {
+                errors.push(`${label} event must be one of: ${EVENT_TYPES.join(', ')}`);
+            }
+            if (trigger.condition !== undefined) {
+                const result = validateExpression(trigger.condition);
+                if (!result.valid) {
+                    errors.push(`${label} condition is invalid: ${result.error}`);
+                }
+            }
+        } else {
+            errors.push(`${label} type must be "cron" or "event"`);
+        }
+    });
+
+    return errors;
+}
+
+class TriggerService {
+    constructor(db, engine, options = {}) {
+        this.db = db;
+        this.engine = engine;
+        this.instanceId = `${os.hostname()}:${process.pid}`;
+        this.pollInterval = options.pollInterval || 15000;
+        this.misfireGraceMs = options.misfireGraceMs || 60000;
+        this.timer = null;
+        this.polling = false;
+    }
+
+    async initialize() {
+        await databaseCircuitBreaker.execute(async () => {
+            await this.db.collection('workflow_trigger_state').createIndex({ workflow_id: 1, trigger_key: 1 }, { unique: true });
+            await this.db.collection('workflow_trigger_state').createIndex({ type: 1, next_fire_at: 1 });
+            await this.db.collection('workflow_events').createIndex({ status: 1, created_at: 1 });
+            await this.db.collection('workflow_events').createIndex({ created_at: 1 }, { expireAfterSeconds: 30 * 24 * 3600 });
+        });
+
+        const workflows = await databaseCircuitBreaker.execute(async () => {
+            return await this.db.collection('workflows')
+                .find({ 'triggers.0': { $exists: true } })
+                .toArray();
+        });
+
+        for (const workflow of workflows) {
+            await this.syncWorkflow(workflow);
+        }
+
+        await this.initializeArticleCheckpoint();
+
+        logger.info(`Trigger service initialized for ${workflows.length} workflows`, { instance: this.instanceId });
+    }
+
+    start() {
+        this.timer = setInterval(() => this.poll(), this.pollInterval);
+        this.poll();
+    }
+
+    stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+    }
+
+    async poll() {
+        if (this.polling) {
+            return;
+        }
+        this.polling = true;
+
+        try {
+            await this.publishNewArticles();
+            await this.processDueCronTriggers();
+            await this.processPendingEvents();
+        } catch (error) {
+            logger.error('Trigger poll failed', { error: error.message });
+        } finally {
+            this.polling = false;
+        }
+    }
+
+    /**
+     * Bring stored cron state in line with a workflow's current triggers.
+     * A trigger whose schedule is unchanged keeps its pending fire time, so
+     * fires missed while the service was down are still seen on startup.
+     */
+    async syncWorkflow(workflow) {
+        const collection = this.db.collection('workflow_trigger_state');
+        const cronTriggers = (workflow.triggers || [])
+            .map((trigger, index) => ({ trigger, key: triggerKey(trigger, index) }))
+            .filter(({ trigger }) => trigger.type === 'cron');
+
+        await databaseCircuitBreaker.execute(async () => {
+            return await collection.deleteMany({
+                workflow_id: workflow._id,
+                trigger_key: { $nin: cronTriggers.map(({ key }) => key) }
+            });
+        });
+
+        for (const { trigger, key } of cronTriggers) {
+            const hash = definitionHash(trigger);
+            const existing = await databaseCircuitBreaker.execute(async () => {
+                return await collection.findOne({ workflow_id: workflow._id, trigger_key: key });
+            });
+
+            const update = {
+                type: 'cron',
+                expression: trigger.expression,
+                timezone: trigger.timezone || DEFAULT_TIMEZONE,
+                misfire: trigger.misfire || 'skip',
+                input: trigger.input || {},
+                definition_hash: hash,
+                updated_at: new Date()
+            };
+
+            if (!existing || existing.definition_hash !== hash) {
+                update.next_fire_at = this.nextOccurrence(update, new Date());
+            }
+
+            await databaseCircuitBreaker.execute(async () => {
+                return await collection.updateOne(
+                    { workflow_id: workflow._id, trigger_key: key },
+                    {
+                        $set: update,
+                        $setOnInsert: { last_fired_at: null, locked_until: null, created_at: new Date() }
+                    },
+                    { upsert: true }
+                );
+            });
+        }
+    }
+
+    async removeWorkflow(workflowId) {
+        await databaseCircuitBreaker.execute(async () => {
+            return await this.db.collection('workflow_trigger_state').deleteMany({ workflow_id: workflowId });
+        });
+    }
+
+    async getTriggerState(workflowId) {
+        return await databaseCircuitBreaker.execute(async () => {
+            return await this.db.collection('workflow_trigger_state')
+                .find({ workflow_id: workflowId })
+                .project({ locked_by: 0 })
+                .toArray();
+        });
+    }
+
+    nextOccurrence(state, after) {
+        const interval = cronParser.parseExpression(state.expression, {
+            currentDate: after,
+            tz: state.timezone
+        });
+        return interval.next().toDate();
+    }
+
+    /**
+     * All occurrences from `from` (inclusive) up to `until`, capped.
+     */
+    missedOccurrences(state, from, until) {
+        const occurrences = [from];
+        const interval = cronParser.parseExpression(state.expression, {
+            currentDate: from,
+            endDate: until,
+            tz: state.timezone
+        });
+
+        while (interval.hasNext() && occurrences.length < MAX_CATCH_UP_RUNS) {
+            occurrences.push(interval.next().toDate());
+        }
+        return occurrences;
+    }
+
+    async claim(collection, filter, update) {
+        const now = new Date();
+        return await databaseCircuitBreaker.execute(async () => {
+            return await this.db.collection(collection).findOneAndUpdate(
+                {
+                    ...filter,
+                    $or: [{ locked_until: null }, { locked_until: { $lt: now } }]
+                },
+                {
+                    $set: {
+                        ...update,
+                        locked_until: new Date(now.getTime() + LEASE_MS),
+                        locked_by: this.instanceId
+                    }
+                },
+                { returnDocument: 'after' }
+            );
+        });
+    }
+
+    async processDueCronTriggers() {
+        for (;;) {
+            const now = new Date();
+            const state = await this.claim('workflow_trigger_state', {
+                type: 'cron',
+                next_fire_at: { $lte: now }
+            });
+
+            if (!state) {
+                return;
+            }
+
+            let failure = null;
+            try {
+                await this.fireCronTrigger(state, now);
+            } catch (error) {
+                failure = error;
+            }
+
+            await databaseCircuitBreaker.execute(async () => {
+                return await this.db.collection('workflow_trigger_state').updateOne(
+                    { _id: state._id, locked_by: this.instanceId },
+                    { $set: this.afterCronFire(state, now, failure) }
+                );
+            });
+        }
+    }
+
+    /**
+     * Trigger state to store after a fire. A failed fire keeps the first
+     * occurrence that did not start and is held back until its retry is due;
+     * once the attempts run out, that occurrence is given up on.
+     */
+    afterCronFire(state, now, failure) {
+        const attempts = failure ? (state.fire_attempts || 0) + 1 : 0;
+
+        if (failure) {
+            const retrying = attempts < MAX_FIRE_ATTEMPTS;
+            logger.error(retrying ? 'Failed to fire cron trigger, will retry' : 'Failed to fire cron trigger, giving up', {
+                workflowId: state.workflow_id,
+                trigger: state.trigger_key,
+                attempts,
+                error: failure.message
+            });
+
+            if (retrying) {
+                return {
+                    next_fire_at: failure.scheduledFor || state.next_fire_at,
+                    fire_attempts: attempts,
+                    last_error: failure.message,
+                    locked_until: new Date(now.getTime() + FIRE_RETRY_BASE_MS * 2 ** (attempts - 1)),
+                    locked_by: null
+                };
+            }
+        }
+
+        return {
+            next_fire_at: this.nextOccurrence(state, now),
+            fire_attempts: 0,
+            last_error: failure ? failure.message : null,
+            locked_until: null,
+            locked_by: null
+        };
+    }
+
+    /**
+     * Start the workflow for the due occurrences the misfire policy keeps.
+     * Throws with `scheduledFor` set to the first occurrence that did not
+     * start. A retried occurrence is not subject to the `skip` grace period.
+     */
+    async fireCronTrigger(state, now) {
+        const occurrences = this.missedOccurrences(state, state.next_fire_at, now);
+        const latest = occurrences[occurrences.length - 1];
+
+        let fireTimes;
+        switch (state.misfire) {
+            case 'catch_up':
+                fireTimes = occurrences;
+                break;
+            case 'run_once':
+                fireTimes = [latest];
+                break;
+            default:
+                fireTimes = state.fire_attempts > 0 || now - latest <= this.misfireGraceMs ? [latest] : [];
+        }
+
+        const skipped = occurrences.length - fireTimes.length;
+        if (skipped > 0) {
+            logger.warn('Skipping missed cron fires', {
+                workflowId: state.workflow_id,
+                trigger: state.trigger_key,
+                skipped,
+                policy: state.misfire
+            });
+        }
+
+        const workflow = await databaseCircuitBreaker.execute(async () => {
+            return await this.db.collection('workflows').findOne({ _id: state.workflow_id });
+        });
+
+        if (!workflow || !workflow.enabled) {
+            return;
+        }
+
+        let fired = 0;
+        try {
+            for (const scheduledFor of fireTimes) {
+                await this.startExecution(workflow, {
+                    type: 'cron',
+                    key: state.trigger_key,
+                    scheduled_for: scheduledFor
+                }, state.input);
+                fired++;
+            }
+        } catch (error) {
+            error.scheduledFor = fireTimes[fired];
+            throw error;
+        } finally {
+            await databaseCircuitBreaker.execute(async () => {
+                return await this.db.collection('workflow_trigger_state').updateOne(
+                    { _id: state._id },
+                    {
+                        $set: { last_fired_at: fired ? now : state.last_fired_at },
+                        $inc: { fire_count: fired, skipped_count: skipped }
+                    }
+                );
+            });
+        }
+    }
+
+    async startExecution(workflow, trigger, input = {}, eventData = null) {
+        const execution = await this.engine.executeWorkflow(workflow, {
+            workflow_id: workflow._id,
+            input: eventData ? { ...input, event: eventData } : input,
+            priority: 5,
+            started_by: `trigger:${trigger.type}`,
+            started_at: new Date(),
+            status: 'queued',
+            trigger
+        });
+
+        await databaseCircuitBreaker.execute(async () => {
+            return await this.db.collection('workflows').updateOne(
+                { _id: workflow._id },
+                {
+                    $inc: { execution_count: 1 },
+                    $set: { last_execution: new Date() }
+                }
+            );
+        });
+
+        logger.info('Workflow started by trigger', {
+            workflowId: workflow._id,
+            executionId: execution._id,
+            trigger
+        });
+
+        return execution;
+    }
+
+    /**
+     * Record an event for event-triggered workflows. Other services may also
+     * insert into `workflow_events` directly with the same shape.
+     */
+    async publishEvent(type, data = {}, source = 'workflow-service') {
+        if (!EVENT_TYPES.includes(type)) {
+            throw new Error(`Unknown event type: ${type}`);
+        }
+
+        const result = await databaseCircuitBreaker.execute(async () => {
+            return await this.db.collection('workflow_events').insertOne({
+                type,
+                data,
+                source,
+                status: 'pending',
+                created_at: new Date()
+            });
+        });
+
+        return result.insertedId;
+    }
+
+    async processPendingEvents() {
+        for (;;) {
+            const event = await this.claim('workflow_events', {
+                status: { $in: ['pending', 'processing'] }
+            }, { status: 'processing' });
+
+            if (!event) {
+                return;
+            }
+
+            let matched = [];
+            let failure = null;
+            try {
+                matched = await this.dispatchEvent(event);
+            } catch (error) {
+                failure = error;
+            }
+
+            await databaseCircuitBreaker.execute(async () => {
+                return await this.db.collection('workflow_events').updateOne(
+                    { _id: event._id },
+                    { $set: failure ? this.afterFailedDispatch(event, failure) : {
+                        status: 'processed',
+                        matched_workflows: matched,
+                        error: null,
+                        processed_at: new Date(),
+                        locked_until: null
+                    } }
+                );
+            });
+        }
+    }
+
+    /**
+     * Event state to store after a failed dispatch: pending again until its
+     * retry is due, or failed once the attempts run out
+     */
+    afterFailedDispatch(event, failure) {
+        const attempts = (event.attempts || 0) + 1;
+        const retrying = attempts < MAX_FIRE_ATTEMPTS;
+
+        logger.error(retrying ? 'Failed to dispatch workflow event, will retry' : 'Failed to dispatch workflow event, giving up', {
+            eventId: event._id,
+            attempts,
+            error: failure.message
+        });
+
+        if (retrying) {
+            return {
+                status: 'pending',
+                attempts,
+                error: failure.message,
+                locked_until: new Date(Date.now() + FIRE_RETRY_BASE_MS * 2 ** (attempts - 1))
+            };
+        }
+
+        return {
+            status: 'failed',
+            attempts,
+            error: failure.message,
+            processed_at: new Date(),
+            locked_until: null
+        };
+    }
+
+    /**
+     * Start every workflow with a trigger matching the event. Each start is
+     * recorded on the event, so a retried dispatch skips the ones done.
+     * @returns {Array} ids of the workflows started for the event
+     */
+    async dispatchEvent(event) {
+        const workflows = await databaseCircuitBreaker.execute(async () => {
+            return await this.db.collection('workflows')
+                .find({ enabled: true, triggers: { $elemMatch: { type: 'event', event: event.type } } })
+                .toArray();
+        });
+
+        const started = new Set(event.started || []);
+        const matched = [];
+        for (const workflow of workflows) {
+            const triggers = workflow.triggers
+                .map((trigger, index) => ({ trigger, key: triggerKey(trigger, index) }))
+                .filter(({ trigger }) => trigger.type === 'event' && trigger.event === event.type);
+
+            for (const { trigger, key } of triggers) {
+                if (!this.eventMatches(trigger, event)) {
+                    continue;
+                }
+
+                const start = `${workflow._id}:${key}`;
+                if (!started.has(start)) {
+                    await this.startExecution(workflow, {
+                        type: 'event',
+                        key,
+                        event: event.type,
+                        event_id: event._id
+                    }, trigger.input, event.data);
+
+                    await databaseCircuitBreaker.execute(async () => {
+                        return await this.db.collection('workflow_events').updateOne(
+                            { _id: event._id },
+                            { $addToSet: { started: start } }
+                        );
+                    });
+                }
+                matched.push(workflow._id);
+            }
+        }
+
+        return matched;
+    }
+
+    eventMatches(trigger, event) {
+        const data = event.data || {};
+
+        if (trigger.category !== undefined) {
+            const categories = [].concat(trigger.category);
+            if (!categories.includes(data.category)) {
+                return false;
+            }
+        }
+
+        if (trigger.condition) {
+            try {
+                return Boolean(evaluateExpression(trigger.condition, { event: data }));
+            } catch (error) {
+                logger.warn('Event trigger condition failed', { condition: trigger.condition, error: error.message });
+                return false;
+            }
+        }
+
+        return true;
+    }
+
+    async initializeArticleCheckpoint() {
+        const now = new Date();
+
+        for (const { collection, insertedAt } of ARTICLE_SOURCES) {
+            await databaseCircuitBreaker.execute(async () => {
+                await this.db.collection(collection).createIndex({ [insertedAt]: 1, _id: 1 });
+
+                // Start from now on first run so history does not fire triggers
+                await this.db.collection('workflow_trigger_state').updateOne(
+                    { workflow_id: null, trigger_key: `source:${collection}` },
+                    { $setOnInsert: { type: 'checkpoint', last_at: now, last_id: null, created_at: now } },
+                    { upsert: true }
+                );
+
+                // Checkpoints from before they held a time restart from now too
+                return await this.db.collection('workflow_trigger_state').updateOne(
+                    { workflow_id: null, trigger_key: `source:${collection}`, last_at: { $exists: false } },
+                    { $set: { last_at: now, last_id: null } }
+                );
+            });
+        }
+    }
+
+    /**
+     * Turn articles inserted since the last checkpoints into article.created events.
+     */
+    async publishNewArticles() {
+        for (const source of ARTICLE_SOURCES) {
+            await this.publishArticlesFrom(source);
+        }
+    }
+
+    /**
+     * Publish one collection's new articles in order of insert time, then
+     * `_id` for articles stamped with the same time. Articles newer than
+     * ARTICLE_SETTLE_MS are left for a later poll.
+     */
+    async publishArticlesFrom({ collection, insertedAt }) {
+        const checkpoint = await this.claim('workflow_trigger_state', {
+            workflow_id: null,
+            trigger_key: `source:${collection}`
+        });
+
+        if (!checkpoint) {
+            return; // another instance holds the lease
+        }
+
+        let lastAt = checkpoint.last_at;
+        let lastId = checkpoint.last_id;
+        try {
+            const after = lastId
+                ? { $or: [{ [insertedAt]: { $gt: lastAt } }, { [insertedAt]: lastAt, _id: { $gt: lastId } }] }
+                : { [insertedAt]: { $gt: lastAt } };
+            const filter = {
+                $and: [{ [insertedAt]: { $lte: new Date(Date.now() - ARTICLE_SETTLE_MS) } }, after]
+            };
+
+            const articles = await databaseCircuitBreaker.execute(async () => {
+                return await this.db.collection(collection)
+                    .find(filter, {
+                        projection: {
+                            title: 1, category: 1, source: 1, url: 1, status: 1,
+                            publishedAt: 1, published_date: 1, [insertedAt]: 1
+                        }
+                    })
+                    .sort({ [insertedAt]: 1, _id: 1 })
+                    .limit(ARTICLE_BATCH_SIZE)
+                    .toArray();
+            });
+
+            for (const article of articles) {
+                await this.publishEvent('article.created', {
+                    article_id: article._id.toString(),
+                    title: article.title,
+                    category: article.category || 'General',
+                    source: article.source || null,
+                    url: article.url || null,
+                    status: article.status || null,
+                    published_at: article.publishedAt || article.published_date || null
+                }, collection);
+                lastAt = article[insertedAt];
+                lastId = article._id;
+            }
+        } finally {
+            await databaseCircuitBreaker.execute(async () => {
+                return await this.db.collection('workflow_trigger_state').updateOne(
+                    { _id: checkpoint._id },
+                    {
+                        $set: {
+                            last_at: lastAt,
+                            last_id: lastId,
+                            updated_at: new Date(),
+                            locked_until: null,
+                            locked_by: null
+                        }
+                    }
+                );
+            });
+        }
+    }
+}
+
+module.exports = {
+    TriggerService,
+    validateTriggers,
+    EVENT_TYPES,
+    MISFIRE_POLICIES
+};
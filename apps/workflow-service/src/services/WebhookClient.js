@@ -0,0 +1,134 @@
+/**
+ * Outbound Webhook Client
+ *
+ * Sends JSON payloads with an HMAC-SHA256 signature and retries transient
+ * failures (network errors, 408, 429 and 5xx) with exponential backoff, or
+ * after the receiver's Retry-After. No wait is longer than the request
+ * timeout, so a receiver cannot hold a workflow step indefinitely.
+ *
+ * Receivers verify a request by computing
+ *   HMAC_SHA256(secret, `${X-Zone-Timestamp}.${rawBody}`)
+ * and comparing it to the hex digest in `X-Zone-Signature` (`sha256=<hex>`).
+ */
+
+const crypto = require('crypto');
+const axios = require('axios');
+
+const RETRYABLE_STATUS = new Set([408, 425, 429, 500, 502, 503, 504]);
+
+function signPayload(secret, timestamp, body) {
+    return crypto
+        .createHmac('sha256', secret)
+        .update(`${timestamp}.${body}`)
+        .digest('hex');
+}
+
+class WebhookClient {
+    constructor(options = {}) {
+        this.defaultSecret = options.secret || process.env.WORKFLOW_WEBHOOK_SECRET || null;
+        this.timeout = options.timeout || 10000;
+        this.maxRetries = options.maxRetries ?? 3;
+        this.baseDelay = options.baseDelay || 1000;
+        this.http = options.http || axios;
+    }
+
+    isRetryable(error) {
+        const status = error.response?.status;
+        if (!status) {
+            return true; // network error or timeout
+        }
+        return RETRYABLE_STATUS.has(status);
+    }
+
+    /**
+     * Wait before retry `attempt`: Retry-After (seconds or an HTTP date) when
+     * the receiver sent one, otherwise exponential backoff; at most `maxDelay`
+     */
+    getRetryDelay(attempt, error, maxDelay = this.timeout) {
+        let delay = this.baseDelay * Math.pow(2, attempt - 1);
+
+        const retryAfter = error.response?.headers?.['retry-after'];
+        if (retryAfter !== undefined && retryAfter !== '') {
+            const seconds = Number(retryAfter);
+            const wait = Number.isNaN(seconds) ? Date.parse(retryAfter) - Date.now() : seconds * 1000;
+            if (!Number.isNaN(wait)) {
+                delay = Math.max(wait, 0);
+            }
+        }
+
+        return Math.min(delay, maxDelay);
+    }
+
+    async send({ url, method = 'POST', payload = {}, headers = {}, secret, timeout, maxRetries, event }) {
+        if (!url) {
+            throw new Error('Webhook url is required');
+        }
+
+        const body = JSON.stringify(payload);
+        const signingSecret = secret || this.defaultSecret;
+        const retries = maxRetries ?? this.maxRetries;
+        const deliveryId = crypto.randomUUID();
+        const attempts = [];
+
+        for (let attempt = 1; attempt <= retries + 1; attempt++) {
+            const timestamp = Math.floor(Date.now() / 1000).toString();
+            const requestHeaders = {
+                'Content-Type': 'application/json',
+                'User-Agent': 'ZoneNews-Workflow/1.0',
+                'X-Zone-Delivery': deliveryId,
+                'X-Zone-Timestamp': timestamp,
+                ...headers
+            };
+
+            if (event) {
+                requestHeaders['X-Zone-Event'] = event;
+            }
+            if (signingSecret) {
+                requestHeaders['X-Zone-Signature'] = `sha256=${signPayload(signingSecret, timestamp, body)}`;
+            }
+
+            const startTime = Date.now();
+
+            try {
+                const response = await this.http.request({
+                    url,
+                    method,
+                    data: body,
+                    headers: requestHeaders,
+                    timeout: timeout || this.timeout,
+                    // Serialised above so the signature covers the exact bytes sent
+                    transformRequest: [(data) => data]
+                });
+
+                attempts.push({ attempt, status: response.status, duration_ms: Date.now() - startTime });
+
+                return {
+                    delivery_id: deliveryId,
+                    status: response.status,
+                    data: response.data,
+                    attempts
+                };
+            } catch (error) {
+                attempts.push({
+                    attempt,
+                    status: error.response?.status || null,
+                    error: error.message,
+                    duration_ms: Date.now() - startTime
+                });
+
+                if (attempt > retries || !this.isRetryable(error)) {
+                    error.deliveryId = deliveryId;
+                    error.attempts = attempts;
+                    throw error;
+                }
+
+                await new Promise(resolve => setTimeout(resolve, this.getRetryDelay(attempt, error, timeout || this.timeout)));
+            }
+        }
+    }
+}
+
+module.exports = {
+    WebhookClient,
+    signPayload
+};
@@ -3,16 +3,175 @@
  */
 
 const { EventEmitter } = require('events');
+const { AsyncLocalStorage } = require('async_hooks');
 const { logger } = require('../utils/logger');
 const { databaseCircuitBreaker } = require('../middleware/errorHandler');
+const { WebhookClient } = require('./WebhookClient');
+const { renderTemplate, loadTemplate, loadInlinePartials } = require('./TemplateRenderer');
+const { PARSE_MODES, parse: parseTemplate, escapeText } = require('../../../../libs/shared/src/template-engine');
+const { buildReport } = require('./ReportBuilder');
+const { evaluateExpression, validateExpression } = require('./ExpressionEvaluator');
+const { validateTriggers } = require('./TriggerService');
+const { WorkflowVersionStore } = require('./WorkflowVersionStore');
+const { TIMEOUT_ACTIONS, REJECT_ACTIONS, DEFAULT_APPROVAL_TIMEOUT_MS } = require('./ApprovalService');
+
+// Collections a generate_report step may read from, and the fields its
+// query, sort and fields may name there ("data.*": any field under data)
+const ARTICLE_FIELDS = ['_id', 'title', 'category', 'source', 'status', 'url', 'views', 'published_date', 'publishedAt', 'created_at'];
+const REPORTABLE_COLLECTIONS = {
+    articles: ARTICLE_FIELDS,
+    news_articles: ARTICLE_FIELDS,
+    posted_articles: ['_id', 'article_id', 'destination', 'destination_id', 'channel_id', 'message_id', 'message_type', 'schedule_id', 'posted_by', 'posted_at'],
+    analytics: ['_id', 'event', 'timestamp', 'date_key', 'workflow_execution_id', 'data.*'],
+    subscriptions: ['_id', 'user_id', 'tier', 'status', 'provider', 'started_at', 'expires_at', 'created_at', 'updated_at'],
+    payment_logs: ['_id', 'user_id', 'subscription_id', 'transaction_id', 'method', 'amount', 'currency', 'created_at'],
+    workflow_executions: ['_id', 'workflow_id', 'workflow_name', 'workflow_version', 'status', 'current_step', 'error', 'started_by', 'started_at', 'finished_at', 'retry_of', 'retry_count']
+};
+const REPORT_QUERY_OPERATORS = ['$eq', '$ne', '$gt', '$gte', '$lt', '$lte', '$in', '$nin', '$exists'];
+const MAX_REPORT_QUERY_DEPTH = 3;
+const REPORT_QUERY_TIMEOUT_MS = 10000;
+
+const SUBSCRIPTION_STATUSES = ['active', 'cancelled', 'expired', 'suspended'];
+
+// Config keys each step type needs before a workflow can be saved
+const REQUIRED_STEP_CONFIG = {
+    post_to_channel: [['channel_id', 'channels']],
+    send_notification: [['chat_id', 'user_ids'], ['message']],
+    webhook: [['url']],
+    track_event: [['event']],
+    create_user: [['user_id']],
+    update_subscription: [['user_id'], ['tier']],
+    update_subscription_status: [['status'], ['subscription_id', 'user_id']],
+    process_payment: [['transaction_id']],
+    condition: [['condition']],
+    parallel: [['branches']],
+    foreach: [['items'], ['steps']]
+};
+
+const STEP_ID_PATTERN = /^[A-Za-z0-9_-]+$/;
+const MAX_FOREACH_ITEMS = 1000;
+const MAX_APPROVAL_PREVIEW = 3500; // leaves room for the prompt header within Telegram's 4096 limit
+
+/**
+ * Problems with a generate_report query, sort and fields. Queries may only
+ * compare the collection's reportable fields with plain values, combined
+ * with $and/$or, so a step cannot run server-side JavaScript ($where,
+ * $function) or filter on data the report could not show.
+ */
+function checkReportQuery(collection, { query, sort, fields } = {}) {
+    const allowed = REPORTABLE_COLLECTIONS[collection];
+    if (!allowed) {
+        return [`collection not allowed in reports: ${collection}`];
+    }
+
+    const errors = [];
+    const isField = (name) => allowed.some(field => field === name || (field.endsWith('.*') && name.startsWith(field.slice(0, -1))));
+    const isValue = (value) => value === null || value instanceof Date || ['string', 'number', 'boolean'].includes(typeof value);
+    const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value) && !(value instanceof Date);
+
+    const checkCondition = (field, condition) => {
+        if (isValue(condition)) return;
+        if (!isObject(condition) || Object.keys(condition).some(key => !key.startsWith('$'))) {
+            errors.push(`query for ${field} must be a value or an object of operators`);
+            return;
+        }
+        for (const [operator, value] of Object.entries(condition)) {
+            if (!REPORT_QUERY_OPERATORS.includes(operator)) {
+                errors.push(`query operator not allowed in reports: ${operator}`);
+            } else if (operator === '$in' || operator === '$nin') {
+                if (!Array.isArray(value) || !value.every(isValue)) errors.push(`${operator} for ${field} must be a list of values`);
+            } else if (operator === '$exists') {
+                if (typeof value !== 'boolean') errors.push(`$exists for ${field} must be true or false`);
+            } else if (!isValue(value)) {
+                errors.push(`${operator} for ${field} must be a value`);
+            }
+        }
+    };
+
+    const checkQuery = (part, depth) => {
+        if (!isObject(part)) {
+            errors.push('query must be an object');
+            return;
+        }
+        for (const [key, condition] of Object.entries(part)) {
+            if (key === '$and' || key === '$or') {
+                if (!Array.isArray(condition) || depth >= MAX_REPORT_QUERY_DEPTH) {
+                    errors.push(`${key} must be a list of queries, nested at most ${MAX_REPORT_QUERY_DEPTH} deep`);
+                } else {
+                    condition.forEach(inner => checkQuery(inner, depth + 1));
+                }
+            } else if (key.startsWith('$')) {
+                errors.push(`query operator not allowed in reports: ${key}`);
+            } else if (!isField(key)) {
+                errors.push(`field not allowed in reports on ${collection}: ${key}`);
+            } else {
+                checkCondition(key, condition);
+            }
+        }
+    };
+
+    if (query !== undefined) {
+        checkQuery(query, 0);
+    }
+    if (sort !== undefined) {
+        if (!isObject(sort)) {
+            errors.push('sort must be an object of fields');
+        } else {
+            for (const [field, direction] of Object.entries(sort)) {
+                if (!isField(field)) errors.push(`field not allowed in reports on ${collection}: ${field}`);
+                if (direction !== 1 && direction !== -1) errors.push(`sort direction for ${field} must be 1 or -1`);
+            }
+        }
+    }
+    if (fields !== undefined) {
+        if (!Array.isArray(fields)) {
+            errors.push('fields must be a list of field names');
+        } else {
+            fields.filter(field => typeof field !== 'string' || !isField(field))
+                .forEach(field => errors.push(`field not allowed in reports on ${collection}: ${field}`));
+        }
+    }
+
+    return errors;
+}
+
+/**
+ * Minimal promise pool: run at most `concurrency` tasks at once.
+ */
+function createLimiter(concurrency) {
+    let active = 0;
+    const queue = [];
+
+    const next = () => {
+        if (active >= concurrency || queue.length === 0) {
+            return;
+        }
+        active++;
+        const { task, resolve, reject } = queue.shift();
+        task().then(resolve, reject).finally(() => {
+            active--;
+            next();
+        });
+    };
+
+    return (task) => new Promise((resolve, reject) => {
+        queue.push({ task, resolve, reject });
+        next();
+    });
+}
 
 class WorkflowEngine extends EventEmitter {
-    constructor(db, queues) {
+    constructor(db, queues, options = {}) {
         super();
         this.db = db;
         this.queues = queues;
+        this.telegram = options.telegramClient || null;
+        this.webhookClient = options.webhookClient || new WebhookClient();
+        this.versions = options.versionStore || new WorkflowVersionStore(db);
         this.activeExecutions = new Map();
         this.stepProcessors = new Map();
+        this.fanouts = new Map(); // executionId -> Map(groupKey -> fan-out group)
+        this.branchScope = new AsyncLocalStorage();
         this.isShuttingDown = false;
         this.healthStats = {
             executions: 0,
@@ -57,10 +216,20 @@ class WorkflowEngine extends EventEmitter {
                 await this.db.collection('workflow_executions').createIndex({ workflow_id: 1, status: 1 });
                 await this.db.collection('workflow_executions').createIndex({ started_at: -1 });
                 await this.db.collection('workflow_executions').createIndex({ status: 1, started_at: -1 });
+                await this.db.collection('workflow_executions').createIndex({ workflow_id: 1, workflow_version: 1 });
+                
+                // Approval indexes
+                await this.db.collection('workflow_approvals').createIndex({ execution_id: 1, step_index: 1 }, { unique: true });
+                await this.db.collection('workflow_approvals').createIndex({ status: 1, expires_at: 1 });
+                await this.db.collection('workflow_approvals').createIndex({ status: 1, resumed_at: 1 });
+                
+                // Version indexes
+                await this.db.collection('workflow_versions').createIndex({ workflow_id: 1, version: 1 }, { unique: true });
                 
                 // Log indexes
                 await this.db.collection('execution_logs').createIndex({ execution_id: 1, timestamp: 1 });
                 await this.db.collection('execution_logs').createIndex({ level: 1, timestamp: -1 });
+                await this.db.collection('execution_logs').createIndex({ execution_id: 1, branch: 1, timestamp: 1 });
             });
             
             logger.info('Database indexes ensured');
@@ -113,6 +282,14 @@ class WorkflowEngine extends EventEmitter {
         this.stepProcessors.set('webhook', this.processWebhook.bind(this));
         this.stepProcessors.set('condition', this.processCondition.bind(this));
         
+        // Flow control steps
+        this.stepProcessors.set('parallel', this.processParallel.bind(this));
+        this.stepProcessors.set('foreach', this.processForeach.bind(this));
+        this.stepProcessors.set('join', this.processJoin.bind(this));
+        
+        // Human-in-the-loop steps
+        this.stepProcessors.set('approval', this.processApproval.bind(this));
+        
         logger.info(`Registered ${this.stepProcessors.size} step processors`);
     }
 
@@ -161,15 +338,18 @@ class WorkflowEngine extends EventEmitter {
 
     async executeWorkflow(workflow, executionData) {
         try {
+            // The execution is pinned to this version, so make sure it has a snapshot
+            await this.versions.ensureVersion(workflow);
+            
             // Create execution record
             const execution = await databaseCircuitBreaker.execute(async () => {
                 const result = await this.db.collection('workflow_executions').insertOne({
                     ...executionData,
                     workflow_name: workflow.name,
-                    workflow_version: workflow.version,
+                    workflow_version: workflow.version || 1,
                     status: 'pending',
-                    current_step: 0,
-                    context: {},
+                    current_step: executionData.current_step || 0,
+                    context: executionData.context || {},
                     error: null,
                     finished_at: null
                 });
@@ -177,41 +357,7 @@ class WorkflowEngine extends EventEmitter {
                 return await this.db.collection('workflow_executions').findOne({ _id: result.insertedId });
             });
             
-            // Determine which queue to use
-            const queueName = this.getQueueForWorkflow(workflow);
-            const queue = this.queues[queueName];
-            
-            if (!queue) {
-                throw new Error(`Queue ${queueName} not found`);
-            }
-            
-            // Add to queue
-            const job = await queue.add('workflow-execution', {
-                executionId: execution._id,
-                workflowId: workflow._id,
-                priority: executionData.priority || 5
-            }, {
-                priority: executionData.priority || 5,
-                attempts: 3,
-                backoff: {
-                    type: 'exponential',
-                    delay: 2000
-                }
-            });
-            
-            this.activeExecutions.set(execution._id.toString(), {
-                execution,
-                workflow,
-                jobId: job.id,
-                queueName
-            });
-            
-            logger.info('Workflow execution queued', {
-                executionId: execution._id,
-                workflowId: workflow._id,
-                queue: queueName,
-                jobId: job.id
-            });
+            await this.enqueueExecution(workflow, execution);
             
             return execution;
         } catch (error) {
@@ -220,6 +366,46 @@ class WorkflowEngine extends EventEmitter {
         }
     }
 
+    async enqueueExecution(workflow, execution) {
+        // Determine which queue to use
+        const queueName = this.getQueueForWorkflow(workflow);
+        const queue = this.queues[queueName];
+        
+        if (!queue) {
+            throw new Error(`Queue ${queueName} not found`);
+        }
+        
+        // Add to queue
+        const job = await queue.add('workflow-execution', {
+            executionId: execution._id,
+            workflowId: workflow._id,
+            priority: execution.priority || 5
+        }, {
+            priority: execution.priority || 5,
+            attempts: 3,
+            backoff: {
+                type: 'exponential',
+                delay: 2000
+            }
+        });
+        
+        this.activeExecutions.set(execution._id.toString(), {
+            execution,
+            workflow,
+            jobId: job.id,
+            queueName
+        });
+        
+        logger.info('Workflow execution queued', {
+            executionId: execution._id,
+            workflowId: workflow._id,
+            queue: queueName,
+            jobId: job.id
+        });
+        
+        return job;
+    }
+
     async processExecution(jobData) {
         const { executionId, workflowId } = jobData;
         
@@ -232,12 +418,11 @@ class WorkflowEngine extends EventEmitter {
                 throw new Error('Execution not found');
             }
             
-            const workflow = await databaseCircuitBreaker.execute(async () => {
-                return await this.db.collection('workflows').findOne({ _id: workflowId });
-            });
+            // Run the definition the execution was pinned to, not the latest edit
+            const workflow = await this.versions.resolveWorkflow(workflowId, execution.workflow_version);
             
             if (!workflow) {
-                throw new Error('Workflow not found');
+                throw new Error(`Workflow version ${execution.workflow_version} not found`);
             }
             
             // Update execution status to running
@@ -260,18 +445,18 @@ class WorkflowEngine extends EventEmitter {
                 await this.logExecution(executionId, 'info', `Starting step ${i + 1}: ${step.type}`, { step });
                 
                 try {
-                    const processor = this.stepProcessors.get(step.type);
-                    if (!processor) {
-                        throw new Error(`No processor found for step type: ${step.type}`);
-                    }
-                    
-                    const stepResult = await processor(step, context, execution);
+                    const stepResult = await this.runStep(step, i, context, execution);
                     
                     // Update context with step result
                     if (stepResult && stepResult.context) {
                         context = { ...context, ...stepResult.context };
                     }
                     
+                    // Approval steps park the execution until a decision resumes it at the next step
+                    if (stepResult && stepResult.pause) {
+                        return await this.pauseExecution(execution, workflowId, i + 1, context, stepResult.pause);
+                    }
+                    
                     // Update execution progress
                     await databaseCircuitBreaker.execute(async () => {
                         return await this.db.collection('workflow_executions').updateOne(
@@ -292,7 +477,7 @@ class WorkflowEngine extends EventEmitter {
                     });
                     
                     // Check for conditional branching
-                    if (stepResult && stepResult.skipToStep) {
+                    if (stepResult && stepResult.skipToStep !== undefined) {
                         i = stepResult.skipToStep - 1; // -1 because loop will increment
                         continue;
                     }
@@ -321,6 +506,9 @@ class WorkflowEngine extends EventEmitter {
                 }
             }
             
+            // Wait for any parallel/foreach branches that no join step collected
+            context = await this.joinPendingFanouts(execution, context);
+            
             // Mark execution as completed
             await databaseCircuitBreaker.execute(async () => {
                 return await this.db.collection('workflow_executions').updateOne(
@@ -338,6 +526,7 @@ class WorkflowEngine extends EventEmitter {
             await this.logExecution(executionId, 'info', 'Execution completed successfully');
             
             this.activeExecutions.delete(executionId.toString());
+            this.fanouts.delete(executionId.toString());
             this.healthStats.executions++;
             
             this.emit('executionCompleted', { executionId, workflowId, context });
@@ -346,6 +535,7 @@ class WorkflowEngine extends EventEmitter {
             
         } catch (error) {
             await this.markExecutionAsFailed(executionId, error.message);
+            this.cancelFanouts(executionId);
             this.healthStats.failures++;
             
             this.emit('executionFailed', { executionId, workflowId, error: error.message });
@@ -354,6 +544,163 @@ class WorkflowEngine extends EventEmitter {
         }
     }
 
+    async pauseExecution(execution, workflowId, nextStep, context, waitingFor) {
+        const executionId = execution._id;
+        
+        // Branch state lives in memory, so collect outstanding fan-outs before parking
+        context = await this.joinPendingFanouts(execution, context);
+        
+        await databaseCircuitBreaker.execute(async () => {
+            return await this.db.collection('workflow_executions').updateOne(
+                { _id: executionId },
+                { 
+                    $set: { 
+                        status: 'waiting_approval',
+                        current_step: nextStep,
+                        context,
+                        waiting_for: waitingFor,
+                        updated_at: new Date()
+                    }
+                }
+            );
+        });
+        
+        await this.logExecution(executionId, 'info', 'Execution paused for approval', waitingFor);
+        
+        this.activeExecutions.delete(executionId.toString());
+        this.fanouts.delete(executionId.toString());
+        
+        this.emit('executionPaused', { executionId, workflowId, waitingFor });
+        
+        return { success: true, paused: true, context };
+    }
+
+    /**
+     * Continue an execution parked by an approval step once the approval has
+     * been decided. The decision (and any edited content) is added to the
+     * context under the step's `as` key before the next step runs.
+     */
+    async resumeApproval(approval) {
+        const executionId = approval.execution_id;
+        
+        const execution = await databaseCircuitBreaker.execute(async () => {
+            return await this.db.collection('workflow_executions').findOne({ _id: executionId });
+        });
+        
+        // An execution already set back to pending by this approval had its
+        // enqueue fail last time (the approval is only resumed again after an
+        // error), so it still needs its job
+        const requeue = execution?.status === 'pending' &&
+            execution.resumed_by?.toString() === approval._id.toString();
+        
+        if (!execution || (execution.status !== 'waiting_approval' && !requeue)) {
+            logger.warn('Approval decided for an execution that is not waiting', {
+                approvalId: approval._id,
+                executionId,
+                status: execution?.status
+            });
+            return false;
+        }
+        
+        const approved = approval.status === 'approved';
+        const context = {
+            ...execution.context,
+            [approval.as]: {
+                approval_id: approval._id.toString(),
+                decision: approval.status,
+                approved,
+                decided_by: approval.decided_by,
+                decided_via: approval.decided_via,
+                decided_at: approval.decided_at,
+                timed_out: approval.decided_via === 'timeout',
+                comment: approval.comment || null,
+                edited_content: approval.edited_content || null
+            }
+        };
+        
+        if (approved && approval.edited_content) {
+            if (approval.edit_key) {
+                context[approval.edit_key] = approval.edited_content;
+            } else {
+                context.formatted_content = approval.edited_content;
+                context.formatted_messages = [approval.edited_content];
+            }
+        }
+        
+        await this.logExecution(executionId, 'info', `Approval ${approval.status} by ${approval.decided_by}`, {
+            approval_id: approval._id,
+            via: approval.decided_via,
+            edited: Boolean(approval.edited_content)
+        });
+        
+        if (!approved && approval.on_reject === 'fail') {
+            await databaseCircuitBreaker.execute(async () => {
+                return await this.db.collection('workflow_executions').updateOne(
+                    { _id: executionId },
+                    { $set: { context, waiting_for: null } }
+                );
+            });
+            await this.markExecutionAsFailed(executionId, `Approval rejected by ${approval.decided_by}`);
+            return true;
+        }
+        
+        if (!approved && approval.on_reject === 'stop') {
+            await databaseCircuitBreaker.execute(async () => {
+                return await this.db.collection('workflow_executions').updateOne(
+                    { _id: executionId },
+                    { 
+                        $set: { 
+                            status: 'completed',
+                            context,
+                            final_context: context,
+                            waiting_for: null,
+                            finished_at: new Date()
+                        }
+                    }
+                );
+            });
+            await this.logExecution(executionId, 'info', 'Execution stopped after rejected approval');
+            return true;
+        }
+        
+        const updated = requeue ? execution : await databaseCircuitBreaker.execute(async () => {
+            const result = await this.db.collection('workflow_executions').updateOne(
+                { _id: executionId, status: 'waiting_approval' },
+                { $set: { status: 'pending', context, waiting_for: null, resumed_by: approval._id, updated_at: new Date() } }
+            );
+            if (result.modifiedCount === 0) {
+                return null;
+            }
+            return await this.db.collection('workflow_executions').findOne({ _id: executionId });
+        });
+        
+        if (!updated) {
+            logger.warn('Execution left waiting_approval before it could be resumed', {
+                approvalId: approval._id,
+                executionId
+            });
+            return false;
+        }
+        
+        const workflow = await this.versions.resolveWorkflow(execution.workflow_id, execution.workflow_version);
+        if (!workflow) {
+            await this.markExecutionAsFailed(executionId, `Workflow version ${execution.workflow_version} not found`);
+            return true;
+        }
+        
+        await this.enqueueExecution(workflow, updated);
+        return true;
+    }
+
+    async runStep(step, index, context, execution) {
+        const processor = this.stepProcessors.get(step.type);
+        if (!processor) {
+            throw new Error(`No processor found for step type: ${step.type}`);
+        }
+        
+        return await processor(step, context, execution, { index });
+    }
+
     async markExecutionAsFailed(executionId, errorMessage) {
         try {
             await databaseCircuitBreaker.execute(async () => {
@@ -382,11 +729,15 @@ class WorkflowEngine extends EventEmitter {
 
     async logExecution(executionId, level, message, data = {}) {
         try {
+            // Entries written while a parallel/foreach branch runs are tagged with its id
+            const branch = this.branchScope.getStore()?.branch || null;
+            
             await databaseCircuitBreaker.execute(async () => {
                 return await this.db.collection('execution_logs').insertOne({
                     execution_id: executionId,
                     level,
                     message,
+                    branch,
                     timestamp: new Date(),
                     data
                 });
@@ -426,27 +777,233 @@ class WorkflowEngine extends EventEmitter {
             errors.push('Workflow must have at least one step');
         }
         
-        for (let i = 0; i < workflow.steps.length; i++) {
-            const step = workflow.steps[i];
+        errors.push(...this.validateSteps(workflow.steps || [], (i) => `Step ${i + 1}`, false));
+        errors.push(...validateTriggers(workflow.triggers));
+        
+        return {
+            valid: errors.length === 0,
+            errors
+        };
+    }
+
+    /**
+     * Validate a list of steps. Called recursively for the steps inside
+     * parallel branches and foreach bodies; `label` names a step in errors.
+     */
+    validateSteps(steps, label, nested = true) {
+        const errors = [];
+        const fanoutIds = [];
+        const seenIds = new Set();
+        
+        for (let i = 0; i < steps.length; i++) {
+            const step = steps[i];
             
             if (!step.type) {
-                errors.push(`Step ${i + 1} must have a type`);
+                errors.push(`${label(i)} must have a type`);
                 continue;
             }
             
             if (!this.stepProcessors.has(step.type)) {
-                errors.push(`Step ${i + 1} has unknown type: ${step.type}`);
+                errors.push(`${label(i)} has unknown type: ${step.type}`);
+            }
+            
+            if (step.id !== undefined) {
+                if (typeof step.id !== 'string' || !STEP_ID_PATTERN.test(step.id)) {
+                    errors.push(`${label(i)} id may only contain letters, numbers, "_" and "-"`);
+                } else if (seenIds.has(step.id)) {
+                    errors.push(`${label(i)} id "${step.id}" is used more than once`);
+                }
+                seenIds.add(step.id);
             }
             
             if (!step.config) {
-                errors.push(`Step ${i + 1} must have config`);
+                errors.push(`${label(i)} must have config`);
+                continue;
+            }
+            
+            for (const alternatives of REQUIRED_STEP_CONFIG[step.type] || []) {
+                if (!alternatives.some(key => step.config[key] !== undefined && step.config[key] !== '')) {
+                    errors.push(`${label(i)} (${step.type}) requires config.${alternatives.join(' or config.')}`);
+                }
+            }
+            
+            if (step.type === 'condition') {
+                errors.push(...this.validateConditionStep(step, label(i), steps.length));
+            }
+            
+            // Queries given as a ${placeholder} are checked when the step runs
+            if (step.type === 'generate_report' && typeof step.config.collection === 'string' && !step.config.collection.includes('${')) {
+                const { query, sort, fields } = step.config;
+                errors.push(...checkReportQuery(step.config.collection, {
+                    query: typeof query === 'string' ? undefined : query,
+                    sort: typeof sort === 'string' ? undefined : sort,
+                    fields: typeof fields === 'string' ? undefined : fields
+                }).map(error => `${label(i)} ${error}`));
+            }
+            
+            if (step.type === 'format_content' && typeof step.config.template === 'string') {
+                try {
+                    parseTemplate(step.config.template);
+                } catch (error) {
+                    errors.push(`${label(i)} template is invalid: ${error.message}`);
+                }
+            }
+            
+            if (step.type === 'parallel' || step.type === 'foreach') {
+                errors.push(...this.validateFanoutStep(step, label(i)));
+                fanoutIds.push(step.id || `step_${i}`);
+            }
+            
+            if (step.type === 'join') {
+                errors.push(...this.validateJoinStep(step, label(i), fanoutIds));
+            }
+            
+            if (step.type === 'approval') {
+                errors.push(...this.validateApprovalStep(step, label(i), nested));
             }
         }
         
-        return {
-            valid: errors.length === 0,
-            errors
-        };
+        return errors;
+    }
+
+    validateConditionStep(step, label, stepCount) {
+        const errors = [];
+        const { condition, onTrue, onFalse } = step.config;
+        
+        if (typeof condition === 'string' && condition.trim() !== '') {
+            const result = validateExpression(condition);
+            if (!result.valid) {
+                errors.push(`${label} condition is invalid: ${result.error}`);
+            }
+        } else if (condition !== undefined) {
+            errors.push(`${label} condition must be a string expression`);
+        }
+        
+        // onTrue/onFalse are zero-based indexes into the steps array
+        for (const [key, target] of [['onTrue', onTrue], ['onFalse', onFalse]]) {
+            if (target === undefined || target === null) continue;
+            if (!Number.isInteger(target) || target < 0 || target >= stepCount) {
+                errors.push(`${label} ${key} must be a step index between 0 and ${stepCount - 1}`);
+            }
+        }
+        
+        return errors;
+    }
+
+    validateFanoutStep(step, label) {
+        const errors = [];
+        const { max_concurrency } = step.config;
+        
+        if (max_concurrency !== undefined && (!Number.isInteger(max_concurrency) || max_concurrency < 1)) {
+            errors.push(`${label} max_concurrency must be a positive integer`);
+        }
+        
+        if (step.type === 'foreach') {
+            if (typeof step.config.items !== 'string' && !Array.isArray(step.config.items)) {
+                errors.push(`${label} items must be an array or a \${path} to one`);
+            }
+            if (step.config.as !== undefined && !/^[A-Za-z_][\w]*$/.test(step.config.as)) {
+                errors.push(`${label} as must be a plain variable name`);
+            }
+            if (!Array.isArray(step.config.steps) || step.config.steps.length === 0) {
+                errors.push(`${label} steps must be a non-empty array`);
+            } else {
+                errors.push(...this.validateSteps(step.config.steps, (i) => `${label} > step ${i + 1}`));
+            }
+            return errors;
+        }
+        
+        const { branches } = step.config;
+        if (!Array.isArray(branches) || branches.length === 0) {
+            errors.push(`${label} branches must be a non-empty array`);
+            return errors;
+        }
+        
+        const names = new Set();
+        branches.forEach((branch, b) => {
+            const name = branch.name !== undefined ? branch.name : String(b);
+            const branchLabel = `${label} > branch "${name}"`;
+            
+            if (typeof name !== 'string' || !STEP_ID_PATTERN.test(name)) {
+                errors.push(`${branchLabel} name may only contain letters, numbers, "_" and "-"`);
+            } else if (names.has(name)) {
+                errors.push(`${branchLabel} name is used more than once`);
+            }
+            names.add(name);
+            
+            if (!Array.isArray(branch.steps) || branch.steps.length === 0) {
+                errors.push(`${branchLabel} must have at least one step`);
+            } else {
+                errors.push(...this.validateSteps(branch.steps, (i) => `${branchLabel} step ${i + 1}`));
+            }
+        });
+        
+        return errors;
+    }
+
+    validateJoinStep(step, label, fanoutIds) {
+        const errors = [];
+        const { branches, require: required, timeout_ms } = step.config;
+        
+        if (fanoutIds.length === 0) {
+            errors.push(`${label} join must come after a parallel or foreach step`);
+        }
+        
+        for (const id of branches === undefined ? [] : [].concat(branches)) {
+            if (!fanoutIds.includes(id)) {
+                errors.push(`${label} join references unknown parallel/foreach step "${id}"`);
+            }
+        }
+        
+        if (required !== undefined && required !== 'all' && required !== 'any' &&
+            !(Number.isInteger(required) && required > 0)) {
+            errors.push(`${label} require must be "all", "any" or a positive number of branches`);
+        }
+        
+        if (timeout_ms !== undefined && (!Number.isInteger(timeout_ms) || timeout_ms <= 0)) {
+            errors.push(`${label} timeout_ms must be a positive integer`);
+        }
+        
+        return errors;
+    }
+
+    validateApprovalStep(step, label, nested) {
+        const errors = [];
+        const { approvers, on_timeout, on_reject, timeout, as } = step.config;
+        
+        if (nested) {
+            errors.push(`${label} approval steps cannot run inside parallel or foreach branches`);
+        }
+        
+        if (!(typeof approvers === 'string' && approvers.includes('${')) && this.toList(approvers).length === 0) {
+            errors.push(`${label} approvers must list at least one Telegram user id`);
+        }
+        
+        if (on_timeout !== undefined && !TIMEOUT_ACTIONS.includes(on_timeout)) {
+            errors.push(`${label} on_timeout must be one of: ${TIMEOUT_ACTIONS.join(', ')}`);
+        }
+        
+        if (on_reject !== undefined && !REJECT_ACTIONS.includes(on_reject)) {
+            errors.push(`${label} on_reject must be one of: ${REJECT_ACTIONS.join(', ')}`);
+        }
+        
+        if (timeout !== undefined && !(typeof timeout === 'string' && timeout.includes('${'))) {
+            try {
+                this.parseDuration(timeout);
+            } catch (error) {
+                errors.push(`${label} ${error.message}`);
+            }
+        }
+        
+        if (as !== undefined && !/^[A-Za-z_][\w]*$/.test(as)) {
+            errors.push(`${label} as must be a plain variable name`);
+        }
+        
+        return errors;
+    }
+
+    setTelegramClient(client) {
+        this.telegram = client;
     }
 
     async cancelExecution(executionId) {
@@ -465,6 +1022,16 @@ class WorkflowEngine extends EventEmitter {
                 this.activeExecutions.delete(executionId.toString());
             }
             
+            this.cancelFanouts(executionId);
+            
+            // Withdraw any approval the execution is waiting on
+            await databaseCircuitBreaker.execute(async () => {
+                return await this.db.collection('workflow_approvals').updateMany(
+                    { execution_id: executionId, status: 'pending' },
+                    { $set: { status: 'cancelled', decided_at: new Date(), decided_via: 'cancel' } }
+                );
+            });
+            
             await this.logExecution(executionId, 'info', 'Execution cancelled by user');
             
             return { success: true };
@@ -559,109 +1126,1116 @@ class WorkflowEngine extends EventEmitter {
     }
 
     // Step Processors Implementation
-    async processFetchNews(step, context, execution) {
-        // Implementation would depend on your news service
-        await this.logExecution(execution._id, 'debug', 'Fetching news...', { step });
-        return { context: { news_fetched: true } };
-    }
 
-    async processFormatContent(step, context, execution) {
-        // Implementation for content formatting
-        await this.logExecution(execution._id, 'debug', 'Formatting content...', { step });
-        return { context: { content_formatted: true } };
-    }
+    /**
+     * Resolve `${path}` placeholders in a step config against the execution
+     * context. A value that is exactly one placeholder keeps its original type
+     * (arrays, numbers, objects); placeholders inside longer strings are
+     * interpolated as text.
+     */
+    resolveConfig(step, context, execution) {
+        const scope = { ...context, input: execution.input || {} };
 
-    async processPostToChannel(step, context, execution) {
-        // Implementation for posting to channel
-        await this.logExecution(execution._id, 'debug', 'Posting to channel...', { step });
-        return { context: { posted: true } };
-    }
+        const resolve = (value) => {
+            if (typeof value === 'string') {
+                const whole = value.match(/^\$\{([^}]+)\}$/);
+                if (whole) {
+                    return this.getValueFromPath(scope, whole[1].trim());
+                }
+                return value.replace(/\$\{([^}]+)\}/g, (match, path) => {
+                    const resolved = this.getValueFromPath(scope, path.trim());
+                    return resolved === undefined || resolved === null ? '' : String(resolved);
+                });
+            }
+            if (Array.isArray(value)) {
+                return value.map(resolve);
+            }
+            if (value && typeof value === 'object' && !(value instanceof Date)) {
+                return Object.fromEntries(Object.entries(value).map(([key, val]) => [key, resolve(val)]));
+            }
+            return value;
+        };
 
-    async processSendNotification(step, context, execution) {
-        // Implementation for sending notifications
-        await this.logExecution(execution._id, 'debug', 'Sending notification...', { step });
-        return { context: { notification_sent: true } };
+        return resolve(step.config || {});
     }
 
-    async processCreateUser(step, context, execution) {
-        // Implementation for user creation
-        await this.logExecution(execution._id, 'debug', 'Creating user...', { step });
-        return { context: { user_created: true } };
+    requireTelegram() {
+        if (!this.telegram) {
+            throw new Error('Telegram client is not configured (set TELEGRAM_BOT_TOKEN)');
+        }
+        return this.telegram;
     }
 
-    async processUpdateSubscription(step, context, execution) {
-        // Implementation for subscription update
-        await this.logExecution(execution._id, 'debug', 'Updating subscription...', { step });
-        return { context: { subscription_updated: true } };
+    toList(value) {
+        if (value === undefined || value === null || value === '') {
+            return [];
+        }
+        return Array.isArray(value) ? value : [value];
     }
 
-    async processSendWelcome(step, context, execution) {
-        // Implementation for welcome message
-        await this.logExecution(execution._id, 'debug', 'Sending welcome message...', { step });
-        return { context: { welcome_sent: true } };
-    }
+    parseSince(since) {
+        const relative = String(since).match(/^(\d+)\s*([mhdw])$/);
+        if (relative) {
+            const units = { m: 60000, h: 3600000, d: 86400000, w: 604800000 };
+            return new Date(Date.now() - parseInt(relative[1], 10) * units[relative[2]]);
+        }
 
-    async processTrackEvent(step, context, execution) {
-        // Implementation for event tracking
-        await this.logExecution(execution._id, 'debug', 'Tracking event...', { step });
-        return { context: { event_tracked: true } };
+        const date = new Date(since);
+        if (Number.isNaN(date.getTime())) {
+            throw new Error(`Invalid "since" value: ${since}`);
+        }
+        return date;
     }
 
-    async processGenerateReport(step, context, execution) {
-        // Implementation for report generation
-        await this.logExecution(execution._id, 'debug', 'Generating report...', { step });
-        return { context: { report_generated: true } };
-    }
+    /**
+     * Durations as milliseconds or '30m' / '6h' / '2d' / '1w'.
+     */
+    parseDuration(value) {
+        if (Number.isInteger(value) && value > 0) {
+            return value;
+        }
+
+        const match = String(value).match(/^(\d+)\s*([smhdw])$/);
+        if (match && parseInt(match[1], 10) > 0) {
+            const units = { s: 1000, m: 60000, h: 3600000, d: 86400000, w: 604800000 };
+            return parseInt(match[1], 10) * units[match[2]];
+        }
+
+        throw new Error(`Invalid duration: ${value} (use milliseconds or e.g. "30m", "6h", "2d")`);
+    }
+
+    async processFetchNews(step, context, execution) {
+        const config = this.resolveConfig(step, context, execution);
+        const filter = {};
+
+        const categories = this.toList(config.category);
+        if (categories.length > 0) filter.category = { $in: categories };
+
+        const sources = this.toList(config.source);
+        if (sources.length > 0) filter.source = { $in: sources };
+
+        if (config.location) filter.location = config.location;
+        if (config.since) filter.publishedAt = { $gte: this.parseSince(config.since) };
+        if (config.unposted) filter.posted_to_channel = { $ne: true };
+
+        const limit = Math.min(Math.max(parseInt(config.limit, 10) || 10, 1), 100);
+
+        const articles = await databaseCircuitBreaker.execute(async () => {
+            return await this.db.collection('articles')
+                .find(filter)
+                .sort({ publishedAt: -1 })
+                .limit(limit)
+                .toArray();
+        });
+
+        await this.logExecution(execution._id, 'debug', `Fetched ${articles.length} articles`, { filter, limit });
+
+        if (articles.length === 0 && config.required) {
+            throw new Error('No articles matched the fetch_news filters');
+        }
+
+        return {
+            context: {
+                articles: articles.map(article => ({
+                    id: article._id.toString(),
+                    title: article.title,
+                    summary: article.summary || article.content?.substring(0, 200) || '',
+                    content: article.content || '',
+                    category: article.category || 'General',
+                    source: article.source || 'Zone News',
+                    url: article.url || null,
+                    image: article.images?.[0] || article.image || null,
+                    published_at: article.publishedAt || null
+                })),
+                article_count: articles.length
+            }
+        };
+    }
+
+    async processFormatContent(step, context, execution) {
+        const config = this.resolveConfig(step, context, execution);
+        let content = config.template;
+        let partials;
+
+        if (content) {
+            partials = await databaseCircuitBreaker.execute(async () => {
+                return await loadInlinePartials(this.db, content, config);
+            });
+        } else {
+            const template = await databaseCircuitBreaker.execute(async () => {
+                return await loadTemplate(this.db, config);
+            });
+            if (!template) {
+                throw new Error('Template not found for format_content step');
+            }
+            content = template.content;
+            partials = template.partials;
+        }
+
+        const parseMode = config.parse_mode || 'Markdown';
+        const items = this.toList(config.items !== undefined ? config.items : context.articles);
+        const variables = config.variables || {};
+
+        // One message per item; a single message from the context when there is nothing to iterate
+        const messages = items.length > 0
+            ? items.map(item => renderTemplate(content, { ...context, ...variables, ...item, link: item.url }, { parseMode, partials }))
+            : [renderTemplate(content, { ...context, ...variables }, { parseMode, partials })];
+
+        await this.logExecution(execution._id, 'debug', `Formatted ${messages.length} messages`, { parseMode });
+
+        return {
+            context: {
+                formatted_messages: messages,
+                formatted_content: messages[0],
+                parse_mode: parseMode
+            }
+        };
+    }
+
+    async processPostToChannel(step, context, execution, { index } = {}) {
+        const config = this.resolveConfig(step, context, execution);
+        const telegram = this.requireTelegram();
+
+        const channels = this.toList(config.channels || config.channel_id);
+        if (channels.length === 0) {
+            throw new Error('post_to_channel requires channel_id or channels');
+        }
+
+        const messages = this.toList(config.text || context.formatted_messages || context.formatted_content);
+        if (messages.length === 0) {
+            throw new Error('Nothing to post: set config.text or run format_content first');
+        }
+
+        const options = {
+            parse_mode: config.parse_mode || context.parse_mode || undefined,
+            disable_web_page_preview: config.disable_web_page_preview ?? false
+        };
+        if (config.reply_markup) options.reply_markup = config.reply_markup;
+
+        // Bull retries a failed job from this step, so messages that already
+        // went out are recorded per execution, step and chat and not sent again
+        const branch = this.branchScope.getStore()?.branch;
+        const stepKey = `${execution._id}:${branch ? `${branch}/` : ''}${index}`;
+        
+        const posted = [];
+        for (const channel of channels) {
+            for (const [position, text] of messages.entries()) {
+                const result = await this.sendOnce(`${stepKey}:${channel}:${position}`, () => telegram.sendMessage(channel, text, options));
+                if (result) {
+                    posted.push({ chat_id: channel, message_id: result.message_id, ...(result.duplicate && { duplicate: true }) });
+                }
+            }
+        }
+
+        await this.logExecution(execution._id, 'info', `Posted ${posted.length} messages to ${channels.length} channels`, { posted });
+
+        if (config.mark_posted && Array.isArray(context.articles) && context.articles.length > 0) {
+            const { ObjectId } = require('mongodb');
+            await databaseCircuitBreaker.execute(async () => {
+                return await this.db.collection('articles').updateMany(
+                    { _id: { $in: context.articles.map(article => new ObjectId(article.id)) } },
+                    { $set: { posted_to_channel: true, posted_at: new Date() } }
+                );
+            });
+        }
+
+        return { context: { posted_messages: posted } };
+    }
+
+    /**
+     * Send a channel post at most once for `key`. Returns the message (with
+     * `duplicate` set when an earlier attempt sent it), or null when an
+     * earlier attempt was interrupted mid-send and may have posted already.
+     */
+    async sendOnce(key, send) {
+        const posts = this.db.collection('channel_posts');
+        
+        try {
+            await databaseCircuitBreaker.execute(async () => {
+                return await posts.insertOne({ _id: key, status: 'sending', started_at: new Date() });
+            });
+        } catch (error) {
+            if (error.code !== 11000) {
+                throw error;
+            }
+            
+            const previous = await posts.findOne({ _id: key });
+            if (previous?.status === 'sent') {
+                return { message_id: previous.message_id, duplicate: true };
+            }
+            
+            const reclaimed = await posts.updateOne(
+                { _id: key, status: 'failed' },
+                { $set: { status: 'sending', started_at: new Date() } }
+            );
+            if (reclaimed.modifiedCount === 0) {
+                logger.warn('Skipping channel post an earlier attempt may have sent', { key });
+                return null;
+            }
+        }
+        
+        let result;
+        try {
+            result = await send();
+        } catch (error) {
+            await posts.updateOne({ _id: key }, { $set: { status: 'failed', error: error.message } });
+            throw error;
+        }
+        
+        await posts.updateOne(
+            { _id: key },
+            { $set: { status: 'sent', message_id: result.message_id, sent_at: new Date() } }
+        );
+        return result;
+    }
+
+    async processSendNotification(step, context, execution) {
+        const config = this.resolveConfig(step, context, execution);
+        const telegram = this.requireTelegram();
+
+        const recipients = this.toList(config.user_ids || config.chat_id);
+        if (recipients.length === 0) {
+            throw new Error('send_notification requires chat_id or user_ids');
+        }
+        if (!config.message) {
+            throw new Error('send_notification requires a message');
+        }
+
+        const sent = [];
+        const failed = [];
+        for (const recipient of recipients) {
+            try {
+                await telegram.sendMessage(recipient, config.message, { parse_mode: config.parse_mode });
+                sent.push(recipient);
+            } catch (error) {
+                failed.push({ chat_id: recipient, error: error.message });
+            }
+        }
+
+        await this.logExecution(execution._id, failed.length ? 'warn' : 'debug',
+            `Notification sent to ${sent.length}/${recipients.length} recipients`, { failed });
+
+        if (sent.length === 0) {
+            throw new Error(`Notification failed for all recipients: ${failed[0].error}`);
+        }
+
+        return { context: { notifications_sent: sent.length, notifications_failed: failed } };
+    }
+
+    async processCreateUser(step, context, execution) {
+        const config = this.resolveConfig(step, context, execution);
+        const userId = Number(config.user_id);
+        if (!userId) {
+            throw new Error('create_user requires a numeric user_id');
+        }
+
+        const result = await databaseCircuitBreaker.execute(async () => {
+            return await this.db.collection('users').updateOne(
+                { user_id: userId },
+                {
+                    $setOnInsert: {
+                        user_id: userId,
+                        username: config.username || null,
+                        first_name: config.first_name || null,
+                        last_name: config.last_name || null,
+                        created_at: new Date()
+                    },
+                    $set: { updated_at: new Date() }
+                },
+                { upsert: true }
+            );
+        });
+
+        const created = result.upsertedCount > 0;
+        await this.logExecution(execution._id, 'debug', created ? 'User created' : 'User already exists', { userId });
+
+        return { context: { user_id: userId, user_created: created } };
+    }
+
+    async processUpdateSubscription(step, context, execution) {
+        const config = this.resolveConfig(step, context, execution);
+        const userId = Number(config.user_id);
+        if (!userId || !config.tier) {
+            throw new Error('update_subscription requires user_id and tier');
+        }
+
+        const now = new Date();
+        const expiresAt = config.expires_at
+            ? new Date(config.expires_at)
+            : new Date(now.getTime() + (parseInt(config.duration_days, 10) || 30) * 86400000);
+
+        const result = await databaseCircuitBreaker.execute(async () => {
+            return await this.db.collection('subscriptions').findOneAndUpdate(
+                { user_id: userId, status: 'active' },
+                {
+                    $set: {
+                        tier: config.tier,
+                        billing_cycle: config.billing_cycle || 'monthly',
+                        expires_at: expiresAt,
+                        updated_at: now
+                    },
+                    $setOnInsert: {
+                        user_id: userId,
+                        status: 'active',
+                        payment_method: config.payment_method || 'workflow',
+                        started_at: now,
+                        auto_renew: false
+                    }
+                },
+                { upsert: true, returnDocument: 'after' }
+            );
+        });
+
+        await this.logExecution(execution._id, 'debug', `Subscription set to ${config.tier}`, { userId, expiresAt });
+
+        return {
+            context: {
+                subscription_id: result?._id?.toString(),
+                subscription_tier: config.tier,
+                subscription_expires_at: expiresAt
+            }
+        };
+    }
+
+    async processSendWelcome(step, context, execution) {
+        const config = this.resolveConfig(step, context, execution);
+        const telegram = this.requireTelegram();
+        const userId = config.user_id || context.user_id;
+        if (!userId) {
+            throw new Error('send_welcome requires user_id');
+        }
+
+        const user = await databaseCircuitBreaker.execute(async () => {
+            return await this.db.collection('users').findOne({ user_id: Number(userId) });
+        });
+
+        const message = renderTemplate(
+            config.message || '👋 Welcome to Zone News, {{firstname}}!\n\nUse /help to see what I can do.',
+            { firstname: user?.first_name || 'there', username: user?.username || '' },
+            { parseMode: config.parse_mode }
+        );
+
+        const result = await telegram.sendMessage(userId, message, { parse_mode: config.parse_mode });
+
+        return { context: { welcome_sent: true, welcome_message_id: result.message_id } };
+    }
+
+    async processTrackEvent(step, context, execution) {
+        const config = this.resolveConfig(step, context, execution);
+        if (!config.event) {
+            throw new Error('track_event requires an event name');
+        }
+
+        // Same shape as CommandUtils.trackAnalytics in the bot
+        await databaseCircuitBreaker.execute(async () => {
+            return await this.db.collection('analytics').insertOne({
+                event: config.event,
+                data: {
+                    ...(config.data || {}),
+                    workflow_execution_id: execution._id
+                },
+                timestamp: new Date(),
+                date_key: new Date().toISOString().split('T')[0]
+            });
+        });
+
+        return { context: { event_tracked: config.event } };
+    }
+
+    async processGenerateReport(step, context, execution) {
+        const config = this.resolveConfig(step, context, execution);
+        let rows;
+
+        if (config.collection) {
+            const errors = checkReportQuery(config.collection, config);
+            if (errors.length > 0) {
+                throw new Error(`Invalid report query: ${errors.join('; ')}`);
+            }
+            const limit = Math.min(parseInt(config.limit, 10) || 1000, 10000);
+            const projection = Object.fromEntries((config.fields || REPORTABLE_COLLECTIONS[config.collection])
+                .map(field => [field.replace(/\.\*$/, ''), 1]));
+            rows = await databaseCircuitBreaker.execute(async () => {
+                return await this.db.collection(config.collection)
+                    .find(config.query || {}, { projection, maxTimeMS: REPORT_QUERY_TIMEOUT_MS })
+                    .sort(config.sort || { _id: -1 })
+                    .limit(limit)
+                    .toArray();
+            });
+        } else {
+            rows = this.getValueFromPath(context, config.source || 'articles');
+        }
+
+        const format = config.format || 'json';
+        const report = buildReport(rows || [], { format, fields: config.fields });
+
+        const result = await databaseCircuitBreaker.execute(async () => {
+            return await this.db.collection('workflow_reports').insertOne({
+                execution_id: execution._id,
+                workflow_id: execution.workflow_id,
+                name: config.name || `report-${execution._id}`,
+                format,
+                content_type: report.contentType,
+                content: report.content,
+                row_count: (rows || []).length,
+                created_at: new Date()
+            });
+        });
+
+        await this.logExecution(execution._id, 'info', `Generated ${format} report with ${(rows || []).length} rows`, {
+            reportId: result.insertedId
+        });
+
+        return {
+            context: {
+                report: {
+                    id: result.insertedId.toString(),
+                    format,
+                    row_count: (rows || []).length
+                }
+            }
+        };
+    }
 
     async processPayment(step, context, execution) {
-        // Implementation for payment processing
-        await this.logExecution(execution._id, 'debug', 'Processing payment...', { step });
-        return { context: { payment_processed: true } };
+        // Payments are taken by the bot's PaymentSystem; workflows verify them
+        const config = this.resolveConfig(step, context, execution);
+        if (!config.transaction_id) {
+            throw new Error('process_payment requires transaction_id');
+        }
+
+        const payment = await databaseCircuitBreaker.execute(async () => {
+            return await this.db.collection('payment_logs').findOne({ transaction_id: config.transaction_id });
+        });
+
+        if (!payment) {
+            throw new Error(`Payment ${config.transaction_id} not found`);
+        }
+        if (payment.status !== 'completed') {
+            throw new Error(`Payment ${config.transaction_id} is ${payment.status}`);
+        }
+
+        return {
+            context: {
+                payment: {
+                    transaction_id: payment.transaction_id,
+                    user_id: payment.user_id,
+                    amount: payment.amount,
+                    currency: payment.currency,
+                    method: payment.method
+                }
+            }
+        };
     }
 
     async processUpdateSubscriptionStatus(step, context, execution) {
-        // Implementation for subscription status update
-        await this.logExecution(execution._id, 'debug', 'Updating subscription status...', { step });
-        return { context: { subscription_status_updated: true } };
+        const config = this.resolveConfig(step, context, execution);
+        if (!config.status || !SUBSCRIPTION_STATUSES.includes(config.status)) {
+            throw new Error(`update_subscription_status requires status (${SUBSCRIPTION_STATUSES.join(', ')})`);
+        }
+
+        let filter;
+        if (config.subscription_id) {
+            const { ObjectId } = require('mongodb');
+            filter = { _id: new ObjectId(config.subscription_id) };
+        } else if (config.user_id) {
+            filter = { user_id: Number(config.user_id), status: config.from_status || 'active' };
+        } else {
+            throw new Error('update_subscription_status requires subscription_id or user_id');
+        }
+
+        const result = await databaseCircuitBreaker.execute(async () => {
+            return await this.db.collection('subscriptions').updateMany(
+                filter,
+                { $set: { status: config.status, updated_at: new Date() } }
+            );
+        });
+
+        return { context: { subscriptions_updated: result.modifiedCount, subscription_status: config.status } };
     }
 
     async processDelay(step, context, execution) {
         const delay = step.config.delay || 1000;
         await this.logExecution(execution._id, 'debug', `Delaying for ${delay}ms...`, { step });
-        await new Promise(resolve => setTimeout(resolve, delay));
+        
+        // A cancelled branch stops waiting; runBranch then sees the abort
+        const signal = this.branchScope.getStore()?.signal;
+        // Long branches run many delays on one signal, so each removes its
+        // listener once it is done waiting
+        await new Promise(resolve => {
+            const onAbort = () => {
+                clearTimeout(timer);
+                resolve();
+            };
+            const timer = setTimeout(() => {
+                signal?.removeEventListener('abort', onAbort);
+                resolve();
+            }, delay);
+            signal?.addEventListener('abort', onAbort, { once: true });
+        });
         return { context: { delayed: true } };
     }
 
     async processWebhook(step, context, execution) {
-        // Implementation for webhook calls
-        await this.logExecution(execution._id, 'debug', 'Calling webhook...', { step });
-        return { context: { webhook_called: true } };
+        const config = this.resolveConfig(step, context, execution);
+
+        const payload = config.payload !== undefined ? config.payload : {
+            workflow_id: execution.workflow_id,
+            execution_id: execution._id,
+            context
+        };
+
+        try {
+            const response = await this.webhookClient.send({
+                url: config.url,
+                method: config.method,
+                headers: config.headers,
+                payload,
+                secret: config.secret,
+                timeout: config.timeout,
+                maxRetries: config.retries,
+                event: config.event
+            });
+
+            await this.logExecution(execution._id, 'info', `Webhook delivered with status ${response.status}`, {
+                url: config.url,
+                attempts: response.attempts
+            });
+
+            return {
+                context: {
+                    webhook_response: {
+                        status: response.status,
+                        delivery_id: response.delivery_id,
+                        data: response.data
+                    }
+                }
+            };
+        } catch (error) {
+            await this.logExecution(execution._id, 'error', `Webhook delivery failed: ${error.message}`, {
+                url: config.url,
+                attempts: error.attempts
+            });
+            throw error;
+        }
     }
 
     async processCondition(step, context, execution) {
         // Implementation for conditional logic
         const condition = step.config.condition;
-        const result = this.evaluateCondition(condition, context);
+        const result = this.evaluateCondition(condition, { ...context, input: execution.input || {} });
         
         await this.logExecution(execution._id, 'debug', `Condition result: ${result}`, { step, result });
         
-        if (result && step.config.onTrue) {
-            return { skipToStep: step.config.onTrue };
-        } else if (!result && step.config.onFalse) {
-            return { skipToStep: step.config.onFalse };
+        const target = result ? step.config.onTrue : step.config.onFalse;
+        if (target !== undefined && target !== null) {
+            return { skipToStep: target };
         }
         
         return { context: { condition_evaluated: true, condition_result: result } };
     }
 
+    // Human approval
+
+    /**
+     * Park the execution until a person approves or rejects the content under
+     * review. Prompts with approve/reject/edit buttons go to `approvers` over
+     * Telegram (the bot records their answer); decisions can also be posted
+     * to /api/approvals. Undecided approvals fall back to `on_timeout`.
+     * Only listed approvers can decide in Telegram, so the list can't be empty.
+     */
+    async processApproval(step, context, execution, { index } = {}) {
+        if (this.branchScope.getStore()) {
+            throw new Error('approval steps cannot run inside parallel or foreach branches');
+        }
+
+        const config = this.resolveConfig(step, context, execution);
+        const approvers = this.toList(config.approvers)
+            .map(id => (/^-?\d+$/.test(String(id)) ? Number(id) : id));
+        if (approvers.length === 0) {
+            throw new Error('Approval step requires at least one approver');
+        }
+        const content = this.toList(config.content ?? context.formatted_messages ?? context.formatted_content).join('\n\n');
+        const parseMode = config.parse_mode || context.parse_mode || null;
+        const timeoutMs = config.timeout !== undefined ? this.parseDuration(config.timeout) : DEFAULT_APPROVAL_TIMEOUT_MS;
+
+        const approvals = this.db.collection('workflow_approvals');
+        const key = { execution_id: execution._id, step_index: index };
+
+        // Keyed by execution and step so a re-delivered job reuses the same approval
+        const approval = await databaseCircuitBreaker.execute(async () => {
+            await approvals.updateOne(key, {
+                $setOnInsert: {
+                    ...key,
+                    workflow_id: execution.workflow_id,
+                    workflow_name: execution.workflow_name,
+                    step_id: step.id || null,
+                    title: config.title || `Approval needed: ${execution.workflow_name || 'workflow'}`,
+                    content,
+                    parse_mode: parseMode,
+                    approvers,
+                    allow_edit: config.allow_edit !== false,
+                    edit_key: config.edit_key || null,
+                    on_timeout: config.on_timeout || 'reject',
+                    on_reject: config.on_reject || 'stop',
+                    as: config.as || 'approval',
+                    status: 'pending',
+                    prompts: [],
+                    created_at: new Date(),
+                    expires_at: new Date(Date.now() + timeoutMs),
+                    resumed_at: null
+                }
+            }, { upsert: true });
+            return await approvals.findOne(key);
+        });
+
+        if (approval.prompts.length === 0) {
+            const prompts = await this.sendApprovalPrompts(approval);
+            await databaseCircuitBreaker.execute(async () => {
+                return await approvals.updateOne({ _id: approval._id }, { $set: { prompts } });
+            });
+        }
+
+        await this.logExecution(execution._id, 'info', `Waiting for approval from ${approvers.length} approvers`, {
+            approval_id: approval._id,
+            expires_at: approval.expires_at,
+            on_timeout: approval.on_timeout
+        });
+
+        return {
+            pause: { type: 'approval', approval_id: approval._id, step_index: index, expires_at: approval.expires_at }
+        };
+    }
+
+    async sendApprovalPrompts(approval) {
+        const telegram = this.requireTelegram();
+        const mode = PARSE_MODES.includes(approval.parse_mode) ? approval.parse_mode : null;
+        const escape = (text) => escapeText(text, mode);
+        const id = approval._id.toString();
+
+        // A cut could split a formatting entity, which Telegram rejects, so a
+        // shortened preview shows the content's source instead
+        let preview = approval.content;
+        if (preview.length > MAX_APPROVAL_PREVIEW) {
+            let length = MAX_APPROVAL_PREVIEW;
+            do {
+                preview = escape(approval.content.substring(0, length));
+                length -= preview.length - MAX_APPROVAL_PREVIEW;
+            } while (preview.length > MAX_APPROVAL_PREVIEW);
+            preview += '…';
+        }
+        const deadline = approval.expires_at.toLocaleString('en-AU', { timeZone: 'Australia/Adelaide' });
+        const text = `📋 ${escape(approval.title)}\n` +
+            '━━━━━━━━━━━━━━━━━━━━\n\n' +
+            `${preview}\n\n` +
+            '━━━━━━━━━━━━━━━━━━━━\n' +
+            escape(`⏰ Decide by ${deadline} (default: ${approval.on_timeout})`);
+
+        const keyboard = [[
+            { text: '✅ Approve', callback_data: `wfa_approve_${id}` },
+            { text: '❌ Reject', callback_data: `wfa_reject_${id}` }
+        ]];
+        if (approval.allow_edit) {
+            keyboard.push([{ text: '✏️ Edit & Approve', callback_data: `wfa_edit_${id}` }]);
+        }
+
+        const prompts = [];
+        for (const chatId of approval.approvers) {
+            try {
+                const result = await telegram.sendMessage(chatId, text, {
+                    parse_mode: approval.parse_mode || undefined,
+                    reply_markup: { inline_keyboard: keyboard },
+                    disable_web_page_preview: true
+                });
+                prompts.push({ chat_id: chatId, message_id: result.message_id });
+            } catch (error) {
+                logger.warn('Failed to send approval prompt', { approvalId: id, chatId, error: error.message });
+            }
+        }
+
+        if (prompts.length === 0) {
+            throw new Error('Could not deliver the approval prompt to any approver');
+        }
+        return prompts;
+    }
+
+    // Parallel branches, fan-out and join
+
+    /**
+     * Start a fan-out group: every branch runs its own step list against a
+     * copy of the context, concurrently up to `maxConcurrency`. Branches are
+     * collected by a later `join` step (or implicitly when the enclosing step
+     * list finishes). Each branch is persisted under `branches.<id>` on the
+     * execution so its state survives in the API and can be retried alone.
+     * Aborting a branch's controller stops it before its next step; branches
+     * started inside it are aborted with it.
+     */
+    startFanout(step, index, execution, branches, maxConcurrency) {
+        const scope = this.branchScope.getStore();
+        const prefix = scope?.branch || null;
+        const parentSignal = scope?.signal || null;
+        const rootStep = scope ? scope.rootStep : index;
+        const key = `${prefix ? `${prefix}/` : ''}${step.id || `step_${index}`}`;
+        const executionKey = execution._id.toString();
+        
+        if (!this.fanouts.has(executionKey)) {
+            this.fanouts.set(executionKey, new Map());
+        }
+        
+        const limit = createLimiter(maxConcurrency || branches.length || 1);
+        const carried = execution.branches || {};
+        
+        const group = {
+            key,
+            prefix,
+            joined: false,
+            branches: branches.map((branch) => {
+                const id = `${key}:${branch.name}`;
+                const entry = { id, name: branch.name, result: null, controller: new AbortController() };
+                
+                if (parentSignal?.aborted) {
+                    entry.controller.abort();
+                } else if (parentSignal) {
+                    parentSignal.addEventListener('abort', () => entry.controller.abort(), { once: true });
+                }
+                
+                // Branches that completed in the execution being retried are reused as-is
+                if (carried[id]?.status === 'completed') {
+                    entry.result = { id, name: branch.name, status: 'completed', output: carried[id].output || {}, reused: true };
+                    entry.promise = Promise.resolve(entry.result);
+                    return entry;
+                }
+                
+                const signal = entry.controller.signal;
+                entry.promise = limit(() => this.runBranch(execution, { id, name: branch.name, group: key, rootStep }, branch.steps, branch.context, signal))
+                    .catch(error => ({ id, name: branch.name, status: 'failed', error: error.message }))
+                    .then(result => {
+                        entry.result = result;
+                        return result;
+                    });
+                return entry;
+            })
+        };
+        
+        this.fanouts.get(executionKey).set(key, group);
+        return group;
+    }
+
+    async runBranch(execution, branch, steps, context, signal = null) {
+        const executionId = execution._id;
+        const record = {
+            group: branch.group,
+            name: branch.name,
+            step_index: branch.rootStep,
+            status: 'running',
+            started_at: new Date()
+        };
+        
+        const cancel = async () => {
+            await this.updateBranchRecord(executionId, branch.id, {
+                ...record,
+                status: 'cancelled',
+                finished_at: new Date()
+            });
+            await this.logExecution(executionId, 'warn', `Branch ${branch.id} cancelled`);
+            return { id: branch.id, name: branch.name, status: 'cancelled' };
+        };
+        
+        // Aborted while still queued behind max_concurrency
+        if (signal?.aborted) {
+            return await this.branchScope.run({ branch: branch.id, rootStep: branch.rootStep }, cancel);
+        }
+        
+        await this.updateBranchRecord(executionId, branch.id, record);
+        
+        return await this.branchScope.run({ branch: branch.id, rootStep: branch.rootStep, signal }, async () => {
+            await this.logExecution(executionId, 'info', `Branch ${branch.id} started`);
+            
+            let branchContext = { ...context };
+            let output = {};
+            
+            try {
+                for (let i = 0; i < steps.length; i++) {
+                    const step = steps[i];
+                    
+                    if (signal?.aborted) {
+                        return await cancel();
+                    }
+                    
+                    await this.logExecution(executionId, 'info', `Starting branch step ${i + 1}: ${step.type}`, { step });
+                    
+                    try {
+                        const stepResult = await this.runStep(step, i, branchContext, execution);
+                        
+                        if (stepResult && stepResult.context) {
+                            branchContext = { ...branchContext, ...stepResult.context };
+                            output = { ...output, ...stepResult.context };
+                        }
+                        
+                        await this.logExecution(executionId, 'info', `Completed branch step ${i + 1}: ${step.type}`, {
+                            step,
+                            result: stepResult
+                        });
+                        
+                        if (stepResult && stepResult.skipToStep !== undefined) {
+                            i = stepResult.skipToStep - 1;
+                            continue;
+                        }
+                        
+                        if (stepResult && stepResult.stopExecution) {
+                            break;
+                        }
+                    } catch (stepError) {
+                        await this.logExecution(executionId, 'error', `Branch step ${i + 1} failed: ${stepError.message}`, {
+                            step,
+                            error: stepError.stack
+                        });
+                        
+                        if (step.onError === 'continue' || step.onError === 'skip') {
+                            continue;
+                        }
+                        throw stepError;
+                    }
+                }
+                
+                if (signal?.aborted) {
+                    return await cancel();
+                }
+                
+                const joinedContext = await this.joinPendingFanouts(execution, branchContext);
+                output = { ...output, ...this.diffContext(branchContext, joinedContext) };
+                
+                await this.updateBranchRecord(executionId, branch.id, {
+                    ...record,
+                    status: 'completed',
+                    output,
+                    finished_at: new Date()
+                });
+                await this.logExecution(executionId, 'info', `Branch ${branch.id} completed`);
+                
+                return { id: branch.id, name: branch.name, status: 'completed', output };
+            } catch (error) {
+                if (signal?.aborted) {
+                    return await cancel();
+                }
+                
+                await this.updateBranchRecord(executionId, branch.id, {
+                    ...record,
+                    status: 'failed',
+                    error: error.message,
+                    finished_at: new Date()
+                });
+                await this.logExecution(executionId, 'error', `Branch ${branch.id} failed: ${error.message}`);
+                
+                return { id: branch.id, name: branch.name, status: 'failed', error: error.message };
+            }
+        });
+    }
+
+    diffContext(before, after) {
+        return Object.fromEntries(Object.entries(after).filter(([key, value]) => before[key] !== value));
+    }
+
+    async updateBranchRecord(executionId, branchId, record) {
+        try {
+            await databaseCircuitBreaker.execute(async () => {
+                return await this.db.collection('workflow_executions').updateOne(
+                    { _id: executionId },
+                    { $set: { [`branches.${branchId}`]: record, updated_at: new Date() } }
+                );
+            });
+        } catch (error) {
+            logger.error('Failed to update branch record', { executionId, branchId, error: error.message });
+        }
+    }
+
+    /**
+     * Wait until `required` branches have completed, it becomes impossible
+     * for that many to complete, or the timeout passes.
+     */
+    async waitForBranches(branches, required, timeoutMs) {
+        const deadline = timeoutMs ? Date.now() + timeoutMs : null;
+        
+        for (;;) {
+            const settled = branches.filter(b => b.result);
+            const succeeded = settled.filter(b => b.result.status === 'completed').length;
+            const failed = settled.length - succeeded;
+            
+            if (succeeded >= required) {
+                return { satisfied: true, succeeded, failed };
+            }
+            if (branches.length - failed < required) {
+                return { satisfied: false, succeeded, failed };
+            }
+            
+            const pending = branches.filter(b => !b.result).map(b => b.promise);
+            if (!deadline) {
+                await Promise.race(pending);
+                continue;
+            }
+            
+            const remaining = deadline - Date.now();
+            if (remaining <= 0) {
+                return { satisfied: false, succeeded, failed, timedOut: true };
+            }
+            
+            let timer;
+            await Promise.race([
+                ...pending,
+                new Promise(resolve => { timer = setTimeout(resolve, remaining); })
+            ]);
+            clearTimeout(timer);
+        }
+    }
+
+    getFanoutGroups(execution, prefix, keys) {
+        const groups = this.fanouts.get(execution._id.toString());
+        if (!groups) {
+            return [];
+        }
+        
+        const candidates = [...groups.values()].filter(group => group.prefix === prefix);
+        if (keys === undefined) {
+            return candidates.filter(group => !group.joined);
+        }
+        
+        const wanted = [].concat(keys).map(key => `${prefix ? `${prefix}/` : ''}${key}`);
+        return candidates.filter(group => wanted.includes(group.key));
+    }
+
+    /**
+     * Stop every branch an execution still has running, as when it fails or
+     * is cancelled
+     */
+    cancelFanouts(executionId) {
+        const groups = this.fanouts.get(executionId.toString());
+        if (groups) {
+            groups.forEach(group => group.branches.forEach(branch => branch.controller.abort()));
+            this.fanouts.delete(executionId.toString());
+        }
+    }
+
+    async joinPendingFanouts(execution, context) {
+        const prefix = this.branchScope.getStore()?.branch || null;
+        if (this.getFanoutGroups(execution, prefix).length === 0) {
+            return context;
+        }
+        
+        await this.logExecution(execution._id, 'info', 'Waiting for branches without an explicit join step');
+        const result = await this.processJoin({ type: 'join', config: {} }, context, execution);
+        return { ...context, ...result.context };
+    }
+
+    async processParallel(step, context, execution, { index } = {}) {
+        const branches = step.config.branches.map((branch, b) => ({
+            name: branch.name !== undefined ? branch.name : String(b),
+            steps: branch.steps,
+            context
+        }));
+        
+        const group = this.startFanout(step, index, execution, branches, step.config.max_concurrency);
+        
+        await this.logExecution(execution._id, 'info', `Started ${branches.length} parallel branches`, {
+            group: group.key,
+            branches: group.branches.map(b => b.id)
+        });
+        
+        return { fanout: group.key };
+    }
+
+    async processForeach(step, context, execution, { index } = {}) {
+        // Only `items` is resolved here; the body steps resolve per item
+        const { items } = this.resolveConfig({ config: { items: step.config.items } }, context, execution);
+        
+        if (!Array.isArray(items)) {
+            throw new Error('foreach items must resolve to an array');
+        }
+        if (items.length > MAX_FOREACH_ITEMS) {
+            throw new Error(`foreach supports at most ${MAX_FOREACH_ITEMS} items (got ${items.length})`);
+        }
+        
+        const as = step.config.as || 'item';
+        const branches = items.map((item, i) => ({
+            name: String(i),
+            steps: step.config.steps,
+            context: { ...context, [as]: item, [`${as}_index`]: i }
+        }));
+        
+        const group = this.startFanout(step, index, execution, branches, step.config.max_concurrency || 5);
+        
+        await this.logExecution(execution._id, 'info', `Started foreach over ${items.length} items`, { group: group.key });
+        
+        return { fanout: group.key };
+    }
+
+    async processJoin(step, context, execution) {
+        const config = step.config || {};
+        const prefix = this.branchScope.getStore()?.branch || null;
+        const groups = this.getFanoutGroups(execution, prefix, config.branches);
+        
+        if (groups.length === 0) {
+            throw new Error('join has no running parallel or foreach branches to wait for');
+        }
+        
+        const branches = groups.flatMap(group => group.branches);
+        let required = branches.length;
+        if (config.require === 'any') {
+            required = Math.min(1, branches.length);
+        } else if (Number.isInteger(config.require)) {
+            required = config.require;
+        }
+        
+        await this.logExecution(execution._id, 'info', `Waiting for ${required} of ${branches.length} branches`, {
+            groups: groups.map(group => group.key)
+        });
+        
+        const outcome = await this.waitForBranches(branches, required, config.timeout_ms);
+        groups.forEach(group => { group.joined = true; });
+        
+        // Nothing waits for branches left running once the join is decided
+        const unfinished = branches.filter(branch => !branch.result);
+        unfinished.forEach(branch => branch.controller.abort());
+        if (unfinished.length > 0) {
+            await this.logExecution(execution._id, 'warn', `Cancelling ${unfinished.length} branches still running`, {
+                branches: unfinished.map(branch => branch.id)
+            });
+        }
+        
+        const results = branches.map(branch => branch.result || { id: branch.id, name: branch.name, status: 'cancelled' });
+        const summary = {
+            total: branches.length,
+            required,
+            completed: outcome.succeeded,
+            failed: outcome.failed,
+            cancelled: unfinished.length
+        };
+        
+        await this.logExecution(execution._id, outcome.satisfied ? 'info' : 'error',
+            `Join ${outcome.satisfied ? 'satisfied' : 'failed'}: ${summary.completed}/${summary.total} branches completed`, summary);
+        
+        if (!outcome.satisfied) {
+            const reason = outcome.timedOut ? 'timed out' : `${summary.failed} failed`;
+            throw new Error(`Join requires ${required} of ${branches.length} branches but only ${summary.completed} completed (${reason})`);
+        }
+        
+        const merged = config.merge
+            ? Object.assign({}, ...results.filter(r => r.status === 'completed').map(r => r.output))
+            : {};
+        
+        return {
+            context: {
+                ...merged,
+                [config.as || 'branch_results']: results,
+                join_summary: summary
+            }
+        };
+    }
+
     evaluateCondition(condition, context) {
-        // Simple condition evaluation - in production, use a proper expression parser
+        // Conditions are validated when the workflow is saved; anything that
+        // still fails at runtime (e.g. a definition stored before validation
+        // existed) evaluates to false rather than aborting the execution.
         try {
-            // This is a simplified implementation
-            return eval(condition.replace(/\$\{([^}]+)\}/g, (match, path) => {
-                const value = this.getValueFromPath(context, path);
-                return JSON.stringify(value);
-            }));
+            return Boolean(evaluateExpression(condition, context));
         } catch (error) {
             logger.error('Failed to evaluate condition', { condition, error: error.message });
             return false;
@@ -0,0 +1,288 @@
+/**
+ * Workflow Version Store - immutable numbered snapshots of workflow definitions
+ *
+ * Every create/update of a workflow writes a snapshot to `workflow_versions`.
+ * Executions record the version they started on and always run against that
+ * snapshot, so later edits never change an in-flight or audited execution.
+ */
+
+const { logger } = require('../utils/logger');
+const { databaseCircuitBreaker } = require('../middleware/errorHandler');
+
+// Fields that make up a workflow definition; everything else on the
+// workflow document (enabled, counters, timestamps) is operational state
+const VERSIONED_FIELDS = ['name', 'description', 'tags', 'steps', 'triggers'];
+
+function pickDefinition(workflow) {
+    const definition = {};
+    for (const field of VERSIONED_FIELDS) {
+        if (workflow[field] !== undefined) {
+            definition[field] = workflow[field];
+        }
+    }
+    return definition;
+}
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value) && !(value instanceof Date);
+}
+
+/**
+ * JSON with sorted object keys, so equal values always compare equal.
+ */
+function canonical(value) {
+    if (Array.isArray(value)) {
+        return `[${value.map(canonical).join(',')}]`;
+    }
+    if (isPlainObject(value)) {
+        return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${canonical(value[key])}`).join(',')}}`;
+    }
+    return JSON.stringify(value instanceof Date ? value.toISOString() : value) ?? 'undefined';
+}
+
+function joinPath(path, key) {
+    if (typeof key === 'number') {
+        return `${path}[${key}]`;
+    }
+    return path ? `${path}.${key}` : key;
+}
+
+/**
+ * Leaf-level differences between two values as [{ path, before, after }].
+ */
+function diffValues(before, after, path = '') {
+    if (canonical(before) === canonical(after)) {
+        return [];
+    }
+
+    if (isPlainObject(before) && isPlainObject(after)) {
+        const keys = [...new Set([...Object.keys(before), ...Object.keys(after)])].sort();
+        return keys.flatMap(key => diffValues(before[key], after[key], joinPath(path, key)));
+    }
+
+    if (Array.isArray(before) && Array.isArray(after)) {
+        const changes = [];
+        for (let i = 0; i < Math.max(before.length, after.length); i++) {
+            changes.push(...diffValues(before[i], after[i], joinPath(path, i)));
+        }
+        return changes;
+    }
+
+    return [{ path, before, after }];
+}
+
+/**
+ * Diff two step lists. Steps are aligned on their longest common
+ * subsequence, so inserting a step reports one addition rather than every
+ * following step as modified; a removal directly followed by an addition at
+ * the same position is reported as a modification of that step.
+ */
+function diffSteps(before = [], after = []) {
+    const a = before.map(canonical);
+    const b = after.map(canonical);
+
+    const lcs = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+    for (let i = a.length - 1; i >= 0; i--) {
+        for (let j = b.length - 1; j >= 0; j--) {
+            lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+        }
+    }
+
+    const ops = [];
+    let i = 0;
+    let j = 0;
+    while (i < a.length || j < b.length) {
+        if (i < a.length && j < b.length && a[i] === b[j]) {
+            ops.push({ op: 'unchanged', from_index: i++, to_index: j++ });
+        } else if (j < b.length && (i === a.length || lcs[i][j + 1] >= lcs[i + 1][j])) {
+            ops.push({ op: 'added', to_index: j, step: after[j++] });
+        } else {
+            ops.push({ op: 'removed', from_index: i, step: before[i++] });
+        }
+    }
+
+    // Pair runs of removals and additions into modifications
+    const changes = [];
+    for (let k = 0; k < ops.length; k++) {
+        if (ops[k].op === 'unchanged') {
+            continue;
+        }
+
+        const removed = [];
+        const added = [];
+        while (k < ops.length && ops[k].op !== 'unchanged') {
+            (ops[k].op === 'removed' ? removed : added).push(ops[k]);
+            k++;
+        }
+        k--;
+
+        const paired = Math.min(removed.length, added.length);
+        for (let p = 0; p < paired; p++) {
+            const from = before[removed[p].from_index];
+            const to = after[added[p].to_index];
+            changes.push({
+                op: 'modified',
+                from_index: removed[p].from_index,
+                to_index: added[p].to_index,
+                type: to.type,
+                changes: diffValues(from, to)
+            });
+        }
+        changes.push(...removed.slice(paired), ...added.slice(paired));
+    }
+
+    return {
+        changes,
+        unchanged: ops.filter(op => op.op === 'unchanged').length
+    };
+}
+
+/**
+ * Structured diff between two version snapshots.
+ */
+function diffDefinitions(from, to) {
+    const { steps: fromSteps, ...fromFields } = from.definition;
+    const { steps: toSteps, ...toFields } = to.definition;
+    const steps = diffSteps(fromSteps, toSteps);
+
+    const count = (op) => steps.changes.filter(change => change.op === op).length;
+
+    return {
+        from_version: from.version,
+        to_version: to.version,
+        identical: canonical(from.definition) === canonical(to.definition),
+        fields: diffValues(fromFields, toFields),
+        steps: steps.changes,
+        summary: {
+            steps_added: count('added'),
+            steps_removed: count('removed'),
+            steps_modified: count('modified'),
+            steps_unchanged: steps.unchanged
+        }
+    };
+}
+
+class WorkflowVersionStore {
+    constructor(db) {
+        this.db = db;
+    }
+
+    buildSnapshot(workflow, { createdBy, changeNote } = {}) {
+        return {
+            workflow_id: workflow._id,
+            version: workflow.version || 1,
+            definition: pickDefinition(workflow),
+            created_at: new Date(),
+            created_by: createdBy || 'system',
+            change_note: changeNote || null
+        };
+    }
+
+    /**
+     * Record the workflow's current version. Fails with a duplicate key
+     * error if that version number was already taken.
+     */
+    async createVersion(workflow, options = {}) {
+        const snapshot = this.buildSnapshot(workflow, options);
+
+        await databaseCircuitBreaker.execute(async () => {
+            return await this.db.collection('workflow_versions').insertOne(snapshot);
+        });
+
+        logger.info('Workflow version recorded', {
+            workflowId: workflow._id,
+            version: snapshot.version
+        });
+
+        return snapshot;
+    }
+
+    /**
+     * Snapshot the workflow's current version if it has none yet. Covers
+     * workflows saved before versioning existed.
+     */
+    async ensureVersion(workflow) {
+        const snapshot = this.buildSnapshot(workflow, { createdBy: 'backfill' });
+        const { workflow_id, version, ...rest } = snapshot;
+
+        await databaseCircuitBreaker.execute(async () => {
+            return await this.db.collection('workflow_versions').updateOne(
+                { workflow_id, version },
+                { $setOnInsert: rest },
+                { upsert: true }
+            );
+        });
+    }
+
+    async getVersion(workflowId, version) {
+        return await databaseCircuitBreaker.execute(async () => {
+            return await this.db.collection('workflow_versions').findOne({
+                workflow_id: workflowId,
+                version: parseInt(version)
+            });
+        });
+    }
+
+    async getLatestVersion(workflowId) {
+        return await databaseCircuitBreaker.execute(async () => {
+            return await this.db.collection('workflow_versions').findOne(
+                { workflow_id: workflowId },
+                { sort: { version: -1 } }
+            );
+        });
+    }
+
+    async listVersions(workflowId) {
+        const versions = await databaseCircuitBreaker.execute(async () => {
+            return await this.db.collection('workflow_versions')
+                .find({ workflow_id: workflowId })
+                .sort({ version: -1 })
+                .toArray();
+        });
+
+        return versions.map(({ definition, ...version }) => ({
+            ...version,
+            name: definition.name,
+            step_count: definition.steps?.length || 0,
+            trigger_count: definition.triggers?.length || 0
+        }));
+    }
+
+    /**
+     * The workflow as it was at `version`: the snapshot's definition over
+     * the live document, so operational fields such as `enabled` stay
+     * current. Falls back to the bare snapshot if the workflow was deleted,
+     * and to its latest snapshot when no version is given.
+     */
+    async resolveWorkflow(workflowId, version) {
+        const workflow = await databaseCircuitBreaker.execute(async () => {
+            return await this.db.collection('workflows').findOne({ _id: workflowId });
+        });
+
+        if (workflow && (!version || (workflow.version || 1) === parseInt(version))) {
+            return workflow;
+        }
+
+        const snapshot = version
+            ? await this.getVersion(workflowId, version)
+            : await this.getLatestVersion(workflowId);
+        if (!snapshot) {
+            return null;
+        }
+
+        return {
+            ...(workflow || { _id: workflowId, enabled: false }),
+            ...snapshot.definition,
+            version: snapshot.version
+        };
+    }
+}
+
+module.exports = {
+    WorkflowVersionStore,
+    VERSIONED_FIELDS,
+    pickDefinition,
+    diffDefinitions,
+    diffSteps,
+    diffValues
+};
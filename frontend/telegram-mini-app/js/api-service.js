@@ -232,15 +232,26 @@ export class ApiService {
   }
 
   /**
-   * Search articles (future feature)
+   * Search articles, best matches first
+   * @param {Object} filters - category, source, date (day|week|month|year), from, to, sort (relevance|date|date_asc), limit, offset
+   * @returns {Promise<Object>} { results (with score and highlights), total, capped, facets }
    */
   async searchArticles(query, filters = {}) {
-    const params = {
-      search: query,
-      ...filters
-    };
+    const params = new URLSearchParams({ q: query });
+    for (const [key, value] of Object.entries(filters)) {
+      if (value !== undefined && value !== null && value !== '') {
+        params.set(key, value);
+      }
+    }
+    
+    const response = await this.fetchWithTimeout(`${this.baseURL}/api/search?${params}`);
+    const data = await response.json();
+    
+    if (!data.success) {
+      throw new Error(data.error || 'Search failed');
+    }
     
-    return this.getNews(params);
+    return data;
   }
 
   /**
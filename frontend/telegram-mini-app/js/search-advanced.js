@@ -9,6 +9,17 @@
 import { APP_CONFIG, EVENTS } from './config.js';
 import { UIUtils } from './ui-core.js';
 import PremiumFeaturesManager from './premium-manager.js';
+import { ApiService } from './api-service.js';
+
+// Category filter values and the category names articles carry
+const SEARCH_CATEGORIES = {
+  local: 'Local News',
+  business: 'Business',
+  sports: 'Sports',
+  health: 'Health',
+  technology: 'Technology',
+  entertainment: 'Entertainment'
+};
 
 // ===== ADVANCED SEARCH SERVICE =====
 export class AdvancedSearchService {
@@ -16,7 +27,7 @@ export class AdvancedSearchService {
     this.basicSearch = basicSearchService;
     this.core = coreUI;
     this.premiumManager = new PremiumFeaturesManager(coreUI);
-    this.searchIndex = new Map();
+    this.api = new ApiService();
     this.searchFilters = new Map();
     this.searchResults = [];
     this.currentQuery = '';
@@ -30,14 +41,8 @@ export class AdvancedSearchService {
    * Initialize advanced search features
    */
   initializeAdvancedFeatures() {
-    // Setup advanced search algorithms
-    this.setupSearchAlgorithms();
-    
     // Initialize search filters
     this.initializeFilters();
-    
-    // Setup search indexing for better performance
-    this.buildSearchIndex();
   }
 
   /**
@@ -384,11 +389,11 @@ export class AdvancedSearchService {
               <span class="result-category">${UIUtils.escapeHtml(article.category)}</span>
               <time class="result-date">${UIUtils.getTimeAgo(new Date(article.published_date))}</time>
             </div>
-            <h5 class="result-title">${this.highlightSearchTerms(article.title, searchParams.query)}</h5>
-            <p class="result-excerpt">${this.highlightSearchTerms(article.excerpt || '', searchParams.query)}</p>
+            <h5 class="result-title">${article.titleHtml}</h5>
+            <p class="result-excerpt">${article.excerptHtml}</p>
             <div class="result-meta">
               <span class="result-source">${UIUtils.escapeHtml(article.source || 'Zone News')}</span>
-              <span class="result-relevance">Relevance: ${Math.round(article.relevanceScore || 85)}%</span>
+              <span class="result-relevance">Relevance: ${Math.round(article.relevanceScore)}%</span>
             </div>
           </div>
         `).join('');
@@ -435,105 +440,52 @@ export class AdvancedSearchService {
   }
 
   /**
-   * Perform advanced search with sophisticated algorithms
+   * Search through the API's search index. Titles and excerpts come back
+   * as escaped HTML with the matching words marked.
    */
   async performAdvancedSearch(searchParams, options = {}) {
-    const { limit = 20, offset = 0, preview = false } = options;
-    
-    // Simulate advanced search algorithm
-    // In a real implementation, this would call the API with advanced parameters
-    
-    const mockResults = await this.simulateAdvancedSearch(searchParams, { limit, offset, preview });
-    
-    return {
-      articles: mockResults.articles,
-      total: mockResults.total,
-      searchTime: mockResults.searchTime,
-      facets: mockResults.facets,
-      suggestions: mockResults.suggestions
-    };
-  }
-
-  /**
-   * Simulate advanced search (replace with real API call)
-   */
-  async simulateAdvancedSearch(params, options) {
-    // Simulate search delay
-    await new Promise(resolve => setTimeout(resolve, 300 + Math.random() * 200));
-    
-    const mockArticles = [
-      {
-        id: 1,
-        title: 'Adelaide CBD Development Plans Unveiled',
-        excerpt: 'The Adelaide City Council has announced major development plans for the CBD area...',
-        category: 'local',
-        source: 'Adelaide Now',
-        published_date: '2024-01-15T10:30:00Z',
-        relevanceScore: 95
-      },
-      {
-        id: 2,
-        title: 'Business Growth in Adelaide Reaches New Heights',
-        excerpt: 'Local businesses in Adelaide are experiencing unprecedented growth this quarter...',
-        category: 'business',
-        source: 'The Advertiser',
-        published_date: '2024-01-14T14:20:00Z',
-        relevanceScore: 88
-      }
-    ];
-
-    // Apply filters based on search parameters
-    let filteredArticles = mockArticles;
-    
-    if (params.category) {
-      filteredArticles = filteredArticles.filter(a => a.category === params.category);
-    }
-    
-    if (params.source) {
-      filteredArticles = filteredArticles.filter(a => 
-        a.source.toLowerCase().includes(params.source.toLowerCase())
-      );
-    }
-
-    // Apply date filters
-    if (params.dateFrom || params.dateTo) {
-      filteredArticles = filteredArticles.filter(article => {
-        const articleDate = new Date(article.published_date);
-        const fromDate = params.dateFrom ? new Date(params.dateFrom) : new Date('2000-01-01');
-        const toDate = params.dateTo ? new Date(params.dateTo) : new Date();
-        
-        return articleDate >= fromDate && articleDate <= toDate;
-      });
-    }
-
-    // Sort results
-    switch (params.sortBy) {
-      case 'date_desc':
-        filteredArticles.sort((a, b) => new Date(b.published_date) - new Date(a.published_date));
-        break;
-      case 'date_asc':
-        filteredArticles.sort((a, b) => new Date(a.published_date) - new Date(b.published_date));
-        break;
-      case 'relevance':
-      default:
-        filteredArticles.sort((a, b) => (b.relevanceScore || 0) - (a.relevanceScore || 0));
-        break;
-    }
+    const { limit = 20, offset = 0 } = options;
+    const startedAt = Date.now();
+    const query = searchParams.exactMatch && !searchParams.query.includes('"')
+      ? `"${searchParams.query}"`
+      : searchParams.query;
+
+    const data = await this.api.searchArticles(query, {
+      category: SEARCH_CATEGORIES[searchParams.category] || searchParams.category,
+      source: searchParams.source,
+      from: searchParams.dateFrom,
+      to: searchParams.dateTo ? `${searchParams.dateTo}T23:59:59` : '',
+      sort: ['date_desc', 'date_asc'].includes(searchParams.sortBy)
+        ? searchParams.sortBy.replace('_desc', '')
+        : 'relevance',
+      limit,
+      offset
+    });
 
-    // Apply pagination
-    const startIndex = options.offset || 0;
-    const endIndex = startIndex + (options.limit || 20);
-    const paginatedArticles = filteredArticles.slice(startIndex, endIndex);
+    const topScore = Math.max(...data.results.map(result => result.score), 0);
+    const marked = html => html.replace(/<mark>/g, '<mark class="search-highlight">');
+    const counts = facet => Object.fromEntries(facet.map(({ value, count }) => [value, count]));
 
     return {
-      articles: paginatedArticles,
-      total: filteredArticles.length,
-      searchTime: Math.round(50 + Math.random() * 100), // ms
+      articles: data.results.map(result => ({
+        id: result.id,
+        title: result.title,
+        excerpt: result.summary,
+        titleHtml: marked(result.highlights.title),
+        excerptHtml: marked(result.highlights.snippet),
+        category: result.category,
+        source: result.source,
+        published_date: result.published_at,
+        relevanceScore: topScore > 0 ? (100 * result.score) / topScore : 0
+      })),
+      total: data.total,
+      searchTime: Date.now() - startedAt,
       facets: {
-        categories: { local: 12, business: 8, sports: 5 },
-        sources: { 'Adelaide Now': 15, 'The Advertiser': 10 }
+        categories: counts(data.facets.category),
+        sources: counts(data.facets.source),
+        dates: counts(data.facets.date)
       },
-      suggestions: params.query.length > 0 ? [`${params.query} news`, `${params.query} updates`] : []
+      suggestions: []
     };
   }
 
@@ -581,8 +533,8 @@ export class AdvancedSearchService {
                   <span class="result-category">${UIUtils.escapeHtml(article.category)}</span>
                   <span class="result-relevance">${Math.round(article.relevanceScore || 0)}% match</span>
                 </div>
-                <h4 class="result-card-title">${this.highlightSearchTerms(article.title, searchParams.query)}</h4>
-                <p class="result-card-excerpt">${this.highlightSearchTerms(article.excerpt || '', searchParams.query)}</p>
+                <h4 class="result-card-title">${article.titleHtml}</h4>
+                <p class="result-card-excerpt">${article.excerptHtml}</p>
                 <div class="result-card-footer">
                   <span class="result-source">${UIUtils.escapeHtml(article.source || 'Zone News')}</span>
                   <time class="result-date">${UIUtils.getTimeAgo(new Date(article.published_date))}</time>
@@ -634,43 +586,6 @@ export class AdvancedSearchService {
     });
   }
 
-  /**
-   * Highlight search terms in text
-   */
-  highlightSearchTerms(text, searchQuery) {
-    if (!text || !searchQuery) return UIUtils.escapeHtml(text);
-    
-    const escapedText = UIUtils.escapeHtml(text);
-    
-    // Handle different search operators
-    let terms = [];
-    
-    if (searchQuery.includes('"')) {
-      // Extract exact phrases
-      const phrases = searchQuery.match(/"([^"]*)"/g);
-      if (phrases) {
-        terms = phrases.map(phrase => phrase.replace(/"/g, ''));
-      }
-    } else if (searchQuery.includes(' OR ')) {
-      terms = searchQuery.split(' OR ').map(term => term.trim());
-    } else if (searchQuery.includes(' AND ')) {
-      terms = searchQuery.split(' AND ').map(term => term.trim());
-    } else {
-      terms = searchQuery.split(' ').filter(term => term.length > 1);
-    }
-
-    // Highlight each term
-    let highlightedText = escapedText;
-    terms.forEach(term => {
-      if (term.length > 1) {
-        const regex = new RegExp(`(${term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')})`, 'gi');
-        highlightedText = highlightedText.replace(regex, '<mark class="search-highlight">$1</mark>');
-      }
-    });
-
-    return highlightedText;
-  }
-
   /**
    * Show upgrade prompt for advanced search
    */
@@ -747,79 +662,6 @@ export class AdvancedSearchService {
     }
   }
 
-  /**
-   * Setup search algorithms for better results
-   */
-  setupSearchAlgorithms() {
-    this.algorithms = {
-      fuzzyMatch: (query, text) => {
-        // Simple fuzzy matching algorithm
-        const queryLower = query.toLowerCase();
-        const textLower = text.toLowerCase();
-        
-        if (textLower.includes(queryLower)) return 1.0;
-        
-        // Calculate Levenshtein distance for fuzzy matching
-        const distance = this.calculateLevenshteinDistance(queryLower, textLower);
-        return Math.max(0, 1 - (distance / Math.max(queryLower.length, textLower.length)));
-      },
-      
-      relevanceScore: (query, article) => {
-        // Calculate relevance score based on multiple factors
-        let score = 0;
-        
-        // Title match (highest weight)
-        score += this.algorithms.fuzzyMatch(query, article.title) * 0.5;
-        
-        // Excerpt match
-        score += this.algorithms.fuzzyMatch(query, article.excerpt || '') * 0.3;
-        
-        // Category relevance
-        if (article.category && query.toLowerCase().includes(article.category.toLowerCase())) {
-          score += 0.1;
-        }
-        
-        // Recency bonus (newer articles get slight boost)
-        const articleDate = new Date(article.published_date);
-        const daysSincePublished = (Date.now() - articleDate.getTime()) / (1000 * 60 * 60 * 24);
-        score += Math.max(0, 0.1 - (daysSincePublished / 365) * 0.1);
-        
-        return Math.min(1, score);
-      }
-    };
-  }
-
-  /**
-   * Calculate Levenshtein distance for fuzzy matching
-   */
-  calculateLevenshteinDistance(str1, str2) {
-    const matrix = [];
-    
-    for (let i = 0; i <= str2.length; i++) {
-      matrix[i] = [i];
-    }
-    
-    for (let j = 0; j <= str1.length; j++) {
-      matrix[0][j] = j;
-    }
-    
-    for (let i = 1; i <= str2.length; i++) {
-      for (let j = 1; j <= str1.length; j++) {
-        if (str2.charAt(i - 1) === str1.charAt(j - 1)) {
-          matrix[i][j] = matrix[i - 1][j - 1];
-        } else {
-          matrix[i][j] = Math.min(
-            matrix[i - 1][j - 1] + 1,
-            matrix[i][j - 1] + 1,
-            matrix[i - 1][j] + 1
-          );
-        }
-      }
-    }
-    
-    return matrix[str2.length][str1.length];
-  }
-
   /**
    * Initialize search filters
    */
@@ -842,16 +684,6 @@ export class AdvancedSearchService {
     });
   }
 
-  /**
-   * Build search index for performance
-   */
-  async buildSearchIndex() {
-    // In a real implementation, this would build an inverted index
-    // For now, we'll just initialize the structure
-    this.searchIndex.clear();
-    console.log('🗂️ Search index initialized');
-  }
-
   /**
    * Get search usage text for display
    */
@@ -0,0 +1,242 @@
+/**
+ * API Keys - self-service keys for the public REST API, and the daily call
+ * quotas that come with the key owner's tier
+ *
+ * Keys look like `zn_<43 characters>` and are shown to the user once; only
+ * their SHA-256 hash is stored in `api_keys`, with the first characters kept
+ * as a prefix so users can tell their keys apart. A key's scopes limit which
+ * parts of the API it can call.
+ *
+ * Calls are counted per user and day in `api_usage`
+ * ({ user_id, day: 'YYYY-MM-DD', count, keys: { <key id>: count } }), against
+ * the `api_calls_per_day` limit of the user's tier, by authorizeApiKey, which
+ * the API gateway runs for every request made with a key.
+ */
+
+const crypto = require('crypto');
+
+const API_KEY_SCOPES = {
+    'articles:read': 'Read articles, news, trending stories and search',
+    'posts:write': 'Schedule and cancel posts to channels and groups you manage',
+    'schedule:read': 'List your scheduled posts and preview posts and recurring schedules',
+    'analytics:read': 'Read article, channel and engagement analytics'
+};
+
+const DEFAULT_SCOPES = ['articles:read'];
+
+const KEY_PREFIX = 'zn_';
+const DISPLAY_PREFIX_LENGTH = 11;
+const MAX_KEYS_PER_USER = 5;
+
+/**
+ * A new key and what is stored for it
+ * @returns {{ key: string, key_hash: string, prefix: string }}
+ */
+function generateApiKey() {
+    const key = `${KEY_PREFIX}${crypto.randomBytes(32).toString('base64url')}`;
+    return { key, key_hash: hashApiKey(key), prefix: key.slice(0, DISPLAY_PREFIX_LENGTH) };
+}
+
+/**
+ * Keys are 256 random bits, so a plain SHA-256 is enough to keep them from
+ * being read back out of the database, and cheap enough to run per request
+ */
+function hashApiKey(key) {
+    return crypto.createHash('sha256').update(String(key)).digest('hex');
+}
+
+function isApiKeyFormat(key) {
+    return typeof key === 'string' && /^zn_[A-Za-z0-9_-]{43}$/.test(key);
+}
+
+/**
+ * Scopes from user input; "all" selects every scope
+ * @returns {{ scopes: string[], unknown: string[] }}
+ */
+function parseScopes(input) {
+    const names = (Array.isArray(input) ? input : String(input || '').split(/[\s,]+/))
+        .map(name => String(name).trim())
+        .filter(Boolean);
+
+    if (names.includes('all') || names.includes('*')) {
+        return { scopes: Object.keys(API_KEY_SCOPES), unknown: [] };
+    }
+
+    const scopes = [...new Set(names.filter(name => API_KEY_SCOPES[name]))];
+    const unknown = names.filter(name => !API_KEY_SCOPES[name]);
+    return { scopes, unknown };
+}
+
+/**
+ * Quota day of a moment, in the server's time zone like TierManager's other
+ * daily limits
+ */
+function usageDay(now = new Date()) {
+    const pad = (n) => String(n).padStart(2, '0');
+    return `${now.getFullYear()}-${pad(now.getMonth() + 1)}-${pad(now.getDate())}`;
+}
+
+/**
+ * When the quota of `now`'s day starts again
+ */
+function quotaResetAt(now = new Date()) {
+    const reset = new Date(now);
+    reset.setHours(24, 0, 0, 0);
+    return reset;
+}
+
+/**
+ * Calls made today by a user, in total and by key id
+ */
+async function getDailyApiUsage(db, userId, now = new Date()) {
+    const usage = await db.collection('api_usage').findOne({ user_id: userId, day: usageDay(now) });
+    return { count: usage?.count || 0, keys: usage?.keys || {} };
+}
+
+/**
+ * Count one call by `apiKey` if the user's quota for the day allows it
+ * @param {number} limit - calls per day, -1 for unlimited
+ * @returns {Promise<number|null>} calls made today including this one, or
+ *   null when the quota is used up
+ */
+async function recordApiCall(db, apiKey, limit, now = new Date()) {
+    const usage = db.collection('api_usage');
+    const day = usageDay(now);
+    const update = {
+        $inc: { count: 1, [`keys.${apiKey._id}`]: 1 },
+        $set: { updated_at: now }
+    };
+
+    if (limit === -1) {
+        const result = await usage.findOneAndUpdate(
+            { user_id: apiKey.user_id, day },
+            { ...update, $setOnInsert: { created_at: now } },
+            { upsert: true, returnDocument: 'after', includeResultMetadata: true }
+        );
+        return result.value.count;
+    }
+    if (limit <= 0) {
+        return null;
+    }
+
+    // Counting only below the limit keeps concurrent calls from overshooting
+    // it; the first call of the day creates the document instead
+    for (let attempt = 0; attempt < 2; attempt++) {
+        const result = await usage.findOneAndUpdate(
+            { user_id: apiKey.user_id, day, count: { $lt: limit } },
+            update,
+            { returnDocument: 'after', includeResultMetadata: true }
+        );
+        if (result.value) {
+            return result.value.count;
+        }
+
+        try {
+            await usage.insertOne({
+                user_id: apiKey.user_id,
+                day,
+                count: 1,
+                keys: { [String(apiKey._id)]: 1 },
+                created_at: now,
+                updated_at: now
+            });
+            return 1;
+        } catch (error) {
+            // Either today's document is at the limit, or another call
+            // created it first and the update is worth another try
+            if (error.code !== 11000) {
+                throw error;
+            }
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Check a key sent to the API and count the call against its owner's quota.
+ * Calls that fail any check are not counted.
+ * @param {Object} tierManager - the key owner's tier and limits: the bot's
+ *   TierManager, or `{ tiers: TIERS, getUserTier }` from tiers.js
+ * @param {string} key - the raw key from the request
+ * @param {Object} options
+ * @param {string[]} options.scopes - the route's scopes; the key needs one of them
+ * @returns {Promise<Object>} `{ allowed: true, apiKey, tier, usage }`, or
+ *   `{ allowed: false, status, code, error }` with the HTTP status to send
+ */
+async function authorizeApiKey(db, tierManager, key, { scopes = [], now = new Date() } = {}) {
+    if (!isApiKeyFormat(key)) {
+        return { allowed: false, status: 401, code: 'INVALID_API_KEY', error: 'Invalid API key' };
+    }
+
+    const apiKey = await db.collection('api_keys').findOne({ key_hash: hashApiKey(key), revoked_at: null });
+    if (!apiKey) {
+        return { allowed: false, status: 401, code: 'INVALID_API_KEY', error: 'Invalid API key' };
+    }
+
+    if (scopes.length > 0 && !scopes.some(scope => apiKey.scopes.includes(scope))) {
+        return {
+            allowed: false,
+            status: 403,
+            code: 'API_KEY_SCOPE',
+            error: `This API key needs the ${scopes.join(' or ')} scope for this endpoint`
+        };
+    }
+
+    // Keys outlive subscriptions, so the tier is checked on every call
+    const tier = await tierManager.getUserTier(apiKey.user_id);
+    const tierConfig = tierManager.tiers[tier];
+    if (!tierConfig.features.api_access) {
+        return {
+            allowed: false,
+            status: 403,
+            code: 'API_ACCESS_REQUIRED',
+            error: `API access is not included in the ${tierConfig.name} tier`
+        };
+    }
+
+    const limit = tierConfig.limits.api_calls_per_day;
+    const used = await recordApiCall(db, apiKey, limit, now);
+    const resetAt = quotaResetAt(now);
+    if (used === null) {
+        return {
+            allowed: false,
+            status: 429,
+            code: 'API_QUOTA_EXCEEDED',
+            error: `Daily API quota of ${limit} calls reached for ${tierConfig.name} tier`,
+            usage: { used: limit, limit, remaining: 0, reset_at: resetAt }
+        };
+    }
+
+    await db.collection('api_keys').updateOne(
+        { _id: apiKey._id },
+        { $set: { last_used_at: now }, $inc: { total_calls: 1 } }
+    );
+
+    return {
+        allowed: true,
+        apiKey,
+        tier,
+        usage: {
+            used,
+            limit,
+            remaining: limit === -1 ? null : Math.max(limit - used, 0),
+            reset_at: resetAt
+        }
+    };
+}
+
+module.exports = {
+    API_KEY_SCOPES,
+    DEFAULT_SCOPES,
+    MAX_KEYS_PER_USER,
+    generateApiKey,
+    hashApiKey,
+    isApiKeyFormat,
+    parseScopes,
+    usageDay,
+    quotaResetAt,
+    getDailyApiUsage,
+    recordApiCall,
+    authorizeApiKey
+};
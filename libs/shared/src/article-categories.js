@@ -0,0 +1,38 @@
+/**
+ * Zone News - Article Categories
+ * The categories articles are filed under, shared by the article processor
+ * (which guesses them) and the bot (where editors correct them)
+ *
+ * An editor's correction is kept on the article:
+ *   metadata: { category_source: 'editor', category_corrected_at, category_corrected_by }
+ * and logged in `category_corrections`:
+ *   { article_id, from, to, user_id, corrected_at }
+ * Corrected articles are what the processor's category classifier learns from.
+ */
+
+const CATEGORIES = [
+    'Local News',
+    'Politics',
+    'Business',
+    'Technology',
+    'Sports',
+    'Entertainment',
+    'Health',
+    'Education',
+    'Crime',
+    'Weather',
+    'General'
+];
+
+/**
+ * The category called `name`, ignoring case and extra spaces, or null
+ */
+function findCategory(name) {
+    const wanted = String(name || '').trim().replace(/\s+/g, ' ').toLowerCase();
+    return CATEGORIES.find(category => category.toLowerCase() === wanted) || null;
+}
+
+module.exports = {
+    CATEGORIES,
+    findCategory
+};
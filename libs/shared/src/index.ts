@@ -6,4 +6,4 @@ export * from './utils';
 
 // Re-export for convenience
 export { TIER_CONFIGS, API_ENDPOINTS, TELEGRAM_COMMANDS } from './constants';
-export type { User, TierType, TierConfig, NewsArticle, ApiResponse, Channel } from './types';
\ No newline at end of file
+export type { User, TierType, TierConfig, NewsArticle, ArticleImages, StorySource, ApiResponse, Channel } from './types';
\ No newline at end of file
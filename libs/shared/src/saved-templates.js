@@ -0,0 +1,33 @@
+/**
+ * Saved Templates - the templates a user's saved template (see the bot's
+ * TemplateSystem, `user_templates`) can include, for the bot and workflows
+ */
+
+const { resolvePartials } = require('./template-engine');
+
+/**
+ * Query filter for the templates a saved template can include: those of
+ * its workspace, or its owner's personal ones
+ */
+function templateScope(template) {
+    return template.workspace_id
+        ? { workspace_id: template.workspace_id }
+        : { user_id: template.user_id, workspace_id: null };
+}
+
+/**
+ * Sources of the templates `source` includes, looked up by name among the
+ * templates matching `scope` (see templateScope). Missing templates map to null.
+ */
+async function loadPartials(db, scope, source) {
+    return await resolvePartials(source, async (name) => {
+        const partial = await db.collection('user_templates')
+            .findOne({ ...scope, name }, { projection: { content: 1 } });
+        return partial?.content ?? null;
+    });
+}
+
+module.exports = {
+    templateScope,
+    loadPartials
+};
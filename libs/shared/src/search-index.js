@@ -0,0 +1,444 @@
+/**
+ * Zone News - Search Index
+ * Full-text search over news_articles, shared by the bot's /search, the
+ * API's /api/search and the article processor, which keeps it up to date
+ *
+ * An inverted index kept in MongoDB:
+ *   search_index  one entry per searchable article:
+ *                 { _id: article _id, terms, title: { stem: count },
+ *                   content: { stem: count }, title_length, content_length,
+ *                   category, source, published_date, indexed_at }
+ *   search_terms  { _id: stem, df } - how many entries have each term
+ *   search_stats  { _id: 'news_articles', documents, title_length, content_length }
+ *
+ * `terms` has a multikey index, so the entries a query can match are found
+ * with one indexed query; they are then ranked by BM25F (see search-text.js).
+ * Searchable articles are published primaries of their story.
+ *
+ * Articles are indexed as they are saved (indexArticle). Whatever changes an
+ * article's text, category, status or story elsewhere unsets its
+ * `search_indexed_at`, and indexPending picks it up.
+ */
+
+const {
+    tokenize,
+    terms,
+    containsPhrase,
+    editDistance,
+    parseQuery,
+    score,
+    highlight
+} = require('./search-text');
+
+// Matches beyond this many (newest first) are not ranked
+const MAX_CANDIDATES = 2000;
+const MAX_CONTENT_LENGTH = 20000;
+const MAX_LIMIT = 50;
+const SNIPPET_LENGTH = 200;
+
+// Prefix and fuzzy matches count for less than the word itself
+const PREFIX_WEIGHT = 0.7;
+const FUZZY_WEIGHT = 0.5;
+const MAX_EXPANSIONS = 20;
+const MAX_FUZZY_CANDIDATES = 5000;
+
+const STATS_ID = 'news_articles';
+
+const DATE_FACETS = {
+    day: 24 * 60 * 60 * 1000,
+    week: 7 * 24 * 60 * 60 * 1000,
+    month: 30 * 24 * 60 * 60 * 1000,
+    year: 365 * 24 * 60 * 60 * 1000
+};
+
+function escapeRegex(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function countTerms(text) {
+    const counts = {};
+    const stems = terms(text);
+    for (const term of stems) {
+        counts[term] = (Object.hasOwn(counts, term) ? counts[term] : 0) + 1;
+    }
+    return { counts, length: stems.length };
+}
+
+function articleText(article) {
+    return {
+        title: article.title || '',
+        content: [article.summary, article.content].filter(Boolean).join('\n').slice(0, MAX_CONTENT_LENGTH)
+    };
+}
+
+/**
+ * Whether an article belongs in the index
+ */
+function isSearchable(article) {
+    return Boolean(article) && article.status === 'published' && article.story?.primary !== false;
+}
+
+/**
+ * The index entry for an article
+ */
+function buildEntry(article, now = new Date()) {
+    const text = articleText(article);
+    const title = countTerms(text.title);
+    const content = countTerms(text.content);
+
+    return {
+        _id: article._id,
+        terms: [...new Set([...Object.keys(title.counts), ...Object.keys(content.counts)])],
+        title: title.counts,
+        content: content.counts,
+        title_length: title.length,
+        content_length: content.length,
+        category: article.category || 'General',
+        source: article.source || null,
+        published_date: article.published_date || null,
+        indexed_at: now
+    };
+}
+
+class SearchIndex {
+    constructor(db) {
+        this.db = db;
+    }
+
+    async ensureIndexes() {
+        await this.db.collection('search_index').createIndex({ terms: 1, published_date: -1 });
+        await this.db.collection('search_index').createIndex({ published_date: -1 });
+        await this.db.collection('news_articles').createIndex({ search_indexed_at: 1 }, { sparse: true });
+    }
+
+    // ==================== Updating ====================
+
+    /**
+     * Add, update or remove an article's entry to match the article
+     */
+    async indexArticle(article) {
+        if (!isSearchable(article)) {
+            await this.removeArticle(article._id);
+        } else {
+            const entries = this.db.collection('search_index');
+            const previous = await entries.findOne(
+                { _id: article._id },
+                { projection: { terms: 1, title_length: 1, content_length: 1 } }
+            );
+            const entry = buildEntry(article);
+
+            await entries.replaceOne({ _id: article._id }, entry, { upsert: true });
+
+            const before = new Set(previous?.terms || []);
+            const after = new Set(entry.terms);
+            await this.adjustTerms(
+                entry.terms.filter(term => !before.has(term)),
+                [...before].filter(term => !after.has(term))
+            );
+            await this.adjustStats(
+                previous ? 0 : 1,
+                entry.title_length - (previous?.title_length || 0),
+                entry.content_length - (previous?.content_length || 0)
+            );
+        }
+
+        await this.db.collection('news_articles').updateOne(
+            { _id: article._id },
+            { $set: { search_indexed_at: new Date() } }
+        );
+    }
+
+    /**
+     * Take an article out of the index
+     */
+    async removeArticle(articleId) {
+        const entries = this.db.collection('search_index');
+        const previous = await entries.findOne(
+            { _id: articleId },
+            { projection: { terms: 1, title_length: 1, content_length: 1 } }
+        );
+        if (!previous) {
+            return;
+        }
+
+        await entries.deleteOne({ _id: articleId });
+        await this.adjustTerms([], previous.terms || []);
+        await this.adjustStats(-1, -(previous.title_length || 0), -(previous.content_length || 0));
+    }
+
+    async adjustTerms(added, removed) {
+        if (added.length === 0 && removed.length === 0) {
+            return;
+        }
+        const termsCollection = this.db.collection('search_terms');
+        await termsCollection.bulkWrite([
+            ...added.map(term => ({ updateOne: { filter: { _id: term }, update: { $inc: { df: 1 } }, upsert: true } })),
+            ...removed.map(term => ({ updateOne: { filter: { _id: term }, update: { $inc: { df: -1 } } } }))
+        ], { ordered: false });
+        if (removed.length > 0) {
+            await termsCollection.deleteMany({ _id: { $in: removed }, df: { $lte: 0 } });
+        }
+    }
+
+    async adjustStats(documents, titleLength, contentLength) {
+        await this.db.collection('search_stats').updateOne(
+            { _id: STATS_ID },
+            { $inc: { documents, title_length: titleLength, content_length: contentLength } },
+            { upsert: true }
+        );
+    }
+
+    /**
+     * Index articles that are new or changed since they were indexed, oldest
+     * first
+     * @returns {{ indexed, errors }}
+     */
+    async indexPending({ limit = 500 } = {}) {
+        const result = { indexed: 0, errors: 0 };
+        const articles = await this.db.collection('news_articles')
+            .find({ search_indexed_at: { $exists: false } })
+            .sort({ _id: 1 })
+            .limit(limit)
+            .toArray();
+
+        for (const article of articles) {
+            try {
+                await this.indexArticle(article);
+                result.indexed++;
+            } catch (error) {
+                console.error(`❌ Error indexing article ${article._id}:`, error.message);
+                result.errors++;
+            }
+        }
+
+        return result;
+    }
+
+    /**
+     * Empty the index and mark every article for indexing
+     */
+    async clear() {
+        await this.db.collection('search_index').deleteMany({});
+        await this.db.collection('search_terms').deleteMany({});
+        await this.db.collection('search_stats').deleteMany({});
+        await this.db.collection('news_articles').updateMany(
+            { search_indexed_at: { $exists: true } },
+            { $unset: { search_indexed_at: '' } }
+        );
+    }
+
+    // ==================== Searching ====================
+
+    /**
+     * The indexed terms a query term stands for: itself, the terms it is a
+     * prefix of, or for a word the index doesn't have, the known words a
+     * typo away from it
+     * @returns {Array<{ stem, weight, df }>}
+     */
+    async expandTerm({ stem, prefix }) {
+        const termsCollection = this.db.collection('search_terms');
+
+        if (prefix) {
+            const matches = await termsCollection
+                .find({ _id: { $regex: `^${escapeRegex(stem)}` } })
+                .sort({ df: -1 })
+                .limit(MAX_EXPANSIONS)
+                .toArray();
+            return matches.map(match => ({ stem: match._id, weight: match._id === stem ? 1 : PREFIX_WEIGHT, df: match.df }));
+        }
+
+        const exact = await termsCollection.findOne({ _id: stem });
+        if (exact || stem.length < 4 || /^\d+$/.test(stem)) {
+            return [{ stem, weight: 1, df: exact?.df || 0 }];
+        }
+
+        // Typos in the first letter aren't looked for
+        const maxEdits = stem.length >= 8 ? 2 : 1;
+        const candidates = await termsCollection
+            .find({ _id: { $regex: `^${escapeRegex(stem[0])}` } })
+            .limit(MAX_FUZZY_CANDIDATES)
+            .toArray();
+        return candidates
+            .filter(candidate => Math.abs(candidate._id.length - stem.length) <= maxEdits
+                && editDistance(candidate._id, stem, maxEdits) <= maxEdits)
+            .sort((a, b) => b.df - a.df)
+            .slice(0, MAX_EXPANSIONS)
+            .map(match => ({ stem: match._id, weight: FUZZY_WEIGHT, df: match.df }));
+    }
+
+    /**
+     * Search the index
+     * @param {string} text - the query (see search-text.js)
+     * @param {Object} options - { category, source, from, to, sort: 'relevance'|'date'|'date_asc', limit, offset, highlight: { open, close, length } }
+     * @returns {{ total, capped, results: Array<{ article, score, highlights: { title, snippet } }>, facets, query }}
+     */
+    async search(text, {
+        category = null,
+        source = null,
+        from = null,
+        to = null,
+        sort = 'relevance',
+        limit = 10,
+        offset = 0,
+        highlight: marks = {}
+    } = {}) {
+        const query = parseQuery(text);
+        category = category || query.filters.category || null;
+        source = source || query.filters.source || null;
+        limit = Math.max(1, Math.min(MAX_LIMIT, parseInt(limit) || 10));
+        offset = Math.max(0, parseInt(offset) || 0);
+
+        const empty = { total: 0, capped: false, results: [], facets: this.facets([]), query };
+        if (query.clauses.length === 0) {
+            return empty;
+        }
+
+        // Each clause: the terms any of which match it
+        const clauses = [];
+        for (const clause of query.clauses) {
+            if (clause.phrase) {
+                clauses.push({ phrase: clause.phrase, matches: clause.phrase.map(stem => ({ stem, weight: 1 })) });
+                continue;
+            }
+            const matches = (await Promise.all(clause.terms.map(term => this.expandTerm(term)))).flat();
+            if (matches.length === 0) {
+                return empty;
+            }
+            clauses.push({ phrase: null, matches });
+        }
+
+        // Phrase words need their document frequencies too
+        const phraseStems = [...new Set(clauses.filter(clause => clause.phrase).flatMap(clause => clause.phrase))];
+        if (phraseStems.length > 0) {
+            const known = await this.db.collection('search_terms').find({ _id: { $in: phraseStems } }).toArray();
+            const df = new Map(known.map(term => [term._id, term.df]));
+            if (phraseStems.some(stem => !df.has(stem))) {
+                return empty;
+            }
+            for (const clause of clauses.filter(c => c.phrase)) {
+                clause.matches = clause.matches.map(match => ({ ...match, df: df.get(match.stem) }));
+            }
+        }
+
+        const filter = {
+            $and: clauses.map(clause => clause.phrase
+                ? { terms: { $all: clause.phrase } }
+                : { terms: { $in: clause.matches.map(match => match.stem) } })
+        };
+        if (query.excluded.length > 0) {
+            filter.$and.push({ terms: { $nin: query.excluded } });
+        }
+
+        const allMatches = clauses.flatMap(clause => clause.matches);
+        const projection = { category: 1, source: 1, published_date: 1, title_length: 1, content_length: 1 };
+        for (const { stem } of allMatches) {
+            projection[`title.${stem}`] = 1;
+            projection[`content.${stem}`] = 1;
+        }
+
+        let candidates = await this.db.collection('search_index')
+            .find(filter, { projection })
+            .sort({ published_date: -1 })
+            .limit(MAX_CANDIDATES + 1)
+            .toArray();
+        const capped = candidates.length > MAX_CANDIDATES;
+        candidates = candidates.slice(0, MAX_CANDIDATES);
+
+        // Phrases are checked against the articles themselves
+        const phrases = clauses.filter(clause => clause.phrase).map(clause => clause.phrase);
+        if ((phrases.length > 0 || query.excludedPhrases.length > 0) && candidates.length > 0) {
+            const articles = await this.db.collection('news_articles')
+                .find({ _id: { $in: candidates.map(entry => entry._id) } }, { projection: { title: 1, summary: 1, content: 1 } })
+                .toArray();
+            const stemsById = new Map(articles.map(article => {
+                const { title, content } = articleText(article);
+                return [String(article._id), { title: terms(title), content: terms(content) }];
+            }));
+            const has = (stems, phrase) => containsPhrase(stems.title, phrase) || containsPhrase(stems.content, phrase);
+            candidates = candidates.filter(entry => {
+                const stems = stemsById.get(String(entry._id));
+                return stems
+                    && phrases.every(phrase => has(stems, phrase))
+                    && !query.excludedPhrases.some(phrase => has(stems, phrase));
+            });
+        }
+
+        // Facets count every match; the filters narrow the results
+        const facets = this.facets(candidates);
+        const wanted = candidates.filter(entry =>
+            (!category || String(entry.category).toLowerCase() === category.toLowerCase())
+            && (!source || String(entry.source).toLowerCase() === source.toLowerCase())
+            && (!from || (entry.published_date && new Date(entry.published_date) >= new Date(from)))
+            && (!to || (entry.published_date && new Date(entry.published_date) <= new Date(to))));
+
+        const stats = await this.db.collection('search_stats').findOne({ _id: STATS_ID }) || { documents: wanted.length };
+        const newer = (a, b) => new Date(b.entry.published_date || 0) - new Date(a.entry.published_date || 0);
+        const ranked = wanted
+            .map(entry => ({ entry, score: score(entry, allMatches, stats) }))
+            .sort((a, b) => {
+                if (sort === 'date') return newer(a, b);
+                if (sort === 'date_asc') return newer(b, a);
+                return b.score - a.score || newer(a, b);
+            });
+
+        const page = ranked.slice(offset, offset + limit);
+        const articles = await this.db.collection('news_articles')
+            .find({ _id: { $in: page.map(({ entry }) => entry._id) } })
+            .toArray();
+        const byId = new Map(articles.map(article => [String(article._id), article]));
+
+        const highlightTerms = {
+            stems: allMatches.map(match => match.stem),
+            prefixes: query.clauses.flatMap(clause => clause.terms.filter(term => term.prefix).map(term => term.stem))
+        };
+        const results = [];
+        for (const { entry, score: relevance } of page) {
+            const article = byId.get(String(entry._id));
+            if (!article) {
+                // Deleted since it was indexed
+                await this.removeArticle(entry._id);
+                continue;
+            }
+            const { title, content } = articleText(article);
+            results.push({
+                article,
+                score: relevance,
+                highlights: {
+                    title: highlight(title, highlightTerms, { ...marks, length: null }),
+                    snippet: highlight(content, highlightTerms, { length: SNIPPET_LENGTH, ...marks })
+                }
+            });
+        }
+
+        return { total: wanted.length, capped, results, facets, query };
+    }
+
+    /**
+     * Counts by category, source and how recent, most common first
+     */
+    facets(entries, now = Date.now()) {
+        const count = values => {
+            const counts = new Map();
+            for (const value of values) {
+                if (value) counts.set(value, (counts.get(value) || 0) + 1);
+            }
+            return [...counts.entries()]
+                .map(([value, n]) => ({ value, count: n }))
+                .sort((a, b) => b.count - a.count || String(a.value).localeCompare(String(b.value)));
+        };
+
+        return {
+            category: count(entries.map(entry => entry.category)),
+            source: count(entries.map(entry => entry.source)).slice(0, 10),
+            date: Object.entries(DATE_FACETS).map(([value, ms]) => ({
+                value,
+                count: entries.filter(entry => entry.published_date && now - new Date(entry.published_date) <= ms).length
+            }))
+        };
+    }
+}
+
+module.exports = SearchIndex;
+module.exports.DATE_FACETS = DATE_FACETS;
+module.exports.isSearchable = isSearchable;
+module.exports.buildEntry = buildEntry;
@@ -0,0 +1,420 @@
+/**
+ * Zone News - Search Text
+ * How article search reads text and queries, shared by the search index
+ * (libs/shared/src/search-index.js) and everything that highlights results
+ *
+ * Text becomes terms by folding case and accents, dropping stop words and
+ * Porter-stemming what is left, so "Connected", "connection" and
+ * "connecting" are all "connect". Queries take:
+ *   tram extension     both words (AND is the default)
+ *   tram OR train      either word
+ *   "king william"     the words next to each other
+ *   adel*              words starting with "adel"
+ *   -opinion           not this word (or -"a phrase")
+ *   category:Sports    only this category; source:"Adelaide Daily" likewise
+ */
+
+const STOP_WORDS = new Set((
+    'a an and are as at be been but by for from had has have he her his i if in into is it its ' +
+    'me my no not of on or our she so than that the their them then there these they this to ' +
+    'up us was we were what when which who will with would you your'
+).split(' '));
+
+const FILTER_FIELDS = ['category', 'source'];
+
+const MIN_PREFIX_LENGTH = 2;
+
+// ==================== Stemming ====================
+
+function isConsonant(word, i) {
+    const c = word[i];
+    if ('aeiou'.includes(c)) {
+        return false;
+    }
+    if (c === 'y') {
+        return i === 0 || !isConsonant(word, i - 1);
+    }
+    return true;
+}
+
+/**
+ * Porter's m: how many vowel-consonant runs the stem has
+ */
+function measure(stem) {
+    let m = 0;
+    let i = 0;
+    while (i < stem.length && isConsonant(stem, i)) i++;
+    while (i < stem.length) {
+        while (i < stem.length && !isConsonant(stem, i)) i++;
+        if (i >= stem.length) break;
+        while (i < stem.length && isConsonant(stem, i)) i++;
+        m++;
+    }
+    return m;
+}
+
+function hasVowel(stem) {
+    for (let i = 0; i < stem.length; i++) {
+        if (!isConsonant(stem, i)) return true;
+    }
+    return false;
+}
+
+function endsDoubleConsonant(word) {
+    const n = word.length;
+    return n >= 2 && word[n - 1] === word[n - 2] && isConsonant(word, n - 1);
+}
+
+// consonant-vowel-consonant, the last not w, x or y: "hop", not "snow"
+function endsCvc(word) {
+    const n = word.length;
+    return n >= 3 && isConsonant(word, n - 3) && !isConsonant(word, n - 2) && isConsonant(word, n - 1)
+        && !'wxy'.includes(word[n - 1]);
+}
+
+// Longest suffix first; a suffix that matches but fails its condition ends the step
+const STEP2 = [
+    ['ational', 'ate'], ['tional', 'tion'], ['enci', 'ence'], ['anci', 'ance'], ['izer', 'ize'],
+    ['abli', 'able'], ['alli', 'al'], ['entli', 'ent'], ['eli', 'e'], ['ousli', 'ous'],
+    ['ization', 'ize'], ['ation', 'ate'], ['ator', 'ate'], ['alism', 'al'], ['iveness', 'ive'],
+    ['fulness', 'ful'], ['ousness', 'ous'], ['aliti', 'al'], ['iviti', 'ive'], ['biliti', 'ble']
+].sort((a, b) => b[0].length - a[0].length);
+
+const STEP3 = [
+    ['icate', 'ic'], ['ative', ''], ['alize', 'al'], ['iciti', 'ic'], ['ical', 'ic'], ['ful', ''], ['ness', '']
+].sort((a, b) => b[0].length - a[0].length);
+
+const STEP4 = [
+    'al', 'ance', 'ence', 'er', 'ic', 'able', 'ible', 'ant', 'ement', 'ment', 'ent', 'ion',
+    'ou', 'ism', 'ate', 'iti', 'ous', 'ive', 'ize'
+].sort((a, b) => b.length - a.length);
+
+function replaceSuffix(word, rules, minMeasure) {
+    for (const [suffix, replacement] of rules) {
+        if (word.endsWith(suffix)) {
+            const stem = word.slice(0, -suffix.length);
+            return measure(stem) > minMeasure ? stem + replacement : word;
+        }
+    }
+    return word;
+}
+
+/**
+ * The Porter stem of a lower-case word. Words with anything but a-z are
+ * left as they are.
+ */
+function stem(word) {
+    if (word.length <= 2 || !/^[a-z]+$/.test(word)) {
+        return word;
+    }
+
+    // Step 1a: plurals
+    if (word.endsWith('sses') || word.endsWith('ies')) {
+        word = word.slice(0, -2);
+    } else if (word.endsWith('s') && !word.endsWith('ss')) {
+        word = word.slice(0, -1);
+    }
+
+    // Step 1b: -eed, -ed, -ing
+    if (word.endsWith('eed')) {
+        if (measure(word.slice(0, -3)) > 0) {
+            word = word.slice(0, -1);
+        }
+    } else {
+        const suffix = word.endsWith('ed') ? 'ed' : word.endsWith('ing') ? 'ing' : null;
+        if (suffix && hasVowel(word.slice(0, -suffix.length))) {
+            word = word.slice(0, -suffix.length);
+            if (word.endsWith('at') || word.endsWith('bl') || word.endsWith('iz')) {
+                word += 'e';
+            } else if (endsDoubleConsonant(word) && !'lsz'.includes(word[word.length - 1])) {
+                word = word.slice(0, -1);
+            } else if (measure(word) === 1 && endsCvc(word)) {
+                word += 'e';
+            }
+        }
+    }
+
+    // Step 1c: -y after a vowel becomes -i
+    if (word.endsWith('y') && hasVowel(word.slice(0, -1))) {
+        word = word.slice(0, -1) + 'i';
+    }
+
+    word = replaceSuffix(word, STEP2, 0);
+    word = replaceSuffix(word, STEP3, 0);
+
+    // Step 4: -ion only after s or t
+    for (const suffix of STEP4) {
+        if (word.endsWith(suffix)) {
+            const base = word.slice(0, -suffix.length);
+            if (measure(base) > 1 && (suffix !== 'ion' || /[st]$/.test(base))) {
+                word = base;
+            }
+            break;
+        }
+    }
+
+    // Step 5: a final -e, and -ll
+    if (word.endsWith('e')) {
+        const base = word.slice(0, -1);
+        const m = measure(base);
+        if (m > 1 || (m === 1 && !endsCvc(base))) {
+            word = base;
+        }
+    }
+    if (measure(word) > 1 && word.endsWith('ll')) {
+        word = word.slice(0, -1);
+    }
+
+    return word;
+}
+
+// ==================== Text ====================
+
+function fold(word) {
+    return word.normalize('NFD').replace(/\p{M}/gu, '').toLowerCase();
+}
+
+/**
+ * The searchable words of a text with where they are in it
+ * @returns {Array<{ stem: string, word: string, start: number, end: number }>}
+ */
+function tokenize(text) {
+    const tokens = [];
+    for (const match of String(text || '').matchAll(/[\p{L}\p{N}]+(?:['’][\p{L}]+)?/gu)) {
+        const word = fold(match[0].replace(/['’]s$/i, '').replace(/['’]/g, ''));
+        if (word.length < 2 || STOP_WORDS.has(word)) {
+            continue;
+        }
+        tokens.push({ stem: stem(word), word, start: match.index, end: match.index + match[0].length });
+    }
+    return tokens;
+}
+
+/**
+ * The stems of a text, in order
+ */
+function terms(text) {
+    return tokenize(text).map(token => token.stem);
+}
+
+/**
+ * Whether `phrase` (stems) appears in `stems` in that order, side by side
+ */
+function containsPhrase(stems, phrase) {
+    if (phrase.length === 0) {
+        return true;
+    }
+    for (let i = 0; i + phrase.length <= stems.length; i++) {
+        if (phrase.every((term, j) => stems[i + j] === term)) {
+            return true;
+        }
+    }
+    return false;
+}
+
+/**
+ * Levenshtein distance, or max + 1 once it is known to exceed `max`
+ */
+function editDistance(a, b, max = Infinity) {
+    if (Math.abs(a.length - b.length) > max) {
+        return max + 1;
+    }
+    let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        let best = i;
+        for (let j = 1; j <= b.length; j++) {
+            current[j] = Math.min(
+                previous[j] + 1,
+                current[j - 1] + 1,
+                previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+            );
+            best = Math.min(best, current[j]);
+        }
+        if (best > max) {
+            return max + 1;
+        }
+        previous = current;
+    }
+    return previous[b.length];
+}
+
+// ==================== Queries ====================
+
+/**
+ * Read a search query (see the top of this file)
+ * @returns {{
+ *   clauses: Array<{ terms: Array<{ stem, prefix: boolean }>, phrase: string[]|null }>,
+ *   excluded: string[], excludedPhrases: string[][], filters: { category?, source? }
+ * }} every clause must match; a clause matches when any of its terms does,
+ * or its phrase does
+ */
+function parseQuery(text) {
+    const query = { clauses: [], excluded: [], excludedPhrases: [], filters: {} };
+    let or = false;
+
+    const pattern = /(\w+):"([^"]*)"|(-?)"([^"]*)"|(\S+)/g;
+    for (const [, field, fieldValue, negated, quoted, word] of String(text || '').matchAll(pattern)) {
+        if (field && FILTER_FIELDS.includes(field.toLowerCase())) {
+            query.filters[field.toLowerCase()] = fieldValue.trim();
+            continue;
+        }
+
+        let clause = null;
+        if (quoted !== undefined) {
+            const phrase = terms(quoted);
+            if (negated) {
+                if (phrase.length > 1) query.excludedPhrases.push(phrase);
+                else query.excluded.push(...phrase);
+            } else if (phrase.length > 1) {
+                clause = { terms: [], phrase };
+            } else if (phrase.length === 1) {
+                clause = { terms: [{ stem: phrase[0], prefix: false }], phrase: null };
+            }
+        } else if (word === 'OR') {
+            or = query.clauses.length > 0;
+            continue;
+        } else if (word === 'AND') {
+            continue;
+        } else {
+            const fieldMatch = word.match(/^(\w+):(.+)$/);
+            if (fieldMatch && FILTER_FIELDS.includes(fieldMatch[1].toLowerCase())) {
+                query.filters[fieldMatch[1].toLowerCase()] = fieldMatch[2];
+                continue;
+            }
+            if (word.startsWith('-') && word.length > 1) {
+                const excluded = terms(word.slice(1));
+                if (excluded.length > 1) query.excludedPhrases.push(excluded);
+                else query.excluded.push(...excluded);
+                continue;
+            }
+            if (word.endsWith('*')) {
+                const prefix = fold(word.slice(0, -1)).replace(/[^\p{L}\p{N}]/gu, '');
+                if (prefix.length >= MIN_PREFIX_LENGTH) {
+                    clause = { terms: [{ stem: prefix, prefix: true }], phrase: null };
+                }
+            } else {
+                // "covid-19" is two words that belong together
+                const stems = terms(word);
+                if (stems.length > 1) {
+                    clause = { terms: [], phrase: stems };
+                } else if (stems.length === 1) {
+                    clause = { terms: [{ stem: stems[0], prefix: false }], phrase: null };
+                }
+            }
+        }
+
+        if (!clause) {
+            continue;
+        }
+        const previous = query.clauses[query.clauses.length - 1];
+        if (or && !clause.phrase && previous && !previous.phrase) {
+            previous.terms.push(...clause.terms);
+        } else {
+            query.clauses.push(clause);
+        }
+        or = false;
+    }
+
+    return query;
+}
+
+// ==================== Ranking ====================
+
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+
+// How much a match in each field counts
+const FIELD_BOOSTS = { title: 3, content: 1 };
+
+/**
+ * BM25F relevance of one indexed article
+ * @param {Object} entry - { title: { stem: count }, content: { stem: count }, title_length, content_length }
+ * @param {Array<{ stem, weight, df }>} matches - the terms to score, weight < 1 for prefix and fuzzy matches
+ * @param {Object} stats - { documents, title_length, content_length } totals over the index
+ */
+function score(entry, matches, stats) {
+    const documents = Math.max(stats.documents || 0, 1);
+    let total = 0;
+
+    for (const { stem: term, weight = 1, df = 1 } of matches) {
+        let tf = 0;
+        for (const [field, boost] of Object.entries(FIELD_BOOSTS)) {
+            const counts = entry[field] || {};
+            const count = Object.hasOwn(counts, term) ? counts[term] : 0;
+            if (count === 0) {
+                continue;
+            }
+            const average = (stats[`${field}_length`] || 1) / documents;
+            const length = entry[`${field}_length`] || 0;
+            tf += boost * count / (1 - BM25_B + BM25_B * length / Math.max(average, 1));
+        }
+        if (tf === 0) {
+            continue;
+        }
+        const idf = Math.log(1 + (documents - df + 0.5) / (df + 0.5));
+        total += weight * idf * tf / (BM25_K1 + tf);
+    }
+
+    return total;
+}
+
+// ==================== Highlighting ====================
+
+function escapeHtml(text) {
+    return String(text).replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[c]);
+}
+
+/**
+ * HTML of `text` with the words matching `stems` (or starting with one of
+ * `prefixes`) wrapped in `open`/`close`. With `length`, only the part of
+ * the text around the first match, about that long.
+ */
+function highlight(text, { stems = [], prefixes = [] } = {}, { open = '<mark>', close = '</mark>', length = null } = {}) {
+    text = String(text || '');
+    const wanted = new Set(stems);
+    const hits = tokenize(text).filter(token =>
+        wanted.has(token.stem) || prefixes.some(prefix => token.word.startsWith(prefix) || token.stem.startsWith(prefix)));
+
+    let from = 0;
+    let to = text.length;
+    if (length && text.length > length) {
+        const first = hits[0]?.start ?? 0;
+        from = Math.max(0, first - Math.floor(length / 4));
+        if (from > 0) {
+            const space = text.indexOf(' ', from);
+            from = space !== -1 && space < first ? space + 1 : from;
+        }
+        to = Math.min(text.length, from + length);
+        if (to < text.length) {
+            const space = text.lastIndexOf(' ', to);
+            to = space > from ? space : to;
+        }
+    }
+
+    let html = from > 0 ? '…' : '';
+    let at = from;
+    for (const hit of hits) {
+        if (hit.start < from || hit.end > to) {
+            continue;
+        }
+        html += escapeHtml(text.slice(at, hit.start)) + open + escapeHtml(text.slice(hit.start, hit.end)) + close;
+        at = hit.end;
+    }
+    html += escapeHtml(text.slice(at, to));
+    return to < text.length ? `${html}…` : html;
+}
+
+module.exports = {
+    STOP_WORDS,
+    FIELD_BOOSTS,
+    stem,
+    tokenize,
+    terms,
+    containsPhrase,
+    editDistance,
+    parseQuery,
+    score,
+    escapeHtml,
+    highlight
+};
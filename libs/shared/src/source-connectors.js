@@ -0,0 +1,194 @@
+/**
+ * Zone News - Source Connectors
+ * The kinds of source a workspace can register for the article processor to
+ * poll, and the rules for registering them, shared by the bot (which
+ * registers sources) and the article processor (which polls them)
+ *
+ * A source lives in `source_connectors`:
+ *   { user_id, workspace_id, type, location, name, channel, interval_minutes,
+ *     category_map, default_category, enabled, state: { etag, last_modified },
+ *     next_poll_at, last_polled_at, last_status, last_error,
+ *     consecutive_failures, item_count, created_at }
+ *
+ * `location` is an http(s) URL, or for file sources a path relative to the
+ * processor's CONNECTOR_FILES_ROOT. `category_map` maps the source's own
+ * category names (lower case) to ours.
+ */
+
+const net = require('net');
+
+// location: which kinds of location the type reads from
+const CONNECTOR_TYPES = {
+    rss: { label: 'RSS 2.0 feed', location: 'url' },
+    atom: { label: 'Atom feed', location: 'url' },
+    jsonfeed: { label: 'JSON Feed', location: 'url' },
+    sitemap: { label: 'Sitemap, reading each page it lists', location: 'url' },
+    telegram: { label: 'Telegram Desktop channel export', location: 'any' },
+    html: { label: 'Directory of HTML files', location: 'path' }
+};
+
+const MIN_INTERVAL_MINUTES = 5;
+const DEFAULT_INTERVAL_MINUTES = 30;
+const MAX_INTERVAL_MINUTES = 24 * 60;
+
+// Failing sources back off up to this long between attempts
+const MAX_BACKOFF_MINUTES = 24 * 60;
+
+const MAX_LOCATION_LENGTH = 500;
+const MAX_CATEGORY_LENGTH = 40;
+
+function isUrl(location) {
+    return /^[a-z][a-z0-9+.-]*:\/\//i.test(String(location || ''));
+}
+
+function isPrivateHost(host) {
+    if (host === 'localhost' || host.endsWith('.localhost') || host.endsWith('.local') || host.endsWith('.internal')) {
+        return true;
+    }
+    if (net.isIPv4(host)) {
+        const [a, b] = host.split('.').map(Number);
+        return a === 10 || a === 127 || a === 0
+            || (a === 169 && b === 254)
+            || (a === 172 && b >= 16 && b <= 31)
+            || (a === 192 && b === 168)
+            || (a === 100 && b >= 64 && b <= 127);
+    }
+    if (net.isIPv6(host)) {
+        return host === '::' || host === '::1' || /^f[cd]/.test(host) || /^fe[89ab]/.test(host) || host.startsWith('::ffff:');
+    }
+    return false;
+}
+
+/**
+ * Why a source of `type` cannot read from `location`, or null if it can.
+ * URLs must be public http(s); paths must stay inside the files root.
+ * Hostnames are not resolved here.
+ */
+function validateLocation(type, location) {
+    const connector = CONNECTOR_TYPES[type];
+    if (!connector) {
+        return `Unknown source type "${type}", expected one of: ${Object.keys(CONNECTOR_TYPES).join(', ')}`;
+    }
+    if (typeof location !== 'string' || !location.trim() || location.length > MAX_LOCATION_LENGTH) {
+        return `Location must be 1-${MAX_LOCATION_LENGTH} characters`;
+    }
+
+    if (isUrl(location)) {
+        if (connector.location === 'path') {
+            return `"${type}" sources are read from a path, not a URL`;
+        }
+        let parsed;
+        try {
+            parsed = new URL(location);
+        } catch {
+            return 'Not a valid URL';
+        }
+        if (!['http:', 'https:'].includes(parsed.protocol)) {
+            return 'URLs must use http:// or https://';
+        }
+        if (parsed.username || parsed.password) {
+            return 'URLs cannot contain a username or password';
+        }
+        if (isPrivateHost(parsed.hostname.replace(/^\[|\]$/g, '').toLowerCase())) {
+            return 'Sources must be reachable on the public internet';
+        }
+        return null;
+    }
+
+    if (connector.location === 'url') {
+        return `"${type}" sources are read from an http(s) URL`;
+    }
+    const segments = location.split(/[\\/]+/);
+    if (/^([\\/]|[a-z]:)/i.test(location) || segments.includes('..') || location.includes('\0')) {
+        return 'Paths must be relative to the sources folder and stay inside it';
+    }
+    return null;
+}
+
+/**
+ * Why `minutes` cannot be a polling interval, or null if it can
+ */
+function validateInterval(minutes) {
+    if (!Number.isInteger(minutes) || minutes < MIN_INTERVAL_MINUTES || minutes > MAX_INTERVAL_MINUTES) {
+        return `Polling interval must be ${MIN_INTERVAL_MINUTES}-${MAX_INTERVAL_MINUTES} minutes`;
+    }
+    return null;
+}
+
+/**
+ * A category map from "theirs=ours" pairs separated by ";" or new lines,
+ * e.g. "Sport=Sports; World News=World"
+ * @returns {{ map: Object, invalid: string[] }}
+ */
+function parseCategoryMap(text) {
+    const map = {};
+    const invalid = [];
+
+    for (const pair of String(text || '').split(/[;\n]+/)) {
+        if (!pair.trim()) {
+            continue;
+        }
+        const [theirs, ours, ...rest] = pair.split('=').map(part => part.trim());
+        if (!theirs || !ours || rest.length > 0 || ours.length > MAX_CATEGORY_LENGTH) {
+            invalid.push(pair.trim());
+            continue;
+        }
+        map[theirs.toLowerCase()] = ours;
+    }
+
+    return { map, invalid };
+}
+
+/**
+ * Our category for an item from the source's own categories, or null when
+ * none of them is mapped
+ */
+function mapCategory(categoryMap, categories) {
+    if (!categoryMap) {
+        return null;
+    }
+    for (const category of categories || []) {
+        const mapped = categoryMap[String(category).trim().toLowerCase()];
+        if (mapped) {
+            return mapped;
+        }
+    }
+    return null;
+}
+
+/**
+ * When to poll a source next: its interval after this poll, doubling with
+ * each failure in a row up to MAX_BACKOFF_MINUTES
+ */
+function nextPollAt(intervalMinutes, failures = 0, now = new Date()) {
+    const minutes = Math.min(intervalMinutes * 2 ** Math.min(failures, 10), Math.max(intervalMinutes, MAX_BACKOFF_MINUTES));
+    return new Date(now.getTime() + minutes * 60 * 1000);
+}
+
+/**
+ * A short name for a source: the feed's host, or the file or folder name
+ */
+function defaultSourceName(location) {
+    if (isUrl(location)) {
+        try {
+            return new URL(location).hostname.replace(/^www\./, '');
+        } catch {
+            return location;
+        }
+    }
+    return location.split(/[\\/]+/).filter(Boolean).pop() || location;
+}
+
+module.exports = {
+    CONNECTOR_TYPES,
+    MIN_INTERVAL_MINUTES,
+    DEFAULT_INTERVAL_MINUTES,
+    MAX_INTERVAL_MINUTES,
+    isUrl,
+    validateLocation,
+    validateInterval,
+    parseCategoryMap,
+    mapCategory,
+    nextPollAt,
+    defaultSourceName
+};
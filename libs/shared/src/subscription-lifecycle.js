@@ -0,0 +1,156 @@
+/**
+ * Zone News Bot - Subscription Lifecycle
+ * The states a paid subscription moves through, shared by the bot (Stripe,
+ * PayPal and Telegram payments) and the subscription service (Telegram Stars)
+ *
+ *   trialing  - free trial, paid features until the trial ends
+ *   active    - paid up until the end of the current period
+ *   past_due  - a renewal charge failed and the provider is retrying it
+ *   grace     - the period ended unpaid; features stay on for a few days
+ *   canceled  - won't renew; features stay on until the period ends
+ *   expired   - no paid features
+ *
+ * A subscription keeps its paid features while it is in one of the
+ * ENTITLED_STATES and its access end date has not passed.
+ */
+
+const SUBSCRIPTION_STATES = ['trialing', 'active', 'past_due', 'grace', 'canceled', 'expired'];
+
+const ENTITLED_STATES = ['trialing', 'active', 'past_due', 'grace', 'canceled'];
+
+// Moves to another state; staying in the same state (a new period end, a
+// retried charge) is always allowed except once expired
+const TRANSITIONS = {
+    trialing: ['active', 'past_due', 'grace', 'canceled', 'expired'],
+    active: ['past_due', 'grace', 'canceled', 'expired'],
+    past_due: ['active', 'grace', 'canceled', 'expired'],
+    grace: ['active', 'canceled', 'expired'],
+    canceled: ['active', 'expired'],
+    expired: ['trialing', 'active']
+};
+
+// Spellings stored before the lifecycle existed
+const LEGACY_STATES = {
+    cancelled: 'canceled'
+};
+
+const GRACE_PERIOD_DAYS = 3;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class LifecycleError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'LifecycleError';
+    }
+}
+
+function normalizeStatus(status) {
+    return LEGACY_STATES[status] || status;
+}
+
+function canTransition(from, to) {
+    from = normalizeStatus(from);
+    to = normalizeStatus(to);
+    if (!SUBSCRIPTION_STATES.includes(to)) {
+        return false;
+    }
+    if (!from) {
+        return to !== 'expired';
+    }
+    if (from === to) {
+        return from !== 'expired';
+    }
+    return (TRANSITIONS[from] || []).includes(to);
+}
+
+/**
+ * Move a subscription to `to`. `current` is { status, period_end, grace_until }
+ * (status is empty for a new subscription); `periodEnd` is the end of the
+ * period the provider reports, when it reports one.
+ * @returns {{ status, previous_status, changed, period_end, grace_until, access_until }}
+ * @throws {LifecycleError} when the move isn't allowed
+ */
+function transition(current, to, { periodEnd = null, now = new Date() } = {}) {
+    const from = normalizeStatus(current?.status) || null;
+    to = normalizeStatus(to);
+    if (!canTransition(from, to)) {
+        throw new LifecycleError(`Cannot move a subscription from ${from || 'new'} to ${to}`);
+    }
+
+    const period_end = periodEnd ? new Date(periodEnd) : (current?.period_end ? new Date(current.period_end) : null);
+    let grace_until = null;
+    if (to === 'grace') {
+        grace_until = from === 'grace' && current.grace_until
+            ? new Date(current.grace_until)
+            : new Date(now.getTime() + GRACE_PERIOD_DAYS * DAY_MS);
+    }
+
+    return {
+        status: to,
+        previous_status: from,
+        changed: from !== to,
+        period_end,
+        grace_until,
+        access_until: accessUntil(to, { periodEnd: period_end, graceUntil: grace_until, now })
+    };
+}
+
+/**
+ * When paid features end for a subscription in `status`
+ */
+function accessUntil(status, { periodEnd = null, graceUntil = null, now = new Date() } = {}) {
+    switch (normalizeStatus(status)) {
+        case 'grace':
+            return graceUntil;
+        case 'expired':
+            return periodEnd && periodEnd < now ? periodEnd : now;
+        default:
+            return periodEnd;
+    }
+}
+
+function hasAccess(status, accessEnd, now = new Date()) {
+    return ENTITLED_STATES.includes(normalizeStatus(status)) &&
+        Boolean(accessEnd) && new Date(accessEnd) > now;
+}
+
+/**
+ * One billing period after `date`, on the same day of the month or the
+ * month's last day: Jan 31 renews on Feb 28 (or 29), not Mar 3
+ */
+function addBillingPeriod(date, billing = 'monthly') {
+    const start = new Date(date);
+    const months = billing === 'yearly' ? 12 : 1;
+    const day = start.getUTCDate();
+
+    const end = new Date(start);
+    end.setUTCDate(1);
+    end.setUTCMonth(end.getUTCMonth() + months);
+    const lastDay = new Date(Date.UTC(end.getUTCFullYear(), end.getUTCMonth() + 1, 0)).getUTCDate();
+    end.setUTCDate(Math.min(day, lastDay));
+    return end;
+}
+
+/**
+ * End of the period a renewal pays for: renewing early adds to the time
+ * left rather than starting over from today
+ */
+function renewalPeriodEnd(currentEnd, billing = 'monthly', now = new Date()) {
+    const from = currentEnd && new Date(currentEnd) > now ? new Date(currentEnd) : now;
+    return addBillingPeriod(from, billing);
+}
+
+module.exports = {
+    SUBSCRIPTION_STATES,
+    ENTITLED_STATES,
+    TRANSITIONS,
+    GRACE_PERIOD_DAYS,
+    LifecycleError,
+    normalizeStatus,
+    canTransition,
+    transition,
+    accessUntil,
+    hasAccess,
+    addBillingPeriod,
+    renewalPeriodEnd
+};
@@ -0,0 +1,966 @@
+/**
+ * Template Engine - the language saved templates, scheduled posts, digests
+ * and workflow messages are written in
+ *
+ *   {{ title }}                                  output, escaped for the parse mode
+ *   {{ summary | truncate:200 | default:"-" }}   filters, chained left to right
+ *   {{ intro | raw }}                            output without escaping
+ *   {% if source %}…{% elif x > 2 %}…{% else %}…{% endif %}
+ *   {% for article in articles | limit:5 %}{{ loop.index }}. …{% else %}…{% endfor %}
+ *   {% include "Footer" %}                       another saved template
+ *   {# comment #}
+ *
+ * A tag or comment alone on its line removes the whole line, so block
+ * structure does not leave blank lines in the message. Parsed templates
+ * are cached by source. Mistakes in a template are thrown as
+ * TemplateSyntaxError with their line and column, so they can be reported
+ * when the template is saved rather than when it is sent.
+ */
+
+const PARSE_MODES = ['Markdown', 'MarkdownV2', 'HTML'];
+const MAX_INCLUDE_DEPTH = 10;
+const MAX_PARTIALS = 20;
+const MAX_LOOP_ITEMS = 1000;
+const CACHE_SIZE = 200;
+
+class TemplateSyntaxError extends Error {
+    constructor(message, line, column) {
+        super(`${message} (line ${line}, column ${column})`);
+        this.name = 'TemplateSyntaxError';
+        this.reason = message;
+        this.line = line;
+        this.column = column;
+    }
+}
+
+class TemplateError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'TemplateError';
+    }
+}
+
+/**
+ * Output wrapped by the `raw` filter, which is not escaped
+ */
+class RawText {
+    constructor(value) {
+        this.value = value;
+    }
+}
+
+// ==================== Values ====================
+
+const ESCAPES = {
+    Markdown: text => text.replace(/([_*`[])/g, '\\$1'),
+    MarkdownV2: text => text.replace(/([_*[\]()~`>#+\-=|{}.!\\])/g, '\\$1'),
+    HTML: text => text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;')
+};
+
+/**
+ * Escape text for a Telegram parse mode (null for plain text)
+ */
+function escapeText(text, mode) {
+    if (!mode) {
+        return text;
+    }
+    if (!ESCAPES[mode]) {
+        throw new TemplateError(`Unknown parse mode "${mode}"`);
+    }
+    return ESCAPES[mode](text);
+}
+
+function toDate(value) {
+    const date = value instanceof Date ? value : new Date(value);
+    return isNaN(date.getTime()) ? null : date;
+}
+
+function pad(value) {
+    return String(value).padStart(2, '0');
+}
+
+/**
+ * Format a date with tokens (YYYY YY MMMM MMM MM M DD D dddd ddd HH H hh h
+ * mm A). Text in [brackets] is kept as is.
+ */
+function formatDate(value, format, timeZone) {
+    const date = toDate(value);
+    if (!date) {
+        return '';
+    }
+    if (!format) {
+        return date.toLocaleDateString('en-AU', { timeZone });
+    }
+
+    const parts = {};
+    const formatter = new Intl.DateTimeFormat('en-AU', {
+        timeZone,
+        year: 'numeric',
+        month: 'long',
+        day: 'numeric',
+        weekday: 'long',
+        hour: 'numeric',
+        minute: 'numeric',
+        hourCycle: 'h23'
+    });
+    for (const { type, value: part } of formatter.formatToParts(date)) {
+        parts[type] = part;
+    }
+
+    const month = Number(new Intl.DateTimeFormat('en-AU', { timeZone, month: 'numeric' }).format(date));
+    const hour = Number(parts.hour) % 24;
+    const hour12 = hour % 12 || 12;
+
+    const tokens = {
+        YYYY: parts.year,
+        YY: parts.year.slice(-2),
+        MMMM: parts.month,
+        MMM: parts.month.slice(0, 3),
+        MM: pad(month),
+        M: String(month),
+        DD: pad(parts.day),
+        D: String(Number(parts.day)),
+        dddd: parts.weekday,
+        ddd: parts.weekday.slice(0, 3),
+        HH: pad(hour),
+        H: String(hour),
+        hh: pad(hour12),
+        h: String(hour12),
+        mm: pad(parts.minute),
+        A: hour < 12 ? 'AM' : 'PM'
+    };
+
+    return format.replace(/\[([^\]]*)\]|YYYY|YY|MMMM|MMM|MM|M|DD|D|dddd|ddd|HH|H|hh|h|mm|A/g,
+        (token, literal) => literal !== undefined ? literal : tokens[token]);
+}
+
+function toText(value, env = {}) {
+    if (value === undefined || value === null) {
+        return '';
+    }
+    if (value instanceof RawText) {
+        return toText(value.value, env);
+    }
+    if (value instanceof Date) {
+        return formatDate(value, null, env.timezone);
+    }
+    if (Array.isArray(value)) {
+        return value.map(item => toText(item, env)).join(', ');
+    }
+    if (typeof value === 'object') {
+        return '';
+    }
+    return String(value);
+}
+
+function unwrap(value) {
+    return value instanceof RawText ? value.value : value;
+}
+
+function isTruthy(value) {
+    value = unwrap(value);
+    if (Array.isArray(value)) {
+        return value.length > 0;
+    }
+    return Boolean(value);
+}
+
+function comparable(value) {
+    value = unwrap(value);
+    if (value instanceof Date) {
+        return value.getTime();
+    }
+    if (typeof value === 'string' && value.trim() !== '' && !isNaN(Number(value))) {
+        return Number(value);
+    }
+    return value;
+}
+
+// ==================== Filters ====================
+
+/**
+ * Filters by name: `args` is the [min, max] number of arguments, and `fn`
+ * is called with the value, the argument values and the render options
+ */
+const FILTERS = {
+    upper: { args: [0, 0], fn: (value, args, env) => toText(value, env).toUpperCase() },
+    lower: { args: [0, 0], fn: (value, args, env) => toText(value, env).toLowerCase() },
+    capitalize: {
+        args: [0, 0],
+        fn: (value, args, env) => {
+            const text = toText(value, env);
+            return text.charAt(0).toUpperCase() + text.slice(1);
+        }
+    },
+    trim: { args: [0, 0], fn: (value, args, env) => toText(value, env).trim() },
+    truncate: {
+        args: [1, 2],
+        fn: (value, [length, suffix = '…'], env) => {
+            const text = toText(value, env);
+            const limit = Number(length);
+            if (text.length <= limit) {
+                return text;
+            }
+            return text.slice(0, Math.max(0, limit - suffix.length)).trimEnd() + suffix;
+        }
+    },
+    default: {
+        args: [1, 1],
+        fn: (value, [fallback]) => {
+            const inner = unwrap(value);
+            return inner === undefined || inner === null || inner === '' ? fallback : value;
+        }
+    },
+    length: {
+        args: [0, 0],
+        fn: (value) => {
+            value = unwrap(value);
+            return Array.isArray(value) || typeof value === 'string' ? value.length : 0;
+        }
+    },
+    first: { args: [0, 0], fn: (value) => unwrap(value)?.[0] },
+    last: {
+        args: [0, 0],
+        fn: (value) => {
+            value = unwrap(value);
+            return value?.length ? value[value.length - 1] : undefined;
+        }
+    },
+    limit: {
+        args: [1, 1],
+        fn: (value, [count]) => {
+            value = unwrap(value);
+            return Array.isArray(value) ? value.slice(0, Number(count)) : value;
+        }
+    },
+    join: {
+        args: [0, 1],
+        fn: (value, [separator = ', '], env) => {
+            value = unwrap(value);
+            return Array.isArray(value) ? value.map(item => toText(item, env)).join(separator) : toText(value, env);
+        }
+    },
+    replace: {
+        args: [2, 2],
+        fn: (value, [search, replacement], env) => toText(value, env).split(toText(search)).join(toText(replacement))
+    },
+    date: { args: [0, 1], fn: (value, [format], env) => formatDate(unwrap(value), format, env.timezone) },
+    urlencode: { args: [0, 0], fn: (value, args, env) => encodeURIComponent(toText(value, env)) },
+    raw: { args: [0, 0], fn: (value) => new RawText(unwrap(value)) }
+};
+
+// ==================== Parsing ====================
+
+function positionOf(source, offset) {
+    const before = source.slice(0, offset);
+    const line = before.split('\n').length;
+    return [line, offset - before.lastIndexOf('\n')];
+}
+
+const DELIMITERS = { '{{': ['output', '}}'], '{%': ['tag', '%}'], '{#': ['comment', '#}'] };
+
+/**
+ * Split a template into text, output, tag and comment tokens
+ */
+function tokenize(source) {
+    const tokens = [];
+    const opener = /\{\{|\{%|\{#/g;
+    let offset = 0;
+
+    while (offset < source.length) {
+        opener.lastIndex = offset;
+        const match = opener.exec(source);
+
+        if (!match) {
+            tokens.push({ type: 'text', value: source.slice(offset) });
+            break;
+        }
+        if (match.index > offset) {
+            tokens.push({ type: 'text', value: source.slice(offset, match.index) });
+        }
+
+        const [type, closer] = DELIMITERS[match[0]];
+        const end = source.indexOf(closer, match.index + 2);
+        const [line, column] = positionOf(source, match.index);
+
+        if (end === -1) {
+            throw new TemplateSyntaxError(`"${match[0]}" is never closed with "${closer}"`, line, column);
+        }
+
+        tokens.push({
+            type,
+            content: source.slice(match.index + 2, end).trim(),
+            source: source.slice(match.index, end + 2),
+            line,
+            column
+        });
+        offset = end + 2;
+    }
+
+    trimStandaloneLines(tokens);
+    return tokens;
+}
+
+/**
+ * Remove the line of every tag or comment that is alone on its line
+ */
+function trimStandaloneLines(tokens) {
+    const strips = [];
+
+    tokens.forEach((token, index) => {
+        if (token.type !== 'tag' && token.type !== 'comment') {
+            return;
+        }
+
+        const previous = tokens[index - 1];
+        const next = tokens[index + 1];
+
+        let startsLine;
+        if (!previous) {
+            startsLine = true;
+        } else if (previous.type === 'text') {
+            const lineStart = previous.value.lastIndexOf('\n');
+            startsLine = /^[ \t]*$/.test(previous.value.slice(lineStart + 1)) && (lineStart !== -1 || index === 1);
+        } else {
+            startsLine = false;
+        }
+
+        let endsLine;
+        if (!next) {
+            endsLine = true;
+        } else if (next.type === 'text') {
+            const lineEnd = next.value.indexOf('\n');
+            endsLine = /^[ \t\r]*$/.test(lineEnd === -1 ? next.value : next.value.slice(0, lineEnd)) &&
+                (lineEnd !== -1 || index + 1 === tokens.length - 1);
+        } else {
+            endsLine = false;
+        }
+
+        if (startsLine && endsLine) {
+            strips.push(index);
+        }
+    });
+
+    for (const index of strips) {
+        const previous = tokens[index - 1];
+        const next = tokens[index + 1];
+
+        if (previous?.type === 'text') {
+            previous.trimEnd = true;
+        }
+        if (next?.type === 'text') {
+            next.trimStart = true;
+        }
+    }
+
+    for (const token of tokens) {
+        if (token.trimEnd) {
+            token.value = token.value.slice(0, token.value.lastIndexOf('\n') + 1);
+        }
+        if (token.trimStart) {
+            const lineEnd = token.value.indexOf('\n');
+            token.value = lineEnd === -1 ? '' : token.value.slice(lineEnd + 1);
+        }
+    }
+}
+
+const EXPRESSION_TOKEN = /\s*(?:("(?:[^"\\]|\\.)*"|'(?:[^'\\]|\\.)*')|(\d+(?:\.\d+)?)|([A-Za-z_][A-Za-z0-9_]*)|(==|!=|<=|>=|[<>|:,.()[\]-]))/y;
+const KEYWORDS = ['and', 'or', 'not', 'true', 'false', 'null', 'in'];
+
+function lexExpression(text, token) {
+    const tokens = [];
+    EXPRESSION_TOKEN.lastIndex = 0;
+
+    while (EXPRESSION_TOKEN.lastIndex < text.length) {
+        const start = EXPRESSION_TOKEN.lastIndex;
+        const match = EXPRESSION_TOKEN.exec(text);
+
+        if (!match) {
+            if (text.slice(start).trim() === '') {
+                break;
+            }
+            const char = text.slice(start).trim()[0];
+            throw new TemplateSyntaxError(`Unexpected "${char}" in "${token.source}"`, token.line, token.column);
+        }
+
+        if (match[1] !== undefined) {
+            const value = match[1].slice(1, -1).replace(/\\(.)/g, (escape, char) => (char === 'n' ? '\n' : char));
+            tokens.push({ kind: 'literal', value });
+        } else if (match[2] !== undefined) {
+            tokens.push({ kind: 'literal', value: Number(match[2]) });
+        } else if (match[3] !== undefined) {
+            tokens.push({ kind: KEYWORDS.includes(match[3]) ? 'keyword' : 'name', value: match[3] });
+        } else {
+            tokens.push({ kind: 'op', value: match[4] });
+        }
+    }
+
+    return tokens;
+}
+
+/**
+ * Parse an expression:
+ *   or := and ('or' and)*      and := not ('and' not)*      not := 'not' not | compare
+ *   compare := filtered (('=='|'!='|'<'|'>'|'<='|'>=') filtered)?
+ *   filtered := primary ('|' name (':' primary (',' primary)*)?)*
+ *   primary := literal | path | '(' or ')'
+ */
+function parseExpression(text, token) {
+    const tokens = lexExpression(text, token);
+    let position = 0;
+
+    const fail = (message) => {
+        throw new TemplateSyntaxError(`${message} in "${token.source}"`, token.line, token.column);
+    };
+    const peek = () => tokens[position];
+    const isOp = (value) => peek()?.kind === 'op' && peek().value === value;
+    const isKeyword = (value) => peek()?.kind === 'keyword' && peek().value === value;
+    const expectOp = (value) => {
+        if (!isOp(value)) {
+            fail(peek() ? `Expected "${value}" but found "${peek().value}"` : `Expected "${value}"`);
+        }
+        position++;
+    };
+
+    function primary() {
+        const next = peek();
+        if (!next) {
+            fail('Expression ends too early');
+        }
+
+        if (isOp('(')) {
+            position++;
+            const inner = or();
+            expectOp(')');
+            return inner;
+        }
+
+        if (isOp('-') && tokens[position + 1]?.kind === 'literal' && typeof tokens[position + 1].value === 'number') {
+            position += 2;
+            return { type: 'literal', value: -tokens[position - 1].value };
+        }
+
+        if (next.kind === 'literal') {
+            position++;
+            return { type: 'literal', value: next.value };
+        }
+
+        if (next.kind === 'keyword' && ['true', 'false', 'null'].includes(next.value)) {
+            position++;
+            return { type: 'literal', value: { true: true, false: false, null: null }[next.value] };
+        }
+
+        if (next.kind !== 'name') {
+            fail(`Unexpected "${next.value}"`);
+        }
+
+        position++;
+        const parts = [next.value];
+        while (isOp('.') || isOp('[')) {
+            if (isOp('.')) {
+                position++;
+                if (peek()?.kind !== 'name' && peek()?.kind !== 'keyword') {
+                    fail('Expected a name after "."');
+                }
+                parts.push(tokens[position++].value);
+            } else {
+                position++;
+                const index = peek();
+                if (index?.kind !== 'literal') {
+                    fail('Expected a number or string inside "[]"');
+                }
+                position++;
+                parts.push(index.value);
+                expectOp(']');
+            }
+        }
+
+        return { type: 'path', parts };
+    }
+
+    function filtered() {
+        let expression = primary();
+
+        while (isOp('|')) {
+            position++;
+            const name = peek();
+            if (name?.kind !== 'name') {
+                fail('Expected a filter name after "|"');
+            }
+            position++;
+
+            const filter = FILTERS[name.value];
+            if (!filter) {
+                fail(`Unknown filter "${name.value}"`);
+            }
+
+            const args = [];
+            if (isOp(':')) {
+                position++;
+                args.push(primary());
+                while (isOp(',')) {
+                    position++;
+                    args.push(primary());
+                }
+            }
+
+            const [min, max] = filter.args;
+            if (args.length < min || args.length > max) {
+                fail(min === max
+                    ? `Filter "${name.value}" takes ${min} argument(s)`
+                    : `Filter "${name.value}" takes ${min} to ${max} arguments`);
+            }
+
+            expression = { type: 'filter', name: name.value, target: expression, args };
+        }
+
+        return expression;
+    }
+
+    function compare() {
+        const left = filtered();
+        const op = peek();
+        if (op?.kind === 'op' && ['==', '!=', '<', '>', '<=', '>='].includes(op.value)) {
+            position++;
+            return { type: 'compare', op: op.value, left, right: filtered() };
+        }
+        return left;
+    }
+
+    function not() {
+        if (isKeyword('not')) {
+            position++;
+            return { type: 'not', expression: not() };
+        }
+        return compare();
+    }
+
+    function and() {
+        let left = not();
+        while (isKeyword('and')) {
+            position++;
+            left = { type: 'and', left, right: not() };
+        }
+        return left;
+    }
+
+    function or() {
+        let left = and();
+        while (isKeyword('or')) {
+            position++;
+            left = { type: 'or', left, right: and() };
+        }
+        return left;
+    }
+
+    if (tokens.length === 0) {
+        fail('Empty expression');
+    }
+
+    const expression = or();
+    if (position < tokens.length) {
+        fail(`Unexpected "${peek().value}"`);
+    }
+
+    return expression;
+}
+
+function parseTag(token, stack) {
+    const frame = stack[stack.length - 1];
+    const [keyword] = token.content.split(/\s+/, 1);
+    const rest = token.content.slice(keyword.length).trim();
+    const fail = (message) => {
+        throw new TemplateSyntaxError(message, token.line, token.column);
+    };
+
+    switch (keyword) {
+        case 'if': {
+            const node = { type: 'if', branches: [{ condition: parseExpression(rest, token), body: [] }], otherwise: null };
+            frame.target.push(node);
+            stack.push({ tag: 'if', node, target: node.branches[0].body, token });
+            break;
+        }
+
+        case 'elif':
+            if (frame.tag !== 'if') {
+                fail('{% elif %} outside {% if %}');
+            }
+            if (frame.node.otherwise) {
+                fail('{% elif %} after {% else %}');
+            }
+            frame.node.branches.push({ condition: parseExpression(rest, token), body: [] });
+            frame.target = frame.node.branches[frame.node.branches.length - 1].body;
+            break;
+
+        case 'else':
+            if (frame.tag !== 'if' && frame.tag !== 'for') {
+                fail('{% else %} outside {% if %} or {% for %}');
+            }
+            if (frame.node.otherwise) {
+                fail(`{% ${frame.tag} %} already has an {% else %}`);
+            }
+            frame.node.otherwise = [];
+            frame.target = frame.node.otherwise;
+            break;
+
+        case 'for': {
+            const match = /^([A-Za-z_][A-Za-z0-9_]*)\s+in\s+([\s\S]+)$/.exec(rest);
+            if (!match) {
+                fail('Expected {% for item in list %}');
+            }
+            if (match[1] === 'loop' || KEYWORDS.includes(match[1])) {
+                fail(`"${match[1]}" cannot be used as a loop variable`);
+            }
+            const node = { type: 'for', name: match[1], iterable: parseExpression(match[2], token), body: [], otherwise: null };
+            frame.target.push(node);
+            stack.push({ tag: 'for', node, target: node.body, token });
+            break;
+        }
+
+        case 'endif':
+        case 'endfor': {
+            const opened = keyword.slice(3);
+            if (stack.length === 1) {
+                fail(`{% ${keyword} %} without {% ${opened} %}`);
+            }
+            if (frame.tag !== opened) {
+                fail(`Expected {% end${frame.tag} %} (for the {% ${frame.tag} %} on line ${frame.token.line}) but found {% ${keyword} %}`);
+            }
+            stack.pop();
+            break;
+        }
+
+        case 'include': {
+            const match = /^(?:"([^"]+)"|'([^']+)')$/.exec(rest);
+            if (!match) {
+                fail('Expected {% include "Template name" %}');
+            }
+            frame.target.push({ type: 'include', name: match[1] ?? match[2], token });
+            break;
+        }
+
+        default:
+            fail(`Unknown tag {% ${keyword} %}`);
+    }
+}
+
+const cache = new Map();
+
+/**
+ * Parse a template into its node tree. Throws TemplateSyntaxError.
+ */
+function parse(source) {
+    if (cache.has(source)) {
+        return cache.get(source);
+    }
+
+    const root = [];
+    const stack = [{ tag: null, target: root }];
+
+    for (const token of tokenize(source)) {
+        const frame = stack[stack.length - 1];
+
+        switch (token.type) {
+            case 'text':
+                if (token.value) {
+                    frame.target.push({ type: 'text', value: token.value });
+                }
+                break;
+            case 'output':
+                frame.target.push({ type: 'output', expression: parseExpression(token.content, token), source: token.source });
+                break;
+            case 'tag':
+                parseTag(token, stack);
+                break;
+        }
+    }
+
+    if (stack.length > 1) {
+        const { tag, token } = stack[stack.length - 1];
+        throw new TemplateSyntaxError(`{% ${tag} %} is never closed with {% end${tag} %}`, token.line, token.column);
+    }
+
+    if (cache.size >= CACHE_SIZE) {
+        cache.delete(cache.keys().next().value);
+    }
+    cache.set(source, root);
+
+    return root;
+}
+
+function walk(nodes, visit) {
+    for (const node of nodes) {
+        visit(node);
+        if (node.type === 'if') {
+            node.branches.forEach(branch => walk(branch.body, visit));
+        }
+        if (node.type === 'for') {
+            walk(node.body, visit);
+        }
+        if (node.otherwise) {
+            walk(node.otherwise, visit);
+        }
+    }
+}
+
+/**
+ * Names of the templates a template includes
+ */
+function findIncludes(source) {
+    const names = new Set();
+    walk(parse(source), node => {
+        if (node.type === 'include') {
+            names.add(node.name);
+        }
+    });
+    return [...names];
+}
+
+/**
+ * Top-level variables a template reads, excluding loop variables
+ */
+function findVariables(source) {
+    const names = new Set();
+
+    const collect = (expression, bound) => {
+        if (!expression) {
+            return;
+        }
+        switch (expression.type) {
+            case 'path':
+                if (!bound.has(expression.parts[0])) {
+                    names.add(expression.parts[0]);
+                }
+                break;
+            case 'filter':
+                collect(expression.target, bound);
+                expression.args.forEach(arg => collect(arg, bound));
+                break;
+            case 'not':
+                collect(expression.expression, bound);
+                break;
+            case 'and':
+            case 'or':
+            case 'compare':
+                collect(expression.left, bound);
+                collect(expression.right, bound);
+                break;
+        }
+    };
+
+    const visit = (nodes, bound) => {
+        for (const node of nodes) {
+            if (node.type === 'output') {
+                collect(node.expression, bound);
+            } else if (node.type === 'if') {
+                node.branches.forEach(branch => {
+                    collect(branch.condition, bound);
+                    visit(branch.body, bound);
+                });
+                visit(node.otherwise || [], bound);
+            } else if (node.type === 'for') {
+                collect(node.iterable, bound);
+                visit(node.body, new Set([...bound, node.name, 'loop']));
+                visit(node.otherwise || [], bound);
+            }
+        }
+    };
+
+    visit(parse(source), new Set());
+    return [...names];
+}
+
+/**
+ * Load the sources of every template `source` includes, directly or
+ * through other includes. `load(name)` resolves to a source or null;
+ * templates that cannot be found map to null.
+ */
+async function resolvePartials(source, load) {
+    const partials = {};
+    const pending = findIncludes(source);
+
+    while (pending.length > 0) {
+        const name = pending.shift();
+        if (Object.prototype.hasOwnProperty.call(partials, name)) {
+            continue;
+        }
+        if (Object.keys(partials).length >= MAX_PARTIALS) {
+            throw new TemplateError(`Templates can include at most ${MAX_PARTIALS} other templates`);
+        }
+
+        const partial = await load(name);
+        partials[name] = partial ?? null;
+        if (partial) {
+            pending.push(...findIncludes(partial));
+        }
+    }
+
+    return partials;
+}
+
+// ==================== Rendering ====================
+
+function lookup(frames, parts) {
+    let value;
+    let found = false;
+
+    for (let i = frames.length - 1; i >= 0; i--) {
+        if (Object.prototype.hasOwnProperty.call(frames[i], parts[0])) {
+            value = frames[i][parts[0]];
+            found = true;
+            break;
+        }
+    }
+
+    if (!found) {
+        return undefined;
+    }
+
+    for (const part of parts.slice(1)) {
+        value = unwrap(value);
+        if (value === null || value === undefined) {
+            return undefined;
+        }
+        if (part === 'length' && (Array.isArray(value) || typeof value === 'string')) {
+            value = value.length;
+        } else if (typeof value === 'object' && Object.prototype.hasOwnProperty.call(value, part)) {
+            value = value[part];
+        } else {
+            return undefined;
+        }
+    }
+
+    return value;
+}
+
+function evaluate(expression, frames, env) {
+    switch (expression.type) {
+        case 'literal':
+            return expression.value;
+        case 'path':
+            return lookup(frames, expression.parts);
+        case 'filter':
+            return FILTERS[expression.name].fn(
+                evaluate(expression.target, frames, env),
+                expression.args.map(arg => evaluate(arg, frames, env)),
+                env
+            );
+        case 'not':
+            return !isTruthy(evaluate(expression.expression, frames, env));
+        case 'and':
+            return isTruthy(evaluate(expression.left, frames, env)) && isTruthy(evaluate(expression.right, frames, env));
+        case 'or':
+            return isTruthy(evaluate(expression.left, frames, env)) || isTruthy(evaluate(expression.right, frames, env));
+        case 'compare': {
+            const left = comparable(evaluate(expression.left, frames, env));
+            const right = comparable(evaluate(expression.right, frames, env));
+            switch (expression.op) {
+                case '==': return left === right || (left == null && right == null);
+                case '!=': return !(left === right || (left == null && right == null));
+                case '<': return left < right;
+                case '>': return left > right;
+                case '<=': return left <= right;
+                case '>=': return left >= right;
+            }
+        }
+    }
+    return undefined;
+}
+
+function renderNodes(nodes, frames, env, out) {
+    for (const node of nodes) {
+        switch (node.type) {
+            case 'text':
+                out.push(node.value);
+                break;
+
+            case 'output': {
+                const value = evaluate(node.expression, frames, env);
+                if (value === undefined && node.expression.type === 'path') {
+                    env.onUndefined?.(node.expression.parts.join('.'));
+                    if (env.keepUndefined) {
+                        out.push(node.source);
+                    }
+                    break;
+                }
+                out.push(value instanceof RawText ? toText(value, env) : escapeText(toText(value, env), env.mode));
+                break;
+            }
+
+            case 'if': {
+                const branch = node.branches.find(candidate => isTruthy(evaluate(candidate.condition, frames, env)));
+                renderNodes(branch ? branch.body : node.otherwise || [], frames, env, out);
+                break;
+            }
+
+            case 'for': {
+                const value = unwrap(evaluate(node.iterable, frames, env));
+                const items = Array.isArray(value) ? value.slice(0, MAX_LOOP_ITEMS) : [];
+
+                if (items.length === 0) {
+                    renderNodes(node.otherwise || [], frames, env, out);
+                    break;
+                }
+
+                items.forEach((item, index) => {
+                    const loop = {
+                        index: index + 1,
+                        index0: index,
+                        first: index === 0,
+                        last: index === items.length - 1,
+                        length: items.length
+                    };
+                    renderNodes(node.body, [...frames, { [node.name]: item, loop }], env, out);
+                });
+                break;
+            }
+
+            case 'include': {
+                if (env.depth >= MAX_INCLUDE_DEPTH) {
+                    throw new TemplateError(`Includes are nested more than ${MAX_INCLUDE_DEPTH} deep - does "${node.name}" include itself?`);
+                }
+                const partial = env.partials?.[node.name];
+                if (partial === undefined || partial === null) {
+                    throw new TemplateError(`Included template "${node.name}" not found`);
+                }
+                renderNodes(parse(partial), frames, { ...env, depth: env.depth + 1 }, out);
+                break;
+            }
+        }
+    }
+}
+
+/**
+ * Render a template
+ * @param {string} source - Template text
+ * @param {Object} context - Variables
+ * @param {Object} [options]
+ * @param {string} [options.mode] - Telegram parse mode output is escaped
+ *   for ('Markdown', 'MarkdownV2' or 'HTML'); plain text when omitted
+ * @param {Object} [options.partials] - Included template sources by name
+ *   (see resolvePartials)
+ * @param {string} [options.timezone] - Timezone for the `date` filter
+ * @param {Function} [options.onUndefined] - Called with the name of each
+ *   variable output without a value
+ * @param {boolean} [options.keepUndefined] - Leave `{{ name }}` in place
+ *   for variables without a value, instead of outputting nothing
+ */
+function render(source, context = {}, options = {}) {
+    const out = [];
+    renderNodes(parse(source), [context], { ...options, depth: 0 }, out);
+    return out.join('');
+}
+
+module.exports = {
+    PARSE_MODES,
+    FILTERS,
+    TemplateSyntaxError,
+    TemplateError,
+    parse,
+    render,
+    findIncludes,
+    findVariables,
+    resolvePartials,
+    escapeText,
+    formatDate
+};
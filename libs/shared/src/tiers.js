@@ -0,0 +1,205 @@
+/**
+ * Zone News Bot - Subscription Tiers
+ * What each tier allows: bot commands, usage limits and features. TierManager
+ * enforces them in the bot; the API gateway reads them for API key quotas.
+ */
+
+const { ENTITLED_STATES } = require('./subscription-lifecycle');
+
+const TIERS = {
+    free: {
+        name: 'Free',
+        level: 0,
+        price: 0,
+        commands: [
+            'start', 'help', 'about', 'news', 'post', 'mydestinations',
+            'affiliate', 'subscribe', 'usage', 'onboarding'
+        ],
+        limits: {
+            posts_per_day: 3,
+            posts_per_month: 50,
+            scheduled_posts: 0,
+            media_size_mb: 5,
+            destinations: 1,
+            analytics_days: 0,
+            templates: 0,
+            bulk_destinations: 0,
+            api_calls_per_day: 0,
+            webhook_endpoints: 0,
+            news_sources: 0,
+            custom_domains: 0,
+            team_members: 1,
+            export_formats: [],
+            priority_support: false,
+            white_label: false
+        },
+        features: {
+            basic_posting: true,
+            media_posting: false,
+            scheduled_posting: false,
+            recurring_posts: false,
+            bulk_posting: false,
+            templates: false,
+            analytics: false,
+            export: false,
+            api_access: false,
+            webhooks: false,
+            news_sources: false,
+            custom_branding: false,
+            team_collaboration: false,
+            priority_support: false
+        }
+    },
+    basic: {
+        name: 'Basic',
+        level: 1,
+        price: 999, // $9.99
+        commands: [
+            'start', 'help', 'about', 'news', 'post', 'postmedia', 'schedule', 
+            'scheduled', 'mydestinations', 'affiliate', 'subscribe', 'usage',
+            'earnings', 'withdraw', 'templates', 'savetemplate', 'loadtemplate',
+            'templategallery', 'quickpost', 'onboarding'
+        ],
+        limits: {
+            posts_per_day: 50,
+            posts_per_month: 1000,
+            scheduled_posts: 10,
+            media_size_mb: 50,
+            destinations: 5,
+            analytics_days: 7,
+            templates: 5,
+            bulk_destinations: 3,
+            api_calls_per_day: 100,
+            webhook_endpoints: 1,
+            news_sources: 0,
+            custom_domains: 0,
+            team_members: 1,
+            export_formats: ['csv'],
+            priority_support: false,
+            white_label: false
+        },
+        features: {
+            basic_posting: true,
+            media_posting: true,
+            scheduled_posting: true,
+            recurring_posts: false,
+            bulk_posting: true,
+            templates: true,
+            analytics: true,
+            export: true,
+            api_access: false,
+            webhooks: false,
+            news_sources: false,
+            custom_branding: false,
+            team_collaboration: false,
+            priority_support: false
+        }
+    },
+    pro: {
+        name: 'Pro',
+        level: 2,
+        price: 1999, // $19.99
+        commands: [
+            'start', 'help', 'about', 'news', 'post', 'postmedia', 'posttogroup',
+            'posttochannel', 'schedule', 'scheduled', 'cancelschedule', 'reschedule',
+            'mydestinations', 'checkbot', 'affiliate', 'subscribe', 'usage',
+            'earnings', 'withdraw', 'templates', 'savetemplate', 'loadtemplate',
+            'deletetemplate', 'templatecategories', 'sharetemplate', 'templategallery',
+            'exporttemplates', 'importtemplates', 'quickpost', 'workspace', 'invite',
+            'members', 'setrole', 'removemember', 'leaveworkspace',
+            'bulkpost', 'bulkedit', 'bulkschedule', 'bulkdelete', 'trending',
+            'analytics', 'export', 'posttext', 'clearmedia', 'recurring',
+            'onboarding'
+        ],
+        limits: {
+            posts_per_day: 500,
+            posts_per_month: 10000,
+            scheduled_posts: 100,
+            media_size_mb: 200,
+            destinations: 50,
+            analytics_days: 30,
+            templates: 20,
+            bulk_destinations: 25,
+            api_calls_per_day: 1000,
+            webhook_endpoints: 5,
+            news_sources: 10,
+            custom_domains: 1,
+            team_members: 3,
+            export_formats: ['csv', 'json', 'pdf'],
+            priority_support: true,
+            white_label: false
+        },
+        features: {
+            basic_posting: true,
+            media_posting: true,
+            scheduled_posting: true,
+            recurring_posts: true,
+            bulk_posting: true,
+            templates: true,
+            analytics: true,
+            export: true,
+            api_access: true,
+            webhooks: true,
+            news_sources: true,
+            custom_branding: false,
+            team_collaboration: true,
+            priority_support: true
+        }
+    },
+    enterprise: {
+        name: 'Enterprise',
+        level: 3,
+        price: 4999, // $49.99
+        commands: ['*'], // All commands
+        limits: {
+            posts_per_day: -1,      // Unlimited
+            posts_per_month: -1,    // Unlimited
+            scheduled_posts: -1,    // Unlimited
+            media_size_mb: 1000,
+            destinations: -1,       // Unlimited
+            analytics_days: 365,
+            templates: -1,          // Unlimited
+            bulk_destinations: -1,  // Unlimited
+            api_calls_per_day: -1,  // Unlimited
+            webhook_endpoints: -1,  // Unlimited
+            news_sources: -1,       // Unlimited
+            custom_domains: -1,     // Unlimited
+            team_members: -1,       // Unlimited
+            export_formats: ['csv', 'json', 'pdf', 'xml', 'xlsx'],
+            priority_support: true,
+            white_label: true
+        },
+        features: {
+            basic_posting: true,
+            media_posting: true,
+            scheduled_posting: true,
+            recurring_posts: true,
+            bulk_posting: true,
+            templates: true,
+            analytics: true,
+            export: true,
+            api_access: true,
+            webhooks: true,
+            news_sources: true,
+            custom_branding: true,
+            team_collaboration: true,
+            priority_support: true
+        }
+    }
+};
+
+/**
+ * A user's subscription tier. Trialing, unpaid and canceled subscriptions
+ * keep their tier until their access ends (`expires_at`).
+ */
+async function getUserTier(db, userId) {
+    const subscription = await db.collection('subscriptions').findOne({
+        user_id: userId,
+        status: { $in: ENTITLED_STATES },
+        expires_at: { $gt: new Date() }
+    });
+
+    return subscription ? subscription.tier : 'free';
+}
+
+module.exports = { TIERS, getUserTier };
@@ -40,6 +40,8 @@ export interface NewsArticle {
   source: string;
   url?: string;
   imageUrl?: string;
+  images?: ArticleImages | null;
+  alsoReportedBy?: StorySource[];
   publishedAt: Date;
   views: number;
   reactions: {
@@ -48,6 +50,22 @@ export interface NewsArticle {
   };
 }
 
+// Optimized versions of an article's image
+export interface ArticleImages {
+  card: string;
+  cardJpeg?: string | null;
+  thumb?: string | null;
+  width: number;
+  height: number;
+}
+
+// Another outlet or channel that reported the same story
+export interface StorySource {
+  source: string;
+  url?: string | null;
+  publishedAt: Date;
+}
+
 export interface ApiResponse<T> {
   success: boolean;
   data?: T;